@@ -0,0 +1,42 @@
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const Logger = require('../utils/logger');
+
+const getRedisUrl = () => process.env.REDIS_URL || 'redis://localhost:6379';
+
+/**
+ * Create and connect a Redis client
+ * @param {string} name - Client name used in logs
+ * @returns {Promise<Object>} Connected node-redis client
+ */
+const connectRedis = async (name) => {
+  const client = createClient({ url: getRedisUrl() });
+  client.on('error', (error) => {
+    Logger.error(`Redis ${name} client error`, error);
+  });
+
+  await client.connect();
+  Logger.startup(`Redis connected (${name})`);
+  return client;
+};
+
+/**
+ * Use the Socket.IO Redis adapter so rooms and broadcasts span every backend instance
+ * @param {Object} io - Socket.IO server instance
+ */
+const attachRedisAdapter = async (io) => {
+  const pubClient = await connectRedis('socket-pub');
+  const subClient = pubClient.duplicate();
+  subClient.on('error', (error) => {
+    Logger.error('Redis socket-sub client error', error);
+  });
+  await subClient.connect();
+
+  io.adapter(createAdapter(pubClient, subClient));
+  Logger.startup('Socket.IO Redis adapter enabled');
+};
+
+module.exports = {
+  connectRedis,
+  attachRedisAdapter
+};
@@ -24,6 +24,8 @@ const optionalEnvVars = {
   RESEND_API_KEY: process.env.RESEND_API_KEY,
   RESEND_FROM_EMAIL: process.env.RESEND_FROM_EMAIL,
   APP_NAME: process.env.APP_NAME,
+  SESSION_STORE: process.env.SESSION_STORE || 'memory',
+  REDIS_URL: process.env.REDIS_URL,
   NODE_ENV: process.env.NODE_ENV || 'development',
 };
 
@@ -49,6 +51,10 @@ function validateEnv() {
     warnings.push('RAZORPAY_KEY_ID (payment features will be disabled)');
   }
 
+  if (optionalEnvVars.SESSION_STORE.toLowerCase() === 'redis' && !optionalEnvVars.REDIS_URL) {
+    warnings.push('REDIS_URL (session store will connect to redis://localhost:6379)');
+  }
+
   if (!optionalEnvVars.RESEND_API_KEY) {
     warnings.push('RESEND_API_KEY (password reset emails will be disabled)');
   }
@@ -74,6 +80,14 @@ function validateEnv() {
     throw new Error('FRONTEND_URL must start with http:// or https://');
   }
 
+  if (!['memory', 'redis'].includes(optionalEnvVars.SESSION_STORE.toLowerCase())) {
+    throw new Error('SESSION_STORE must be either memory or redis');
+  }
+
+  if (optionalEnvVars.SESSION_STORE.toLowerCase() === 'redis' && optionalEnvVars.REDIS_URL && !/^rediss?:\/\//.test(optionalEnvVars.REDIS_URL)) {
+    throw new Error('REDIS_URL must start with redis:// or rediss://');
+  }
+
   if (optionalEnvVars.NODE_ENV === 'production' && requiredEnvVars.JWT_SECRET && requiredEnvVars.JWT_SECRET.length < 32) {
     throw new Error('JWT_SECRET must be at least 32 characters long in production');
   }
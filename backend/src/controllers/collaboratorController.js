@@ -0,0 +1,136 @@
+const Presentation = require('../models/Presentation');
+const collaborationService = require('../services/collaborationService');
+const { sendCollaborationInviteEmail } = require('../services/emailService');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const Logger = require('../utils/logger');
+
+async function findOwnedPresentation(id, user) {
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(id, user, 'manage'));
+  if (!presentation) {
+    throw new AppError('Presentation not found or you do not have permission to share it', 404, 'RESOURCE_NOT_FOUND');
+  }
+  return presentation;
+}
+
+/**
+ * List the collaborators of a presentation
+ * @route GET /api/presentations/:id/collaborators
+ * @access Private (owner)
+ * @param {string} req.params.id - Presentation ID
+ */
+const getCollaborators = asyncHandler(async (req, res, next) => {
+  const presentation = await findOwnedPresentation(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    collaborators: presentation.collaborators.map(collaborationService.formatCollaborator),
+    roles: collaborationService.COLLABORATOR_ROLES
+  });
+});
+
+/**
+ * Invite a collaborator by email, or change the role of an existing one
+ * @route POST /api/presentations/:id/collaborators
+ * @access Private (owner)
+ * @param {string} req.params.id - Presentation ID
+ * @param {string} req.body.email - Collaborator email
+ * @param {string} req.body.role - viewer, editor or co_presenter
+ */
+const addCollaborator = asyncHandler(async (req, res, next) => {
+  const { email, role } = req.body;
+  const presentation = await findOwnedPresentation(req.params.id, req.user);
+
+  let result;
+  try {
+    result = collaborationService.addCollaborator(presentation, { email, role, owner: req.user });
+  } catch (error) {
+    throw new AppError(error.message, 400, 'VALIDATION_ERROR');
+  }
+  await presentation.save();
+
+  // Sharing works without the email; the presentation shows up on the collaborator's dashboard
+  let emailSent = false;
+  if (result.isNew) {
+    try {
+      await sendCollaborationInviteEmail(result.collaborator.email, {
+        inviterName: req.user.displayName || req.user.email,
+        presentationTitle: presentation.title,
+        role: result.collaborator.role
+      });
+      emailSent = true;
+    } catch (error) {
+      Logger.warn(`Collaboration invite email to ${result.collaborator.email} failed`, error.message);
+    }
+  }
+
+  res.status(result.isNew ? 201 : 200).json({
+    success: true,
+    collaborator: collaborationService.formatCollaborator(result.collaborator),
+    emailSent
+  });
+});
+
+/**
+ * Change a collaborator's role
+ * @route PUT /api/presentations/:id/collaborators/:collaboratorId
+ * @access Private (owner)
+ * @param {string} req.body.role - viewer, editor or co_presenter
+ */
+const updateCollaborator = asyncHandler(async (req, res, next) => {
+  const presentation = await findOwnedPresentation(req.params.id, req.user);
+
+  let collaborator;
+  try {
+    collaborator = collaborationService.updateCollaboratorRole(presentation, req.params.collaboratorId, req.body.role);
+  } catch (error) {
+    throw new AppError(error.message, 400, 'VALIDATION_ERROR');
+  }
+  if (!collaborator) {
+    throw new AppError('Collaborator not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+  await presentation.save();
+
+  res.status(200).json({
+    success: true,
+    collaborator: collaborationService.formatCollaborator(collaborator)
+  });
+});
+
+/**
+ * Remove a collaborator. Collaborators can also remove themselves (leave the presentation).
+ * @route DELETE /api/presentations/:id/collaborators/:collaboratorId
+ * @access Private (owner or the collaborator)
+ */
+const removeCollaborator = asyncHandler(async (req, res, next) => {
+  const { id, collaboratorId } = req.params;
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(id, req.user, 'view'));
+  if (!presentation) {
+    throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const collaborator = presentation.collaborators.id(collaboratorId);
+  if (!collaborator) {
+    throw new AppError('Collaborator not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const isOwner = collaborationService.getRole(presentation, req.user) === 'owner';
+  const isSelf = collaborator.email === String(req.user.email || '').toLowerCase().trim();
+  if (!isOwner && !isSelf) {
+    throw new AppError('Only the owner can remove collaborators', 403, 'FORBIDDEN');
+  }
+
+  collaborationService.removeCollaborator(presentation, collaboratorId);
+  await presentation.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Collaborator removed successfully'
+  });
+});
+
+module.exports = {
+  getCollaborators,
+  addCollaborator,
+  updateCollaborator,
+  removeCollaborator
+};
@@ -14,6 +14,11 @@ const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const Logger = require('../utils/logger');
 const { applyInstitutionPlan, removeInstitutionPlan, isInstitutionSubscriptionActive, updateInstitutionUsersPlans, getEffectivePlan } = require('../services/institutionPlanService');
 const settingsService = require('../services/settingsService');
+const webhookService = require('../services/webhookService');
+const apiKeyService = require('../services/apiKeyService');
+const customReportService = require('../services/customReportService');
+const templateService = require('../services/templateService');
+const PresentationTemplate = require('../models/PresentationTemplate');
 
 // Initialize Razorpay only if keys are available
 let razorpay = null;
@@ -453,6 +458,12 @@ const addInstitutionUser = asyncHandler(async (req, res, next) => {
   });
   await institution.save();
 
+  webhookService.dispatchEvent(institution._id, 'user.added', {
+    userId: user._id.toString(),
+    email: user.email,
+    displayName: user.displayName
+  });
+
   res.status(201).json({
     success: true,
     message: 'User added successfully and granted institution plan access',
@@ -519,6 +530,12 @@ const removeInstitutionUser = asyncHandler(async (req, res, next) => {
     });
   }
 
+  webhookService.dispatchEvent(institution._id, 'user.removed', {
+    userId: user._id.toString(),
+    email: user.email,
+    displayName: user.displayName
+  });
+
   res.status(200).json({
     success: true,
     message: 'User removed successfully'
@@ -691,6 +708,117 @@ const getInstitutionPresentations = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * Get templates published to institution users
+ * @route GET /api/institution-admin/templates
+ * @access Private (Institution Admin)
+ */
+const getInstitutionTemplates = asyncHandler(async (req, res, next) => {
+  const templates = await templateService.listInstitutionTemplates(req.institutionId);
+
+  res.status(200).json({
+    success: true,
+    data: { templates }
+  });
+});
+
+/**
+ * Publish an institution user's presentation as a template for every institution user
+ * @route POST /api/institution-admin/presentations/:presentationId/template
+ * @access Private (Institution Admin)
+ */
+const publishInstitutionTemplate = asyncHandler(async (req, res, next) => {
+  const { presentationId } = req.params;
+  const { title, description = '' } = req.body;
+  const institutionId = req.institutionId;
+
+  if (!mongoose.Types.ObjectId.isValid(presentationId)) {
+    throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const presentation = await Presentation.findById(presentationId);
+  const owner = presentation
+    ? await User.findOne({ _id: presentation.userId, institutionId }).select('_id email').lean()
+    : null;
+  if (!presentation || !owner) {
+    throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const adminEmail = req.institutionAdmin?.email || req.institution?.adminEmail || 'System';
+  let template;
+  try {
+    template = await templateService.createTemplateFromPresentation({
+      presentation,
+      title: typeof title === 'string' ? title : '',
+      description: typeof description === 'string' ? description : '',
+      scope: 'institution',
+      institutionId,
+      createdBy: adminEmail
+    });
+  } catch (error) {
+    throw new AppError(error.message, 400, 'VALIDATION_ERROR');
+  }
+
+  const institution = req.institution;
+  if (!institution.auditLogs) {
+    institution.auditLogs = [];
+  }
+  institution.auditLogs.push({
+    timestamp: new Date(),
+    action: 'template_published',
+    user: adminEmail,
+    details: `Presentation "${presentation.title}" by ${owner.email} published as template "${template.title}"`,
+    ipAddress: req.ip || req.headers['x-forwarded-for'] || 'unknown'
+  });
+  await institution.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Template published successfully',
+    data: { template }
+  });
+});
+
+/**
+ * Remove a template published to institution users
+ * @route DELETE /api/institution-admin/templates/:templateId
+ * @access Private (Institution Admin)
+ */
+const deleteInstitutionTemplate = asyncHandler(async (req, res, next) => {
+  const { templateId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(templateId)) {
+    throw new AppError('Template not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const template = await PresentationTemplate.findOneAndDelete({
+    _id: templateId,
+    scope: 'institution',
+    institutionId: req.institutionId
+  });
+  if (!template) {
+    throw new AppError('Template not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const institution = req.institution;
+  if (!institution.auditLogs) {
+    institution.auditLogs = [];
+  }
+  institution.auditLogs.push({
+    timestamp: new Date(),
+    action: 'template_removed',
+    user: req.institutionAdmin?.email || req.institution?.adminEmail || 'System',
+    details: `Template "${template.title}" removed`,
+    ipAddress: req.ip || req.headers['x-forwarded-for'] || 'unknown'
+  });
+  await institution.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Template removed successfully'
+  });
+});
+
 /**
  * Get Admin User Account
  * @route GET /api/institution-admin/my-account
@@ -1196,6 +1324,13 @@ const bulkImportUsers = asyncHandler(async (req, res, next) => {
       await user.save();
       added++;
 
+      webhookService.dispatchEvent(institution._id, 'user.added', {
+        userId: user._id.toString(),
+        email: user.email,
+        displayName: user.displayName,
+        source: 'bulk_import'
+      });
+
       // Log audit
       if (!institution.auditLogs) {
         institution.auditLogs = [];
@@ -1268,11 +1403,16 @@ const getAuditLogs = asyncHandler(async (req, res, next) => {
  */
 const getApiKeys = asyncHandler(async (req, res, next) => {
   const institution = await Institution.findById(req.institutionId);
-  const apiKeys = institution.apiKeys || [];
+
+  // Hash any keys still stored in plaintext before returning them
+  if (apiKeyService.migratePlaintextKeys(institution)) {
+    await institution.save();
+  }
 
   res.status(200).json({
     success: true,
-    keys: apiKeys
+    keys: (institution.apiKeys || []).map(apiKeyService.toPublicApiKey),
+    availablePermissions: apiKeyService.API_KEY_PERMISSIONS
   });
 });
 
@@ -1282,20 +1422,29 @@ const getApiKeys = asyncHandler(async (req, res, next) => {
  * @access Private (Institution Admin)
  */
 const createApiKey = asyncHandler(async (req, res, next) => {
-  const { name } = req.body;
+  const { name, permissions, rateLimit } = req.body;
   const institution = await Institution.findById(req.institutionId);
 
   if (!name) {
     throw new AppError('API key name is required', 400, 'VALIDATION_ERROR');
   }
 
-  // Generate API key (in production, use crypto.randomBytes)
-  const apiKey = `inst_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
+  if (Array.isArray(permissions)) {
+    const unknown = permissions.filter(p => !apiKeyService.API_KEY_PERMISSIONS.includes(p));
+    if (unknown.length > 0) {
+      throw new AppError(`Invalid permissions: ${unknown.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  const { key, keyHash, keyPrefix } = apiKeyService.generateApiKey();
 
   const newApiKey = {
     id: Date.now().toString(),
     name,
-    key: apiKey,
+    keyHash,
+    keyPrefix,
+    permissions: apiKeyService.normalizePermissions(permissions),
+    rateLimit: apiKeyService.normalizeRateLimit(rateLimit),
     active: true,
     createdAt: new Date()
   };
@@ -1306,9 +1455,13 @@ const createApiKey = asyncHandler(async (req, res, next) => {
   institution.apiKeys.push(newApiKey);
   await institution.save();
 
+  // The plaintext key is only returned once; only its hash is stored
   res.status(201).json({
     success: true,
-    key: newApiKey
+    key: {
+      ...apiKeyService.toPublicApiKey(newApiKey),
+      key
+    }
   });
 });
 
@@ -1327,6 +1480,7 @@ const deleteApiKey = asyncHandler(async (req, res, next) => {
 
   institution.apiKeys = institution.apiKeys.filter(key => key.id !== keyId);
   await institution.save();
+  await apiKeyService.clearKeyState(keyId);
 
   res.status(200).json({
     success: true,
@@ -1362,11 +1516,22 @@ const createWebhook = asyncHandler(async (req, res, next) => {
     throw new AppError('Webhook URL is required', 400, 'VALIDATION_ERROR');
   }
 
+  if (!webhookService.isValidWebhookUrl(url)) {
+    throw new AppError('Webhook URL must be a valid http(s) URL', 400, 'VALIDATION_ERROR');
+  }
+
+  const selectedEvents = Array.isArray(events) ? events : [];
+  const unknownEvents = selectedEvents.filter(event => !webhookService.WEBHOOK_EVENTS.includes(event));
+  if (unknownEvents.length > 0) {
+    throw new AppError(`Unknown webhook events: ${unknownEvents.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  // Every webhook is signed, so generate a secret when the admin doesn't provide one
   const newWebhook = {
     id: Date.now().toString(),
-    url,
-    events: events || [],
-    secret: secret || '',
+    url: url.trim(),
+    events: selectedEvents,
+    secret: secret?.trim() || webhookService.generateSecret(),
     active: true,
     createdAt: new Date()
   };
@@ -1376,6 +1541,7 @@ const createWebhook = asyncHandler(async (req, res, next) => {
   }
   institution.webhooks.push(newWebhook);
   await institution.save();
+  webhookService.clearSubscriptionCache(institution._id);
 
   res.status(201).json({
     success: true,
@@ -1398,6 +1564,7 @@ const deleteWebhook = asyncHandler(async (req, res, next) => {
 
   institution.webhooks = institution.webhooks.filter(webhook => webhook.id !== webhookId);
   await institution.save();
+  webhookService.clearSubscriptionCache(institution._id);
 
   res.status(200).json({
     success: true,
@@ -1405,6 +1572,102 @@ const deleteWebhook = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * Get Webhook Delivery Log
+ * @route GET /api/institution-admin/webhooks/:webhookId/deliveries
+ * @access Private (Institution Admin)
+ */
+const getWebhookDeliveries = asyncHandler(async (req, res, next) => {
+  const { webhookId } = req.params;
+  const { status, limit } = req.query;
+  const institution = await Institution.findById(req.institutionId);
+
+  const webhook = (institution.webhooks || []).find(w => w.id === webhookId);
+  if (!webhook) {
+    throw new AppError('Webhook not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const deliveries = await webhookService.getDeliveries(req.institutionId, webhookId, { status, limit });
+
+  res.status(200).json({
+    success: true,
+    deliveries
+  });
+});
+
+/**
+ * Redeliver a Webhook Event
+ * @route POST /api/institution-admin/webhooks/deliveries/:deliveryId/redeliver
+ * @access Private (Institution Admin)
+ */
+const redeliverWebhook = asyncHandler(async (req, res, next) => {
+  const { deliveryId } = req.params;
+
+  const delivery = await webhookService.redeliver(req.institutionId, deliveryId);
+  if (!delivery) {
+    throw new AppError('Webhook delivery not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  res.status(200).json({
+    success: true,
+    delivery: {
+      id: delivery._id,
+      webhookId: delivery.webhookId,
+      event: delivery.event,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      responseStatus: delivery.responseStatus,
+      error: delivery.error,
+      nextAttemptAt: delivery.nextAttemptAt,
+      deliveredAt: delivery.deliveredAt,
+      redeliveryOf: delivery.redeliveryOf,
+      createdAt: delivery.createdAt
+    }
+  });
+});
+
+/**
+ * Validate and pick the editable fields of a custom report
+ * @param {Object} body - Request body
+ * @param {Object} existing - Current report when updating
+ * @returns {Object} - Fields to store
+ */
+const buildCustomReportFields = (body, existing = {}) => {
+  const fields = {};
+  const pick = ['name', 'description', 'metrics', 'dateRange', 'filters', 'visualization', 'schedule', 'email', 'frequency', 'format', 'scheduleHour', 'scheduleDayOfWeek', 'scheduleDayOfMonth'];
+  pick.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+
+  const merged = { ...existing, ...fields };
+
+  if (!merged.name || !Array.isArray(merged.metrics) || merged.metrics.length === 0) {
+    throw new AppError('Report name and at least one metric are required', 400, 'VALIDATION_ERROR');
+  }
+
+  const unknownMetrics = merged.metrics.filter(m => !customReportService.REPORT_METRICS.includes(m));
+  if (unknownMetrics.length > 0) {
+    throw new AppError(`Invalid metrics: ${unknownMetrics.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  if (merged.format && !customReportService.REPORT_FORMATS.includes(merged.format)) {
+    throw new AppError('Invalid report format. Use: xlsx or csv', 400, 'VALIDATION_ERROR');
+  }
+
+  if (merged.schedule && merged.schedule !== 'none') {
+    if (!customReportService.REPORT_FREQUENCIES.includes(merged.frequency)) {
+      throw new AppError('Scheduled reports need a frequency: daily, weekly or monthly', 400, 'VALIDATION_ERROR');
+    }
+    if (customReportService.parseRecipients(merged.email).length === 0) {
+      throw new AppError('Scheduled reports need at least one valid recipient email', 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  return fields;
+};
+
 /**
  * Get Custom Reports
  * @route GET /api/institution-admin/custom-reports
@@ -1416,7 +1679,8 @@ const getCustomReports = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    reports
+    reports,
+    availableMetrics: customReportService.REPORT_METRICS
   });
 });
 
@@ -1426,18 +1690,18 @@ const getCustomReports = asyncHandler(async (req, res, next) => {
  * @access Private (Institution Admin)
  */
 const createCustomReport = asyncHandler(async (req, res, next) => {
-  const reportConfig = req.body;
   const institution = await Institution.findById(req.institutionId);
-
-  if (!reportConfig.name || !reportConfig.metrics || reportConfig.metrics.length === 0) {
-    throw new AppError('Report name and at least one metric are required', 400, 'VALIDATION_ERROR');
-  }
+  const fields = buildCustomReportFields(req.body);
 
   const newReport = {
     id: Date.now().toString(),
-    ...reportConfig,
+    format: 'xlsx',
+    ...fields,
     createdAt: new Date()
   };
+  newReport.nextRunAt = customReportService.isScheduled(newReport)
+    ? customReportService.computeNextRunAt(newReport)
+    : null;
 
   if (!institution.customReports) {
     institution.customReports = [];
@@ -1447,17 +1711,51 @@ const createCustomReport = asyncHandler(async (req, res, next) => {
 
   res.status(201).json({
     success: true,
-    report: newReport
+    report: institution.customReports[institution.customReports.length - 1]
+  });
+});
+
+/**
+ * Update Custom Report
+ * Saving a report also resumes a schedule that was paused after repeated failures.
+ * @route PUT /api/institution-admin/custom-reports/:reportId
+ * @access Private (Institution Admin)
+ */
+const updateCustomReport = asyncHandler(async (req, res, next) => {
+  const { reportId } = req.params;
+  const institution = await Institution.findById(req.institutionId);
+
+  const report = (institution.customReports || []).find(r => r.id === reportId);
+  if (!report) {
+    throw new AppError('Custom report not found', 404, 'NOT_FOUND');
+  }
+
+  const fields = buildCustomReportFields(req.body, report.toObject());
+  Object.assign(report, fields);
+
+  report.schedulePaused = false;
+  report.consecutiveFailures = 0;
+  report.nextRunAt = customReportService.isScheduled(report)
+    ? customReportService.computeNextRunAt(report)
+    : null;
+
+  await institution.save();
+
+  res.status(200).json({
+    success: true,
+    report
   });
 });
 
 /**
  * Generate Custom Report
+ * Downloads the report now; with `send: true` it is also emailed to the report recipients.
  * @route POST /api/institution-admin/custom-reports/:reportId/generate
  * @access Private (Institution Admin)
  */
 const generateCustomReport = asyncHandler(async (req, res, next) => {
   const { reportId } = req.params;
+  const { format, send = false } = { ...req.query, ...req.body };
   const institution = await Institution.findById(req.institutionId);
 
   if (!institution.customReports) {
@@ -1469,13 +1767,45 @@ const generateCustomReport = asyncHandler(async (req, res, next) => {
     throw new AppError('Custom report not found', 404, 'NOT_FOUND');
   }
 
-  // For now, return a simple PDF placeholder
-  // In production, generate actual PDF/Excel based on report config using libraries like pdfkit or jsPDF
-  const pdfPlaceholder = Buffer.from('PDF placeholder - Implement actual PDF generation');
-  
-  res.setHeader('Content-Type', 'application/pdf');
-  res.setHeader('Content-Disposition', `attachment; filename=custom-report-${report.name}-${new Date().toISOString().split('T')[0]}.pdf`);
-  res.send(pdfPlaceholder);
+  if (format && !customReportService.REPORT_FORMATS.includes(format)) {
+    throw new AppError('Invalid report format. Use: xlsx or csv', 400, 'VALIDATION_ERROR');
+  }
+
+  const { run, file } = await customReportService.runReport(institution, report, {
+    trigger: 'manual',
+    sendEmail: send === true || send === 'true',
+    format
+  });
+
+  if (!file) {
+    throw new AppError(`Failed to generate report: ${run.error}`, 500, 'REPORT_GENERATION_FAILED');
+  }
+
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${file.fileName}`);
+  res.send(file.buffer);
+});
+
+/**
+ * Get Custom Report Run History
+ * @route GET /api/institution-admin/custom-reports/:reportId/runs
+ * @access Private (Institution Admin)
+ */
+const getCustomReportRuns = asyncHandler(async (req, res, next) => {
+  const { reportId } = req.params;
+  const institution = await Institution.findById(req.institutionId).select('customReports');
+
+  const report = (institution.customReports || []).find(r => r.id === reportId);
+  if (!report) {
+    throw new AppError('Custom report not found', 404, 'NOT_FOUND');
+  }
+
+  const runs = await customReportService.getRunHistory(req.institutionId, reportId, req.query.limit);
+
+  res.status(200).json({
+    success: true,
+    runs
+  });
 });
 
 /**
@@ -2464,6 +2794,13 @@ const verifySubscriptionRenewal = asyncHandler(async (req, res, next) => {
   });
   await institution.save();
 
+  webhookService.dispatchEvent(institution._id, 'subscription.renewed', {
+    type: isUpgrade ? 'upgrade' : 'renewal',
+    endDate: institution.subscription.endDate,
+    maxUsers: institution.subscription.maxUsers,
+    paymentId: razorpayPaymentId
+  });
+
   res.status(200).json({
     success: true,
     message: isUpgrade ? 'Subscription upgraded successfully' : 'Subscription renewed successfully',
@@ -2617,6 +2954,9 @@ module.exports = {
   removeInstitutionUser,
   bulkImportUsers,
   getInstitutionPresentations,
+  getInstitutionTemplates,
+  publishInstitutionTemplate,
+  deleteInstitutionTemplate,
   getAdminUserAccount,
   getAnalytics,
   updateBranding,
@@ -2631,8 +2971,12 @@ module.exports = {
   getWebhooks,
   createWebhook,
   deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook,
   getCustomReports,
   createCustomReport,
+  updateCustomReport,
+  getCustomReportRuns,
   generateCustomReport,
   deleteCustomReport,
   updateSecuritySettings,
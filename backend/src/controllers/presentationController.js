@@ -2,38 +2,52 @@ const Presentation = require('../models/Presentation');
 const Slide = require('../models/Slide');
 const Response = require('../models/Response');
 const User = require('../models/User');
-const XLSX = require('xlsx');
 const leaderboardService = require('../services/leaderboardService');
 const quizScoringService = require('../services/quizScoringService');
+const teamService = require('../services/teamService');
+const selfPacedService = require('../services/selfPacedService');
+const runService = require('../services/runService');
+const resultExportService = require('../services/resultExportService');
+const deckImportService = require('../services/deckImportService');
+const presentationBundleService = require('../services/presentationBundleService');
+const templateService = require('../services/templateService');
+const collaborationService = require('../services/collaborationService');
+const slideHistoryService = require('../services/slideHistoryService');
+const contentFilterService = require('../services/contentFilterService');
 const qnaSession = require('../services/qnaSession');
+const wordCloudService = require('../services/wordCloudService');
+const pinOnImageService = require('../services/pinOnImageService');
+const scaleStatsService = require('../services/scaleStatsService');
 const quizSessionService = require('../services/quizSessionService');
 const guessNumberSession = require('../services/guessNumberSession');
+const { getHandler } = require('../interactions');
+const { broadcastEditorChange } = require('../socket/editorHandlers');
+const { emitQnaState } = require('../socket/qnaHandlers');
 const { createSlide, updateSlide, deleteSlide } = require('./slideController.js');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const Logger = require('../utils/logger');
 const { isSubscriptionActive } = require('../services/subscriptionService');
+const webhookService = require('../services/webhookService');
 
 /**
- * Create a new presentation
- * @route POST /api/presentations
- * @access Private
- * @param {string} req.body.title - Presentation title
- * @returns {Object} Created presentation object
+ * Resolve the ?runId= filter of a results request
+ * @returns {Promise<string|null|undefined>} runId for runService.runFilter()
+ * @throws {AppError} If the run does not belong to the presentation
  */
-const createPresentation = asyncHandler(async (req, res, next) => {
-  const { title } = req.body;
-  const userId = req.userId;
-
-  if (!userId) {
-    Logger.error('createPresentation: userId is missing', { userId, user: req.user });
-    throw new AppError('User ID is required', 401, 'UNAUTHORIZED');
+async function resolveRunQuery(presentationId, value) {
+  try {
+    return await runService.resolveRunId(presentationId, value);
+  } catch (error) {
+    throw new AppError(error.message, 404, 'RESOURCE_NOT_FOUND');
   }
+}
 
-  if (!title || !title.trim()) {
-    throw new AppError('Presentation title is required', 400, 'VALIDATION_ERROR');
-  }
-
-  // Enforce free plan limit: max 3 presentations in the last 30 days
+/**
+ * Load the user and enforce the free plan limit: max 3 presentations in the last 30 days
+ * @returns {Promise<Object>} { user, hasActiveSubscription }
+ * @throws {AppError} If the user is missing or the limit is reached
+ */
+async function checkPresentationLimit(userId) {
   const user = await User.findById(userId);
   if (!user) {
     throw new AppError('User not found', 404, 'USER_NOT_FOUND');
@@ -61,6 +75,10 @@ const createPresentation = asyncHandler(async (req, res, next) => {
     }
   }
 
+  return { user, hasActiveSubscription };
+}
+
+async function generateUniqueAccessCode() {
   let accessCode;
   let isUnique = false;
 
@@ -70,6 +88,81 @@ const createPresentation = asyncHandler(async (req, res, next) => {
     if (!existing) isUnique = true;
   }
 
+  return accessCode;
+}
+
+/**
+ * Create a presentation from a bundle (bundle import, template or duplicate)
+ * @param {Object} params.user - Owner, as returned by checkPresentationLimit()
+ * @param {boolean} params.hasActiveSubscription - Free plan decks are limited to 10 slides
+ * @param {Object} params.bundle - Validated bundle
+ * @param {boolean} params.reuploadMedia - Copy the bundled media into the owner's storage
+ * @returns {Promise<Object>} { presentation, slides, media }
+ */
+async function createPresentationFromBundle({ user, hasActiveSubscription, bundle, reuploadMedia = false }) {
+  if (!hasActiveSubscription && bundle.slides.length > 10) {
+    throw new AppError('Free plan limit reached. Upgrade to Pro for unlimited slides.', 403, 'LIMIT_REACHED');
+  }
+
+  let created;
+  try {
+    created = await presentationBundleService.createFromBundle({
+      bundle,
+      userId: user._id,
+      accessCode: await generateUniqueAccessCode(),
+      reuploadMedia
+    });
+  } catch (error) {
+    throw new AppError(`Failed to create the presentation: ${error.message}`, 400, 'VALIDATION_ERROR');
+  }
+
+  const { presentation } = created;
+  webhookService.dispatchUserEvent(user, 'presentation.created', {
+    presentationId: presentation._id.toString(),
+    title: presentation.title,
+    accessCode: presentation.accessCode,
+    userId: user._id.toString()
+  });
+
+  return created;
+}
+
+function formatCreatedPresentation({ presentation, slides }) {
+  return {
+    id: presentation._id,
+    title: presentation.title,
+    accessCode: presentation.accessCode,
+    isLive: presentation.isLive,
+    currentSlideIndex: presentation.currentSlideIndex,
+    slideCount: slides.length,
+    createdAt: presentation.createdAt,
+    updatedAt: presentation.updatedAt
+  };
+}
+
+/**
+ * Create a new presentation
+ * @route POST /api/presentations
+ * @access Private
+ * @param {string} req.body.title - Presentation title
+ * @returns {Object} Created presentation object
+ */
+const createPresentation = asyncHandler(async (req, res, next) => {
+  const { title } = req.body;
+  const userId = req.userId;
+
+  if (!userId) {
+    Logger.error('createPresentation: userId is missing', { userId, user: req.user });
+    throw new AppError('User ID is required', 401, 'UNAUTHORIZED');
+  }
+
+  if (!title || !title.trim()) {
+    throw new AppError('Presentation title is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const { user } = await checkPresentationLimit(userId);
+  const accessCode = await generateUniqueAccessCode();
+
   const presentation = new Presentation({
     userId,
     title: title.trim(),
@@ -81,6 +174,13 @@ const createPresentation = asyncHandler(async (req, res, next) => {
 
   await presentation.save();
 
+  webhookService.dispatchUserEvent(user, 'presentation.created', {
+    presentationId: presentation._id.toString(),
+    title: presentation.title,
+    accessCode: presentation.accessCode,
+    userId: user._id.toString()
+  });
+
   res.status(201).json({
     success: true,
     message: 'Presentation created successfully',
@@ -97,18 +197,17 @@ const createPresentation = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Get all presentations for the logged-in user
+ * Get all presentations for the logged-in user, including presentations shared with them
  * @route GET /api/presentations
  * @access Private
  * @param {number} req.query.limit - Maximum number of presentations to return (default: 20)
  * @param {number} req.query.skip - Number of presentations to skip (default: 0)
- * @returns {Object} Array of presentations with slide counts
+ * @returns {Object} Array of presentations with slide counts and the user's role
  */
 const getUserPresentations = asyncHandler(async (req, res, next) => {
-  const userId = req.userId;
   const { limit = 20, skip = 0 } = req.query;
 
-  const presentations = await Presentation.find({ userId })
+  const presentations = await Presentation.find(collaborationService.accessFilter(req.user))
       .sort({ updatedAt: -1 })
       .limit(parseInt(limit))
       .skip(parseInt(skip))
@@ -123,17 +222,32 @@ const getUserPresentations = asyncHandler(async (req, res, next) => {
   
   const slideCountMap = new Map(slideCounts.map(sc => [sc._id.toString(), sc.count]));
 
-  const presentationsWithSlideCount = presentations.map((presentation) => ({
-    id: presentation._id,
-    title: presentation.title,
-    accessCode: presentation.accessCode,
-    isLive: presentation.isLive,
-    currentSlideIndex: presentation.currentSlideIndex,
-    showResults: presentation.showResults,
-    slideCount: slideCountMap.get(presentation._id.toString()) || 0,
-    createdAt: presentation.createdAt,
-    updatedAt: presentation.updatedAt
-  }));
+  // Owners of presentations shared with the user
+  const sharedOwnerIds = presentations
+    .filter(p => p.userId.toString() !== req.userId.toString())
+    .map(p => p.userId);
+  const owners = sharedOwnerIds.length > 0
+    ? await User.find({ _id: { $in: sharedOwnerIds } }).select('displayName email').lean()
+    : [];
+  const ownerMap = new Map(owners.map(owner => [owner._id.toString(), owner.displayName || owner.email]));
+
+  const presentationsWithSlideCount = presentations.map((presentation) => {
+    const role = collaborationService.getRole(presentation, req.user);
+    return {
+      id: presentation._id,
+      title: presentation.title,
+      accessCode: presentation.accessCode,
+      isLive: presentation.isLive,
+      currentSlideIndex: presentation.currentSlideIndex,
+      showResults: presentation.showResults,
+      slideCount: slideCountMap.get(presentation._id.toString()) || 0,
+      role,
+      sharedBy: role === 'owner' ? null : (ownerMap.get(presentation.userId.toString()) || null),
+      collaboratorCount: role === 'owner' ? (presentation.collaborators || []).length : undefined,
+      createdAt: presentation.createdAt,
+      updatedAt: presentation.updatedAt
+    };
+  });
 
   res.status(200).json({
     success: true,
@@ -151,7 +265,6 @@ const getUserPresentations = asyncHandler(async (req, res, next) => {
  */
 const getPresentationById = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
-  const userId = req.userId;
   const isInstitutionAdmin = req.institutionAdmin;
   const institutionId = req.institution?.id || req.institution?._id;
 
@@ -163,7 +276,7 @@ const getPresentationById = asyncHandler(async (req, res, next) => {
   }
 
   // Check if it belongs to the user (this will work for both regular users and admin's own presentations)
-  let presentation = await Presentation.findOne({ _id: id, userId }).lean();
+  let presentation = await Presentation.findOne(collaborationService.presentationFilter(id, req.user, 'view')).lean();
 
   // If not found and user is an institution admin, check if presentation belongs to any institution user
   if (!presentation && isInstitutionAdmin && institutionId) {
@@ -234,6 +347,11 @@ const getPresentationById = asyncHandler(async (req, res, next) => {
         isLive: presentation.isLive,
         currentSlideIndex: presentation.currentSlideIndex,
         showResults: presentation.showResults,
+        teamSettings: presentation.teamSettings || null,
+        selfPacedSettings: presentation.selfPacedSettings || null,
+        contentFilter: await contentFilterService.getContentFilter(presentation),
+        // Institution admins opening a member's presentation get read access
+        role: collaborationService.getRole(presentation, req.user) || 'viewer',
         createdAt: presentation.createdAt,
         updatedAt: presentation.updatedAt
       },
@@ -248,13 +366,17 @@ const getPresentationById = asyncHandler(async (req, res, next) => {
         minLabel: slide.minLabel,
         maxLabel: slide.maxLabel,
         statements: slide.statements,
+        scaleMode: slide.scaleMode,
         rankingItems: slide.rankingItems,
+        rankingMethod: slide.rankingMethod,
         hundredPointsItems: slide.hundredPointsItems,
         gridItems: slide.gridItems,
         gridAxisXLabel: slide.gridAxisXLabel,
         gridAxisYLabel: slide.gridAxisYLabel,
         gridAxisRange: slide.gridAxisRange,
+        gridQuadrantLabels: slide.gridQuadrantLabels,
         maxWordsPerParticipant: slide.maxWordsPerParticipant,
+        wordCloudSettings: slide.wordCloudSettings,
         openEndedSettings: slide.openEndedSettings,
         qnaSettings: slide.qnaSettings,
         guessNumberSettings: slide.type === 'guess_number'
@@ -263,6 +385,7 @@ const getPresentationById = asyncHandler(async (req, res, next) => {
         pinOnImageSettings: slide.pinOnImageSettings,
         quizSettings: slide.quizSettings,
         leaderboardSettings: slide.leaderboardSettings,
+        branching: slide.branching,
         textContent: slide.textContent,
         imageUrl: slide.imageUrl,
         imagePublicId: slide.imagePublicId,
@@ -278,7 +401,8 @@ const getPresentationById = asyncHandler(async (req, res, next) => {
         pdfPublicId: slide.pdfPublicId,
         pdfPages: slide.pdfPages,
         createdAt: slide.createdAt,
-        updatedAt: slide.updatedAt
+        updatedAt: slide.updatedAt,
+        revision: slide.revision || 0
       }))
   });
 });
@@ -289,11 +413,11 @@ const getPresentationById = asyncHandler(async (req, res, next) => {
  * @route GET /api/presentations/:id/results
  * @access Private
  * @param {string} req.params.id - Presentation ID
+ * @param {string} req.query.runId - Only include one run ('none' for answers outside live runs, all runs when omitted)
  * @returns {Object} Aggregated results for all slides
  */
 const getPresentationResultById = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
-  const userId = req.userId;
   const isInstitutionAdmin = req.institutionAdmin;
   const institutionId = req.institution?.id || req.institution?._id;
 
@@ -305,7 +429,7 @@ const getPresentationResultById = asyncHandler(async (req, res, next) => {
   }
 
   // Check if it belongs to the user (this will work for both regular users and admin's own presentations)
-  let presentation = await Presentation.findOne({ _id: id, userId }).lean();
+  let presentation = await Presentation.findOne(collaborationService.presentationFilter(id, req.user, 'view')).lean();
 
   // If not found and user is an institution admin, check if presentation belongs to any institution user
   if (!presentation && isInstitutionAdmin && institutionId) {
@@ -362,8 +486,9 @@ const getPresentationResultById = asyncHandler(async (req, res, next) => {
     throw new AppError('Presentation not found or access denied', 404, 'RESOURCE_NOT_FOUND');
   }
 
+    const runId = await resolveRunQuery(id, req.query.runId);
     const slides = await Slide.find({ presentationId: id }).sort({ order: 1 });
-    const responses = await Response.find({ presentationId: id });
+    const responses = await Response.find({ presentationId: id, ...runService.runFilter(runId) });
     const results = {};
 
     for (const slide of slides) {
@@ -391,75 +516,45 @@ const getPresentationResultById = asyncHandler(async (req, res, next) => {
           break;
 
         case 'word_cloud':
-          const wordFrequencies = {};
-          slideResponses.forEach(r => {
-            const words = Array.isArray(r.answer) ? r.answer : [r.answer];
-            words.forEach(word => {
-              if (word) {
-                const normalizedWord = word.toLowerCase().trim();
-                wordFrequencies[normalizedWord] = (wordFrequencies[normalizedWord] || 0) + 1;
-              }
-            });
-          });
-          slideResult.wordFrequencies = wordFrequencies;
-          break;
-
-        case 'scales':
-          const scaleDistribution = {};
-          const scaleStatements = slide.statements || [];
-          const statementCounts = new Array(scaleStatements.length).fill(0);
-          const statementSums = new Array(scaleStatements.length).fill(0);
-
-          slideResponses.forEach(r => {
-            if (typeof r.answer === 'object' && r.answer !== null) {
-              Object.entries(r.answer).forEach(([statementIndex, value]) => {
-                const idx = parseInt(statementIndex);
-                if (!isNaN(idx) && idx < scaleStatements.length) {
-                  if (!scaleDistribution[idx]) scaleDistribution[idx] = {};
-                  scaleDistribution[idx][value] = (scaleDistribution[idx][value] || 0) + 1;
-                  statementSums[idx] += value;
-                  statementCounts[idx]++;
-                }
-              });
-            }
-          });
-
-          const scaleStatementAverages = statementSums.map((sum, idx) =>
-            statementCounts[idx] > 0 ? sum / statementCounts[idx] : 0
+          slideResult.wordFrequencies = wordCloudService.buildWordFrequencies(
+            slideResponses,
+            wordCloudService.getSlideSettings(slide)
           );
-
-          const totalSum = statementSums.reduce((a, b) => a + b, 0);
-          const totalCount = statementCounts.reduce((a, b) => a + b, 0);
-          const scaleOverallAverage = totalCount > 0 ? totalSum / totalCount : 0;
-
-          slideResult.scaleDistribution = scaleDistribution;
-          slideResult.scaleStatementAverages = scaleStatementAverages;
-          slideResult.scaleOverallAverage = scaleOverallAverage;
-          slideResult.statementCounts = statementCounts;
-          slideResult.scaleStatements = scaleStatements;
           break;
 
-        case 'ranking':
-          const rankingResults = slide.rankingItems ? slide.rankingItems.map(item => ({
-            id: item.id,
-            label: item.label,
-            score: 0
-          })) : [];
+        case 'scales': {
+          const scaleStats = scaleStatsService.buildScaleStats(slide, slideResponses);
+          const statementStats = scaleStats.summaries;
+
+          slideResult.scaleMode = scaleStats.mode;
+          slideResult.scaleMin = scaleStats.minValue;
+          slideResult.scaleMax = scaleStats.maxValue;
+          slideResult.scaleStatements = scaleStats.statements;
+
+          if (scaleStats.statements.length > 0) {
+            const totalSum = statementStats.reduce((sum, stats) => sum + stats.sum, 0);
+            const totalCount = statementStats.reduce((sum, stats) => sum + stats.count, 0);
+
+            slideResult.scaleDistribution = statementStats.map(stats => stats.distribution);
+            slideResult.scaleStatementAverages = statementStats.map(stats => stats.average);
+            slideResult.scaleOverallAverage = totalCount > 0 ? Number((totalSum / totalCount).toFixed(2)) : 0;
+            slideResult.statementCounts = statementStats.map(stats => stats.count);
+            slideResult.scaleStatementStats = statementStats;
+          } else {
+            slideResult.scaleDistribution = statementStats[0].distribution;
+            slideResult.scaleAverage = statementStats[0].average;
+            slideResult.scaleStats = statementStats[0];
+          }
+          break;
+        }
 
-          slideResponses.forEach(r => {
-            if (Array.isArray(r.answer)) {
-              r.answer.forEach((itemId, index) => {
-                const points = (slide.rankingItems?.length || 0) - index;
-                const item = rankingResults.find(i => i.id === itemId);
-                if (item) {
-                  item.score += points;
-                }
-              });
-            }
-          });
-          rankingResults.sort((a, b) => b.score - a.score);
-          slideResult.rankingResults = rankingResults;
+        case 'ranking': {
+          const rankingSummary = getHandler('ranking').buildResults(slide, slideResponses);
+          slideResult.rankingMethod = rankingSummary.rankingMethod;
+          slideResult.rankingResults = rankingSummary.rankingResults;
+          slideResult.rankingPairwise = rankingSummary.rankingPairwise;
           break;
+        }
 
         case 'hundred_points':
           const hundredPointsResults = slide.hundredPointsItems ? slide.hundredPointsItems.map(item => ({
@@ -554,16 +649,27 @@ const getPresentationResultById = asyncHandler(async (req, res, next) => {
             }
           });
           slideResult.gridResults = gridResults;
+
+          // Spread, quadrants and outliers per item
+          const gridSummary = getHandler('2x2_grid').buildResults(slide, slideResponses);
+          slideResult.gridItemStats = gridSummary.gridResults;
+          slideResult.gridQuadrants = gridSummary.gridQuadrants;
           break;
 
-        case 'pin_on_image':
-          const pinResults = slideResponses.map(r => ({
-            participantName: r.participantName,
-            x: r.answer.x,
-            y: r.answer.y
+        case 'pin_on_image': {
+          const pinSummary = pinOnImageService.buildPinResults(slide, slideResponses);
+          const namesById = new Map(slideResponses.map(r => [r.participantId, r.participantName]));
+          slideResult.pinResults = pinSummary.pinResults.map(({ participantId, ...pin }) => ({
+            participantName: namesById.get(participantId),
+            ...pin
           }));
-          slideResult.pinResults = pinResults;
+          slideResult.correctPins = pinSummary.correctPins;
+          slideResult.correctResponses = pinSummary.correctResponses;
+          slideResult.regionStats = pinSummary.regionStats;
+          slideResult.heatmap = pinSummary.heatmap;
+          slideResult.clusters = pinSummary.clusters;
           break;
+        }
 
         case 'quiz':
           // Calculate quiz statistics
@@ -580,9 +686,13 @@ const getPresentationResultById = asyncHandler(async (req, res, next) => {
 
           slideResponses.forEach(r => {
             if (r.isCorrect) correctCount++;
-            if (quizState.results[r.answer] !== undefined) {
-              quizState.results[r.answer]++;
-            }
+            // Select-all-that-apply answers count towards each selected option
+            const answers = Array.isArray(r.answer) ? r.answer : [r.answer];
+            answers.forEach(answer => {
+              if (quizState.results[answer] !== undefined) {
+                quizState.results[answer]++;
+              }
+            });
           });
 
           slideResult.quizState = quizState;
@@ -596,7 +706,8 @@ const getPresentationResultById = asyncHandler(async (req, res, next) => {
           try {
             const leaderboardData = await buildLeaderboardSummary({
               presentationId: id,
-              limit: slide.leaderboardSettings?.displayCount || 10
+              limit: slide.leaderboardSettings?.displayCount || 10,
+              runId
             });
 
             // If it's a linked leaderboard, filter for that
@@ -604,8 +715,10 @@ const getPresentationResultById = asyncHandler(async (req, res, next) => {
               const linkedId = slide.leaderboardSettings.linkedQuizSlideId.toString();
               const specificBoard = leaderboardData.perQuizLeaderboards.find(b => b.quizSlideId === linkedId);
               slideResult.leaderboard = specificBoard ? specificBoard.leaderboard : [];
+              slideResult.teamLeaderboard = specificBoard ? specificBoard.teamLeaderboard : null;
             } else {
               slideResult.leaderboard = leaderboardData.finalLeaderboard;
+              slideResult.teamLeaderboard = leaderboardData.finalTeamLeaderboard;
             }
           } catch (err) {
             Logger.error('Error building leaderboard for result', err);
@@ -664,369 +777,271 @@ const getPresentationResultById = asyncHandler(async (req, res, next) => {
  * @route GET /api/presentations/:id/export
  * @access Private
  * @param {string} req.params.id - Presentation ID
- * @param {string} req.query.format - Export format (csv, excel)
+ * @param {string} req.query.format - Export format (csv, excel, json, pdf, pptx)
+ * @param {string} req.query.runId - Only export one run ('none' for answers outside live runs, all runs when omitted)
  */
 const exportPresentationResults = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
   const { format = 'csv' } = req.query;
+
+  if (!resultExportService.isExportFormat(format)) {
+    throw new AppError(`Invalid export format. Use: ${resultExportService.EXPORT_FORMATS.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(id, req.user, 'view'));
+  if (!presentation) {
+    throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const runId = await resolveRunQuery(id, req.query.runId);
+  const exportDocument = await resultExportService.buildExportDocument(presentation, runId);
+  if (exportDocument.slides.length === 0) {
+    throw new AppError('No data to export', 400, 'VALIDATION_ERROR');
+  }
+
+  const { body, contentType, extension } = await resultExportService.renderExport(exportDocument, format);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=presentation-results-${presentation.title.replace(/[^a-z0-9]/gi, '_')}-${new Date().toISOString().split('T')[0]}.${extension}`);
+  return res.send(body);
+});
+
+/**
+ * Import a PowerPoint deck, PDF or Markdown outline as native slide drafts.
+ * Nothing is saved: the editor opens the drafts in a new presentation, like template slides.
+ * @route POST /api/presentations/import
+ * @access Private
+ * @param {string} req.body.file - Base64 encoded file (.pptx, .pdf, .md)
+ * @param {string} req.body.fileName - Original file name, used to detect the format
+ * @param {string} req.body.format - Optional format override (pptx, pdf, markdown)
+ * @returns {Object} Suggested title and slide drafts
+ */
+const importPresentationSlides = asyncHandler(async (req, res, next) => {
+  const { file, fileName, format } = req.body;
   const userId = req.userId;
 
-  if (!['csv', 'excel'].includes(format)) {
-    throw new AppError('Invalid export format. Use: csv or excel', 400, 'VALIDATION_ERROR');
+  if (!file || typeof file !== 'string') {
+    throw new AppError('File data is required', 400, 'VALIDATION_ERROR');
+  }
+  if (format && !deckImportService.IMPORT_FORMATS.includes(format)) {
+    throw new AppError(`Invalid import format. Use: ${deckImportService.IMPORT_FORMATS.join(', ')}`, 400, 'VALIDATION_ERROR');
   }
 
-  const presentation = await Presentation.findOne({ _id: id, userId });
+  const sizeInMB = ((file.length * 3) / 4) / (1024 * 1024);
+  if (sizeInMB > 10) {
+    throw new AppError(`File too large (${sizeInMB.toFixed(1)}MB). Maximum size is 10MB.`, 400, 'VALIDATION_ERROR');
+  }
+
+  let imported;
+  try {
+    imported = await deckImportService.importDeck({
+      file: deckImportService.decodeFile(file),
+      fileName,
+      format
+    });
+  } catch (error) {
+    Logger.warn(`Deck import failed for user ${userId}`, error.message);
+    throw new AppError(error.message || 'Failed to import the file', 400, 'VALIDATION_ERROR');
+  }
+
+  res.status(200).json({
+    success: true,
+    title: imported.title,
+    format: imported.format,
+    slides: imported.slides
+  });
+});
+
+/**
+ * Export a presentation as a portable bundle (slides, settings and media links)
+ * @route GET /api/presentations/:id/bundle
+ * @access Private
+ * @param {string} req.params.id - Presentation ID
+ * @param {string} req.query.format - Bundle file type (json, zip)
+ */
+const exportPresentationBundle = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { format = 'json' } = req.query;
+
+  if (!presentationBundleService.BUNDLE_TYPES.includes(format)) {
+    throw new AppError(`Invalid bundle format. Use: ${presentationBundleService.BUNDLE_TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(id, req.user, 'view'));
   if (!presentation) {
     throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
   }
 
   const slides = await Slide.find({ presentationId: id }).sort({ order: 1 });
-  const responses = await Response.find({ presentationId: id });
-  
-  // First, calculate all slide results
-  const results = {};
-  for (const slide of slides) {
-    const slideResponses = responses.filter(r => r.slideId.toString() === slide._id.toString());
-    let slideResult = { totalResponses: slideResponses.length };
-
-    if (slide.type === 'scales') {
-      const scaleStatements = slide.statements || [];
-      const statementSums = new Array(scaleStatements.length).fill(0);
-      const statementCounts = new Array(scaleStatements.length).fill(0);
-
-      slideResponses.forEach(r => {
-        if (typeof r.answer === 'object' && r.answer !== null) {
-          Object.entries(r.answer).forEach(([statementIndex, value]) => {
-            const idx = parseInt(statementIndex);
-            if (!isNaN(idx) && idx < scaleStatements.length) {
-              statementSums[idx] += value;
-              statementCounts[idx]++;
-            }
-          });
-        }
-      });
+  const bundle = presentationBundleService.buildBundle(presentation, slides);
+  const { body, contentType, extension } = await presentationBundleService.renderBundle(bundle, format);
 
-      slideResult.scaleStatementAverages = statementSums.map((sum, idx) =>
-        statementCounts[idx] > 0 ? sum / statementCounts[idx] : 0
-      );
-    } else if (slide.type === 'ranking') {
-      const rankingResults = slide.rankingItems ? slide.rankingItems.map(item => ({
-        id: item.id,
-        label: item.label,
-        score: 0
-      })) : [];
-
-      slideResponses.forEach(r => {
-        if (Array.isArray(r.answer)) {
-          r.answer.forEach((itemId, index) => {
-            const points = (slide.rankingItems?.length || 0) - index;
-            const item = rankingResults.find(i => i.id === itemId);
-            if (item) {
-              item.score += points;
-            }
-          });
-        }
-      });
-      rankingResults.sort((a, b) => b.score - a.score);
-      slideResult.rankingResults = rankingResults;
-    } else if (slide.type === 'hundred_points') {
-      const hundredPointsResults = slide.hundredPointsItems ? slide.hundredPointsItems.map(item => ({
-        id: item.id,
-        label: item.label,
-        totalPoints: 0,
-        averagePoints: 0
-      })) : [];
-
-      slideResponses.forEach(r => {
-        if (Array.isArray(r.answer)) {
-          r.answer.forEach(entry => {
-            if (entry && entry.item) {
-              const item = hundredPointsResults.find(i => i.id === entry.item);
-              if (item) {
-                item.totalPoints += (parseInt(entry.points) || 0);
-              }
-            }
-          });
-        } else if (typeof r.answer === 'object' && r.answer !== null) {
-          Object.entries(r.answer).forEach(([itemId, points]) => {
-            const item = hundredPointsResults.find(i => i.id === itemId);
-            if (item) {
-              item.totalPoints += (parseInt(points) || 0);
-            }
-          });
-        }
-      });
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=presentation-${presentation.title.replace(/[^a-z0-9]/gi, '_')}-${new Date().toISOString().split('T')[0]}.${extension}`);
+  return res.send(body);
+});
 
-      hundredPointsResults.forEach(item => {
-        item.averagePoints = slideResponses.length > 0 ? item.totalPoints / slideResponses.length : 0;
-      });
-      slideResult.hundredPointsResults = hundredPointsResults;
-    }
+/**
+ * Create a presentation from a bundle exported by another account
+ * @route POST /api/presentations/bundles
+ * @access Private
+ * @param {Object} req.body.bundle - Parsed bundle (or send req.body.file)
+ * @param {string} req.body.file - Base64 encoded .json or .zip bundle file
+ * @param {boolean} req.body.reuploadMedia - Copy the bundled media into this account's storage
+ * @returns {Object} Created presentation and media copy counts
+ */
+const importPresentationBundle = asyncHandler(async (req, res, next) => {
+  const { file, reuploadMedia = false } = req.body;
+  const userId = req.userId;
+  let { bundle } = req.body;
 
-    results[slide._id] = slideResult;
+  if (!bundle && (!file || typeof file !== 'string')) {
+    throw new AppError('Bundle data is required', 400, 'VALIDATION_ERROR');
   }
 
-  // Now build export data using the calculated results
-  const exportData = [];
-  
-  for (const slide of slides) {
-    const slideResponses = responses.filter(r => r.slideId.toString() === slide._id.toString());
-    const slideTitle = typeof slide.question === 'string' ? slide.question : (slide.question?.text || `Slide ${slide.order + 1}`);
-    const slideResult = results[slide._id];
-    
-    switch (slide.type) {
-      case 'multiple_choice':
-      case 'pick_answer':
-        const voteCounts = {};
-        if (slide.options) {
-          slide.options.forEach(opt => voteCounts[opt] = 0);
-        }
-        slideResponses.forEach(r => {
-          if (voteCounts[r.answer] !== undefined) {
-            voteCounts[r.answer]++;
-          }
-        });
-        
-        exportData.push({
-          'Slide Title': slideTitle,
-          'Slide Type': slide.type,
-          'Total Responses': slideResponses.length,
-          'Option': '',
-          'Votes': '',
-          'Percentage': ''
-        });
-        
-        Object.entries(voteCounts).forEach(([option, count]) => {
-          const percentage = slideResponses.length > 0 ? ((count / slideResponses.length) * 100).toFixed(2) + '%' : '0%';
-          exportData.push({
-            'Slide Title': '',
-            'Slide Type': '',
-            'Total Responses': '',
-            'Option': option,
-            'Votes': count,
-            'Percentage': percentage
-          });
-        });
-        exportData.push({}); // Empty row separator
-        break;
-
-      case 'open_ended':
-      case 'type_answer':
-        exportData.push({
-          'Slide Title': slideTitle,
-          'Slide Type': slide.type,
-          'Total Responses': slideResponses.length,
-          'Response': '',
-          'Participant': '',
-          'Submitted At': '',
-          'Votes': ''
-        });
-        
-        slideResponses.forEach(r => {
-          exportData.push({
-            'Slide Title': '',
-            'Slide Type': '',
-            'Total Responses': '',
-            'Response': r.answer || '',
-            'Participant': r.participantName || 'Anonymous',
-            'Submitted At': new Date(r.submittedAt).toLocaleString(),
-            'Votes': r.voteCount || 0
-          });
-        });
-        exportData.push({}); // Empty row separator
-        break;
-
-      case 'quiz':
-        const quizVoteCounts = {};
-        if (slide.quizSettings?.options) {
-          slide.quizSettings.options.forEach(opt => {
-            quizVoteCounts[opt.text || opt.id] = 0;
-          });
-        }
-        let correctCount = 0;
-        slideResponses.forEach(r => {
-          if (r.isCorrect) correctCount++;
-          const optionText = slide.quizSettings?.options?.find(opt => opt.id === r.answer)?.text || r.answer;
-          if (quizVoteCounts[optionText] !== undefined) {
-            quizVoteCounts[optionText]++;
-          }
-        });
-        
-        exportData.push({
-          'Slide Title': slideTitle,
-          'Slide Type': 'quiz',
-          'Total Responses': slideResponses.length,
-          'Correct Responses': correctCount,
-          'Accuracy': slideResponses.length > 0 ? ((correctCount / slideResponses.length) * 100).toFixed(2) + '%' : '0%',
-          'Option': '',
-          'Votes': '',
-          'Percentage': ''
-        });
-        
-        Object.entries(quizVoteCounts).forEach(([option, count]) => {
-          const percentage = slideResponses.length > 0 ? ((count / slideResponses.length) * 100).toFixed(2) + '%' : '0%';
-          exportData.push({
-            'Slide Title': '',
-            'Slide Type': '',
-            'Total Responses': '',
-            'Correct Responses': '',
-            'Accuracy': '',
-            'Option': option,
-            'Votes': count,
-            'Percentage': percentage
-          });
-        });
-        exportData.push({}); // Empty row separator
-        break;
-
-      case 'scales':
-        exportData.push({
-          'Slide Title': slideTitle,
-          'Slide Type': 'scales',
-          'Total Responses': slideResponses.length,
-          'Statement': '',
-          'Average': ''
-        });
-        
-        if (slide.statements && slideResult?.scaleStatementAverages) {
-          slide.statements.forEach((statement, idx) => {
-            exportData.push({
-              'Slide Title': '',
-              'Slide Type': '',
-              'Total Responses': '',
-              'Statement': statement,
-              'Average': slideResult.scaleStatementAverages[idx]?.toFixed(2) || '0'
-            });
-          });
-        }
-        exportData.push({}); // Empty row separator
-        break;
-
-      case 'ranking':
-        if (slideResult?.rankingResults) {
-          exportData.push({
-            'Slide Title': slideTitle,
-            'Slide Type': 'ranking',
-            'Total Responses': slideResponses.length,
-            'Item': '',
-            'Score': '',
-            'Rank': ''
-          });
-          
-          slideResult.rankingResults.forEach((item, idx) => {
-            exportData.push({
-              'Slide Title': '',
-              'Slide Type': '',
-              'Total Responses': '',
-              'Item': item.label,
-              'Score': item.score,
-              'Rank': idx + 1
-            });
-          });
-        }
-        exportData.push({}); // Empty row separator
-        break;
-
-      case 'hundred_points':
-        if (slideResult?.hundredPointsResults) {
-          exportData.push({
-            'Slide Title': slideTitle,
-            'Slide Type': 'hundred_points',
-            'Total Responses': slideResponses.length,
-            'Item': '',
-            'Total Points': '',
-            'Average Points': ''
-          });
-          
-          slideResult.hundredPointsResults.forEach(item => {
-            exportData.push({
-              'Slide Title': '',
-              'Slide Type': '',
-              'Total Responses': '',
-              'Item': item.label,
-              'Total Points': item.totalPoints,
-              'Average Points': item.averagePoints.toFixed(2)
-            });
-          });
-        }
-        exportData.push({}); // Empty row separator
-        break;
-
-      case 'qna':
-        exportData.push({
-          'Slide Title': slideTitle,
-          'Slide Type': 'qna',
-          'Total Questions': slideResponses.length,
-          'Question': '',
-          'Participant': '',
-          'Submitted At': '',
-          'Upvotes': '',
-          'Answered': ''
-        });
-        
-        slideResponses.forEach(r => {
-          exportData.push({
-            'Slide Title': '',
-            'Slide Type': '',
-            'Total Questions': '',
-            'Question': r.answer || '',
-            'Participant': r.participantName || 'Anonymous',
-            'Submitted At': new Date(r.submittedAt).toLocaleString(),
-            'Upvotes': r.voteCount || 0,
-            'Answered': r.isAnswered ? 'Yes' : 'No'
-          });
-        });
-        exportData.push({}); // Empty row separator
-        break;
-
-      default:
-        exportData.push({
-          'Slide Title': slideTitle,
-          'Slide Type': slide.type,
-          'Total Responses': slideResponses.length
-        });
-        exportData.push({}); // Empty row separator
+  if (!bundle) {
+    const sizeInMB = ((file.length * 3) / 4) / (1024 * 1024);
+    if (sizeInMB > 10) {
+      throw new AppError(`File too large (${sizeInMB.toFixed(1)}MB). Maximum size is 10MB.`, 400, 'VALIDATION_ERROR');
+    }
+    try {
+      bundle = await presentationBundleService.parseBundleFile(deckImportService.decodeFile(file));
+    } catch (error) {
+      throw new AppError(error.message, 400, 'VALIDATION_ERROR');
     }
   }
 
-  if (format === 'csv') {
-    // Convert to CSV
-    if (exportData.length === 0) {
-      throw new AppError('No data to export', 400, 'VALIDATION_ERROR');
-    }
-    const headers = Object.keys(exportData[0] || {});
-    const csvRows = [
-      headers.join(','),
-      ...exportData.map(row => 
-        headers.map(header => {
-          const value = row[header] || '';
-          if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
-            return `"${value.replace(/"/g, '""')}"`;
-          }
-          return value;
-        }).join(',')
-      )
-    ];
-    const csv = csvRows.join('\n');
-
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename=presentation-results-${presentation.title.replace(/[^a-z0-9]/gi, '_')}-${new Date().toISOString().split('T')[0]}.csv`);
-    return res.send(csv);
-  } else if (format === 'excel') {
-    // Convert to Excel
-    if (exportData.length === 0) {
-      throw new AppError('No data to export', 400, 'VALIDATION_ERROR');
+  const errors = presentationBundleService.validateBundle(bundle);
+  if (errors.length > 0) {
+    throw new AppError(`Invalid presentation bundle: ${errors.join('; ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  const { user, hasActiveSubscription } = await checkPresentationLimit(userId);
+  const imported = await createPresentationFromBundle({
+    user,
+    hasActiveSubscription,
+    bundle,
+    reuploadMedia: reuploadMedia === true
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Presentation imported successfully',
+    presentation: formatCreatedPresentation(imported),
+    media: imported.media
+  });
+});
+
+/**
+ * Duplicate a presentation: slides and settings are deep-copied, responses and runs are not
+ * @route POST /api/presentations/:id/duplicate
+ * @access Private
+ * @param {string} req.params.id - Presentation ID
+ * @param {string} req.body.title - Title of the copy (optional)
+ * @returns {Object} Created presentation
+ */
+const duplicatePresentation = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.userId;
+
+  const source = await Presentation.findOne(collaborationService.presentationFilter(id, req.user, 'view'));
+  if (!source) {
+    throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const title = typeof req.body.title === 'string' && req.body.title.trim()
+    ? req.body.title.trim()
+    : `${source.title} (copy)`;
+
+  const { user, hasActiveSubscription } = await checkPresentationLimit(userId);
+  const bundle = await templateService.buildDuplicateBundle(source, title);
+  // Media is copied so that editing either presentation never deletes files the other one uses
+  const duplicated = await createPresentationFromBundle({ user, hasActiveSubscription, bundle, reuploadMedia: true });
+
+  res.status(201).json({
+    success: true,
+    message: 'Presentation duplicated successfully',
+    presentation: formatCreatedPresentation(duplicated),
+    media: duplicated.media
+  });
+});
+
+/**
+ * Create a presentation from a system, institution or saved template
+ * @route POST /api/presentations/from-template
+ * @access Private
+ * @param {string} req.body.templateId - Template ID (see GET /api/templates)
+ * @param {string} req.body.title - Presentation title (optional, defaults to the template title)
+ * @returns {Object} Created presentation
+ */
+const createPresentationFromTemplate = asyncHandler(async (req, res, next) => {
+  const { templateId, title } = req.body;
+  const userId = req.userId;
+
+  if (!templateId || typeof templateId !== 'string') {
+    throw new AppError('Template ID is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const { user, hasActiveSubscription } = await checkPresentationLimit(userId);
+  const template = await templateService.getTemplateForUser(templateId, user);
+  if (!template) {
+    throw new AppError('Template not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const bundle = {
+    ...template.bundle,
+    presentation: {
+      ...template.bundle.presentation,
+      title: typeof title === 'string' && title.trim() ? title.trim() : template.title
     }
-    const worksheet = XLSX.utils.json_to_sheet(exportData);
-    const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, 'Results');
-    
-    const excelBuffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
-    
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename=presentation-results-${presentation.title.replace(/[^a-z0-9]/gi, '_')}-${new Date().toISOString().split('T')[0]}.xlsx`);
-    return res.send(excelBuffer);
+  };
+  const created = await createPresentationFromBundle({ user, hasActiveSubscription, bundle });
+
+  res.status(201).json({
+    success: true,
+    message: 'Presentation created successfully',
+    presentation: formatCreatedPresentation(created)
+  });
+});
+
+/**
+ * Save a presentation as a personal template
+ * @route POST /api/presentations/:id/template
+ * @access Private
+ * @param {string} req.params.id - Presentation ID
+ * @param {string} req.body.title - Template title (optional, defaults to the presentation title)
+ * @param {string} req.body.description - Template description (optional)
+ * @returns {Object} Created template
+ */
+const savePresentationAsTemplate = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { title, description = '' } = req.body;
+  const userId = req.userId;
+
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(id, req.user, 'view'));
+  if (!presentation) {
+    throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  let template;
+  try {
+    template = await templateService.createTemplateFromPresentation({
+      presentation,
+      title: typeof title === 'string' ? title : '',
+      description: typeof description === 'string' ? description : '',
+      scope: 'user',
+      userId,
+      createdBy: req.user?.email || ''
+    });
+  } catch (error) {
+    throw new AppError(error.message, 400, 'VALIDATION_ERROR');
   }
+
+  res.status(201).json({
+    success: true,
+    message: 'Template saved successfully',
+    template
+  });
 });
 
 /**
@@ -1036,24 +1051,58 @@ const exportPresentationResults = asyncHandler(async (req, res, next) => {
  * @param {string} req.params.id - Presentation ID
  * @param {string} req.body.title - New title (optional)
  * @param {boolean} req.body.showResults - Show results setting (optional)
+ * @param {Object} req.body.teamSettings - Team mode settings (optional)
+ * @param {Object} req.body.selfPacedSettings - Self-paced mode settings (optional)
+ * @param {Object} req.body.contentFilter - Profanity/blocklist filter settings (optional)
  * @returns {Object} Updated presentation object
  */
 const updatePresentation = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
-  const userId = req.userId;
-  const { title, showResults } = req.body;
+  const { title, showResults, teamSettings, selfPacedSettings, contentFilter } = req.body;
 
-  const presentation = await Presentation.findOne({ _id: id, userId });
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(id, req.user, 'edit'));
 
   if (!presentation) {
     throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
   }
 
   if (title !== undefined) presentation.title = title.trim();
+  const titleChanged = presentation.isModified('title');
   if (showResults !== undefined) presentation.showResults = showResults;
+  if (teamSettings !== undefined) {
+    try {
+      presentation.teamSettings = teamSettings ? teamService.normalizeTeamSettings(teamSettings) : null;
+    } catch (error) {
+      throw new AppError(error.message, 400, 'VALIDATION_ERROR');
+    }
+  }
+  if (selfPacedSettings !== undefined) {
+    try {
+      presentation.selfPacedSettings = selfPacedSettings
+        ? selfPacedService.normalizeSelfPacedSettings(selfPacedSettings)
+        : null;
+    } catch (error) {
+      throw new AppError(error.message, 400, 'VALIDATION_ERROR');
+    }
+  }
+  if (contentFilter !== undefined) {
+    try {
+      presentation.contentFilter = contentFilterService.normalizeContentFilter(contentFilter);
+    } catch (error) {
+      throw new AppError(error.message, 400, 'VALIDATION_ERROR');
+    }
+  }
 
   await presentation.save();
 
+  if (titleChanged) {
+    await slideHistoryService.recordRename(presentation, req.user);
+    broadcastEditorChange(req.app.get('io'), id, 'presentation-updated', {
+      title: presentation.title,
+      updatedBy: req.user.displayName || req.user.email
+    }, req.get('X-Socket-Id'));
+  }
+
   res.status(200).json({
     success: true,
     message: 'Presentation updated successfully',
@@ -1064,6 +1113,9 @@ const updatePresentation = asyncHandler(async (req, res, next) => {
       isLive: presentation.isLive,
       currentSlideIndex: presentation.currentSlideIndex,
       showResults: presentation.showResults,
+      teamSettings: presentation.teamSettings || null,
+      selfPacedSettings: presentation.selfPacedSettings || null,
+      contentFilter: await contentFilterService.getContentFilter(presentation),
       updatedAt: presentation.updatedAt
     }
   });
@@ -1087,7 +1139,9 @@ const deletePresentation = asyncHandler(async (req, res, next) => {
   }
 
   await Response.deleteMany({ presentationId: id });
+  await runService.clearRuns(id);
   await Slide.deleteMany({ presentationId: id });
+  await slideHistoryService.clearHistory(id);
   await Presentation.deleteOne({ _id: id });
 
   res.status(200).json({
@@ -1106,12 +1160,8 @@ const deletePresentation = asyncHandler(async (req, res, next) => {
  */
 const createLeaderboardForQuiz = asyncHandler(async (req, res, next) => {
   const { presentationId, slideId } = req.params;
-  const userId = req.userId;
 
-  const presentation = await Presentation.findOne({
-    _id: presentationId,
-    userId
-  });
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(presentationId, req.user, 'edit'));
 
   if (!presentation) {
     throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
@@ -1142,8 +1192,9 @@ const createLeaderboardForQuiz = asyncHandler(async (req, res, next) => {
 
 /**
  * Get leaderboard for presentation
+ * Team leaderboards are included (otherwise null) when the presentation uses team mode
  */
-const buildLeaderboardSummary = async ({ presentationId, limit = 10 }) => {
+const buildLeaderboardSummary = async ({ presentationId, limit = 10, runId }) => {
   const quizSlides = await Slide.find({ presentationId, type: 'quiz' })
     .select('_id question order')
     .sort({ order: 1 })
@@ -1152,20 +1203,30 @@ const buildLeaderboardSummary = async ({ presentationId, limit = 10 }) => {
   const { leaderboardsBySlide, finalLeaderboard } = await quizScoringService.getCumulativeLeaderboards(
     presentationId,
     quizSlides,
-    limit
+    limit,
+    runId
   );
 
+  const teamSettings = await teamService.getTeamSettings(presentationId);
+  const teamLeaderboards = teamSettings
+    ? await teamService.getCumulativeTeamLeaderboards(presentationId, teamSettings, quizSlides, runId)
+    : null;
+
   const perQuizLeaderboards = quizSlides.map((quiz) => {
     const board = leaderboardsBySlide[quiz._id.toString()] || [];
     return {
       quizSlideId: quiz._id.toString(),
-      leaderboard: board
+      leaderboard: board,
+      teamLeaderboard: teamLeaderboards
+        ? (teamLeaderboards.leaderboardsBySlide[quiz._id.toString()] || [])
+        : null
     };
   });
 
   return {
     perQuizLeaderboards,
-    finalLeaderboard
+    finalLeaderboard,
+    finalTeamLeaderboard: teamLeaderboards ? teamLeaderboards.finalLeaderboard : null
   };
 };
 
@@ -1175,34 +1236,96 @@ const buildLeaderboardSummary = async ({ presentationId, limit = 10 }) => {
  * @access Private
  * @param {string} req.params.presentationId - Presentation ID
  * @param {number} req.query.limit - Limit for leaderboard entries (default: 10)
+ * @param {string} req.query.runId - Only rank one run ('all' for every run; defaults to the live run, or all runs when not live)
  * @returns {Object} Leaderboard data
  */
 const getLeaderboard = asyncHandler(async (req, res, next) => {
   const { presentationId } = req.params;
-  const userId = req.userId;
   const limit = parseInt(req.query.limit) || 10;
 
-  const presentation = await Presentation.findOne({
-    _id: presentationId,
-    userId
-  });
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(presentationId, req.user, 'view'));
 
   if (!presentation) {
     throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
   }
 
-  const { perQuizLeaderboards, finalLeaderboard } = await buildLeaderboardSummary({
+  // Slides shown while presenting rank the live run only
+  const runId = req.query.runId === undefined && presentation.currentRunId
+    ? presentation.currentRunId.toString()
+    : await resolveRunQuery(presentationId, req.query.runId);
+
+  const { perQuizLeaderboards, finalLeaderboard, finalTeamLeaderboard } = await buildLeaderboardSummary({
     presentationId,
     limit,
+    runId
   });
 
   res.status(200).json({
     success: true,
     finalLeaderboard,
+    finalTeamLeaderboard,
     perQuizLeaderboards,
   });
 });
 
+/**
+ * Get the run history of a presentation (one run per live session)
+ * @route GET /api/presentations/:id/runs
+ * @access Private
+ * @param {string} req.params.id - Presentation ID
+ * @returns {Object} Runs, oldest first
+ */
+const getPresentationRuns = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(id, req.user, 'view')).select('_id').lean();
+
+  if (!presentation) {
+    throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const runs = await runService.listRuns(id);
+
+  res.status(200).json({
+    success: true,
+    runs: runs.map(run => ({
+      id: run._id,
+      runNumber: run.runNumber,
+      label: run.label,
+      status: run.status,
+      startedAt: run.startedAt,
+      endedAt: run.endedAt,
+      participantCount: run.participantCount,
+      responseCount: run.responseCount
+    }))
+  });
+});
+
+/**
+ * Get completion of a self-paced presentation
+ * @route GET /api/presentations/:id/self-paced/progress
+ * @access Private
+ * @param {string} req.params.id - Presentation ID
+ * @returns {Object} Open window and per-participant/per-slide completion
+ */
+const getSelfPacedProgress = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(id, req.user, 'view'));
+
+  if (!presentation) {
+    throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const completion = await selfPacedService.getCompletion(id);
+
+  res.status(200).json({
+    success: true,
+    window: selfPacedService.getSelfPacedWindow(presentation),
+    ...completion
+  });
+});
+
 /**
  * Generate leaderboard slides for all quizzes with responses
  * @route POST /api/presentations/:presentationId/leaderboards/generate
@@ -1212,12 +1335,8 @@ const getLeaderboard = asyncHandler(async (req, res, next) => {
  */
 const generateLeaderboards = asyncHandler(async (req, res, next) => {
   const { presentationId } = req.params;
-  const userId = req.userId;
 
-  const presentation = await Presentation.findOne({
-    _id: presentationId,
-    userId
-  });
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(presentationId, req.user, 'edit'));
 
   if (!presentation) {
     throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
@@ -1244,29 +1363,36 @@ const generateLeaderboards = asyncHandler(async (req, res, next) => {
 const toggleQnaStatus = asyncHandler(async (req, res, next) => {
   const { presentationId, questionId } = req.params;
   const { isAnswered } = req.body;
-  const userId = req.userId;
 
-  const presentation = await Presentation.findOne({ _id: presentationId, userId });
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(presentationId, req.user, 'present'));
   if (!presentation) {
     throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
   }
 
-  const response = await Response.findOneAndUpdate(
-    { _id: questionId, presentationId },
-    { $set: { isAnswered } },
-    { new: true }
-  );
-
-  if (!response) {
+  const question = /^[0-9a-fA-F]{24}$/.test(questionId)
+    ? await Response.findOne({ _id: questionId, presentationId: presentation._id }).select('slideId').lean()
+    : null;
+  if (!question) {
     throw new AppError('Question not found', 404, 'RESOURCE_NOT_FOUND');
   }
 
+  const result = await qnaSession.markAnswered({ slide: question.slideId, questionId, answered: Boolean(isAnswered) });
+  if (result.error) {
+    throw new AppError(result.error, 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  // Live presenters and participants see the change like one made from the presenter view
+  const io = req.app.get('io');
+  if (io) {
+    await emitQnaState({ io, presentationId: presentation._id, slideId: question.slideId });
+  }
+
   res.status(200).json({
     success: true,
     message: 'Status updated successfully',
     question: {
-      id: response._id,
-      isAnswered: response.isAnswered
+      id: result.question.id,
+      isAnswered: result.question.answered
     }
   });
 });
@@ -1277,11 +1403,11 @@ const toggleQnaStatus = asyncHandler(async (req, res, next) => {
  * @access Private
  * @param {string} req.params.presentationId - Presentation ID
  * @param {string} req.params.slideId - Slide ID
+ * @param {string} req.query.runId - Only include one run (all runs when omitted)
  * @returns {Object} Array of responses with aggregated data
  */
 const getSlideResponses = asyncHandler(async (req, res, next) => {
   const { presentationId, slideId } = req.params;
-  const userId = req.userId;
 
   // Check if slideId is a valid MongoDB ObjectId (not a temporary ID)
   if (!slideId || slideId.startsWith('temp-') || !/^[0-9a-fA-F]{24}$/.test(slideId)) {
@@ -1289,7 +1415,7 @@ const getSlideResponses = asyncHandler(async (req, res, next) => {
   }
 
   // Verify presentation belongs to user
-  const presentation = await Presentation.findOne({ _id: presentationId, userId });
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(presentationId, req.user, 'view'));
   if (!presentation) {
     throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
   }
@@ -1301,10 +1427,10 @@ const getSlideResponses = asyncHandler(async (req, res, next) => {
   }
 
   // Get all responses for this slide
-  const responses = await Response.find({ slideId }).sort({ createdAt: 1 }).lean();
+  const runId = await resolveRunQuery(presentationId, req.query.runId);
+  const responses = await Response.find({ slideId, ...runService.runFilter(runId) }).sort({ createdAt: 1 }).lean();
 
   // Build aggregated data using the same logic as socket handlers
-  const { getHandler } = require('../interactions');
   const handler = getHandler(slide.type);
   let aggregatedData = { totalResponses: responses.length };
 
@@ -1318,20 +1444,16 @@ const getSlideResponses = asyncHandler(async (req, res, next) => {
 
     aggregatedData = {
       ...aggregatedData,
-      ...handler.buildResults(slide, responses, {
+      ...(await handler.buildResults(slide, responses, {
         openEndedSettings,
         qnaSettings
-      })
+      }))
     };
   }
 
-  // For QnA slides, get questions from session
+  // For QnA slides, the questions of the selected runs
   if (slide.type === 'qna') {
-    const { getState: getQnaState } = require('../services/qnaSession');
-    const qnaState = getQnaState(slideId);
-    if (qnaState) {
-      aggregatedData.questions = qnaState.questions || [];
-    }
+    aggregatedData.questions = aggregatedData.qnaState?.questions || [];
   }
 
   // For leaderboard slides, fetch leaderboard data
@@ -1339,7 +1461,8 @@ const getSlideResponses = asyncHandler(async (req, res, next) => {
     try {
       const leaderboardData = await buildLeaderboardSummary({
         presentationId,
-        limit: slide.leaderboardSettings?.displayCount || 10
+        limit: slide.leaderboardSettings?.displayCount || 10,
+        runId
       });
 
       // If it's a linked leaderboard, filter for that
@@ -1347,8 +1470,10 @@ const getSlideResponses = asyncHandler(async (req, res, next) => {
         const linkedId = slide.leaderboardSettings.linkedQuizSlideId.toString();
         const specificBoard = leaderboardData.perQuizLeaderboards.find(b => b.quizSlideId === linkedId);
         aggregatedData.leaderboard = specificBoard ? specificBoard.leaderboard : [];
+        aggregatedData.teamLeaderboard = specificBoard ? specificBoard.teamLeaderboard : null;
       } else {
         aggregatedData.leaderboard = leaderboardData.finalLeaderboard || [];
+        aggregatedData.teamLeaderboard = leaderboardData.finalTeamLeaderboard;
       }
       aggregatedData.totalResponses = aggregatedData.leaderboard.length;
     } catch (err) {
@@ -1366,7 +1491,9 @@ const getSlideResponses = asyncHandler(async (req, res, next) => {
       question: slide.question,
       options: slide.options,
       statements: slide.statements,
+      scaleMode: slide.scaleMode,
       rankingItems: slide.rankingItems,
+      rankingMethod: slide.rankingMethod,
       hundredPointsItems: slide.hundredPointsItems,
       gridItems: slide.gridItems,
       quizSettings: slide.quizSettings,
@@ -1382,7 +1509,9 @@ const getSlideResponses = asyncHandler(async (req, res, next) => {
       gridAxisXLabel: slide.gridAxisXLabel,
       gridAxisYLabel: slide.gridAxisYLabel,
       gridAxisRange: slide.gridAxisRange,
+      gridQuadrantLabels: slide.gridQuadrantLabels,
       maxWordsPerParticipant: slide.maxWordsPerParticipant,
+      wordCloudSettings: slide.wordCloudSettings,
       instructionContent: slide.instructionContent,
       content: slide.content
     },
@@ -1409,7 +1538,6 @@ const getSlideResponses = asyncHandler(async (req, res, next) => {
  */
 const clearPresentationResults = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
-  const userId = req.userId;
   const isInstitutionAdmin = req.institutionAdmin;
   const institutionId = req.institution?.id || req.institution?._id;
 
@@ -1421,7 +1549,7 @@ const clearPresentationResults = asyncHandler(async (req, res, next) => {
   }
 
   // Check if it belongs to the user
-  let presentation = await Presentation.findOne({ _id: id, userId }).lean();
+  let presentation = await Presentation.findOne(collaborationService.presentationFilter(id, req.user, 'edit')).lean();
 
   // If not found and user is an institution admin, check if presentation belongs to any institution user
   if (!presentation && isInstitutionAdmin && institutionId) {
@@ -1481,9 +1609,10 @@ const clearPresentationResults = asyncHandler(async (req, res, next) => {
   await quizScoringService.clearPresentationScores(id);
 
   // Clear all session data for all slides in this presentation
-  qnaSession.clearAllSessionsForPresentation(id, slideIds);
-  quizSessionService.clearAllSessions(slideIds);
-  guessNumberSession.clearAllSessionsForPresentation(id, slideIds);
+  await quizSessionService.clearAllSessions(slideIds);
+  await guessNumberSession.clearAllSessionsForPresentation(id, slideIds);
+  await selfPacedService.clearProgress(id);
+  await runService.clearRuns(id, presentation.currentRunId);
 
   res.status(200).json({
     success: true,
@@ -1492,8 +1621,8 @@ const clearPresentationResults = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Recalculate and fix scores for existing quiz results
- * This ensures incorrect answers have 0 points
+ * Recalculate scores for existing quiz results
+ * Applies each quiz's current scoring strategy, e.g. after the teacher changes it
  * @route POST /api/presentations/:id/recalculate-scores
  * @access Private
  * @param {string} req.params.id - Presentation ID
@@ -1501,7 +1630,6 @@ const clearPresentationResults = asyncHandler(async (req, res, next) => {
  */
 const recalculatePresentationScores = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
-  const userId = req.userId;
   const isInstitutionAdmin = req.institutionAdmin;
   const institutionId = req.institution?.id || req.institution?._id;
 
@@ -1513,7 +1641,7 @@ const recalculatePresentationScores = asyncHandler(async (req, res, next) => {
   }
 
   // Check if it belongs to the user
-  let presentation = await Presentation.findOne({ _id: id, userId }).lean();
+  let presentation = await Presentation.findOne(collaborationService.presentationFilter(id, req.user, 'edit')).lean();
 
   // If not found and user is an institution admin, check if presentation belongs to any institution user
   if (!presentation && isInstitutionAdmin && institutionId) {
@@ -1562,29 +1690,14 @@ const recalculatePresentationScores = asyncHandler(async (req, res, next) => {
     throw new AppError('Presentation not found or access denied', 404, 'RESOURCE_NOT_FOUND');
   }
 
-  // Recalculate scores using the service
+  // Recalculate scores (and response scores) from each quiz's scoring settings
   const result = await quizScoringService.recalculatePresentationScores(id);
 
-  // Also fix Response model scores
-  const Response = require('../models/Response');
-  const responses = await Response.find({ 
-    presentationId: id,
-    isCorrect: false,
-    score: { $ne: 0 }
-  });
-
-  let fixedResponses = 0;
-  for (const response of responses) {
-    response.score = 0;
-    await response.save();
-    fixedResponses++;
-  }
-
   res.status(200).json({
     success: true,
-    message: `Scores recalculated successfully. Fixed ${result.fixedCount} participant(s) and ${fixedResponses} response(s).`,
+    message: `Scores recalculated successfully. Fixed ${result.fixedCount} participant(s) and ${result.fixedResponses} response(s).`,
     fixedCount: result.fixedCount,
-    fixedResponses
+    fixedResponses: result.fixedResponses
   });
 });
 
@@ -1594,11 +1707,12 @@ const recalculatePresentationScores = asyncHandler(async (req, res, next) => {
  * @access Private
  * @param {string} req.params.presentationId - Presentation ID
  * @param {string} req.params.slideId - Slide ID
+ * @param {string} req.query.runId - Only clear one run ('none' for answers outside live runs).
+ *   When omitted the slide's results and scores of every run are cleared.
  * @returns {Object} Success message
  */
 const clearSlideResults = asyncHandler(async (req, res, next) => {
   const { presentationId, slideId } = req.params;
-  const userId = req.userId;
   const isInstitutionAdmin = req.institutionAdmin;
   const institutionId = req.institution?.id || req.institution?._id;
 
@@ -1610,7 +1724,7 @@ const clearSlideResults = asyncHandler(async (req, res, next) => {
   }
 
   // Check if it belongs to the user
-  let presentation = await Presentation.findOne({ _id: presentationId, userId }).lean();
+  let presentation = await Presentation.findOne(collaborationService.presentationFilter(presentationId, req.user, 'edit')).lean();
 
   // If not found and user is an institution admin, check if presentation belongs to any institution user
   if (!presentation && isInstitutionAdmin && institutionId) {
@@ -1665,21 +1779,26 @@ const clearSlideResults = asyncHandler(async (req, res, next) => {
     throw new AppError('Slide not found', 404, 'RESOURCE_NOT_FOUND');
   }
 
-  // Delete all responses for this slide
-  await Response.deleteMany({ slideId: slide._id });
+  const runId = await resolveRunQuery(presentationId, req.query.runId);
+  // Live session state belongs to the current run
+  const clearsLiveRun = runId === undefined || String(runId) === String(presentation.currentRunId || null);
 
-  // Clear session data for this specific slide
-  qnaSession.clearSession(slide._id.toString());
-  quizSessionService.clearSession(slide._id.toString());
-  guessNumberSession.clearSession(slide._id.toString());
+  // Delete the responses for this slide
+  await Response.deleteMany({ slideId: slide._id, ...runService.runFilter(runId) });
+
+  if (clearsLiveRun) {
+    // Clear session data for this specific slide
+    await quizSessionService.clearSession(slide._id.toString());
+    await guessNumberSession.clearSession(slide._id.toString());
+  }
 
   // Get socket.io instance to emit events
   const io = req.app.get('io');
 
-  // If this is a quiz slide, clear participant scores for this slide
-  // This will also affect any leaderboard slides linked to this quiz
-  if (slide.type === 'quiz') {
-    await quizScoringService.clearSlideScores(presentationId, slide._id.toString());
+  // If this is a quiz or pin on image slide (scored pins count like quizzes), clear participant
+  // scores for this slide. This will also affect any leaderboard slides linked to this quiz
+  if (slide.type === 'quiz' || slide.type === 'pin_on_image') {
+    await quizScoringService.clearSlideScores(presentationId, slide._id.toString(), runId);
 
     if (io) {
       // Find all leaderboard slides linked to this quiz slide
@@ -1695,7 +1814,8 @@ const clearSlideResults = asyncHandler(async (req, res, next) => {
         try {
           const leaderboardData = await buildLeaderboardSummary({
             presentationId,
-            limit: leaderboardSlide.leaderboardSettings?.displayCount || 10
+            limit: leaderboardSlide.leaderboardSettings?.displayCount || 10,
+            runId: presentation.currentRunId || null
           });
 
           const linkedId = slide._id.toString();
@@ -1708,6 +1828,7 @@ const clearSlideResults = asyncHandler(async (req, res, next) => {
             presentationId,
             slideId: leaderboardSlide._id.toString(),
             leaderboard: specificBoard ? specificBoard.leaderboard : [],
+            teamLeaderboard: specificBoard ? specificBoard.teamLeaderboard : null,
             quizSlideId: linkedId
           });
         } catch (err) {
@@ -1718,7 +1839,7 @@ const clearSlideResults = asyncHandler(async (req, res, next) => {
   }
 
   // Emit slide-results-cleared event for all clients (for all slide types)
-  if (io) {
+  if (io && clearsLiveRun) {
     io.to(`presentation-${presentationId}`).emit('slide-results-cleared', {
       slideId: slide._id.toString(),
       slideType: slide.type
@@ -1737,6 +1858,12 @@ module.exports = {
   getPresentationById,
   getPresentationResultById,
   exportPresentationResults,
+  importPresentationSlides,
+  exportPresentationBundle,
+  importPresentationBundle,
+  duplicatePresentation,
+  createPresentationFromTemplate,
+  savePresentationAsTemplate,
   updatePresentation,
   deletePresentation,
   createSlide,
@@ -1745,6 +1872,8 @@ module.exports = {
   recalculatePresentationScores,
   createLeaderboardForQuiz,
   getLeaderboard,
+  getPresentationRuns,
+  getSelfPacedProgress,
   generateLeaderboards,
   toggleQnaStatus,
   getSlideResponses,
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const Presentation = require('../models/Presentation');
+const User = require('../models/User');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get the authenticated API key and its institution
+ * @route GET /api/v1/me
+ * @access Private (API Key)
+ */
+const getApiKeyInfo = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      institution: {
+        id: req.institution._id,
+        name: req.institution.name
+      },
+      apiKey: req.apiKey
+    }
+  });
+});
+
+/**
+ * Make sure the presentation in req.params.id belongs to a user of the key's
+ * institution, then act as its owner (req.user and req.userId) so presenter
+ * handlers can be reused.
+ * @param {string} req.params.id - Presentation ID
+ */
+const resolvePresentationOwner = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const presentation = await Presentation.findById(id).select('userId').lean();
+  if (!presentation) {
+    throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const owner = await User.findById(presentation.userId);
+  if (!owner?.institutionId || owner.institutionId.toString() !== req.institutionId.toString()) {
+    throw new AppError('Presentation not found or access denied', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  req.user = owner;
+  req.userId = presentation.userId.toString();
+  next();
+});
+
+module.exports = {
+  getApiKeyInfo,
+  resolvePresentationOwner
+};
@@ -3,8 +3,18 @@ const Presentation = require("../models/Presentation");
 const Slide = require("../models/Slide");
 const Response = require("../models/Response");
 const leaderboardService = require('../services/leaderboardService');
+const branchingService = require('../services/branchingService');
+const qnaSession = require('../services/qnaSession');
+const wordCloudService = require('../services/wordCloudService');
+const pinOnImageService = require('../services/pinOnImageService');
+const gridStatsService = require('../services/gridStatsService');
+const collaborationService = require('../services/collaborationService');
+const slideRevisionService = require('../services/slideRevisionService');
+const slideHistoryService = require('../services/slideHistoryService');
+const { getScoringOptions, MULTI_SELECT_SCORING_MODES } = require('../services/quizScoringService');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const Logger = require('../utils/logger');
+const { broadcastEditorChange } = require('../socket/editorHandlers');
 
 function sanitizeRankingItems(items) {
   if (!Array.isArray(items)) return null;
@@ -44,6 +54,83 @@ function sanitizeHundredPointsItems(items) {
   return sanitized.length ? sanitized : null;
 }
 
+/**
+ * Validate branching rules against the slides of the presentation
+ * @throws {AppError} If a rule is invalid
+ */
+async function buildBranching(branching, slide, presentationId) {
+  const presentationSlides = await Slide.find({ presentationId }).select('_id').lean();
+  try {
+    return branchingService.normalizeBranching(branching, slide, presentationSlides.map(s => s._id));
+  } catch (error) {
+    throw new AppError(error.message, 400, 'VALIDATION_ERROR');
+  }
+}
+
+/**
+ * Validate pin on image settings (correct areas, pin limit and scoring)
+ * @throws {AppError} If the settings are invalid
+ */
+function buildPinOnImageSettings(settings, existing) {
+  try {
+    return pinOnImageService.normalizeSettings(settings, existing);
+  } catch (error) {
+    throw new AppError(error.message, 400, 'VALIDATION_ERROR');
+  }
+}
+
+/**
+ * Shape a slide for API responses and editor broadcasts
+ */
+function formatSlide(slide) {
+  return {
+    id: slide._id,
+    order: slide.order,
+    type: slide.type,
+    question: slide.question,
+    options: slide.options,
+    minValue: slide.minValue,
+    maxValue: slide.maxValue,
+    minLabel: slide.minLabel,
+    maxLabel: slide.maxLabel,
+    statements: slide.statements,
+    scaleMode: slide.scaleMode,
+    rankingMethod: slide.rankingMethod,
+    rankingItems: slide.rankingItems,
+    hundredPointsItems: slide.hundredPointsItems,
+    gridItems: slide.gridItems,
+    gridAxisXLabel: slide.gridAxisXLabel,
+    gridAxisYLabel: slide.gridAxisYLabel,
+    gridAxisRange: slide.gridAxisRange,
+    gridQuadrantLabels: slide.gridQuadrantLabels,
+    maxWordsPerParticipant: slide.maxWordsPerParticipant,
+    wordCloudSettings: slide.wordCloudSettings,
+    openEndedSettings: slide.openEndedSettings,
+    qnaSettings: slide.qnaSettings,
+    guessNumberSettings: slide.guessNumberSettings,
+    pinOnImageSettings: slide.pinOnImageSettings,
+    quizSettings: slide.quizSettings,
+    leaderboardSettings: slide.leaderboardSettings,
+    branching: slide.branching,
+    textContent: slide.textContent,
+    imageUrl: slide.imageUrl,
+    imagePublicId: slide.imagePublicId,
+    videoUrl: slide.videoUrl,
+    videoPublicId: slide.videoPublicId,
+    instructionContent: slide.instructionContent,
+    miroUrl: slide.miroUrl,
+    powerpointUrl: slide.powerpointUrl,
+    powerpointPublicId: slide.powerpointPublicId,
+    googleSlidesUrl: slide.googleSlidesUrl,
+    pdfUrl: slide.pdfUrl,
+    pdfPublicId: slide.pdfPublicId,
+    pdfPages: slide.pdfPages,
+    createdAt: slide.createdAt,
+    updatedAt: slide.updatedAt,
+    revision: slide.revision || 0
+  };
+}
+
 async function reorderSlides(presentationId) {
   // Get all slides for this presentation
   const slides = await Slide.find({ presentationId });
@@ -89,7 +176,6 @@ async function reorderSlides(presentationId) {
  */
 module.exports.createSlide = asyncHandler(async (req, res, next) => {
   const { presentationId } = req.params;
-  const userId = req.userId;
     const {
       type,
       question,
@@ -99,13 +185,17 @@ module.exports.createSlide = asyncHandler(async (req, res, next) => {
       minLabel,
       maxLabel,
       statements,
+      scaleMode,
       rankingItems,
+      rankingMethod,
       hundredPointsItems,
       gridItems,
       gridAxisXLabel,
       gridAxisYLabel,
       gridAxisRange,
+      gridQuadrantLabels,
       maxWordsPerParticipant,
+      wordCloudSettings,
       openEndedSettings,
       qnaSettings,
       guessNumberSettings,
@@ -124,10 +214,11 @@ module.exports.createSlide = asyncHandler(async (req, res, next) => {
       pdfUrl,
       pdfPublicId,
       pdfPages,
+      branching,
       order  // Accept order from frontend
     } = req.body;
 
-  const presentation = await Presentation.findOne({ _id: presentationId, userId });
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(presentationId, req.user, 'edit'));
 
   if (!presentation) {
     throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
@@ -192,17 +283,21 @@ module.exports.createSlide = asyncHandler(async (req, res, next) => {
       minLabel: type === 'scales' ? minLabel : null,
       maxLabel: type === 'scales' ? maxLabel : null,
       statements: type === 'scales' ? statements : null,
+      scaleMode: type === 'scales' ? scaleMode : undefined,
       rankingItems: type === 'ranking' ? sanitizedRankingItems : null,
+      rankingMethod: type === 'ranking' ? rankingMethod : undefined,
       hundredPointsItems: type === 'hundred_points' ? sanitizedHundredPointsItems : undefined,
       gridItems: type === '2x2_grid' ? sanitizedGridItems : undefined,
       gridAxisXLabel: type === '2x2_grid' ? (gridAxisXLabel || '') : undefined,
       gridAxisYLabel: type === '2x2_grid' ? (gridAxisYLabel || '') : undefined,
       gridAxisRange: type === '2x2_grid' ? (gridAxisRange || { min: 0, max: 10 }) : undefined,
+      gridQuadrantLabels: type === '2x2_grid' ? gridStatsService.normalizeQuadrantLabels(gridQuadrantLabels) : undefined,
       maxWordsPerParticipant: type === 'word_cloud' ? (Number(maxWordsPerParticipant) || 1) : undefined,
+      wordCloudSettings: type === 'word_cloud' ? wordCloudService.normalizeSettings(wordCloudSettings) : undefined,
       openEndedSettings: type === 'open_ended' ? openEndedSettings : undefined,
-      qnaSettings: type === 'qna' ? qnaSettings : undefined,
+      qnaSettings: type === 'qna' ? qnaSession.normalizeSettings(qnaSettings) : undefined,
       guessNumberSettings: type === 'guess_number' ? (guessNumberSettings || { minValue: 1, maxValue: 10, correctAnswer: 5 }) : undefined,
-      pinOnImageSettings: type === 'pin_on_image' ? pinOnImageSettings : undefined,
+      pinOnImageSettings: type === 'pin_on_image' ? buildPinOnImageSettings(pinOnImageSettings) : undefined,
       quizSettings: type === 'quiz' ? quizSettings : undefined,
       textContent: type === 'text' ? (textContent || '') : undefined,
       imageUrl: type === 'image' ? (imageUrl || '') : undefined,
@@ -221,6 +316,10 @@ module.exports.createSlide = asyncHandler(async (req, res, next) => {
       pdfPages: type === 'pdf' ? (pdfPages || []) : undefined,
   });
 
+  if (branching !== undefined) {
+    slide.branching = await buildBranching(branching, slide, presentationId);
+  }
+
   await slide.save();
 
   let leaderboardSlideResponse = null;
@@ -248,52 +347,21 @@ module.exports.createSlide = asyncHandler(async (req, res, next) => {
   const responsePayload = {
     success: true,
     message: 'Slide created successfully',
-    slide: {
-        id: slide._id,
-        order: slide.order,
-        type: slide.type,
-        question: slide.question,
-        options: slide.options,
-        minValue: slide.minValue,
-        maxValue: slide.maxValue,
-        minLabel: slide.minLabel,
-        maxLabel: slide.maxLabel,
-        statements: slide.statements,
-        rankingItems: slide.rankingItems,
-        hundredPointsItems: slide.hundredPointsItems,
-        gridItems: slide.gridItems,
-        gridAxisXLabel: slide.gridAxisXLabel,
-        gridAxisYLabel: slide.gridAxisYLabel,
-        gridAxisRange: slide.gridAxisRange,
-        maxWordsPerParticipant: slide.maxWordsPerParticipant,
-        openEndedSettings: slide.openEndedSettings,
-        qnaSettings: slide.qnaSettings,
-        guessNumberSettings: slide.guessNumberSettings,
-        pinOnImageSettings: slide.pinOnImageSettings,
-        quizSettings: slide.quizSettings,
-        leaderboardSettings: slide.leaderboardSettings,
-        textContent: slide.textContent,
-        imageUrl: slide.imageUrl,
-        imagePublicId: slide.imagePublicId,
-        videoUrl: slide.videoUrl,
-        videoPublicId: slide.videoPublicId,
-        instructionContent: slide.instructionContent,
-        miroUrl: slide.miroUrl,
-        powerpointUrl: slide.powerpointUrl,
-        powerpointPublicId: slide.powerpointPublicId,
-        googleSlidesUrl: slide.googleSlidesUrl,
-        pdfUrl: slide.pdfUrl,
-        pdfPublicId: slide.pdfPublicId,
-        pdfPages: slide.pdfPages,
-        createdAt: slide.createdAt,
-        updatedAt: slide.updatedAt
-      }
-    };
+    slide: formatSlide(slide)
+  };
 
   if (leaderboardSlideResponse) {
     responsePayload.leaderboardSlide = leaderboardSlideResponse;
   }
 
+  await slideHistoryService.recordSlideRevision({ slide, action: 'created', user: req.user });
+
+  broadcastEditorChange(req.app.get('io'), presentationId, 'slide-created', {
+    slide: responsePayload.slide,
+    leaderboardSlide: leaderboardSlideResponse,
+    updatedBy: req.user.displayName || req.user.email
+  }, req.get('X-Socket-Id'));
+
   res.status(201).json(responsePayload);
 });
 
@@ -304,7 +372,6 @@ module.exports.createSlide = asyncHandler(async (req, res, next) => {
  */
 module.exports.updateSlide = asyncHandler(async (req, res, next) => {
   const { presentationId, slideId } = req.params;
-  const userId = req.userId;
     const {
       question,
       options,
@@ -313,18 +380,23 @@ module.exports.updateSlide = asyncHandler(async (req, res, next) => {
       minLabel,
       maxLabel,
       statements,
+      scaleMode,
       rankingItems,
+      rankingMethod,
       hundredPointsItems,
       gridItems,
       gridAxisXLabel,
       gridAxisYLabel,
       gridAxisRange,
+      gridQuadrantLabels,
       maxWordsPerParticipant,
+      wordCloudSettings,
       openEndedSettings,
       qnaSettings,
       guessNumberSettings,
       pinOnImageSettings,
       quizSettings,
+      leaderboardSettings,
       textContent,
       imageUrl,
       imagePublicId,
@@ -338,10 +410,12 @@ module.exports.updateSlide = asyncHandler(async (req, res, next) => {
       pdfUrl,
       pdfPublicId,
       pdfPages,
-      order  // Add order field
+      branching,
+      order,  // Add order field
+      baseRevision  // Revision the editor's copy is based on (co-editing)
     } = req.body;
 
-  const presentation = await Presentation.findOne({ _id: presentationId, userId });
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(presentationId, req.user, 'edit'));
 
   if (!presentation) {
     throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
@@ -352,6 +426,25 @@ module.exports.updateSlide = asyncHandler(async (req, res, next) => {
   if (!slide) {
     throw new AppError('Slide not found', 404, 'RESOURCE_NOT_FOUND');
   }
+
+  // Someone else saved a different value for a field this editor changed: return their version instead of overwriting it
+  const conflicts = slideRevisionService.findConflicts(slide, req.body, baseRevision);
+  if (conflicts.length > 0) {
+    const message = 'This slide was changed by someone else while you were editing it';
+    return res.status(409).json({
+      success: false,
+      message,
+      error: message,
+      code: 'SLIDE_CONFLICT',
+      conflicts,
+      slide: formatSlide(slide)
+    });
+  }
+  const changedFields = slideRevisionService.getChangedFields(slide, req.body);
+  if (changedFields.length > 0) {
+    await slideHistoryService.ensureBaseline(slide);
+  }
+
     if (question !== undefined && slide.type !== 'instruction') slide.question = question.trim();
     if (options !== undefined && (slide.type === 'multiple_choice' || slide.type === 'pick_answer')) slide.options = options;
     if (minValue !== undefined && slide.type === 'scales') slide.minValue = minValue;
@@ -359,6 +452,8 @@ module.exports.updateSlide = asyncHandler(async (req, res, next) => {
     if (minLabel !== undefined && slide.type === 'scales') slide.minLabel = minLabel;
     if (maxLabel !== undefined && slide.type === 'scales') slide.maxLabel = maxLabel;
     if (statements !== undefined && slide.type === 'scales') slide.statements = statements;
+    if (scaleMode !== undefined && slide.type === 'scales') slide.scaleMode = scaleMode;
+    if (rankingMethod !== undefined && slide.type === 'ranking') slide.rankingMethod = rankingMethod;
   if (rankingItems !== undefined && slide.type === 'ranking') {
     const sanitized = sanitizeRankingItems(rankingItems);
     if (!sanitized || sanitized.length === 0) {
@@ -389,9 +484,20 @@ module.exports.updateSlide = asyncHandler(async (req, res, next) => {
     if (gridAxisRange !== undefined && slide.type === '2x2_grid') {
       slide.gridAxisRange = gridAxisRange;
     }
+    if (gridQuadrantLabels !== undefined && slide.type === '2x2_grid') {
+      const existing = slide.gridQuadrantLabels?.toObject ? slide.gridQuadrantLabels.toObject() : slide.gridQuadrantLabels;
+      slide.gridQuadrantLabels = gridStatsService.normalizeQuadrantLabels(gridQuadrantLabels, existing);
+    }
     if (maxWordsPerParticipant !== undefined && slide.type === 'word_cloud') {
       slide.maxWordsPerParticipant = Number(maxWordsPerParticipant) || 1;
     }
+    if (wordCloudSettings && slide.type === 'word_cloud') {
+      // Merged and hidden words are changed from the presenter view, so an editor's stale copy never undoes them
+      slide.wordCloudSettings = wordCloudService.normalizeSettings(
+        { ...wordCloudSettings, mergedWords: undefined, hiddenWords: undefined },
+        wordCloudService.getSlideSettings(slide)
+      );
+    }
     if (openEndedSettings && (slide.type === 'open_ended' || slide.type === 'type_answer')) {
       const existing = slide.openEndedSettings || {};
       slide.openEndedSettings = {
@@ -399,10 +505,7 @@ module.exports.updateSlide = asyncHandler(async (req, res, next) => {
       };
     }
     if (qnaSettings && slide.type === 'qna') {
-      const existing = slide.qnaSettings || {};
-      slide.qnaSettings = {
-        allowMultiple: qnaSettings.allowMultiple !== undefined ? Boolean(qnaSettings.allowMultiple) : Boolean(existing.allowMultiple)
-      };
+      slide.qnaSettings = qnaSession.normalizeSettings(qnaSettings, qnaSession.getSlideSettings(slide));
     }
     if (slide.type === 'guess_number') {
       const existing = slide.guessNumberSettings || {};
@@ -433,22 +536,58 @@ module.exports.updateSlide = asyncHandler(async (req, res, next) => {
         sanitizedOptions.push({ id: randomUUID(), text: '' });
       }
 
+      const requestedCorrectIds = quizSettings?.correctOptionIds ?? existing.correctOptionIds ?? [];
+      const correctOptionIds = Array.from(requestedCorrectIds)
+        .filter(id => sanitizedOptions.some(opt => opt.id === id));
+
       const requestedCorrectId = quizSettings?.correctOptionId ?? existing.correctOptionId;
       const hasValidCorrect = sanitizedOptions.some(opt => opt.id === requestedCorrectId);
-      const correctOptionId = hasValidCorrect ? requestedCorrectId : '';
+      let correctOptionId = hasValidCorrect ? requestedCorrectId : '';
+      // Keep correctOptionId pointing at one of the correct options
+      if (correctOptionIds.length > 0 && !correctOptionIds.includes(correctOptionId)) {
+        correctOptionId = correctOptionIds[0];
+      }
+
+      const requestedMultiSelectScoring = quizSettings?.multiSelectScoring ?? existing.multiSelectScoring;
 
       const timeLimit = quizSettings?.timeLimit ?? existing.timeLimit ?? 30;
       const clampedTimeLimit = Math.max(5, Math.min(300, Number(timeLimit) || 30));
 
+      const scoring = getScoringOptions({
+        points: quizSettings?.points ?? existing.points ?? 1000,
+        scoringMode: quizSettings?.scoringMode ?? existing.scoringMode,
+        streakBonus: quizSettings?.streakBonus ?? existing.streakBonus,
+        negativePoints: quizSettings?.negativePoints ?? existing.negativePoints
+      });
+
       slide.quizSettings = {
         options: sanitizedOptions,
         correctOptionId,
+        correctOptionIds: correctOptionIds.length > 0 ? correctOptionIds : undefined,
+        allowMultiple: Boolean(quizSettings?.allowMultiple ?? existing.allowMultiple),
+        multiSelectScoring: MULTI_SELECT_SCORING_MODES.includes(requestedMultiSelectScoring)
+          ? requestedMultiSelectScoring
+          : 'all_or_nothing',
         timeLimit: clampedTimeLimit,
-        points: quizSettings?.points ?? existing.points ?? 1000,
+        ...scoring,
+      };
+    }
+    if (leaderboardSettings && slide.type === 'leaderboard') {
+      const existing = slide.leaderboardSettings || {};
+      const displayCount = parseInt(leaderboardSettings.displayCount, 10);
+      slide.leaderboardSettings = {
+        linkedQuizSlideId: existing.linkedQuizSlideId || null,
+        isAutoGenerated: existing.isAutoGenerated ?? true,
+        displayCount: Number.isInteger(displayCount)
+          ? Math.max(1, Math.min(displayCount, 50))
+          : (existing.displayCount || 10),
+        view: ['individual', 'team', 'both'].includes(leaderboardSettings.view)
+          ? leaderboardSettings.view
+          : (existing.view || 'individual'),
       };
     }
     if (pinOnImageSettings && slide.type === 'pin_on_image') {
-      slide.pinOnImageSettings = pinOnImageSettings;
+      slide.pinOnImageSettings = buildPinOnImageSettings(pinOnImageSettings, slide.pinOnImageSettings);
     }
     if (textContent !== undefined && slide.type === 'text') {
       slide.textContent = textContent;
@@ -489,9 +628,14 @@ module.exports.updateSlide = asyncHandler(async (req, res, next) => {
     if (pdfPages !== undefined && slide.type === 'pdf') {
       slide.pdfPages = pdfPages;
     }
+  if (branching !== undefined) {
+    slide.branching = await buildBranching(branching, slide, presentationId);
+  }
   if (order !== undefined) {
     slide.order = order;
   }
+  const revised = slideRevisionService.recordRevision(slide, changedFields);
+  const reordered = slide.isModified('order');
 
   await slide.save();
 
@@ -513,49 +657,22 @@ module.exports.updateSlide = asyncHandler(async (req, res, next) => {
     );
   }
 
+  if (revised) {
+    await slideHistoryService.recordSlideRevision({ slide, action: 'updated', user: req.user, changedFields });
+  }
+
+  if (revised || reordered) {
+    broadcastEditorChange(req.app.get('io'), presentationId, 'slide-updated', {
+      slide: formatSlide(slide),
+      changedFields,
+      updatedBy: req.user.displayName || req.user.email
+    }, req.get('X-Socket-Id'));
+  }
+
   res.status(200).json({
     success: true,
     message: 'Slide updated successfully',
-    slide: {
-        id: slide._id,
-        order: slide.order,
-        type: slide.type,
-        question: slide.question,
-        options: slide.options,
-        minValue: slide.minValue,
-        maxValue: slide.maxValue,
-        minLabel: slide.minLabel,
-        maxLabel: slide.maxLabel,
-        statements: slide.statements,
-        rankingItems: slide.rankingItems,
-        hundredPointsItems: slide.hundredPointsItems,
-        gridItems: slide.gridItems,
-        gridAxisXLabel: slide.gridAxisXLabel,
-        gridAxisYLabel: slide.gridAxisYLabel,
-        gridAxisRange: slide.gridAxisRange,
-        maxWordsPerParticipant: slide.maxWordsPerParticipant,
-        openEndedSettings: slide.openEndedSettings,
-        qnaSettings: slide.qnaSettings,
-        guessNumberSettings: slide.guessNumberSettings,
-        pinOnImageSettings: slide.pinOnImageSettings,
-        quizSettings: slide.quizSettings,
-        leaderboardSettings: slide.leaderboardSettings,
-        textContent: slide.textContent,
-        imageUrl: slide.imageUrl,
-        imagePublicId: slide.imagePublicId,
-        videoUrl: slide.videoUrl,
-        videoPublicId: slide.videoPublicId,
-        instructionContent: slide.instructionContent,
-        miroUrl: slide.miroUrl,
-        powerpointUrl: slide.powerpointUrl,
-        powerpointPublicId: slide.powerpointPublicId,
-        googleSlidesUrl: slide.googleSlidesUrl,
-        pdfUrl: slide.pdfUrl,
-        pdfPublicId: slide.pdfPublicId,
-        pdfPages: slide.pdfPages,
-        createdAt: slide.createdAt,
-      updatedAt: slide.updatedAt
-    }
+    slide: formatSlide(slide)
   });
 });
 
@@ -566,9 +683,8 @@ module.exports.updateSlide = asyncHandler(async (req, res, next) => {
  */
 module.exports.deleteSlide = asyncHandler(async (req, res, next) => {
   const { presentationId, slideId } = req.params;
-  const userId = req.userId;
 
-  const presentation = await Presentation.findOne({ _id: presentationId, userId });
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(presentationId, req.user, 'edit'));
 
   if (!presentation) {
     throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
@@ -593,13 +709,26 @@ module.exports.deleteSlide = asyncHandler(async (req, res, next) => {
     });
   }
 
+  await slideHistoryService.recordSlideRevision({ slide, action: 'deleted', user: req.user });
+  await slideHistoryService.moveToTrash({ slide, leaderboardSlide: deletedLeaderboard, user: req.user });
+
   await Response.deleteMany({ slideId });
   await Slide.deleteOne({ _id: slideId });
+  await branchingService.removeBranchTarget(presentationId, slide._id);
   await reorderSlides(presentationId);
 
+  broadcastEditorChange(req.app.get('io'), presentationId, 'slide-deleted', {
+    slideId: String(slide._id),
+    deletedLeaderboardId: deletedLeaderboard ? String(deletedLeaderboard._id) : null,
+    updatedBy: req.user.displayName || req.user.email
+  }, req.get('X-Socket-Id'));
+
   res.status(200).json({
     success: true,
     message: 'Slide deleted successfully',
     deletedLeaderboardId: deletedLeaderboard ? deletedLeaderboard._id : null
   });
-});
\ No newline at end of file
+});
+
+module.exports.formatSlide = formatSlide;
+module.exports.reorderSlides = reorderSlides;
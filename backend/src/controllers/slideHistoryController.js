@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const Presentation = require('../models/Presentation');
+const Slide = require('../models/Slide');
+const SlideRevision = require('../models/SlideRevision');
+const SlideTrash = require('../models/SlideTrash');
+const collaborationService = require('../services/collaborationService');
+const slideHistoryService = require('../services/slideHistoryService');
+const slideRevisionService = require('../services/slideRevisionService');
+const { formatSlide, reorderSlides } = require('./slideController');
+const { broadcastEditorChange } = require('../socket/editorHandlers');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+async function findPresentation(id, user, permission) {
+  const presentation = await Presentation.findOne(collaborationService.presentationFilter(id, user, permission));
+  if (!presentation) {
+    throw new AppError('Presentation not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+  return presentation;
+}
+
+async function findRevision(presentationId, slideId, revisionId) {
+  if (!mongoose.Types.ObjectId.isValid(revisionId)) {
+    throw new AppError('Revision not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+  const revision = await SlideRevision.findOne({ _id: revisionId, presentationId, slideId }).lean();
+  if (!revision) {
+    throw new AppError('Revision not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+  return revision;
+}
+
+async function findTrashItem(presentationId, trashId) {
+  if (!mongoose.Types.ObjectId.isValid(trashId)) {
+    throw new AppError('Deleted slide not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+  const item = await SlideTrash.findOne({ _id: trashId, presentationId, expiresAt: { $gt: new Date() } });
+  if (!item) {
+    throw new AppError('Deleted slide not found or no longer in the trash', 404, 'RESOURCE_NOT_FOUND');
+  }
+  return item;
+}
+
+/**
+ * Edit history of a presentation, newest first
+ * @route GET /api/presentations/:id/history
+ * @access Private (viewer)
+ * @param {string} req.query.slideId - Only the history of this slide (optional)
+ * @param {number} req.query.limit - Maximum entries (optional, default 50)
+ * @param {string} req.query.before - Only entries older than this date, for paging (optional)
+ */
+const getPresentationHistory = asyncHandler(async (req, res, next) => {
+  const presentation = await findPresentation(req.params.id, req.user, 'view');
+  const { slideId, limit, before } = req.query;
+
+  if (slideId && !mongoose.Types.ObjectId.isValid(slideId)) {
+    throw new AppError('Invalid slide ID', 400, 'VALIDATION_ERROR');
+  }
+  if (before && Number.isNaN(new Date(before).getTime())) {
+    throw new AppError('Invalid date', 400, 'VALIDATION_ERROR');
+  }
+
+  const revisions = await slideHistoryService.listRevisions(presentation._id, { slideId, limit, before });
+
+  res.status(200).json({
+    success: true,
+    revisions
+  });
+});
+
+/**
+ * Compare a slide revision with an earlier one, or with the slide as it is now
+ * @route GET /api/presentations/:presentationId/slides/:slideId/revisions/:revisionId/diff
+ * @access Private (viewer)
+ * @param {string} req.query.against - Revision ID or 'current' (optional, defaults to the previous revision)
+ */
+const getRevisionDiff = asyncHandler(async (req, res, next) => {
+  const { presentationId, slideId, revisionId } = req.params;
+  const { against } = req.query;
+  await findPresentation(presentationId, req.user, 'view');
+
+  const revision = await findRevision(presentationId, slideId, revisionId);
+
+  let base = null;
+  let baseSnapshot = null;
+  if (against === 'current') {
+    const slide = await Slide.findOne({ _id: slideId, presentationId });
+    if (!slide) {
+      throw new AppError('Slide not found', 404, 'RESOURCE_NOT_FOUND');
+    }
+    baseSnapshot = slideHistoryService.snapshotSlide(slide);
+  } else if (against) {
+    base = await findRevision(presentationId, slideId, against);
+  } else {
+    base = await SlideRevision.findOne({ slideId, createdAt: { $lt: revision.createdAt } })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+  if (base) {
+    baseSnapshot = base.snapshot;
+  }
+
+  res.status(200).json({
+    success: true,
+    revision: slideHistoryService.formatRevision(revision),
+    against: base ? slideHistoryService.formatRevision(base) : against === 'current' ? 'current' : null,
+    changes: slideHistoryService.diffSnapshots(baseSnapshot, revision.snapshot)
+  });
+});
+
+/**
+ * Put a slide back to the content it had in a revision
+ * Type and position stay as they are; branches to deleted slides are dropped.
+ * @route POST /api/presentations/:presentationId/slides/:slideId/revisions/:revisionId/restore
+ * @access Private (editor)
+ */
+const restoreRevision = asyncHandler(async (req, res, next) => {
+  const { presentationId, slideId, revisionId } = req.params;
+  await findPresentation(presentationId, req.user, 'edit');
+
+  const revision = await findRevision(presentationId, slideId, revisionId);
+  if (!revision.snapshot) {
+    throw new AppError('This revision cannot be restored', 400, 'VALIDATION_ERROR');
+  }
+
+  const slide = await Slide.findOne({ _id: slideId, presentationId });
+  if (!slide) {
+    throw new AppError('Slide not found. Deleted slides can be restored from the trash', 404, 'RESOURCE_NOT_FOUND');
+  }
+  if (revision.snapshot.type !== slide.type) {
+    throw new AppError('This revision belongs to a different slide type', 400, 'VALIDATION_ERROR');
+  }
+
+  const presentationSlideIds = (await Slide.find({ presentationId, _id: { $ne: slide._id } }).select('_id').lean())
+    .map(s => s._id);
+  const changedFields = slideHistoryService.applySnapshot(slide, revision.snapshot, presentationSlideIds);
+
+  if (changedFields.length > 0) {
+    slideRevisionService.recordRevision(slide, changedFields);
+    await slide.save();
+    await slideHistoryService.recordSlideRevision({
+      slide,
+      action: 'restored',
+      user: req.user,
+      changedFields,
+      restoredFrom: revision._id
+    });
+
+    broadcastEditorChange(req.app.get('io'), presentationId, 'slide-updated', {
+      slide: formatSlide(slide),
+      changedFields,
+      updatedBy: req.user.displayName || req.user.email
+    }, req.get('X-Socket-Id'));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: changedFields.length > 0 ? 'Slide restored' : 'The slide already matches this version',
+    slide: formatSlide(slide),
+    changedFields
+  });
+});
+
+/**
+ * Slides deleted from a presentation that can still be restored
+ * @route GET /api/presentations/:presentationId/trash
+ * @access Private (viewer)
+ */
+const getTrash = asyncHandler(async (req, res, next) => {
+  const presentation = await findPresentation(req.params.presentationId, req.user, 'view');
+
+  res.status(200).json({
+    success: true,
+    items: await slideHistoryService.listTrash(presentation._id),
+    retentionDays: slideHistoryService.TRASH_RETENTION_DAYS
+  });
+});
+
+/**
+ * Restore a deleted slide with its responses, at its old position
+ * @route POST /api/presentations/:presentationId/trash/:trashId/restore
+ * @access Private (editor)
+ */
+const restoreTrashedSlide = asyncHandler(async (req, res, next) => {
+  const { presentationId, trashId } = req.params;
+  await findPresentation(presentationId, req.user, 'edit');
+  const item = await findTrashItem(presentationId, trashId);
+
+  let restored;
+  try {
+    restored = await slideHistoryService.restoreFromTrash(item);
+  } catch (error) {
+    throw new AppError(error.message, 400, 'VALIDATION_ERROR');
+  }
+  await reorderSlides(presentationId);
+
+  const slide = await Slide.findById(restored.slide._id);
+  const leaderboardSlide = restored.leaderboardSlide ? await Slide.findById(restored.leaderboardSlide._id) : null;
+  await slideHistoryService.recordSlideRevision({ slide, action: 'restored', user: req.user });
+
+  const payload = {
+    slide: formatSlide(slide),
+    leaderboardSlide: leaderboardSlide ? formatSlide(leaderboardSlide) : null
+  };
+
+  broadcastEditorChange(req.app.get('io'), presentationId, 'slide-created', {
+    ...payload,
+    updatedBy: req.user.displayName || req.user.email
+  }, req.get('X-Socket-Id'));
+
+  res.status(200).json({
+    success: true,
+    message: 'Slide restored',
+    ...payload
+  });
+});
+
+/**
+ * Permanently delete a slide from the trash
+ * @route DELETE /api/presentations/:presentationId/trash/:trashId
+ * @access Private (editor)
+ */
+const deleteTrashedSlide = asyncHandler(async (req, res, next) => {
+  const { presentationId, trashId } = req.params;
+  await findPresentation(presentationId, req.user, 'edit');
+  const item = await findTrashItem(presentationId, trashId);
+
+  await SlideTrash.deleteOne({ _id: item._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Slide permanently deleted'
+  });
+});
+
+module.exports = {
+  getPresentationHistory,
+  getRevisionDiff,
+  restoreRevision,
+  getTrash,
+  restoreTrashedSlide,
+  deleteTrashedSlide
+};
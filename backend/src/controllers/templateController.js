@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const PresentationTemplate = require('../models/PresentationTemplate');
+const templateService = require('../services/templateService');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * List the templates the user can start a presentation from
+ * @route GET /api/templates
+ * @access Private
+ * @returns {Object} System, institution and personal templates
+ */
+const getTemplates = asyncHandler(async (req, res, next) => {
+  const templates = await templateService.listTemplatesForUser(req.user);
+
+  res.status(200).json({
+    success: true,
+    templates
+  });
+});
+
+/**
+ * Delete a personal template
+ * @route DELETE /api/templates/:templateId
+ * @access Private
+ * @param {string} req.params.templateId - Template ID
+ */
+const deleteTemplate = asyncHandler(async (req, res, next) => {
+  const { templateId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(templateId)) {
+    throw new AppError('Template not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const template = await PresentationTemplate.findOneAndDelete({ _id: templateId, scope: 'user', userId: req.userId });
+  if (!template) {
+    throw new AppError('Template not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Template deleted successfully'
+  });
+});
+
+module.exports = {
+  getTemplates,
+  deleteTemplate
+};
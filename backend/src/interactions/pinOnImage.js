@@ -3,18 +3,15 @@
  * Validates and processes pin placement responses
  */
 
-function normalizeAnswer(answer, slide) {
-  if (!slide?.pinOnImageSettings) {
-    throw new Error('Pin on image settings are not configured');
-  }
+const pinOnImageService = require('../services/pinOnImageService');
 
-  // Answer should be a single pin object {x, y}
-  if (!answer || typeof answer !== 'object') {
+function normalizePin(pin) {
+  if (!pin || typeof pin !== 'object') {
     throw new Error('Please place a pin on the image');
   }
 
-  const x = typeof answer.x === 'number' ? answer.x : null;
-  const y = typeof answer.y === 'number' ? answer.y : null;
+  const x = typeof pin.x === 'number' ? pin.x : null;
+  const y = typeof pin.y === 'number' ? pin.y : null;
 
   if (x === null || y === null) {
     throw new Error('Both x and y coordinates are required');
@@ -31,30 +28,29 @@ function normalizeAnswer(answer, slide) {
   };
 }
 
-function buildResults(slide, responses) {
-  const allPins = [];
-
-  responses.forEach((response) => {
-    const pin = response.answer;
-    
-    if (!pin || typeof pin !== 'object') return;
-    
-    const x = typeof pin.x === 'number' ? pin.x : null;
-    const y = typeof pin.y === 'number' ? pin.y : null;
-
-    if (x === null || y === null) return;
-    
-    allPins.push({
-      x,
-      y,
-      userId: response.userId || 'anonymous'
-    });
-  });
+// Answer is a single pin {x, y}, or {pins: [...]} / an array when several pins are allowed
+function normalizeAnswer(answer, slide) {
+  if (!slide?.pinOnImageSettings) {
+    throw new Error('Pin on image settings are not configured');
+  }
 
-  return {
-    pinResults: allPins,
-    totalPins: allPins.length
-  };
+  const rawPins = Array.isArray(answer) ? answer : (Array.isArray(answer?.pins) ? answer.pins : [answer]);
+  if (rawPins.length === 0) {
+    throw new Error('Please place a pin on the image');
+  }
+
+  const maxPins = pinOnImageService.getPinLimit(slide.pinOnImageSettings);
+  if (rawPins.length > maxPins) {
+    throw new Error(maxPins === 1 ? 'Only one pin is allowed' : `You can place up to ${maxPins} pins`);
+  }
+
+  // Correctness is recorded with each pin
+  const { pins } = pinOnImageService.gradePins(rawPins.map(normalizePin), slide.pinOnImageSettings);
+  return { pins };
+}
+
+function buildResults(slide, responses) {
+  return pinOnImageService.buildPinResults(slide, responses);
 }
 
 module.exports = { normalizeAnswer, buildResults };
@@ -1,28 +1,11 @@
-const {
-  initializeSession,
-  getState
-} = require('../services/qnaSession');
+const { buildState } = require('../services/qnaSession');
 
-function ensureSession(slide) {
-  if (!slide || slide.type !== 'qna') {
-    return null;
-  }
-  const allowMultiple = Boolean(slide.qnaSettings?.allowMultiple);
-  return initializeSession({
-    slideId: slide._id,
-    allowMultiple
-  });
-}
-
-function buildResults(slide) {
-  ensureSession(slide);
-  const state = getState(slide?._id);
-  return {
-    qnaState: state || {
-      allowMultiple: Boolean(slide?.qnaSettings?.allowMultiple),
-      questions: []
-    }
-  };
+/**
+ * Q&A state built from the slide's responses, which are the stored questions.
+ * Live sessions and exports share it; rejected or unapproved questions are left out.
+ */
+async function buildResults(slide, responses = []) {
+  return { qnaState: buildState(slide, responses) };
 }
 
 module.exports = {
@@ -4,17 +4,43 @@ const quizSessionService = require('../services/quizSessionService');
  * Quiz interaction handler
  */
 const quiz = {
+  /**
+   * Validate a quiz answer against the slide's options
+   * @param {string|Array<string>} answer - Selected option ID, or IDs for select-all-that-apply questions
+   * @param {Object} slide - The slide document
+   * @returns {string|Array<string>} - Option ID, or option IDs in option order when multiple answers are allowed
+   */
+  normalizeAnswer: (answer, slide) => {
+    const quizSettings = slide?.quizSettings || {};
+    const optionIds = (quizSettings.options || []).map(option => option.id);
+    const selected = [...new Set(
+      (Array.isArray(answer) ? answer : [answer])
+        .filter(value => typeof value === 'string' && value.trim())
+        .map(value => value.trim())
+    )];
+
+    if (selected.length === 0) throw new Error('Please select an answer');
+    if (selected.some(id => !optionIds.includes(id))) throw new Error('Invalid option');
+
+    if (!quizSettings.allowMultiple) {
+      if (selected.length > 1) throw new Error('Only one answer can be selected');
+      return selected[0];
+    }
+    return optionIds.filter(id => selected.includes(id));
+  },
+
   /**
    * Build results payload for quiz slides
    * @param {Object} slide - The slide document
    * @param {Array} responses - Array of response documents
-   * @returns {Object} - Results payload
+   * @param {Object} context - { storedResponsesOnly } to skip the live session (exports)
+   * @returns {Promise<Object>} - Results payload
    */
-  buildResults: (slide, responses) => {
+  buildResults: async (slide, responses, context = {}) => {
     const slideId = slide._id || slide.id;
     
     // Try to get live session results first
-    const sessionResults = quizSessionService.getResults(slideId);
+    const sessionResults = context.storedResponsesOnly ? null : await quizSessionService.getResults(slideId);
     
     // If we have session results, use them
     if (sessionResults && sessionResults.totalResponses > 0) {
@@ -34,6 +60,7 @@ const quiz = {
     const voteCounts = {}; // For participant view compatibility
     let correctCount = 0;
     let incorrectCount = 0;
+    let partialCount = 0;
     let totalResponseTime = 0;
     
     // Initialize voteCounts with all quiz options
@@ -44,8 +71,9 @@ const quiz = {
     });
     
     responses.forEach((response) => {
-      if (response.answer) {
-        const answerKey = response.answer;
+      // Select-all-that-apply answers count towards each selected option
+      const answers = Array.isArray(response.answer) ? response.answer : [response.answer];
+      answers.filter(Boolean).forEach((answerKey) => {
         optionCounts[answerKey] = (optionCounts[answerKey] || 0) + 1;
         // Also populate voteCounts for participant view
         if (voteCounts.hasOwnProperty(answerKey)) {
@@ -60,12 +88,15 @@ const quiz = {
             voteCounts[answerKey] = 1;
           }
         }
-      }
+      });
       
       if (response.isCorrect) {
         correctCount++;
       } else {
         incorrectCount++;
+        if (response.score > 0) {
+          partialCount++;
+        }
       }
       
       if (response.responseTime) {
@@ -84,6 +115,7 @@ const quiz = {
           optionCounts,
           correctCount,
           incorrectCount,
+          partialCount,
           averageResponseTime: Math.round(averageResponseTime)
         }
       }
@@ -1,4 +1,5 @@
 const { randomUUID } = require('crypto');
+const { buildRankingStats, getRankingMethod } = require('../services/rankingStatsService');
 
 function ensureRankingItems(slide) {
   const items = Array.isArray(slide?.rankingItems) ? slide.rankingItems : [];
@@ -52,58 +53,7 @@ function normalizeAnswer(answer, slide) {
 }
 
 function buildResults(slide, responses) {
-  const items = ensureRankingItems(slide);
-  const itemCount = items.length;
-  const scoreMap = new Map();
-
-  items.forEach((item) => {
-    scoreMap.set(item.id, {
-      id: item.id,
-      label: item.label,
-      score: 0,
-      count: 0,
-      totalPosition: 0
-    });
-  });
-
-  responses.forEach((response) => {
-    const rankedIds = Array.isArray(response.answer) ? response.answer : [];
-
-    rankedIds.forEach((itemId, index) => {
-      if (!scoreMap.has(itemId)) return;
-      const entry = scoreMap.get(itemId);
-      const position = index + 1;
-      const points = itemCount - index;
-      entry.score += points;
-      entry.count += 1;
-      entry.totalPosition += position;
-    });
-  });
-
-  const rankedItems = Array.from(scoreMap.values()).map((entry) => ({
-    itemId: entry.id, // Use itemId for consistency with frontend
-    id: entry.id, // Keep id for backward compatibility
-    label: entry.label,
-    score: entry.score,
-    averageRank: entry.count > 0 ? Number((entry.totalPosition / entry.count).toFixed(2)) : 0, // Use averageRank for frontend compatibility
-    averagePosition: entry.count > 0 ? Number((entry.totalPosition / entry.count).toFixed(2)) : null, // Keep for backward compatibility
-    responseCount: entry.count
-  }));
-
-  rankedItems.sort((a, b) => {
-    if (b.score !== a.score) return b.score - a.score;
-    // Use averageRank for sorting (it's always a number, never null)
-    if (a.averageRank !== b.averageRank) return a.averageRank - b.averageRank;
-    // Fallback to averagePosition if averageRank is the same
-    if (a.averagePosition === null && b.averagePosition === null) return 0;
-    if (a.averagePosition === null) return 1;
-    if (b.averagePosition === null) return -1;
-    return a.averagePosition - b.averagePosition;
-  });
-
-  return {
-    rankingResults: rankedItems
-  };
+  return buildRankingStats(ensureRankingItems(slide), responses, getRankingMethod(slide));
 }
 
 module.exports = { normalizeAnswer, buildResults };
@@ -1,24 +1,9 @@
-function coerceToNumber(value) {
-  const parsed = Number(value);
-  if (Number.isNaN(parsed)) {
-    return null;
-  }
-  return parsed;
-}
-
-function getScaleBounds(slide) {
-  const minValue = typeof slide?.minValue === 'number' ? slide.minValue : 1;
-  const maxValue = typeof slide?.maxValue === 'number' ? slide.maxValue : 5;
-
-  if (minValue >= maxValue) {
-    return { minValue: 1, maxValue: 5 };
-  }
+const scaleStatsService = require('../services/scaleStatsService');
 
-  return { minValue, maxValue };
-}
+const { coerceToNumber, getScaleBounds } = scaleStatsService;
 
 function normalizeAnswer(answer, slide) {
-  const statements = Array.isArray(slide?.statements) ? slide.statements.filter(Boolean) : [];
+  const statements = scaleStatsService.getStatements(slide);
   const { minValue, maxValue } = getScaleBounds(slide);
 
   // Multi-statement: expect one value per statement
@@ -63,41 +48,20 @@ function normalizeAnswer(answer, slide) {
 }
 
 function buildResults(slide, responses) {
-  const statements = Array.isArray(slide?.statements) ? slide.statements.filter(Boolean) : [];
-  const { minValue, maxValue } = getScaleBounds(slide);
+  const { mode, minValue, maxValue, statements, summaries } = scaleStatsService.buildScaleStats(slide, responses);
 
   if (statements.length > 0) {
-    const totals = Array(statements.length).fill(0);
-    const counts = Array(statements.length).fill(0);
-
-    responses.forEach((response) => {
-      const values = Array.isArray(response.answer)
-        ? response.answer
-        : response && typeof response.answer === 'object'
-          ? statements.map((_, index) => response.answer[index] ?? response.answer[String(index)])
-          : null;
-
-      if (!values) return;
-
-      statements.forEach((_, index) => {
-        const numeric = coerceToNumber(values[index]);
-        if (numeric === null) return;
-        if (numeric < minValue || numeric > maxValue) return;
-        totals[index] += numeric;
-        counts[index] += 1;
-      });
-    });
-
-    const averages = totals.map((total, index) => (counts[index] > 0 ? Number((total / counts[index]).toFixed(2)) : 0));
-
-    const overallSum = totals.reduce((sum, value) => sum + value, 0);
+    const counts = summaries.map(summary => summary.count);
+    const overallSum = summaries.reduce((sum, summary) => sum + summary.sum, 0);
     const overallCount = counts.reduce((sum, value) => sum + value, 0);
     const overallAverage = overallCount > 0 ? Number((overallSum / overallCount).toFixed(2)) : 0;
 
     return {
+      scaleMode: mode,
       scaleStatements: statements,
-      scaleStatementAverages: averages,
+      scaleStatementAverages: summaries.map(summary => summary.average),
       statementCounts: counts,
+      scaleStatementStats: summaries,
       scaleOverallAverage: overallAverage,
       scaleMin: minValue,
       scaleMax: maxValue,
@@ -106,25 +70,13 @@ function buildResults(slide, responses) {
   }
 
   // Single-statement fallback
-  const distribution = {};
-  for (let value = minValue; value <= maxValue; value += 1) {
-    distribution[value] = 0;
-  }
-
-  let sum = 0;
-  responses.forEach((response) => {
-    const numeric = coerceToNumber(response.answer);
-    if (numeric === null) return;
-    if (numeric < minValue || numeric > maxValue) return;
-    distribution[numeric] += 1;
-    sum += numeric;
-  });
-
-  const average = responses.length > 0 ? Number((sum / responses.length).toFixed(2)) : 0;
+  const [summary] = summaries;
 
   return {
-    scaleDistribution: distribution,
-    scaleAverage: average,
+    scaleMode: mode,
+    scaleDistribution: summary.distribution,
+    scaleAverage: summary.average,
+    scaleStats: summary,
     scaleMin: minValue,
     scaleMax: maxValue,
     totalResponses: responses.length
@@ -1,4 +1,5 @@
 const { randomUUID } = require('crypto');
+const gridStatsService = require('../services/gridStatsService');
 
 function ensureGridItems(slide) {
   const items = Array.isArray(slide?.gridItems) ? slide.gridItems : [];
@@ -102,22 +103,17 @@ function buildResults(slide, responses) {
     });
   });
 
+  const range = gridStatsService.getAxisRange(slide);
   const results = Array.from(itemsMap.values()).map((entry) => ({
     itemId: entry.id, // Use itemId for consistency with frontend
     id: entry.id, // Keep id for backward compatibility
     label: entry.label,
-    positions: entry.positions,
-    count: entry.positions.length,
-    averageX: entry.positions.length > 0 
-      ? Math.round((entry.positions.reduce((sum, p) => sum + p.x, 0) / entry.positions.length) * 10) / 10
-      : 0,
-    averageY: entry.positions.length > 0 
-      ? Math.round((entry.positions.reduce((sum, p) => sum + p.y, 0) / entry.positions.length) * 10) / 10
-      : 0
+    ...gridStatsService.summarizePositions(entry.positions, range)
   }));
 
   return {
-    gridResults: results
+    gridResults: results,
+    gridQuadrants: gridStatsService.buildQuadrantBreakdown(results, slide)
   };
 }
 
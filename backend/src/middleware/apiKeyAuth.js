@@ -0,0 +1,89 @@
+const apiKeyService = require('../services/apiKeyService');
+const Logger = require('../utils/logger');
+
+/**
+ * Middleware to authenticate public API requests with an institution API key
+ * sent in the X-API-Key header. Sets the same request fields as
+ * verifyInstitutionAdmin so institution admin handlers can be reused.
+ */
+const verifyApiKey = async (req, res, next) => {
+  try {
+    const rawKey = req.header('X-API-Key');
+
+    if (!rawKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'Access denied. No API key provided.',
+        code: 'API_KEY_MISSING'
+      });
+    }
+
+    const match = await apiKeyService.findApiKey(rawKey.trim());
+    if (!match || match.apiKey.active === false) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key.',
+        code: 'API_KEY_INVALID'
+      });
+    }
+
+    const { institution, apiKey } = match;
+
+    if (!institution.isActive) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Institution is inactive.',
+        code: 'INSTITUTION_INACTIVE'
+      });
+    }
+
+    const rate = await apiKeyService.consumeRateLimit(apiKey.id, apiKey.rateLimit || apiKeyService.DEFAULT_RATE_LIMIT);
+    res.setHeader('X-RateLimit-Limit', rate.limit);
+    res.setHeader('X-RateLimit-Remaining', rate.remaining);
+    res.setHeader('X-RateLimit-Reset', Math.ceil(rate.resetAt / 1000));
+
+    if (!rate.allowed) {
+      res.setHeader('Retry-After', Math.max(1, Math.ceil((rate.resetAt - Date.now()) / 1000)));
+      return res.status(429).json({
+        success: false,
+        error: 'Rate limit exceeded. Please slow down.',
+        code: 'RATE_LIMIT_EXCEEDED'
+      });
+    }
+
+    apiKeyService.recordKeyUsage(institution._id, apiKey.id);
+
+    req.institution = institution;
+    req.institutionId = institution._id;
+    req.institutionAdmin = {
+      institutionId: institution._id,
+      email: institution.adminEmail,
+      apiKeyId: apiKey.id
+    };
+    req.apiKey = apiKeyService.toPublicApiKey(apiKey);
+    next();
+  } catch (error) {
+    Logger.error('API key authentication error', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during authentication.'
+    });
+  }
+};
+
+/**
+ * Require a permission on the authenticated API key
+ * @param {string} permission - One of API_KEY_PERMISSIONS
+ */
+const requireApiPermission = (permission) => (req, res, next) => {
+  if (!req.apiKey?.permissions?.includes(permission)) {
+    return res.status(403).json({
+      success: false,
+      error: `This API key does not have the '${permission}' permission.`,
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+  next();
+};
+
+module.exports = { verifyApiKey, requireApiPermission };
@@ -6,10 +6,11 @@ const Logger = require('../utils/logger');
 
 const checkSlideLimit = async (req, res, next) => {
     try {
-        const userId = req.userId;
         const { presentationId } = req.params;
 
-        const user = await User.findById(userId);
+        // The owner's plan applies, also when a collaborator adds the slide
+        const presentation = await Presentation.findById(presentationId).select('userId').lean();
+        const user = await User.findById(presentation ? presentation.userId : req.userId);
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
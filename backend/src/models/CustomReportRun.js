@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * Custom Report Run Schema
+ * Run history for institution custom reports (one document per generated report)
+ */
+const customReportRunSchema = new mongoose.Schema({
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    required: true,
+    index: true
+  },
+  // Matches Institution.customReports[].id
+  reportId: {
+    type: String,
+    required: true
+  },
+  reportName: {
+    type: String,
+    default: ''
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running'
+  },
+  format: {
+    type: String,
+    enum: ['xlsx', 'csv'],
+    default: 'xlsx'
+  },
+  periodStart: {
+    type: Date,
+    default: null
+  },
+  periodEnd: {
+    type: Date,
+    default: null
+  },
+  recipients: [{
+    type: String
+  }],
+  fileName: {
+    type: String,
+    default: null
+  },
+  // Row count per sheet, e.g. { Users: 12, Presentations: 40 }
+  rowCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  emailId: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the run history of a report
+customReportRunSchema.index({ institutionId: 1, reportId: 1, startedAt: -1 });
+// Keep run history for 180 days
+customReportRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+const CustomReportRun = mongoose.model('CustomReportRun', customReportRunSchema);
+
+module.exports = CustomReportRun;
@@ -157,7 +157,15 @@ const institutionSchema = new mongoose.Schema({
   apiKeys: [{
     id: String,
     name: String,
+    // Legacy plaintext key, replaced by keyHash on first use
     key: String,
+    // SHA-256 of the key; the plaintext is only shown once at creation
+    keyHash: String,
+    keyPrefix: String,
+    permissions: [String],
+    // Requests per minute
+    rateLimit: { type: Number, default: 60 },
+    lastUsedAt: Date,
     active: { type: Boolean, default: true },
     createdAt: Date
   }],
@@ -183,9 +191,24 @@ const institutionSchema = new mongoose.Schema({
       presentationStatus: String
     },
     visualization: String,
+    // 'none' disables scheduling; anything else runs on `frequency`
     schedule: String,
+    // One or more comma-separated recipients
     email: String,
+    // daily | weekly | monthly
     frequency: String,
+    format: { type: String, enum: ['xlsx', 'csv'], default: 'xlsx' },
+    // Scheduled run time (UTC): hour of day, day of week (0 = Sunday) for weekly, day of month for monthly
+    scheduleHour: { type: Number, default: 8, min: 0, max: 23 },
+    scheduleDayOfWeek: { type: Number, default: 1, min: 0, max: 6 },
+    scheduleDayOfMonth: { type: Number, default: 1, min: 1, max: 28 },
+    nextRunAt: Date,
+    lastRunAt: Date,
+    lastRunStatus: String,
+    lastRunError: String,
+    // Scheduling is paused after too many consecutive failures
+    consecutiveFailures: { type: Number, default: 0 },
+    schedulePaused: { type: Boolean, default: false },
     createdAt: Date
   }],
   securitySettings: {
@@ -221,6 +244,8 @@ const institutionSchema = new mongoose.Schema({
 // Note: email already has unique: true which creates an index, so we don't need to add it again
 institutionSchema.index({ adminEmail: 1 });
 institutionSchema.index({ 'subscription.status': 1 });
+institutionSchema.index({ 'apiKeys.keyHash': 1 }, { sparse: true });
+institutionSchema.index({ 'customReports.nextRunAt': 1 }, { sparse: true });
 
 const Institution = mongoose.model('Institution', institutionSchema);
 
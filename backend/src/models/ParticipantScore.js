@@ -11,6 +11,13 @@ const participantScoreSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Live run the scores were earned in (null outside live runs, e.g. self-paced)
+  runId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PresentationRun',
+    default: null,
+    index: true
+  },
   participantId: {
     type: String,
     required: true,
@@ -22,6 +29,10 @@ const participantScoreSchema = new mongoose.Schema({
     trim: true,
     default: 'Anonymous'
   },
+  teamId: {
+    type: String,
+    default: null // Team ID from presentation teamSettings when team mode is on
+  },
   totalScore: {
     type: Number,
     default: 0,
@@ -34,9 +45,8 @@ const participantScoreSchema = new mongoose.Schema({
       required: true
     },
     score: {
-      type: Number,
-      required: true,
-      min: 0
+      type: Number, // negative when the quiz uses negative marking
+      required: true
     },
     responseTime: {
       type: Number, // in milliseconds
@@ -60,8 +70,28 @@ const participantScoreSchema = new mongoose.Schema({
 });
 
 // Compound indexes for efficient queries
-participantScoreSchema.index({ presentationId: 1, participantId: 1 }, { unique: true });
-participantScoreSchema.index({ presentationId: 1, totalScore: -1 }); // For leaderboard queries
+participantScoreSchema.index({ presentationId: 1, runId: 1, participantId: 1 }, { unique: true });
+participantScoreSchema.index({ presentationId: 1, runId: 1, totalScore: -1 }); // For leaderboard queries
+
+// Unique index from before run history; autoIndex never removes it, and it rejects
+// a returning participant's score in a later run
+const LEGACY_UNIQUE_INDEX = 'presentationId_1_participantId_1';
+
+// Drop indexes the schema no longer defines (run once at startup)
+participantScoreSchema.statics.dropLegacyIndexes = async function() {
+  const indexes = await this.collection.indexes().catch(error => {
+    // Collection not created yet: nothing to drop
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  });
+
+  if (!indexes.some(index => index.name === LEGACY_UNIQUE_INDEX)) {
+    return false;
+  }
+
+  await this.collection.dropIndex(LEGACY_UNIQUE_INDEX);
+  return true;
+};
 
 // Update lastUpdated on save
 participantScoreSchema.pre('save', function(next) {
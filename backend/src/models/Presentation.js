@@ -25,6 +25,12 @@ const presentationSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Run (live session) collecting responses while the presentation is live
+  currentRunId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PresentationRun',
+    default: null
+  },
   accessCode: {
     type: String,
     required: true,
@@ -35,7 +41,113 @@ const presentationSchema = new mongoose.Schema({
   showResults: {
     type: Boolean,
     default: true
-  }
+  },
+  // Team mode: participants join teams and quiz scores aggregate per team
+  teamSettings: {
+    type: new mongoose.Schema({
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      assignment: {
+        type: String,
+        enum: ['auto', 'choose'],
+        default: 'auto'
+      },
+      aggregation: {
+        type: String,
+        enum: ['sum', 'average', 'top_n'],
+        default: 'sum'
+      },
+      topN: {
+        type: Number,
+        default: 3,
+        min: 1,
+        max: 50
+      },
+      teams: [{
+        id: {
+          type: String,
+          required: true
+        },
+        name: {
+          type: String,
+          required: true,
+          trim: true
+        },
+        color: {
+          type: String,
+          default: ''
+        },
+        _id: false
+      }]
+    }, { _id: false }),
+    default: null
+  },
+  // Self-paced mode: participants move through the slides on their own while the window is open
+  selfPacedSettings: {
+    type: new mongoose.Schema({
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      opensAt: {
+        type: Date,
+        default: null
+      },
+      closesAt: {
+        type: Date,
+        default: null
+      }
+    }, { _id: false }),
+    default: null
+  },
+  // Profanity and blocklist filter for Q&A, open-ended and word cloud answers (on by default when unset)
+  contentFilter: {
+    type: new mongoose.Schema({
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      useDefaultList: {
+        type: Boolean,
+        default: true
+      },
+      blockedWords: {
+        type: [String],
+        default: []
+      },
+      action: {
+        type: String,
+        enum: ['mask', 'reject'],
+        default: 'mask'
+      }
+    }, { _id: false }),
+    default: null
+  },
+  // People the owner shared the presentation with (matched by email so invites work before sign-up)
+  collaborators: [{
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'editor', 'co_presenter'],
+      default: 'viewer'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true // Adds createdAt and updatedAt
 });
@@ -43,6 +155,7 @@ const presentationSchema = new mongoose.Schema({
 // Indexes
 presentationSchema.index({ userId: 1, createdAt: -1 });
 presentationSchema.index({ accessCode: 1, isLive: 1 });
+presentationSchema.index({ 'collaborators.email': 1 });
 
 // Static method to generate access code
 presentationSchema.statics.generateAccessCode = function() {
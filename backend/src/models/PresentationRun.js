@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Presentation Run Schema
+ * One live session of a presentation, from start-presentation to end-presentation.
+ * Responses and quiz scores collected while it is live are attached to it.
+ */
+const presentationRunSchema = new mongoose.Schema({
+  presentationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Presentation',
+    required: true,
+    index: true
+  },
+  // 1-based, in start order within the presentation
+  runNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['live', 'ended'],
+    default: 'live'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // Filled in when the run ends
+  participantCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  responseCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+presentationRunSchema.index({ presentationId: 1, runNumber: -1 }, { unique: true });
+
+const PresentationRun = mongoose.model('PresentationRun', presentationRunSchema);
+
+module.exports = PresentationRun;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * Presentation Template Schema
+ * Reusable decks saved by a user ("save as template") or published by an institution admin
+ * to every user of the institution. System templates live in services/systemTemplates.js.
+ */
+const presentationTemplateSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 500
+  },
+  // 'user' templates are private to userId, 'institution' templates are shared with institutionId
+  scope: {
+    type: String,
+    enum: ['user', 'institution'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    default: null
+  },
+  sourcePresentationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Presentation',
+    default: null
+  },
+  // Who saved or published it (user or institution admin email)
+  createdBy: {
+    type: String,
+    default: ''
+  },
+  slideCount: {
+    type: Number,
+    default: 0
+  },
+  // Snapshot of the deck in the portable bundle format (see presentationBundleService)
+  bundle: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+presentationTemplateSchema.index({ userId: 1, createdAt: -1 });
+presentationTemplateSchema.index({ institutionId: 1, createdAt: -1 });
+
+const PresentationTemplate = mongoose.model('PresentationTemplate', presentationTemplateSchema);
+
+module.exports = PresentationTemplate;
@@ -17,6 +17,13 @@ const responseSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Live run the answer was given in (null outside live runs, e.g. self-paced)
+  runId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PresentationRun',
+    default: null,
+    index: true
+  },
   participantId: {
     type: String,
     required: true,
@@ -65,8 +72,7 @@ const responseSchema = new mongoose.Schema({
   },
   score: {
     type: Number,
-    default: 0,
-    min: 0
+    default: 0
   },
   // For QnA type - track if question has been answered
   isAnswered: {
@@ -79,6 +85,27 @@ const responseSchema = new mongoose.Schema({
     default: null,
     trim: true,
     maxlength: 1000
+  },
+  // For QnA type - pending questions wait for the presenter when moderation is on
+  moderationStatus: {
+    type: String,
+    enum: ['approved', 'pending', 'rejected'],
+    default: 'approved'
+  },
+  // For QnA type - the question the presenter currently has on screen
+  isActiveQuestion: {
+    type: Boolean,
+    default: false
+  },
+  // For QnA type - lowercased question text while it counts against duplicates (unset once rejected)
+  questionKey: {
+    type: String,
+    default: undefined
+  },
+  // For QnA type - author's participantId while the question stops them asking another
+  askingSlot: {
+    type: String,
+    default: undefined
   }
 }, {
   timestamps: true
@@ -88,7 +115,18 @@ const responseSchema = new mongoose.Schema({
 responseSchema.index({ slideId: 1, submittedAt: -1 });
 responseSchema.index({ participantId: 1, slideId: 1 });
 responseSchema.index({ presentationId: 1, slideId: 1 });
+responseSchema.index({ slideId: 1, runId: 1, participantId: 1 });
 responseSchema.index({ slideId: 1, voters: 1 });
+// Q&A: one live copy of each question and one open question per participant in a run,
+// enforced by the database so concurrent submits can't both get through
+responseSchema.index(
+  { slideId: 1, runId: 1, questionKey: 1 },
+  { unique: true, partialFilterExpression: { questionKey: { $type: 'string' } } }
+);
+responseSchema.index(
+  { slideId: 1, runId: 1, askingSlot: 1 },
+  { unique: true, partialFilterExpression: { askingSlot: { $type: 'string' } } }
+);
 
 const Response = mongoose.model('Response', responseSchema);
 
@@ -34,6 +34,50 @@ const slideSchema = new mongoose.Schema({
     min: 1,
     max: 10
   },
+  wordCloudSettings: {
+    type: new mongoose.Schema({
+      // Stopword list and stemmer for Latin-script words; other scripts are detected per word
+      language: {
+        type: String,
+        enum: ['auto', 'en', 'es', 'fr', 'pt', 'hi', 'mr', 'bn', 'ta', 'te', 'ar', 'zh'],
+        default: 'auto'
+      },
+      removeStopwords: {
+        type: Boolean,
+        default: true
+      },
+      // Participants can submit short phrases ("machine learning") as one entry
+      allowPhrases: {
+        type: Boolean,
+        default: false
+      },
+      // Count forms of a word together (run/runs/running)
+      groupSimilarWords: {
+        type: Boolean,
+        default: false
+      },
+      // Presenter corrections, applied when results are built
+      mergedWords: {
+        type: [new mongoose.Schema({
+          words: {
+            type: [String],
+            default: []
+          },
+          label: {
+            type: String,
+            required: true,
+            trim: true
+          }
+        }, { _id: false })],
+        default: []
+      },
+      hiddenWords: {
+        type: [String],
+        default: []
+      }
+    }, { _id: false }),
+    default: () => ({})
+  },
   // For multiple_choice type
   options: {
     type: [String],
@@ -58,6 +102,12 @@ const slideSchema = new mongoose.Schema({
     default: null,
     trim: true
   },
+  // For scales type - 'nps' rates 0-10 and reports a Net Promoter Score
+  scaleMode: {
+    type: String,
+    enum: ['scale', 'nps'],
+    default: 'scale'
+  },
   // For scales type - multiple statements
   statements: {
     type: [String],
@@ -78,6 +128,12 @@ const slideSchema = new mongoose.Schema({
     }, { _id: false })],
     default: null
   },
+  // For ranking type - how ballots are aggregated (see rankingStatsService)
+  rankingMethod: {
+    type: String,
+    enum: ['borda', 'average_rank', 'first_choice', 'pairwise'],
+    default: 'borda'
+  },
   // For open_ended type
   openEndedSettings: {
     type: new mongoose.Schema({
@@ -94,6 +150,20 @@ const slideSchema = new mongoose.Schema({
       allowMultiple: {
         type: Boolean,
         default: false
+      },
+      // Questions wait in a presenter-only queue until approved
+      moderation: {
+        type: Boolean,
+        default: false
+      },
+      allowUpvotes: {
+        type: Boolean,
+        default: true
+      },
+      sortBy: {
+        type: String,
+        enum: ['oldest', 'newest', 'votes'],
+        default: 'oldest'
       }
     }, { _id: false }),
     default: () => ({})
@@ -167,6 +237,16 @@ const slideSchema = new mongoose.Schema({
     }, { _id: false }),
     default: null
   },
+  // Quadrant names shown in 2x2 grid results ('' uses the default name)
+  gridQuadrantLabels: {
+    type: new mongoose.Schema({
+      topLeft: { type: String, default: '', trim: true },
+      topRight: { type: String, default: '', trim: true },
+      bottomLeft: { type: String, default: '', trim: true },
+      bottomRight: { type: String, default: '', trim: true }
+    }, { _id: false }),
+    default: undefined
+  },
   // For pin_on_image type
   pinOnImageSettings: {
     type: new mongoose.Schema({
@@ -178,6 +258,7 @@ const slideSchema = new mongoose.Schema({
         type: String,
         default: null
       },
+      // Single rectangle from before correctAreas; read as the first correct area
       correctArea: {
         type: new mongoose.Schema({
           x: { type: Number, required: true }, // X coordinate (0-100%)
@@ -186,6 +267,46 @@ const slideSchema = new mongoose.Schema({
           height: { type: Number, required: true } // Height (0-100%)
         }, { _id: false }),
         default: null
+      },
+      // A pin is correct inside any of these areas
+      correctAreas: {
+        type: [new mongoose.Schema({
+          id: { type: String, required: true },
+          shape: { type: String, enum: ['rectangle', 'polygon'], default: 'rectangle' },
+          label: { type: String, default: '', trim: true },
+          // Rectangle (0-100%)
+          x: { type: Number, default: null },
+          y: { type: Number, default: null },
+          width: { type: Number, default: null },
+          height: { type: Number, default: null },
+          // Polygon corners (0-100%)
+          points: {
+            type: [new mongoose.Schema({
+              x: { type: Number, required: true },
+              y: { type: Number, required: true }
+            }, { _id: false })],
+            default: undefined
+          }
+        }, { _id: false })],
+        default: []
+      },
+      allowMultiplePins: {
+        type: Boolean,
+        default: false
+      },
+      maxPins: {
+        type: Number,
+        default: 3,
+        min: 1,
+        max: 10
+      },
+      // Graded answers earn points on the leaderboard
+      scoring: {
+        type: new mongoose.Schema({
+          enabled: { type: Boolean, default: false },
+          points: { type: Number, default: 1000, min: 0 }
+        }, { _id: false }),
+        default: () => ({})
       }
     }, { _id: false }),
     default: null
@@ -204,6 +325,21 @@ const slideSchema = new mongoose.Schema({
         type: String,
         required: true
       },
+      // All correct options (the first is mirrored in correctOptionId); empty for single-answer quizzes
+      correctOptionIds: {
+        type: [String],
+        default: undefined
+      },
+      // "Select all that apply" input
+      allowMultiple: {
+        type: Boolean,
+        default: false
+      },
+      multiSelectScoring: {
+        type: String,
+        enum: ['all_or_nothing', 'proportional'],
+        default: 'all_or_nothing'
+      },
       timeLimit: {
         type: Number, // in seconds
         default: 30,
@@ -214,6 +350,20 @@ const slideSchema = new mongoose.Schema({
         type: Number,
         default: 1000,
         min: 0
+      },
+      scoringMode: {
+        type: String,
+        enum: ['speed', 'accuracy', 'fixed'],
+        default: 'speed'
+      },
+      streakBonus: {
+        type: Boolean,
+        default: false
+      },
+      negativePoints: {
+        type: Number, // deducted for an incorrect answer
+        default: 0,
+        min: 0
       }
     }, { _id: false }),
     default: null
@@ -235,10 +385,61 @@ const slideSchema = new mongoose.Schema({
         default: 10,
         min: 1,
         max: 50
+      },
+      view: {
+        type: String,
+        enum: ['individual', 'team', 'both'],
+        default: 'individual'
       }
     }, { _id: false }),
     default: null
   },
+  // Conditional branching: where to go next based on the answers to this slide
+  branching: {
+    type: new mongoose.Schema({
+      // Follow the matching branch on "next" instead of only suggesting it to the presenter
+      autoFollow: {
+        type: Boolean,
+        default: false
+      },
+      rules: [{
+        id: {
+          type: String,
+          required: true
+        },
+        condition: {
+          type: String,
+          enum: ['option_chosen', 'accuracy_below', 'accuracy_at_least'],
+          required: true
+        },
+        // Multiple choice option text or quiz option ID (option_chosen)
+        optionValue: {
+          type: String,
+          default: ''
+        },
+        // Percentage of correct answers (accuracy conditions)
+        threshold: {
+          type: Number,
+          default: 50,
+          min: 0,
+          max: 100
+        },
+        // 'jump' continues from the target slide, 'detour' returns to the slide after this one
+        action: {
+          type: String,
+          enum: ['jump', 'detour'],
+          default: 'jump'
+        },
+        targetSlideId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Slide',
+          required: true
+        },
+        _id: false
+      }]
+    }, { _id: false }),
+    default: null
+  },
   // For text slide type
   textContent: {
     type: String,
@@ -327,6 +528,17 @@ const slideSchema = new mongoose.Schema({
     }, { _id: false })],
     default: []
   },
+  // Co-editing: bumped on every saved change (see slideRevisionService)
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // Revision each field last changed in, to tell concurrent edits apart from conflicts
+  fieldRevisions: {
+    type: Map,
+    of: Number,
+    default: undefined
+  },
 }, {
   timestamps: true
 });
@@ -340,6 +552,10 @@ slideSchema.pre('save', function(next) {
   }
   
   if (this.type === 'scales') {
+    if (this.scaleMode === 'nps') {
+      this.minValue = 0;
+      this.maxValue = 10;
+    }
     if (this.minValue === null || this.maxValue === null) {
       return next(new Error('minValue and maxValue are required for scales slides'));
     }
@@ -429,6 +645,12 @@ slideSchema.pre('save', function(next) {
         return next(new Error('correctOptionId must match one of the option IDs'));
       }
     }
+    if (Array.isArray(this.quizSettings.correctOptionIds)) {
+      const optionIds = this.quizSettings.options.map(opt => opt.id);
+      if (this.quizSettings.correctOptionIds.some(id => !optionIds.includes(id))) {
+        return next(new Error('correctOptionIds must match the option IDs'));
+      }
+    }
     if (this.quizSettings.timeLimit < 5 || this.quizSettings.timeLimit > 300) {
       return next(new Error('timeLimit must be between 5 and 300 seconds'));
     }
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Slide Revision Schema
+ * One entry in the edit history of a presentation: a slide being created, changed, deleted or
+ * restored, or the presentation being renamed (slideId null). The snapshot holds the slide's
+ * content after the change (before it, for deletions), so any entry can be compared or restored.
+ */
+const slideRevisionSchema = new mongoose.Schema({
+  presentationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Presentation',
+    required: true
+  },
+  slideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Slide',
+    default: null
+  },
+  action: {
+    type: String,
+    // baseline: content of a slide that existed before history was recorded
+    enum: ['baseline', 'created', 'updated', 'deleted', 'restored', 'renamed'],
+    required: true
+  },
+  // Slide.revision after the change
+  revision: {
+    type: Number,
+    default: 0
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  changedFields: {
+    type: [String],
+    default: []
+  },
+  // Revision a restore went back to
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SlideRevision',
+    default: null
+  },
+  // Responses the slide had collected when it changed; edits after responses came in can skew results
+  responseCount: {
+    type: Number,
+    default: 0
+  },
+  author: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    name: {
+      type: String,
+      default: ''
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+slideRevisionSchema.index({ presentationId: 1, createdAt: -1 });
+slideRevisionSchema.index({ slideId: 1, createdAt: -1 });
+
+const SlideRevision = mongoose.model('SlideRevision', slideRevisionSchema);
+
+module.exports = SlideRevision;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * Slide Trash Schema
+ * A deleted slide kept for restoring until expiresAt, when MongoDB removes it (TTL index).
+ * Holds the slide as it was, the auto-generated leaderboard that was deleted with a quiz slide,
+ * and the slide's responses so results come back with it.
+ */
+const slideTrashSchema = new mongoose.Schema({
+  presentationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Presentation',
+    required: true,
+    index: true
+  },
+  slideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  slide: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  leaderboardSlide: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  responses: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // False when the slide had too many responses to keep; they were deleted with it
+  responsesArchived: {
+    type: Boolean,
+    default: true
+  },
+  responseCount: {
+    type: Number,
+    default: 0
+  },
+  deletedBy: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    name: {
+      type: String,
+      default: ''
+    }
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+slideTrashSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SlideTrash = mongoose.model('SlideTrash', slideTrashSchema);
+
+module.exports = SlideTrash;
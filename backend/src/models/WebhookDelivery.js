@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * Webhook Delivery Schema
+ * Delivery log for institution webhooks (one document per event per webhook)
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    required: true,
+    index: true
+  },
+  // Matches Institution.webhooks[].id
+  webhookId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Exact JSON body that is signed and sent, kept so redeliveries are byte-identical
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // Set when an admin manually redelivers a past event
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the retry worker
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Index for the admin delivery log
+webhookDeliverySchema.index({ institutionId: 1, webhookId: 1, createdAt: -1 });
+// Keep the delivery log for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
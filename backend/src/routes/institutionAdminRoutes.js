@@ -103,6 +103,27 @@ router.post('/users/verify-payment', verifyInstitutionAdmin, institutionAdminCon
  */
 router.get('/presentations', verifyInstitutionAdmin, institutionAdminController.getInstitutionPresentations);
 
+/**
+ * @route   POST /api/institution-admin/presentations/:presentationId/template
+ * @desc    Publish an institution user's presentation as a template for all institution users
+ * @access  Private (Institution Admin)
+ */
+router.post('/presentations/:presentationId/template', verifyInstitutionAdmin, institutionAdminController.publishInstitutionTemplate);
+
+/**
+ * @route   GET /api/institution-admin/templates
+ * @desc    Get templates published to institution users
+ * @access  Private (Institution Admin)
+ */
+router.get('/templates', verifyInstitutionAdmin, institutionAdminController.getInstitutionTemplates);
+
+/**
+ * @route   DELETE /api/institution-admin/templates/:templateId
+ * @desc    Remove a published institution template
+ * @access  Private (Institution Admin)
+ */
+router.delete('/templates/:templateId', verifyInstitutionAdmin, institutionAdminController.deleteInstitutionTemplate);
+
 /**
  * @route   GET /api/institution-admin/my-account
  * @desc    Get admin's user account information
@@ -201,6 +222,20 @@ router.post('/webhooks', verifyInstitutionAdmin, institutionAdminController.crea
  */
 router.delete('/webhooks/:webhookId', verifyInstitutionAdmin, institutionAdminController.deleteWebhook);
 
+/**
+ * @route   GET /api/institution-admin/webhooks/:webhookId/deliveries
+ * @desc    Get webhook delivery log
+ * @access  Private (Institution Admin)
+ */
+router.get('/webhooks/:webhookId/deliveries', verifyInstitutionAdmin, institutionAdminController.getWebhookDeliveries);
+
+/**
+ * @route   POST /api/institution-admin/webhooks/deliveries/:deliveryId/redeliver
+ * @desc    Redeliver a webhook event
+ * @access  Private (Institution Admin)
+ */
+router.post('/webhooks/deliveries/:deliveryId/redeliver', verifyInstitutionAdmin, institutionAdminController.redeliverWebhook);
+
 /**
  * @route   GET /api/institution-admin/custom-reports
  * @desc    Get custom reports
@@ -215,13 +250,27 @@ router.get('/custom-reports', verifyInstitutionAdmin, institutionAdminController
  */
 router.post('/custom-reports', verifyInstitutionAdmin, institutionAdminController.createCustomReport);
 
+/**
+ * @route   PUT /api/institution-admin/custom-reports/:reportId
+ * @desc    Update custom report (also resumes a paused schedule)
+ * @access  Private (Institution Admin)
+ */
+router.put('/custom-reports/:reportId', verifyInstitutionAdmin, institutionAdminController.updateCustomReport);
+
 /**
  * @route   POST /api/institution-admin/custom-reports/:reportId/generate
- * @desc    Generate custom report
+ * @desc    Generate custom report (downloads it; emails it when `send` is true)
  * @access  Private (Institution Admin)
  */
 router.post('/custom-reports/:reportId/generate', verifyInstitutionAdmin, institutionAdminController.generateCustomReport);
 
+/**
+ * @route   GET /api/institution-admin/custom-reports/:reportId/runs
+ * @desc    Get custom report run history
+ * @access  Private (Institution Admin)
+ */
+router.get('/custom-reports/:reportId/runs', verifyInstitutionAdmin, institutionAdminController.getCustomReportRuns);
+
 /**
  * @route   DELETE /api/institution-admin/custom-reports/:reportId
  * @desc    Delete custom report
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const presentationController = require('../controllers/presentationController');
+const collaboratorController = require('../controllers/collaboratorController');
+const slideHistoryController = require('../controllers/slideHistoryController');
 const { verifyToken } = require('../middleware/auth');
 const { checkSlideLimit } = require('../middleware/checkPlanLimits');
 
@@ -47,6 +49,27 @@ router.use(verifyToken);
  */
 router.post('/', presentationController.createPresentation);
 
+/**
+ * @route   POST /api/presentations/import
+ * @desc    Convert a PowerPoint deck, PDF or Markdown outline into slide drafts
+ * @access  Private
+ */
+router.post('/import', presentationController.importPresentationSlides);
+
+/**
+ * @route   POST /api/presentations/bundles
+ * @desc    Create a presentation from a portable bundle (.json or .zip)
+ * @access  Private
+ */
+router.post('/bundles', presentationController.importPresentationBundle);
+
+/**
+ * @route   POST /api/presentations/from-template
+ * @desc    Create a presentation from a system, institution or saved template
+ * @access  Private
+ */
+router.post('/from-template', presentationController.createPresentationFromTemplate);
+
 /**
  * @swagger
  * /api/presentations:
@@ -134,6 +157,13 @@ router.delete('/:id', presentationController.deletePresentation);
  */
 router.get('/:id/results', presentationController.getPresentationResultById);
 
+/**
+ * @route   GET /api/presentations/:id/runs
+ * @desc    Get the run history (live sessions) of a presentation
+ * @access  Private
+ */
+router.get('/:id/runs', presentationController.getPresentationRuns);
+
 /**
  * @route   DELETE /api/presentations/:id/results
  * @desc    Clear all results for a presentation (responses, scores, sessions)
@@ -151,11 +181,60 @@ router.delete('/:presentationId/slides/:slideId/results', presentationController
 
 /**
  * @route   GET /api/presentations/:id/export
- * @desc    Export presentation results (CSV/Excel)
+ * @desc    Export presentation results (CSV, Excel, JSON, PDF or PowerPoint)
  * @access  Private
  */
 router.get('/:id/export', presentationController.exportPresentationResults);
 
+/**
+ * @route   GET /api/presentations/:id/bundle
+ * @desc    Export the presentation as a portable bundle (?format=json|zip)
+ * @access  Private
+ */
+router.get('/:id/bundle', presentationController.exportPresentationBundle);
+
+/**
+ * @route   POST /api/presentations/:id/duplicate
+ * @desc    Duplicate a presentation (slides and settings, without responses)
+ * @access  Private
+ */
+router.post('/:id/duplicate', presentationController.duplicatePresentation);
+
+/**
+ * @route   POST /api/presentations/:id/template
+ * @desc    Save a presentation as a personal template
+ * @access  Private
+ */
+router.post('/:id/template', presentationController.savePresentationAsTemplate);
+
+/**
+ * @route   GET /api/presentations/:id/collaborators
+ * @desc    List the people a presentation is shared with
+ * @access  Private (owner)
+ */
+router.get('/:id/collaborators', collaboratorController.getCollaborators);
+
+/**
+ * @route   POST /api/presentations/:id/collaborators
+ * @desc    Share a presentation by email as viewer, editor or co-presenter
+ * @access  Private (owner)
+ */
+router.post('/:id/collaborators', collaboratorController.addCollaborator);
+
+/**
+ * @route   PUT /api/presentations/:id/collaborators/:collaboratorId
+ * @desc    Change a collaborator's role
+ * @access  Private (owner)
+ */
+router.put('/:id/collaborators/:collaboratorId', collaboratorController.updateCollaborator);
+
+/**
+ * @route   DELETE /api/presentations/:id/collaborators/:collaboratorId
+ * @desc    Remove a collaborator, or leave a presentation shared with you
+ * @access  Private (owner or the collaborator)
+ */
+router.delete('/:id/collaborators/:collaboratorId', collaboratorController.removeCollaborator);
+
 /**
  * @route   POST /api/presentations/:presentationId/slides
  * @desc    Create a new slide in a presentation
@@ -179,6 +258,48 @@ router.put('/:presentationId/slides/:slideId', presentationController.updateSlid
  */
 router.delete('/:presentationId/slides/:slideId', presentationController.deleteSlide);
 
+/**
+ * @route   GET /api/presentations/:id/history
+ * @desc    Edit history of a presentation or one of its slides
+ * @access  Private (viewer)
+ */
+router.get('/:id/history', slideHistoryController.getPresentationHistory);
+
+/**
+ * @route   GET /api/presentations/:presentationId/slides/:slideId/revisions/:revisionId/diff
+ * @desc    Compare a slide revision with an earlier one or the current slide
+ * @access  Private (viewer)
+ */
+router.get('/:presentationId/slides/:slideId/revisions/:revisionId/diff', slideHistoryController.getRevisionDiff);
+
+/**
+ * @route   POST /api/presentations/:presentationId/slides/:slideId/revisions/:revisionId/restore
+ * @desc    Restore a slide to an earlier version
+ * @access  Private (editor)
+ */
+router.post('/:presentationId/slides/:slideId/revisions/:revisionId/restore', slideHistoryController.restoreRevision);
+
+/**
+ * @route   GET /api/presentations/:presentationId/trash
+ * @desc    Deleted slides that can still be restored
+ * @access  Private (viewer)
+ */
+router.get('/:presentationId/trash', slideHistoryController.getTrash);
+
+/**
+ * @route   POST /api/presentations/:presentationId/trash/:trashId/restore
+ * @desc    Restore a deleted slide with its responses
+ * @access  Private (editor)
+ */
+router.post('/:presentationId/trash/:trashId/restore', checkSlideLimit, slideHistoryController.restoreTrashedSlide);
+
+/**
+ * @route   DELETE /api/presentations/:presentationId/trash/:trashId
+ * @desc    Permanently delete a slide from the trash
+ * @access  Private (editor)
+ */
+router.delete('/:presentationId/trash/:trashId', slideHistoryController.deleteTrashedSlide);
+
 /**
  * @route   POST /api/presentations/:presentationId/quiz/:slideId/leaderboard
  * @desc    Create leaderboard slide for a quiz
@@ -193,6 +314,13 @@ router.post('/:presentationId/quiz/:slideId/leaderboard', presentationController
  */
 router.get('/:presentationId/leaderboard', presentationController.getLeaderboard);
 
+/**
+ * @route   GET /api/presentations/:id/self-paced/progress
+ * @desc    Get participant completion for a self-paced presentation
+ * @access  Private
+ */
+router.get('/:id/self-paced/progress', presentationController.getSelfPacedProgress);
+
 /**
  * @route   POST /api/presentations/:presentationId/generate-leaderboards
  * @desc    Generate leaderboard slides for all quizzes with responses
@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const publicApiController = require('../controllers/publicApiController');
+const presentationController = require('../controllers/presentationController');
+const institutionAdminController = require('../controllers/institutionAdminController');
+const { verifyApiKey, requireApiPermission } = require('../middleware/apiKeyAuth');
+
+// All public API routes are authenticated with an institution API key (X-API-Key header)
+router.use(verifyApiKey);
+
+/**
+ * @route   GET /api/v1/me
+ * @desc    Get the authenticated API key, its permissions and institution
+ * @access  Private (API Key)
+ */
+router.get('/me', publicApiController.getApiKeyInfo);
+
+/**
+ * @route   GET /api/v1/presentations
+ * @desc    List presentations created by institution users
+ * @access  Private (API Key: presentations:read)
+ */
+router.get('/presentations', requireApiPermission('presentations:read'), institutionAdminController.getInstitutionPresentations);
+
+/**
+ * @route   GET /api/v1/presentations/:id
+ * @desc    Get a presentation with its slides
+ * @access  Private (API Key: presentations:read)
+ */
+router.get('/presentations/:id', requireApiPermission('presentations:read'), publicApiController.resolvePresentationOwner, presentationController.getPresentationById);
+
+/**
+ * @route   GET /api/v1/presentations/:id/results
+ * @desc    Get aggregated results for all slides of a presentation
+ * @access  Private (API Key: results:read)
+ */
+router.get('/presentations/:id/results', requireApiPermission('results:read'), publicApiController.resolvePresentationOwner, presentationController.getPresentationResultById);
+
+/**
+ * @route   GET /api/v1/presentations/:id/export
+ * @desc    Export presentation results (?format=csv|excel|json|pdf|pptx)
+ * @access  Private (API Key: results:read)
+ */
+router.get('/presentations/:id/export', requireApiPermission('results:read'), publicApiController.resolvePresentationOwner, presentationController.exportPresentationResults);
+
+/**
+ * @route   GET /api/v1/users
+ * @desc    List institution users
+ * @access  Private (API Key: users:manage)
+ */
+router.get('/users', requireApiPermission('users:manage'), institutionAdminController.getInstitutionUsers);
+
+/**
+ * @route   POST /api/v1/users
+ * @desc    Add an existing platform user to the institution
+ * @access  Private (API Key: users:manage)
+ */
+router.post('/users', requireApiPermission('users:manage'), institutionAdminController.addInstitutionUser);
+
+/**
+ * @route   DELETE /api/v1/users/:userId
+ * @desc    Remove a user from the institution
+ * @access  Private (API Key: users:manage)
+ */
+router.delete('/users/:userId', requireApiPermission('users:manage'), institutionAdminController.removeInstitutionUser);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const templateController = require('../controllers/templateController');
+const { verifyToken } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(verifyToken);
+
+/**
+ * @route   GET /api/templates
+ * @desc    List system, institution and personal presentation templates
+ * @access  Private
+ */
+router.get('/', templateController.getTemplates);
+
+/**
+ * @route   DELETE /api/templates/:templateId
+ * @desc    Delete a personal template
+ * @access  Private
+ */
+router.delete('/:templateId', templateController.deleteTemplate);
+
+module.exports = router;
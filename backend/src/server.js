@@ -34,8 +34,15 @@ const passwordResetRoutes = require('./routes/passwordResetRoutes');
 const testEmailRoutes = require('./routes/testEmailRoutes');
 const testimonialRoutes = require('./routes/testimonialRoutes');
 const contactRoutes = require('./routes/contactRoutes');
+const publicApiRoutes = require('./routes/publicApiRoutes');
+const templateRoutes = require('./routes/templateRoutes');
 const setupSocketHandlers = require('./socket/socketHandlers');
+const { resumeQuizTimers } = require('./socket/quizHandlers');
+const { initSessionStore } = require('./services/sessionStore');
 const { checkExpiredInstitutionSubscriptions } = require('./services/institutionPlanService');
+const { processPendingDeliveries } = require('./services/webhookService');
+const { processDueReports } = require('./services/customReportService');
+const ParticipantScore = require('./models/ParticipantScore');
 
 const app = express();
 const server = http.createServer(app);
@@ -102,7 +109,7 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Socket-Id']
 }));
 // Increased limit to handle 100MB videos with base64 encoding (base64 increases size by ~33%)
 app.use(express.json({ limit: '150mb' }));
@@ -151,6 +158,7 @@ if (process.env.NODE_ENV !== 'production') {
 const { checkMaintenanceMode } = require('./middleware/maintenanceMode');
 app.use('/api/payments', checkMaintenanceMode, paymentRoutes);
 app.use('/api/presentations', checkMaintenanceMode, presentationRoutes);
+app.use('/api/templates', checkMaintenanceMode, templateRoutes);
 app.use('/api/upload', checkMaintenanceMode, uploadRoutes);
 app.use('/api/careers', checkMaintenanceMode, careersRoutes);
 app.use('/api/job-postings', checkMaintenanceMode, jobPostingRoutes);
@@ -159,6 +167,7 @@ app.use('/api/institution-admin', checkMaintenanceMode, institutionAdminRoutes);
 app.use('/api/institution/register', checkMaintenanceMode, institutionRegistrationRoutes);
 app.use('/api/testimonials', checkMaintenanceMode, testimonialRoutes);
 app.use('/api/contact', checkMaintenanceMode, contactRoutes);
+app.use('/api/v1', checkMaintenanceMode, publicApiRoutes);
 
 app.use(notFound);
 app.use(errorHandler);
@@ -172,6 +181,24 @@ const startServer = async () => {
     try {
         await connectDB();
         initializeFirebase();
+
+        // Per-run quiz scores need the pre-run-history unique index gone
+        if (await ParticipantScore.dropLegacyIndexes()) {
+            Logger.info('Dropped legacy ParticipantScore unique index');
+        }
+
+        // Live session state (quiz, Q&A, participants) and, with Redis, cross-instance broadcasts
+        const sessionStore = await initSessionStore();
+        if (sessionStore.driver === 'redis') {
+            const { attachRedisAdapter } = require('./config/redis');
+            await attachRedisAdapter(io);
+        }
+
+        // Re-arm quiz timers that were running before a restart
+        const resumedQuizzes = await resumeQuizTimers(io);
+        if (resumedQuizzes > 0) {
+            Logger.info(`Resumed ${resumedQuizzes} quiz timer(s)`);
+        }
         
         server.listen(PORT, () => {
             Logger.startup('\n' + '='.repeat(50));
@@ -209,6 +236,20 @@ const startServer = async () => {
             checkExpiredInstitutionSubscriptions().catch(error => {
                 Logger.error('Error in initial institution subscription check', error);
             });
+
+            // Retry failed webhook deliveries whose backoff has elapsed
+            setInterval(() => {
+                processPendingDeliveries().catch(error => {
+                    Logger.error('Error in scheduled webhook retry', error);
+                });
+            }, 60 * 1000); // Every minute
+
+            // Run scheduled custom reports that are due
+            setInterval(() => {
+                processDueReports().catch(error => {
+                    Logger.error('Error in scheduled custom reports', error);
+                });
+            }, 5 * 60 * 1000); // Every 5 minutes
         });
     } catch (error) {
         Logger.error('Failed to start server', error);
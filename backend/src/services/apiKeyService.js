@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const Institution = require('../models/Institution');
+const { getSessionStore } = require('./sessionStore');
+const Logger = require('../utils/logger');
+
+/**
+ * API Key Service
+ * Generates, hashes and verifies institution API keys used by the public /api/v1 API
+ */
+
+const API_KEY_PERMISSIONS = [
+  'presentations:read',
+  'results:read',
+  'users:manage'
+];
+
+const DEFAULT_API_KEY_PERMISSIONS = ['presentations:read', 'results:read'];
+
+// Requests per minute
+const DEFAULT_RATE_LIMIT = 60;
+const MAX_RATE_LIMIT = 1000;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// lastUsedAt is only written once per interval to avoid a database write per request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const KEY_PREFIX = 'inav_';
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// Rate-limit windows and lastUsedAt throttling live in the session store so every
+// backend instance counts against the same limit
+const RATE_LIMIT_NAMESPACE = 'apiRateLimit';   // keyId -> { windowStart, count }
+const LAST_USED_NAMESPACE = 'apiKeyLastUsed';  // keyId -> { writtenAt }
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plaintext API key
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new API key. The plaintext key is only ever returned here;
+ * the institution stores the hash and a short prefix for display.
+ * @returns {Object} - { key, keyHash, keyPrefix }
+ */
+function generateApiKey() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  return {
+    key,
+    keyHash: hashApiKey(key),
+    keyPrefix: key.substring(0, DISPLAY_PREFIX_LENGTH)
+  };
+}
+
+/**
+ * Keep only known permissions; fall back to read-only access when none are given
+ * @param {Array} permissions
+ * @returns {Array}
+ */
+function normalizePermissions(permissions) {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    return [...DEFAULT_API_KEY_PERMISSIONS];
+  }
+  return [...new Set(permissions.filter(p => API_KEY_PERMISSIONS.includes(p)))];
+}
+
+/**
+ * Clamp a requested rate limit to the allowed range
+ * @param {number|string} rateLimit
+ * @returns {number}
+ */
+function normalizeRateLimit(rateLimit) {
+  const parsed = parseInt(rateLimit, 10);
+  if (!parsed || parsed < 1) {
+    return DEFAULT_RATE_LIMIT;
+  }
+  return Math.min(parsed, MAX_RATE_LIMIT);
+}
+
+/**
+ * Shape an API key for admin responses (never includes the hash)
+ * @param {Object} apiKey - Institution.apiKeys entry
+ * @returns {Object}
+ */
+function toPublicApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    keyPrefix: apiKey.keyPrefix,
+    permissions: apiKey.permissions && apiKey.permissions.length > 0
+      ? apiKey.permissions
+      : [...DEFAULT_API_KEY_PERMISSIONS],
+    rateLimit: apiKey.rateLimit || DEFAULT_RATE_LIMIT,
+    active: apiKey.active !== false,
+    lastUsedAt: apiKey.lastUsedAt || null,
+    createdAt: apiKey.createdAt
+  };
+}
+
+/**
+ * Replace keys created before hashing was introduced with their hash
+ * @param {Object} institution - Institution document
+ * @returns {boolean} - True if the institution was modified (caller saves)
+ */
+function migratePlaintextKeys(institution) {
+  let modified = false;
+  (institution.apiKeys || []).forEach(apiKey => {
+    if (apiKey.key && !apiKey.keyHash) {
+      apiKey.keyHash = hashApiKey(apiKey.key);
+      apiKey.keyPrefix = apiKey.key.substring(0, DISPLAY_PREFIX_LENGTH);
+      apiKey.key = undefined;
+      modified = true;
+    }
+  });
+  return modified;
+}
+
+/**
+ * Find the institution and key entry matching a plaintext API key
+ * @param {string} rawKey
+ * @returns {Promise<Object|null>} - { institution, apiKey } or null
+ */
+async function findApiKey(rawKey) {
+  if (!rawKey || typeof rawKey !== 'string') {
+    return null;
+  }
+
+  const keyHash = hashApiKey(rawKey);
+  let institution = await Institution.findOne({ 'apiKeys.keyHash': keyHash });
+
+  if (!institution) {
+    // Keys created before hashing are still stored in plaintext until first use
+    institution = await Institution.findOne({ 'apiKeys.key': rawKey });
+    if (!institution) {
+      return null;
+    }
+    if (migratePlaintextKeys(institution)) {
+      await institution.save();
+    }
+  }
+
+  const apiKey = institution.apiKeys.find(k => k.keyHash === keyHash);
+  if (!apiKey) {
+    return null;
+  }
+
+  return { institution, apiKey };
+}
+
+/**
+ * Count a request against a key's per-minute limit
+ * @param {string} keyId
+ * @param {number} limit - Requests per minute
+ * @returns {Promise<Object>} - { allowed, limit, remaining, resetAt }
+ */
+async function consumeRateLimit(keyId, limit = DEFAULT_RATE_LIMIT) {
+  let allowed = false;
+
+  const window = await getSessionStore().update(RATE_LIMIT_NAMESPACE, keyId, (current) => {
+    const now = Date.now();
+    const next = !current || now - current.windowStart >= RATE_LIMIT_WINDOW_MS
+      ? { windowStart: now, count: 0 }
+      : current;
+
+    allowed = next.count < limit;
+    return allowed ? { ...next, count: next.count + 1 } : next;
+  }, RATE_LIMIT_WINDOW_MS);
+
+  const resetAt = window.windowStart + RATE_LIMIT_WINDOW_MS;
+  return { allowed, limit, remaining: Math.max(0, limit - window.count), resetAt };
+}
+
+/**
+ * Record that a key was used. Fire-and-forget and throttled per key.
+ * @param {string} institutionId
+ * @param {string} keyId
+ */
+function recordKeyUsage(institutionId, keyId) {
+  const now = Date.now();
+  let claimed = false;
+
+  getSessionStore().update(LAST_USED_NAMESPACE, keyId, (current) => {
+    if (current) {
+      return undefined;
+    }
+    claimed = true;
+    return { writtenAt: now };
+  }, LAST_USED_UPDATE_INTERVAL_MS)
+    .then(() => {
+      if (!claimed) {
+        return null;
+      }
+      return Institution.updateOne(
+        { _id: institutionId, 'apiKeys.id': keyId },
+        { $set: { 'apiKeys.$.lastUsedAt': new Date(now) } }
+      );
+    })
+    .catch(error => {
+      Logger.error(`Failed to update lastUsedAt for API key ${keyId}`, error);
+    });
+}
+
+/**
+ * Forget rate-limit and usage state for a deleted key
+ * @param {string} keyId
+ */
+async function clearKeyState(keyId) {
+  const store = getSessionStore();
+  await Promise.all([
+    store.delete(RATE_LIMIT_NAMESPACE, keyId),
+    store.delete(LAST_USED_NAMESPACE, keyId)
+  ]);
+}
+
+module.exports = {
+  API_KEY_PERMISSIONS,
+  DEFAULT_API_KEY_PERMISSIONS,
+  DEFAULT_RATE_LIMIT,
+  hashApiKey,
+  generateApiKey,
+  normalizePermissions,
+  normalizeRateLimit,
+  toPublicApiKey,
+  migratePlaintextKeys,
+  findApiKey,
+  consumeRateLimit,
+  recordKeyUsage,
+  clearKeyState
+};
@@ -0,0 +1,229 @@
+const { randomUUID } = require('crypto');
+const Slide = require('../models/Slide');
+const Response = require('../models/Response');
+const { runFilter } = require('./runService');
+
+/**
+ * Branching Service
+ * Slide-level rules that pick the next slide from the answers to a slide, e.g.
+ * "if the majority picks option B, go to slide 7" or "if quiz accuracy is under 50%, show the review slide".
+ *
+ * Live presentations evaluate the rules on the whole audience; self-paced participants
+ * follow their own branch based on their own answer.
+ */
+
+const BRANCHING_CONDITIONS = ['option_chosen', 'accuracy_below', 'accuracy_at_least'];
+const BRANCHING_ACTIONS = ['jump', 'detour'];
+const BRANCHABLE_TYPES = ['multiple_choice', 'quiz'];
+const MAX_RULES = 10;
+
+function getRules(slide) {
+  return Array.isArray(slide?.branching?.rules) ? slide.branching.rules : [];
+}
+
+function hasBranching(slide) {
+  return getRules(slide).length > 0;
+}
+
+function getOptionValues(slide) {
+  if (slide.type === 'quiz') {
+    return (slide.quizSettings?.options || []).map(option => option.id);
+  }
+  return (slide.options || []).map(option => String(option).trim());
+}
+
+function getAnswerValues(answer) {
+  const values = Array.isArray(answer) ? answer : [answer];
+  return values.filter(value => value !== undefined && value !== null).map(value => String(value).trim());
+}
+
+/**
+ * Validate and normalize branching settings from a request body
+ * @param {Object} input - { autoFollow, rules }
+ * @param {Object} slide - Slide the rules belong to (with its current options)
+ * @param {Array<string>} presentationSlideIds - IDs of the slides in the same presentation
+ * @returns {Object|null} Normalized settings, or null when there are no rules
+ * @throws {Error} If a rule is invalid
+ */
+function normalizeBranching(input, slide, presentationSlideIds = []) {
+  const rules = Array.isArray(input?.rules) ? input.rules : [];
+  if (rules.length === 0) {
+    return null;
+  }
+  if (!BRANCHABLE_TYPES.includes(slide.type)) {
+    throw new Error('Branching is only supported on multiple choice and quiz slides');
+  }
+  if (rules.length > MAX_RULES) {
+    throw new Error(`A slide supports up to ${MAX_RULES} branching rules`);
+  }
+
+  const optionValues = getOptionValues(slide);
+  const slideIds = presentationSlideIds.map(String);
+
+  return {
+    autoFollow: Boolean(input.autoFollow),
+    rules: rules.map((rule) => {
+      if (!BRANCHING_CONDITIONS.includes(rule?.condition)) {
+        throw new Error('Invalid branching condition');
+      }
+      if (rule.condition !== 'option_chosen' && slide.type !== 'quiz') {
+        throw new Error('Accuracy branching is only supported on quiz slides');
+      }
+
+      const optionValue = rule.condition === 'option_chosen' ? String(rule.optionValue ?? '').trim() : '';
+      if (rule.condition === 'option_chosen' && !optionValues.includes(optionValue)) {
+        throw new Error('Branching rule option not found');
+      }
+
+      const targetSlideId = rule.targetSlideId ? String(rule.targetSlideId) : '';
+      if (!slideIds.includes(targetSlideId) || targetSlideId === String(slide._id)) {
+        throw new Error('Branching target slide not found');
+      }
+
+      const threshold = Number(rule.threshold);
+
+      return {
+        id: typeof rule.id === 'string' && rule.id.trim() ? rule.id.trim() : randomUUID(),
+        condition: rule.condition,
+        optionValue,
+        threshold: Number.isFinite(threshold) ? Math.max(0, Math.min(100, threshold)) : 50,
+        action: BRANCHING_ACTIONS.includes(rule.action) ? rule.action : 'jump',
+        targetSlideId
+      };
+    })
+  };
+}
+
+function matchesAccuracy(rule, accuracy) {
+  return rule.condition === 'accuracy_below' ? accuracy < rule.threshold : accuracy >= rule.threshold;
+}
+
+/**
+ * Get the option most of the audience picked (null on a tie or without answers)
+ */
+function getTopOption(responses) {
+  const counts = new Map();
+  responses.forEach((response) => {
+    getAnswerValues(response.answer).forEach((value) => {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  });
+
+  let topOption = null;
+  let topCount = 0;
+  let isTie = false;
+  counts.forEach((count, value) => {
+    if (count > topCount) {
+      topOption = value;
+      topCount = count;
+      isTie = false;
+    } else if (count === topCount) {
+      isTie = true;
+    }
+  });
+
+  return isTie ? null : topOption;
+}
+
+function toBranch(rule, slide) {
+  return {
+    ruleId: rule.id,
+    condition: rule.condition,
+    action: rule.action || 'jump',
+    targetSlideId: String(rule.targetSlideId),
+    autoFollow: Boolean(slide.branching?.autoFollow)
+  };
+}
+
+/**
+ * Find the first rule matched by the whole audience's answers
+ * @param {Object} slide
+ * @param {Array} responses - Responses with answer and isCorrect
+ * @returns {Object|null} { ruleId, condition, action, targetSlideId, autoFollow }
+ */
+function evaluateAudienceBranch(slide, responses = []) {
+  if (!hasBranching(slide) || responses.length === 0) {
+    return null;
+  }
+
+  const topOption = getTopOption(responses);
+  const accuracy = (responses.filter(response => response.isCorrect).length / responses.length) * 100;
+
+  const rule = getRules(slide).find((candidate) => (candidate.condition === 'option_chosen'
+    ? topOption !== null && topOption === candidate.optionValue
+    : matchesAccuracy(candidate, accuracy)));
+
+  return rule ? toBranch(rule, slide) : null;
+}
+
+/**
+ * Find the first rule matched by one participant's answer
+ * @param {Object} slide
+ * @param {Object|null} response - The participant's response
+ * @returns {Object|null} { ruleId, condition, action, targetSlideId, autoFollow }
+ */
+function evaluateParticipantBranch(slide, response) {
+  if (!hasBranching(slide) || !response) {
+    return null;
+  }
+
+  const answers = getAnswerValues(response.answer);
+  const rule = getRules(slide).find((candidate) => (candidate.condition === 'option_chosen'
+    ? answers.includes(candidate.optionValue)
+    : matchesAccuracy(candidate, response.isCorrect ? 100 : 0)));
+
+  return rule ? toBranch(rule, slide) : null;
+}
+
+/**
+ * Evaluate a slide's branching rules on all answers of a run so far
+ * @param {Object} slide
+ * @param {string|null} runId - Live run, or null for answers outside runs
+ * @returns {Promise<Object|null>}
+ */
+async function getAudienceBranch(slide, runId = null) {
+  if (!hasBranching(slide)) {
+    return null;
+  }
+  const responses = await Response.find({ slideId: slide._id, ...runFilter(runId) }).select('answer isCorrect').lean();
+  return evaluateAudienceBranch(slide, responses);
+}
+
+/**
+ * Evaluate a slide's branching rules on one participant's self-paced answer
+ * @param {Object} slide
+ * @param {string} participantId
+ * @returns {Promise<Object|null>}
+ */
+async function getParticipantBranch(slide, participantId) {
+  if (!hasBranching(slide) || !participantId) {
+    return null;
+  }
+  const response = await Response.findOne({ slideId: slide._id, participantId, runId: null }).select('answer isCorrect').lean();
+  return evaluateParticipantBranch(slide, response);
+}
+
+/**
+ * Drop the rules that lead to a deleted slide
+ * @param {string} presentationId
+ * @param {string} slideId - Deleted slide ID
+ */
+async function removeBranchTarget(presentationId, slideId) {
+  await Slide.updateMany(
+    { presentationId, 'branching.rules.targetSlideId': slideId },
+    { $pull: { 'branching.rules': { targetSlideId: slideId } } }
+  );
+}
+
+module.exports = {
+  BRANCHING_CONDITIONS,
+  BRANCHING_ACTIONS,
+  BRANCHABLE_TYPES,
+  hasBranching,
+  normalizeBranching,
+  evaluateAudienceBranch,
+  evaluateParticipantBranch,
+  getAudienceBranch,
+  getParticipantBranch,
+  removeBranchTarget
+};
@@ -258,6 +258,33 @@ async function uploadPdfPageImage(imageBuffer, folder = 'inavora/pdf-pages') {
   }
 }
 
+/**
+ * Copy a remotely hosted file into this account's Cloudinary storage
+ * @param {string} url - Public URL of the file to copy
+ * @param {string} resourceType - Cloudinary resource type ('image', 'video' or 'raw')
+ * @param {string} folder - Cloudinary folder path
+ * @returns {Object} Upload result with URL and public ID
+ */
+async function copyRemoteMedia(url, resourceType = 'image', folder = 'inavora/bundles') {
+  try {
+    const result = await cloudinary.uploader.upload(url, {
+      folder: folder,
+      resource_type: resourceType,
+      use_filename: true,
+      unique_filename: true,
+      overwrite: false
+    });
+
+    return {
+      url: result.secure_url,
+      publicId: result.public_id
+    };
+  } catch (error) {
+    Logger.error('Cloudinary remote media copy error', error);
+    throw new Error(error.message || 'Failed to copy media to Cloudinary');
+  }
+}
+
 module.exports = {
   uploadImage,
   deleteImage,
@@ -266,5 +293,6 @@ module.exports = {
   uploadVideo,
   deleteVideo,
   uploadPdf,
-  uploadPdfPageImage
+  uploadPdfPageImage,
+  copyRemoteMedia
 };
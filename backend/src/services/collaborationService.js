@@ -0,0 +1,170 @@
+/**
+ * Collaboration Service
+ * Presentations belong to one owner (Presentation.userId) and can be shared with collaborators.
+ *
+ * Roles:
+ * - viewer: open the presentation, its results and exports
+ * - editor: viewer + edit slides and settings
+ * - co_presenter: viewer + run the live session (change slides, moderate Q&A, run quizzes)
+ *
+ * Only the owner manages collaborators and deletes the presentation.
+ */
+
+const COLLABORATOR_ROLES = ['viewer', 'editor', 'co_presenter'];
+
+const ROLE_PERMISSIONS = {
+  owner: ['view', 'edit', 'present', 'manage'],
+  editor: ['view', 'edit'],
+  co_presenter: ['view', 'present'],
+  viewer: ['view']
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.toLowerCase().trim() : '';
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string|null} role - 'owner' or a collaborator role
+ * @param {string} permission - 'view', 'edit', 'present' or 'manage'
+ * @returns {boolean}
+ */
+function can(role, permission) {
+  return Boolean(role && ROLE_PERMISSIONS[role]?.includes(permission));
+}
+
+/**
+ * Build the query for presentations a user can access with a permission
+ * @param {Object} user - User document (needs _id and email)
+ * @param {string} permission - Required permission
+ * @returns {Object} Mongo filter
+ */
+function accessFilter(user, permission = 'view') {
+  const email = normalizeEmail(user.email);
+  const roles = COLLABORATOR_ROLES.filter(role => can(role, permission));
+  if (!email || roles.length === 0) {
+    return { userId: user._id };
+  }
+
+  return {
+    $or: [
+      { userId: user._id },
+      { collaborators: { $elemMatch: { email, role: { $in: roles } } } }
+    ]
+  };
+}
+
+/**
+ * Build the query for one presentation the user can access with a permission
+ * Drop-in replacement for `{ _id: id, userId }` lookups.
+ * @param {string} presentationId - Presentation ID
+ * @param {Object} user - User document
+ * @param {string} permission - Required permission
+ * @returns {Object} Mongo filter
+ */
+function presentationFilter(presentationId, user, permission = 'view') {
+  return { _id: presentationId, ...accessFilter(user, permission) };
+}
+
+/**
+ * Get the user's role on a presentation
+ * @param {Object} presentation - Presentation document (with userId and collaborators)
+ * @param {Object} user - User document
+ * @returns {string|null} 'owner', a collaborator role, or null without access
+ */
+function getRole(presentation, user) {
+  if (!presentation || !user) return null;
+  if (String(presentation.userId?._id || presentation.userId) === String(user._id)) {
+    return 'owner';
+  }
+
+  const email = normalizeEmail(user.email);
+  const collaborator = email && (presentation.collaborators || []).find(entry => entry.email === email);
+  return collaborator ? collaborator.role : null;
+}
+
+function formatCollaborator(collaborator) {
+  return {
+    id: collaborator._id,
+    email: collaborator.email,
+    role: collaborator.role,
+    invitedAt: collaborator.invitedAt
+  };
+}
+
+/**
+ * Add a collaborator, or change the role of an existing one (caller saves the presentation)
+ * @param {Object} presentation - Presentation document
+ * @param {Object} params
+ * @param {string} params.email - Collaborator email
+ * @param {string} params.role - Collaborator role
+ * @param {Object} params.owner - Owner user document
+ * @returns {Object} { collaborator, isNew }
+ */
+function addCollaborator(presentation, { email, role = 'viewer', owner }) {
+  const normalizedEmail = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    throw new Error('Please enter a valid email address');
+  }
+  if (!COLLABORATOR_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`);
+  }
+  if (normalizedEmail === normalizeEmail(owner.email)) {
+    throw new Error('You already own this presentation');
+  }
+
+  const existing = presentation.collaborators.find(entry => entry.email === normalizedEmail);
+  if (existing) {
+    existing.role = role;
+    return { collaborator: existing, isNew: false };
+  }
+
+  presentation.collaborators.push({ email: normalizedEmail, role, invitedBy: owner._id, invitedAt: new Date() });
+  return { collaborator: presentation.collaborators[presentation.collaborators.length - 1], isNew: true };
+}
+
+/**
+ * Change a collaborator's role (caller saves the presentation)
+ * @param {Object} presentation - Presentation document
+ * @param {string} collaboratorId - Collaborator subdocument ID
+ * @param {string} role - New role
+ * @returns {Object|null} Updated collaborator or null when not found
+ */
+function updateCollaboratorRole(presentation, collaboratorId, role) {
+  if (!COLLABORATOR_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`);
+  }
+
+  const collaborator = presentation.collaborators.id(collaboratorId);
+  if (!collaborator) return null;
+  collaborator.role = role;
+  return collaborator;
+}
+
+/**
+ * Remove a collaborator (caller saves the presentation)
+ * @param {Object} presentation - Presentation document
+ * @param {string} collaboratorId - Collaborator subdocument ID
+ * @returns {boolean} Whether a collaborator was removed
+ */
+function removeCollaborator(presentation, collaboratorId) {
+  const collaborator = presentation.collaborators.id(collaboratorId);
+  if (!collaborator) return false;
+  collaborator.deleteOne();
+  return true;
+}
+
+module.exports = {
+  COLLABORATOR_ROLES,
+  ROLE_PERMISSIONS,
+  can,
+  accessFilter,
+  presentationFilter,
+  getRole,
+  formatCollaborator,
+  addCollaborator,
+  updateCollaboratorRole,
+  removeCollaborator
+};
@@ -0,0 +1,214 @@
+const Presentation = require('../models/Presentation');
+
+/**
+ * Content Filter Service
+ * Profanity and blocklist filtering for text participants submit (Q&A questions,
+ * open-ended answers and word cloud words), configured per presentation.
+ *
+ * Words are matched as whole words after normalizing case, accents, common letter
+ * substitutions (sh1t, @ss) and stretched letters (fuuuck), so "Scunthorpe" or
+ * "classic" never match. Single words also match with common endings (fucking, shits).
+ * Entries with spaces match the exact phrase.
+ *
+ * Actions:
+ * - mask: matched words are replaced by asterisks (dropped from word clouds)
+ * - reject: the submission is refused
+ */
+
+const CONTENT_FILTER_ACTIONS = ['mask', 'reject'];
+const MAX_BLOCKED_WORDS = 500;
+const MAX_BLOCKED_WORD_LENGTH = 60;
+
+const DEFAULT_BLOCKED_WORDS = [
+  'arse', 'arsehole', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit', 'cock', 'cunt', 'dick',
+  'dickhead', 'douche', 'fag', 'faggot', 'fuck', 'motherfucker', 'nigga', 'nigger', 'piss', 'prick',
+  'pussy', 'retard', 'shit', 'slut', 'twat', 'wanker', 'whore'
+];
+
+// Endings a single blocked word may carry and still match
+const WORD_ENDINGS = ['', 's', 'es', 'ed', 'er', 'ers', 'ing', 'in', 'y', 'ty', 'head', 'heads', 'face'];
+
+const SUBSTITUTIONS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+const TOKEN_PATTERN = /[\p{L}\p{N}@$]+/gu;
+
+const DEFAULT_CONTENT_FILTER = {
+  enabled: true,
+  useDefaultList: true,
+  blockedWords: [],
+  action: 'mask'
+};
+
+/**
+ * Comparable form of a word
+ * @param {string} word
+ * @returns {string}
+ */
+function normalizeWord(word) {
+  return String(word)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[013457@$]/g, char => SUBSTITUTIONS[char])
+    .replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Validate and normalize content filter settings from a request body
+ * @param {Object} input - Requested settings
+ * @returns {Object} Normalized settings
+ * @throws {Error} If the settings are invalid
+ */
+function normalizeContentFilter(input = {}) {
+  const settings = input || {};
+
+  const blockedWords = [...new Set(
+    (Array.isArray(settings.blockedWords) ? settings.blockedWords : [])
+      .map(word => (typeof word === 'string' ? word.trim().toLowerCase().replace(/\s+/g, ' ') : ''))
+      .filter(Boolean)
+  )];
+
+  if (blockedWords.length > MAX_BLOCKED_WORDS) {
+    throw new Error(`The blocklist supports up to ${MAX_BLOCKED_WORDS} words`);
+  }
+  if (blockedWords.some(word => word.length > MAX_BLOCKED_WORD_LENGTH)) {
+    throw new Error(`Blocked words must be ${MAX_BLOCKED_WORD_LENGTH} characters or fewer`);
+  }
+
+  return {
+    enabled: settings.enabled === undefined ? true : Boolean(settings.enabled),
+    useDefaultList: settings.useDefaultList === undefined ? true : Boolean(settings.useDefaultList),
+    blockedWords,
+    action: CONTENT_FILTER_ACTIONS.includes(settings.action) ? settings.action : 'mask'
+  };
+}
+
+/**
+ * Get the content filter settings of a presentation (the default filter when never configured)
+ * @param {Object|string} presentation - Presentation document/object or presentation ID
+ * @returns {Promise<Object>}
+ */
+async function getContentFilter(presentation) {
+  let contentFilter = presentation?.contentFilter;
+
+  if (contentFilter === undefined) {
+    const doc = await Presentation.findById(presentation?._id || presentation).select('contentFilter').lean();
+    contentFilter = doc?.contentFilter;
+  }
+
+  if (!contentFilter) {
+    return { ...DEFAULT_CONTENT_FILTER };
+  }
+  return normalizeContentFilter(typeof contentFilter.toObject === 'function' ? contentFilter.toObject() : contentFilter);
+}
+
+function buildMatcher(settings) {
+  const entries = [
+    ...(settings.useDefaultList !== false ? DEFAULT_BLOCKED_WORDS : []),
+    ...(settings.blockedWords || [])
+  ];
+
+  const words = new Set();
+  const phrases = [];
+  entries.forEach(entry => {
+    const parts = entry.split(' ').map(normalizeWord).filter(Boolean);
+    if (parts.length === 1) {
+      words.add(parts[0]);
+    } else if (parts.length > 1) {
+      phrases.push(parts);
+    }
+  });
+
+  const matchesWord = (token) => WORD_ENDINGS.some(ending => {
+    if (!token.endsWith(ending)) return false;
+    return words.has(token.slice(0, token.length - ending.length));
+  });
+
+  return { matchesWord, phrases };
+}
+
+/**
+ * Blocked words and phrases in a text
+ * @param {string} text
+ * @param {Object} settings - Content filter settings
+ * @returns {Array<{start: number, end: number}>} Character ranges to hide
+ */
+function findBlockedTerms(text, settings = DEFAULT_CONTENT_FILTER) {
+  if (!settings?.enabled || !text) {
+    return [];
+  }
+
+  const { matchesWord, phrases } = buildMatcher(settings);
+  const tokens = [...String(text).matchAll(TOKEN_PATTERN)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    word: normalizeWord(match[0])
+  }));
+
+  const ranges = tokens.filter(token => matchesWord(token.word)).map(({ start, end }) => ({ start, end }));
+
+  phrases.forEach(phrase => {
+    for (let i = 0; i + phrase.length <= tokens.length; i++) {
+      if (phrase.every((part, offset) => tokens[i + offset].word === part)) {
+        ranges.push({ start: tokens[i].start, end: tokens[i + phrase.length - 1].end });
+      }
+    }
+  });
+
+  return ranges.sort((a, b) => a.start - b.start);
+}
+
+const maskRange = (value) => value.replace(/[^\s]/g, (char, offset) => (offset === 0 ? char : '*'));
+
+/**
+ * Filter a text answer
+ * @param {string} text
+ * @param {Object} settings - Content filter settings
+ * @returns {{text: string, blocked: boolean, filtered: boolean}} blocked: refuse the submission;
+ *   filtered: words were masked
+ */
+function filterText(text, settings = DEFAULT_CONTENT_FILTER) {
+  const ranges = findBlockedTerms(text, settings);
+  if (ranges.length === 0) {
+    return { text, blocked: false, filtered: false };
+  }
+  if (settings.action === 'reject') {
+    return { text, blocked: true, filtered: false };
+  }
+
+  let masked = String(text);
+  // Mask from the end so earlier ranges keep their positions
+  [...ranges].reverse().forEach(({ start, end }) => {
+    masked = masked.slice(0, start) + maskRange(masked.slice(start, end)) + masked.slice(end);
+  });
+  return { text: masked, blocked: false, filtered: true };
+}
+
+/**
+ * Filter word cloud words; blocked words are dropped instead of masked
+ * @param {string[]} words
+ * @param {Object} settings - Content filter settings
+ * @returns {{words: string[], blocked: boolean, filtered: boolean}}
+ */
+function filterWords(words, settings = DEFAULT_CONTENT_FILTER) {
+  const kept = words.filter(word => findBlockedTerms(word, settings).length === 0);
+  if (kept.length === words.length) {
+    return { words, blocked: false, filtered: false };
+  }
+  if (settings.action === 'reject' || kept.length === 0) {
+    return { words, blocked: true, filtered: false };
+  }
+  return { words: kept, blocked: false, filtered: true };
+}
+
+module.exports = {
+  CONTENT_FILTER_ACTIONS,
+  DEFAULT_BLOCKED_WORDS,
+  DEFAULT_CONTENT_FILTER,
+  normalizeWord,
+  normalizeContentFilter,
+  getContentFilter,
+  findBlockedTerms,
+  filterText,
+  filterWords
+};
@@ -0,0 +1,589 @@
+const XLSX = require('xlsx');
+const Institution = require('../models/Institution');
+const User = require('../models/User');
+const Presentation = require('../models/Presentation');
+const Slide = require('../models/Slide');
+const Response = require('../models/Response');
+const CustomReportRun = require('../models/CustomReportRun');
+const emailService = require('./emailService');
+const Logger = require('../utils/logger');
+
+/**
+ * Custom Report Service
+ * Builds institution custom reports, renders them to XLSX/CSV and runs them on schedule
+ */
+
+const REPORT_METRICS = ['summary', 'users', 'presentations', 'responses'];
+const REPORT_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const REPORT_FORMATS = ['xlsx', 'csv'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MANUAL_PERIOD_DAYS = 30;
+// A failed scheduled run is retried after this delay until it is paused
+const FAILED_RUN_RETRY_MS = 60 * 60 * 1000;
+const MAX_CONSECUTIVE_FAILURES = 5;
+// A claimed scheduled run is retried after this long if its instance never finishes it
+const SCHEDULED_RUN_LEASE_MS = 30 * 60 * 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let isProcessingDue = false;
+
+/**
+ * Split a comma/semicolon separated recipient list into valid addresses
+ * @param {string} email
+ * @returns {string[]}
+ */
+function parseRecipients(email) {
+  if (!email || typeof email !== 'string') {
+    return [];
+  }
+  return [...new Set(
+    email
+      .split(/[,;]/)
+      .map(address => address.trim().toLowerCase())
+      .filter(address => EMAIL_PATTERN.test(address))
+  )];
+}
+
+/**
+ * Whether a report should run on its own
+ * @param {Object} report - Institution.customReports entry
+ * @returns {boolean}
+ */
+function isScheduled(report) {
+  return Boolean(
+    report.schedule &&
+    report.schedule !== 'none' &&
+    REPORT_FREQUENCIES.includes(report.frequency) &&
+    parseRecipients(report.email).length > 0
+  );
+}
+
+/**
+ * Next time a report is due after a given moment, in UTC
+ * @param {Object} report - Institution.customReports entry
+ * @param {Date} after
+ * @returns {Date|null} - null if the report is not scheduled
+ */
+function computeNextRunAt(report, after = new Date()) {
+  if (!REPORT_FREQUENCIES.includes(report.frequency)) {
+    return null;
+  }
+
+  const hour = Number.isInteger(report.scheduleHour) ? report.scheduleHour : 8;
+  const candidate = new Date(Date.UTC(after.getUTCFullYear(), after.getUTCMonth(), after.getUTCDate(), hour));
+
+  if (report.frequency === 'daily') {
+    if (candidate <= after) {
+      candidate.setUTCDate(candidate.getUTCDate() + 1);
+    }
+  } else if (report.frequency === 'weekly') {
+    const dayOfWeek = Number.isInteger(report.scheduleDayOfWeek) ? report.scheduleDayOfWeek : 1;
+    candidate.setUTCDate(candidate.getUTCDate() + ((dayOfWeek - candidate.getUTCDay() + 7) % 7));
+    if (candidate <= after) {
+      candidate.setUTCDate(candidate.getUTCDate() + 7);
+    }
+  } else {
+    const dayOfMonth = Number.isInteger(report.scheduleDayOfMonth) ? report.scheduleDayOfMonth : 1;
+    candidate.setUTCDate(dayOfMonth);
+    if (candidate <= after) {
+      candidate.setUTCMonth(candidate.getUTCMonth() + 1);
+    }
+  }
+
+  return candidate;
+}
+
+/**
+ * Period covered by a run. Scheduled runs cover the last cadence; manual runs
+ * use the report's saved date range or the last 30 days.
+ * @param {Object} report
+ * @param {string} trigger - 'schedule' | 'manual'
+ * @param {Date} now
+ * @returns {Object} - { periodStart, periodEnd }
+ */
+function getReportPeriod(report, trigger, now = new Date()) {
+  const periodEnd = new Date(now);
+
+  if (trigger === 'schedule' && REPORT_FREQUENCIES.includes(report.frequency)) {
+    const periodStart = new Date(now);
+    if (report.frequency === 'daily') {
+      periodStart.setTime(now.getTime() - DAY_MS);
+    } else if (report.frequency === 'weekly') {
+      periodStart.setTime(now.getTime() - 7 * DAY_MS);
+    } else {
+      periodStart.setUTCMonth(periodStart.getUTCMonth() - 1);
+    }
+    return { periodStart, periodEnd };
+  }
+
+  const start = report.dateRange?.start ? new Date(report.dateRange.start) : null;
+  const end = report.dateRange?.end ? new Date(report.dateRange.end) : null;
+  if (start && !isNaN(start)) {
+    const rangeEnd = end && !isNaN(end) ? new Date(end.getTime() + DAY_MS - 1) : periodEnd;
+    return { periodStart: start, periodEnd: rangeEnd };
+  }
+
+  return {
+    periodStart: new Date(now.getTime() - DEFAULT_MANUAL_PERIOD_DAYS * DAY_MS),
+    periodEnd
+  };
+}
+
+async function getInstitutionUsers(institution) {
+  const users = await User.find({
+    institutionId: institution._id,
+    isInstitutionUser: true
+  }).select('_id email displayName createdAt').lean();
+
+  // The admin's own user account can hold presentations too
+  if (institution.adminEmail) {
+    const adminUser = await User.findOne({
+      email: institution.adminEmail.toLowerCase(),
+      institutionId: institution._id
+    }).select('_id email displayName createdAt').lean();
+    if (adminUser && !users.some(u => u._id.toString() === adminUser._id.toString())) {
+      users.push(adminUser);
+    }
+  }
+
+  return users;
+}
+
+/**
+ * Collect the data for a report as named sheets of rows
+ * @param {Object} institution - Institution document
+ * @param {Object} report - Institution.customReports entry
+ * @param {Object} period - { periodStart, periodEnd }
+ * @returns {Promise<Array>} - [{ name, rows }]
+ */
+async function buildReportSheets(institution, report, { periodStart, periodEnd }) {
+  const metrics = (report.metrics || []).filter(m => REPORT_METRICS.includes(m));
+  if (metrics.length === 0) {
+    metrics.push('summary');
+  }
+
+  const users = await getInstitutionUsers(institution);
+  const userIds = users.map(u => u._id);
+  const userMap = new Map(users.map(u => [u._id.toString(), u]));
+
+  const presentationQuery = { userId: { $in: userIds } };
+  if (report.filters?.presentationStatus === 'live') {
+    presentationQuery.isLive = true;
+  } else if (report.filters?.presentationStatus === 'ended') {
+    presentationQuery.isLive = false;
+  }
+
+  const presentations = await Presentation.find(presentationQuery)
+    .select('_id title accessCode isLive userId createdAt')
+    .lean();
+  const presentationIds = presentations.map(p => p._id);
+
+  const responses = await Response.find({
+    presentationId: { $in: presentationIds },
+    submittedAt: { $gte: periodStart, $lte: periodEnd }
+  }).select('presentationId participantId submittedAt').lean();
+
+  const inPeriod = (date) => date && date >= periodStart && date <= periodEnd;
+  const newPresentations = presentations.filter(p => inPeriod(p.createdAt));
+
+  // Per-presentation response stats for the period
+  const responseStats = new Map();
+  responses.forEach(response => {
+    const key = response.presentationId.toString();
+    if (!responseStats.has(key)) {
+      responseStats.set(key, { count: 0, participants: new Set() });
+    }
+    const stats = responseStats.get(key);
+    stats.count += 1;
+    if (response.participantId) {
+      stats.participants.add(response.participantId);
+    }
+  });
+
+  const sheets = [];
+
+  if (metrics.includes('summary')) {
+    const participants = new Set(responses.map(r => r.participantId).filter(Boolean));
+    const activeUserIds = new Set([
+      ...newPresentations.map(p => p.userId.toString()),
+      ...presentations
+        .filter(p => responseStats.has(p._id.toString()))
+        .map(p => p.userId.toString())
+    ]);
+
+    sheets.push({
+      name: 'Summary',
+      rows: [
+        { Metric: 'Period Start', Value: periodStart.toISOString() },
+        { Metric: 'Period End', Value: periodEnd.toISOString() },
+        { Metric: 'Total Users', Value: users.length },
+        { Metric: 'Active Users', Value: activeUserIds.size },
+        { Metric: 'New Presentations', Value: newPresentations.length },
+        { Metric: 'Presentations With Responses', Value: responseStats.size },
+        { Metric: 'Responses', Value: responses.length },
+        { Metric: 'Unique Participants', Value: participants.size }
+      ]
+    });
+  }
+
+  if (metrics.includes('users')) {
+    const createdByUser = new Map();
+    newPresentations.forEach(p => {
+      const key = p.userId.toString();
+      createdByUser.set(key, (createdByUser.get(key) || 0) + 1);
+    });
+    const responsesByUser = new Map();
+    presentations.forEach(p => {
+      const stats = responseStats.get(p._id.toString());
+      if (stats) {
+        const key = p.userId.toString();
+        responsesByUser.set(key, (responsesByUser.get(key) || 0) + stats.count);
+      }
+    });
+
+    sheets.push({
+      name: 'Users',
+      rows: users.map(user => ({
+        Email: user.email,
+        'Display Name': user.displayName || '',
+        'Presentations Created': createdByUser.get(user._id.toString()) || 0,
+        'Responses Received': responsesByUser.get(user._id.toString()) || 0,
+        'Joined At': user.createdAt ? new Date(user.createdAt).toISOString() : ''
+      }))
+    });
+  }
+
+  if (metrics.includes('presentations')) {
+    const reported = presentations.filter(p =>
+      inPeriod(p.createdAt) || responseStats.has(p._id.toString())
+    );
+    const slideCounts = await Slide.aggregate([
+      { $match: { presentationId: { $in: reported.map(p => p._id) } } },
+      { $group: { _id: '$presentationId', count: { $sum: 1 } } }
+    ]);
+    const slideCountMap = new Map(slideCounts.map(sc => [sc._id.toString(), sc.count]));
+
+    sheets.push({
+      name: 'Presentations',
+      rows: reported.map(p => {
+        const stats = responseStats.get(p._id.toString());
+        return {
+          Title: p.title,
+          'Access Code': p.accessCode || '',
+          'Created By': userMap.get(p.userId.toString())?.email || 'Unknown',
+          'Is Live': p.isLive ? 'Yes' : 'No',
+          'Slide Count': slideCountMap.get(p._id.toString()) || 0,
+          Responses: stats?.count || 0,
+          Participants: stats?.participants.size || 0,
+          'Created At': new Date(p.createdAt).toISOString()
+        };
+      })
+    });
+  }
+
+  if (metrics.includes('responses')) {
+    const byDay = new Map();
+    responses.forEach(response => {
+      const day = response.submittedAt.toISOString().split('T')[0];
+      if (!byDay.has(day)) {
+        byDay.set(day, { count: 0, participants: new Set() });
+      }
+      const stats = byDay.get(day);
+      stats.count += 1;
+      if (response.participantId) {
+        stats.participants.add(response.participantId);
+      }
+    });
+
+    sheets.push({
+      name: 'Responses',
+      rows: [...byDay.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([day, stats]) => ({
+          Date: day,
+          Responses: stats.count,
+          Participants: stats.participants.size
+        }))
+    });
+  }
+
+  return sheets;
+}
+
+function slugify(value) {
+  return String(value || 'report')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60) || 'report';
+}
+
+function toWorksheet(rows) {
+  return rows.length > 0
+    ? XLSX.utils.json_to_sheet(rows)
+    : XLSX.utils.aoa_to_sheet([['No data for this period']]);
+}
+
+/**
+ * Render report sheets to a file
+ * @param {Array} sheets - [{ name, rows }]
+ * @param {string} format - 'xlsx' | 'csv'
+ * @param {string} reportName
+ * @param {Date} date - Used in the file name
+ * @returns {Object} - { buffer, fileName, contentType }
+ */
+function renderReport(sheets, format = 'xlsx', reportName = 'report', date = new Date()) {
+  const baseName = `${slugify(reportName)}-${date.toISOString().split('T')[0]}`;
+
+  if (format === 'csv') {
+    const csv = sheets.length === 1
+      ? XLSX.utils.sheet_to_csv(toWorksheet(sheets[0].rows))
+      : sheets
+        .map(sheet => `${sheet.name}\n${XLSX.utils.sheet_to_csv(toWorksheet(sheet.rows))}`)
+        .join('\n\n');
+
+    return {
+      buffer: Buffer.from(csv, 'utf8'),
+      fileName: `${baseName}.csv`,
+      contentType: 'text/csv'
+    };
+  }
+
+  const workbook = XLSX.utils.book_new();
+  sheets.forEach(sheet => {
+    XLSX.utils.book_append_sheet(workbook, toWorksheet(sheet.rows), sheet.name.substring(0, 31));
+  });
+
+  return {
+    buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+    fileName: `${baseName}.xlsx`,
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  };
+}
+
+/**
+ * Claim a due scheduled run so only one backend instance sends it: moves nextRunAt
+ * forward, but only while it still has the value this instance read
+ * @param {string} institutionId
+ * @param {Object} report - Institution.customReports entry
+ * @param {Date} now
+ * @returns {Promise<boolean>} - False when another instance claimed it first
+ */
+async function claimScheduledRun(institutionId, report, now) {
+  const claimed = await Institution.findOneAndUpdate(
+    { _id: institutionId, customReports: { $elemMatch: { id: report.id, nextRunAt: report.nextRunAt } } },
+    { $set: { 'customReports.$.nextRunAt': new Date(now.getTime() + SCHEDULED_RUN_LEASE_MS) } },
+    { projection: { _id: 1 } }
+  );
+  return Boolean(claimed);
+}
+
+async function updateReportState(institutionId, reportId, fields) {
+  const $set = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    $set[`customReports.$.${field}`] = value;
+  });
+  await Institution.updateOne({ _id: institutionId, 'customReports.id': reportId }, { $set });
+}
+
+/**
+ * Generate a report, optionally email it, and record the run
+ * @param {Object} institution - Institution document
+ * @param {Object} report - Institution.customReports entry
+ * @param {Object} options
+ * @param {string} options.trigger - 'schedule' | 'manual'
+ * @param {boolean} options.sendEmail - Email the file to the report recipients
+ * @param {string} options.format - Overrides the report format
+ * @returns {Promise<Object>} - { run, file }; file is null if the run failed
+ */
+async function runReport(institution, report, { trigger = 'schedule', sendEmail = true, format } = {}) {
+  const now = new Date();
+  const outputFormat = REPORT_FORMATS.includes(format) ? format : (report.format || 'xlsx');
+  const recipients = sendEmail ? parseRecipients(report.email) : [];
+  const { periodStart, periodEnd } = getReportPeriod(report, trigger, now);
+
+  const run = await CustomReportRun.create({
+    institutionId: institution._id,
+    reportId: report.id,
+    reportName: report.name,
+    trigger,
+    format: outputFormat,
+    periodStart,
+    periodEnd,
+    recipients,
+    startedAt: now
+  });
+
+  try {
+    if (sendEmail && recipients.length === 0) {
+      throw new Error('No valid recipient email addresses');
+    }
+
+    const sheets = await buildReportSheets(institution, report, { periodStart, periodEnd });
+    const file = renderReport(sheets, outputFormat, report.name, now);
+    const rowCounts = Object.fromEntries(sheets.map(sheet => [sheet.name, sheet.rows.length]));
+
+    if (sendEmail) {
+      const email = await emailService.sendCustomReportEmail(recipients, {
+        reportName: report.name,
+        institutionName: institution.name,
+        periodStart,
+        periodEnd,
+        rowCounts,
+        attachment: { filename: file.fileName, content: file.buffer }
+      });
+      run.emailId = email?.id || null;
+    }
+
+    run.status = 'success';
+    run.fileName = file.fileName;
+    run.rowCounts = rowCounts;
+    run.finishedAt = new Date();
+    await run.save();
+
+    const state = {
+      lastRunAt: now,
+      lastRunStatus: 'success',
+      lastRunError: null,
+      consecutiveFailures: 0
+    };
+    if (trigger === 'schedule') {
+      state.nextRunAt = computeNextRunAt(report, now);
+    }
+    await updateReportState(institution._id, report.id, state);
+
+    return { run, file };
+  } catch (error) {
+    Logger.error(`Custom report "${report.name}" (${report.id}) failed`, error);
+
+    run.status = 'failed';
+    run.error = error.message || 'Report generation failed';
+    run.finishedAt = new Date();
+    await run.save();
+
+    const consecutiveFailures = (report.consecutiveFailures || 0) + 1;
+    const state = {
+      lastRunAt: now,
+      lastRunStatus: 'failed',
+      lastRunError: run.error,
+      consecutiveFailures
+    };
+    if (trigger === 'schedule') {
+      if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+        state.schedulePaused = true;
+        state.nextRunAt = null;
+        Logger.warn(`Custom report "${report.name}" (${report.id}) paused after ${consecutiveFailures} consecutive failures`);
+      } else {
+        state.nextRunAt = new Date(now.getTime() + FAILED_RUN_RETRY_MS);
+      }
+    }
+    await updateReportState(institution._id, report.id, state);
+
+    return { run, file: null };
+  }
+}
+
+/**
+ * Run every scheduled report that is due. Called periodically from server.js.
+ * Scheduled reports without a next run time (e.g. created before scheduling
+ * existed) only get one assigned.
+ * Every instance runs this, so each due report is claimed before it is sent.
+ * @returns {Promise<Object>} - { processed }
+ */
+async function processDueReports() {
+  if (isProcessingDue) {
+    return { processed: 0 };
+  }
+  isProcessingDue = true;
+
+  try {
+    const now = new Date();
+    const institutions = await Institution.find({
+      isActive: true,
+      customReports: {
+        $elemMatch: {
+          schedulePaused: { $ne: true },
+          frequency: { $in: REPORT_FREQUENCIES },
+          $or: [
+            { nextRunAt: { $lte: now } },
+            { nextRunAt: null }
+          ]
+        }
+      }
+    }).select('name adminEmail customReports');
+
+    let processed = 0;
+    for (const institution of institutions) {
+      for (const report of institution.customReports) {
+        if (!isScheduled(report) || report.schedulePaused) {
+          continue;
+        }
+
+        if (!report.nextRunAt) {
+          await updateReportState(institution._id, report.id, { nextRunAt: computeNextRunAt(report, now) });
+          continue;
+        }
+
+        if (report.nextRunAt <= now) {
+          if (!(await claimScheduledRun(institution._id, report, now))) {
+            continue;
+          }
+          await runReport(institution, report, { trigger: 'schedule' });
+          processed += 1;
+        }
+      }
+    }
+
+    return { processed };
+  } finally {
+    isProcessingDue = false;
+  }
+}
+
+/**
+ * Get the run history of a report
+ * @param {string} institutionId
+ * @param {string} reportId
+ * @param {number} limit - Max entries (default 20, max 100)
+ * @returns {Promise<Array>}
+ */
+async function getRunHistory(institutionId, reportId, limit = 20) {
+  const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const runs = await CustomReportRun.find({ institutionId, reportId })
+    .sort({ startedAt: -1 })
+    .limit(safeLimit)
+    .lean();
+
+  return runs.map(run => ({
+    id: run._id,
+    trigger: run.trigger,
+    status: run.status,
+    format: run.format,
+    periodStart: run.periodStart,
+    periodEnd: run.periodEnd,
+    recipients: run.recipients,
+    fileName: run.fileName,
+    rowCounts: run.rowCounts,
+    error: run.error,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt
+  }));
+}
+
+module.exports = {
+  REPORT_METRICS,
+  REPORT_FREQUENCIES,
+  REPORT_FORMATS,
+  MAX_CONSECUTIVE_FAILURES,
+  parseRecipients,
+  isScheduled,
+  computeNextRunAt,
+  getReportPeriod,
+  buildReportSheets,
+  renderReport,
+  runReport,
+  processDueReports,
+  getRunHistory
+};
@@ -0,0 +1,540 @@
+const JSZip = require('jszip');
+const cloudinaryService = require('./cloudinaryService');
+const pdfConversionService = require('./pdfConversionService');
+const Logger = require('../utils/logger');
+
+/**
+ * Deck Import Service
+ * Turns a PowerPoint deck (.pptx, including Google Slides exports), a PDF or a Markdown outline
+ * into native slide drafts, one per page. The drafts are returned to the editor, which saves them
+ * like template slides.
+ *
+ * Every format is first parsed into pages: { pageNumber, title, blocks, image, needsRender }
+ * - blocks: [{ kind: 'bullet' | 'paragraph', text, level }]
+ * - image: picture embedded in a PowerPoint slide ({ buffer, mimeType })
+ * - needsRender: the page only makes sense as a picture (PDF pages with artwork or without text)
+ *
+ * Pages then map to slides:
+ * - a title ending in '?' followed by 2-10 bullets becomes a multiple_choice slide
+ * - a title with text becomes a text slide (bullets and paragraphs in textContent)
+ * - a picture-only page becomes an image slide (PDF pages are rendered with pdfConversionService)
+ */
+
+const IMPORT_FORMATS = ['pptx', 'pdf', 'markdown'];
+
+const FILE_EXTENSIONS = {
+  pptx: 'pptx',
+  pdf: 'pdf',
+  md: 'markdown',
+  markdown: 'markdown',
+  txt: 'markdown'
+};
+
+const MAX_TITLE_LENGTH = 200;
+const MIN_CHOICE_OPTIONS = 2;
+const MAX_CHOICE_OPTIONS = 10;
+
+// Cloudinary can't display EMF/WMF vector pictures, so only web formats are imported
+const WEB_IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+const BULLET_PATTERN = /^[•●○◦▪▫■□►▸‣⁃–—*-]\s*/;
+
+let pdfjs = null;
+
+async function loadPdfjs() {
+  if (!pdfjs) {
+    // pdfjs-dist is an ES module
+    pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjs;
+}
+
+/**
+ * Work out the import format from the file name, falling back to the file contents
+ * @param {string} fileName
+ * @param {Buffer} buffer
+ * @returns {string|null} 'pptx', 'pdf', 'markdown' or null if unsupported
+ */
+function detectImportFormat(fileName, buffer) {
+  const extension = String(fileName || '').split('.').pop().toLowerCase();
+  if (FILE_EXTENSIONS[extension]) {
+    return FILE_EXTENSIONS[extension];
+  }
+  if (buffer?.subarray(0, 4).toString() === '%PDF') return 'pdf';
+  if (buffer?.subarray(0, 2).toString() === 'PK') return 'pptx';
+  return null;
+}
+
+/**
+ * Decode a base64 data URL (or plain base64) into a buffer
+ * @param {string} file
+ * @returns {Buffer}
+ */
+function decodeFile(file) {
+  const base64Data = file.startsWith('data:') ? file.slice(file.indexOf(',') + 1) : file;
+  return Buffer.from(base64Data, 'base64');
+}
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function createPage(pageNumber, title = '') {
+  return { pageNumber, title: cleanText(title), blocks: [], image: null, needsRender: false };
+}
+
+function stripInlineMarkdown(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(\*|_)(.+?)\1/g, '$2')
+    .replace(/`([^`]+)`/g, '$1');
+}
+
+/**
+ * Parse a Markdown outline: level 1 and 2 headings (or '---' rules) start a page,
+ * list items are bullets and other lines are paragraphs
+ * @param {string} markdown
+ * @returns {Object} { title, pages }
+ */
+function parseMarkdown(markdown) {
+  const pages = [];
+  let page = null;
+  let deckTitle = '';
+  let inCodeBlock = false;
+
+  const startPage = (title = '') => {
+    page = createPage(pages.length + 1, title);
+    pages.push(page);
+  };
+
+  String(markdown || '').split(/\r?\n/).forEach((rawLine) => {
+    if (/^\s*```/.test(rawLine)) {
+      inCodeBlock = !inCodeBlock;
+      return;
+    }
+    const line = rawLine.replace(/\t/g, '  ');
+    if (!line.trim()) return;
+
+    if (!inCodeBlock) {
+      const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (heading && heading[1].length <= 2) {
+        const title = stripInlineMarkdown(heading[2]);
+        if (heading[1].length === 1 && !deckTitle) {
+          deckTitle = cleanText(title);
+        }
+        if (page && !page.title && page.blocks.length === 0) {
+          page.title = cleanText(title);
+        } else {
+          startPage(title);
+        }
+        return;
+      }
+
+      if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        page = null;
+        return;
+      }
+
+      const bullet = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/);
+      if (bullet) {
+        if (!page) startPage();
+        page.blocks.push({ kind: 'bullet', text: cleanText(stripInlineMarkdown(bullet[2])), level: Math.floor(bullet[1].length / 2) });
+        return;
+      }
+    }
+
+    if (!page) startPage();
+    page.blocks.push({
+      kind: 'paragraph',
+      text: inCodeBlock ? line.trimEnd() : cleanText(stripInlineMarkdown(line.replace(/^#{3,6}\s+/, '').replace(/^>\s?/, ''))),
+      level: 0
+    });
+  });
+
+  // A leading '# Deck title' with nothing under it names the deck instead of becoming a slide
+  if (pages.length > 1 && pages[0].title === deckTitle && pages[0].blocks.length === 0) {
+    pages.shift();
+  }
+
+  const outlinePages = pages
+    .filter(outlinePage => outlinePage.title || outlinePage.blocks.length > 0)
+    .map((outlinePage, index) => ({ ...outlinePage, pageNumber: index + 1 }));
+
+  return { title: deckTitle || outlinePages[0]?.title || '', pages: outlinePages };
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(tag) {
+  const attributes = {};
+  for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attributes[name] = decodeXmlEntities(value);
+  }
+  return attributes;
+}
+
+function parseRelationships(xml) {
+  const relationships = {};
+  for (const [tag] of String(xml || '').matchAll(/<Relationship\b[^>]*>/g)) {
+    const { Id, Type, Target } = parseAttributes(tag);
+    relationships[Id] = { type: Type || '', target: Target || '' };
+  }
+  return relationships;
+}
+
+function resolvePartPath(baseDir, target) {
+  const parts = `${baseDir}/${target}`.split('/');
+  const resolved = [];
+  parts.forEach((part) => {
+    if (part === '..') resolved.pop();
+    else if (part && part !== '.') resolved.push(part);
+  });
+  return resolved.join('/');
+}
+
+function parseParagraphs(shapeXml) {
+  return [...shapeXml.matchAll(/<a:p>([\s\S]*?)<\/a:p>|<a:p\s[^>]*>([\s\S]*?)<\/a:p>/g)].map((match) => {
+    const body = match[1] ?? match[2];
+    const text = [...body.matchAll(/<a:t(?:\s[^>]*)?>([\s\S]*?)<\/a:t>/g)].map(run => decodeXmlEntities(run[1])).join('');
+    const level = Number((body.match(/<a:pPr\b[^>]*\blvl="(\d+)"/) || [])[1] || 0);
+    return {
+      text: cleanText(text),
+      level,
+      hasBullet: /<a:bu(Char|AutoNum)\b/.test(body),
+      noBullet: /<a:buNone\/>/.test(body)
+    };
+  }).filter(paragraph => paragraph.text);
+}
+
+/**
+ * Parse the text and pictures of a PowerPoint slide
+ */
+function parsePptxSlide(slideXml, pageNumber) {
+  const page = createPage(pageNumber);
+
+  for (const [shapeXml] of slideXml.matchAll(/<p:sp\b[^>]*>[\s\S]*?<\/p:sp>/g)) {
+    const placeholder = shapeXml.match(/<p:ph\b[^>]*>/);
+    const placeholderType = placeholder ? (parseAttributes(placeholder[0]).type || 'body') : null;
+    const paragraphs = parseParagraphs(shapeXml);
+
+    if ((placeholderType === 'title' || placeholderType === 'ctrTitle') && !page.title) {
+      page.title = cleanText(paragraphs.map(paragraph => paragraph.text).join(' '));
+      continue;
+    }
+    if (['dt', 'ftr', 'sldNum'].includes(placeholderType)) {
+      continue;
+    }
+
+    // Body placeholders hold bullet lists; text boxes and subtitles hold plain paragraphs
+    const isBulletList = placeholderType === 'body' || placeholderType === 'obj';
+    paragraphs.forEach((paragraph) => {
+      page.blocks.push({
+        kind: paragraph.hasBullet || (isBulletList && !paragraph.noBullet) ? 'bullet' : 'paragraph',
+        text: paragraph.text.replace(BULLET_PATTERN, ''),
+        level: paragraph.level
+      });
+    });
+  }
+
+  // Decks built from text boxes have no title placeholder: their first line is the title
+  if (!page.title && page.blocks[0]?.kind === 'paragraph') {
+    page.title = page.blocks.shift().text;
+  }
+
+  return page;
+}
+
+/**
+ * Parse a .pptx deck (PowerPoint or Google Slides export) into pages, in presentation order
+ * @param {Buffer} buffer
+ * @returns {Promise<Object>} { title, pages }
+ */
+async function parsePptx(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new Error('The file is not a valid .pptx presentation');
+  }
+
+  const presentationXml = await zip.file('ppt/presentation.xml')?.async('string');
+  if (!presentationXml) {
+    throw new Error('The file is not a valid .pptx presentation');
+  }
+
+  const presentationRels = parseRelationships(await zip.file('ppt/_rels/presentation.xml.rels')?.async('string'));
+  const slidePaths = [...presentationXml.matchAll(/<p:sldId\b[^>]*>/g)]
+    .map(([tag]) => presentationRels[parseAttributes(tag)['r:id']])
+    .filter(Boolean)
+    .map(relationship => resolvePartPath('ppt', relationship.target));
+
+  const pages = [];
+  for (const [index, slidePath] of slidePaths.entries()) {
+    const slideXml = await zip.file(slidePath)?.async('string');
+    if (!slideXml) continue;
+
+    const page = parsePptxSlide(slideXml, index + 1);
+
+    const picture = slideXml.match(/<p:pic\b[^>]*>[\s\S]*?r:embed="([^"]+)"/);
+    if (picture) {
+      const slideDir = slidePath.slice(0, slidePath.lastIndexOf('/'));
+      const slideFile = slidePath.slice(slidePath.lastIndexOf('/') + 1);
+      const slideRels = parseRelationships(await zip.file(`${slideDir}/_rels/${slideFile}.rels`)?.async('string'));
+      const mediaPath = slideRels[picture[1]] && resolvePartPath(slideDir, slideRels[picture[1]].target);
+      const mimeType = mediaPath && WEB_IMAGE_TYPES[mediaPath.split('.').pop().toLowerCase()];
+      const media = mimeType && zip.file(mediaPath);
+      if (media) {
+        page.image = { buffer: await media.async('nodebuffer'), mimeType };
+      }
+    }
+
+    pages.push(page);
+  }
+
+  const coreXml = await zip.file('docProps/core.xml')?.async('string');
+  const deckTitle = cleanText(decodeXmlEntities((coreXml?.match(/<dc:title>([\s\S]*?)<\/dc:title>/) || [])[1] || ''));
+
+  return { title: deckTitle || pages.find(page => page.title)?.title || '', pages };
+}
+
+/**
+ * Group the text items of a PDF page into lines
+ */
+function groupPdfLines(items) {
+  const lines = [];
+  let current = null;
+
+  items.forEach((item) => {
+    const y = Math.round(item.transform[5]);
+    if (!current || Math.abs(current.y - y) > 2) {
+      current = { y, size: 0, text: '' };
+      lines.push(current);
+    }
+    current.text += item.str;
+    current.size = Math.max(current.size, item.height || Math.abs(item.transform[3]));
+  });
+
+  return lines.map(line => ({ ...line, text: cleanText(line.text) })).filter(line => line.text);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)] || 0;
+}
+
+/**
+ * Parse the text of a PDF (for example a Google Slides PDF export) into pages.
+ * The largest text at the top of a page is its title; pages with pictures or
+ * without text are marked to be rendered to images.
+ * @param {Buffer} buffer
+ * @returns {Promise<Object>} { title, pages }
+ */
+async function parsePdf(buffer) {
+  const { getDocument, OPS } = await loadPdfjs();
+  const imageOps = new Set([OPS.paintImageXObject, OPS.paintInlineImageXObject, OPS.paintImageXObjectRepeat]);
+
+  let document;
+  try {
+    document = await getDocument({ data: new Uint8Array(buffer), isEvalSupported: false, disableFontFace: true, verbosity: 0 }).promise;
+  } catch (error) {
+    throw new Error('The file is not a valid PDF');
+  }
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber += 1) {
+      const pdfPage = await document.getPage(pageNumber);
+      const [textContent, operatorList] = await Promise.all([pdfPage.getTextContent(), pdfPage.getOperatorList()]);
+      const lines = groupPdfLines(textContent.items);
+      const page = createPage(pageNumber);
+
+      if (lines.length > 0) {
+        const bodySize = median(lines.map(line => line.size));
+        const titleSize = Math.max(...lines.map(line => line.size));
+        const titleLines = titleSize > bodySize * 1.15
+          ? lines.filter(line => line.size === titleSize)
+          : [lines[0]];
+        page.title = cleanText(titleLines.map(line => line.text).join(' '));
+
+        lines.filter(line => !titleLines.includes(line)).forEach((line) => {
+          const isBullet = BULLET_PATTERN.test(line.text) || /^\d+[.)]\s/.test(line.text);
+          page.blocks.push({
+            kind: isBullet ? 'bullet' : 'paragraph',
+            text: line.text.replace(BULLET_PATTERN, '').replace(/^\d+[.)]\s+/, ''),
+            level: 0
+          });
+        });
+      }
+
+      page.needsRender = lines.length === 0 || operatorList.fnArray.some(fn => imageOps.has(fn));
+      pages.push(page);
+      pdfPage.cleanup();
+    }
+
+    const { info } = await document.getMetadata().catch(() => ({ info: {} }));
+    return { title: cleanText(info?.Title) || pages.find(page => page.title)?.title || '', pages };
+  } finally {
+    await document.destroy();
+  }
+}
+
+function truncateTitle(title) {
+  return title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…` : title;
+}
+
+function getChoiceOptions(page) {
+  if (!page.title.endsWith('?')) return null;
+  if (page.blocks.some(block => block.kind !== 'bullet' || block.level > 0)) return null;
+
+  const options = page.blocks.map(block => block.text);
+  if (options.length < MIN_CHOICE_OPTIONS || options.length > MAX_CHOICE_OPTIONS) return null;
+  if (new Set(options).size !== options.length) return null;
+  return options;
+}
+
+function formatTextContent(blocks) {
+  return blocks
+    .map(block => (block.kind === 'bullet' ? `${'  '.repeat(block.level)}• ${block.text}` : block.text))
+    .join('\n');
+}
+
+/**
+ * Map a parsed page to a native slide draft
+ * @param {Object} page
+ * @returns {Object} Slide draft, with imagePage set when the page must be rendered to an image
+ */
+function pageToSlide(page) {
+  const title = truncateTitle(page.title);
+  const options = getChoiceOptions(page);
+
+  if (options) {
+    return { type: 'multiple_choice', question: title, options };
+  }
+  // Rendered pages whose only text is captions read better as the picture itself
+  if (page.blocks.length > 0 && !(page.needsRender && page.blocks.every(block => block.kind === 'paragraph'))) {
+    return { type: 'text', question: title || `Slide ${page.pageNumber}`, textContent: formatTextContent(page.blocks) };
+  }
+  if (page.image || page.needsRender) {
+    return { type: 'image', question: title || `Slide ${page.pageNumber}`, imageUrl: '', imagePublicId: null };
+  }
+  return { type: 'text', question: title, textContent: title };
+}
+
+/**
+ * Upload the pictures of image slides: embedded PowerPoint pictures, or rendered PDF pages
+ */
+async function attachImages(format, buffer, pages, slides) {
+  const imagePages = pages.filter((page, index) => slides[index].type === 'image');
+  if (imagePages.length === 0) return;
+
+  if (format === 'pdf') {
+    let rendered = [];
+    try {
+      rendered = await pdfConversionService.convertPdfPagesToImages(null, buffer.toString('base64'), null, {
+        pageNumbers: imagePages.map(page => page.pageNumber)
+      });
+    } catch (error) {
+      Logger.warn('Failed to render imported PDF pages', error.message);
+    }
+    const byPage = new Map(rendered.map(image => [image.pageNumber, image]));
+    pages.forEach((page, index) => {
+      const image = byPage.get(page.pageNumber);
+      if (image && slides[index].type === 'image') {
+        slides[index].imageUrl = image.imageUrl;
+        slides[index].imagePublicId = image.imagePublicId;
+      }
+    });
+    return;
+  }
+
+  for (const page of imagePages) {
+    const slide = slides[pages.indexOf(page)];
+    try {
+      const result = await cloudinaryService.uploadImage(
+        `data:${page.image.mimeType};base64,${page.image.buffer.toString('base64')}`,
+        'inavora/imported-slides'
+      );
+      slide.imageUrl = result.url;
+      slide.imagePublicId = result.publicId;
+    } catch (error) {
+      Logger.warn(`Failed to upload the picture of imported slide ${page.pageNumber}`, error.message);
+    }
+  }
+}
+
+/**
+ * Import a deck into native slide drafts
+ * @param {Object} params
+ * @param {Buffer|string} params.file - File contents (Markdown may be passed as a string)
+ * @param {string} params.fileName - Original file name, used to detect the format
+ * @param {string} params.format - Optional format override ('pptx', 'pdf' or 'markdown')
+ * @returns {Promise<Object>} { title, format, slides }
+ * @throws {Error} If the format is unsupported, the file can't be parsed or has no pages
+ */
+async function importDeck({ file, fileName, format }) {
+  const buffer = Buffer.isBuffer(file) ? file : Buffer.from(String(file || ''), 'utf8');
+  const importFormat = format || detectImportFormat(fileName, buffer);
+  if (!IMPORT_FORMATS.includes(importFormat)) {
+    throw new Error(`Unsupported import format. Use: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  let parsed;
+  if (importFormat === 'pptx') {
+    parsed = await parsePptx(buffer);
+  } else if (importFormat === 'pdf') {
+    parsed = await parsePdf(buffer);
+  } else {
+    parsed = parseMarkdown(buffer.toString('utf8'));
+  }
+
+  if (parsed.pages.length === 0) {
+    throw new Error('No slides found in the file');
+  }
+
+  const slides = parsed.pages.map(pageToSlide);
+  await attachImages(importFormat, buffer, parsed.pages, slides);
+
+  // Pages whose picture could not be uploaded fall back to their text
+  const importedSlides = slides.map((slide, index) => {
+    if (slide.type !== 'image' || slide.imageUrl) return slide;
+    const page = parsed.pages[index];
+    return { type: 'text', question: slide.question, textContent: formatTextContent(page.blocks) || slide.question };
+  });
+
+  Logger.info(`Imported ${importedSlides.length} slides from ${importFormat}`);
+
+  const fallbackTitle = String(fileName || '').replace(/\.[^.]+$/, '');
+  return {
+    title: truncateTitle(parsed.title || fallbackTitle || 'Imported presentation'),
+    format: importFormat,
+    slides: importedSlides
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  decodeFile,
+  parseMarkdown,
+  parsePptx,
+  parsePdf,
+  pageToSlide,
+  importDeck
+};
@@ -0,0 +1,121 @@
+/**
+ * Editor Presence
+ * Tracks who has a presentation open in the editor and which slide they are on (kept in the session store)
+ *
+ * Entry shape:
+ * {
+ *   editors: { [socketId]: { userId, name, color, slideId, joinedAt } }
+ * }
+ *
+ * An editor is keyed by socket, so the same user in two tabs shows up twice.
+ */
+
+const { getSessionStore } = require('./sessionStore');
+
+const NAMESPACE = 'editorPresence';
+
+// Presence is refreshed on every join, selection and leave; idle entries expire with the editors' sessions
+const PRESENCE_TTL_MS = 2 * 60 * 60 * 1000;
+
+const EDITOR_COLORS = ['#F97316', '#3B82F6', '#A855F7', '#EC4899', '#14B8A6', '#EAB308', '#EF4444', '#22C55E'];
+
+function getKey(presentationId) {
+  if (!presentationId) {
+    throw new Error('presentationId is required');
+  }
+  return presentationId.toString();
+}
+
+// First color no other editor is using, cycling once everyone has one
+function pickColor(editors) {
+  const used = Object.values(editors).map(editor => editor.color);
+  return EDITOR_COLORS.find(color => !used.includes(color))
+    || EDITOR_COLORS[used.length % EDITOR_COLORS.length];
+}
+
+/**
+ * Get the editors of an entry as a list
+ * @param {Object|null} entry
+ * @returns {Array<{socketId: string, userId: string, name: string, color: string, slideId: string|null}>}
+ */
+function getEditorList(entry) {
+  return Object.entries(entry?.editors || {})
+    .map(([socketId, editor]) => ({ socketId, ...editor }))
+    .sort((a, b) => a.joinedAt - b.joinedAt);
+}
+
+/**
+ * Add an editor and drop editors whose socket is gone
+ * @param {string} presentationId
+ * @param {string} socketId
+ * @param {Object} user - { userId, name }
+ * @param {Array<string>} connectedSocketIds - Socket IDs currently in the editor room
+ * @returns {Promise<Object>} Updated entry
+ */
+async function joinEditor(presentationId, socketId, { userId, name }, connectedSocketIds = []) {
+  const connected = new Set(connectedSocketIds);
+
+  return getSessionStore().update(NAMESPACE, getKey(presentationId), (current) => {
+    const entry = current || { editors: {} };
+
+    Object.keys(entry.editors).forEach(editorSocketId => {
+      if (editorSocketId !== socketId && !connected.has(editorSocketId)) {
+        delete entry.editors[editorSocketId];
+      }
+    });
+
+    const existing = entry.editors[socketId];
+    entry.editors[socketId] = {
+      userId: String(userId),
+      name,
+      color: existing?.color || pickColor(entry.editors),
+      slideId: existing?.slideId || null,
+      joinedAt: existing?.joinedAt || Date.now()
+    };
+    return entry;
+  }, PRESENCE_TTL_MS);
+}
+
+/**
+ * Record the slide an editor has selected
+ * @param {string} presentationId
+ * @param {string} socketId
+ * @param {string|null} slideId
+ * @returns {Promise<Object|null>} Updated entry, or null if the socket is not editing the presentation
+ */
+async function selectSlide(presentationId, socketId, slideId) {
+  let changed = false;
+  const entry = await getSessionStore().update(NAMESPACE, getKey(presentationId), (current) => {
+    if (!current?.editors?.[socketId]) {
+      return undefined;
+    }
+    current.editors[socketId].slideId = slideId ? String(slideId) : null;
+    changed = true;
+    return current;
+  }, PRESENCE_TTL_MS);
+  return changed ? entry : null;
+}
+
+/**
+ * Remove an editor
+ * @param {string} presentationId
+ * @param {string} socketId
+ * @returns {Promise<Object|null>} Updated entry (null once the last editor left)
+ */
+async function leaveEditor(presentationId, socketId) {
+  return getSessionStore().update(NAMESPACE, getKey(presentationId), (current) => {
+    if (!current?.editors?.[socketId]) {
+      return undefined;
+    }
+    delete current.editors[socketId];
+    return Object.keys(current.editors).length ? current : null;
+  }, PRESENCE_TTL_MS);
+}
+
+module.exports = {
+  EDITOR_COLORS,
+  getEditorList,
+  joinEditor,
+  selectSlide,
+  leaveEditor
+};
@@ -1102,6 +1102,191 @@ If you have any questions, please don't hesitate to contact our support team.
   }
 };
 
+/**
+ * Send a generated custom report as an attachment
+ * @param {string|string[]} to - Recipient email(s)
+ * @param {Object} report - Report details
+ * @param {string} report.reportName - Report name
+ * @param {string} report.institutionName - Institution name
+ * @param {Date} report.periodStart - Start of the reported period
+ * @param {Date} report.periodEnd - End of the reported period
+ * @param {Object} report.rowCounts - Row count per sheet
+ * @param {Object} report.attachment - { filename, content (Buffer) }
+ * @returns {Promise<Object>} Email send result
+ */
+const sendCustomReportEmail = async (to, { reportName, institutionName, periodStart, periodEnd, rowCounts = {}, attachment }) => {
+  const client = getResendClient();
+
+  if (!client) {
+    throw new Error('Email service is not configured. Please set RESEND_API_KEY in environment variables.');
+  }
+
+  const appName = process.env.APP_NAME || 'Inavora';
+  const fromEmail = process.env.RESEND_FROM_EMAIL || 'noreply@inavora.com';
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const recipients = Array.isArray(to) ? to : [to];
+
+  const formatDay = (date) => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  const period = periodStart && periodEnd ? `${formatDay(periodStart)} – ${formatDay(periodEnd)}` : 'All time';
+  const summaryRows = Object.entries(rowCounts)
+    .map(([sheet, count]) => `<tr><td style="padding: 6px 12px; border-bottom: 1px solid #e2e8f0;">${sheet}</td><td style="padding: 6px 12px; border-bottom: 1px solid #e2e8f0; text-align: right;">${count}</td></tr>`)
+    .join('');
+
+  const emailHtml = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${reportName}</title>
+    </head>
+    <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
+      <div style="background-color: #ffffff; border-radius: 8px; padding: 40px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <div style="font-size: 28px; font-weight: bold; color: #3b82f6; margin-bottom: 10px;">${appName}</div>
+          <h1 style="margin: 0;">${reportName}</h1>
+          <p style="color: #64748b; margin: 8px 0 0;">${institutionName} · ${period}</p>
+        </div>
+
+        <p>Your scheduled report is attached.</p>
+
+        ${summaryRows ? `<table style="width: 100%; border-collapse: collapse; margin: 20px 0;">${summaryRows}</table>` : ''}
+
+        <p style="font-size: 14px; color: #64748b;">You can change or stop this report from the <a href="${frontendUrl}/institution-admin" style="color: #3b82f6;">institution admin dashboard</a>.</p>
+
+        <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #e2e8f0; text-align: center; color: #94a3b8; font-size: 14px;">
+          <p>This is an automated message. Please do not reply to this email.</p>
+          <p>&copy; ${new Date().getFullYear()} ${appName}. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const emailText = `
+${reportName}
+${institutionName} - ${period}
+
+Your scheduled report is attached.
+
+${Object.entries(rowCounts).map(([sheet, count]) => `${sheet}: ${count}`).join('\n')}
+
+You can change or stop this report from the institution admin dashboard:
+${frontendUrl}/institution-admin
+
+© ${new Date().getFullYear()} ${appName}. All rights reserved.
+  `;
+
+  const result = await client.emails.send({
+    from: fromEmail,
+    to: recipients,
+    subject: `${reportName} – ${institutionName}`,
+    html: emailHtml,
+    text: emailText,
+    attachments: [{
+      filename: attachment.filename,
+      content: attachment.content
+    }]
+  });
+
+  if (result && result.error) {
+    throw new Error(`Resend API Error (${result.error.statusCode || 'unknown'}): ${result.error.message || 'Unknown Resend API error'}`);
+  }
+
+  Logger.info(`Custom report "${reportName}" sent to ${recipients.join(', ')}`, { emailId: result.data?.id });
+  return result.data;
+};
+
+const COLLABORATOR_ROLE_LABELS = {
+  viewer: 'view',
+  editor: 'edit',
+  co_presenter: 'co-present'
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Invite a collaborator to a shared presentation
+ * @param {string} to - Collaborator email
+ * @param {Object} invite - Invite details
+ * @param {string} invite.inviterName - Name (or email) of the presentation owner
+ * @param {string} invite.presentationTitle - Presentation title
+ * @param {string} invite.role - Collaborator role (viewer, editor, co_presenter)
+ * @returns {Promise<Object>} Email send result
+ */
+const sendCollaborationInviteEmail = async (to, { inviterName, presentationTitle, role }) => {
+  const client = getResendClient();
+
+  if (!client) {
+    throw new Error('Email service is not configured. Please set RESEND_API_KEY in environment variables.');
+  }
+
+  const appName = process.env.APP_NAME || 'Inavora';
+  const fromEmail = process.env.RESEND_FROM_EMAIL || 'noreply@inavora.com';
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const roleLabel = COLLABORATOR_ROLE_LABELS[role] || 'view';
+
+  const emailHtml = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>You have been invited to a presentation</title>
+    </head>
+    <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
+      <div style="background-color: #ffffff; border-radius: 8px; padding: 40px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <div style="font-size: 28px; font-weight: bold; color: #3b82f6; margin-bottom: 10px;">${appName}</div>
+          <h1 style="margin: 0;">${escapeHtml(presentationTitle)}</h1>
+        </div>
+
+        <p>${escapeHtml(inviterName)} invited you to ${roleLabel} the presentation <strong>${escapeHtml(presentationTitle)}</strong>.</p>
+
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${frontendUrl}/dashboard" style="display: inline-block; padding: 14px 32px; background: linear-gradient(135deg, #3b82f6 0%, #14b8a6 100%); color: #ffffff; text-decoration: none; border-radius: 8px; font-weight: 600;">Open ${appName}</a>
+        </p>
+
+        <p style="font-size: 14px; color: #64748b;">Sign in with ${escapeHtml(to)} to find the presentation under "Shared with me" on your dashboard.</p>
+
+        <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #e2e8f0; text-align: center; color: #94a3b8; font-size: 14px;">
+          <p>This is an automated message. Please do not reply to this email.</p>
+          <p>&copy; ${new Date().getFullYear()} ${appName}. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const emailText = `
+${inviterName} invited you to ${roleLabel} the presentation "${presentationTitle}".
+
+Sign in with ${to} to find it under "Shared with me" on your dashboard:
+${frontendUrl}/dashboard
+
+© ${new Date().getFullYear()} ${appName}. All rights reserved.
+  `;
+
+  const result = await client.emails.send({
+    from: fromEmail,
+    to: [to],
+    subject: `${inviterName} shared "${presentationTitle}" with you`,
+    html: emailHtml,
+    text: emailText
+  });
+
+  if (result && result.error) {
+    throw new Error(`Resend API Error (${result.error.statusCode || 'unknown'}): ${result.error.message || 'Unknown Resend API error'}`);
+  }
+
+  Logger.info(`Collaboration invite sent to ${to}`, { emailId: result.data?.id });
+  return result.data;
+};
+
 // Initialize on module load
 // Note: This will be called when the module is first loaded
 // Make sure environment variables are loaded before this
@@ -1118,6 +1303,8 @@ module.exports = {
   sendAdminVerificationEmail,
   sendInstitutionRegistrationOTPEmail,
   sendInstitutionWelcomeEmail,
+  sendCustomReportEmail,
+  sendCollaborationInviteEmail,
   initializeResend,
   getResendClient
 };
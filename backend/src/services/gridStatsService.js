@@ -0,0 +1,185 @@
+/**
+ * Grid Stats Service
+ * Spread, quadrants and outliers of 2x2 grid placements.
+ *
+ * Both axes share slide.gridAxisRange and the vertical axis points up, so the quadrants are split at
+ * the middle of the range: a placement on the middle line counts towards the right / top quadrant.
+ *
+ * Spread of an item's placements:
+ * - standardDeviationX / standardDeviationY per axis
+ * - ellipse: the one standard deviation ellipse of the placements (covariance ellipse), with its
+ *   centre, radii along its own axes and rotation in degrees counter-clockwise from the horizontal axis
+ * - outliers: placements more than OUTLIER_DISTANCE standard deviations away from the average,
+ *   measuring each axis in its own standard deviations
+ */
+
+const QUADRANTS = ['topLeft', 'topRight', 'bottomLeft', 'bottomRight'];
+
+const DEFAULT_QUADRANT_LABELS = {
+  topLeft: 'Top left',
+  topRight: 'Top right',
+  bottomLeft: 'Bottom left',
+  bottomRight: 'Bottom right'
+};
+
+const MAX_QUADRANT_LABEL_LENGTH = 60;
+const OUTLIER_DISTANCE = 2;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Axis range of a slide (shared by both axes)
+ * @param {Object} slide
+ * @returns {{min: number, max: number}}
+ */
+function getAxisRange(slide) {
+  const min = typeof slide?.gridAxisRange?.min === 'number' ? slide.gridAxisRange.min : 0;
+  const max = typeof slide?.gridAxisRange?.max === 'number' ? slide.gridAxisRange.max : 10;
+  return min < max ? { min, max } : { min: 0, max: 10 };
+}
+
+/**
+ * Validate quadrant names from a request, keeping existing names that are not sent
+ * @param {Object} labels - { topLeft, topRight, bottomLeft, bottomRight }
+ * @param {Object} existing - Current names
+ * @returns {Object} Names for every quadrant ('' uses the default name)
+ */
+function normalizeQuadrantLabels(labels, existing = {}) {
+  const source = labels && typeof labels === 'object' ? labels : {};
+  return QUADRANTS.reduce((normalized, key) => {
+    const value = source[key] !== undefined ? source[key] : existing?.[key];
+    normalized[key] = typeof value === 'string' ? value.trim().slice(0, MAX_QUADRANT_LABEL_LENGTH) : '';
+    return normalized;
+  }, {});
+}
+
+/**
+ * Quadrant names of a slide, with defaults for the unnamed ones
+ * @param {Object} slide
+ * @returns {Object} { topLeft, topRight, bottomLeft, bottomRight }
+ */
+function getQuadrantLabels(slide) {
+  const labels = slide?.gridQuadrantLabels || {};
+  return QUADRANTS.reduce((result, key) => {
+    result[key] = typeof labels[key] === 'string' && labels[key].trim() ? labels[key].trim() : DEFAULT_QUADRANT_LABELS[key];
+    return result;
+  }, {});
+}
+
+/**
+ * Quadrant of a placement
+ * @param {{x: number, y: number}} point
+ * @param {{min: number, max: number}} range
+ * @returns {string} One of QUADRANTS
+ */
+function getQuadrant(point, range) {
+  const middle = (range.min + range.max) / 2;
+  const vertical = point.y >= middle ? 'top' : 'bottom';
+  const horizontal = point.x >= middle ? 'Right' : 'Left';
+  return `${vertical}${horizontal}`;
+}
+
+/**
+ * Spread, quadrant counts and outliers of an item's placements
+ * @param {Array<{x: number, y: number}>} positions
+ * @param {{min: number, max: number}} range
+ * @returns {Object} { count, averageX, averageY, standardDeviationX, standardDeviationY, ellipse,
+ *   quadrant, quadrantCounts, positions, outlierCount } - positions gain an isOutlier flag;
+ *   ellipse and quadrant are null without placements
+ */
+function summarizePositions(positions, range) {
+  const count = positions.length;
+  const quadrantCounts = QUADRANTS.reduce((counts, key) => ({ ...counts, [key]: 0 }), {});
+  positions.forEach(position => {
+    quadrantCounts[getQuadrant(position, range)] += 1;
+  });
+
+  if (count === 0) {
+    return {
+      count,
+      averageX: 0,
+      averageY: 0,
+      standardDeviationX: 0,
+      standardDeviationY: 0,
+      ellipse: null,
+      quadrant: null,
+      quadrantCounts,
+      positions: [],
+      outlierCount: 0
+    };
+  }
+
+  const meanX = positions.reduce((sum, position) => sum + position.x, 0) / count;
+  const meanY = positions.reduce((sum, position) => sum + position.y, 0) / count;
+  const varianceX = positions.reduce((sum, position) => sum + (position.x - meanX) ** 2, 0) / count;
+  const varianceY = positions.reduce((sum, position) => sum + (position.y - meanY) ** 2, 0) / count;
+  const covariance = positions.reduce((sum, position) => sum + (position.x - meanX) * (position.y - meanY), 0) / count;
+  const deviationX = Math.sqrt(varianceX);
+  const deviationY = Math.sqrt(varianceY);
+
+  // Eigenvalues of the covariance matrix are the variances along the ellipse axes
+  const halfSum = (varianceX + varianceY) / 2;
+  const offset = Math.sqrt(((varianceX - varianceY) / 2) ** 2 + covariance ** 2);
+  const angle = (Math.atan2(2 * covariance, varianceX - varianceY) / 2) * (180 / Math.PI);
+
+  const scored = positions.map(position => {
+    const distanceX = deviationX > 0 ? (position.x - meanX) / deviationX : 0;
+    const distanceY = deviationY > 0 ? (position.y - meanY) / deviationY : 0;
+    return { ...position, isOutlier: Math.sqrt(distanceX ** 2 + distanceY ** 2) > OUTLIER_DISTANCE };
+  });
+
+  return {
+    count,
+    averageX: Math.round(meanX * 10) / 10,
+    averageY: Math.round(meanY * 10) / 10,
+    standardDeviationX: round(deviationX),
+    standardDeviationY: round(deviationY),
+    ellipse: {
+      centerX: round(meanX),
+      centerY: round(meanY),
+      radiusX: round(Math.sqrt(halfSum + offset)),
+      radiusY: round(Math.sqrt(Math.max(0, halfSum - offset))),
+      angle: round(angle)
+    },
+    quadrant: getQuadrant({ x: meanX, y: meanY }, range),
+    quadrantCounts,
+    positions: scored,
+    outlierCount: scored.filter(position => position.isOutlier).length
+  };
+}
+
+/**
+ * Placements per quadrant over all items
+ * @param {Array<Object>} itemResults - Items with quadrantCounts
+ * @param {Object} slide
+ * @returns {Array<Object>} [{ key, label, count, percentage, items: [{ itemId, label, count }] }]
+ */
+function buildQuadrantBreakdown(itemResults, slide) {
+  const labels = getQuadrantLabels(slide);
+  const total = itemResults.reduce((sum, item) => sum + item.count, 0);
+
+  return QUADRANTS.map(key => {
+    const count = itemResults.reduce((sum, item) => sum + (item.quadrantCounts?.[key] || 0), 0);
+    return {
+      key,
+      label: labels[key],
+      count,
+      percentage: total > 0 ? round((count / total) * 100) : 0,
+      items: itemResults
+        .filter(item => item.quadrantCounts?.[key] > 0)
+        .map(item => ({ itemId: item.itemId, label: item.label, count: item.quadrantCounts[key] }))
+    };
+  });
+}
+
+module.exports = {
+  QUADRANTS,
+  DEFAULT_QUADRANT_LABELS,
+  OUTLIER_DISTANCE,
+  getAxisRange,
+  normalizeQuadrantLabels,
+  getQuadrantLabels,
+  getQuadrant,
+  summarizePositions,
+  buildQuadrantBreakdown
+};
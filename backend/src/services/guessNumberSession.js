@@ -1,4 +1,6 @@
-const sessions = new Map();
+const { getSessionStore } = require('./sessionStore');
+
+const NAMESPACE = 'guess-number';
 
 function getKey(slideId) {
   if (!slideId) {
@@ -7,51 +9,41 @@ function getKey(slideId) {
   return slideId.toString();
 }
 
-function initializeSession({ slideId, minValue, maxValue, correctAnswer }) {
+async function initializeSession({ slideId, minValue, maxValue, correctAnswer }) {
   const key = getKey(slideId);
-  const existing = sessions.get(key);
-  
-  if (existing) {
-    existing.minValue = minValue;
-    existing.maxValue = maxValue;
-    existing.correctAnswer = correctAnswer;
-    return existing;
-  }
+  return getSessionStore().update(NAMESPACE, key, (existing) => {
+    if (existing) {
+      existing.minValue = minValue;
+      existing.maxValue = maxValue;
+      existing.correctAnswer = correctAnswer;
+      return existing;
+    }
 
-  const session = {
-    slideId: key,
-    minValue,
-    maxValue,
-    correctAnswer,
-    responses: new Map() // number -> count
-  };
-  
-  sessions.set(key, session);
-  return session;
+    return {
+      slideId: key,
+      minValue,
+      maxValue,
+      correctAnswer,
+      responses: {} // number -> count
+    };
+  });
 }
 
-function clearSession(slideId) {
-  sessions.delete(getKey(slideId));
+async function clearSession(slideId) {
+  await getSessionStore().delete(NAMESPACE, getKey(slideId));
 }
 
-function clearAllSessionsForPresentation(_presentationId, slideIds = []) {
+async function clearAllSessionsForPresentation(_presentationId, slideIds = []) {
   if (Array.isArray(slideIds) && slideIds.length > 0) {
-    slideIds.forEach((slideId) => {
-      const key = getKey(slideId);
-      if (sessions.has(key)) {
-        sessions.delete(key);
-      }
-    });
+    await Promise.all(slideIds.map((slideId) => getSessionStore().delete(NAMESPACE, getKey(slideId))));
   }
 }
 
-function getSession(slideId) {
-  const key = getKey(slideId);
-  return sessions.get(key) || null;
+async function getSession(slideId) {
+  return getSessionStore().get(NAMESPACE, getKey(slideId));
 }
 
-function getState(slideId) {
-  const session = getSession(slideId);
+function buildState(session) {
   if (!session) {
     return {
       minValue: 1,
@@ -61,57 +53,69 @@ function getState(slideId) {
     };
   }
 
-  // Convert Map to object for distribution
-  const distribution = {};
-  session.responses.forEach((count, number) => {
-    distribution[number] = count;
-  });
-
   return {
     minValue: session.minValue,
     maxValue: session.maxValue,
     correctAnswer: session.correctAnswer,
-    distribution
+    distribution: { ...session.responses }
   };
 }
 
-function submitGuess({ slideId, participantId, guess }) {
+async function getState(slideId) {
+  return buildState(await getSession(slideId));
+}
+
+async function submitGuess({ slideId, participantId, guess }) {
   if (!participantId) {
     return { error: 'Participant information missing.' };
   }
 
-  const session = getSession(slideId);
-  if (!session) {
-    return { error: 'Guess session not initialized.' };
-  }
-
-  const guessNum = Number(guess);
-  if (isNaN(guessNum)) {
-    return { error: 'Invalid guess value.' };
-  }
+  let error = null;
+  const session = await getSessionStore().update(NAMESPACE, getKey(slideId), (current) => {
+    if (!current) {
+      error = 'Guess session not initialized.';
+      return undefined;
+    }
+
+    const guessNum = Number(guess);
+    if (isNaN(guessNum)) {
+      error = 'Invalid guess value.';
+      return undefined;
+    }
+
+    if (guessNum < current.minValue || guessNum > current.maxValue) {
+      error = `Guess must be between ${current.minValue} and ${current.maxValue}.`;
+      return undefined;
+    }
+
+    // Increment count for this number
+    current.responses[guessNum] = (current.responses[guessNum] || 0) + 1;
+    return current;
+  });
 
-  if (guessNum < session.minValue || guessNum > session.maxValue) {
-    return { error: `Guess must be between ${session.minValue} and ${session.maxValue}.` };
+  if (error) {
+    return { error };
   }
 
-  // Increment count for this number
-  const currentCount = session.responses.get(guessNum) || 0;
-  session.responses.set(guessNum, currentCount + 1);
-
   return {
     success: true,
-    state: getState(slideId)
+    state: buildState(session)
   };
 }
 
-function clearResponses({ slideId }) {
-  const session = getSession(slideId);
+async function clearResponses({ slideId }) {
+  const session = await getSessionStore().update(NAMESPACE, getKey(slideId), (current) => {
+    if (!current) {
+      return undefined;
+    }
+    current.responses = {};
+    return current;
+  });
+
   if (!session) {
     return { success: false, error: 'Session not initialized.' };
   }
-  
-  session.responses.clear();
-  return { success: true, state: getState(slideId) };
+  return { success: true, state: buildState(session) };
 }
 
 module.exports = {
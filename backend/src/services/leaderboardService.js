@@ -108,14 +108,16 @@ async function ensureLeaderboardForQuiz(presentationId, quizSlideId) {
  * @param {string} presentationId
  * @param {string} quizSlideId
  * @param {number} limit
+ * @param {string|null} runId - Run to rank (see runService.runFilter; all runs when omitted)
  * @returns {Promise<Array>} - Leaderboard data
  */
-async function getLeaderboardForQuiz(presentationId, quizSlideId, limit = 10) {
+async function getLeaderboardForQuiz(presentationId, quizSlideId, limit = 10, runId) {
   try {
     return await quizScoringService.getLeaderboardWithDeltas(
       presentationId,
       quizSlideId,
-      limit
+      limit,
+      runId
     );
   } catch (error) {
     Logger.error('Error getting leaderboard for quiz', error);
@@ -30,9 +30,10 @@ async function loadPdfToImg() {
  * @param {string} pdfUrl - URL of the PDF file
  * @param {string} pdfBase64 - Base64 encoded PDF (optional, if provided, use this instead of URL)
  * @param {string} pdfPublicId - Cloudinary public ID (not used, kept for compatibility)
+ * @param {Object} options - { pageNumbers } to only convert some pages (1-based)
  * @returns {Promise<Array>} Array of page images with URLs and public IDs
  */
-async function convertPdfPagesToImages(pdfUrl, pdfBase64 = null, pdfPublicId = null) {
+async function convertPdfPagesToImages(pdfUrl, pdfBase64 = null, pdfPublicId = null, options = {}) {
   let tempPdfPath = null;
   
   try {
@@ -63,16 +64,17 @@ async function convertPdfPagesToImages(pdfUrl, pdfBase64 = null, pdfPublicId = n
     Logger.info(`Converting PDF from ${pdfBase64 ? 'base64' : 'URL'} to images`);
 
     const pageImages = [];
-    let pageNum = 1;
 
     // Use pdf-to-img to convert PDF pages to images
-    // pdf-to-img returns an async iterator
     const document = await pdf(pdfPath, { scale: 2.0 }); // Scale 2.0 for better quality
-    
-    for await (const image of document) {
+    const pageNumbers = options.pageNumbers
+      ? options.pageNumbers.filter(pageNumber => pageNumber >= 1 && pageNumber <= document.length)
+      : Array.from({ length: document.length }, (_, index) => index + 1);
+
+    for (const pageNum of pageNumbers) {
       try {
-        // image is a Buffer containing PNG data
-        const imageBuffer = image;
+        // getPage resolves to a Buffer containing PNG data
+        const imageBuffer = await document.getPage(pageNum);
 
         // Upload page image to Cloudinary
         const uploadResult = await cloudinaryService.uploadPdfPageImage(imageBuffer);
@@ -84,14 +86,12 @@ async function convertPdfPagesToImages(pdfUrl, pdfBase64 = null, pdfPublicId = n
         });
 
         Logger.info(`Converted page ${pageNum}`);
-        pageNum++;
       } catch (pageError) {
         Logger.error(`Error processing page ${pageNum}`, {
           error: pageError.message,
           stack: pageError.stack
         });
         // Continue with other pages even if one fails
-        pageNum++;
       }
     }
 
@@ -0,0 +1,393 @@
+const { randomUUID } = require('crypto');
+const { calculateQuestionScore } = require('./quizScoringService');
+
+/**
+ * Pin on Image Service
+ * Correct regions, grading and aggregation for pin on image slides.
+ *
+ * Coordinates are percentages (0-100) of the image's width and height.
+ *
+ * Settings (slide.pinOnImageSettings):
+ * - correctAreas: rectangles ({x, y, width, height}) or polygons ({points: [{x, y}]});
+ *   slides saved with the older single correctArea are read as one rectangle
+ * - allowMultiplePins / maxPins: participants may drop up to maxPins pins
+ * - scoring: { enabled, points } - graded answers earn points on the leaderboard
+ *
+ * Grading: a pin is correct when it lies inside any region. With several pins, each region
+ * counts once and every pin outside all regions cancels out a hit, like proportional
+ * "select all that apply" quizzes.
+ *
+ * Results carry a density heatmap (smoothed grid) and clusters of nearby pins so large
+ * audiences show hotspots instead of overlapping dots.
+ */
+
+const REGION_SHAPES = ['rectangle', 'polygon'];
+const MAX_REGIONS = 20;
+const MAX_POLYGON_POINTS = 50;
+const MAX_PINS = 10;
+const MAX_LABEL_LENGTH = 60;
+const DEFAULT_POINTS = 1000;
+
+const HEATMAP_GRID_SIZE = 20;
+const CLUSTER_RADIUS = 6;
+const MAX_CLUSTERS = 30;
+
+const round = (value) => Math.round(value * 100) / 100;
+const isPercentage = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+const toPlainObject = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+/**
+ * Validate one correct region
+ * @param {Object} input - Rectangle or polygon
+ * @returns {Object} Normalized region
+ * @throws {Error} If the region is invalid
+ */
+function normalizeRegion(input) {
+  const region = toPlainObject(input) || {};
+  const shape = region.shape || (Array.isArray(region.points) ? 'polygon' : 'rectangle');
+  if (!REGION_SHAPES.includes(shape)) {
+    throw new Error('Correct areas must be rectangles or polygons');
+  }
+
+  const normalized = {
+    id: typeof region.id === 'string' && region.id.trim() ? region.id.trim() : randomUUID(),
+    shape,
+    label: typeof region.label === 'string' ? region.label.trim().slice(0, MAX_LABEL_LENGTH) : ''
+  };
+
+  if (shape === 'polygon') {
+    const points = Array.isArray(region.points) ? region.points : [];
+    if (points.length < 3 || points.length > MAX_POLYGON_POINTS) {
+      throw new Error(`Polygon areas need between 3 and ${MAX_POLYGON_POINTS} points`);
+    }
+    if (points.some(point => !isPercentage(point?.x) || !isPercentage(point?.y))) {
+      throw new Error('Area coordinates must be between 0 and 100 (percentage)');
+    }
+    return { ...normalized, points: points.map(point => ({ x: round(point.x), y: round(point.y) })) };
+  }
+
+  const { x, y, width, height } = region;
+  if (![x, y, width, height].every(isPercentage) || x + width > 100.01 || y + height > 100.01) {
+    throw new Error('Area coordinates must be between 0 and 100 (percentage)');
+  }
+  if (width <= 0 || height <= 0) {
+    throw new Error('Correct areas must have a width and a height');
+  }
+  return { ...normalized, x: round(x), y: round(y), width: round(width), height: round(height) };
+}
+
+/**
+ * Correct regions of a slide's settings, including the older single correctArea
+ * @param {Object} settings - pinOnImageSettings
+ * @returns {Array<Object>}
+ */
+function getRegions(settings) {
+  const plain = toPlainObject(settings) || {};
+  const regions = Array.isArray(plain.correctAreas) && plain.correctAreas.length > 0
+    ? plain.correctAreas
+    : (plain.correctArea ? [{ id: 'area-1', shape: 'rectangle', ...toPlainObject(plain.correctArea) }] : []);
+
+  return regions.map(region => {
+    const plainRegion = toPlainObject(region);
+    return { ...plainRegion, shape: plainRegion.shape || (Array.isArray(plainRegion.points) && plainRegion.points.length ? 'polygon' : 'rectangle') };
+  });
+}
+
+/**
+ * Validate pin on image settings from a request body, keeping existing values for the ones not given
+ * @param {Object} input - Requested settings
+ * @param {Object} existing - Current settings
+ * @returns {Object|null} Normalized settings (null without an image)
+ * @throws {Error} If the settings are invalid
+ */
+function normalizeSettings(input, existing = {}) {
+  if (!input) {
+    return null;
+  }
+  const settings = toPlainObject(input);
+  const current = toPlainObject(existing) || {};
+  const pick = (field) => (settings[field] !== undefined ? settings[field] : current[field]);
+
+  let correctAreas;
+  if (settings.correctAreas !== undefined) {
+    correctAreas = Array.isArray(settings.correctAreas) ? settings.correctAreas : [];
+  } else if (settings.correctArea !== undefined) {
+    correctAreas = settings.correctArea ? [settings.correctArea] : [];
+  } else {
+    correctAreas = getRegions(current);
+  }
+  if (correctAreas.length > MAX_REGIONS) {
+    throw new Error(`A slide can have up to ${MAX_REGIONS} correct areas`);
+  }
+
+  const maxPins = Number(pick('maxPins'));
+  const scoring = toPlainObject(pick('scoring')) || {};
+  const points = Number(scoring.points);
+
+  return {
+    imageUrl: pick('imageUrl') || '',
+    imagePublicId: pick('imagePublicId') || null,
+    correctArea: null,
+    correctAreas: correctAreas.map(normalizeRegion),
+    allowMultiplePins: Boolean(pick('allowMultiplePins')),
+    maxPins: Number.isInteger(maxPins) ? Math.max(1, Math.min(MAX_PINS, maxPins)) : 3,
+    scoring: {
+      enabled: Boolean(scoring.enabled),
+      points: Number.isFinite(points) && points >= 0 ? Math.round(points) : DEFAULT_POINTS
+    }
+  };
+}
+
+/**
+ * Settings participants receive: the image and pin rules, never the correct areas
+ * @param {Object} settings - pinOnImageSettings
+ */
+function getParticipantSettings(settings) {
+  const plain = toPlainObject(settings);
+  if (!plain) {
+    return null;
+  }
+  return {
+    imageUrl: plain.imageUrl,
+    imagePublicId: plain.imagePublicId,
+    allowMultiplePins: Boolean(plain.allowMultiplePins),
+    maxPins: getPinLimit(plain),
+    hasCorrectAreas: getRegions(plain).length > 0
+  };
+}
+
+/**
+ * Number of pins a participant may drop
+ * @param {Object} settings - pinOnImageSettings
+ */
+function getPinLimit(settings) {
+  if (!settings?.allowMultiplePins) {
+    return 1;
+  }
+  const maxPins = Number(settings.maxPins);
+  return Number.isInteger(maxPins) ? Math.max(1, Math.min(MAX_PINS, maxPins)) : 3;
+}
+
+// Ray casting: count how many polygon edges a ray to the right of the point crosses
+function isPointInPolygon(point, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    const crosses = (a.y > point.y) !== (b.y > point.y)
+      && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Check whether a point lies inside a region (edges included for rectangles)
+ * @param {{x: number, y: number}} point
+ * @param {Object} region
+ */
+function isPointInRegion(point, region) {
+  if (region.shape === 'polygon') {
+    return isPointInPolygon(point, region.points || []);
+  }
+  return point.x >= region.x && point.x <= region.x + region.width
+    && point.y >= region.y && point.y <= region.y + region.height;
+}
+
+/**
+ * Pins of a stored answer ({x, y} from older answers, or {pins: [...]})
+ * @param {*} answer
+ * @returns {Array<{x: number, y: number}>}
+ */
+function getPins(answer) {
+  const pins = Array.isArray(answer) ? answer : (Array.isArray(answer?.pins) ? answer.pins : [answer]);
+  return pins.filter(pin => pin && typeof pin.x === 'number' && typeof pin.y === 'number');
+}
+
+/**
+ * Grade pins against the slide's correct regions
+ * @param {Array<{x: number, y: number}>} pins
+ * @param {Object} settings - pinOnImageSettings
+ * @returns {{pins: Array, isCorrect: boolean|null, credit: number}} isCorrect is null without regions
+ */
+function gradePins(pins, settings) {
+  const regions = getRegions(settings);
+  const graded = pins.map(pin => {
+    const region = regions.find(candidate => isPointInRegion(pin, candidate));
+    return { x: pin.x, y: pin.y, isCorrect: regions.length ? Boolean(region) : null, regionId: region?.id || null };
+  });
+
+  if (!regions.length || !graded.length) {
+    return { pins: graded, isCorrect: null, credit: 0 };
+  }
+
+  const hits = new Set(graded.filter(pin => pin.regionId).map(pin => pin.regionId)).size;
+  const misses = graded.filter(pin => !pin.regionId).length;
+  // Participants can't be expected to find more regions than they have pins
+  const needed = Math.min(regions.length, getPinLimit(settings));
+  const isCorrect = hits >= needed && misses === 0;
+
+  return {
+    pins: graded,
+    isCorrect,
+    credit: isCorrect ? 1 : Math.max(0, (hits - misses) / needed)
+  };
+}
+
+/**
+ * Grade an answer and work out its points when the slide is scored
+ * @param {Array<{x: number, y: number}>} pins
+ * @param {Object} settings - pinOnImageSettings
+ * @returns {{pins: Array, isCorrect: boolean|null, credit: number, score: number|null}} score is null
+ *   when the slide isn't scored or has no correct areas
+ */
+function scoreAnswer(pins, settings) {
+  const grade = gradePins(pins, settings);
+  const scoring = toPlainObject(settings?.scoring) || {};
+  if (!scoring.enabled || grade.isCorrect === null) {
+    return { ...grade, score: null };
+  }
+
+  const score = calculateQuestionScore({
+    isCorrect: grade.isCorrect,
+    credit: grade.credit,
+    scoring: { scoringMode: 'fixed', points: scoring.points ?? DEFAULT_POINTS }
+  });
+  return { ...grade, score };
+}
+
+/**
+ * Pin density on a grid, smoothed over neighbouring cells
+ * @param {Array<{x: number, y: number}>} pins
+ * @param {number} gridSize - Cells per side
+ * @returns {{gridSize: number, cells: Array<{row: number, col: number, count: number, intensity: number}>}}
+ *   Only cells with some density; intensity is relative to the densest cell (0-1)
+ */
+function buildHeatmap(pins, gridSize = HEATMAP_GRID_SIZE) {
+  const counts = Array.from({ length: gridSize }, () => new Array(gridSize).fill(0));
+  const cellOf = (value) => Math.min(gridSize - 1, Math.floor((value / 100) * gridSize));
+  pins.forEach(pin => {
+    counts[cellOf(pin.y)][cellOf(pin.x)] += 1;
+  });
+
+  const cells = [];
+  let maxDensity = 0;
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      let density = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const neighbour = counts[row + dy]?.[col + dx];
+          if (neighbour) {
+            // Centre counts fully, edges half and corners a quarter
+            density += neighbour / (2 ** (Math.abs(dx) + Math.abs(dy)));
+          }
+        }
+      }
+      if (density > 0) {
+        cells.push({ row, col, count: counts[row][col], density });
+        maxDensity = Math.max(maxDensity, density);
+      }
+    }
+  }
+
+  return {
+    gridSize,
+    cells: cells.map(({ density, ...cell }) => ({ ...cell, intensity: round(density / maxDensity) }))
+  };
+}
+
+/**
+ * Group nearby pins; each pin joins the closest cluster centre within the radius
+ * @param {Array<{x: number, y: number, isCorrect: boolean|null}>} pins
+ * @param {number} radius - In percentage points
+ * @returns {Array<{x: number, y: number, count: number, share: number, correctCount: number}>} Largest first
+ */
+function buildClusters(pins, radius = CLUSTER_RADIUS) {
+  const clusters = [];
+  pins.forEach(pin => {
+    let closest = null;
+    let closestDistance = Infinity;
+    clusters.forEach(cluster => {
+      const distance = Math.hypot(cluster.x - pin.x, cluster.y - pin.y);
+      if (distance <= radius && distance < closestDistance) {
+        closest = cluster;
+        closestDistance = distance;
+      }
+    });
+
+    if (!closest) {
+      clusters.push({ x: pin.x, y: pin.y, count: 1, correctCount: pin.isCorrect ? 1 : 0 });
+      return;
+    }
+    closest.x += (pin.x - closest.x) / (closest.count + 1);
+    closest.y += (pin.y - closest.y) / (closest.count + 1);
+    closest.count += 1;
+    closest.correctCount += pin.isCorrect ? 1 : 0;
+  });
+
+  return clusters
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_CLUSTERS)
+    .map(cluster => ({
+      x: round(cluster.x),
+      y: round(cluster.y),
+      count: cluster.count,
+      share: pins.length ? round((cluster.count / pins.length) * 100) : 0,
+      correctCount: cluster.correctCount
+    }));
+}
+
+/**
+ * Aggregate the responses of a pin on image slide
+ * @param {Object} slide - Slide document
+ * @param {Array} responses - Response documents
+ */
+function buildPinResults(slide, responses = []) {
+  const settings = slide?.pinOnImageSettings;
+  const regions = getRegions(settings);
+
+  const pinResults = [];
+  let correctResponses = 0;
+  responses.forEach(response => {
+    const grade = gradePins(getPins(response.answer), settings);
+    if (grade.isCorrect) {
+      correctResponses += 1;
+    }
+    grade.pins.forEach(pin => pinResults.push({ ...pin, participantId: response.participantId || null }));
+  });
+
+  return {
+    pinResults,
+    totalPins: pinResults.length,
+    correctPins: pinResults.filter(pin => pin.isCorrect).length,
+    correctResponses,
+    regionStats: regions.map(region => ({
+      id: region.id,
+      label: region.label || '',
+      count: pinResults.filter(pin => pin.regionId === region.id).length
+    })),
+    heatmap: buildHeatmap(pinResults),
+    clusters: buildClusters(pinResults)
+  };
+}
+
+module.exports = {
+  MAX_PINS,
+  MAX_REGIONS,
+  DEFAULT_POINTS,
+  normalizeRegion,
+  normalizeSettings,
+  getParticipantSettings,
+  getRegions,
+  getPinLimit,
+  isPointInRegion,
+  getPins,
+  gradePins,
+  scoreAnswer,
+  buildHeatmap,
+  buildClusters,
+  buildPinResults
+};
@@ -0,0 +1,468 @@
+const { randomUUID } = require('crypto');
+const mongoose = require('mongoose');
+const JSZip = require('jszip');
+const Presentation = require('../models/Presentation');
+const Slide = require('../models/Slide');
+const cloudinaryService = require('./cloudinaryService');
+const contentFilterService = require('./contentFilterService');
+const Logger = require('../utils/logger');
+
+/**
+ * Presentation Bundle Service
+ * Exports a presentation as a portable, versioned bundle and recreates presentations from bundles,
+ * so decks can be shared between accounts.
+ *
+ * Bundle layout (presentation.json, optionally zipped):
+ * {
+ *   format: 'inavora-presentation', version, exportedAt,
+ *   presentation: { title, showResults, teamSettings, selfPacedSettings, contentFilter },
+ *   slides: [{ key, type, question, ...slide fields }],
+ *   media: [{ slideKey, path, url, resourceType }]
+ * }
+ * - key: stable slide reference inside the bundle (branching targets and leaderboard links use it)
+ * - media: files hosted in the exporting account's Cloudinary storage, which the importer can copy
+ *
+ * Cloudinary public IDs are never exported: deleting a slide deletes its media, and an imported
+ * presentation must not own files that belong to another account.
+ */
+
+const BUNDLE_FORMAT = 'inavora-presentation';
+const BUNDLE_VERSION = 1;
+const BUNDLE_FILE_NAME = 'presentation.json';
+const BUNDLE_TYPES = ['json', 'zip'];
+const MEDIA_FOLDER = 'inavora/bundles';
+
+// Fields tied to one stored presentation rather than to the deck content
+const NON_PORTABLE_FIELDS = ['_id', '__v', 'presentationId', 'order', 'createdAt', 'updatedAt'];
+
+// Slide fields with uploaded media, with the Cloudinary resource type used to copy them
+const MEDIA_FIELDS = [
+  { path: 'imageUrl', resourceType: 'image' },
+  { path: 'videoUrl', resourceType: 'video' },
+  { path: 'powerpointUrl', resourceType: 'raw' },
+  { path: 'pdfUrl', resourceType: 'raw' },
+  { path: 'pinOnImageSettings.imageUrl', resourceType: 'image' }
+];
+
+const ITEM_LIST_FIELDS = ['rankingItems', 'hundredPointsItems', 'gridItems'];
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((current, key) => current[key], object);
+  target[last] = value;
+}
+
+// imageUrl -> imagePublicId, pinOnImageSettings.imageUrl -> pinOnImageSettings.imagePublicId
+function toPublicIdPath(urlPath) {
+  return urlPath.replace(/Url$/, 'PublicId');
+}
+
+function toPlainObject(document) {
+  const plain = typeof document.toObject === 'function' ? document.toObject() : document;
+  return JSON.parse(JSON.stringify(plain));
+}
+
+function stripEmpty(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined));
+}
+
+function listMediaPaths(slide) {
+  const paths = [...MEDIA_FIELDS];
+  (slide.pdfPages || []).forEach((_, index) => {
+    paths.push({ path: `pdfPages.${index}.imageUrl`, resourceType: 'image' });
+  });
+  return paths;
+}
+
+function exportSlide(slide) {
+  const portable = toPlainObject(slide);
+  const key = String(portable._id);
+  const media = [];
+
+  listMediaPaths(portable).forEach(({ path, resourceType }) => {
+    const url = getPath(portable, path);
+    const publicIdPath = toPublicIdPath(path);
+    // Only media uploaded to our storage has a public ID; external links are kept as they are
+    if (url && getPath(portable, publicIdPath)) {
+      media.push({ slideKey: key, path, url, resourceType });
+    }
+    if (getPath(portable, publicIdPath) !== undefined) {
+      setPath(portable, publicIdPath, null);
+    }
+  });
+
+  NON_PORTABLE_FIELDS.forEach(field => delete portable[field]);
+
+  if (portable.leaderboardSettings?.linkedQuizSlideId) {
+    portable.leaderboardSettings.linkedQuizSlideKey = String(portable.leaderboardSettings.linkedQuizSlideId);
+    delete portable.leaderboardSettings.linkedQuizSlideId;
+  }
+  if (portable.branching?.rules) {
+    portable.branching.rules = portable.branching.rules.map(({ id, targetSlideId, ...rule }) => ({
+      ...rule,
+      targetSlideKey: String(targetSlideId)
+    }));
+  }
+
+  return { slide: { key, ...stripEmpty(portable) }, media };
+}
+
+/**
+ * Build a bundle from a presentation and its slides
+ * @param {Object} presentation - Presentation document
+ * @param {Array} slides - Slides in presentation order
+ * @returns {Object} Bundle
+ */
+function buildBundle(presentation, slides) {
+  const exported = slides.map(exportSlide);
+  const teamSettings = presentation.teamSettings ? toPlainObject(presentation.teamSettings) : null;
+  // Self-paced windows belong to one class, so only the mode itself travels with the deck
+  const selfPacedSettings = presentation.selfPacedSettings
+    ? { enabled: Boolean(presentation.selfPacedSettings.enabled) }
+    : null;
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    presentation: stripEmpty({
+      title: presentation.title,
+      showResults: presentation.showResults,
+      teamSettings,
+      selfPacedSettings,
+      contentFilter: presentation.contentFilter ? toPlainObject(presentation.contentFilter) : null
+    }),
+    slides: exported.map(entry => entry.slide),
+    media: exported.flatMap(entry => entry.media)
+  };
+}
+
+/**
+ * Serialize a bundle for download
+ * @param {Object} bundle - Bundle from buildBundle()
+ * @param {string} type - 'json' or 'zip'
+ * @returns {Promise<Object>} { body, contentType, extension }
+ */
+async function renderBundle(bundle, type = 'json') {
+  const json = JSON.stringify(bundle, null, 2);
+  if (type === 'zip') {
+    const zip = new JSZip();
+    zip.file(BUNDLE_FILE_NAME, json);
+    const body = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    return { body, contentType: 'application/zip', extension: 'zip' };
+  }
+  return { body: json, contentType: 'application/json', extension: 'json' };
+}
+
+/**
+ * Read a bundle from an uploaded .json or .zip file
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} Parsed bundle
+ * @throws {Error} If the file is not a bundle
+ */
+async function parseBundleFile(buffer) {
+  let json = buffer.toString('utf8');
+
+  // Zip archives start with "PK"
+  if (buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw new Error('The file is not a valid bundle archive');
+    }
+    const entry = zip.file(BUNDLE_FILE_NAME);
+    if (!entry) {
+      throw new Error(`The bundle archive has no ${BUNDLE_FILE_NAME}`);
+    }
+    json = await entry.async('string');
+  }
+
+  try {
+    return JSON.parse(json.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error('The file is not a valid presentation bundle');
+  }
+}
+
+function validateItems(slide, field, prefix, errors) {
+  if (slide[field] === undefined) return;
+  if (!Array.isArray(slide[field]) || slide[field].some(item => !item || typeof item.label !== 'string' || !item.label.trim())) {
+    errors.push(`${prefix}.${field} must be a list of items with a label`);
+  }
+}
+
+function validateSlide(slide, index, keys, slideTypes, errors) {
+  const prefix = `slides[${index}]`;
+
+  if (!slide || typeof slide !== 'object') {
+    errors.push(`${prefix} must be an object`);
+    return;
+  }
+  if (!slideTypes.includes(slide.type)) {
+    errors.push(`${prefix}.type "${slide.type}" is not a supported slide type`);
+  }
+  if (typeof slide.question !== 'string') {
+    errors.push(`${prefix}.question must be a string`);
+  }
+
+  ITEM_LIST_FIELDS.forEach(field => validateItems(slide, field, prefix, errors));
+
+  if (slide.type === 'multiple_choice' && (!Array.isArray(slide.options) || slide.options.length === 0)) {
+    errors.push(`${prefix}.options are required for multiple_choice slides`);
+  }
+
+  if (slide.type === 'quiz') {
+    const options = slide.quizSettings?.options;
+    if (!Array.isArray(options) || options.length < 2 || options.some(option => !option || typeof option.id !== 'string')) {
+      errors.push(`${prefix}.quizSettings.options must list at least 2 options with an id`);
+    } else {
+      const optionIds = options.map(option => option.id);
+      const correctIds = [slide.quizSettings.correctOptionId, ...(slide.quizSettings.correctOptionIds || [])].filter(Boolean);
+      if (correctIds.some(id => !optionIds.includes(id))) {
+        errors.push(`${prefix}.quizSettings correct answers must match the option ids`);
+      }
+    }
+  }
+
+  const linkedKey = slide.leaderboardSettings?.linkedQuizSlideKey;
+  if (linkedKey && !keys.has(String(linkedKey))) {
+    errors.push(`${prefix}.leaderboardSettings.linkedQuizSlideKey does not match a slide in the bundle`);
+  }
+
+  if (slide.branching) {
+    if (!Array.isArray(slide.branching.rules)) {
+      errors.push(`${prefix}.branching.rules must be a list`);
+    } else {
+      slide.branching.rules.forEach((rule, ruleIndex) => {
+        if (!rule || !keys.has(String(rule.targetSlideKey))) {
+          errors.push(`${prefix}.branching.rules[${ruleIndex}].targetSlideKey does not match a slide in the bundle`);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Check that a bundle can be imported
+ * @param {Object} bundle - Parsed bundle
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return ['The bundle must be a JSON object'];
+  }
+
+  const errors = [];
+  if (bundle.format !== BUNDLE_FORMAT) {
+    errors.push(`format must be "${BUNDLE_FORMAT}"`);
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+    errors.push(`version ${bundle.version} is not supported (latest is ${BUNDLE_VERSION})`);
+  }
+  if (!bundle.presentation || typeof bundle.presentation.title !== 'string' || !bundle.presentation.title.trim()) {
+    errors.push('presentation.title is required');
+  }
+  if (bundle.presentation?.contentFilter) {
+    try {
+      contentFilterService.normalizeContentFilter(bundle.presentation.contentFilter);
+    } catch (error) {
+      errors.push(`presentation.contentFilter: ${error.message}`);
+    }
+  }
+  if (!Array.isArray(bundle.slides)) {
+    errors.push('slides must be a list');
+    return errors;
+  }
+
+  const keys = new Set();
+  bundle.slides.forEach((slide, index) => {
+    const key = slide?.key;
+    if ((typeof key !== 'string' && typeof key !== 'number') || String(key) === '') {
+      errors.push(`slides[${index}].key is required`);
+    } else if (keys.has(String(key))) {
+      errors.push(`slides[${index}].key "${key}" is used by another slide`);
+    } else {
+      keys.add(String(key));
+    }
+  });
+
+  const slideTypes = Slide.schema.path('type').enumValues;
+  bundle.slides.forEach((slide, index) => validateSlide(slide, index, keys, slideTypes, errors));
+
+  if (bundle.media !== undefined && !Array.isArray(bundle.media)) {
+    errors.push('media must be a list');
+  }
+
+  return errors;
+}
+
+function remapItems(items) {
+  return items.map(item => ({ id: randomUUID(), label: item.label }));
+}
+
+function importSlide(bundleSlide, order, presentationId, slideIds) {
+  const { key, ...fields } = toPlainObject(bundleSlide);
+  NON_PORTABLE_FIELDS.forEach(field => delete fields[field]);
+  const slide = { ...fields, _id: slideIds.get(String(key)), presentationId, order };
+
+  // A hand-edited bundle must not make this account own (and later delete) someone else's files
+  listMediaPaths(slide).forEach(({ path }) => {
+    if (getPath(slide, toPublicIdPath(path)) !== undefined) {
+      setPath(slide, toPublicIdPath(path), null);
+    }
+  });
+
+  ITEM_LIST_FIELDS.forEach(field => {
+    if (Array.isArray(slide[field])) {
+      slide[field] = remapItems(slide[field]);
+    }
+  });
+
+  const optionIds = new Map();
+  if (slide.quizSettings?.options) {
+    slide.quizSettings.options = slide.quizSettings.options.map(option => {
+      const id = randomUUID();
+      optionIds.set(option.id, id);
+      return { id, text: option.text || '' };
+    });
+    if (slide.quizSettings.correctOptionId) {
+      slide.quizSettings.correctOptionId = optionIds.get(slide.quizSettings.correctOptionId);
+    }
+    if (Array.isArray(slide.quizSettings.correctOptionIds)) {
+      slide.quizSettings.correctOptionIds = slide.quizSettings.correctOptionIds.map(id => optionIds.get(id));
+    }
+  }
+
+  if (slide.leaderboardSettings?.linkedQuizSlideKey) {
+    slide.leaderboardSettings.linkedQuizSlideId = slideIds.get(String(slide.leaderboardSettings.linkedQuizSlideKey));
+    delete slide.leaderboardSettings.linkedQuizSlideKey;
+  }
+
+  if (slide.branching?.rules) {
+    slide.branching.rules = slide.branching.rules.map(({ targetSlideKey, ...rule }) => ({
+      ...rule,
+      id: randomUUID(),
+      // Quiz rules match option IDs; multiple choice rules match the option text
+      optionValue: optionIds.get(rule.optionValue) || rule.optionValue || '',
+      targetSlideId: slideIds.get(String(targetSlideKey))
+    }));
+  }
+
+  return slide;
+}
+
+async function copyMedia(media, slidesByKey) {
+  const copied = [];
+  let failed = 0;
+
+  for (const entry of media) {
+    const slide = slidesByKey.get(String(entry?.slideKey));
+    if (!slide || typeof entry.path !== 'string' || getPath(slide, entry.path) !== entry.url) {
+      continue;
+    }
+    const field = listMediaPaths(slide).find(({ path }) => path === entry.path);
+    if (!field) continue;
+
+    try {
+      const result = await cloudinaryService.copyRemoteMedia(entry.url, field.resourceType, MEDIA_FOLDER);
+      setPath(slide, entry.path, result.url);
+      setPath(slide, toPublicIdPath(entry.path), result.publicId);
+      copied.push({ publicId: result.publicId, resourceType: field.resourceType });
+    } catch (error) {
+      // The slide keeps pointing at the original file
+      failed += 1;
+      Logger.warn(`Bundle media copy failed for ${entry.url}`, error.message);
+    }
+  }
+
+  return { copied, failed };
+}
+
+async function deleteCopiedMedia(copied) {
+  for (const { publicId, resourceType } of copied) {
+    try {
+      if (resourceType === 'video') {
+        await cloudinaryService.deleteVideo(publicId);
+      } else if (resourceType === 'image') {
+        await cloudinaryService.deleteImage(publicId);
+      }
+    } catch (error) {
+      Logger.warn(`Failed to clean up copied bundle media ${publicId}`, error.message);
+    }
+  }
+}
+
+/**
+ * Create a presentation from a validated bundle.
+ * Slides, items, quiz options and branching rules get new IDs; references between them are remapped.
+ * @param {Object} params
+ * @param {Object} params.bundle - Bundle that passed validateBundle()
+ * @param {string} params.userId - Owner of the new presentation
+ * @param {string} params.accessCode - Unused access code for the new presentation
+ * @param {boolean} params.reuploadMedia - Copy bundled media into this account's storage
+ * @returns {Promise<Object>} { presentation, slides, media: { copied, failed } }
+ */
+async function createFromBundle({ bundle, userId, accessCode, reuploadMedia = false }) {
+  const presentationId = new mongoose.Types.ObjectId();
+  const slideIds = new Map(bundle.slides.map(slide => [String(slide.key), new mongoose.Types.ObjectId()]));
+  const slideDocs = bundle.slides.map((slide, index) => importSlide(slide, index, presentationId, slideIds));
+
+  const media = { copied: [], failed: 0 };
+  if (reuploadMedia && Array.isArray(bundle.media) && bundle.media.length > 0) {
+    const slidesByKey = new Map(bundle.slides.map((slide, index) => [String(slide.key), slideDocs[index]]));
+    Object.assign(media, await copyMedia(bundle.media, slidesByKey));
+  }
+
+  const { title, showResults, teamSettings, selfPacedSettings, contentFilter } = bundle.presentation;
+  const presentation = new Presentation({
+    _id: presentationId,
+    userId,
+    title: title.trim(),
+    accessCode,
+    isLive: false,
+    currentSlideIndex: 0,
+    showResults: showResults !== false,
+    teamSettings: teamSettings || null,
+    selfPacedSettings: selfPacedSettings ? { enabled: Boolean(selfPacedSettings.enabled) } : null,
+    contentFilter: contentFilter ? contentFilterService.normalizeContentFilter(contentFilter) : null
+  });
+
+  const slides = [];
+  try {
+    await presentation.save();
+    for (const doc of slideDocs) {
+      const slide = new Slide(doc);
+      await slide.save();
+      slides.push(slide);
+    }
+  } catch (error) {
+    Logger.warn(`Bundle import failed for user ${userId}, rolling back`, error.message);
+    await Slide.deleteMany({ presentationId });
+    await Presentation.deleteOne({ _id: presentationId });
+    await deleteCopiedMedia(media.copied);
+    throw error;
+  }
+
+  return {
+    presentation,
+    slides,
+    media: { copied: media.copied.length, failed: media.failed }
+  };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  BUNDLE_TYPES,
+  buildBundle,
+  renderBundle,
+  parseBundleFile,
+  validateBundle,
+  createFromBundle
+};
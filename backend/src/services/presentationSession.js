@@ -0,0 +1,258 @@
+/**
+ * Presentation Session
+ * Tracks the presenter socket and participants of live presentations (kept in the session store)
+ *
+ * Entry shape:
+ * {
+ *   presenterSocket: string|null,
+ *   participants: { [participantKey]: { name, socketId, disconnectedAt, teamId } }
+ * }
+ *
+ * Participants are keyed by their client-generated participantId (socket ID for
+ * clients that do not send one). A participant whose socket drops is kept for
+ * PARTICIPANT_RECONNECT_GRACE_MS so a reconnect resumes the same seat instead of
+ * counting as a new participant.
+ */
+
+const { getSessionStore } = require('./sessionStore');
+
+const NAMESPACE = 'presentation';
+
+const PARTICIPANT_RECONNECT_GRACE_MS = 60 * 1000;
+
+function getKey(presentationId) {
+  if (!presentationId) {
+    throw new Error('presentationId is required');
+  }
+  return presentationId.toString();
+}
+
+function createEntry() {
+  return {
+    presenterSocket: null,
+    participants: {}
+  };
+}
+
+function isExpired(participant, now = Date.now()) {
+  return Boolean(participant.disconnectedAt) && now - participant.disconnectedAt > PARTICIPANT_RECONNECT_GRACE_MS;
+}
+
+// Drop participants whose reconnect grace period has passed
+function pruneExpired(entry) {
+  const now = Date.now();
+  let removed = false;
+  Object.entries(entry.participants).forEach(([participantKey, participant]) => {
+    if (isExpired(participant, now)) {
+      delete entry.participants[participantKey];
+      removed = true;
+    }
+  });
+  return removed;
+}
+
+/**
+ * Get participant names of an entry
+ * @param {Object|null} entry
+ * @returns {Array<string>}
+ */
+function getParticipantList(entry) {
+  return entry ? Object.values(entry.participants || {}).map(participant => participant.name) : [];
+}
+
+/**
+ * Get the number of participants of an entry (including those within their reconnect grace period)
+ * @param {Object|null} entry
+ * @returns {number}
+ */
+function getParticipantCount(entry) {
+  return entry ? Object.keys(entry.participants || {}).length : 0;
+}
+
+/**
+ * Find a participant by display name
+ * @param {Object|null} entry
+ * @param {string} name
+ * @returns {{participantKey: string, socketId: string}|null}
+ */
+function findParticipantByName(entry, name) {
+  const match = Object.entries(entry?.participants || {}).find(([, participant]) => participant.name === name);
+  return match ? { participantKey: match[0], socketId: match[1].socketId } : null;
+}
+
+async function getEntry(presentationId) {
+  return getSessionStore().get(NAMESPACE, getKey(presentationId));
+}
+
+/**
+ * Register the presenter socket and keep only participants still connected or reconnecting
+ * @param {string} presentationId
+ * @param {string} socketId - Presenter socket ID
+ * @param {Array<string>} connectedSocketIds - Socket IDs currently in the presentation room
+ * @returns {Promise<Object>} Updated entry
+ */
+async function setPresenter(presentationId, socketId, connectedSocketIds = []) {
+  const connected = new Set(connectedSocketIds);
+
+  return getSessionStore().update(NAMESPACE, getKey(presentationId), (current) => {
+    const entry = current || createEntry();
+    pruneExpired(entry);
+
+    Object.entries(entry.participants).forEach(([participantKey, participant]) => {
+      const reconnecting = Boolean(participant.disconnectedAt);
+      if (participant.socketId === socketId || (!reconnecting && !connected.has(participant.socketId))) {
+        delete entry.participants[participantKey];
+      }
+    });
+
+    entry.presenterSocket = socketId;
+    return entry;
+  });
+}
+
+/**
+ * Clear the presenter socket if it is still the given socket
+ * @param {string} presentationId
+ * @param {string} socketId
+ */
+async function clearPresenter(presentationId, socketId) {
+  return getSessionStore().update(NAMESPACE, getKey(presentationId), (current) => {
+    if (!current || current.presenterSocket !== socketId) {
+      return undefined;
+    }
+    current.presenterSocket = null;
+    return current;
+  });
+}
+
+/**
+ * Add a participant, or resume their seat if they are reconnecting
+ * @param {string} presentationId
+ * @param {string} participantKey - participantId (or socket ID)
+ * @param {string} socketId
+ * @param {string} participantName
+ * @param {Object} options
+ * @param {Function} options.assignTeam - (participants, existing) => teamId, run while the entry is locked (optional)
+ * @returns {Promise<{entry: Object, isNew: boolean, resumed: boolean}>}
+ */
+async function addParticipant(presentationId, participantKey, socketId, participantName, { assignTeam = null } = {}) {
+  let isNew = false;
+  let resumed = false;
+
+  const entry = await getSessionStore().update(NAMESPACE, getKey(presentationId), (current) => {
+    const next = current || createEntry();
+    pruneExpired(next);
+
+    const existing = next.participants[participantKey];
+    isNew = !existing;
+    resumed = Boolean(existing) && (Boolean(existing.disconnectedAt) || existing.socketId !== socketId);
+
+    const participant = {
+      name: participantName || existing?.name || 'Anonymous',
+      socketId,
+      disconnectedAt: null
+    };
+    const teamId = assignTeam ? assignTeam(next.participants, existing) : existing?.teamId;
+    if (teamId) {
+      participant.teamId = teamId;
+    }
+    next.participants[participantKey] = participant;
+    return next;
+  });
+
+  return { entry, isNew, resumed };
+}
+
+/**
+ * Move a participant to another team
+ * @param {string} presentationId
+ * @param {string} participantKey
+ * @param {string} teamId
+ * @returns {Promise<Object|null>} Updated entry, or null if the participant is not in the presentation
+ */
+async function setParticipantTeam(presentationId, participantKey, teamId) {
+  let updated = false;
+  const entry = await getSessionStore().update(NAMESPACE, getKey(presentationId), (current) => {
+    const participant = current?.participants[participantKey];
+    if (!participant) {
+      return undefined;
+    }
+    participant.teamId = teamId;
+    updated = true;
+    return current;
+  });
+  return updated ? entry : null;
+}
+
+/**
+ * Mark the participant using a socket as disconnected (starts the reconnect grace period)
+ * @param {string} presentationId
+ * @param {string} socketId
+ * @returns {Promise<string|null>} participantKey, or null if the socket was not a participant
+ */
+async function markDisconnected(presentationId, socketId) {
+  let participantKey = null;
+
+  await getSessionStore().update(NAMESPACE, getKey(presentationId), (current) => {
+    if (!current) {
+      return undefined;
+    }
+    const match = Object.entries(current.participants).find(([, participant]) => participant.socketId === socketId);
+    if (!match) {
+      return undefined;
+    }
+    participantKey = match[0];
+    match[1].disconnectedAt = Date.now();
+    return current;
+  });
+
+  return participantKey;
+}
+
+/**
+ * Remove a participant
+ * @param {string} presentationId
+ * @param {string} participantKey
+ * @param {Object} options
+ * @param {string} options.socketId - Only remove if the participant is still on this socket (optional)
+ * @param {boolean} options.onlyIfExpired - Only remove once the reconnect grace period has passed (optional)
+ * @returns {Promise<Object|null>} Updated entry, or null if nothing was removed
+ */
+async function removeParticipant(presentationId, participantKey, { socketId = null, onlyIfExpired = false } = {}) {
+  let removed = false;
+  const entry = await getSessionStore().update(NAMESPACE, getKey(presentationId), (current) => {
+    const participant = current?.participants[participantKey];
+    if (!participant) {
+      return undefined;
+    }
+    if (socketId && participant.socketId !== socketId) {
+      return undefined;
+    }
+    if (onlyIfExpired && !isExpired(participant)) {
+      return undefined;
+    }
+    delete current.participants[participantKey];
+    removed = true;
+    return current;
+  });
+  return removed ? entry : null;
+}
+
+async function endPresentation(presentationId) {
+  await getSessionStore().delete(NAMESPACE, getKey(presentationId));
+}
+
+module.exports = {
+  PARTICIPANT_RECONNECT_GRACE_MS,
+  getEntry,
+  getParticipantList,
+  getParticipantCount,
+  findParticipantByName,
+  setPresenter,
+  clearPresenter,
+  addParticipant,
+  setParticipantTeam,
+  markDisconnected,
+  removeParticipant,
+  endPresentation
+};
@@ -1,75 +1,182 @@
-const { randomUUID } = require('crypto');
+const mongoose = require('mongoose');
+const Slide = require('../models/Slide');
+const Response = require('../models/Response');
+const runService = require('./runService');
+
+/**
+ * Q&A Service
+ * Live Q&A state kept in MongoDB so it survives backend restarts and is shared by every
+ * instance: each question is a Response of the Q&A slide in the current run (answer holds the
+ * question text), settings live on slide.qnaSettings and the question on screen is flagged with
+ * isActiveQuestion. Socket events and REST routes both read and write through this module.
+ */
+
+const QNA_SORT_ORDERS = ['oldest', 'newest', 'votes'];
+const MODERATION_ACTIONS = ['approve', 'reject', 'edit'];
+const MAX_QUESTION_LENGTH = 200;
+const MAX_ANSWER_LENGTH = 1000;
+
+/**
+ * Normalize Q&A slide settings, keeping existing values for the ones not given
+ * @param {Object} input - Requested settings
+ * @param {Object} existing - Current settings
+ * @returns {{allowMultiple: boolean, moderation: boolean, allowUpvotes: boolean, sortBy: string}}
+ */
+function normalizeSettings(input = {}, existing = {}) {
+  const settings = input || {};
+  const current = existing || {};
+  const pick = (field, fallback) => (settings[field] !== undefined ? Boolean(settings[field]) : (current[field] ?? fallback));
 
-const sessions = new Map();
-
-function getKey(slideId) {
-  if (!slideId) {
-    throw new Error('slideId is required');
-  }
-  return slideId.toString();
+  return {
+    allowMultiple: Boolean(pick('allowMultiple', false)),
+    moderation: Boolean(pick('moderation', false)),
+    allowUpvotes: Boolean(pick('allowUpvotes', true)),
+    sortBy: QNA_SORT_ORDERS.includes(settings.sortBy)
+      ? settings.sortBy
+      : (QNA_SORT_ORDERS.includes(current.sortBy) ? current.sortBy : 'oldest')
+  };
 }
 
-function initializeSession({ slideId, allowMultiple = false }) {
-  const key = getKey(slideId);
-  const existing = sessions.get(key);
-  if (existing) {
-    existing.allowMultiple = Boolean(allowMultiple);
-    return existing;
-  }
+/**
+ * Session settings of a Q&A slide
+ * @param {Object} slide - Slide document
+ */
+function getSlideSettings(slide) {
+  const qnaSettings = slide?.qnaSettings && typeof slide.qnaSettings.toObject === 'function'
+    ? slide.qnaSettings.toObject()
+    : (slide?.qnaSettings || {});
+  return normalizeSettings(qnaSettings);
+}
 
-  const session = {
-    slideId: key,
-    allowMultiple: Boolean(allowMultiple),
-    questions: [],
-    activeQuestionId: null
+/**
+ * Question as sent to clients
+ * @param {Object} response - Response document of a Q&A slide
+ */
+function formatQuestion(response) {
+  return {
+    id: response._id.toString(),
+    text: typeof response.answer === 'string' ? response.answer : String(response.answer || ''),
+    answered: Boolean(response.isAnswered),
+    answerText: response.presenterAnswer || null,
+    timestamp: new Date(response.submittedAt || response.createdAt || 0).getTime(),
+    authorId: response.participantId,
+    authorName: response.participantName || 'Anonymous',
+    status: response.moderationStatus || 'approved',
+    upvotes: response.voteCount || 0,
+    voters: Array.isArray(response.voters) ? [...response.voters] : []
   };
-  sessions.set(key, session);
-  return session;
 }
 
-function clearSession(slideId) {
-  sessions.delete(getKey(slideId));
+function sortQuestions(questions, sortBy) {
+  return [...questions].sort((a, b) => {
+    if (sortBy === 'votes' && (b.upvotes || 0) !== (a.upvotes || 0)) {
+      return (b.upvotes || 0) - (a.upvotes || 0);
+    }
+    return sortBy === 'newest' ? b.timestamp - a.timestamp : a.timestamp - b.timestamp;
+  });
 }
 
-function clearAllSessionsForPresentation(_presentationId, slideIds = []) {
-  if (Array.isArray(slideIds) && slideIds.length > 0) {
-    slideIds.forEach((slideId) => {
-      const key = getKey(slideId);
-      if (sessions.has(key)) {
-        sessions.delete(key);
-      }
-    });
+/**
+ * Q&A state for clients, built from the slide's responses. Pending questions are only
+ * included for presenters; rejected questions are never shown.
+ * @param {Object} slide - Slide document or object with qnaSettings
+ * @param {Array} responses - Response documents of the slide
+ * @param {Object} options
+ * @param {boolean} options.includePending - Add the moderation queue (pendingQuestions)
+ */
+function buildState(slide, responses = [], { includePending = false } = {}) {
+  const settings = getSlideSettings(slide);
+  const questions = responses.map(formatQuestion);
+  const active = responses.find(response => response.isActiveQuestion && (response.moderationStatus || 'approved') === 'approved');
+
+  const state = {
+    ...settings,
+    questions: sortQuestions(questions.filter(q => q.status === 'approved'), settings.sortBy),
+    activeQuestionId: active ? active._id.toString() : null
+  };
+  if (includePending) {
+    state.pendingQuestions = sortQuestions(questions.filter(q => q.status === 'pending'), 'oldest');
   }
+  return state;
 }
 
-function getSession(slideId) {
-  const key = getKey(slideId);
-  return sessions.get(key) || null;
-}
+/**
+ * Check a new question against the ones already asked
+ * @param {Array} questions - Formatted questions of the slide
+ * @param {Object} settings - Q&A settings
+ * @param {string} participantId
+ * @param {string} text
+ * @returns {{value: string}|{error: string}} Cleaned question text
+ */
+function validateQuestion(questions, settings, participantId, text) {
+  const value = (text || '').toString().trim().slice(0, MAX_QUESTION_LENGTH);
+  if (!value) {
+    return { error: 'Please enter a question.' };
+  }
 
-function getState(slideId) {
-  const session = getSession(slideId);
-  if (!session) {
+  // Rejected questions neither block duplicates nor count against the participant
+  const visibleQuestions = questions.filter(q => q.status !== 'rejected');
+
+  if (visibleQuestions.some(q => q.text.toLowerCase() === value.toLowerCase())) {
+    return { error: 'This question has already been asked.' };
+  }
+
+  const participantQuestions = visibleQuestions.filter(q => q.authorId === participantId);
+  if (participantQuestions.some(q => !q.answered)) {
     return {
-      allowMultiple: false,
-      questions: [],
-      activeQuestionId: null
+      error: settings.allowMultiple
+        ? 'Please wait for your previous question to be answered before asking another.'
+        : 'You can only ask one question for this slide.'
     };
   }
+  if (!settings.allowMultiple && participantQuestions.length > 0) {
+    return { error: 'You can only ask one question for this slide.' };
+  }
+
+  return { value };
+}
+
+/**
+ * Values of the unique-index guards (Response.questionKey and askingSlot) a question holds.
+ * They mirror validateQuestion, so a submit that races past its check still fails to insert.
+ * @param {Object} question
+ * @param {string} question.text
+ * @param {string} question.participantId
+ * @param {string} question.status - Moderation status
+ * @param {boolean} question.answered
+ * @param {Object} settings - Q&A settings
+ * @returns {{questionKey: string|null, askingSlot: string|null}} null means the guard is released
+ */
+function questionGuards({ text, participantId, status, answered }, settings) {
+  if (status === 'rejected') {
+    return { questionKey: null, askingSlot: null };
+  }
   return {
-    allowMultiple: session.allowMultiple,
-    questions: [...session.questions].sort((a, b) => a.timestamp - b.timestamp),
-    activeQuestionId: session.activeQuestionId || null
+    questionKey: text.toLowerCase(),
+    askingSlot: !answered || !settings.allowMultiple ? participantId : null
   };
 }
 
-function sanitizeQuestion(text) {
-  const trimmed = (text || '').toString().trim();
-  if (!trimmed) {
-    return { error: 'Please enter a question.' };
-  }
-  const limited = trimmed.slice(0, 200);
-  return { value: limited };
+function applyGuards(update, guards) {
+  Object.entries(guards).forEach(([field, value]) => {
+    if (value === null) {
+      update.$unset = { ...update.$unset, [field]: 1 };
+    } else {
+      update.$set = { ...update.$set, [field]: value };
+    }
+  });
+  return update;
+}
+
+function isDuplicateKeyError(error) {
+  return error?.code === 11000;
+}
+
+// Moderation error when approving or editing a question would break a guard
+function duplicateKeyMessage(error) {
+  return error.keyPattern?.askingSlot
+    ? 'The author already has another open question.'
+    : 'This question has already been asked.';
 }
 
 function normalizeAuthorName(name) {
@@ -77,135 +184,389 @@ function normalizeAuthorName(name) {
   return trimmed.length === 0 ? 'Anonymous' : trimmed.slice(0, 80);
 }
 
-function submitQuestion({ slideId, participantId, participantName, text, id }) {
+/**
+ * Slide, current run and response filter of a Q&A slide
+ * @param {Object|string} slideOrId - Slide document or slide ID
+ * @returns {Promise<{slide: Object, runId: string|null, filter: Object}|null>} null when it is not a Q&A slide
+ */
+async function getContext(slideOrId) {
+  let slide = slideOrId;
+  if (!slide?._id) {
+    if (!slideOrId || !mongoose.Types.ObjectId.isValid(String(slideOrId))) {
+      return null;
+    }
+    slide = await Slide.findById(slideOrId);
+  }
+  if (!slide || slide.type !== 'qna') {
+    return null;
+  }
+
+  const runId = await runService.getCurrentRunId(slide.presentationId);
+  return { slide, runId, filter: { slideId: slide._id, runId } };
+}
+
+async function loadState(context, options = {}) {
+  const responses = await Response.find(context.filter).sort({ submittedAt: 1 });
+  return buildState(context.slide, responses, options);
+}
+
+/**
+ * Current Q&A state of a slide
+ * @param {Object|string} slideOrId - Slide document or slide ID
+ * @param {Object} options
+ * @param {boolean} options.includePending - Add the moderation queue (presenters only)
+ */
+async function getState(slideOrId, options = {}) {
+  const context = await getContext(slideOrId);
+  if (!context) {
+    return buildState(null, [], options);
+  }
+  return loadState(context, options);
+}
+
+/**
+ * A participant's own questions that are not public: waiting for approval or rejected
+ * @param {Object|string} slideOrId - Slide document or slide ID
+ * @param {string} participantId
+ * @returns {Promise<Array>}
+ */
+async function getParticipantQuestions(slideOrId, participantId) {
+  const context = await getContext(slideOrId);
+  if (!context || !participantId) {
+    return [];
+  }
+
+  const responses = await Response.find({
+    ...context.filter,
+    participantId,
+    moderationStatus: { $in: ['pending', 'rejected'] }
+  }).sort({ submittedAt: 1 });
+
+  return responses.map(formatQuestion).map(({ voters, ...question }) => question);
+}
+
+/**
+ * Ask a question. With moderation on it waits for the presenter's approval.
+ * @param {Object} params
+ * @param {Object|string} params.slide - Slide document or slide ID
+ * @param {string} params.participantId
+ * @param {string} params.participantName
+ * @param {string} params.text - Question text (already run through the content filter)
+ * @returns {Promise<{question: Object, state: Object}|{error: string}>}
+ */
+async function submitQuestion({ slide, participantId, participantName, text }) {
   if (!participantId) {
     return { error: 'Participant information missing.' };
   }
-  const session = getSession(slideId);
-  if (!session) {
-    return { error: 'Q&A session not initialized.' };
+
+  const context = await getContext(slide);
+  if (!context) {
+    return { error: 'Q&A slide not found.' };
   }
 
-  const { value, error } = sanitizeQuestion(text);
+  const settings = getSlideSettings(context.slide);
+  const existing = (await Response.find(context.filter)).map(formatQuestion);
+  const { value, error } = validateQuestion(existing, settings, participantId, text);
   if (error) {
     return { error };
   }
 
-  const normalizedName = normalizeAuthorName(participantName);
+  const moderationStatus = settings.moderation ? 'pending' : 'approved';
+  let response;
+  try {
+    response = await Response.create({
+      presentationId: context.slide.presentationId,
+      slideId: context.slide._id,
+      runId: context.runId,
+      participantId,
+      participantName: normalizeAuthorName(participantName),
+      answer: value,
+      isAnswered: false,
+      moderationStatus,
+      ...questionGuards({ text: value, participantId, status: moderationStatus, answered: false }, settings)
+    });
+  } catch (createError) {
+    if (!isDuplicateKeyError(createError)) {
+      throw createError;
+    }
+    // A concurrent submit got in first: explain it the way validateQuestion would
+    const current = (await Response.find(context.filter)).map(formatQuestion);
+    return { error: validateQuestion(current, settings, participantId, value).error || 'This question has already been asked.' };
+  }
 
-  const duplicate = session.questions.find((q) => q.text.toLowerCase() === value.toLowerCase());
-  if (duplicate) {
-    return { error: 'This question has already been asked.' };
+  return {
+    question: formatQuestion(response),
+    state: await loadState(context)
+  };
+}
+
+/**
+ * Mark a question answered or unanswered, optionally with the presenter's answer
+ * @param {Object} params
+ * @param {Object|string} params.slide - Slide document or slide ID
+ * @param {string} params.questionId
+ * @param {boolean} params.answered
+ * @param {string|null} params.answerText
+ * @returns {Promise<{question: Object, state: Object}|{error: string}>}
+ */
+async function markAnswered({ slide, questionId, answered = true, answerText = null }) {
+  const context = await getContext(slide);
+  if (!context) {
+    return { error: 'Q&A slide not found.' };
+  }
+  if (!mongoose.Types.ObjectId.isValid(String(questionId))) {
+    return { error: 'Question not found.' };
   }
 
-  const participantQuestions = session.questions.filter((q) => q.authorId === participantId);
-  const hasPendingQuestion = participantQuestions.some((q) => !q.answered);
+  const update = { isAnswered: Boolean(answered) };
+  if (answered) {
+    // An answered question leaves the screen
+    update.isActiveQuestion = false;
+  }
+  if (answerText !== null && answerText !== undefined) {
+    update.presenterAnswer = (answerText || '').toString().trim().slice(0, MAX_ANSWER_LENGTH);
+  }
 
-  if (hasPendingQuestion) {
-    return {
-      error: session.allowMultiple
-        ? 'Please wait for your previous question to be answered before asking another.'
-        : 'You can only ask one question for this slide.'
-    };
+  const settings = getSlideSettings(context.slide);
+  const response = await Response.findOneAndUpdate(
+    { _id: questionId, ...context.filter },
+    // With multiple questions allowed, an answered question no longer blocks its author
+    answered && settings.allowMultiple ? { $set: update, $unset: { askingSlot: 1 } } : { $set: update },
+    { new: true }
+  );
+  if (!response) {
+    return { error: 'Question not found.' };
   }
 
-  if (!session.allowMultiple && participantQuestions.length > 0) {
-    return { error: 'You can only ask one question for this slide.' };
+  if (!answered && response.moderationStatus !== 'rejected' && !response.askingSlot) {
+    // A reopened question blocks its author again, unless they have asked another meanwhile
+    try {
+      await Response.updateOne({ _id: response._id }, { $set: { askingSlot: response.participantId } });
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) {
+        throw error;
+      }
+    }
   }
 
-  const question = {
-    id: id || randomUUID(),
-    text: value,
-    answered: false,
-    timestamp: Date.now(),
-    authorId: participantId,
-    authorName: normalizedName
+  return {
+    question: formatQuestion(response),
+    state: await loadState(context)
   };
+}
+
+/**
+ * Approve, reject or edit a question
+ * @param {Object} params
+ * @param {Object|string} params.slide - Slide document or slide ID
+ * @param {string} params.questionId
+ * @param {string} params.action - approve, reject or edit
+ * @param {string} params.text - New question text (edit, optional when approving)
+ * @returns {Promise<{question: Object, state: Object}|{error: string}>}
+ */
+async function moderateQuestion({ slide, questionId, action, text }) {
+  if (!MODERATION_ACTIONS.includes(action)) {
+    return { error: 'Invalid moderation action.' };
+  }
 
-  session.questions.push(question);
-  session.questions.sort((a, b) => a.timestamp - b.timestamp);
+  const context = await getContext(slide);
+  if (!context) {
+    return { error: 'Q&A slide not found.' };
+  }
+  if (!mongoose.Types.ObjectId.isValid(String(questionId))) {
+    return { error: 'Question not found.' };
+  }
+
+  const update = {};
+  if (action === 'edit' || (action === 'approve' && text !== undefined && text !== null)) {
+    const value = (text || '').toString().trim().slice(0, MAX_QUESTION_LENGTH);
+    if (!value) {
+      return { error: 'Please enter a question.' };
+    }
+    update.answer = value;
+  }
+  if (action === 'approve') {
+    update.moderationStatus = 'approved';
+  } else if (action === 'reject') {
+    update.moderationStatus = 'rejected';
+    update.isActiveQuestion = false;
+  }
+
+  const filter = { _id: questionId, ...context.filter };
+  const current = await Response.findOne(filter).select('participantId answer isAnswered moderationStatus').lean();
+  if (!current) {
+    return { error: 'Question not found.' };
+  }
+
+  const guards = questionGuards({
+    text: update.answer ?? String(current.answer || ''),
+    participantId: current.participantId,
+    status: update.moderationStatus || current.moderationStatus || 'approved',
+    answered: Boolean(current.isAnswered)
+  }, getSlideSettings(context.slide));
+
+  let response;
+  try {
+    response = await Response.findOneAndUpdate(filter, applyGuards({ $set: update }, guards), { new: true });
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) {
+      throw error;
+    }
+    return { error: duplicateKeyMessage(error) };
+  }
+  if (!response) {
+    return { error: 'Question not found.' };
+  }
 
   return {
-    question,
-    state: getState(slideId)
+    question: formatQuestion(response),
+    state: await loadState(context)
   };
 }
 
-function markAnswered({ slideId, questionId, answered = true, answerText = null }) {
-  const session = getSession(slideId);
-  if (!session) {
-    return { error: 'Q&A session not initialized.' };
+/**
+ * Upvote a question, or take the upvote back when the participant already gave one.
+ * Both directions are single conditional updates, so concurrent votes are never lost.
+ * @param {Object} params
+ * @param {Object|string} params.slide - Slide document or slide ID
+ * @param {string} params.questionId
+ * @param {string} params.participantId
+ * @returns {Promise<{question: Object, upvoted: boolean, state: Object}|{error: string}>}
+ */
+async function toggleUpvote({ slide, questionId, participantId }) {
+  if (!participantId) {
+    return { error: 'Participant information missing.' };
   }
 
-  const target = session.questions.find((q) => q.id === questionId);
-  if (!target) {
+  const context = await getContext(slide);
+  if (!context) {
+    return { error: 'Q&A slide not found.' };
+  }
+  if (!getSlideSettings(context.slide).allowUpvotes) {
+    return { error: 'Upvoting is turned off for this slide.' };
+  }
+  if (!mongoose.Types.ObjectId.isValid(String(questionId))) {
     return { error: 'Question not found.' };
   }
 
-  target.answered = Boolean(answered);
-  target.answeredAt = Date.now();
-  
-  // Store answer text if provided
-  if (answerText !== null && answerText !== undefined) {
-    const trimmed = (answerText || '').toString().trim();
-    target.answerText = trimmed.slice(0, 1000); // Limit to 1000 characters
+  const target = { _id: questionId, ...context.filter, moderationStatus: 'approved' };
+
+  let upvoted = true;
+  let response = await Response.findOneAndUpdate(
+    { ...target, participantId: { $ne: participantId }, voters: { $ne: participantId } },
+    { $addToSet: { voters: participantId }, $inc: { voteCount: 1 } },
+    { new: true }
+  );
+  if (!response) {
+    upvoted = false;
+    response = await Response.findOneAndUpdate(
+      { ...target, voters: participantId },
+      { $pull: { voters: participantId }, $inc: { voteCount: -1 } },
+      { new: true }
+    );
   }
 
-  if (session.activeQuestionId === questionId) {
-    session.activeQuestionId = null;
+  if (!response) {
+    const question = await Response.findOne(target).select('participantId').lean();
+    return {
+      error: question?.participantId === participantId
+        ? 'You cannot upvote your own question.'
+        : 'Question not found.'
+    };
   }
 
   return {
-    question: target,
-    state: getState(slideId)
+    question: formatQuestion(response),
+    upvoted,
+    state: await loadState(context)
   };
 }
 
-function clearQuestions({ slideId }) {
-  const session = getSession(slideId);
-  if (!session) {
-    return { success: false, error: 'Q&A session not initialized.' };
+/**
+ * Delete the questions of the current run
+ * @param {Object} params
+ * @param {Object|string} params.slide - Slide document or slide ID
+ */
+async function clearQuestions({ slide }) {
+  const context = await getContext(slide);
+  if (!context) {
+    return { success: false, error: 'Q&A slide not found.' };
   }
-  session.questions = [];
-  session.activeQuestionId = null;
-  return { success: true, state: getState(slideId) };
+
+  await Response.deleteMany(context.filter);
+  return { success: true, state: buildState(context.slide, []) };
 }
 
-function updateSettings({ slideId, allowMultiple }) {
-  const session = initializeSession({ slideId, allowMultiple: Boolean(allowMultiple) });
-  session.allowMultiple = Boolean(allowMultiple);
-  return {
-    state: getState(slideId)
-  };
+/**
+ * Change the Q&A settings of a slide during a session; they are saved on the slide
+ * @param {Object} params
+ * @param {Object|string} params.slide - Slide document or slide ID
+ * @returns {Promise<{state: Object}|{error: string}>}
+ */
+async function updateSettings({ slide, ...settings }) {
+  const context = await getContext(slide);
+  if (!context) {
+    return { error: 'Q&A slide not found.' };
+  }
+
+  context.slide.qnaSettings = normalizeSettings(settings, getSlideSettings(context.slide));
+  await context.slide.save();
+
+  if (context.slide.qnaSettings.allowMultiple) {
+    // Answered questions stop blocking their authors
+    await Response.updateMany(
+      { ...context.filter, isAnswered: true, askingSlot: { $type: 'string' } },
+      { $unset: { askingSlot: 1 } }
+    );
+  }
+
+  return { state: await loadState(context) };
 }
 
-function setActiveQuestion({ slideId, questionId }) {
-  const session = getSession(slideId);
-  if (!session) {
-    return { error: 'Q&A session not initialized.' };
+/**
+ * Put a question on screen, or clear the screen when questionId is empty
+ * @param {Object} params
+ * @param {Object|string} params.slide - Slide document or slide ID
+ * @param {string|null} params.questionId
+ * @returns {Promise<{state: Object}|{error: string}>}
+ */
+async function setActiveQuestion({ slide, questionId }) {
+  const context = await getContext(slide);
+  if (!context) {
+    return { error: 'Q&A slide not found.' };
   }
 
-  if (!questionId) {
-    session.activeQuestionId = null;
-    return { state: getState(slideId) };
+  if (questionId) {
+    const exists = mongoose.Types.ObjectId.isValid(String(questionId))
+      && await Response.exists({ _id: questionId, ...context.filter, moderationStatus: 'approved' });
+    if (!exists) {
+      return { error: 'Question not found.' };
+    }
   }
 
-  const target = session.questions.find((q) => q.id === questionId);
-  if (!target) {
-    return { error: 'Question not found.' };
+  await Response.updateMany(
+    { ...context.filter, isActiveQuestion: true, ...(questionId ? { _id: { $ne: questionId } } : {}) },
+    { $set: { isActiveQuestion: false } }
+  );
+  if (questionId) {
+    await Response.updateOne({ _id: questionId }, { $set: { isActiveQuestion: true } });
   }
 
-  session.activeQuestionId = questionId;
-  return { state: getState(slideId) };
+  return { state: await loadState(context) };
 }
 
 module.exports = {
-  initializeSession,
-  clearSession,
-  clearAllSessionsForPresentation,
-  getSession,
+  QNA_SORT_ORDERS,
+  normalizeSettings,
+  getSlideSettings,
+  formatQuestion,
+  buildState,
+  validateQuestion,
   getState,
+  getParticipantQuestions,
   submitQuestion,
+  moderateQuestion,
+  toggleUpvote,
   markAnswered,
   clearQuestions,
   updateSettings,
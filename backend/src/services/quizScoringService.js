@@ -1,30 +1,154 @@
 const ParticipantScore = require('../models/ParticipantScore');
+const { runFilter } = require('./runService');
 const Logger = require('../utils/logger');
 
 /**
  * Quiz Scoring Service
- * Implements time-based scoring algorithm for quiz questions
+ * Implements the per-quiz scoring strategies for quiz questions
+ *
+ * Scoring modes (quizSettings.scoringMode):
+ * - speed: correct answers earn MIN_SCORE-MAX_SCORE depending on response time
+ * - accuracy: correct answers earn MAX_SCORE regardless of response time
+ * - fixed: correct answers earn quizSettings.points
+ *
+ * Any mode can add a streak multiplier (quizSettings.streakBonus) and
+ * negative marking for wrong answers (quizSettings.negativePoints).
+ *
+ * Questions may have several correct options (quizSettings.correctOptionIds).
+ * "Select all that apply" questions (quizSettings.allowMultiple) are graded
+ * all-or-nothing or proportionally (quizSettings.multiSelectScoring).
  */
 
+const SCORING_MODES = ['speed', 'accuracy', 'fixed'];
+const MULTI_SELECT_SCORING_MODES = ['all_or_nothing', 'proportional'];
+
 const SCORING_CONFIG = {
   MAX_SCORE: 1000,
-  MIN_SCORE: 500
+  MIN_SCORE: 500,
+  STREAK_STEP: 0.1, // Extra multiplier per consecutive correct answer before this one
+  STREAK_MAX_MULTIPLIER: 1.5
 };
 
 /**
- * Calculate score for a quiz question based on correctness and response time
+ * Normalize the scoring fields of a quiz slide's settings
+ * @param {Object} quizSettings - Slide quizSettings (may be partial)
+ * @returns {{scoringMode: string, points: number, streakBonus: boolean, negativePoints: number}}
+ */
+function getScoringOptions(quizSettings = {}) {
+  const settings = quizSettings || {};
+  const points = Number(settings.points);
+  const negativePoints = Number(settings.negativePoints);
+
+  return {
+    scoringMode: SCORING_MODES.includes(settings.scoringMode) ? settings.scoringMode : 'speed',
+    points: Number.isFinite(points) && points >= 0 ? points : SCORING_CONFIG.MAX_SCORE,
+    streakBonus: Boolean(settings.streakBonus),
+    negativePoints: Number.isFinite(negativePoints) && negativePoints > 0 ? negativePoints : 0
+  };
+}
+
+/**
+ * Get the correct option IDs of a quiz
+ * @param {Object} quizSettings - Slide quizSettings or quiz session
+ * @returns {Array<string>}
+ */
+function getCorrectOptionIds(quizSettings = {}) {
+  const settings = quizSettings || {};
+  const ids = Array.isArray(settings.correctOptionIds) && settings.correctOptionIds.length > 0
+    ? settings.correctOptionIds
+    : [settings.correctOptionId];
+  return [...new Set(ids.filter(Boolean).map(String))];
+}
+
+/**
+ * Grade an answer against a quiz's correct options
+ * @param {string|Array<string>} answer - Selected option ID, or IDs for select-all-that-apply questions
+ * @param {Object} quizSettings - Slide quizSettings or quiz session
+ * @returns {{isCorrect: boolean, credit: number}} - credit is the share of the question's points earned (0-1)
+ */
+function gradeAnswer(answer, quizSettings = {}) {
+  const settings = quizSettings || {};
+  const correct = getCorrectOptionIds(settings);
+  const selected = [...new Set((Array.isArray(answer) ? answer : [answer]).filter(Boolean).map(String))];
+
+  if (correct.length === 0 || selected.length === 0) {
+    return { isCorrect: false, credit: 0 };
+  }
+
+  if (!settings.allowMultiple) {
+    const isCorrect = selected.length === 1 && correct.includes(selected[0]);
+    return { isCorrect, credit: isCorrect ? 1 : 0 };
+  }
+
+  const hits = selected.filter(id => correct.includes(id)).length;
+  const misses = selected.length - hits;
+  const isCorrect = hits === correct.length && misses === 0;
+
+  if (isCorrect) {
+    return { isCorrect, credit: 1 };
+  }
+  if (settings.multiSelectScoring !== 'proportional') {
+    return { isCorrect, credit: 0 };
+  }
+
+  // Each wrong selection cancels out a correct one
+  return { isCorrect, credit: Math.max(0, (hits - misses) / correct.length) };
+}
+
+/**
+ * Count consecutive correct answers at the end of a participant's quiz history
+ * @param {Array} quizScores - Quiz score entries in the order they were answered
+ * @returns {number}
+ */
+function getCorrectStreak(quizScores = []) {
+  let streak = 0;
+  for (let i = (quizScores || []).length - 1; i >= 0 && quizScores[i].isCorrect; i--) {
+    streak++;
+  }
+  return streak;
+}
+
+/**
+ * Calculate score for a quiz question based on the quiz's scoring strategy
  * @param {Object} params
  * @param {boolean} params.isCorrect - Whether the answer is correct
+ * @param {number} params.credit - Share of the points earned (0-1), for partially correct answers
  * @param {number} params.responseTime - Time taken to answer in milliseconds
  * @param {number} params.timeLimit - Maximum time allowed in seconds
- * @returns {number} - Calculated score
+ * @param {Object} params.scoring - Slide quizSettings (scoringMode, points, streakBonus, negativePoints)
+ * @param {number} params.streak - Consecutive correct answers before this one
+ * @returns {number} - Calculated score (negative when negative marking applies)
  */
-function calculateQuestionScore({ isCorrect, responseTime, timeLimit }) {
-  // No points for incorrect answers
-  if (!isCorrect) {
-    return 0;
+function calculateQuestionScore({ isCorrect, credit, responseTime, timeLimit, scoring = {}, streak = 0 }) {
+  const { scoringMode, points, streakBonus, negativePoints } = getScoringOptions(scoring);
+  const earned = isCorrect ? 1 : Math.max(0, Math.min(1, Number(credit) || 0));
+
+  if (earned === 0) {
+    return negativePoints > 0 ? -Math.round(negativePoints) : 0;
+  }
+
+  let score;
+  if (scoringMode === 'fixed') {
+    score = points;
+  } else if (scoringMode === 'accuracy') {
+    score = SCORING_CONFIG.MAX_SCORE;
+  } else {
+    score = calculateSpeedScore(responseTime, timeLimit);
+  }
+  score *= earned;
+
+  if (streakBonus && streak > 0) {
+    const multiplier = Math.min(
+      SCORING_CONFIG.STREAK_MAX_MULTIPLIER,
+      1 + SCORING_CONFIG.STREAK_STEP * streak
+    );
+    score *= multiplier;
   }
 
+  return Math.round(score);
+}
+
+function calculateSpeedScore(responseTime, timeLimit) {
   const { MAX_SCORE, MIN_SCORE } = SCORING_CONFIG;
   const maxTimeMs = timeLimit * 1000;
 
@@ -42,6 +166,12 @@ function calculateQuestionScore({ isCorrect, responseTime, timeLimit }) {
   return Math.max(MIN_SCORE, Math.min(MAX_SCORE, Math.round(score)));
 }
 
+// Total of all quiz scores; negative marking never takes a participant below zero
+function sumQuizScores(quizScores = []) {
+  const total = quizScores.reduce((sum, quizScore) => sum + quizScore.score, 0);
+  return Math.max(0, total);
+}
+
 /**
  * Update participant's cumulative score
  * @param {Object} params
@@ -52,27 +182,33 @@ function calculateQuestionScore({ isCorrect, responseTime, timeLimit }) {
  * @param {number} params.score
  * @param {number} params.responseTime
  * @param {boolean} params.isCorrect
+ * @param {string|null} params.teamId - Participant's team when team mode is on (optional)
+ * @param {string|null} params.runId - Live run the score is earned in (null outside live runs)
  * @returns {Promise<Object>} - Updated participant score document
  */
 async function updateParticipantScore({
   presentationId,
+  runId = null,
   participantId,
   participantName,
   slideId,
   score,
   responseTime,
-  isCorrect
+  isCorrect,
+  teamId
 }) {
   try {
     // Find or create participant score document
     let participantScore = await ParticipantScore.findOne({
       presentationId,
+      ...runFilter(runId),
       participantId
     });
 
     if (!participantScore) {
       participantScore = new ParticipantScore({
         presentationId,
+        runId,
         participantId,
         participantName,
         totalScore: 0,
@@ -87,8 +223,6 @@ async function updateParticipantScore({
 
     if (existingQuizIndex !== -1) {
       // Update existing quiz score (in case of re-submission)
-      const oldScore = participantScore.quizScores[existingQuizIndex].score;
-      participantScore.totalScore = participantScore.totalScore - oldScore + score;
       participantScore.quizScores[existingQuizIndex] = {
         slideId,
         score,
@@ -98,7 +232,6 @@ async function updateParticipantScore({
       };
     } else {
       // Add new quiz score
-      participantScore.totalScore += score;
       participantScore.quizScores.push({
         slideId,
         score,
@@ -108,9 +241,16 @@ async function updateParticipantScore({
       });
     }
 
+    participantScore.totalScore = sumQuizScores(participantScore.quizScores);
+
     // Update participant name if it changed
     participantScore.participantName = participantName;
 
+    // Keep the participant's team in sync when team mode is on
+    if (teamId !== undefined) {
+      participantScore.teamId = teamId;
+    }
+
     await participantScore.save();
     return participantScore;
   } catch (error) {
@@ -123,11 +263,12 @@ async function updateParticipantScore({
  * Get leaderboard for a presentation
  * @param {string} presentationId
  * @param {number} limit - Number of top participants to return (default: 10)
+ * @param {string|null} runId - Run to rank (see runService.runFilter; all runs when omitted)
  * @returns {Promise<Array>} - Array of top participants with scores
  */
-async function getLeaderboard(presentationId, limit = 10) {
+async function getLeaderboard(presentationId, limit = 10, runId) {
   try {
-    const leaderboard = await ParticipantScore.find({ presentationId })
+    const leaderboard = await ParticipantScore.find({ presentationId, ...runFilter(runId) })
       .sort({ totalScore: -1 })
       .limit(limit)
       .lean();
@@ -150,11 +291,12 @@ async function getLeaderboard(presentationId, limit = 10) {
  * @param {string} presentationId
  * @param {string} slideId - Current quiz slide ID
  * @param {number} limit - Number of top participants to return (default: 10)
+ * @param {string|null} runId - Run to rank (see runService.runFilter; all runs when omitted)
  * @returns {Promise<Array>} - Array of top participants with scores and deltas
  */
-async function getLeaderboardWithDeltas(presentationId, slideId, limit = 10) {
+async function getLeaderboardWithDeltas(presentationId, slideId, limit = 10, runId) {
   try {
-    const participants = await ParticipantScore.find({ presentationId })
+    const participants = await ParticipantScore.find({ presentationId, ...runFilter(runId) })
       .sort({ totalScore: -1, lastUpdated: 1 })
       .limit(limit)
       .lean();
@@ -172,7 +314,8 @@ async function getLeaderboardWithDeltas(presentationId, slideId, limit = 10) {
         participantName: participant.participantName,
         totalScore: participant.totalScore,
         delta: delta,
-        quizCount: participant.quizScores.length
+        quizCount: participant.quizScores.length,
+        streak: getCorrectStreak(participant.quizScores)
       };
     });
   } catch (error) {
@@ -186,11 +329,12 @@ async function getLeaderboardWithDeltas(presentationId, slideId, limit = 10) {
  * @param {string} presentationId
  * @param {string} slideId - Quiz slide ID
  * @param {number} limit
+ * @param {string|null} runId - Run to rank (see runService.runFilter; all runs when omitted)
  * @returns {Promise<Array>} - Array of participants ranked by this quiz score
  */
-async function getSingleQuizLeaderboard(presentationId, slideId, limit = 10) {
+async function getSingleQuizLeaderboard(presentationId, slideId, limit = 10, runId) {
   try {
-    const participants = await ParticipantScore.find({ presentationId }).lean();
+    const participants = await ParticipantScore.find({ presentationId, ...runFilter(runId) }).lean();
 
     const quizResults = participants
       .map((participant) => {
@@ -246,11 +390,12 @@ async function getSingleQuizLeaderboard(presentationId, slideId, limit = 10) {
  * @param {string} presentationId
  * @param {Array} quizSlides - Ordered quiz slides
  * @param {number} limit
+ * @param {string|null} runId - Run to rank (see runService.runFilter; all runs when omitted)
  * @returns {Promise<Object>} - { leaderboardsBySlide, finalLeaderboard }
  */
-async function getCumulativeLeaderboards(presentationId, quizSlides = [], limit = 10) {
+async function getCumulativeLeaderboards(presentationId, quizSlides = [], limit = 10, runId) {
   try {
-    const participants = await ParticipantScore.find({ presentationId }).lean();
+    const participants = await ParticipantScore.find({ presentationId, ...runFilter(runId) }).lean();
 
     const cumulativeMap = new Map();
     const leaderboardsBySlide = {};
@@ -262,8 +407,7 @@ async function getCumulativeLeaderboards(presentationId, quizSlides = [], limit
       participants.forEach((participant) => {
         const prev = cumulativeMap.get(participant.participantId) || {
           participantName: participant.participantName,
-          totalScore: 0,
-          quizCount: 0,
+          quizScores: [],
           lastAnsweredAt: null,
         };
 
@@ -272,12 +416,11 @@ async function getCumulativeLeaderboards(presentationId, quizSlides = [], limit
           : null;
 
         if (quizEntry) {
-          prev.totalScore += quizEntry.score;
-          prev.quizCount += 1;
+          prev.quizScores.push(quizEntry);
           prev.lastAnsweredAt = quizEntry.answeredAt || prev.lastAnsweredAt;
         }
 
-        if (quizEntry || prev.quizCount > 0 || prev.totalScore > 0) {
+        if (prev.quizScores.length > 0) {
           prev.participantName = participant.participantName;
           cumulativeMap.set(participant.participantId, prev);
         }
@@ -287,8 +430,9 @@ async function getCumulativeLeaderboards(presentationId, quizSlides = [], limit
         .map(([participantId, summary]) => ({
           participantId,
           participantName: summary.participantName,
-          totalScore: summary.totalScore,
-          quizCount: summary.quizCount,
+          // Same total as the stored totalScore, so the final board matches the live one
+          totalScore: sumQuizScores(summary.quizScores),
+          quizCount: summary.quizScores.length,
           lastAnsweredAt: summary.lastAnsweredAt,
         }))
         .sort((a, b) => {
@@ -333,12 +477,14 @@ async function getCumulativeLeaderboards(presentationId, quizSlides = [], limit
  * Get participant's score for a specific presentation
  * @param {string} presentationId
  * @param {string} participantId
+ * @param {string|null} runId - Live run (null outside live runs)
  * @returns {Promise<Object|null>} - Participant score document
  */
-async function getParticipantScore(presentationId, participantId) {
+async function getParticipantScore(presentationId, participantId, runId = null) {
   try {
     return await ParticipantScore.findOne({
       presentationId,
+      ...runFilter(runId),
       participantId
     }).lean();
   } catch (error) {
@@ -347,6 +493,40 @@ async function getParticipantScore(presentationId, participantId) {
   }
 }
 
+/**
+ * Get a participant's score and current rank, shaped like a leaderboard row
+ * @param {string} presentationId
+ * @param {string} participantId
+ * @param {string|null} runId - Live run (null outside live runs)
+ * @returns {Promise<Object|null>} - Standing or null if the participant has no score yet
+ */
+async function getParticipantStanding(presentationId, participantId, runId = null) {
+  const participant = await getParticipantScore(presentationId, participantId, runId);
+  if (!participant) {
+    return null;
+  }
+
+  try {
+    const ahead = await ParticipantScore.countDocuments({
+      presentationId,
+      ...runFilter(runId),
+      totalScore: { $gt: participant.totalScore }
+    });
+
+    return {
+      rank: ahead + 1,
+      participantId: participant.participantId,
+      participantName: participant.participantName,
+      totalScore: participant.totalScore,
+      quizCount: participant.quizScores.length,
+      correctCount: participant.quizScores.filter(quizScore => quizScore.isCorrect).length
+    };
+  } catch (error) {
+    Logger.error('Error fetching participant standing', error);
+    throw error;
+  }
+}
+
 /**
  * Clear all scores for a presentation (useful for resetting)
  * @param {string} presentationId
@@ -365,12 +545,13 @@ async function clearPresentationScores(presentationId) {
  * Clear scores for a specific slide and recalculate total scores
  * @param {string} presentationId
  * @param {string} slideId - The slide ID to clear scores for
+ * @param {string|null} runId - Run to clear (see runService.runFilter; all runs when omitted)
  * @returns {Promise<Object>} - Update result with count of participants affected
  */
-async function clearSlideScores(presentationId, slideId) {
+async function clearSlideScores(presentationId, slideId, runId) {
   try {
-    // Find all participant scores for this presentation
-    const participants = await ParticipantScore.find({ presentationId });
+    // Find the participant scores of this presentation in the run(s) being cleared
+    const participants = await ParticipantScore.find({ presentationId, ...runFilter(runId) });
 
     let affectedCount = 0;
 
@@ -382,11 +563,10 @@ async function clearSlideScores(presentationId, slideId) {
 
       if (quizScoreIndex !== -1) {
         // Remove the score for this slide
-        const removedScore = participant.quizScores[quizScoreIndex].score;
         participant.quizScores.splice(quizScoreIndex, 1);
         
         // Recalculate total score
-        participant.totalScore = Math.max(0, participant.totalScore - removedScore);
+        participant.totalScore = sumQuizScores(participant.quizScores);
         
         // Update lastUpdated timestamp
         participant.lastUpdated = new Date();
@@ -409,35 +589,106 @@ async function clearSlideScores(presentationId, slideId) {
 }
 
 /**
- * Recalculate and fix scores for all participants in a presentation
- * This ensures that incorrect answers have 0 points
+ * Recalculate scores for all participants in a presentation from each quiz's
+ * current correct options and scoring settings, and keep the stored responses in sync.
+ * Scored pin on image slides are re-graded against their current correct areas.
  * @param {string} presentationId
- * @returns {Promise<Object>} - Update result with count of participants fixed
+ * @returns {Promise<Object>} - Update result with counts of participants and responses fixed
  */
 async function recalculatePresentationScores(presentationId) {
   try {
     const Response = require('../models/Response');
+    const Slide = require('../models/Slide');
+    const pinOnImageService = require('./pinOnImageService');
+
+    const quizSlides = await Slide.find({ presentationId, type: { $in: ['quiz', 'pin_on_image'] } })
+      .select('type quizSettings pinOnImageSettings')
+      .lean();
+    const slidesById = new Map(quizSlides.map(slide => [slide._id.toString(), slide]));
+
+    // Stored answers let us re-grade after the correct options change
+    const responses = await Response.find({
+      presentationId,
+      slideId: { $in: quizSlides.map(slide => slide._id) }
+    })
+      .select('slideId participantId runId answer')
+      .lean();
+    // Scores are kept per run, so answers are matched within the same run
+    const answers = new Map(
+      responses.map(response => [`${response.runId || ''}:${response.participantId}:${response.slideId}`, response.answer])
+    );
+
     const participants = await ParticipantScore.find({ presentationId });
 
     let fixedCount = 0;
+    let fixedResponses = 0;
 
     for (const participant of participants) {
-      let totalScore = 0;
       let needsUpdate = false;
+      let streak = 0;
+      const changedScores = [];
 
-      // Recalculate scores for each quiz
-      for (let i = 0; i < participant.quizScores.length; i++) {
-        const quizScore = participant.quizScores[i];
-        
-        // If the answer was incorrect but score is not 0, fix it
-        if (!quizScore.isCorrect && quizScore.score !== 0) {
-          quizScore.score = 0;
+      // Streaks depend on answer order
+      const answered = [...participant.quizScores].sort(
+        (a, b) => new Date(a.answeredAt) - new Date(b.answeredAt)
+      );
+
+      for (const quizScore of answered) {
+        const slide = slidesById.get(quizScore.slideId.toString());
+
+        let score;
+        if (slide) {
+          const answerKey = `${participant.runId || ''}:${participant.participantId}:${quizScore.slideId}`;
+          const hasAnswer = answers.has(answerKey);
+          const quizSettings = slide.quizSettings || {};
+          let grade;
+          if (!hasAnswer) {
+            grade = { isCorrect: quizScore.isCorrect, credit: quizScore.isCorrect ? 1 : 0 };
+          } else if (slide.type === 'pin_on_image') {
+            // Pin slides are graded on their current areas and earn fixed points
+            grade = pinOnImageService.scoreAnswer(pinOnImageService.getPins(answers.get(answerKey)), slide.pinOnImageSettings);
+          } else {
+            grade = gradeAnswer(answers.get(answerKey), quizSettings);
+          }
+          const isCorrect = Boolean(grade.isCorrect);
+
+          if (quizScore.isCorrect !== isCorrect) {
+            quizScore.isCorrect = isCorrect;
+            changedScores.push(quizScore);
+            needsUpdate = true;
+          }
+
+          if (slide.type === 'pin_on_image') {
+            // Answers that are no longer scored (scoring off or no areas) earn nothing
+            score = hasAnswer ? (grade.score ?? 0) : quizScore.score;
+          } else {
+            score = calculateQuestionScore({
+              isCorrect,
+              credit: grade.credit,
+              responseTime: quizScore.responseTime,
+              timeLimit: quizSettings.timeLimit,
+              scoring: quizSettings,
+              streak
+            });
+          }
+        } else {
+          // Slide no longer exists; only make sure incorrect answers earn nothing
+          score = !quizScore.isCorrect && quizScore.score > 0 ? 0 : quizScore.score;
+        }
+
+        if (quizScore.score !== score) {
+          quizScore.score = score;
+          if (!changedScores.includes(quizScore)) {
+            changedScores.push(quizScore);
+          }
           needsUpdate = true;
         }
-        
-        totalScore += quizScore.score;
+
+        streak = quizScore.isCorrect ? streak + 1 : 0;
       }
 
+      const totalScore = sumQuizScores(participant.quizScores);
+
       // Update if needed
       if (needsUpdate || participant.totalScore !== totalScore) {
         participant.totalScore = totalScore;
@@ -445,13 +696,27 @@ async function recalculatePresentationScores(presentationId) {
         await participant.save();
         fixedCount++;
       }
+
+      for (const quizScore of changedScores) {
+        const result = await Response.updateOne(
+          {
+            presentationId,
+            ...runFilter(participant.runId || null),
+            slideId: quizScore.slideId,
+            participantId: participant.participantId
+          },
+          { $set: { score: quizScore.score, isCorrect: quizScore.isCorrect } }
+        );
+        fixedResponses += result.modifiedCount || 0;
+      }
     }
 
-    Logger.info(`Recalculated scores for presentation ${presentationId}, fixed ${fixedCount} participants`);
+    Logger.info(`Recalculated scores for presentation ${presentationId}, fixed ${fixedCount} participants and ${fixedResponses} responses`);
     
     return {
       success: true,
-      fixedCount
+      fixedCount,
+      fixedResponses
     };
   } catch (error) {
     Logger.error('Error recalculating presentation scores', error);
@@ -461,14 +726,21 @@ async function recalculatePresentationScores(presentationId) {
 
 module.exports = {
   calculateQuestionScore,
+  getScoringOptions,
+  getCorrectOptionIds,
+  gradeAnswer,
+  getCorrectStreak,
   updateParticipantScore,
   getLeaderboard,
   getLeaderboardWithDeltas,
   getSingleQuizLeaderboard,
   getCumulativeLeaderboards,
   getParticipantScore,
+  getParticipantStanding,
   clearPresentationScores,
   clearSlideScores,
   recalculatePresentationScores,
+  SCORING_MODES,
+  MULTI_SELECT_SCORING_MODES,
   SCORING_CONFIG
 };
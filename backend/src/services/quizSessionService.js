@@ -1,9 +1,18 @@
 /**
  * Quiz Session Service
- * Manages quiz state during live presentations (in-memory)
+ * Manages quiz state during live presentations (kept in the session store)
+ *
+ * Auto-end timers are process-local; the deadline is stored with the session
+ * (autoEndAt) so another instance, or this one after a restart, can re-arm it.
  */
 
-const sessions = new Map();
+const { getSessionStore } = require('./sessionStore');
+const { getCorrectOptionIds, gradeAnswer } = require('./quizScoringService');
+
+const NAMESPACE = 'quiz';
+
+// slideId -> timeout handle for quizzes auto-ended by this process
+const autoEndTimers = new Map();
 
 function getKey(slideId) {
   if (!slideId) {
@@ -12,171 +21,245 @@ function getKey(slideId) {
   return slideId.toString();
 }
 
+function clearLocalTimer(key) {
+  const timerId = autoEndTimers.get(key);
+  if (timerId) {
+    clearTimeout(timerId);
+    autoEndTimers.delete(key);
+  }
+}
+
 /**
  * Initialize a quiz session
  * @param {Object} params
  * @param {string} params.slideId
+ * @param {string} params.presentationId
  * @param {number} params.timeLimit - Time limit in seconds
  * @param {string} params.correctOptionId
- * @returns {Object} - Session object
+ * @param {Array<string>} params.correctOptionIds - All correct options (optional)
+ * @param {boolean} params.allowMultiple - Select-all-that-apply question
+ * @param {string} params.multiSelectScoring - 'all_or_nothing' or 'proportional'
+ * @returns {Promise<Object>} - Session object
  */
-function initializeSession({ slideId, timeLimit, correctOptionId }) {
+async function initializeSession({
+  slideId,
+  presentationId = null,
+  timeLimit,
+  correctOptionId,
+  correctOptionIds,
+  allowMultiple = false,
+  multiSelectScoring = 'all_or_nothing'
+}) {
   const key = getKey(slideId);
-  
+  clearLocalTimer(key);
+
   const session = {
     slideId: key,
+    presentationId: presentationId ? presentationId.toString() : null,
     timeLimit,
     correctOptionId,
+    correctOptionIds: getCorrectOptionIds({ correctOptionId, correctOptionIds }),
+    allowMultiple: Boolean(allowMultiple),
+    multiSelectScoring,
     startTime: null,
     endTime: null,
     isActive: false,
-    responses: new Map(), // participantId -> { answer, responseTime, timestamp }
-    results: null,
-    autoEndTimer: null
+    responses: {}, // participantId -> { answer, responseTime, timestamp, isCorrect, credit }
+    autoEndAt: null
   };
-  
-  sessions.set(key, session);
+
+  await getSessionStore().set(NAMESPACE, key, session);
   return session;
 }
 
 /**
  * Start a quiz session
  * @param {string} slideId
- * @returns {Object} - Updated session
+ * @returns {Promise<Object>} - Updated session
  */
-function startSession(slideId) {
+async function startSession(slideId) {
   const key = getKey(slideId);
-  const session = sessions.get(key);
-  
+  clearLocalTimer(key);
+
+  const session = await getSessionStore().update(NAMESPACE, key, (current) => {
+    if (!current) {
+      return undefined;
+    }
+    current.startTime = Date.now();
+    current.isActive = true;
+    current.endTime = null;
+    current.autoEndAt = null;
+    return current;
+  });
+
   if (!session) {
     throw new Error('Quiz session not initialized');
   }
-  
-  if (session.autoEndTimer) {
-    clearTimeout(session.autoEndTimer);
-    session.autoEndTimer = null;
-  }
-
-  session.startTime = Date.now();
-  session.isActive = true;
-  session.endTime = null;
-  
   return session;
 }
 
 /**
  * End a quiz session
  * @param {string} slideId
- * @returns {Object} - Updated session with results
+ * @returns {Promise<Object>} - Updated session with results
  */
-function endSession(slideId) {
+async function endSession(slideId) {
   const key = getKey(slideId);
-  const session = sessions.get(key);
-  
+  clearLocalTimer(key);
+
+  const session = await getSessionStore().update(NAMESPACE, key, (current) => {
+    if (!current) {
+      return undefined;
+    }
+    current.endTime = Date.now();
+    current.isActive = false;
+    current.autoEndAt = null;
+    return current;
+  });
+
   if (!session) {
     throw new Error('Quiz session not found');
   }
-  
-  if (session.autoEndTimer) {
-    clearTimeout(session.autoEndTimer);
-    session.autoEndTimer = null;
-  }
-
-  session.endTime = Date.now();
-  session.isActive = false;
-  
   return session;
 }
 
+/**
+ * End a quiz session only if the given run is still active.
+ * Used by auto-end timers, which may fire on several instances or after a restart.
+ * @param {string} slideId
+ * @param {number} startTime - startTime of the run the timer belongs to
+ * @returns {Promise<Object|null>} - Updated session, or null if it was already ended or restarted
+ */
+async function endSessionIfActive(slideId, startTime) {
+  const key = getKey(slideId);
+  let ended = false;
+
+  const session = await getSessionStore().update(NAMESPACE, key, (current) => {
+    if (!current || !current.isActive || current.startTime !== startTime) {
+      return undefined;
+    }
+    current.endTime = Date.now();
+    current.isActive = false;
+    current.autoEndAt = null;
+    ended = true;
+    return current;
+  });
+
+  return ended ? session : null;
+}
+
 /**
  * Record a participant's response
  * @param {Object} params
  * @param {string} params.slideId
  * @param {string} params.participantId
- * @param {string} params.answer - Selected option ID
+ * @param {string|Array<string>} params.answer - Selected option ID (IDs for select-all-that-apply)
  * @param {number} params.responseTime - Time taken in milliseconds
- * @returns {Object} - Response record
+ * @returns {Promise<Object>} - Response record
  */
-function recordResponse({ slideId, participantId, answer, responseTime }) {
+async function recordResponse({ slideId, participantId, answer, responseTime }) {
   const key = getKey(slideId);
-  const session = sessions.get(key);
-  
-  if (!session) {
-    throw new Error('Quiz session not found');
-  }
-  
-  if (!session.isActive) {
-    throw new Error('Quiz session is not active');
+  let error = null;
+  let response = null;
+
+  await getSessionStore().update(NAMESPACE, key, (current) => {
+    if (!current) {
+      error = 'Quiz session not found';
+      return undefined;
+    }
+    if (!current.isActive) {
+      error = 'Quiz session is not active';
+      return undefined;
+    }
+    // Checked again under the lock so concurrent submissions cannot both count
+    if (current.responses[participantId]) {
+      error = 'Participant has already responded';
+      return undefined;
+    }
+
+    const { isCorrect, credit } = gradeAnswer(answer, current);
+    response = {
+      answer,
+      responseTime,
+      timestamp: Date.now(),
+      isCorrect,
+      credit
+    };
+    current.responses[participantId] = response;
+    return current;
+  });
+
+  if (error) {
+    throw new Error(error);
   }
-  
-  const response = {
-    answer,
-    responseTime,
-    timestamp: Date.now(),
-    isCorrect: answer === session.correctOptionId
-  };
-  
-  session.responses.set(participantId, response);
   return response;
 }
 
 /**
  * Get session state
  * @param {string} slideId
- * @returns {Object|null} - Session object or null
+ * @returns {Promise<Object|null>} - Session object or null
  */
-function getSession(slideId) {
-  const key = getKey(slideId);
-  return sessions.get(key) || null;
+async function getSession(slideId) {
+  return getSessionStore().get(NAMESPACE, getKey(slideId));
 }
 
 /**
  * Get quiz results
  * @param {string} slideId
- * @returns {Object} - Results summary
+ * @returns {Promise<Object>} - Results summary
  */
-function getResults(slideId) {
-  const key = getKey(slideId);
-  const session = sessions.get(key);
-  
+async function getResults(slideId) {
+  const session = await getSession(slideId);
+
   if (!session) {
     return {
       totalResponses: 0,
       optionCounts: {},
       correctCount: 0,
       incorrectCount: 0,
+      partialCount: 0,
       averageResponseTime: 0
     };
   }
-  
+
+  const responses = Object.values(session.responses || {});
   const optionCounts = {};
   let correctCount = 0;
   let incorrectCount = 0;
+  let partialCount = 0;
   let totalResponseTime = 0;
-  
-  session.responses.forEach((response) => {
-    // Count by option
-    optionCounts[response.answer] = (optionCounts[response.answer] || 0) + 1;
-    
+
+  responses.forEach((response) => {
+    // Count by option (each selected option of a select-all-that-apply answer)
+    const answers = Array.isArray(response.answer) ? response.answer : [response.answer];
+    answers.forEach((answer) => {
+      optionCounts[answer] = (optionCounts[answer] || 0) + 1;
+    });
+
     // Count correct/incorrect
     if (response.isCorrect) {
       correctCount++;
     } else {
       incorrectCount++;
+      if (response.credit > 0) {
+        partialCount++;
+      }
     }
-    
+
     // Sum response times
     totalResponseTime += response.responseTime;
   });
-  
-  const totalResponses = session.responses.size;
+
+  const totalResponses = responses.length;
   const averageResponseTime = totalResponses > 0 ? totalResponseTime / totalResponses : 0;
-  
+
   return {
     totalResponses,
     optionCounts,
     correctCount,
     incorrectCount,
+    partialCount,
     averageResponseTime: Math.round(averageResponseTime)
   };
 }
@@ -185,88 +268,97 @@ function getResults(slideId) {
  * Check if participant has already responded
  * @param {string} slideId
  * @param {string} participantId
- * @returns {boolean}
+ * @returns {Promise<boolean>}
  */
-function hasParticipantResponded(slideId, participantId) {
-  const key = getKey(slideId);
-  const session = sessions.get(key);
-  
+async function hasParticipantResponded(slideId, participantId) {
+  const session = await getSession(slideId);
+
   if (!session) {
     return false;
   }
-  
-  return session.responses.has(participantId);
+
+  return Boolean(session.responses?.[participantId]);
 }
 
 /**
  * Clear a session
  * @param {string} slideId
  */
-function clearSession(slideId) {
+async function clearSession(slideId) {
   const key = getKey(slideId);
-  const session = sessions.get(key);
-  if (session?.autoEndTimer) {
-    clearTimeout(session.autoEndTimer);
-  }
-  sessions.delete(key);
+  clearLocalTimer(key);
+  await getSessionStore().delete(NAMESPACE, key);
 }
 
 /**
  * Clear all sessions for a presentation
  * @param {Array<string>} slideIds
  */
-function clearAllSessions(slideIds = []) {
+async function clearAllSessions(slideIds = []) {
   if (Array.isArray(slideIds) && slideIds.length > 0) {
-    slideIds.forEach((slideId) => {
-      const key = getKey(slideId);
-      const session = sessions.get(key);
-      if (session?.autoEndTimer) {
-        clearTimeout(session.autoEndTimer);
-      }
-      sessions.delete(key);
-    });
+    await Promise.all(slideIds.map((slideId) => clearSession(slideId)));
   }
 }
 
-function scheduleAutoEnd(slideId, callback, delay) {
+/**
+ * Schedule the quiz to end automatically
+ * @param {string} slideId
+ * @param {Function} callback - Called when the timer fires
+ * @param {number} delay - Delay in milliseconds
+ */
+async function scheduleAutoEnd(slideId, callback, delay) {
   const key = getKey(slideId);
-  const session = sessions.get(key);
+  const autoEndAt = Date.now() + delay;
+
+  const session = await getSessionStore().update(NAMESPACE, key, (current) => {
+    if (!current) {
+      return undefined;
+    }
+    current.autoEndAt = autoEndAt;
+    return current;
+  });
 
   if (!session) {
     throw new Error('Quiz session not found');
   }
 
-  if (session.autoEndTimer) {
-    clearTimeout(session.autoEndTimer);
-  }
-
+  clearLocalTimer(key);
   const timerId = setTimeout(() => {
-    session.autoEndTimer = null;
+    autoEndTimers.delete(key);
     callback();
   }, delay);
 
-  session.autoEndTimer = timerId;
+  autoEndTimers.set(key, timerId);
   return timerId;
 }
 
-function clearAutoEndTimer(slideId) {
+async function clearAutoEndTimer(slideId) {
   const key = getKey(slideId);
-  const session = sessions.get(key);
+  clearLocalTimer(key);
 
-  if (!session) {
-    return;
-  }
+  await getSessionStore().update(NAMESPACE, key, (current) => {
+    if (!current || !current.autoEndAt) {
+      return undefined;
+    }
+    current.autoEndAt = null;
+    return current;
+  });
+}
 
-  if (session.autoEndTimer) {
-    clearTimeout(session.autoEndTimer);
-    session.autoEndTimer = null;
-  }
+/**
+ * List active quiz sessions waiting on an auto-end timer
+ * @returns {Promise<Array>} Sessions with autoEndAt set
+ */
+async function getScheduledSessions() {
+  const sessions = await getSessionStore().list(NAMESPACE);
+  return sessions.filter((session) => session.isActive && session.autoEndAt && session.presentationId);
 }
 
 module.exports = {
   initializeSession,
   startSession,
   endSession,
+  endSessionIfActive,
   recordResponse,
   getSession,
   getResults,
@@ -274,5 +366,6 @@ module.exports = {
   clearSession,
   clearAllSessions,
   scheduleAutoEnd,
-  clearAutoEndTimer
+  clearAutoEndTimer,
+  getScheduledSessions
 };
@@ -0,0 +1,202 @@
+/**
+ * Ranking Stats Service
+ * Aggregation methods for ranking slides.
+ *
+ * Methods (slide.rankingMethod):
+ * - 'borda' (default): an item ranked at position p of n items gets n - p + 1 points
+ * - 'average_rank': the average position of the item over the ballots that ranked it (lower is better)
+ * - 'first_choice': the share of ballots that ranked the item first
+ * - 'pairwise': every pair of items is compared head to head; items are ordered by their wins
+ *   (Copeland score, a tie counts as half a win) and the Condorcet winner is the item that beats
+ *   every other item
+ *
+ * Every method is computed for every item so results can be compared; the slide's method decides
+ * the order and the `value` and `rank` of each item. Items with the same method value share a rank.
+ * Ranked items are preferred over the items a ballot leaves out; two left out items are not compared.
+ */
+
+const RANKING_METHODS = ['borda', 'average_rank', 'first_choice', 'pairwise'];
+
+const round = (value) => Number(value.toFixed(2));
+
+/**
+ * Aggregation method of a slide
+ * @param {Object} slide
+ * @returns {string} One of RANKING_METHODS
+ */
+function getRankingMethod(slide) {
+  return RANKING_METHODS.includes(slide?.rankingMethod) ? slide.rankingMethod : 'borda';
+}
+
+/**
+ * Ballot of a response: known item IDs in ranked order, each counted once
+ * @param {*} answer
+ * @param {Set<string>} itemIds
+ * @returns {Array<string>}
+ */
+function getBallot(answer, itemIds) {
+  if (!Array.isArray(answer)) return [];
+  const seen = new Set();
+  return answer.filter(itemId => {
+    if (!itemIds.has(itemId) || seen.has(itemId)) return false;
+    seen.add(itemId);
+    return true;
+  });
+}
+
+/**
+ * Head-to-head preferences of the ballots
+ * @param {Array<string>} itemIds
+ * @param {Array<Array<string>>} ballots
+ * @returns {Array<Array<number>>} matrix[i][j] = ballots preferring item i over item j
+ */
+function buildPairwiseMatrix(itemIds, ballots) {
+  const indexById = new Map(itemIds.map((itemId, index) => [itemId, index]));
+  const matrix = itemIds.map(() => itemIds.map(() => 0));
+
+  ballots.forEach(ballot => {
+    const ranked = ballot.map(itemId => indexById.get(itemId));
+    const rankedSet = new Set(ranked);
+    ranked.forEach((winner, position) => {
+      ranked.slice(position + 1).forEach(loser => {
+        matrix[winner][loser] += 1;
+      });
+      itemIds.forEach((_, loser) => {
+        if (!rankedSet.has(loser)) matrix[winner][loser] += 1;
+      });
+    });
+  });
+
+  return matrix;
+}
+
+/**
+ * Item that wins every head-to-head comparison
+ * @param {Array<Array<number>>} matrix
+ * @returns {number} Index of the Condorcet winner, -1 when there is none
+ */
+function findCondorcetWinner(matrix) {
+  return matrix.findIndex((row, index) => row.every((wins, other) => other === index || wins > matrix[other][index]));
+}
+
+// Method value of an item and whether a higher value ranks first
+const METHOD_VALUES = {
+  borda: { value: item => item.score, higherIsBetter: true },
+  average_rank: { value: item => (item.responseCount > 0 ? item.averageRank : null), higherIsBetter: false },
+  first_choice: { value: item => item.firstChoiceShare, higherIsBetter: true },
+  pairwise: { value: item => item.copelandScore, higherIsBetter: true }
+};
+
+// Method value first (items without one last), then Borda points and average rank
+function compareItems(method) {
+  const { value, higherIsBetter } = METHOD_VALUES[method];
+  return (a, b) => {
+    const valueA = value(a);
+    const valueB = value(b);
+    if (valueA !== valueB) {
+      if (valueA === null) return 1;
+      if (valueB === null) return -1;
+      return higherIsBetter ? valueB - valueA : valueA - valueB;
+    }
+    if (b.score !== a.score) return b.score - a.score;
+    const rankA = a.responseCount > 0 ? a.averageRank : Infinity;
+    const rankB = b.responseCount > 0 ? b.averageRank : Infinity;
+    return rankA === rankB ? 0 : rankA - rankB;
+  };
+}
+
+/**
+ * Aggregate ranking ballots
+ * @param {Array<{id: string, label: string}>} items - Ranking items of the slide
+ * @param {Array<Object>} responses - Responses whose answer is an ordered list of item IDs
+ * @param {string} method - One of RANKING_METHODS
+ * @returns {Object} { rankingMethod, rankingResults, rankingPairwise } - rankingResults are sorted by
+ *   the method; each item has value, rank, score (Borda points), averageRank, firstChoiceCount,
+ *   firstChoiceShare, rankDistribution (ballots per position), pairwiseWins, pairwiseTies,
+ *   pairwiseLosses, copelandScore and isCondorcetWinner. rankingPairwise is
+ *   { itemIds, matrix, condorcetWinner } with the item ID of the Condorcet winner or null
+ */
+function buildRankingStats(items, responses, method) {
+  const rankingMethod = RANKING_METHODS.includes(method) ? method : 'borda';
+  const itemCount = items.length;
+  const itemIds = items.map(item => item.id);
+  const ballots = (responses || [])
+    .map(response => getBallot(response?.answer, new Set(itemIds)))
+    .filter(ballot => ballot.length > 0);
+
+  const matrix = buildPairwiseMatrix(itemIds, ballots);
+  const condorcetIndex = ballots.length > 0 ? findCondorcetWinner(matrix) : -1;
+
+  const rankedItems = items.map((item, index) => {
+    const rankDistribution = Array.from({ length: itemCount }, () => 0);
+    let score = 0;
+    let totalPosition = 0;
+    let count = 0;
+
+    ballots.forEach(ballot => {
+      const position = ballot.indexOf(item.id);
+      if (position === -1) return;
+      rankDistribution[position] += 1;
+      score += itemCount - position;
+      totalPosition += position + 1;
+      count += 1;
+    });
+
+    let pairwiseWins = 0;
+    let pairwiseTies = 0;
+    let pairwiseLosses = 0;
+    matrix[index].forEach((wins, other) => {
+      if (other === index) return;
+      const losses = matrix[other][index];
+      if (wins > losses) pairwiseWins += 1;
+      else if (wins < losses) pairwiseLosses += 1;
+      else pairwiseTies += 1;
+    });
+
+    const averageRank = count > 0 ? round(totalPosition / count) : 0;
+
+    return {
+      itemId: item.id, // Use itemId for consistency with frontend
+      id: item.id, // Keep id for backward compatibility
+      label: item.label,
+      score,
+      averageRank, // Use averageRank for frontend compatibility
+      averagePosition: count > 0 ? averageRank : null, // Keep for backward compatibility
+      responseCount: count,
+      firstChoiceCount: rankDistribution[0] || 0,
+      firstChoiceShare: ballots.length > 0 ? round(((rankDistribution[0] || 0) / ballots.length) * 100) : 0,
+      rankDistribution,
+      pairwiseWins,
+      pairwiseTies,
+      pairwiseLosses,
+      copelandScore: pairwiseWins + pairwiseTies / 2,
+      isCondorcetWinner: index === condorcetIndex
+    };
+  });
+
+  const { value } = METHOD_VALUES[rankingMethod];
+  rankedItems.sort(compareItems(rankingMethod));
+  rankedItems.forEach((item, index) => {
+    item.value = value(item);
+    const previous = rankedItems[index - 1];
+    item.rank = previous && previous.value === item.value ? previous.rank : index + 1;
+  });
+
+  return {
+    rankingMethod,
+    rankingResults: rankedItems,
+    rankingPairwise: {
+      itemIds,
+      matrix,
+      condorcetWinner: condorcetIndex === -1 ? null : itemIds[condorcetIndex]
+    }
+  };
+}
+
+module.exports = {
+  RANKING_METHODS,
+  getRankingMethod,
+  buildPairwiseMatrix,
+  findCondorcetWinner,
+  buildRankingStats
+};
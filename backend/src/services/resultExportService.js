@@ -0,0 +1,752 @@
+const PDFDocument = require('pdfkit');
+const PptxGenJS = require('pptxgenjs');
+const XLSX = require('xlsx');
+const Slide = require('../models/Slide');
+const Response = require('../models/Response');
+const PresentationRun = require('../models/PresentationRun');
+const { getHandler } = require('../interactions');
+const quizScoringService = require('./quizScoringService');
+const { runFilter } = require('./runService');
+
+/**
+ * Result Export Service
+ * Server-side exports of presentation results. Slide results come from the interaction
+ * handlers' buildResults and are summarized into one JSON document that every format renders.
+ *
+ * Export document (schemaVersion 1):
+ * {
+ *   schemaVersion, generatedAt,
+ *   presentation: { id, title, accessCode },
+ *   run: { filter: 'all' | 'none' | 'run', id, runNumber, label, startedAt, endedAt },
+ *   slides: [{
+ *     id, position, type, title, totalResponses,
+ *     chart: { unit, max, items: [{ label, value, percentage, isCorrect, ... }] } | null,
+ *     stats: { [name]: number } | null,
+ *     breakdown: { title, items: [{ label, value, percentage }] } | null,
+ *     entries: [{ text, participantName, votes, answered, answer, submittedAt }] | null
+ *   }]
+ * }
+ */
+
+const EXPORT_SCHEMA_VERSION = 1;
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  excel: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json', extension: 'json' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  pptx: { contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extension: 'pptx' }
+};
+
+// Word clouds can have hundreds of words; charts keep the most frequent ones
+const MAX_CHART_ITEMS = 20;
+const MAX_PPTX_ENTRIES = 12;
+
+// The built-in PDF fonts only cover Latin-1; titles and answers can be in any script
+const PDF_FONT_PATH = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf');
+
+const STAT_LABELS = {
+  correctCount: 'Correct responses',
+  partialCount: 'Partially correct',
+  incorrectCount: 'Incorrect responses',
+  accuracy: 'Accuracy (%)',
+  averageResponseTime: 'Average response time (ms)',
+  overallAverage: 'Overall average',
+  average: 'Average',
+  scaleMin: 'Scale minimum',
+  scaleMax: 'Scale maximum',
+  median: 'Median',
+  standardDeviation: 'Standard deviation',
+  agreement: 'Agreement (0-1)',
+  polarisation: 'Polarisation (0-1)',
+  npsScore: 'Net Promoter Score',
+  promoterShare: 'Promoters (%)',
+  passiveShare: 'Passives (%)',
+  detractorShare: 'Detractors (%)',
+  uniqueWords: 'Unique words',
+  correctAnswer: 'Correct answer',
+  correctGuesses: 'Correct guesses',
+  totalPins: 'Pins',
+  correctPins: 'Correct pins',
+  correctResponses: 'Correct responses',
+  rankingMethod: 'Aggregation method',
+  condorcetWinner: 'Condorcet winner'
+};
+
+const RANKING_METHOD_LABELS = {
+  borda: 'Borda count',
+  average_rank: 'Average rank',
+  first_choice: 'First-choice share',
+  pairwise: 'Pairwise (Condorcet)'
+};
+
+// Unit of a ranking item's value per aggregation method
+const RANKING_UNITS = {
+  borda: 'points',
+  average_rank: 'average rank',
+  first_choice: '% first choices',
+  pairwise: 'pairwise wins'
+};
+
+const PERCENT_STATS = ['accuracy', 'promoterShare', 'passiveShare', 'detractorShare'];
+
+// Scale and ranking statistics are columns of the per-statement / per-item rows
+const ROW_COLUMNS = [
+  'Slide', 'Slide Type', 'Total Responses', 'Item', 'Value', 'Percentage', 'Correct',
+  'Rank', 'Borda Points', 'Average Rank', 'First Choice', 'Pairwise W-T-L', 'Median', 'Std Dev', 'Agreement', 'Polarisation', 'Distribution', 'NPS', 'Promoters', 'Passives', 'Detractors',
+  'Participant', 'Submitted At', 'Answered'
+];
+
+const CHART_COLOR = '2196F3';
+const CORRECT_COLOR = '4CAF50';
+
+function isExportFormat(format) {
+  return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+}
+
+function toPlain(value) {
+  return value && typeof value.toObject === 'function' ? value.toObject() : (value || {});
+}
+
+function percent(count, total) {
+  return total > 0 ? Number(((count / total) * 100).toFixed(2)) : 0;
+}
+
+function getSlideTitle(slide, index) {
+  if (typeof slide.question === 'string' && slide.question.trim()) {
+    return slide.question.trim();
+  }
+  return slide.question?.text || `Slide ${index + 1}`;
+}
+
+function countChart(unit, entries, total) {
+  return {
+    unit,
+    max: null,
+    items: entries.map(([label, count]) => ({ label: String(label), value: count, percentage: percent(count, total) }))
+  };
+}
+
+// Stats of a single-statement scales slide
+function summarizeScaleStats(results) {
+  const scaleStats = results.scaleStats || {};
+  const stats = {
+    average: results.scaleAverage || 0,
+    median: scaleStats.median ?? null,
+    standardDeviation: scaleStats.standardDeviation ?? null,
+    agreement: scaleStats.agreement ?? null,
+    polarisation: scaleStats.polarisation ?? null,
+    scaleMin: results.scaleMin,
+    scaleMax: results.scaleMax
+  };
+
+  if (scaleStats.nps) {
+    stats.npsScore = scaleStats.nps.score;
+    stats.promoterShare = scaleStats.nps.promoterShare;
+    stats.passiveShare = scaleStats.nps.passiveShare;
+    stats.detractorShare = scaleStats.nps.detractorShare;
+  }
+
+  return stats;
+}
+
+/**
+ * Build a slide's results with its interaction handler, from stored responses only
+ * @param {Object} slide
+ * @param {Array} responses - The slide's responses
+ * @returns {Promise<Object>} Handler results payload
+ */
+async function buildHandlerResults(slide, responses) {
+  const handler = getHandler(slide.type);
+  if (!handler || typeof handler.buildResults !== 'function') {
+    return {};
+  }
+  return handler.buildResults(slide, responses, {
+    openEndedSettings: toPlain(slide.openEndedSettings),
+    qnaSettings: toPlain(slide.qnaSettings),
+    storedResponsesOnly: true
+  });
+}
+
+/**
+ * Summarize handler results into the format-independent chart, stats and entries of a slide
+ * @param {Object} slide
+ * @param {Object} results - Handler results
+ * @param {Array} responses - The slide's responses
+ * @returns {Object} { chart, stats, entries }
+ */
+function summarizeResults(slide, results, responses) {
+  const total = responses.length;
+
+  switch (slide.type) {
+    case 'multiple_choice':
+    case 'pick_answer':
+      return { chart: countChart('votes', Object.entries(results.voteCounts || {}), total) };
+
+    case 'quiz': {
+      const correctIds = quizScoringService.getCorrectOptionIds(slide.quizSettings);
+      const counts = results.voteCounts || {};
+      const quizResults = results.quizState?.results || {};
+      return {
+        chart: {
+          unit: 'votes',
+          max: null,
+          items: (slide.quizSettings?.options || []).map(option => ({
+            label: option.text || option.id,
+            value: counts[option.id] || 0,
+            percentage: percent(counts[option.id] || 0, total),
+            isCorrect: correctIds.includes(option.id)
+          }))
+        },
+        stats: {
+          correctCount: quizResults.correctCount || 0,
+          partialCount: quizResults.partialCount || 0,
+          incorrectCount: quizResults.incorrectCount || 0,
+          accuracy: percent(quizResults.correctCount || 0, total),
+          averageResponseTime: quizResults.averageResponseTime || 0
+        }
+      };
+    }
+
+    case 'word_cloud': {
+      const words = Object.entries(results.wordFrequencies || {}).sort((a, b) => b[1] - a[1]);
+      return {
+        chart: countChart('mentions', words.slice(0, MAX_CHART_ITEMS), total),
+        stats: { uniqueWords: words.length }
+      };
+    }
+
+    case 'scales':
+      if (Array.isArray(results.scaleStatements)) {
+        return {
+          chart: {
+            unit: 'average',
+            max: results.scaleMax,
+            items: results.scaleStatements.map((statement, index) => {
+              const statementStats = results.scaleStatementStats?.[index] || {};
+              return {
+                label: typeof statement === 'string' ? statement : (statement?.text || `Statement ${index + 1}`),
+                value: results.scaleStatementAverages?.[index] || 0,
+                responseCount: results.statementCounts?.[index] || 0,
+                median: statementStats.median ?? null,
+                standardDeviation: statementStats.standardDeviation ?? null,
+                agreement: statementStats.agreement ?? null,
+                polarisation: statementStats.polarisation ?? null,
+                distribution: statementStats.distribution || null,
+                nps: statementStats.nps || null
+              };
+            })
+          },
+          stats: { overallAverage: results.scaleOverallAverage || 0, scaleMin: results.scaleMin, scaleMax: results.scaleMax }
+        };
+      }
+      return {
+        chart: countChart('votes', Object.entries(results.scaleDistribution || {}), total),
+        stats: summarizeScaleStats(results)
+      };
+
+    case 'ranking': {
+      const method = results.rankingMethod || 'borda';
+      const rankingResults = results.rankingResults || [];
+      const labels = new Map(rankingResults.map(item => [item.itemId, item.label]));
+      const pairwise = results.rankingPairwise;
+      const condorcetWinner = rankingResults.find(item => item.isCondorcetWinner);
+      return {
+        chart: {
+          unit: RANKING_UNITS[method] || 'points',
+          max: null,
+          items: rankingResults.map(item => ({
+            label: item.label,
+            value: item.value ?? item.score,
+            rank: item.rank ?? null,
+            score: item.score,
+            averageRank: item.averageRank,
+            firstChoiceShare: item.firstChoiceShare ?? null,
+            pairwise: item.pairwiseWins !== undefined ? `${item.pairwiseWins}-${item.pairwiseTies}-${item.pairwiseLosses}` : null,
+            distribution: Array.isArray(item.rankDistribution)
+              ? Object.fromEntries(item.rankDistribution.map((count, index) => [`#${index + 1}`, count]))
+              : null
+          }))
+        },
+        stats: {
+          rankingMethod: RANKING_METHOD_LABELS[method] || method,
+          condorcetWinner: total > 0 ? (condorcetWinner?.label || 'None') : null
+        },
+        // Head-to-head preferences back the pairwise order
+        breakdown: method === 'pairwise' && pairwise?.matrix
+          ? {
+            title: 'Pairwise preferences',
+            items: pairwise.matrix.flatMap((row, index) => row
+              .map((count, other) => ({
+                label: `${labels.get(pairwise.itemIds[index])} over ${labels.get(pairwise.itemIds[other])}`,
+                value: count,
+                percentage: percent(count, total)
+              }))
+              .filter((_, other) => other !== index))
+          }
+          : null
+      };
+    }
+
+    case 'hundred_points':
+      return {
+        chart: {
+          unit: 'points',
+          max: null,
+          items: (results.hundredPointsResults || []).map(item => ({
+            label: item.label,
+            value: item.totalPoints,
+            averagePoints: item.averagePoints,
+            participantCount: item.participantCount
+          }))
+        }
+      };
+
+    case 'guess_number': {
+      const state = results.guessNumberState || {};
+      const distribution = Object.entries(state.distribution || {}).sort((a, b) => Number(a[0]) - Number(b[0]));
+      return {
+        chart: countChart('guesses', distribution, total),
+        stats: {
+          correctAnswer: state.correctAnswer ?? null,
+          correctGuesses: state.distribution?.[state.correctAnswer] || 0
+        }
+      };
+    }
+
+    case '2x2_grid': {
+      const quadrants = results.gridQuadrants || [];
+      const quadrantLabels = new Map(quadrants.map(quadrant => [quadrant.key, quadrant.label]));
+      return {
+        chart: {
+          unit: 'placements',
+          max: null,
+          items: (results.gridResults || []).map(item => ({
+            label: item.label,
+            value: item.count,
+            averageX: item.averageX,
+            averageY: item.averageY,
+            standardDeviationX: item.standardDeviationX ?? null,
+            standardDeviationY: item.standardDeviationY ?? null,
+            quadrant: item.quadrant ? (quadrantLabels.get(item.quadrant) || item.quadrant) : null,
+            quadrantCounts: item.quadrantCounts
+              ? Object.fromEntries(Object.entries(item.quadrantCounts).map(([key, count]) => [quadrantLabels.get(key) || key, count]))
+              : null,
+            outlierCount: item.outlierCount ?? null
+          }))
+        },
+        breakdown: quadrants.length > 0
+          ? { title: 'Quadrants', items: quadrants.map(quadrant => ({ label: quadrant.label, value: quadrant.count, percentage: quadrant.percentage })) }
+          : null
+      };
+    }
+
+    case 'pin_on_image':
+      return {
+        stats: {
+          totalPins: results.totalPins || 0,
+          correctPins: results.correctPins || 0,
+          correctResponses: results.correctResponses || 0
+        },
+        // Pins per correct area
+        chart: (results.regionStats || []).length > 0
+          ? countChart('pins', results.regionStats.map((region, index) => [region.label || `Area ${index + 1}`, region.count]), results.totalPins || 0)
+          : null
+      };
+
+    case 'open_ended':
+    case 'type_answer': {
+      const byId = new Map(responses.map(response => [response._id.toString(), response]));
+      return {
+        entries: (results.openEndedResponses || []).map(entry => {
+          const response = byId.get(entry.id);
+          return {
+            text: entry.text,
+            participantName: response?.participantName || 'Anonymous',
+            votes: entry.voteCount || 0,
+            submittedAt: response?.submittedAt ? new Date(response.submittedAt).toISOString() : null
+          };
+        })
+      };
+    }
+
+    case 'qna':
+      return {
+        entries: (results.qnaState?.questions || []).map(question => ({
+          text: question.text,
+          participantName: question.authorName || 'Anonymous',
+          answered: Boolean(question.answered),
+          answer: question.answerText || null,
+          submittedAt: question.timestamp ? new Date(question.timestamp).toISOString() : null
+        }))
+      };
+
+    default:
+      return {};
+  }
+}
+
+/**
+ * Build the export document of a presentation
+ * @param {Object} presentation - Presentation document
+ * @param {string|null|undefined} runId - Run filter (see runService.runFilter)
+ * @returns {Promise<Object>} Export document
+ */
+async function buildExportDocument(presentation, runId) {
+  const [slides, responses, run] = await Promise.all([
+    Slide.find({ presentationId: presentation._id }).sort({ order: 1 }).lean(),
+    Response.find({ presentationId: presentation._id, ...runFilter(runId) }).lean(),
+    runId ? PresentationRun.findById(runId).lean() : null
+  ]);
+
+  const responsesBySlide = new Map();
+  responses.forEach(response => {
+    const key = response.slideId.toString();
+    if (!responsesBySlide.has(key)) {
+      responsesBySlide.set(key, []);
+    }
+    responsesBySlide.get(key).push(response);
+  });
+
+  const exportSlides = [];
+  for (const [index, slide] of slides.entries()) {
+    const slideResponses = responsesBySlide.get(slide._id.toString()) || [];
+    const results = await buildHandlerResults(slide, slideResponses);
+    const { chart = null, stats = null, breakdown = null, entries = null } = summarizeResults(slide, results, slideResponses);
+
+    exportSlides.push({
+      id: slide._id.toString(),
+      position: index + 1,
+      type: slide.type,
+      title: getSlideTitle(slide, index),
+      totalResponses: slideResponses.length,
+      chart,
+      stats,
+      breakdown,
+      entries
+    });
+  }
+
+  return {
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    presentation: {
+      id: presentation._id.toString(),
+      title: presentation.title,
+      accessCode: presentation.accessCode || null
+    },
+    run: {
+      filter: runId === undefined ? 'all' : (runId ? 'run' : 'none'),
+      id: run ? run._id.toString() : null,
+      runNumber: run?.runNumber || null,
+      label: run?.label || null,
+      startedAt: run?.startedAt ? new Date(run.startedAt).toISOString() : null,
+      endedAt: run?.endedAt ? new Date(run.endedAt).toISOString() : null
+    },
+    slides: exportSlides
+  };
+}
+
+function formatStatValue(name, value) {
+  if (value === null || value === undefined) return '';
+  return PERCENT_STATS.includes(name) ? `${value}%` : value;
+}
+
+function formatDistribution(distribution) {
+  if (!distribution) return '';
+  return Object.entries(distribution).map(([value, count]) => `${value}: ${count}`).join(' | ');
+}
+
+// Grid items have a deviation per axis
+function formatStandardDeviation(item) {
+  if (item.standardDeviationX !== undefined && item.standardDeviationX !== null) {
+    return `X ${item.standardDeviationX} / Y ${item.standardDeviationY}`;
+  }
+  return item.standardDeviation ?? '';
+}
+
+function formatNpsGroup(nps, group) {
+  return nps ? `${nps[group]} (${nps[`${group.slice(0, -1)}Share`]}%)` : '';
+}
+
+function describeRun(run) {
+  if (run.filter === 'all') return 'All sessions';
+  if (run.filter === 'none') return 'Self-paced and earlier answers';
+  return run.label || `Session ${run.runNumber}`;
+}
+
+function formatSlideType(type) {
+  return type.replace(/_/g, ' ');
+}
+
+/**
+ * Flatten the export document into spreadsheet rows (CSV and Excel)
+ * @param {Object} exportDocument
+ * @returns {Array<Object>} Rows keyed by ROW_COLUMNS
+ */
+function buildExportRows(exportDocument) {
+  const rows = [];
+
+  exportDocument.slides.forEach(slide => {
+    rows.push({
+      Slide: `${slide.position}. ${slide.title}`,
+      'Slide Type': slide.type,
+      'Total Responses': slide.totalResponses
+    });
+
+    Object.entries(slide.stats || {}).forEach(([name, value]) => {
+      rows.push({ Item: STAT_LABELS[name] || name, Value: formatStatValue(name, value) });
+    });
+
+    (slide.chart?.items || []).forEach(item => {
+      rows.push({
+        Item: item.label,
+        Value: item.value,
+        Percentage: item.percentage !== undefined ? `${item.percentage}%` : '',
+        Correct: item.isCorrect ? 'Yes' : '',
+        Rank: item.rank ?? '',
+        'Borda Points': item.rank !== undefined ? item.score : '',
+        'Average Rank': item.rank !== undefined ? item.averageRank : '',
+        'First Choice': item.firstChoiceShare !== undefined && item.firstChoiceShare !== null ? `${item.firstChoiceShare}%` : '',
+        'Pairwise W-T-L': item.pairwise || '',
+        Median: item.median ?? '',
+        'Std Dev': formatStandardDeviation(item),
+        Agreement: item.agreement ?? '',
+        Polarisation: item.polarisation ?? '',
+        Distribution: formatDistribution(item.distribution || item.quadrantCounts),
+        NPS: item.nps ? item.nps.score : '',
+        Promoters: formatNpsGroup(item.nps, 'promoters'),
+        Passives: formatNpsGroup(item.nps, 'passives'),
+        Detractors: formatNpsGroup(item.nps, 'detractors')
+      });
+    });
+
+    if (slide.breakdown) {
+      rows.push({ Item: slide.breakdown.title });
+      slide.breakdown.items.forEach(item => {
+        rows.push({ Item: item.label, Value: item.value, Percentage: `${item.percentage}%` });
+      });
+    }
+
+    (slide.entries || []).forEach(entry => {
+      rows.push({
+        Item: entry.text,
+        Value: entry.votes ?? '',
+        Participant: entry.participantName,
+        'Submitted At': entry.submittedAt || '',
+        Answered: entry.answered === undefined ? '' : (entry.answered ? 'Yes' : 'No')
+      });
+    });
+
+    rows.push({});
+  });
+
+  return rows;
+}
+
+function buildWorksheet(exportDocument) {
+  return XLSX.utils.json_to_sheet(buildExportRows(exportDocument), { header: ROW_COLUMNS });
+}
+
+/**
+ * Draw a horizontal bar chart at the current position of a PDF document
+ */
+function drawPdfChart(pdf, chart) {
+  const left = pdf.page.margins.left;
+  const width = pdf.page.width - left - pdf.page.margins.right;
+  const labelWidth = Math.min(180, width * 0.35);
+  const valueWidth = 70;
+  const barWidth = width - labelWidth - valueWidth - 10;
+  const rowHeight = 18;
+  const max = chart.max || Math.max(...chart.items.map(item => item.value), 0) || 1;
+
+  chart.items.forEach(item => {
+    if (pdf.y + rowHeight > pdf.page.height - pdf.page.margins.bottom) {
+      pdf.addPage();
+    }
+    const y = pdf.y;
+    const length = Math.max(0, Math.min(1, item.value / max)) * barWidth;
+
+    pdf.fillColor('#333333').fontSize(9)
+      .text(item.label, left, y + 3, { width: labelWidth - 8, height: rowHeight - 4, ellipsis: true, lineBreak: false });
+    pdf.rect(left + labelWidth, y + 2, barWidth, rowHeight - 6).fill('#EEEEEE');
+    if (length > 0) {
+      pdf.rect(left + labelWidth, y + 2, length, rowHeight - 6).fill(item.isCorrect ? `#${CORRECT_COLOR}` : `#${CHART_COLOR}`);
+    }
+    const value = item.percentage !== undefined ? `${item.value} (${item.percentage}%)` : String(item.value);
+    pdf.fillColor('#333333').fontSize(9)
+      .text(value, left + labelWidth + barWidth + 10, y + 3, { width: valueWidth, lineBreak: false });
+
+    pdf.x = left;
+    pdf.y = y + rowHeight;
+  });
+}
+
+/**
+ * Render the export document as a PDF report with a bar chart per slide
+ * @param {Object} exportDocument
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf(exportDocument) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'A4', margin: 50, info: { Title: exportDocument.presentation.title } });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    pdf.registerFont('body', PDF_FONT_PATH);
+    pdf.font('body');
+
+    pdf.fillColor('#111111').fontSize(22).text(exportDocument.presentation.title);
+    pdf.moveDown(0.3);
+    pdf.fillColor('#666666').fontSize(10)
+      .text(`${describeRun(exportDocument.run)} · Generated ${new Date(exportDocument.generatedAt).toUTCString()}`);
+    pdf.moveDown(1.5);
+
+    exportDocument.slides.forEach(slide => {
+      // Keep a slide heading together with the start of its results
+      if (pdf.y + 80 > pdf.page.height - pdf.page.margins.bottom) {
+        pdf.addPage();
+      }
+      const left = pdf.page.margins.left;
+
+      pdf.fillColor('#111111').fontSize(14).text(`${slide.position}. ${slide.title}`, left);
+      pdf.fillColor('#666666').fontSize(9)
+        .text(`${formatSlideType(slide.type)} · ${slide.totalResponses} responses`, left);
+      pdf.moveDown(0.5);
+
+      Object.entries(slide.stats || {}).forEach(([name, value]) => {
+        pdf.fillColor('#333333').fontSize(10).text(`${STAT_LABELS[name] || name}: ${formatStatValue(name, value)}`, left);
+      });
+      if (slide.stats) {
+        pdf.moveDown(0.5);
+      }
+
+      if (slide.chart?.items.length) {
+        drawPdfChart(pdf, slide.chart);
+      }
+
+      if (slide.breakdown?.items.length) {
+        pdf.moveDown(0.5);
+        pdf.fillColor('#111111').fontSize(11).text(slide.breakdown.title, left);
+        pdf.moveDown(0.3);
+        drawPdfChart(pdf, { max: null, items: slide.breakdown.items });
+      }
+
+      (slide.entries || []).forEach(entry => {
+        const details = [entry.participantName];
+        if (entry.votes !== undefined) details.push(`${entry.votes} votes`);
+        if (entry.answered !== undefined) details.push(entry.answered ? 'answered' : 'unanswered');
+        pdf.fillColor('#333333').fontSize(10).text(`• ${entry.text}`, left, undefined, { continued: true })
+          .fillColor('#888888').text(`  (${details.join(', ')})`);
+        if (entry.answer) {
+          pdf.fillColor('#555555').fontSize(9).text(`Answer: ${entry.answer}`, left + 12);
+        }
+      });
+
+      pdf.moveDown(1.5);
+    });
+
+    pdf.end();
+  });
+}
+
+/**
+ * Render the export document as a PowerPoint deck with one result slide per slide
+ * @param {Object} exportDocument
+ * @returns {Promise<Buffer>}
+ */
+async function renderPptx(exportDocument) {
+  const pptx = new PptxGenJS();
+  pptx.layout = 'LAYOUT_WIDE';
+  pptx.title = exportDocument.presentation.title;
+
+  const cover = pptx.addSlide();
+  cover.addText(exportDocument.presentation.title, { x: 0.6, y: 2.4, w: 12.1, h: 1.2, fontSize: 36, bold: true, color: '111111' });
+  cover.addText(describeRun(exportDocument.run), { x: 0.6, y: 3.7, w: 12.1, h: 0.6, fontSize: 18, color: '666666' });
+
+  exportDocument.slides.forEach(slide => {
+    const resultSlide = pptx.addSlide();
+    resultSlide.addText(`${slide.position}. ${slide.title}`, { x: 0.5, y: 0.3, w: 12.3, h: 0.8, fontSize: 24, bold: true, color: '111111' });
+
+    const stats = Object.entries(slide.stats || {})
+      .map(([name, value]) => `${STAT_LABELS[name] || name}: ${formatStatValue(name, value)}`);
+    (slide.breakdown?.items || []).forEach(item => {
+      stats.push(`${item.label}: ${item.value} (${item.percentage}%)`);
+    });
+    resultSlide.addText([`${slide.totalResponses} responses`, ...stats].join('  ·  '), {
+      x: 0.5, y: 1.1, w: 12.3, h: 0.4, fontSize: 12, color: '666666'
+    });
+
+    if (slide.chart?.items.length) {
+      resultSlide.addChart(pptx.ChartType.bar, [{
+        name: slide.chart.unit,
+        labels: slide.chart.items.map(item => (item.isCorrect ? `✓ ${item.label}` : item.label)),
+        values: slide.chart.items.map(item => item.value)
+      }], {
+        x: 0.5, y: 1.7, w: 12.3, h: 5.4,
+        barDir: 'bar',
+        catAxisOrientation: 'maxMin',
+        chartColors: [CHART_COLOR],
+        showValue: true,
+        valAxisMaxVal: slide.chart.max || undefined
+      });
+    } else if (slide.entries?.length) {
+      const rows = slide.entries.slice(0, MAX_PPTX_ENTRIES).map(entry => [
+        entry.text,
+        entry.participantName,
+        entry.votes !== undefined ? String(entry.votes) : (entry.answered ? 'Answered' : '')
+      ]);
+      resultSlide.addTable(rows, { x: 0.5, y: 1.7, w: 12.3, colW: [8, 2.8, 1.5], fontSize: 12, border: { type: 'solid', color: 'DDDDDD', pt: 1 } });
+      if (slide.entries.length > MAX_PPTX_ENTRIES) {
+        resultSlide.addText(`+ ${slide.entries.length - MAX_PPTX_ENTRIES} more`, { x: 0.5, y: 6.9, w: 12.3, h: 0.4, fontSize: 11, color: '888888' });
+      }
+    }
+  });
+
+  return pptx.write({ outputType: 'nodebuffer' });
+}
+
+/**
+ * Render the export document in a format
+ * @param {Object} exportDocument
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Promise<Object>} { body, contentType, extension }
+ */
+async function renderExport(exportDocument, format) {
+  let body;
+  switch (format) {
+    case 'json':
+      body = JSON.stringify(exportDocument, null, 2);
+      break;
+    case 'csv':
+      body = XLSX.utils.sheet_to_csv(buildWorksheet(exportDocument));
+      break;
+    case 'excel': {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, buildWorksheet(exportDocument), 'Results');
+      body = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+      break;
+    }
+    case 'pdf':
+      body = await renderPdf(exportDocument);
+      break;
+    case 'pptx':
+      body = await renderPptx(exportDocument);
+      break;
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+  return { body, ...EXPORT_FORMATS[format] };
+}
+
+module.exports = {
+  EXPORT_SCHEMA_VERSION,
+  EXPORT_FORMATS: Object.keys(EXPORT_FORMATS),
+  isExportFormat,
+  summarizeResults,
+  buildExportDocument,
+  buildExportRows,
+  renderExport
+};
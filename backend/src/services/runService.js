@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Presentation = require('../models/Presentation');
+const PresentationRun = require('../models/PresentationRun');
+const Response = require('../models/Response');
+const Logger = require('../utils/logger');
+
+/**
+ * Run Service
+ * Run history of a presentation: every live session (start-presentation to end-presentation)
+ * is a run, and the responses and quiz scores collected while it is live are attached to it.
+ *
+ * runId values used by the query helpers:
+ * - a run ID: documents of that run
+ * - null: documents collected outside live runs (self-paced answers, answers from before run history)
+ * - undefined: all documents of the presentation
+ */
+
+/**
+ * Build a query filter for the documents of a run
+ * @param {string|null|undefined} runId
+ * @returns {Object} Filter to spread into a Response or ParticipantScore query
+ */
+function runFilter(runId) {
+  return runId === undefined ? {} : { runId: runId || null };
+}
+
+/**
+ * Get the run a live presentation is currently collecting answers for
+ * @param {string} presentationId
+ * @returns {Promise<string|null>} Run ID, or null when the presentation is not live
+ */
+async function getCurrentRunId(presentationId) {
+  const presentation = await Presentation.findById(presentationId).select('currentRunId').lean();
+  return presentation?.currentRunId ? presentation.currentRunId.toString() : null;
+}
+
+/**
+ * Start a run for a presentation going live, or keep the live one when the presenter reconnects.
+ * Sets presentation.currentRunId; the caller saves the presentation.
+ * @param {Object} presentation - Presentation document
+ * @returns {Promise<Object>} The live run
+ */
+async function startRun(presentation) {
+  if (presentation.currentRunId) {
+    const liveRun = await PresentationRun.findOne({ _id: presentation.currentRunId, status: 'live' });
+    if (liveRun) {
+      return liveRun;
+    }
+  }
+
+  const lastRun = await PresentationRun.findOne({ presentationId: presentation._id })
+    .sort({ runNumber: -1 })
+    .select('runNumber')
+    .lean();
+
+  const run = await PresentationRun.create({
+    presentationId: presentation._id,
+    runNumber: (lastRun?.runNumber || 0) + 1
+  });
+
+  presentation.currentRunId = run._id;
+  Logger.debug(`Run ${run.runNumber} started for presentation ${presentation._id}`);
+  return run;
+}
+
+/**
+ * End the live run of a presentation and record its totals.
+ * Clears presentation.currentRunId; the caller saves the presentation.
+ * @param {Object} presentation - Presentation document
+ * @returns {Promise<Object|null>} The ended run, or null if none was live
+ */
+async function endRun(presentation) {
+  const runId = presentation.currentRunId;
+  if (!runId) {
+    return null;
+  }
+
+  const [responseCount, participantIds] = await Promise.all([
+    Response.countDocuments({ runId }),
+    Response.distinct('participantId', { runId })
+  ]);
+
+  presentation.currentRunId = null;
+  return PresentationRun.findOneAndUpdate(
+    { _id: runId, status: 'live' },
+    {
+      $set: {
+        status: 'ended',
+        endedAt: new Date(),
+        responseCount,
+        participantCount: participantIds.length
+      }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * List the runs of a presentation, oldest first
+ * @param {string} presentationId
+ * @returns {Promise<Array>}
+ */
+async function listRuns(presentationId) {
+  return PresentationRun.find({ presentationId }).sort({ runNumber: 1 }).lean();
+}
+
+/**
+ * Resolve a run filter from a request query value
+ * @param {string} presentationId
+ * @param {string} value - Run ID, 'none' for answers outside live runs, or empty/'all' for every run
+ * @returns {Promise<string|null|undefined>} runId for runFilter()
+ * @throws {Error} If the run does not belong to the presentation
+ */
+async function resolveRunId(presentationId, value) {
+  if (value === undefined || value === null || value === '' || value === 'all') {
+    return undefined;
+  }
+  if (value === 'none') {
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new Error('Run not found');
+  }
+  const run = await PresentationRun.exists({ _id: value, presentationId });
+  if (!run) {
+    throw new Error('Run not found');
+  }
+  return String(value);
+}
+
+/**
+ * Delete the run history of a presentation (the live run is kept)
+ * @param {string} presentationId
+ * @param {string|null} liveRunId
+ */
+async function clearRuns(presentationId, liveRunId = null) {
+  await PresentationRun.deleteMany({
+    presentationId,
+    ...(liveRunId && { _id: { $ne: liveRunId } })
+  });
+}
+
+module.exports = {
+  runFilter,
+  getCurrentRunId,
+  startRun,
+  endRun,
+  listRuns,
+  resolveRunId,
+  clearRuns
+};
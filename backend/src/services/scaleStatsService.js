@@ -0,0 +1,209 @@
+/**
+ * Scale Stats Service
+ * Bounds, answer parsing and statistics for scales slides.
+ *
+ * Modes (slide.scaleMode):
+ * - 'scale' (default): a rating between the slide's minValue and maxValue
+ * - 'nps': Net Promoter Score, always rated 0-10. Promoters answer 9-10, passives 7-8 and
+ *   detractors 0-6; the score is the percentage of promoters minus the percentage of detractors
+ *   (-100 to 100)
+ *
+ * Each statement is summarized with its distribution, average, median and standard deviation,
+ * plus two indices on a 0-1 scale:
+ * - agreement: 1 when everyone gave the same answer, 0 when answers are split between the two ends
+ *   (1 - standard deviation / largest possible standard deviation)
+ * - polarisation: how evenly answers fall on either side of the scale's midpoint, 0 when they are
+ *   all on one side and 1 for an even split; answers at the midpoint count on neither side
+ */
+
+const SCALE_MODES = ['scale', 'nps'];
+const NPS_MIN = 0;
+const NPS_MAX = 10;
+const NPS_PROMOTER_MIN = 9;
+const NPS_PASSIVE_MIN = 7;
+
+const round = (value) => Number(value.toFixed(2));
+
+function coerceToNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Scale mode of a slide
+ * @param {Object} slide
+ * @returns {string} 'scale' or 'nps'
+ */
+function getScaleMode(slide) {
+  return SCALE_MODES.includes(slide?.scaleMode) ? slide.scaleMode : 'scale';
+}
+
+/**
+ * Answer range of a slide; NPS slides are always 0-10
+ * @param {Object} slide
+ * @returns {{minValue: number, maxValue: number}}
+ */
+function getScaleBounds(slide) {
+  if (getScaleMode(slide) === 'nps') {
+    return { minValue: NPS_MIN, maxValue: NPS_MAX };
+  }
+
+  const minValue = typeof slide?.minValue === 'number' ? slide.minValue : 1;
+  const maxValue = typeof slide?.maxValue === 'number' ? slide.maxValue : 5;
+
+  if (minValue >= maxValue) {
+    return { minValue: 1, maxValue: 5 };
+  }
+
+  return { minValue, maxValue };
+}
+
+/**
+ * Statements of a multi-statement slide (empty for single-statement slides)
+ * @param {Object} slide
+ * @returns {Array<string>}
+ */
+function getStatements(slide) {
+  return Array.isArray(slide?.statements) ? slide.statements.filter(Boolean) : [];
+}
+
+/**
+ * Values of a stored answer, one per statement ([value] for single-statement slides)
+ * @param {*} answer - A number, an array or an object keyed by statement index
+ * @param {number} statementCount - 0 for single-statement slides
+ * @returns {Array<number|null>}
+ */
+function getAnswerValues(answer, statementCount) {
+  if (statementCount === 0) {
+    return [coerceToNumber(answer)];
+  }
+  if (Array.isArray(answer)) {
+    return Array.from({ length: statementCount }, (_, index) => coerceToNumber(answer[index]));
+  }
+  if (answer && typeof answer === 'object') {
+    return Array.from({ length: statementCount }, (_, index) => coerceToNumber(answer[index] ?? answer[String(index)]));
+  }
+  return Array(statementCount).fill(null);
+}
+
+/**
+ * Net Promoter Score of 0-10 answers
+ * @param {Array<number>} values
+ * @returns {{score: number, promoters: number, passives: number, detractors: number,
+ *   promoterShare: number, passiveShare: number, detractorShare: number}} Shares are percentages
+ */
+function summarizeNps(values) {
+  const promoters = values.filter(value => value >= NPS_PROMOTER_MIN).length;
+  const passives = values.filter(value => value >= NPS_PASSIVE_MIN && value < NPS_PROMOTER_MIN).length;
+  const detractors = values.length - promoters - passives;
+  const share = (count) => (values.length > 0 ? round((count / values.length) * 100) : 0);
+
+  return {
+    score: values.length > 0 ? Math.round(((promoters - detractors) / values.length) * 100) : 0,
+    promoters,
+    passives,
+    detractors,
+    promoterShare: share(promoters),
+    passiveShare: share(passives),
+    detractorShare: share(detractors)
+  };
+}
+
+/**
+ * Summarize the answers to one statement
+ * @param {Array<number>} values - Answers within the bounds
+ * @param {{minValue: number, maxValue: number}} bounds
+ * @param {string} mode - 'scale' or 'nps'
+ * @returns {Object} { count, sum, distribution, average, median, standardDeviation, agreement, polarisation, nps }
+ *   distribution has a count for every value of the scale; nps is only set in NPS mode
+ */
+function summarizeValues(values, { minValue, maxValue }, mode = 'scale') {
+  const distribution = {};
+  for (let value = minValue; value <= maxValue; value += 1) {
+    distribution[value] = 0;
+  }
+  values.forEach(value => {
+    distribution[value] = (distribution[value] || 0) + 1;
+  });
+
+  const count = values.length;
+  const summary = {
+    count,
+    sum: values.reduce((total, value) => total + value, 0),
+    distribution,
+    average: 0,
+    median: 0,
+    standardDeviation: 0,
+    agreement: 0,
+    polarisation: 0
+  };
+
+  if (count > 0) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(count / 2);
+    const average = summary.sum / count;
+    const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / count;
+    const standardDeviation = Math.sqrt(variance);
+    const midpoint = (minValue + maxValue) / 2;
+    const below = values.filter(value => value < midpoint).length;
+    const above = values.filter(value => value > midpoint).length;
+
+    summary.average = round(average);
+    summary.median = count % 2 === 0 ? round((sorted[middle - 1] + sorted[middle]) / 2) : sorted[middle];
+    summary.standardDeviation = round(standardDeviation);
+    // Half the answers at each end gives the largest possible deviation
+    summary.agreement = round(1 - standardDeviation / ((maxValue - minValue) / 2));
+    summary.polarisation = round((2 * Math.min(below, above)) / count);
+  }
+
+  if (mode === 'nps') {
+    summary.nps = summarizeNps(values);
+  }
+
+  return summary;
+}
+
+/**
+ * Statistics of a scales slide's responses
+ * @param {Object} slide
+ * @param {Array} responses - Response documents
+ * @returns {{mode: string, minValue: number, maxValue: number, statements: Array<string>, summaries: Array<Object>}}
+ *   One summary per statement, or a single one for single-statement slides
+ */
+function buildScaleStats(slide, responses = []) {
+  const statements = getStatements(slide);
+  const bounds = getScaleBounds(slide);
+  const mode = getScaleMode(slide);
+  const valuesByStatement = Array.from({ length: Math.max(1, statements.length) }, () => []);
+
+  responses.forEach(response => {
+    getAnswerValues(response?.answer, statements.length).forEach((value, index) => {
+      if (value === null || value < bounds.minValue || value > bounds.maxValue) return;
+      valuesByStatement[index].push(value);
+    });
+  });
+
+  return {
+    mode,
+    ...bounds,
+    statements,
+    summaries: valuesByStatement.map(values => summarizeValues(values, bounds, mode))
+  };
+}
+
+module.exports = {
+  SCALE_MODES,
+  NPS_MIN,
+  NPS_MAX,
+  coerceToNumber,
+  getScaleMode,
+  getScaleBounds,
+  getStatements,
+  getAnswerValues,
+  summarizeNps,
+  summarizeValues,
+  buildScaleStats
+};
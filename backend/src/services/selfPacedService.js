@@ -0,0 +1,413 @@
+const Presentation = require('../models/Presentation');
+const Slide = require('../models/Slide');
+const Response = require('../models/Response');
+const { getSessionStore, DEFAULT_TTL_MS } = require('./sessionStore');
+const branchingService = require('./branchingService');
+const Logger = require('../utils/logger');
+
+/**
+ * Self-Paced Service
+ * Audience-paced presentations: while a presentation is not live, participants can move
+ * through its interactive slides on their own within the open window of selfPacedSettings.
+ *
+ * Quizzes use a per-participant timer that starts when the participant opens the quiz,
+ * and completion is derived from stored responses so it survives without a presenter tab.
+ */
+
+const PROGRESS_NAMESPACE = 'selfPaced';
+const QUIZ_TIMER_NAMESPACE = 'selfPacedQuiz';
+
+// Slides without participant input are skipped in self-paced mode
+const CONTENT_SLIDE_TYPES = [
+  'text',
+  'image',
+  'video',
+  'instruction',
+  'miro',
+  'powerpoint',
+  'google_slides',
+  'pdf',
+  'leaderboard'
+];
+
+// Allowance for network latency when a self-paced quiz answer arrives at the deadline
+const QUIZ_SUBMIT_GRACE_MS = 2000;
+
+// Progress outlives the session store default: it is kept until the window closes
+// (plus the default, for the completion dashboard), or this long without a closing date
+const OPEN_WINDOW_PROGRESS_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function parseDate(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${field} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Validate and normalize self-paced settings from a request body
+ * @param {Object} input - Requested settings
+ * @returns {Object} Normalized settings
+ * @throws {Error} If the open window is invalid
+ */
+function normalizeSelfPacedSettings(input = {}) {
+  const settings = input || {};
+  const opensAt = parseDate(settings.opensAt, 'opensAt');
+  const closesAt = parseDate(settings.closesAt, 'closesAt');
+
+  if (opensAt && closesAt && closesAt <= opensAt) {
+    throw new Error('closesAt must be after opensAt');
+  }
+
+  return {
+    enabled: Boolean(settings.enabled),
+    opensAt,
+    closesAt
+  };
+}
+
+/**
+ * Get the self-paced window of a presentation
+ * @param {Object} presentation - Presentation document or object
+ * @param {number} now - Current time in ms (optional)
+ * @returns {{status: string, isOpen: boolean, opensAt: Date|null, closesAt: Date|null}|null}
+ *   null when self-paced mode is off; status is 'scheduled', 'open' or 'closed'
+ */
+function getSelfPacedWindow(presentation, now = Date.now()) {
+  const settings = presentation?.selfPacedSettings;
+  if (!settings || !settings.enabled) {
+    return null;
+  }
+
+  const opensAt = settings.opensAt ? new Date(settings.opensAt) : null;
+  const closesAt = settings.closesAt ? new Date(settings.closesAt) : null;
+
+  let status = 'open';
+  if (opensAt && now < opensAt.getTime()) {
+    status = 'scheduled';
+  } else if (closesAt && now >= closesAt.getTime()) {
+    status = 'closed';
+  }
+
+  return { status, isOpen: status === 'open', opensAt, closesAt };
+}
+
+/**
+ * Check whether participants can currently work through a presentation on their own
+ * (live presentations are always presenter-driven)
+ * @param {Object} presentation
+ * @returns {boolean}
+ */
+function isSelfPacedOpen(presentation) {
+  return !presentation?.isLive && Boolean(getSelfPacedWindow(presentation)?.isOpen);
+}
+
+/**
+ * Decide how an answer to a presentation is handled
+ * @param {string} presentationId
+ * @returns {Promise<string>} 'live', 'self_paced' or 'closed' (self-paced mode is on but the window is not open)
+ */
+async function getSubmissionMode(presentationId) {
+  const presentation = await Presentation.findById(presentationId).select('isLive selfPacedSettings').lean();
+  if (!presentation || presentation.isLive) {
+    return 'live';
+  }
+  const window = getSelfPacedWindow(presentation);
+  if (!window) {
+    return 'live';
+  }
+  return window.isOpen ? 'self_paced' : 'closed';
+}
+
+function isInteractiveSlide(slide) {
+  return Boolean(slide) && !CONTENT_SLIDE_TYPES.includes(slide.type);
+}
+
+/**
+ * Get the interactive slides of a presentation in order
+ * @param {string} presentationId
+ * @returns {Promise<Array>} Slide documents
+ */
+async function getSelfPacedSlides(presentationId) {
+  const slides = await Slide.find({ presentationId }).sort({ order: 1 });
+  return slides.filter(isInteractiveSlide);
+}
+
+/**
+ * Get where a participant is in a self-paced presentation
+ * @param {string} presentationId
+ * @param {string} participantId
+ * @returns {Promise<{slideIndex: number, returnIndex: number|null}>}
+ */
+async function getParticipantProgress(presentationId, participantId) {
+  const progress = await getSessionStore().get(PROGRESS_NAMESPACE, presentationId.toString());
+  const entry = progress?.participants?.[participantId];
+  return {
+    slideIndex: entry?.slideIndex || 0,
+    returnIndex: entry?.returnIndex ?? null
+  };
+}
+
+/**
+ * How long self-paced progress is kept after a write
+ * @param {Date|string|null} closesAt - End of the self-paced window
+ * @param {number} now - Current time in ms (optional)
+ * @returns {number} TTL in milliseconds
+ */
+function getProgressTtl(closesAt, now = Date.now()) {
+  if (!closesAt) {
+    return OPEN_WINDOW_PROGRESS_TTL_MS;
+  }
+  return Math.max(new Date(closesAt).getTime() - now, 0) + DEFAULT_TTL_MS;
+}
+
+/**
+ * Record the slide a participant is on
+ * @param {Object} params
+ * @param {string} params.presentationId
+ * @param {string} params.participantId
+ * @param {string} params.participantName
+ * @param {number} params.slideIndex
+ * @param {number|null} params.returnIndex - Slide to return to after a branching detour
+ *   (optional, the current one is kept when omitted)
+ * @param {Date|string|null} params.closesAt - End of the self-paced window, progress is kept until then
+ */
+async function setParticipantSlideIndex({ presentationId, participantId, participantName, slideIndex, returnIndex, closesAt = null }) {
+  await getSessionStore().update(PROGRESS_NAMESPACE, presentationId.toString(), (current) => {
+    const progress = current || { participants: {} };
+    const existing = progress.participants[participantId];
+    progress.participants[participantId] = {
+      name: participantName || existing?.name || 'Anonymous',
+      slideIndex,
+      returnIndex: returnIndex === undefined ? (existing?.returnIndex ?? null) : returnIndex,
+      updatedAt: Date.now()
+    };
+    return progress;
+  }, getProgressTtl(closesAt));
+}
+
+/**
+ * Find where a branch target lands among the self-paced slides
+ * (content slides are skipped, so a content target lands on the next interactive slide)
+ */
+async function findSlideIndex(slides, targetSlideId) {
+  const index = slides.findIndex(slide => String(slide._id) === String(targetSlideId));
+  if (index !== -1) {
+    return index;
+  }
+  const target = await Slide.findById(targetSlideId).select('order').lean();
+  return target ? slides.findIndex(slide => slide.order >= target.order) : -1;
+}
+
+/**
+ * Work out where "next" takes a self-paced participant: their own branch on the slide
+ * they are leaving, then the end of a detour, then simply the following slide
+ * @param {Object} params
+ * @param {string} params.presentationId
+ * @param {string} params.participantId
+ * @param {Array} params.slides - Self-paced slides
+ * @param {number} params.currentIndex
+ * @returns {Promise<{slideIndex: number, returnIndex: number|null}>}
+ */
+async function resolveNextSlide({ presentationId, participantId, slides, currentIndex }) {
+  const currentSlide = slides[currentIndex];
+  const branch = currentSlide ? await branchingService.getParticipantBranch(currentSlide, participantId) : null;
+
+  if (branch) {
+    const targetIndex = await findSlideIndex(slides, branch.targetSlideId);
+    if (targetIndex !== -1 && targetIndex !== currentIndex) {
+      const returnIndex = branch.action === 'detour' && currentIndex + 1 < slides.length ? currentIndex + 1 : null;
+      return { slideIndex: targetIndex, returnIndex };
+    }
+  }
+
+  const { returnIndex } = await getParticipantProgress(presentationId, participantId);
+  if (typeof returnIndex === 'number' && returnIndex !== currentIndex) {
+    return { slideIndex: returnIndex, returnIndex: null };
+  }
+
+  return { slideIndex: Math.min(currentIndex + 1, slides.length - 1), returnIndex: null };
+}
+
+function getTimerKey(slideId, participantId) {
+  return `${slideId}:${participantId}`;
+}
+
+/**
+ * Start a participant's quiz timer (an already running timer is kept, so reopening
+ * the quiz does not reset the countdown)
+ * @param {Object} params
+ * @param {string} params.slideId
+ * @param {string} params.participantId
+ * @param {number} params.timeLimit - Seconds
+ * @returns {Promise<{startTime: number, timeLimit: number}>}
+ */
+async function startQuizTimer({ slideId, participantId, timeLimit }) {
+  return getSessionStore().update(QUIZ_TIMER_NAMESPACE, getTimerKey(slideId, participantId), (current) => {
+    if (current) {
+      return undefined;
+    }
+    return { startTime: Date.now(), timeLimit, submittedAt: null };
+  });
+}
+
+async function getQuizTimer(slideId, participantId) {
+  return getSessionStore().get(QUIZ_TIMER_NAMESPACE, getTimerKey(slideId, participantId));
+}
+
+/**
+ * Check a self-paced quiz answer against the participant's own timer
+ * @param {Object|null} timer - { startTime, timeLimit }
+ * @param {number} now - Current time in ms (optional)
+ * @returns {{error: string}|{responseTime: number}}
+ */
+function checkQuizTimer(timer, now = Date.now()) {
+  if (!timer) {
+    return { error: 'Start the quiz before answering' };
+  }
+  const limitMs = timer.timeLimit * 1000;
+  const elapsed = now - timer.startTime;
+  if (elapsed > limitMs + QUIZ_SUBMIT_GRACE_MS) {
+    return { error: 'Time is up for this quiz' };
+  }
+  return { responseTime: Math.min(Math.max(0, elapsed), limitMs) };
+}
+
+/**
+ * Claim a participant's single answer to a self-paced quiz
+ * (checked under the lock so concurrent submissions cannot both count)
+ * @param {string} slideId
+ * @param {string} participantId
+ * @returns {Promise<{error: string}|{responseTime: number}>}
+ */
+async function claimQuizAnswer(slideId, participantId) {
+  let result = null;
+
+  await getSessionStore().update(QUIZ_TIMER_NAMESPACE, getTimerKey(slideId, participantId), (current) => {
+    if (current?.submittedAt) {
+      result = { error: 'You have already answered this quiz' };
+      return undefined;
+    }
+    result = checkQuizTimer(current);
+    if (result.error) {
+      return undefined;
+    }
+    return { ...current, submittedAt: Date.now() };
+  });
+
+  return result;
+}
+
+/**
+ * Build the completion dashboard of a self-paced presentation
+ * @param {string} presentationId
+ * @returns {Promise<Object>} { totalSlides, participantCount, completedCount, slides, participants }
+ */
+async function getCompletion(presentationId) {
+  try {
+    const slides = await getSelfPacedSlides(presentationId);
+    const slideIds = slides.map(slide => slide._id);
+
+    const [responses, progress] = await Promise.all([
+      // Self-paced answers are the ones kept outside live runs
+      Response.find({ presentationId, runId: null, slideId: { $in: slideIds } })
+        .select('participantId participantName slideId submittedAt')
+        .lean(),
+      getSessionStore().get(PROGRESS_NAMESPACE, presentationId.toString())
+    ]);
+
+    const participants = new Map();
+    const slideCounts = new Map();
+
+    responses.forEach((response) => {
+      const slideKey = response.slideId.toString();
+      const participant = participants.get(response.participantId) || {
+        participantId: response.participantId,
+        participantName: response.participantName || 'Anonymous',
+        answeredSlideIds: new Set(),
+        lastActivityAt: null
+      };
+      participant.answeredSlideIds.add(slideKey);
+      if (response.submittedAt && (!participant.lastActivityAt || response.submittedAt > participant.lastActivityAt)) {
+        participant.lastActivityAt = response.submittedAt;
+      }
+      participants.set(response.participantId, participant);
+    });
+
+    // Participants who opened the presentation but have not answered yet
+    Object.entries(progress?.participants || {}).forEach(([participantId, entry]) => {
+      if (!participants.has(participantId)) {
+        participants.set(participantId, {
+          participantId,
+          participantName: entry.name,
+          answeredSlideIds: new Set(),
+          lastActivityAt: null
+        });
+      }
+    });
+
+    const rows = Array.from(participants.values()).map((participant) => {
+      participant.answeredSlideIds.forEach((slideKey) => {
+        slideCounts.set(slideKey, (slideCounts.get(slideKey) || 0) + 1);
+      });
+      const answeredCount = participant.answeredSlideIds.size;
+      const position = progress?.participants?.[participant.participantId];
+
+      return {
+        participantId: participant.participantId,
+        participantName: participant.participantName,
+        answeredCount,
+        completed: slides.length > 0 && answeredCount >= slides.length,
+        currentSlideIndex: position ? position.slideIndex : null,
+        lastActivityAt: position?.updatedAt
+          ? new Date(Math.max(position.updatedAt, participant.lastActivityAt ? new Date(participant.lastActivityAt).getTime() : 0))
+          : participant.lastActivityAt
+      };
+    }).sort((a, b) => b.answeredCount - a.answeredCount || a.participantName.localeCompare(b.participantName));
+
+    return {
+      totalSlides: slides.length,
+      participantCount: rows.length,
+      completedCount: rows.filter(row => row.completed).length,
+      slides: slides.map(slide => ({
+        slideId: slide._id.toString(),
+        type: slide.type,
+        question: slide.question,
+        responseCount: slideCounts.get(slide._id.toString()) || 0
+      })),
+      participants: rows
+    };
+  } catch (error) {
+    Logger.error('Error building self-paced completion', error);
+    throw error;
+  }
+}
+
+async function clearProgress(presentationId) {
+  await getSessionStore().delete(PROGRESS_NAMESPACE, presentationId.toString());
+}
+
+module.exports = {
+  CONTENT_SLIDE_TYPES,
+  QUIZ_SUBMIT_GRACE_MS,
+  normalizeSelfPacedSettings,
+  getSelfPacedWindow,
+  isSelfPacedOpen,
+  getSubmissionMode,
+  isInteractiveSlide,
+  getSelfPacedSlides,
+  getParticipantProgress,
+  getProgressTtl,
+  setParticipantSlideIndex,
+  resolveNextSlide,
+  startQuizTimer,
+  getQuizTimer,
+  checkQuizTimer,
+  claimQuizAnswer,
+  getCompletion,
+  clearProgress
+};
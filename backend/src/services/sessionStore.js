@@ -0,0 +1,290 @@
+/**
+ * Session Store
+ * Shared storage for live session state (quiz, Q&A, guess number, active presentations).
+ *
+ * Drivers (selected with SESSION_STORE):
+ * - memory (default): in-process, lost on restart, single instance only
+ * - redis: stored in Redis (REDIS_URL), survives restarts and is shared by every backend instance
+ *
+ * Values are JSON-serialized by both drivers, so callers must write changes back
+ * (use update() for read-modify-write) instead of mutating objects they read.
+ */
+
+const { randomUUID } = require('crypto');
+const Logger = require('../utils/logger');
+
+// Live sessions are dropped after 12 hours without a write
+const DEFAULT_TTL_MS = 12 * 60 * 60 * 1000;
+
+// Cross-instance lock used by the Redis driver for read-modify-write updates
+const LOCK_TTL_MS = 5000;
+const LOCK_WAIT_MS = 5000;
+const LOCK_RETRY_MS = 25;
+
+// Only release a lock we still own
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+const clone = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class SessionStore {
+  /**
+   * Atomically read, modify and write a value
+   * @param {string} namespace - Session type, e.g. 'qna'
+   * @param {string} key - Session key, e.g. slideId
+   * @param {Function} updater - Receives the current value (or null) and returns the new value,
+   *   null to delete it, or undefined to leave it untouched
+   * @param {number} ttl - Time to live in milliseconds (optional)
+   * @returns {Promise<any>} The stored value after the update
+   */
+  async update(namespace, key, updater, ttl = DEFAULT_TTL_MS) {
+    return this.withLock(`${namespace}:${key}`, async () => {
+      const current = await this.get(namespace, key);
+      const next = await updater(current);
+
+      if (next === undefined) {
+        return current;
+      }
+      if (next === null) {
+        await this.delete(namespace, key);
+        return null;
+      }
+
+      await this.set(namespace, key, next, ttl);
+      return clone(next);
+    });
+  }
+}
+
+class MemorySessionStore extends SessionStore {
+  constructor() {
+    super();
+    this.driver = 'memory';
+    this.entries = new Map();
+    this.locks = new Map();
+  }
+
+  entryKey(namespace, key) {
+    return `${namespace}:${key}`;
+  }
+
+  /**
+   * Get a value
+   * @param {string} namespace
+   * @param {string} key
+   * @returns {Promise<any|null>} Value or null if not found/expired
+   */
+  async get(namespace, key) {
+    const entryKey = this.entryKey(namespace, key);
+    const entry = this.entries.get(entryKey);
+    if (!entry) {
+      return null;
+    }
+    if (Date.now() > entry.expiresAt) {
+      this.entries.delete(entryKey);
+      return null;
+    }
+    return JSON.parse(entry.value);
+  }
+
+  /**
+   * Set a value
+   * @param {string} namespace
+   * @param {string} key
+   * @param {any} value - JSON-serializable value
+   * @param {number} ttl - Time to live in milliseconds (optional)
+   */
+  async set(namespace, key, value, ttl = DEFAULT_TTL_MS) {
+    this.entries.set(this.entryKey(namespace, key), {
+      namespace,
+      value: JSON.stringify(value),
+      expiresAt: Date.now() + ttl
+    });
+  }
+
+  /**
+   * Delete a value
+   * @param {string} namespace
+   * @param {string} key
+   */
+  async delete(namespace, key) {
+    this.entries.delete(this.entryKey(namespace, key));
+  }
+
+  /**
+   * List all values in a namespace
+   * @param {string} namespace
+   * @returns {Promise<Array>} Values
+   */
+  async list(namespace) {
+    const now = Date.now();
+    const values = [];
+    for (const [entryKey, entry] of this.entries.entries()) {
+      if (entry.namespace !== namespace) {
+        continue;
+      }
+      if (now > entry.expiresAt) {
+        this.entries.delete(entryKey);
+        continue;
+      }
+      values.push(JSON.parse(entry.value));
+    }
+    return values;
+  }
+
+  /**
+   * Run fn while holding a per-key lock (serializes updates within this process)
+   */
+  async withLock(lockKey, fn) {
+    const previous = this.locks.get(lockKey) || Promise.resolve();
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    const current = previous.then(() => released);
+    this.locks.set(lockKey, current);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (this.locks.get(lockKey) === current) {
+        this.locks.delete(lockKey);
+      }
+    }
+  }
+
+  async close() {
+    this.entries.clear();
+  }
+}
+
+class RedisSessionStore extends SessionStore {
+  /**
+   * @param {Object} client - Connected node-redis client
+   * @param {Object} options
+   * @param {string} options.prefix - Key prefix (optional)
+   */
+  constructor(client, { prefix = 'inavora:session' } = {}) {
+    super();
+    this.driver = 'redis';
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  redisKey(namespace, key) {
+    return `${this.prefix}:${namespace}:${key}`;
+  }
+
+  async get(namespace, key) {
+    const raw = await this.client.get(this.redisKey(namespace, key));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(namespace, key, value, ttl = DEFAULT_TTL_MS) {
+    await this.client.set(this.redisKey(namespace, key), JSON.stringify(value), {
+      expiration: { type: 'PX', value: ttl }
+    });
+  }
+
+  async delete(namespace, key) {
+    await this.client.del(this.redisKey(namespace, key));
+  }
+
+  async list(namespace) {
+    const values = [];
+    for await (const keys of this.client.scanIterator({ MATCH: this.redisKey(namespace, '*'), COUNT: 100 })) {
+      if (keys.length === 0) {
+        continue;
+      }
+      const rawValues = await this.client.mGet(keys);
+      rawValues.forEach((raw) => {
+        if (raw) {
+          values.push(JSON.parse(raw));
+        }
+      });
+    }
+    return values;
+  }
+
+  /**
+   * Run fn while holding a Redis lock (serializes updates across instances)
+   */
+  async withLock(lockKey, fn) {
+    const lockName = `${this.prefix}:lock:${lockKey}`;
+    const token = randomUUID();
+    const deadline = Date.now() + LOCK_WAIT_MS;
+
+    while (!(await this.client.set(lockName, token, {
+      condition: 'NX',
+      expiration: { type: 'PX', value: LOCK_TTL_MS }
+    }))) {
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for session lock ${lockKey}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await this.client.eval(RELEASE_LOCK_SCRIPT, { keys: [lockName], arguments: [token] });
+    }
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+let store = new MemorySessionStore();
+
+/**
+ * Get the active session store
+ * @returns {SessionStore}
+ */
+function getSessionStore() {
+  return store;
+}
+
+/**
+ * Replace the active session store (used at startup and in tests)
+ * @param {SessionStore} nextStore
+ */
+function setSessionStore(nextStore) {
+  store = nextStore;
+}
+
+/**
+ * Initialize the session store configured by SESSION_STORE
+ * @returns {Promise<SessionStore>} The active store
+ */
+async function initSessionStore() {
+  const driver = (process.env.SESSION_STORE || 'memory').toLowerCase();
+
+  if (driver === 'redis') {
+    // Required lazily so the memory driver has no Redis dependency at runtime
+    const { connectRedis } = require('../config/redis');
+    const client = await connectRedis('session-store');
+    setSessionStore(new RedisSessionStore(client));
+  } else {
+    setSessionStore(new MemorySessionStore());
+  }
+
+  Logger.startup(`Session store: ${store.driver}`);
+  return store;
+}
+
+module.exports = {
+  DEFAULT_TTL_MS,
+  MemorySessionStore,
+  RedisSessionStore,
+  getSessionStore,
+  setSessionStore,
+  initSessionStore
+};
@@ -0,0 +1,379 @@
+/**
+ * Slide History Service
+ * Revision log and trash for presentation slides.
+ *
+ * Every change saved through the slide and presentation APIs is recorded as a SlideRevision
+ * with a snapshot of the slide, so editors can compare versions and restore an earlier one.
+ * Deleted slides go to the trash with their responses and can be restored until the
+ * retention period ends.
+ */
+
+const Slide = require('../models/Slide');
+const Response = require('../models/Response');
+const SlideRevision = require('../models/SlideRevision');
+const SlideTrash = require('../models/SlideTrash');
+const Logger = require('../utils/logger');
+
+const TRASH_RETENTION_DAYS = 30;
+
+// Oldest entries of a slide are dropped past this many
+const MAX_REVISIONS_PER_SLIDE = 100;
+
+// Larger response sets are deleted with the slide instead of being kept in the trash document
+const MAX_ARCHIVED_RESPONSES = 5000;
+
+// Slide content kept in snapshots (everything an editor can change)
+const SNAPSHOT_FIELDS = [
+  'type', 'order', 'question', 'options', 'minValue', 'maxValue', 'minLabel', 'maxLabel', 'statements', 'scaleMode',
+  'rankingItems', 'rankingMethod', 'hundredPointsItems', 'gridItems', 'gridAxisXLabel', 'gridAxisYLabel', 'gridAxisRange', 'gridQuadrantLabels',
+  'maxWordsPerParticipant', 'wordCloudSettings', 'openEndedSettings', 'qnaSettings', 'guessNumberSettings',
+  'pinOnImageSettings', 'quizSettings', 'leaderboardSettings', 'branching', 'textContent', 'imageUrl',
+  'imagePublicId', 'videoUrl',
+  'videoPublicId', 'instructionContent', 'miroUrl', 'powerpointUrl', 'powerpointPublicId', 'googleSlidesUrl',
+  'pdfUrl', 'pdfPublicId', 'pdfPages'
+];
+
+// Restoring a version never changes what kind of slide it is or where it sits
+const UNRESTORABLE_FIELDS = ['type', 'order'];
+
+const clone = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+const isSameValue = (a, b) => JSON.stringify(clone(a)) === JSON.stringify(clone(b));
+
+/**
+ * Author details stored with revisions and trash entries
+ * @param {Object|null} user - Authenticated user
+ * @returns {{userId: string|null, name: string}}
+ */
+function toAuthor(user) {
+  return {
+    userId: user?._id || null,
+    name: user?.displayName || user?.email || ''
+  };
+}
+
+/**
+ * Plain copy of a slide's content
+ * @param {Object} slide - Slide document or plain object
+ * @returns {Object}
+ */
+function snapshotSlide(slide) {
+  const source = typeof slide.toObject === 'function' ? slide.toObject({ flattenMaps: true }) : slide;
+  return SNAPSHOT_FIELDS.reduce((snapshot, field) => {
+    const value = clone(source[field]);
+    if (value !== null) {
+      snapshot[field] = value;
+    }
+    return snapshot;
+  }, {});
+}
+
+/**
+ * Fields that differ between two snapshots
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<{field: string, before: any, after: any}>}
+ */
+function diffSnapshots(before, after) {
+  return SNAPSHOT_FIELDS
+    .filter(field => !isSameValue(before?.[field], after?.[field]))
+    .map(field => ({
+      field,
+      before: clone(before?.[field]),
+      after: clone(after?.[field])
+    }));
+}
+
+/**
+ * Put a snapshot's content back on a slide
+ * @param {Object} slide - Slide document
+ * @param {Object} snapshot
+ * @param {Array<string>} presentationSlideIds - Slides branching rules may still point to
+ * @returns {string[]} Fields that changed
+ */
+function applySnapshot(slide, snapshot, presentationSlideIds = []) {
+  const slideIds = presentationSlideIds.map(String);
+  const changedFields = [];
+
+  SNAPSHOT_FIELDS
+    .filter(field => !UNRESTORABLE_FIELDS.includes(field))
+    .forEach(field => {
+      let value = clone(snapshot[field]);
+
+      // Drop branches to slides that no longer exist
+      if (field === 'branching' && value?.rules) {
+        value.rules = value.rules.filter(rule => slideIds.includes(String(rule.targetSlideId)));
+        if (value.rules.length === 0) value = null;
+      }
+
+      if (!isSameValue(slide.get(field), value)) {
+        slide.set(field, value === null ? undefined : value);
+        changedFields.push(field);
+      }
+    });
+
+  return changedFields;
+}
+
+async function pruneRevisions(slideId) {
+  const stale = await SlideRevision.find({ slideId })
+    .sort({ createdAt: -1 })
+    .skip(MAX_REVISIONS_PER_SLIDE)
+    .select('_id')
+    .lean();
+  if (stale.length) {
+    await SlideRevision.deleteMany({ _id: { $in: stale.map(entry => entry._id) } });
+  }
+}
+
+/**
+ * Record a slide change. History is best effort: failures are logged, never thrown.
+ * @param {Object} params
+ * @param {Object} params.slide - Slide document (after the change; before it for deletions)
+ * @param {string} params.action - created, updated, deleted or restored
+ * @param {Object|null} params.user - Author
+ * @param {string[]} params.changedFields
+ * @param {string|null} params.restoredFrom - Revision ID a restore went back to
+ * @returns {Promise<Object|null>} The revision
+ */
+async function recordSlideRevision({ slide, action, user = null, changedFields = [], restoredFrom = null }) {
+  try {
+    const revision = await SlideRevision.create({
+      presentationId: slide.presentationId,
+      slideId: slide._id,
+      action,
+      revision: slide.revision || 0,
+      snapshot: snapshotSlide(slide),
+      changedFields,
+      restoredFrom,
+      responseCount: await Response.countDocuments({ slideId: slide._id }),
+      author: toAuthor(user)
+    });
+    await pruneRevisions(slide._id);
+    return revision;
+  } catch (error) {
+    Logger.error(`Failed to record ${action} revision for slide ${slide._id}`, error);
+    return null;
+  }
+}
+
+/**
+ * Keep the content of a slide that has no history yet, before its first recorded change
+ * @param {Object} slide - Slide document, before the change is applied
+ */
+async function ensureBaseline(slide) {
+  try {
+    if (await SlideRevision.exists({ slideId: slide._id })) {
+      return;
+    }
+    await SlideRevision.create({
+      presentationId: slide.presentationId,
+      slideId: slide._id,
+      action: 'baseline',
+      revision: slide.revision || 0,
+      snapshot: snapshotSlide(slide),
+      responseCount: await Response.countDocuments({ slideId: slide._id }),
+      createdAt: slide.updatedAt || slide.createdAt || new Date()
+    });
+  } catch (error) {
+    Logger.error(`Failed to record baseline revision for slide ${slide._id}`, error);
+  }
+}
+
+/**
+ * Record a presentation rename
+ * @param {Object} presentation - Presentation document
+ * @param {Object|null} user - Author
+ */
+async function recordRename(presentation, user = null) {
+  try {
+    await SlideRevision.create({
+      presentationId: presentation._id,
+      action: 'renamed',
+      snapshot: { title: presentation.title },
+      changedFields: ['title'],
+      author: toAuthor(user)
+    });
+  } catch (error) {
+    Logger.error(`Failed to record rename of presentation ${presentation._id}`, error);
+  }
+}
+
+/**
+ * Shape a revision for the API (without its snapshot)
+ */
+function formatRevision(revision) {
+  return {
+    id: revision._id,
+    slideId: revision.slideId || null,
+    action: revision.action,
+    revision: revision.revision,
+    question: revision.snapshot?.question || null,
+    title: revision.action === 'renamed' ? revision.snapshot?.title || null : undefined,
+    type: revision.snapshot?.type || null,
+    changedFields: revision.changedFields || [],
+    restoredFrom: revision.restoredFrom || null,
+    responseCount: revision.responseCount || 0,
+    author: revision.author?.name || null,
+    createdAt: revision.createdAt
+  };
+}
+
+/**
+ * Newest first history of a presentation or one of its slides
+ * @param {string} presentationId
+ * @param {Object} options
+ * @param {string} options.slideId - Only this slide (optional)
+ * @param {number} options.limit - Maximum entries (default 50, up to 200)
+ * @param {string|Date} options.before - Only entries older than this (paging)
+ * @returns {Promise<Array>}
+ */
+async function listRevisions(presentationId, { slideId = null, limit = 50, before = null } = {}) {
+  const filter = { presentationId };
+  if (slideId) filter.slideId = slideId;
+  if (before) filter.createdAt = { $lt: new Date(before) };
+
+  const revisions = await SlideRevision.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200))
+    .lean();
+  return revisions.map(formatRevision);
+}
+
+/**
+ * Move a slide being deleted to the trash, with its responses and linked leaderboard
+ * @param {Object} params
+ * @param {Object} params.slide - Slide document being deleted
+ * @param {Object|null} params.leaderboardSlide - Auto-generated leaderboard deleted with a quiz slide
+ * @param {Object|null} params.user - Who deleted it
+ * @returns {Promise<Object|null>} The trash entry
+ */
+async function moveToTrash({ slide, leaderboardSlide = null, user = null }) {
+  try {
+    const responseCount = await Response.countDocuments({ slideId: slide._id });
+    const responsesArchived = responseCount <= MAX_ARCHIVED_RESPONSES;
+    const responses = responsesArchived && responseCount > 0
+      ? await Response.find({ slideId: slide._id }).lean()
+      : [];
+
+    return await SlideTrash.create({
+      presentationId: slide.presentationId,
+      slideId: slide._id,
+      slide: slide.toObject({ flattenMaps: true }),
+      leaderboardSlide: leaderboardSlide ? leaderboardSlide.toObject({ flattenMaps: true }) : null,
+      responses,
+      responsesArchived,
+      responseCount,
+      deletedBy: toAuthor(user),
+      expiresAt: new Date(Date.now() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    Logger.error(`Failed to move slide ${slide._id} to the trash`, error);
+    return null;
+  }
+}
+
+/**
+ * Shape a trash entry for the API
+ */
+function formatTrashItem(item) {
+  return {
+    id: item._id,
+    slideId: item.slideId,
+    type: item.slide?.type || null,
+    question: item.slide?.question || '',
+    order: item.slide?.order ?? null,
+    hasLeaderboard: Boolean(item.leaderboardSlide),
+    responseCount: item.responseCount || 0,
+    responsesArchived: item.responsesArchived !== false,
+    deletedBy: item.deletedBy?.name || null,
+    deletedAt: item.deletedAt,
+    expiresAt: item.expiresAt
+  };
+}
+
+async function listTrash(presentationId) {
+  const items = await SlideTrash.find({ presentationId, expiresAt: { $gt: new Date() } })
+    .select('-responses')
+    .sort({ deletedAt: -1 })
+    .lean();
+  return items.map(formatTrashItem);
+}
+
+/**
+ * Put a trashed slide back into its presentation, at its old position
+ * @param {Object} item - SlideTrash document
+ * @returns {Promise<{slide: Object, leaderboardSlide: Object|null}>}
+ * @throws {Error} If the slide can no longer be restored
+ */
+async function restoreFromTrash(item) {
+  const { slide: data, leaderboardSlide: leaderboardData } = item;
+  const presentationId = item.presentationId;
+
+  if (await Slide.exists({ _id: item.slideId })) {
+    throw new Error('This slide has already been restored');
+  }
+  if (data.type === 'instruction' && await Slide.exists({ presentationId, type: 'instruction' })) {
+    throw new Error('Only one instruction slide is allowed per presentation');
+  }
+
+  const slideCount = await Slide.countDocuments({ presentationId });
+  const order = Math.min(Math.max(Number(data.order) || 0, 0), slideCount);
+  const slotCount = leaderboardData ? 2 : 1;
+  await Slide.updateMany({ presentationId, order: { $gte: order } }, { $inc: { order: slotCount } });
+
+  const { __v, createdAt, updatedAt, ...slideFields } = data;
+  const slide = new Slide({ ...slideFields, _id: item.slideId, order });
+  // Branch targets may have been deleted in the meantime
+  if (slide.branching?.rules?.length) {
+    const existingIds = (await Slide.find({ presentationId }).select('_id').lean()).map(s => String(s._id));
+    slide.branching.rules = slide.branching.rules.filter(rule => existingIds.includes(String(rule.targetSlideId)));
+    if (slide.branching.rules.length === 0) slide.branching = undefined;
+  }
+  await slide.save();
+
+  let leaderboardSlide = null;
+  if (leaderboardData) {
+    const { __v: lv, createdAt: lc, updatedAt: lu, ...leaderboardFields } = leaderboardData;
+    leaderboardSlide = await Slide.create({ ...leaderboardFields, order: order + 1 });
+  }
+
+  if (item.responses?.length) {
+    try {
+      await Response.insertMany(item.responses, { ordered: false });
+    } catch (error) {
+      // Responses that are already back (duplicate IDs) are skipped
+      Logger.warn(`Some responses of slide ${item.slideId} were not restored`, error.message);
+    }
+  }
+
+  await SlideTrash.deleteOne({ _id: item._id });
+  return { slide, leaderboardSlide };
+}
+
+/**
+ * Remove the history and trash of a deleted presentation
+ * @param {string} presentationId
+ */
+async function clearHistory(presentationId) {
+  await SlideRevision.deleteMany({ presentationId });
+  await SlideTrash.deleteMany({ presentationId });
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  SNAPSHOT_FIELDS,
+  snapshotSlide,
+  diffSnapshots,
+  applySnapshot,
+  recordSlideRevision,
+  ensureBaseline,
+  recordRename,
+  formatRevision,
+  listRevisions,
+  moveToTrash,
+  formatTrashItem,
+  listTrash,
+  restoreFromTrash,
+  clearHistory
+};
@@ -0,0 +1,100 @@
+/**
+ * Slide Revision Service
+ * Versioning for co-edited slides. Every saved change bumps the slide's revision and records,
+ * per field, the revision it last changed in. Editors send the revision their copy is based on
+ * (baseRevision) with only the fields they changed, so concurrent edits to different fields of
+ * the same slide merge, while a field someone else changed in the meantime is a conflict
+ * instead of a silent overwrite.
+ */
+
+// Order follows the slide list and type never changes after creation, so neither can conflict
+const UNTRACKED_FIELDS = ['order', 'type', 'revision', 'fieldRevisions'];
+
+const toComparable = (value) => {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Compare a stored slide value with an incoming one, ignoring Mongoose wrappers
+ * @param {any} stored
+ * @param {any} incoming
+ * @returns {boolean}
+ */
+function isSameValue(stored, incoming) {
+  return JSON.stringify(toComparable(stored)) === JSON.stringify(toComparable(incoming));
+}
+
+/**
+ * Slide fields of an update request that are tracked for conflicts
+ * @param {Object} slide - Slide document
+ * @param {Object} changes - Request body
+ * @returns {string[]}
+ */
+function getTrackedFields(slide, changes) {
+  return Object.keys(changes || {})
+    .filter(field => changes[field] !== undefined && !UNTRACKED_FIELDS.includes(field))
+    .filter(field => slide.schema.pathType(field) !== 'adhocOrUndefined');
+}
+
+function getFieldRevision(slide, field) {
+  const revisions = slide.fieldRevisions;
+  if (!revisions) return 0;
+  return (typeof revisions.get === 'function' ? revisions.get(field) : revisions[field]) || 0;
+}
+
+/**
+ * Find fields that were changed by someone else since the editor's base revision
+ * and that the update would overwrite with a different value
+ * @param {Object} slide - Slide document
+ * @param {Object} changes - Request body
+ * @param {number|undefined} baseRevision - Revision the editor's copy is based on; without it nothing conflicts
+ * @returns {string[]} Conflicting field names
+ */
+function findConflicts(slide, changes, baseRevision) {
+  if (typeof baseRevision !== 'number' || baseRevision >= (slide.revision || 0)) {
+    return [];
+  }
+
+  return getTrackedFields(slide, changes).filter(field =>
+    getFieldRevision(slide, field) > baseRevision && !isSameValue(slide.get(field), changes[field])
+  );
+}
+
+/**
+ * Fields of an update that differ from the stored slide
+ * @param {Object} slide - Slide document, before the update is applied
+ * @param {Object} changes - Request body
+ * @returns {string[]}
+ */
+function getChangedFields(slide, changes) {
+  return getTrackedFields(slide, changes).filter(field => !isSameValue(slide.get(field), changes[field]));
+}
+
+/**
+ * Bump the slide's revision for a set of changed fields
+ * @param {Object} slide - Slide document
+ * @param {string[]} changedFields
+ * @returns {boolean} Whether the revision changed
+ */
+function recordRevision(slide, changedFields) {
+  if (!changedFields.length) {
+    return false;
+  }
+
+  const revision = (slide.revision || 0) + 1;
+  slide.revision = revision;
+  if (!slide.fieldRevisions) {
+    slide.fieldRevisions = new Map();
+  }
+  changedFields.forEach(field => slide.fieldRevisions.set(field, revision));
+  return true;
+}
+
+module.exports = {
+  isSameValue,
+  getTrackedFields,
+  findConflicts,
+  getChangedFields,
+  recordRevision
+};
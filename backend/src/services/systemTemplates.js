@@ -0,0 +1,138 @@
+/**
+ * System Templates
+ * Built-in decks offered to every user in the template gallery.
+ * Slides use the portable bundle format (see presentationBundleService): keys link slides together
+ * and every ID is regenerated when a presentation is created from the template.
+ */
+
+const quizSlide = (key, question, options, correctOptionId) => ({
+  key,
+  type: 'quiz',
+  question,
+  quizSettings: {
+    options,
+    correctOptionId,
+    timeLimit: 30,
+    points: 1000
+  }
+});
+
+const SYSTEM_TEMPLATES = [
+  {
+    id: 'icebreaker',
+    category: 'icebreaker',
+    title: 'Icebreaker',
+    description: 'Warm up the room with quick, low-stakes questions before the main session.',
+    slides: [
+      { key: 'mood', type: 'word_cloud', question: 'In one word, how are you feeling today?', maxWordsPerParticipant: 1 },
+      { key: 'drink', type: 'multiple_choice', question: 'Coffee or tea?', options: ['Coffee', 'Tea', 'Both', 'Neither'] },
+      { key: 'fact', type: 'open_ended', question: 'Share a fun fact about yourself', openEndedSettings: { isVotingEnabled: true } },
+      { key: 'energy', type: 'scales', question: 'How much energy do you have right now?', minValue: 1, maxValue: 10, minLabel: 'Running on empty', maxLabel: 'Fully charged', statements: ['Energy level'] },
+      { key: 'questions', type: 'qna', question: 'What would you like to ask the group?', qnaSettings: { allowMultiple: true } }
+    ]
+  },
+  {
+    id: 'retrospective',
+    category: 'retrospective',
+    title: 'Retrospective',
+    description: 'Look back on a sprint or project: what went well, what to improve and what to focus on next.',
+    slides: [
+      { key: 'intro', type: 'text', question: 'Retrospective', textContent: 'Be honest, be kind, focus on the process rather than people.' },
+      { key: 'rating', type: 'scales', question: 'How did it go?', minValue: 1, maxValue: 5, minLabel: 'Poorly', maxLabel: 'Great', statements: ['Overall', 'Collaboration', 'Delivery'] },
+      { key: 'went_well', type: 'open_ended', question: 'What went well?', openEndedSettings: { isVotingEnabled: true } },
+      { key: 'improve', type: 'open_ended', question: 'What could be improved?', openEndedSettings: { isVotingEnabled: true } },
+      {
+        key: 'focus',
+        type: 'ranking',
+        question: 'What should we focus on next?',
+        rankingItems: [
+          { id: 'communication', label: 'Communication' },
+          { id: 'planning', label: 'Planning' },
+          { id: 'quality', label: 'Quality' },
+          { id: 'tooling', label: 'Tooling' }
+        ]
+      },
+      { key: 'next', type: 'word_cloud', question: 'One word for the next iteration', maxWordsPerParticipant: 1 }
+    ]
+  },
+  {
+    id: 'course_evaluation',
+    category: 'course_evaluation',
+    title: 'Course evaluation',
+    description: 'Collect structured feedback at the end of a course or training.',
+    slides: [
+      {
+        key: 'statements',
+        type: 'scales',
+        question: 'How much do you agree with these statements?',
+        minValue: 1,
+        maxValue: 5,
+        minLabel: 'Strongly disagree',
+        maxLabel: 'Strongly agree',
+        statements: ['The course met its objectives', 'The materials were useful', 'The pace was right', 'The instructor was engaging']
+      },
+      {
+        key: 'learning',
+        type: 'hundred_points',
+        question: 'Split 100 points across what helped you learn the most',
+        hundredPointsItems: [
+          { id: 'lectures', label: 'Lectures' },
+          { id: 'exercises', label: 'Exercises' },
+          { id: 'reading', label: 'Reading material' },
+          { id: 'group_work', label: 'Group work' }
+        ]
+      },
+      { key: 'recommend', type: 'multiple_choice', question: 'Would you recommend this course to a colleague?', options: ['Yes', 'Maybe', 'No'] },
+      { key: 'change', type: 'open_ended', question: 'What should we change next time?' }
+    ]
+  },
+  {
+    id: 'pub_quiz',
+    category: 'pub_quiz',
+    title: 'Pub quiz',
+    description: 'A general knowledge quiz with timed questions and a leaderboard.',
+    slides: [
+      { key: 'welcome', type: 'text', question: 'Welcome to the pub quiz!', textContent: 'Answer fast: quicker correct answers earn more points.' },
+      quizSlide('planet', 'Which planet is known as the Red Planet?', [
+        { id: 'a', text: 'Venus' },
+        { id: 'b', text: 'Mars' },
+        { id: 'c', text: 'Jupiter' },
+        { id: 'd', text: 'Mercury' }
+      ], 'b'),
+      quizSlide('hexagon', 'How many sides does a hexagon have?', [
+        { id: 'a', text: '5' },
+        { id: 'b', text: '6' },
+        { id: 'c', text: '7' },
+        { id: 'd', text: '8' }
+      ], 'b'),
+      quizSlide('gold', 'What is the chemical symbol for gold?', [
+        { id: 'a', text: 'Ag' },
+        { id: 'b', text: 'Gd' },
+        { id: 'c', text: 'Au' },
+        { id: 'd', text: 'Go' }
+      ], 'c'),
+      quizSlide('ocean', 'Which is the largest ocean on Earth?', [
+        { id: 'a', text: 'Atlantic' },
+        { id: 'b', text: 'Indian' },
+        { id: 'c', text: 'Arctic' },
+        { id: 'd', text: 'Pacific' }
+      ], 'd'),
+      quizSlide('painter', 'Who painted the Mona Lisa?', [
+        { id: 'a', text: 'Leonardo da Vinci' },
+        { id: 'b', text: 'Michelangelo' },
+        { id: 'c', text: 'Raphael' },
+        { id: 'd', text: 'Vincent van Gogh' }
+      ], 'a'),
+      {
+        key: 'leaderboard',
+        type: 'leaderboard',
+        question: 'Final leaderboard',
+        leaderboardSettings: { linkedQuizSlideKey: 'painter', isAutoGenerated: true, displayCount: 10 }
+      }
+    ]
+  }
+];
+
+module.exports = {
+  SYSTEM_TEMPLATES
+};
@@ -0,0 +1,282 @@
+const { randomUUID } = require('crypto');
+const Presentation = require('../models/Presentation');
+const ParticipantScore = require('../models/ParticipantScore');
+const { runFilter } = require('./runService');
+const Logger = require('../utils/logger');
+
+/**
+ * Team Service
+ * Team mode for quizzes: team assignment on join, live team balance and team leaderboards
+ *
+ * Team scores aggregate the totals of the team's scored participants:
+ * - sum: total of all member scores
+ * - average: mean member score
+ * - top_n: total of the best teamSettings.topN member scores
+ */
+
+const TEAM_ASSIGNMENT_MODES = ['auto', 'choose'];
+const TEAM_AGGREGATIONS = ['sum', 'average', 'top_n'];
+const MAX_TEAMS = 20;
+
+/**
+ * Validate and normalize team settings from a request body
+ * @param {Object} input - Requested team settings
+ * @returns {Object} Normalized team settings
+ * @throws {Error} If the settings are invalid
+ */
+function normalizeTeamSettings(input = {}) {
+  const settings = input || {};
+  const enabled = Boolean(settings.enabled);
+
+  const teams = (Array.isArray(settings.teams) ? settings.teams : [])
+    .map((team) => {
+      const name = typeof team?.name === 'string' ? team.name.trim() : '';
+      if (!name) return null;
+      return {
+        id: typeof team.id === 'string' && team.id.trim() ? team.id.trim() : randomUUID(),
+        name: name.slice(0, 50),
+        color: typeof team.color === 'string' ? team.color.trim() : ''
+      };
+    })
+    .filter(Boolean);
+
+  if (enabled && teams.length < 2) {
+    throw new Error('Team mode needs at least 2 teams');
+  }
+  if (teams.length > MAX_TEAMS) {
+    throw new Error(`Team mode supports up to ${MAX_TEAMS} teams`);
+  }
+  if (new Set(teams.map(team => team.id)).size !== teams.length) {
+    throw new Error('Team IDs must be unique');
+  }
+
+  const topN = parseInt(settings.topN, 10);
+
+  return {
+    enabled,
+    assignment: TEAM_ASSIGNMENT_MODES.includes(settings.assignment) ? settings.assignment : 'auto',
+    aggregation: TEAM_AGGREGATIONS.includes(settings.aggregation) ? settings.aggregation : 'sum',
+    topN: Number.isInteger(topN) && topN > 0 ? Math.min(topN, 50) : 3,
+    teams
+  };
+}
+
+/**
+ * Get the team settings of a presentation if team mode is enabled
+ * @param {Object|string} presentation - Presentation document/object or presentation ID
+ * @returns {Promise<Object|null>} Team settings, or null when team mode is off
+ */
+async function getTeamSettings(presentation) {
+  let teamSettings = presentation?.teamSettings;
+
+  if (teamSettings === undefined) {
+    const doc = await Presentation.findById(presentation).select('teamSettings').lean();
+    teamSettings = doc?.teamSettings;
+  }
+
+  if (!teamSettings || !teamSettings.enabled || !Array.isArray(teamSettings.teams) || teamSettings.teams.length === 0) {
+    return null;
+  }
+  return typeof teamSettings.toObject === 'function' ? teamSettings.toObject() : teamSettings;
+}
+
+function findTeam(teamSettings, teamId) {
+  return teamSettings?.teams?.find(team => team.id === teamId) || null;
+}
+
+function countMembers(teamSettings, participants = {}) {
+  const counts = new Map(teamSettings.teams.map(team => [team.id, 0]));
+  Object.values(participants).forEach((participant) => {
+    if (counts.has(participant.teamId)) {
+      counts.set(participant.teamId, counts.get(participant.teamId) + 1);
+    }
+  });
+  return counts;
+}
+
+/**
+ * Pick the team for a joining participant
+ * Keeps a valid current team, honours the requested team when participants may choose,
+ * and otherwise assigns the team with the fewest members.
+ * @param {Object} teamSettings
+ * @param {Object} participants - Presentation session participants (participantKey -> { teamId })
+ * @param {Object} options
+ * @param {string} options.currentTeamId - Team the participant is already in (optional)
+ * @param {string} options.requestedTeamId - Team the participant picked (optional)
+ * @returns {string} Team ID
+ */
+function pickTeam(teamSettings, participants = {}, { currentTeamId = null, requestedTeamId = null } = {}) {
+  if (teamSettings.assignment === 'choose' && findTeam(teamSettings, requestedTeamId)) {
+    return requestedTeamId;
+  }
+  if (findTeam(teamSettings, currentTeamId)) {
+    return currentTeamId;
+  }
+
+  const counts = countMembers(teamSettings, participants);
+  return teamSettings.teams.reduce((smallest, team) => (
+    counts.get(team.id) < counts.get(smallest.id) ? team : smallest
+  ), teamSettings.teams[0]).id;
+}
+
+/**
+ * Build the live team balance for the presenter
+ * @param {Object} teamSettings
+ * @param {Object|null} entry - Presentation session entry
+ * @returns {{teams: Array, unassignedCount: number}}
+ */
+function getTeamBalance(teamSettings, entry) {
+  const participants = Object.values(entry?.participants || {});
+
+  const teams = teamSettings.teams.map((team) => {
+    const members = participants.filter(participant => participant.teamId === team.id);
+    return {
+      id: team.id,
+      name: team.name,
+      color: team.color,
+      participantCount: members.length,
+      participants: members.map(member => member.name)
+    };
+  });
+
+  return {
+    teams,
+    unassignedCount: participants.filter(participant => !findTeam(teamSettings, participant.teamId)).length
+  };
+}
+
+/**
+ * Aggregate member scores into ranked team rows
+ * @param {Object} teamSettings
+ * @param {Array<{teamId: string, totalScore: number}>} members - Scored participants
+ * @returns {Array} Team leaderboard rows
+ */
+function aggregateTeamScores(teamSettings, members = []) {
+  const rows = teamSettings.teams.map((team) => {
+    const scores = members
+      .filter(member => member.teamId === team.id)
+      .map(member => member.totalScore)
+      .sort((a, b) => b - a);
+
+    let totalScore = 0;
+    if (scores.length > 0) {
+      if (teamSettings.aggregation === 'average') {
+        totalScore = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+      } else if (teamSettings.aggregation === 'top_n') {
+        totalScore = scores.slice(0, teamSettings.topN || 3).reduce((sum, score) => sum + score, 0);
+      } else {
+        totalScore = scores.reduce((sum, score) => sum + score, 0);
+      }
+    }
+
+    return {
+      teamId: team.id,
+      teamName: team.name,
+      color: team.color,
+      totalScore,
+      memberCount: scores.length
+    };
+  });
+
+  return rows
+    .sort((a, b) => {
+      if (b.totalScore !== a.totalScore) return b.totalScore - a.totalScore;
+      return a.teamName.localeCompare(b.teamName);
+    })
+    .map((row, index) => ({ rank: index + 1, ...row }));
+}
+
+/**
+ * Get the current team leaderboard of a presentation
+ * @param {string} presentationId
+ * @param {Object} teamSettings
+ * @param {string|null} runId - Live run (null outside live runs)
+ * @returns {Promise<Array>} Team leaderboard rows
+ */
+async function getTeamLeaderboard(presentationId, teamSettings, runId = null) {
+  try {
+    const participants = await ParticipantScore.find({ presentationId, ...runFilter(runId), teamId: { $ne: null } })
+      .select('teamId totalScore')
+      .lean();
+    return aggregateTeamScores(teamSettings, participants);
+  } catch (error) {
+    Logger.error('Error fetching team leaderboard', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a participant's team on their score document (if they have one yet)
+ * @param {string} presentationId
+ * @param {string} participantId
+ * @param {string} teamId
+ * @param {string|null} runId - Live run (null outside live runs)
+ */
+async function setParticipantScoreTeam(presentationId, participantId, teamId, runId = null) {
+  try {
+    await ParticipantScore.updateOne({ presentationId, ...runFilter(runId), participantId }, { $set: { teamId } });
+  } catch (error) {
+    Logger.error('Error updating participant team', error);
+    throw error;
+  }
+}
+
+/**
+ * Build cumulative team leaderboards after each quiz slide
+ * @param {string} presentationId
+ * @param {Object} teamSettings
+ * @param {Array} quizSlides - Ordered quiz slides
+ * @param {string|null} runId - Run to rank (see runService.runFilter; all runs when omitted)
+ * @returns {Promise<Object>} - { leaderboardsBySlide, finalLeaderboard }
+ */
+async function getCumulativeTeamLeaderboards(presentationId, teamSettings, quizSlides = [], runId) {
+  try {
+    const participants = await ParticipantScore.find({ presentationId, ...runFilter(runId), teamId: { $ne: null } })
+      .select('teamId quizScores')
+      .lean();
+
+    const totals = new Map();
+    const leaderboardsBySlide = {};
+    let finalLeaderboard = aggregateTeamScores(teamSettings, []);
+
+    for (const quiz of quizSlides) {
+      const quizId = quiz?._id?.toString?.();
+      if (!quizId) continue;
+
+      participants.forEach((participant) => {
+        const quizEntry = (participant.quizScores || []).find(q => q.slideId.toString() === quizId);
+        if (quizEntry) {
+          totals.set(participant, (totals.get(participant) || 0) + quizEntry.score);
+        }
+      });
+
+      // Only participants who have answered one of the quizzes so far count towards their team
+      const members = Array.from(totals.entries()).map(([participant, total]) => ({
+        teamId: participant.teamId,
+        totalScore: Math.max(0, total)
+      }));
+
+      finalLeaderboard = aggregateTeamScores(teamSettings, members);
+      leaderboardsBySlide[quizId] = finalLeaderboard;
+    }
+
+    return { leaderboardsBySlide, finalLeaderboard };
+  } catch (error) {
+    Logger.error('Error building cumulative team leaderboards', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  TEAM_ASSIGNMENT_MODES,
+  TEAM_AGGREGATIONS,
+  normalizeTeamSettings,
+  getTeamSettings,
+  findTeam,
+  pickTeam,
+  getTeamBalance,
+  aggregateTeamScores,
+  getTeamLeaderboard,
+  setParticipantScoreTeam,
+  getCumulativeTeamLeaderboards
+};
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const PresentationTemplate = require('../models/PresentationTemplate');
+const Slide = require('../models/Slide');
+const presentationBundleService = require('./presentationBundleService');
+const cloudinaryService = require('./cloudinaryService');
+const { SYSTEM_TEMPLATES } = require('./systemTemplates');
+const Logger = require('../utils/logger');
+
+/**
+ * Template Service
+ * Template gallery: system templates, templates an institution admin publishes to the institution's
+ * users and templates users save from their own presentations.
+ *
+ * Templates are stored as presentation bundles, so creating a presentation from a template goes
+ * through presentationBundleService.createFromBundle() like a bundle import (new IDs, no responses).
+ * Media is copied into the template when it is saved, so the template keeps working after the
+ * source presentation changes.
+ */
+
+const TEMPLATE_MEDIA_FOLDER = 'inavora/templates';
+
+function toSystemBundle(template) {
+  return {
+    format: presentationBundleService.BUNDLE_FORMAT,
+    version: presentationBundleService.BUNDLE_VERSION,
+    presentation: { title: template.title, showResults: true },
+    slides: template.slides,
+    media: []
+  };
+}
+
+function summarizeSystemTemplate(template) {
+  return {
+    id: template.id,
+    scope: 'system',
+    category: template.category,
+    title: template.title,
+    description: template.description,
+    slideCount: template.slides.length
+  };
+}
+
+function summarizeTemplate(template) {
+  return {
+    id: template._id,
+    scope: template.scope,
+    category: 'custom',
+    title: template.title,
+    description: template.description,
+    slideCount: template.slideCount,
+    createdBy: template.createdBy,
+    createdAt: template.createdAt
+  };
+}
+
+/**
+ * List the templates a user can start from
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { system, institution, mine }
+ */
+async function listTemplatesForUser(user) {
+  const projection = '-bundle';
+  const [mine, institution] = await Promise.all([
+    PresentationTemplate.find({ scope: 'user', userId: user._id }).select(projection).sort({ createdAt: -1 }).lean(),
+    user.institutionId
+      ? PresentationTemplate.find({ scope: 'institution', institutionId: user.institutionId }).select(projection).sort({ createdAt: -1 }).lean()
+      : []
+  ]);
+
+  return {
+    system: SYSTEM_TEMPLATES.map(summarizeSystemTemplate),
+    institution: institution.map(summarizeTemplate),
+    mine: mine.map(summarizeTemplate)
+  };
+}
+
+/**
+ * List the templates an institution has published
+ * @param {string} institutionId - Institution ID
+ * @returns {Promise<Array>} Template summaries
+ */
+async function listInstitutionTemplates(institutionId) {
+  const templates = await PresentationTemplate.find({ scope: 'institution', institutionId })
+    .select('-bundle')
+    .sort({ createdAt: -1 })
+    .lean();
+  return templates.map(summarizeTemplate);
+}
+
+/**
+ * Get a template the user is allowed to use
+ * @param {string} templateId - System template ID or stored template ID
+ * @param {Object} user - User document
+ * @returns {Promise<Object|null>} { title, bundle } or null when missing or not visible to the user
+ */
+async function getTemplateForUser(templateId, user) {
+  const systemTemplate = SYSTEM_TEMPLATES.find(template => template.id === templateId);
+  if (systemTemplate) {
+    return { title: systemTemplate.title, bundle: toSystemBundle(systemTemplate) };
+  }
+  if (!mongoose.Types.ObjectId.isValid(templateId)) {
+    return null;
+  }
+
+  const template = await PresentationTemplate.findById(templateId).lean();
+  if (!template) return null;
+
+  const isOwner = template.scope === 'user' && String(template.userId) === String(user._id);
+  const isShared = template.scope === 'institution' && user.institutionId && String(template.institutionId) === String(user.institutionId);
+  if (!isOwner && !isShared) return null;
+
+  return { title: template.title, bundle: template.bundle };
+}
+
+// Copy the bundle's uploaded media so the template does not depend on the source presentation
+async function copyTemplateMedia(bundle) {
+  const slidesByKey = new Map(bundle.slides.map(slide => [slide.key, slide]));
+  const media = [];
+
+  for (const entry of bundle.media) {
+    const slide = slidesByKey.get(entry.slideKey);
+    try {
+      const { url } = await cloudinaryService.copyRemoteMedia(entry.url, entry.resourceType, TEMPLATE_MEDIA_FOLDER);
+      const keys = entry.path.split('.');
+      const last = keys.pop();
+      keys.reduce((target, key) => target[key], slide)[last] = url;
+      media.push({ ...entry, url });
+    } catch (error) {
+      // The template keeps linking to the original file
+      Logger.warn(`Template media copy failed for ${entry.url}`, error.message);
+      media.push(entry);
+    }
+  }
+
+  return { ...bundle, media };
+}
+
+/**
+ * Save a presentation as a template
+ * @param {Object} params
+ * @param {Object} params.presentation - Source presentation document
+ * @param {string} params.title - Template title (defaults to the presentation title)
+ * @param {string} params.description - Template description
+ * @param {string} params.scope - 'user' or 'institution'
+ * @param {string} params.userId - Owner (user templates)
+ * @param {string} params.institutionId - Institution the template is published to (institution templates)
+ * @param {string} params.createdBy - Email of the user or admin saving the template
+ * @returns {Promise<Object>} Template summary
+ */
+async function createTemplateFromPresentation({ presentation, title, description = '', scope, userId = null, institutionId = null, createdBy = '' }) {
+  const slides = await Slide.find({ presentationId: presentation._id }).sort({ order: 1 });
+  if (slides.length === 0) {
+    throw new Error('Add at least one slide before saving the presentation as a template');
+  }
+
+  const bundle = await copyTemplateMedia(presentationBundleService.buildBundle(presentation, slides));
+  const template = await PresentationTemplate.create({
+    title: (title || presentation.title).trim(),
+    description,
+    scope,
+    userId,
+    institutionId,
+    sourcePresentationId: presentation._id,
+    createdBy,
+    slideCount: slides.length,
+    bundle
+  });
+
+  return summarizeTemplate(template);
+}
+
+/**
+ * Snapshot a presentation for duplication (slides and settings, no responses)
+ * @param {Object} presentation - Presentation document
+ * @param {string} title - Title of the copy
+ * @returns {Promise<Object>} Bundle for presentationBundleService.createFromBundle()
+ */
+async function buildDuplicateBundle(presentation, title) {
+  const slides = await Slide.find({ presentationId: presentation._id }).sort({ order: 1 });
+  const bundle = presentationBundleService.buildBundle(presentation, slides);
+  bundle.presentation.title = title;
+  return bundle;
+}
+
+module.exports = {
+  listTemplatesForUser,
+  listInstitutionTemplates,
+  getTemplateForUser,
+  createTemplateFromPresentation,
+  buildDuplicateBundle
+};
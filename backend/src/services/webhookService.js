@@ -0,0 +1,490 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Institution = require('../models/Institution');
+const User = require('../models/User');
+const Presentation = require('../models/Presentation');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Logger = require('../utils/logger');
+
+/**
+ * Webhook Service
+ * Dispatches institution webhooks, signs payloads and retries failed deliveries
+ */
+
+const WEBHOOK_EVENTS = [
+  'presentation.created',
+  'presentation.started',
+  'presentation.ended',
+  'response.submitted',
+  'quiz.ended',
+  'user.added',
+  'user.removed',
+  'subscription.renewed'
+];
+
+// Delay before each retry; a delivery is given up after the last one fails
+const RETRY_DELAYS_MS = [
+  60 * 1000,            // 1 minute
+  5 * 60 * 1000,        // 5 minutes
+  30 * 60 * 1000,       // 30 minutes
+  2 * 60 * 60 * 1000,   // 2 hours
+  6 * 60 * 60 * 1000    // 6 hours
+];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_STORED_RESPONSE_LENGTH = 2000;
+// A delivery is claimed for this long before it is sent, so no other attempt (another
+// instance's retry worker, or the immediate first attempt) sends it meanwhile. If the
+// process dies mid-attempt, the delivery is retried once the lease runs out.
+const DELIVERY_LEASE_MS = 2 * 60 * 1000;
+// How long presentation details and institution subscriptions are cached
+const CONTEXT_CACHE_TTL_MS = 60 * 1000;
+// Expired cache entries are swept once a cache grows past this size
+const CONTEXT_CACHE_SWEEP_SIZE = 1000;
+
+let isProcessingPending = false;
+// presentationId -> { value: { _id, userId, title, accessCode }, expiresAt }
+const presentationCache = new Map();
+// institutionId -> { value: subscribed events, expiresAt }
+const subscriptionCache = new Map();
+
+/**
+ * Generate a random signing secret for a webhook
+ * @returns {string}
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Sign a payload the same way receivers are expected to verify it:
+ * HMAC-SHA256 of `${timestamp}.${body}` keyed with the webhook secret
+ * @param {string} secret
+ * @param {string|number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Hex digest
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+function isValidWebhookUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function getRetryDelay(attempts) {
+  return RETRY_DELAYS_MS[Math.min(attempts - 1, RETRY_DELAYS_MS.length - 1)];
+}
+
+/**
+ * Claim a due pending delivery for one attempt
+ * @param {string} deliveryId
+ * @returns {Promise<Object|null>} - Claimed delivery, or null when it is not due or already claimed
+ */
+async function claimDelivery(deliveryId) {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + DELIVERY_LEASE_MS) } },
+    { new: true }
+  );
+}
+
+/**
+ * Claim a delivery and send it; does nothing when another attempt holds it
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Promise<Object|null>} - Updated delivery, or null when it was not claimed
+ */
+async function claimAndAttemptDelivery(delivery) {
+  const claimed = await claimDelivery(delivery._id);
+  return claimed ? attemptDelivery(claimed) : null;
+}
+
+/**
+ * Send a delivery once and record the outcome on the delivery document.
+ * Callers claim the delivery first (see claimDelivery).
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Promise<Object>} - Updated delivery
+ */
+async function attemptDelivery(delivery) {
+  const institution = await Institution.findById(delivery.institutionId).select('webhooks isActive');
+  const webhook = institution?.webhooks?.find(w => w.id === delivery.webhookId);
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  if (!institution || !institution.isActive || !webhook || webhook.active === false) {
+    delivery.status = 'failed';
+    delivery.error = 'Webhook is no longer active';
+    delivery.nextAttemptAt = null;
+    await delivery.save();
+    return delivery;
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'Inavora-Webhooks/1.0',
+    'X-Inavora-Event': delivery.event,
+    'X-Inavora-Delivery': delivery._id.toString(),
+    'X-Inavora-Timestamp': String(timestamp)
+  };
+  if (webhook.secret) {
+    headers['X-Inavora-Signature'] = `sha256=${signPayload(webhook.secret, timestamp, delivery.payload)}`;
+  }
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body: delivery.payload,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const responseText = await response.text().catch(() => '');
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = responseText.slice(0, MAX_STORED_RESPONSE_LENGTH);
+
+    if (response.ok) {
+      delivery.status = 'success';
+      delivery.error = null;
+      delivery.deliveredAt = new Date();
+      delivery.nextAttemptAt = null;
+      await delivery.save();
+      return delivery;
+    }
+
+    delivery.error = `Endpoint responded with HTTP ${response.status}`;
+  } catch (error) {
+    delivery.responseStatus = null;
+    delivery.responseBody = null;
+    delivery.error = error.name === 'TimeoutError'
+      ? `Request timed out after ${REQUEST_TIMEOUT_MS / 1000}s`
+      : (error.message || 'Request failed');
+  }
+
+  if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    Logger.warn(`Webhook delivery ${delivery._id} failed after ${delivery.attempts} attempts: ${delivery.error}`);
+  } else {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts));
+  }
+
+  await delivery.save();
+  return delivery;
+}
+
+/**
+ * Queue and send an event to every active webhook of an institution subscribed to it.
+ * Never throws: webhook problems must not break the action that triggered them.
+ * @param {string} institutionId
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event-specific data
+ * @returns {Promise<Array>} - Created deliveries
+ */
+async function dispatchEvent(institutionId, event, data = {}) {
+  try {
+    if (!institutionId || !WEBHOOK_EVENTS.includes(event)) {
+      return [];
+    }
+
+    const institution = await Institution.findById(institutionId).select('webhooks isActive').lean();
+    if (!institution || !institution.isActive) {
+      return [];
+    }
+
+    const targets = (institution.webhooks || []).filter(webhook =>
+      webhook.active !== false &&
+      webhook.url &&
+      Array.isArray(webhook.events) &&
+      webhook.events.includes(event)
+    );
+
+    if (targets.length === 0) {
+      return [];
+    }
+
+    const createdAt = new Date();
+    const deliveries = await Promise.all(targets.map(webhook => {
+      const deliveryId = new mongoose.Types.ObjectId();
+      const payload = JSON.stringify({
+        id: deliveryId.toString(),
+        event,
+        createdAt: createdAt.toISOString(),
+        institutionId: institutionId.toString(),
+        data
+      });
+
+      return WebhookDelivery.create({
+        _id: deliveryId,
+        institutionId,
+        webhookId: webhook.id,
+        event,
+        url: webhook.url,
+        payload,
+        nextAttemptAt: createdAt
+      });
+    }));
+
+    // First attempt happens right away; failures are picked up by processPendingDeliveries
+    deliveries.forEach(delivery => {
+      claimAndAttemptDelivery(delivery).catch(error => {
+        Logger.error(`Webhook delivery ${delivery._id} attempt failed`, error);
+      });
+    });
+
+    return deliveries;
+  } catch (error) {
+    Logger.error(`Failed to dispatch webhook event ${event}`, error);
+    return [];
+  }
+}
+
+/**
+ * Dispatch an event on behalf of a user, if that user belongs to an institution
+ * @param {string|Object} userOrId - User document or ID
+ * @param {string} event
+ * @param {Object} data
+ */
+async function dispatchUserEvent(userOrId, event, data = {}) {
+  try {
+    let institutionId = userOrId?.institutionId;
+    if (institutionId === undefined) {
+      const user = await User.findById(userOrId).select('institutionId').lean();
+      institutionId = user?.institutionId;
+    }
+    if (!institutionId) {
+      return [];
+    }
+    return await dispatchEvent(institutionId, event, data);
+  } catch (error) {
+    Logger.error(`Failed to dispatch webhook event ${event} for user`, error);
+    return [];
+  }
+}
+
+/**
+ * Get the cached value of a key, or load and cache it
+ * @param {Map} cache
+ * @param {string} key
+ * @param {Function} load - Returns the value to cache
+ */
+async function getCached(cache, key, load) {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+  const value = await load();
+  if (cache.size >= CONTEXT_CACHE_SWEEP_SIZE) {
+    const now = Date.now();
+    cache.forEach((entry, entryKey) => {
+      if (entry.expiresAt <= now) {
+        cache.delete(entryKey);
+      }
+    });
+  }
+  cache.set(key, { value, expiresAt: Date.now() + CONTEXT_CACHE_TTL_MS });
+  return value;
+}
+
+/**
+ * Events the active webhooks of an institution subscribe to (cached briefly)
+ * @param {string} institutionId
+ * @returns {Promise<Array>}
+ */
+async function getSubscribedEvents(institutionId) {
+  return getCached(subscriptionCache, String(institutionId), async () => {
+    const institution = await Institution.findById(institutionId).select('webhooks isActive').lean();
+    if (!institution?.isActive) {
+      return [];
+    }
+    return [...new Set((institution.webhooks || [])
+      .filter(webhook => webhook.active !== false && Array.isArray(webhook.events))
+      .flatMap(webhook => webhook.events))];
+  });
+}
+
+/**
+ * Forget cached subscriptions after an institution's webhooks change
+ * @param {string} institutionId
+ */
+function clearSubscriptionCache(institutionId) {
+  subscriptionCache.delete(String(institutionId));
+}
+
+/**
+ * Dispatch an event for a presentation owned by an institution user
+ * @param {string|Object} presentationOrId - Presentation document or ID
+ * @param {string} event
+ * @param {Object} data - Merged with basic presentation details
+ */
+async function dispatchPresentationEvent(presentationOrId, event, data = {}) {
+  try {
+    // Presentation details are cached: events such as response.submitted fire for every answer
+    const presentation = presentationOrId?.userId
+      ? presentationOrId
+      : await getCached(presentationCache, String(presentationOrId), () =>
+        Presentation.findById(presentationOrId).select('userId title accessCode').lean()
+      );
+    if (!presentation) {
+      return [];
+    }
+
+    // Membership is read every time so users moving between institutions take effect at once
+    const owner = await User.findById(presentation.userId).select('institutionId').lean();
+    if (!owner?.institutionId) {
+      return [];
+    }
+
+    // Skip the institution lookup when no webhook listens for the event
+    if (!(await getSubscribedEvents(owner.institutionId)).includes(event)) {
+      return [];
+    }
+
+    return await dispatchEvent(owner.institutionId, event, {
+      presentationId: presentation._id.toString(),
+      title: presentation.title,
+      accessCode: presentation.accessCode,
+      ...data
+    });
+  } catch (error) {
+    Logger.error(`Failed to dispatch webhook event ${event} for presentation`, error);
+    return [];
+  }
+}
+
+/**
+ * Retry deliveries whose backoff has elapsed, and send deliveries whose first
+ * attempt never ran. Called periodically from server.js.
+ * @param {number} batchSize
+ * @returns {Promise<Object>} - { processed }
+ */
+async function processPendingDeliveries(batchSize = 50) {
+  if (isProcessingPending) {
+    return { processed: 0 };
+  }
+  isProcessingPending = true;
+
+  try {
+    const due = await WebhookDelivery.find({
+      status: 'pending',
+      nextAttemptAt: { $lte: new Date() }
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(batchSize);
+
+    let processed = 0;
+    for (const delivery of due) {
+      try {
+        // Every instance runs this worker; only the one that claims a delivery sends it
+        if (await claimAndAttemptDelivery(delivery)) {
+          processed += 1;
+        }
+      } catch (error) {
+        Logger.error(`Webhook delivery ${delivery._id} retry failed`, error);
+      }
+    }
+
+    return { processed };
+  } finally {
+    isProcessingPending = false;
+  }
+}
+
+/**
+ * Get the delivery log of a webhook
+ * @param {string} institutionId
+ * @param {string} webhookId
+ * @param {Object} options
+ * @param {string} options.status - Optional status filter
+ * @param {number} options.limit - Max entries (default 50, max 200)
+ * @returns {Promise<Array>}
+ */
+async function getDeliveries(institutionId, webhookId, { status, limit = 50 } = {}) {
+  const query = { institutionId, webhookId };
+  if (status && ['pending', 'success', 'failed'].includes(status)) {
+    query.status = status;
+  }
+
+  const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+  const deliveries = await WebhookDelivery.find(query)
+    .sort({ createdAt: -1 })
+    .limit(safeLimit)
+    .lean();
+
+  return deliveries.map(delivery => ({
+    id: delivery._id,
+    webhookId: delivery.webhookId,
+    event: delivery.event,
+    url: delivery.url,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    responseStatus: delivery.responseStatus,
+    responseBody: delivery.responseBody,
+    error: delivery.error,
+    payload: delivery.payload,
+    nextAttemptAt: delivery.nextAttemptAt,
+    lastAttemptAt: delivery.lastAttemptAt,
+    deliveredAt: delivery.deliveredAt,
+    redeliveryOf: delivery.redeliveryOf,
+    createdAt: delivery.createdAt
+  }));
+}
+
+/**
+ * Send a past delivery again with the same payload, as a new delivery
+ * @param {string} institutionId
+ * @param {string} deliveryId
+ * @returns {Promise<Object|null>} - New delivery, or null if the original was not found
+ */
+async function redeliver(institutionId, deliveryId) {
+  if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+    return null;
+  }
+
+  const original = await WebhookDelivery.findOne({ _id: deliveryId, institutionId });
+  if (!original) {
+    return null;
+  }
+
+  const institution = await Institution.findById(institutionId).select('webhooks').lean();
+  const webhook = institution?.webhooks?.find(w => w.id === original.webhookId);
+
+  const delivery = await WebhookDelivery.create({
+    institutionId,
+    webhookId: original.webhookId,
+    event: original.event,
+    url: webhook?.url || original.url,
+    payload: original.payload,
+    redeliveryOf: original._id
+  });
+
+  return (await claimAndAttemptDelivery(delivery)) || delivery;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  isValidWebhookUrl,
+  attemptDelivery,
+  dispatchEvent,
+  dispatchUserEvent,
+  dispatchPresentationEvent,
+  clearSubscriptionCache,
+  processPendingDeliveries,
+  getDeliveries,
+  redeliver
+};
@@ -0,0 +1,405 @@
+/**
+ * Word Cloud Service
+ * Unicode-aware normalization of word cloud answers and the grouping that turns stored
+ * answers into wordFrequencies.
+ *
+ * Words keep their letters, combining marks and digits in any script, so Hindi, Tamil, Arabic,
+ * Chinese or accented words survive intact. Per slide (slide.wordCloudSettings):
+ * - language: picks the stopword list and stemmer for Latin-script words ('auto' uses all of them);
+ *   other scripts always use the lists of the languages written in that script
+ * - removeStopwords: leave out words such as "the", "और" or "的"
+ * - allowPhrases: keep multi-word entries ("machine learning") together
+ * - groupSimilarWords: count forms of a word together (run/runs/running, café/cafe)
+ * - mergedWords / hiddenWords: presenter corrections applied while building results
+ */
+
+const WORD_CLOUD_LANGUAGES = ['auto', 'en', 'es', 'fr', 'pt', 'hi', 'mr', 'bn', 'ta', 'te', 'ar', 'zh'];
+const LATIN_LANGUAGES = ['en', 'es', 'fr', 'pt'];
+
+const MAX_WORD_LENGTH = 20;
+const MAX_PHRASE_WORDS = 3;
+const MAX_PHRASE_LENGTH = 40;
+const MAX_MERGED_GROUPS = 100;
+const MAX_HIDDEN_WORDS = 200;
+
+const STOPWORDS = {
+  en: ['a', 'about', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can',
+    'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'here', 'his', 'how', 'i', 'if',
+    'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'most', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'out',
+    'she', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+    'to', 'too', 'up', 'very', 'was', 'we', 'were', 'what', 'which', 'who', 'will', 'with', 'would', 'you', 'your'],
+  es: ['a', 'al', 'como', 'con', 'de', 'del', 'el', 'en', 'entre', 'es', 'esa', 'ese', 'esta', 'estas', 'este',
+    'estos', 'fue', 'hay', 'la', 'las', 'le', 'les', 'lo', 'los', 'me', 'mi', 'mis', 'muy', 'más', 'no', 'nos', 'o',
+    'para', 'pero', 'por', 'que', 'se', 'ser', 'sin', 'sobre', 'son', 'su', 'sus', 'también', 'te', 'tu', 'tus',
+    'un', 'una', 'unas', 'unos', 'y', 'ya', 'yo'],
+  fr: ['à', 'au', 'aux', 'avec', 'ce', 'ces', 'cet', 'cette', 'comme', 'dans', 'de', 'des', 'du', 'elle', 'elles',
+    'en', 'est', 'et', 'été', 'être', 'il', 'ils', 'je', 'la', 'le', 'les', 'ma', 'mais', 'mes', 'mon', 'ne', 'nous',
+    'on', 'ou', 'par', 'pas', 'plus', 'pour', 'qui', 'que', 'sa', 'sans', 'se', 'ses', 'son', 'sont', 'sur', 'très',
+    'tu', 'un', 'une', 'vous', 'y'],
+  pt: ['a', 'ao', 'aos', 'as', 'com', 'como', 'da', 'das', 'de', 'do', 'dos', 'e', 'é', 'ela', 'elas', 'ele', 'eles',
+    'em', 'essa', 'esse', 'esta', 'este', 'eu', 'foi', 'isso', 'isto', 'mais', 'mas', 'meu', 'minha', 'muito', 'na',
+    'nas', 'no', 'nos', 'nós', 'não', 'o', 'os', 'ou', 'para', 'pela', 'pelo', 'por', 'que', 'se', 'sem', 'ser',
+    'seu', 'seus', 'sua', 'suas', 'são', 'tu', 'um', 'uma', 'umas', 'uns'],
+  hi: ['और', 'एक', 'कर', 'का', 'कि', 'की', 'के', 'को', 'गया', 'जो', 'तुम', 'तो', 'था', 'थी', 'थे', 'नहीं', 'पर', 'भी',
+    'मैं', 'में', 'यह', 'ये', 'या', 'लिए', 'वह', 'वो', 'से', 'हम', 'है', 'हैं', 'हो', 'ही', 'आप'],
+  mr: ['आणि', 'आम्ही', 'आहे', 'आहेत', 'एक', 'किंवा', 'की', 'चा', 'ची', 'चे', 'तर', 'तुम्ही', 'ती', 'ते', 'तो', 'ना',
+    'नाही', 'पण', 'मध्ये', 'मी', 'या', 'ला', 'व', 'वर', 'सुद्धा', 'हा', 'ही', 'हे', 'होता', 'होती', 'होते'],
+  bn: ['আছে', 'আপনি', 'আমরা', 'আমি', 'এই', 'একটা', 'একটি', 'এটা', 'এবং', 'এর', 'ও', 'ওটা', 'কি', 'কিন্তু', 'করে',
+    'ছিল', 'জন্য', 'তার', 'তারা', 'তুমি', 'থেকে', 'দিয়ে', 'না', 'বা', 'যা', 'যে', 'সঙ্গে', 'সে', 'সেই', 'হয়'],
+  ta: ['அது', 'அந்த', 'அல்லது', 'அவன்', 'அவர்', 'அவர்கள்', 'அவள்', 'ஆக', 'ஆனால்', 'இது', 'இந்த', 'இல்', 'இல்லை',
+    'உள்ள', 'என்', 'என்று', 'ஒரு', 'நாம்', 'நான்', 'நீ', 'நீங்கள்', 'போல்', 'மற்றும்', 'மேலும்'],
+  te: ['అతను', 'అది', 'అని', 'ఆ', 'ఆమె', 'ఇది', 'ఈ', 'ఉంది', 'ఒక', 'కానీ', 'కి', 'కు', 'కూడా', 'కోసం', 'చాలా', 'తో',
+    'నుండి', 'నువ్వు', 'నేను', 'మరియు', 'మీరు', 'మేము', 'లేదా', 'లేదు', 'లో', 'వారు'],
+  ar: ['أنا', 'أنت', 'أو', 'إلى', 'ان', 'بعض', 'بين', 'ثم', 'ذلك', 'على', 'عن', 'عند', 'غير', 'في', 'قد', 'كان',
+    'كانت', 'كل', 'لا', 'لكن', 'لم', 'لن', 'ما', 'مع', 'من', 'نحن', 'هذا', 'هذه', 'هم', 'هو', 'هي', 'و', 'يكون',
+    'التي', 'الذي', 'الذين', 'تلك'],
+  zh: ['一个', '不', '了', '他', '他们', '你', '你们', '吗', '吧', '呢', '和', '啊', '在', '她', '它', '就', '很', '我',
+    '我们', '或', '把', '是', '有', '没有', '的', '着', '过', '这', '这个', '那', '那个', '都', '与', '也', '被']
+};
+
+const SCRIPT_LANGUAGES = [
+  { pattern: /\p{Script=Han}/u, languages: ['zh'] },
+  { pattern: /\p{Script=Devanagari}/u, languages: ['hi', 'mr'] },
+  { pattern: /\p{Script=Bengali}/u, languages: ['bn'] },
+  { pattern: /\p{Script=Tamil}/u, languages: ['ta'] },
+  { pattern: /\p{Script=Telugu}/u, languages: ['te'] },
+  { pattern: /\p{Script=Arabic}/u, languages: ['ar'] }
+];
+
+const stopwordSets = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words.map(word => word.normalize('NFC')))])
+);
+
+// Anything that is not a letter, combining mark or digit separates words;
+// apostrophes and hyphens inside a word are kept (don't, l'école, e-mail)
+const SEPARATOR_PATTERN = /[^\p{L}\p{M}\p{N}'\u2019-]+/u;
+const ENTRY_SEPARATOR_PATTERN = /[,;\n、，；]+/;
+
+const DEFAULT_WORD_CLOUD_SETTINGS = {
+  language: 'auto',
+  removeStopwords: true,
+  allowPhrases: false,
+  groupSimilarWords: false,
+  mergedWords: [],
+  hiddenWords: []
+};
+
+/**
+ * Normalize one word: NFC, lowercase, no Arabic diacritics or tatweel, no stray apostrophes/hyphens
+ * @param {string} input
+ * @returns {string} Empty when nothing is left
+ */
+function normalizeWord(input) {
+  return String(input ?? '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+    .replace(/\u2019/g, '\'')
+    .replace(/^['-]+|['-]+$/g, '')
+    .trim();
+}
+
+const wordLength = (word) => [...word].length;
+
+/**
+ * Languages whose stopwords and stemmer apply to a word
+ * @param {string} word
+ * @param {string} language - Slide language setting
+ * @returns {string[]}
+ */
+function languagesFor(word, language = 'auto') {
+  const script = SCRIPT_LANGUAGES.find(entry => entry.pattern.test(word));
+  if (script) {
+    return script.languages;
+  }
+  return LATIN_LANGUAGES.includes(language) ? [language] : LATIN_LANGUAGES;
+}
+
+// French elision (l'école, d'accord) is not part of the word
+function stripElision(word, languages) {
+  return languages.includes('fr') ? word.replace(/^(?:l|d|j|m|n|s|t|c|qu)'(?=\p{L})/u, '') : word;
+}
+
+function isStopword(word, language) {
+  const languages = languagesFor(word, language);
+  return languages.some(code => stopwordSets[code]?.has(word) || stopwordSets[code]?.has(stripElision(word, languages)));
+}
+
+/**
+ * Check whether every word of an entry is a stopword
+ * @param {string} entry - Normalized word or phrase
+ * @param {string} language - Slide language setting
+ */
+function isStopwordEntry(entry, language = 'auto') {
+  return entry.split(' ').every(word => isStopword(word, language));
+}
+
+const stripAccents = (word) => word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+
+// Light suffix stripping; good enough to count plural and verb forms of a word together
+function stemLatin(word, languages) {
+  let stem = stripAccents(stripElision(word, languages));
+  if (stem.length <= 3) {
+    return stem;
+  }
+
+  if (languages.includes('en')) {
+    stem = stem
+      .replace(/ies$/, 'y')
+      .replace(/sses$/, 'ss')
+      .replace(/([^su])s$/, '$1')
+      .replace(/(.{3,})(?:ing|ed)$/, '$1')
+      .replace(/(.{3,})ly$/, '$1')
+      .replace(/([^aeiou])\1$/, '$1');
+  }
+  if (languages.some(code => code === 'es' || code === 'pt')) {
+    stem = stem
+      .replace(/ciones$/, 'cion')
+      .replace(/coes$/, 'cao')
+      .replace(/(.{3,})es$/, '$1')
+      .replace(/(.{3,})s$/, '$1');
+  }
+  if (languages.includes('fr')) {
+    stem = stem
+      .replace(/aux$/, 'al')
+      .replace(/(.{3,})[sx]$/, '$1');
+  }
+  return stem;
+}
+
+/**
+ * Key that forms of the same word share when similar words are grouped
+ * @param {string} entry - Normalized word or phrase
+ * @param {string} language - Slide language setting
+ */
+function groupKey(entry, language = 'auto') {
+  return entry.split(' ').map(word => {
+    const languages = languagesFor(word, language);
+    return languages.some(code => LATIN_LANGUAGES.includes(code)) ? stemLatin(word, languages) : word;
+  }).join(' ');
+}
+
+const toPlainObject = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+/**
+ * Validate and normalize word cloud settings, keeping existing values for the ones not given
+ * @param {Object} input - Requested settings
+ * @param {Object} existing - Current settings
+ * @returns {Object}
+ */
+function normalizeSettings(input = {}, existing = {}) {
+  const settings = toPlainObject(input) || {};
+  const current = toPlainObject(existing) || {};
+  const pick = (field) => (settings[field] !== undefined ? settings[field] : current[field]);
+
+  const language = pick('language');
+  const booleanSetting = (field) => {
+    const value = pick(field);
+    return value === undefined ? DEFAULT_WORD_CLOUD_SETTINGS[field] : Boolean(value);
+  };
+
+  const mergedWords = (Array.isArray(pick('mergedWords')) ? pick('mergedWords') : [])
+    .map(group => {
+      const words = [...new Set((Array.isArray(group?.words) ? group.words : []).map(normalizeWord).filter(Boolean))];
+      const label = normalizeWord(group?.label) || words[0];
+      return { words, label };
+    })
+    .filter(group => group.words.length > 0 && group.label)
+    .slice(0, MAX_MERGED_GROUPS);
+
+  const hiddenWords = [...new Set((Array.isArray(pick('hiddenWords')) ? pick('hiddenWords') : [])
+    .map(normalizeWord)
+    .filter(Boolean))]
+    .slice(0, MAX_HIDDEN_WORDS);
+
+  return {
+    language: WORD_CLOUD_LANGUAGES.includes(language) ? language : 'auto',
+    removeStopwords: booleanSetting('removeStopwords'),
+    allowPhrases: booleanSetting('allowPhrases'),
+    groupSimilarWords: booleanSetting('groupSimilarWords'),
+    mergedWords,
+    hiddenWords
+  };
+}
+
+/**
+ * Word cloud settings of a slide
+ * @param {Object} slide - Slide document
+ */
+function getSlideSettings(slide) {
+  return normalizeSettings(slide?.wordCloudSettings || {});
+}
+
+/**
+ * Turn a participant's answer into the words or phrases to store
+ * @param {string|string[]} answer - Text, or one entry per input
+ * @param {Object} settings - Word cloud settings
+ * @returns {string[]}
+ * @throws {Error} If a word is too long or nothing meaningful is left
+ */
+function normalizeEntries(answer, settings = DEFAULT_WORD_CLOUD_SETTINGS) {
+  const rawEntries = Array.isArray(answer)
+    ? answer
+    : String(answer ?? '').split(settings.allowPhrases ? ENTRY_SEPARATOR_PATTERN : SEPARATOR_PATTERN);
+
+  const entries = [];
+  for (const rawEntry of rawEntries) {
+    const words = String(rawEntry ?? '').split(SEPARATOR_PATTERN).map(normalizeWord).filter(Boolean);
+    const candidates = settings.allowPhrases && words.length > 0 ? [words] : words.map(word => [word]);
+
+    for (const candidate of candidates) {
+      if (candidate.some(word => wordLength(word) > MAX_WORD_LENGTH)) {
+        throw new Error(`Words must be ${MAX_WORD_LENGTH} characters or fewer`);
+      }
+      if (candidate.length > MAX_PHRASE_WORDS) {
+        throw new Error(`Phrases can have up to ${MAX_PHRASE_WORDS} words`);
+      }
+      const entry = candidate.join(' ');
+      if (wordLength(entry) > MAX_PHRASE_LENGTH) {
+        throw new Error(`Phrases must be ${MAX_PHRASE_LENGTH} characters or fewer`);
+      }
+      if (settings.removeStopwords && isStopwordEntry(entry, settings.language)) {
+        continue;
+      }
+      entries.push(entry);
+    }
+  }
+
+  if (!entries.length) {
+    throw new Error('Please enter at least one valid word');
+  }
+  return entries;
+}
+
+/**
+ * Count stored word cloud entries into wordFrequencies, applying stopwords, grouping,
+ * presenter merges and hidden words
+ * @param {Array} responses - Response documents (answer is a word or an array of words)
+ * @param {Object} settings - Word cloud settings
+ * @returns {Object<string, number>} Display label -> count
+ */
+function buildWordFrequencies(responses = [], settings = DEFAULT_WORD_CLOUD_SETTINGS) {
+  const { language, removeStopwords, groupSimilarWords } = settings;
+  const keyOf = (entry) => (groupSimilarWords ? groupKey(entry, language) : entry);
+
+  // Presenter corrections match the exact entry or, when grouping, any form of it
+  const mergeTargets = new Map();
+  (settings.mergedWords || []).forEach(group => {
+    group.words.forEach(word => {
+      mergeTargets.set(word, group.label);
+      mergeTargets.set(keyOf(word), group.label);
+    });
+  });
+  const hidden = new Set();
+  (settings.hiddenWords || []).forEach(word => {
+    hidden.add(word);
+    hidden.add(keyOf(word));
+  });
+
+  const groups = new Map();
+  responses.forEach(response => {
+    const answer = response?.answer;
+    const entries = Array.isArray(answer) ? answer : (typeof answer === 'string' ? [answer] : []);
+
+    entries.forEach(rawEntry => {
+      const entry = String(rawEntry ?? '').split(SEPARATOR_PATTERN).map(normalizeWord).filter(Boolean).join(' ');
+      if (!entry || (removeStopwords && isStopwordEntry(entry, language))) return;
+
+      const key = keyOf(entry);
+      const label = mergeTargets.get(entry) || mergeTargets.get(key);
+      const groupId = label ? `merged:${label}` : key;
+      if (hidden.has(label || entry) || hidden.has(label ? keyOf(label) : key)) return;
+
+      if (!groups.has(groupId)) {
+        groups.set(groupId, { label, count: 0, forms: new Map() });
+      }
+      const group = groups.get(groupId);
+      group.count += 1;
+      group.forms.set(entry, (group.forms.get(entry) || 0) + 1);
+    });
+  });
+
+  const wordFrequencies = {};
+  groups.forEach(group => {
+    // A group is shown as its merge label or as its most used form (shortest on ties)
+    const label = group.label || [...group.forms.entries()]
+      .sort((a, b) => b[1] - a[1] || wordLength(a[0]) - wordLength(b[0]) || a[0].localeCompare(b[0]))[0][0];
+    wordFrequencies[label] = (wordFrequencies[label] || 0) + group.count;
+  });
+  return wordFrequencies;
+}
+
+/**
+ * Hide a word from the cloud or show it again
+ * @param {Object} settings - Current word cloud settings
+ * @param {string} word - Word or merge label as shown in the cloud
+ * @param {boolean} hidden
+ * @returns {Object} Updated settings
+ */
+function hideWord(settings, word, hidden = true) {
+  const normalized = normalizeWord(word);
+  if (!normalized) {
+    throw new Error('Word is required');
+  }
+  const hiddenWords = (settings.hiddenWords || []).filter(entry => entry !== normalized);
+  return normalizeSettings({ hiddenWords: hidden ? [...hiddenWords, normalized] : hiddenWords }, settings);
+}
+
+/**
+ * Count several words as one; words that were merged before move into the new group
+ * @param {Object} settings - Current word cloud settings
+ * @param {string[]} words - Words or merge labels as shown in the cloud
+ * @param {string} label - Word to show for the group (first word when empty)
+ * @returns {Object} Updated settings
+ */
+function mergeWords(settings, words, label) {
+  const selected = [...new Set((Array.isArray(words) ? words : []).map(normalizeWord).filter(Boolean))];
+  if (selected.length < 2) {
+    throw new Error('Select at least two words to merge');
+  }
+
+  const existing = settings.mergedWords || [];
+  const absorbed = existing.filter(group => selected.includes(group.label));
+  const mergedWordList = [...new Set([
+    ...selected.filter(word => !absorbed.some(group => group.label === word)),
+    ...absorbed.flatMap(group => group.words)
+  ])];
+
+  const remaining = existing
+    .filter(group => !absorbed.includes(group))
+    .map(group => ({ ...group, words: group.words.filter(word => !mergedWordList.includes(word)) }));
+
+  return normalizeSettings({
+    mergedWords: [...remaining, { words: mergedWordList, label: normalizeWord(label) || selected[0] }]
+  }, settings);
+}
+
+/**
+ * Undo a merge so its words are counted separately again
+ * @param {Object} settings - Current word cloud settings
+ * @param {string} label - Label of the merged group
+ * @returns {Object} Updated settings
+ */
+function splitWord(settings, label) {
+  const normalized = normalizeWord(label);
+  return normalizeSettings({
+    mergedWords: (settings.mergedWords || []).filter(group => group.label !== normalized)
+  }, settings);
+}
+
+module.exports = {
+  WORD_CLOUD_LANGUAGES,
+  DEFAULT_WORD_CLOUD_SETTINGS,
+  MAX_WORD_LENGTH,
+  MAX_PHRASE_WORDS,
+  normalizeWord,
+  isStopwordEntry,
+  groupKey,
+  normalizeSettings,
+  getSlideSettings,
+  normalizeEntries,
+  buildWordFrequencies,
+  hideWord,
+  mergeWords,
+  splitWord
+};
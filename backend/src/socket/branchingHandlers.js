@@ -0,0 +1,30 @@
+const branchingService = require('../services/branchingService');
+const runService = require('../services/runService');
+const Logger = require('../utils/logger');
+
+/**
+ * Send the presenter the branch the audience's answers currently point to
+ * @param {Object} io - Socket.IO server instance
+ * @param {string} presentationId
+ * @param {Object} slide - Slide document with branching rules
+ */
+async function emitBranchSuggestion(io, presentationId, slide) {
+  if (!branchingService.hasBranching(slide)) {
+    return;
+  }
+
+  try {
+    const runId = await runService.getCurrentRunId(presentationId);
+    const branch = await branchingService.getAudienceBranch(slide, runId);
+    io.to(`presenter-${presentationId}`).emit('branch-updated', {
+      slideId: slide._id.toString(),
+      branch
+    });
+  } catch (error) {
+    Logger.error('Branch suggestion error', error);
+  }
+}
+
+module.exports = {
+  emitBranchSuggestion
+};
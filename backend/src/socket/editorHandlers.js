@@ -0,0 +1,122 @@
+const Presentation = require('../models/Presentation');
+const collaborationService = require('../services/collaborationService');
+const editorPresence = require('../services/editorPresence');
+const presenterAuth = require('./presenterAuth');
+const Logger = require('../utils/logger');
+
+/**
+ * Editor Handlers
+ * Everyone with a presentation open in the editor joins editor-<presentationId>. The room carries
+ * presence (who is editing and which slide they have selected) and the changes saved through the
+ * slide and presentation APIs, so open editors pick up each other's edits without reloading.
+ */
+
+const editorRoom = (presentationId) => `editor-${presentationId}`;
+
+function emitPresence(io, presentationId, entry) {
+  io.to(editorRoom(presentationId)).emit('editor-presence', {
+    presentationId: String(presentationId),
+    editors: editorPresence.getEditorList(entry)
+  });
+}
+
+async function leaveCurrentEditor(io, socket) {
+  const presentationId = socket.data.editingPresentationId;
+  if (!presentationId) return;
+
+  socket.data.editingPresentationId = null;
+  socket.leave(editorRoom(presentationId));
+  const entry = await editorPresence.leaveEditor(presentationId, socket.id);
+  emitPresence(io, presentationId, entry);
+}
+
+/**
+ * Tell the other open editors about a saved change
+ * @param {Object} io - Socket.IO server instance (req.app.get('io'))
+ * @param {string} presentationId
+ * @param {string} event - slide-created, slide-updated, slide-deleted or presentation-updated
+ * @param {Object} payload
+ * @param {string|null} originSocketId - Editor socket that made the change (X-Socket-Id), which already has it
+ */
+function broadcastEditorChange(io, presentationId, event, payload, originSocketId = null) {
+  if (!io) return;
+
+  const room = io.to(editorRoom(presentationId));
+  (originSocketId ? room.except(originSocketId) : room).emit(event, {
+    presentationId: String(presentationId),
+    ...payload
+  });
+}
+
+function attachEditorHandlers(io, socket) {
+  socket.on('join-editor', async ({ presentationId, token }) => {
+    try {
+      const user = await presenterAuth.resolveUser(token);
+      const presentation = user && await Presentation.findOne(
+        collaborationService.presentationFilter(presentationId, user, 'view')
+      ).select('_id userId collaborators');
+
+      if (!presentation) {
+        socket.emit('error', { message: 'Presentation not found' });
+        return;
+      }
+
+      if (socket.data.editingPresentationId && socket.data.editingPresentationId !== String(presentationId)) {
+        await leaveCurrentEditor(io, socket);
+      }
+
+      const room = editorRoom(presentationId);
+      socket.join(room);
+      socket.data.editingPresentationId = String(presentationId);
+
+      const connectedSockets = await io.in(room).fetchSockets();
+      const entry = await editorPresence.joinEditor(presentationId, socket.id, {
+        userId: user._id,
+        name: user.displayName || user.email
+      }, connectedSockets.map(s => s.id));
+
+      socket.emit('editor-joined', {
+        presentationId: String(presentationId),
+        socketId: socket.id,
+        role: collaborationService.getRole(presentation, user) || 'viewer'
+      });
+      emitPresence(io, presentationId, entry);
+    } catch (error) {
+      Logger.error('Join editor error', error);
+      socket.emit('error', { message: 'Failed to join the editor' });
+    }
+  });
+
+  socket.on('editor-select-slide', async ({ presentationId, slideId }) => {
+    if (!presentationId || socket.data.editingPresentationId !== String(presentationId)) return;
+    try {
+      const entry = await editorPresence.selectSlide(presentationId, socket.id, slideId);
+      if (entry) {
+        emitPresence(io, presentationId, entry);
+      }
+    } catch (error) {
+      Logger.error('Editor select slide error', error);
+    }
+  });
+
+  socket.on('leave-editor', async () => {
+    try {
+      await leaveCurrentEditor(io, socket);
+    } catch (error) {
+      Logger.error('Leave editor error', error);
+    }
+  });
+
+  socket.on('disconnect', async () => {
+    try {
+      await leaveCurrentEditor(io, socket);
+    } catch (error) {
+      Logger.error('Editor disconnect cleanup error', error);
+    }
+  });
+}
+
+module.exports = {
+  attachEditorHandlers,
+  broadcastEditorChange
+};
@@ -1,8 +1,10 @@
 const Slide = require('../../models/Slide');
 const Response = require('../../models/Response');
 const Logger = require('../../utils/logger');
+const runService = require('../../services/runService');
+const presenterAuth = require('../presenterAuth');
 
-async function handleOpenEndedSubmission({ existingResponse, presentationId, slideId, participantId, participantName, answer }) {
+async function handleOpenEndedSubmission({ existingResponse, presentationId, runId = null, slideId, participantId, participantName, answer }) {
   if (existingResponse) {
     return {
       success: false,
@@ -12,6 +14,7 @@ async function handleOpenEndedSubmission({ existingResponse, presentationId, sli
 
   const response = new Response({
     presentationId,
+    runId,
     slideId,
     participantId,
     participantName,
@@ -30,6 +33,7 @@ async function handleOpenEndedSubmission({ existingResponse, presentationId, sli
 
 function attachOpenEndedVotingHandlers({ io, socket, buildResultsPayload }) {
   socket.on('set-open-ended-voting', async ({ presentationId, slideId, isVotingEnabled }) => {
+    if (!presenterAuth.requirePresenter(socket, presentationId)) return;
     try {
       const slide = await Slide.findById(slideId);
       if (!slide || String(slide.presentationId) !== String(presentationId)) {
@@ -48,8 +52,9 @@ function attachOpenEndedVotingHandlers({ io, socket, buildResultsPayload }) {
 
       await slide.save();
 
-      const responses = await Response.find({ slideId: slide._id });
-      const resultPayload = buildResultsPayload(slide, responses);
+      const runId = await runService.getCurrentRunId(presentationId);
+      const responses = await Response.find({ slideId: slide._id, runId });
+      const resultPayload = await buildResultsPayload(slide, responses);
 
       const responseUpdate = {
         slideId: slide._id,
@@ -112,8 +117,8 @@ function attachOpenEndedVotingHandlers({ io, socket, buildResultsPayload }) {
       response.voters.push(participantId);
       await response.save();
 
-      const responses = await Response.find({ slideId });
-      const resultPayload = buildResultsPayload(slide, responses);
+      const responses = await Response.find({ slideId, runId: response.runId || null });
+      const resultPayload = await buildResultsPayload(slide, responses);
 
       const updatePayload = {
         slideId,
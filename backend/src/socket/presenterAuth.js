@@ -0,0 +1,80 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Institution = require('../models/Institution');
+const Logger = require('../utils/logger');
+
+/**
+ * Presenter Authorization
+ * Presenter events (change-slide, Q&A moderation, quizzes, ...) are only accepted from sockets that
+ * authenticated for the presentation in start-presentation: the owner, a co-presenter or an
+ * institution admin of the owner's institution. Grants live on socket.data, so they end with the socket.
+ */
+
+/**
+ * Resolve the user behind an API token (regular user or institution admin)
+ * @param {string} token - JWT issued by the auth routes
+ * @returns {Promise<Object|null>} User document or null when the token is missing or invalid
+ */
+async function resolveUser(token) {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.institutionAdmin && decoded.institutionId) {
+      const institution = await Institution.findById(decoded.institutionId).select('adminEmail').lean();
+      const adminEmail = institution?.adminEmail?.toLowerCase().trim();
+      return adminEmail ? await User.findOne({ email: adminEmail }) : null;
+    }
+
+    return await User.findById(decoded.userId);
+  } catch (error) {
+    Logger.warn('Socket token verification failed', error.message);
+    return null;
+  }
+}
+
+/**
+ * Allow a socket to send presenter events for a presentation
+ * @param {Object} socket - Socket instance
+ * @param {string} presentationId
+ * @param {string} role - 'owner' or a collaborator role
+ */
+function grantPresenter(socket, presentationId, role) {
+  if (!socket.data.presenterGrants) {
+    socket.data.presenterGrants = {};
+  }
+  socket.data.presenterGrants[String(presentationId)] = role;
+}
+
+function revokePresenter(socket, presentationId) {
+  if (socket.data.presenterGrants) {
+    delete socket.data.presenterGrants[String(presentationId)];
+  }
+}
+
+function getPresenterRole(socket, presentationId) {
+  return (presentationId && socket.data.presenterGrants?.[String(presentationId)]) || null;
+}
+
+/**
+ * Check that a socket may send presenter events for a presentation, telling it when not
+ * @param {Object} socket - Socket instance
+ * @param {string} presentationId
+ * @returns {boolean}
+ */
+function requirePresenter(socket, presentationId) {
+  if (getPresenterRole(socket, presentationId)) {
+    return true;
+  }
+  socket.emit('error', { message: 'Only presenters can control this presentation' });
+  return false;
+}
+
+module.exports = {
+  resolveUser,
+  grantPresenter,
+  revokePresenter,
+  getPresenterRole,
+  requirePresenter
+};
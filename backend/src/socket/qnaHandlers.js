@@ -0,0 +1,52 @@
+const qnaSession = require('../services/qnaSession');
+const presentationSession = require('../services/presentationSession');
+
+/**
+ * Q&A state of a slide as sent to clients
+ * @param {string} slideId
+ * @param {Object} options
+ * @param {boolean} options.includePending - Add the moderation queue (presenters only)
+ */
+async function buildQnaPayload(slideId, { includePending = false } = {}) {
+  const state = await qnaSession.getState(slideId, { includePending });
+  return {
+    ...state,
+    slideId: String(slideId)
+  };
+}
+
+/**
+ * Broadcast the Q&A state of a slide. Presenters also get the moderation queue;
+ * participants only see approved questions.
+ * @param {Object} params
+ * @param {Object} params.io - Socket.IO server instance
+ * @param {string} params.presentationId
+ * @param {string} params.slideId
+ */
+async function emitQnaState({ io, presentationId, slideId }) {
+  const payload = await buildQnaPayload(slideId);
+  io.to(`presentation-${presentationId}`).except(`presenter-${presentationId}`).emit('qna-updated', payload);
+  io.to(`presenter-${presentationId}`).emit('qna-updated', await buildQnaPayload(slideId, { includePending: true }));
+}
+
+/**
+ * Tell a participant what happened to their question (approved, rejected or edited)
+ */
+async function notifyQnaAuthor({ io, presentationId, slideId, question }) {
+  const entry = await presentationSession.getEntry(String(presentationId));
+  const socketId = entry?.participants?.[question.authorId]?.socketId;
+  if (socketId) {
+    io.to(socketId).emit('qna-question-moderated', {
+      slideId: String(slideId),
+      questionId: question.id,
+      status: question.status,
+      text: question.text
+    });
+  }
+}
+
+module.exports = {
+  buildQnaPayload,
+  emitQnaState,
+  notifyQnaAuthor
+};
@@ -2,8 +2,112 @@ const Slide = require('../models/Slide');
 const Response = require('../models/Response');
 const quizSessionService = require('../services/quizSessionService');
 const quizScoringService = require('../services/quizScoringService');
+const teamService = require('../services/teamService');
+const selfPacedService = require('../services/selfPacedService');
+const presentationSession = require('../services/presentationSession');
+const runService = require('../services/runService');
+const quizInteraction = require('../interactions/quiz');
+const webhookService = require('../services/webhookService');
+const { emitBranchSuggestion } = require('./branchingHandlers');
+const presenterAuth = require('./presenterAuth');
 const Logger = require('../utils/logger');
 
+/**
+ * Build the team leaderboard fields for leaderboard broadcasts
+ * @param {string} presentationId
+ * @param {string|null} runId - Run the leaderboard is for
+ * @returns {Promise<Object>} { teamLeaderboard } when team mode is on, otherwise {}
+ */
+async function buildTeamLeaderboardPayload(presentationId, runId) {
+  const teamSettings = await teamService.getTeamSettings(presentationId);
+  if (!teamSettings) {
+    return {};
+  }
+  return { teamLeaderboard: await teamService.getTeamLeaderboard(presentationId, teamSettings, runId) };
+}
+
+/**
+ * End a quiz when its timer fires and broadcast the final results
+ * @param {Object} io - Socket.IO server instance
+ * @param {string} presentationId
+ * @param {string} slideId
+ * @param {number} startTime - startTime of the quiz run the timer belongs to
+ */
+async function autoEndQuiz(io, presentationId, slideId, startTime) {
+  try {
+    // Another instance may already have ended (or restarted) this quiz
+    const session = await quizSessionService.endSessionIfActive(slideId, startTime);
+    if (!session) {
+      return;
+    }
+
+    const slide = await Slide.findById(slideId);
+    const results = await quizSessionService.getResults(slideId);
+    const runId = await runService.getCurrentRunId(presentationId);
+    const leaderboard = await quizScoringService.getLeaderboardWithDeltas(
+      presentationId,
+      slideId,
+      10,
+      runId,
+    );
+    const teamPayload = await buildTeamLeaderboardPayload(presentationId, runId);
+
+    io.to(`presentation-${presentationId}`).emit('quiz-ended', {
+      slideId,
+      results,
+      leaderboard,
+      ...teamPayload,
+    });
+
+    io.to(`presenter-${presentationId}`).emit('quiz-ended', {
+      slideId,
+      results,
+      leaderboard,
+      ...teamPayload,
+    });
+
+    webhookService.dispatchPresentationEvent(presentationId, 'quiz.ended', {
+      slideId: slideId.toString(),
+      question: slide?.question,
+      endedBy: 'timer',
+      results,
+      leaderboard,
+    });
+
+    if (slide) {
+      await emitBranchSuggestion(io, presentationId, slide);
+    }
+
+  } catch (autoEndError) {
+    Logger.error('Error auto-ending quiz', autoEndError);
+    io.to(`presenter-${presentationId}`).emit('error', {
+      message: 'Quiz ended but results could not be finalized automatically',
+    });
+  }
+}
+
+function armAutoEnd(io, presentationId, slideId, startTime, delay) {
+  return quizSessionService.scheduleAutoEnd(slideId, () => {
+    autoEndQuiz(io, presentationId, slideId, startTime);
+  }, delay);
+}
+
+/**
+ * Re-arm auto-end timers for quizzes that were running when this instance started
+ * @param {Object} io - Socket.IO server instance
+ * @returns {Promise<number>} Number of timers re-armed
+ */
+async function resumeQuizTimers(io) {
+  const sessions = await quizSessionService.getScheduledSessions();
+
+  for (const session of sessions) {
+    const delay = Math.max(0, session.autoEndAt - Date.now());
+    await armAutoEnd(io, session.presentationId, session.slideId, session.startTime, delay);
+  }
+
+  return sessions.length;
+}
+
 /**
  * Attach quiz-related socket handlers
  * @param {Object} io - Socket.IO server instance
@@ -12,57 +116,34 @@ const Logger = require('../utils/logger');
 function attachQuizHandlers(io, socket) {
   // Start quiz countdown
   socket.on('start-quiz', async ({ presentationId, slideId }) => {
+    if (!presenterAuth.requirePresenter(socket, presentationId)) return;
     try {
       const slide = await Slide.findById(slideId);
 
-      if (!slide || slide.type !== 'quiz') {
+      if (!slide || slide.type !== 'quiz' || String(slide.presentationId) !== String(presentationId)) {
         socket.emit('error', { message: 'Quiz slide not found' });
         return;
       }
 
-      let session = quizSessionService.getSession(slideId);
+      let session = await quizSessionService.getSession(slideId);
       if (!session) {
-        session = quizSessionService.initializeSession({
+        session = await quizSessionService.initializeSession({
           slideId,
+          presentationId,
           timeLimit: slide.quizSettings.timeLimit,
           correctOptionId: slide.quizSettings.correctOptionId,
+          correctOptionIds: slide.quizSettings.correctOptionIds,
+          allowMultiple: slide.quizSettings.allowMultiple,
+          multiSelectScoring: slide.quizSettings.multiSelectScoring,
         });
       }
 
       // Start (or restart) the session
-      session = quizSessionService.startSession(slideId);
+      session = await quizSessionService.startSession(slideId);
 
       if (typeof slide.quizSettings.timeLimit === 'number' && slide.quizSettings.timeLimit > 0) {
         const delay = Math.max(0, slide.quizSettings.timeLimit * 1000);
-        quizSessionService.scheduleAutoEnd(slideId, async () => {
-          try {
-            quizSessionService.endSession(slideId);
-            const results = quizSessionService.getResults(slideId);
-            const leaderboard = await quizScoringService.getLeaderboardWithDeltas(
-              presentationId,
-              slideId,
-              10,
-            );
-
-            io.to(`presentation-${presentationId}`).emit('quiz-ended', {
-              slideId,
-              results,
-              leaderboard,
-            });
-
-            io.to(`presenter-${presentationId}`).emit('quiz-ended', {
-              slideId,
-              results,
-              leaderboard,
-            });
-
-          } catch (autoEndError) {
-            Logger.error('Error auto-ending quiz', autoEndError);
-            io.to(`presenter-${presentationId}`).emit('error', {
-              message: 'Quiz ended but results could not be finalized automatically',
-            });
-          }
-        }, delay);
+        await armAutoEnd(io, presentationId, slideId, session.startTime, delay);
       }
 
       // Broadcast to all participants that quiz has started
@@ -85,6 +166,44 @@ function attachQuizHandlers(io, socket) {
     }
   });
 
+  // Self-paced participant starts their own quiz countdown
+  socket.on('start-self-paced-quiz', async ({ presentationId, slideId, participantId }) => {
+    try {
+      const slide = await Slide.findById(slideId);
+
+      if (!slide || slide.type !== 'quiz' || String(slide.presentationId) !== String(presentationId)) {
+        socket.emit('error', { message: 'Quiz slide not found' });
+        return;
+      }
+
+      if (await selfPacedService.getSubmissionMode(presentationId) !== 'self_paced') {
+        socket.emit('error', { message: 'This presentation is not open for self-paced participation' });
+        return;
+      }
+
+      if (await Response.exists({ slideId, participantId, runId: null })) {
+        socket.emit('error', { message: 'You have already answered this quiz' });
+        return;
+      }
+
+      const timer = await selfPacedService.startQuizTimer({
+        slideId,
+        participantId,
+        timeLimit: slide.quizSettings.timeLimit
+      });
+
+      // Only this participant's countdown starts
+      socket.emit('quiz-started', {
+        slideId,
+        timeLimit: timer.timeLimit,
+        startTime: timer.startTime,
+      });
+    } catch (error) {
+      Logger.error('Error starting self-paced quiz', error);
+      socket.emit('error', { message: 'Failed to start quiz' });
+    }
+  });
+
   // Submit quiz answer
   socket.on('submit-quiz-answer', async ({ 
     presentationId, 
@@ -102,48 +221,80 @@ function attachQuizHandlers(io, socket) {
         return;
       }
 
-      const session = quizSessionService.getSession(slideId);
-      if (!session || !session.isActive) {
-        socket.emit('error', { message: 'Quiz is not active' });
+      const submissionMode = await selfPacedService.getSubmissionMode(presentationId);
+      if (submissionMode === 'closed') {
+        socket.emit('error', { message: 'This presentation is closed for answers' });
         return;
       }
+      const selfPaced = submissionMode === 'self_paced';
+
+      if (!selfPaced) {
+        const session = await quizSessionService.getSession(slideId);
+        if (!session || !session.isActive) {
+          socket.emit('error', { message: 'Quiz is not active' });
+          return;
+        }
+      }
+
+      let normalizedAnswer;
+      try {
+        normalizedAnswer = quizInteraction.normalizeAnswer(answer, slide);
+      } catch (err) {
+        socket.emit('error', { message: err.message || 'Invalid answer' });
+        return;
+      }
+
+      // Self-paced answers are kept outside runs
+      const runId = selfPaced ? null : await runService.getCurrentRunId(presentationId);
 
       // Check if participant already answered
-      if (quizSessionService.hasParticipantResponded(slideId, participantId)) {
+      const hasResponded = selfPaced
+        ? await Response.exists({ slideId, participantId, runId })
+        : await quizSessionService.hasParticipantResponded(slideId, participantId);
+      if (hasResponded) {
         socket.emit('error', { message: 'You have already answered this quiz' });
         return;
       }
 
-      // Record response in session
-      const sessionResponse = quizSessionService.recordResponse({
-        slideId,
-        participantId,
-        answer,
-        responseTime
-      });
+      let sessionResponse;
+      if (selfPaced) {
+        // Timed against the participant's own countdown on the server
+        const claim = await selfPacedService.claimQuizAnswer(slideId, participantId);
+        if (claim.error) {
+          socket.emit('error', { message: claim.error });
+          return;
+        }
+        responseTime = claim.responseTime;
+        sessionResponse = quizScoringService.gradeAnswer(normalizedAnswer, slide.quizSettings);
+      } else {
+        // Record response in session
+        sessionResponse = await quizSessionService.recordResponse({
+          slideId,
+          participantId,
+          answer: normalizedAnswer,
+          responseTime
+        });
+      }
 
-      // Calculate score - incorrect answers get 0 points
-      const score = quizScoringService.calculateQuestionScore({
+      // Calculate score using the quiz's scoring strategy
+      const previousScores = await quizScoringService.getParticipantScore(presentationId, participantId, runId);
+      const finalScore = quizScoringService.calculateQuestionScore({
         isCorrect: sessionResponse.isCorrect,
+        credit: sessionResponse.credit,
         responseTime,
-        timeLimit: slide.quizSettings.timeLimit
+        timeLimit: slide.quizSettings.timeLimit,
+        scoring: slide.quizSettings,
+        streak: quizScoringService.getCorrectStreak(previousScores?.quizScores)
       });
-      
-      // Log for debugging - ensure incorrect answers get 0
-      if (!sessionResponse.isCorrect && score !== 0) {
-        Logger.warn(`Incorrect answer but score is not 0: score=${score}, isCorrect=${sessionResponse.isCorrect}`);
-      }
-      
-      // Force score to 0 if answer is incorrect (safety check)
-      const finalScore = sessionResponse.isCorrect ? score : 0;
 
-      // Save response to database - use finalScore (0 for incorrect)
+      // Save response to database
       const response = new Response({
         presentationId,
+        runId,
         slideId,
         participantId,
         participantName,
-        answer,
+        answer: normalizedAnswer,
         responseTime,
         isCorrect: sessionResponse.isCorrect,
         score: finalScore
@@ -151,47 +302,72 @@ function attachQuizHandlers(io, socket) {
 
       await response.save();
 
-      // Update participant's cumulative score - use finalScore (0 for incorrect)
+      // Update participant's cumulative score (and their team when team mode is on)
+      const sessionEntry = await presentationSession.getEntry(presentationId);
       await quizScoringService.updateParticipantScore({
         presentationId,
+        runId,
         participantId,
         participantName,
         slideId,
         score: finalScore,
         responseTime,
-        isCorrect: sessionResponse.isCorrect
+        isCorrect: sessionResponse.isCorrect,
+        teamId: sessionEntry?.participants?.[participantId]?.teamId
       });
 
-      // Notify participant of successful submission - use finalScore
+      // Notify participant of successful submission
       socket.emit('quiz-answer-submitted', {
         slideId,
+        answer: normalizedAnswer,
         isCorrect: sessionResponse.isCorrect,
+        credit: sessionResponse.credit,
         score: finalScore,
         responseTime
       });
 
-      // Get updated results and broadcast to presenter
-      const results = quizSessionService.getResults(slideId);
-      io.to(`presenter-${presentationId}`).emit('quiz-results-updated', {
-        slideId,
-        results
+      webhookService.dispatchPresentationEvent(presentationId, 'response.submitted', {
+        slideId: slideId.toString(),
+        slideType: 'quiz',
+        participantId,
+        participantName: participantName || 'Anonymous',
+        answer: normalizedAnswer,
+        isCorrect: sessionResponse.isCorrect,
+        score: finalScore,
+        responseTime,
+        submittedAt: new Date().toISOString()
       });
 
+      if (selfPaced) {
+        io.to(`self-paced-${presentationId}`).emit('self-paced-progress-changed', { presentationId: String(presentationId) });
+      } else {
+        // Get updated results and broadcast to presenter
+        const results = await quizSessionService.getResults(slideId);
+        io.to(`presenter-${presentationId}`).emit('quiz-results-updated', {
+          slideId,
+          results
+        });
+        await emitBranchSuggestion(io, presentationId, slide);
+      }
+
       // Update and broadcast leaderboard in real-time
       try {
-        const leaderboard = await quizScoringService.getLeaderboard(presentationId, 10);
+        const leaderboard = await quizScoringService.getLeaderboard(presentationId, 10, runId);
+        const teamPayload = await buildTeamLeaderboardPayload(presentationId, runId);
         
         // Broadcast updated leaderboard to all connected clients (including results page)
         // Results page joins presentation-${presentationId} room
         io.to(`presentation-${presentationId}`).emit('leaderboard-updated', {
           presentationId,
-          leaderboard
+          leaderboard,
+          ...teamPayload
         });
         
         // Also send to presenter room
         io.to(`presenter-${presentationId}`).emit('leaderboard-data', {
           presentationId,
-          leaderboard
+          leaderboard,
+          ...teamPayload
         });
       } catch (leaderboardError) {
         Logger.error('Error updating leaderboard after quiz answer', leaderboardError);
@@ -206,47 +382,62 @@ function attachQuizHandlers(io, socket) {
 
   // End quiz (manual or automatic)
   socket.on('end-quiz', async ({ presentationId, slideId }) => {
+    if (!presenterAuth.requirePresenter(socket, presentationId)) return;
     try {
       const slide = await Slide.findById(slideId);
 
-      if (!slide || slide.type !== 'quiz') {
+      if (!slide || slide.type !== 'quiz' || String(slide.presentationId) !== String(presentationId)) {
         socket.emit('error', { message: 'Quiz slide not found' });
         return;
       }
 
-      const session = quizSessionService.getSession(slideId);
+      const session = await quizSessionService.getSession(slideId);
       if (!session) {
         socket.emit('error', { message: 'Quiz session not found' });
         return;
       }
 
       // End the session
-      quizSessionService.endSession(slideId);
-      quizSessionService.clearAutoEndTimer(slideId);
+      await quizSessionService.endSession(slideId);
 
       // Get final results
-      const results = quizSessionService.getResults(slideId);
+      const results = await quizSessionService.getResults(slideId);
 
       // Get leaderboard with deltas
+      const runId = await runService.getCurrentRunId(presentationId);
       const leaderboard = await quizScoringService.getLeaderboardWithDeltas(
         presentationId,
         slideId,
-        10
+        10,
+        runId
       );
+      const teamPayload = await buildTeamLeaderboardPayload(presentationId, runId);
 
       // Broadcast quiz ended to all
       io.to(`presentation-${presentationId}`).emit('quiz-ended', {
         slideId,
         results,
-        leaderboard
+        leaderboard,
+        ...teamPayload
       });
 
       io.to(`presenter-${presentationId}`).emit('quiz-ended', {
         slideId,
         results,
+        leaderboard,
+        ...teamPayload
+      });
+
+      webhookService.dispatchPresentationEvent(presentationId, 'quiz.ended', {
+        slideId: slideId.toString(),
+        question: slide.question,
+        endedBy: 'presenter',
+        results,
         leaderboard
       });
 
+      await emitBranchSuggestion(io, presentationId, slide);
+
     } catch (error) {
       Logger.error('Error ending quiz', error);
       socket.emit('error', { message: 'Failed to end quiz' });
@@ -256,7 +447,7 @@ function attachQuizHandlers(io, socket) {
   // Get current quiz state
   socket.on('request-quiz-state', async ({ presentationId, slideId }) => {
     try {
-      const session = quizSessionService.getSession(slideId);
+      const session = await quizSessionService.getSession(slideId);
 
       if (!session) {
         socket.emit('quiz-state', {
@@ -268,7 +459,7 @@ function attachQuizHandlers(io, socket) {
         return;
       }
 
-      const results = quizSessionService.getResults(slideId);
+      const results = await quizSessionService.getResults(slideId);
 
       socket.emit('quiz-state', {
         slideId,
@@ -286,18 +477,22 @@ function attachQuizHandlers(io, socket) {
   // Get leaderboard
   socket.on('request-leaderboard', async ({ presentationId, limit = 10 }) => {
     try {
-      const leaderboard = await quizScoringService.getLeaderboard(presentationId, limit);
+      const runId = await runService.getCurrentRunId(presentationId);
+      const leaderboard = await quizScoringService.getLeaderboard(presentationId, limit, runId);
+      const teamPayload = await buildTeamLeaderboardPayload(presentationId, runId);
 
       // Send to requester
       socket.emit('leaderboard-data', {
         presentationId,
-        leaderboard
+        leaderboard,
+        ...teamPayload
       });
 
       // Also broadcast to presenter room
       io.to(`presenter-${presentationId}`).emit('leaderboard-data', {
         presentationId,
-        leaderboard
+        leaderboard,
+        ...teamPayload
       });
 
     } catch (error) {
@@ -309,4 +504,5 @@ function attachQuizHandlers(io, socket) {
 
 module.exports = {
   attachQuizHandlers,
+  resumeQuizTimers,
 };
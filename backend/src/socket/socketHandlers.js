@@ -11,11 +11,12 @@ const {
   attachOpenEndedVotingHandlers
 } = require('./openEnded');
 const {
-  initializeSession: initializeQnaSession,
   submitQuestion: submitQnaQuestion,
+  moderateQuestion: moderateQnaQuestion,
+  toggleUpvote: toggleQnaUpvote,
+  getParticipantQuestions: getQnaParticipantQuestions,
   markAnswered: markQnaAnswered,
   clearQuestions: clearQnaQuestions,
-  getState: getQnaState,
   updateSettings: updateQnaSettings,
   setActiveQuestion: setQnaActiveQuestion
 } = require('../services/qnaSession');
@@ -23,14 +24,265 @@ const {
   initializeSession: initializeGuessSession,
   submitGuess,
   getState: getGuessState,
-  clearResponses: clearGuessResponses
+  clearResponses: clearGuessResponses,
+  clearAllSessionsForPresentation: clearGuessSessions
 } = require('../services/guessNumberSession');
 const {
   attachQuizHandlers
 } = require('./quizHandlers');
+const { emitBranchSuggestion } = require('./branchingHandlers');
+const { buildQnaPayload, emitQnaState, notifyQnaAuthor } = require('./qnaHandlers');
+const { attachWordCloudHandlers } = require('./wordCloudHandlers');
 const { checkAudienceLimit } = require('../middleware/checkPlanLimits');
+const webhookService = require('../services/webhookService');
+const presentationSession = require('../services/presentationSession');
+const quizSessionService = require('../services/quizSessionService');
+const quizScoringService = require('../services/quizScoringService');
+const teamService = require('../services/teamService');
+const selfPacedService = require('../services/selfPacedService');
+const branchingService = require('../services/branchingService');
+const runService = require('../services/runService');
+const collaborationService = require('../services/collaborationService');
+const contentFilterService = require('../services/contentFilterService');
+const wordCloudService = require('../services/wordCloudService');
+const pinOnImageService = require('../services/pinOnImageService');
+const presenterAuth = require('./presenterAuth');
+const { attachEditorHandlers } = require('./editorHandlers');
+
+// socketId -> Set of presentation IDs the socket is tracked in (sockets only live on this instance)
+const socketPresentations = new Map();
+
+function trackSocketPresentation(socketId, presentationKey) {
+  if (!socketPresentations.has(socketId)) {
+    socketPresentations.set(socketId, new Set());
+  }
+  socketPresentations.get(socketId).add(presentationKey);
+}
+
+function emitParticipantList(io, presentationKey, entry) {
+  io.to(`presenter-${presentationKey}`).emit('participant-list-updated', {
+    participantCount: presentationSession.getParticipantCount(entry),
+    participants: presentationSession.getParticipantList(entry)
+  });
+  emitTeamBalance(io, presentationKey, entry);
+}
+
+/**
+ * Send the live team balance to the presenter when team mode is on
+ */
+async function emitTeamBalance(io, presentationKey, entry, teamSettings) {
+  try {
+    const settings = teamSettings === undefined ? await teamService.getTeamSettings(presentationKey) : teamSettings;
+    if (!settings) {
+      return;
+    }
+    io.to(`presenter-${presentationKey}`).emit('team-balance', teamService.getTeamBalance(settings, entry));
+  } catch (error) {
+    Logger.error('Team balance error', error);
+  }
+}
+
+function buildTeamAssignment(presentationKey, teamSettings, teamId) {
+  return {
+    presentationId: presentationKey,
+    teamId,
+    team: teamService.findTeam(teamSettings, teamId),
+    teams: teamSettings.teams,
+    assignment: teamSettings.assignment
+  };
+}
+
+/**
+ * Remove a participant once their reconnect grace period has passed and notify the presenter
+ */
+async function expireParticipant(io, presentationKey, participantKey, socketId) {
+  try {
+    const entry = await presentationSession.removeParticipant(presentationKey, participantKey, {
+      socketId,
+      onlyIfExpired: true
+    });
+    if (entry && entry.presenterSocket) {
+      emitParticipantList(io, presentationKey, entry);
+      // Also send the original event for backward compatibility
+      io.to(`presenter-${presentationKey}`).emit('participant-left', {
+        participantCount: presentationSession.getParticipantCount(entry)
+      });
+    }
+  } catch (error) {
+    Logger.error('Participant expiry error', error);
+  }
+}
+
+/**
+ * Build a participant's own state (submissions, score, running quiz) so a
+ * reconnecting participant picks up where they left off
+ */
+async function buildParticipantState({ presentationId, currentSlide, participantId, selfPaced = false, runId = null }) {
+  const [submissions, standing] = await Promise.all([
+    Response.find({ presentationId, participantId, ...runService.runFilter(runId) })
+      .select('slideId answer submissionCount isCorrect score responseTime')
+      .lean(),
+    quizScoringService.getParticipantStanding(presentationId, participantId, runId)
+  ]);
+
+  const state = {
+    submissions: submissions.map(response => ({
+      slideId: response.slideId,
+      answer: response.answer,
+      submissionCount: response.submissionCount || 0
+    })),
+    score: standing,
+    quiz: null
+  };
+
+  if (currentSlide?.type === 'quiz') {
+    // Self-paced quizzes run on the participant's own timer instead of the presenter's session
+    const session = selfPaced
+      ? await selfPacedService.getQuizTimer(currentSlide._id, participantId)
+      : await quizSessionService.getSession(currentSlide._id);
+    const ownResponse = submissions.find(response => String(response.slideId) === String(currentSlide._id));
+    const isActive = selfPaced
+      ? Boolean(session) && !ownResponse && !selfPacedService.checkQuizTimer(session).error
+      : Boolean(session?.isActive);
+
+    state.quiz = {
+      slideId: currentSlide._id,
+      isActive,
+      startTime: session?.startTime || null,
+      timeLimit: session?.timeLimit ?? currentSlide.quizSettings?.timeLimit,
+      submission: ownResponse
+        ? {
+          answer: ownResponse.answer,
+          isCorrect: ownResponse.isCorrect,
+          score: ownResponse.score,
+          responseTime: ownResponse.responseTime
+        }
+        : null
+    };
+  }
+
+  return state;
+}
+
+/**
+ * Build what a participant sees on a slide: current results and their own submission
+ */
+async function buildParticipantSlideState(slide, participantId, runId = null) {
+  const responses = await Response.find({ slideId: slide._id, ...runService.runFilter(runId) });
+
+  let participantResponse = null;
+  let hasSubmitted = false;
+
+  if (participantId) {
+    participantResponse = await Response.findOne({ slideId: slide._id, participantId, ...runService.runFilter(runId) });
+
+    if (participantResponse) {
+      if (slide.type === 'word_cloud') {
+        const maxWords = Math.max(1, Number(slide.maxWordsPerParticipant) || 1);
+        hasSubmitted = (participantResponse.submissionCount || 0) >= maxWords;
+      } else {
+        hasSubmitted = true;
+      }
+    }
+  }
+
+  return {
+    slide: buildSlidePayload(slide),
+    ...(await buildResultsPayload(slide, responses)),
+    hasSubmitted,
+    participantResponse: participantResponse
+      ? {
+        answer: participantResponse.answer,
+        submissionCount: participantResponse.submissionCount || 0
+      }
+      : null
+  };
+}
+
+/**
+ * Send a self-paced participant the slide they are on
+ * @param {Object} socket - Participant socket
+ * @param {Object} params
+ * @param {Object} params.presentation - Presentation document
+ * @param {string} params.participantId
+ * @param {string} params.participantName
+ * @param {number} params.slideIndex - Index into the interactive slides (optional, defaults to the stored position)
+ * @param {string} params.direction - 'next' follows the participant's own branch (optional)
+ * @param {string} params.event - Event to emit
+ * @param {boolean} params.resumed
+ * @returns {Promise<boolean>} false if the presentation has no interactive slides
+ */
+async function emitSelfPacedSlide(socket, {
+  presentation,
+  participantId,
+  participantName,
+  slideIndex,
+  direction,
+  event,
+  resumed = false
+}) {
+  const slides = await selfPacedService.getSelfPacedSlides(presentation._id);
+  if (!slides.length) {
+    return false;
+  }
 
-const activePresentations = new Map();
+  const progress = await selfPacedService.getParticipantProgress(presentation._id, participantId);
+  let requestedIndex = slideIndex === undefined ? progress.slideIndex : parseInt(slideIndex, 10);
+  let returnIndex = progress.returnIndex;
+
+  if (direction === 'next') {
+    ({ slideIndex: requestedIndex, returnIndex } = await selfPacedService.resolveNextSlide({
+      presentationId: presentation._id,
+      participantId,
+      slides,
+      currentIndex: Math.min(progress.slideIndex, slides.length - 1)
+    }));
+  }
+
+  const index = Number.isNaN(requestedIndex) ? 0 : Math.min(Math.max(requestedIndex, 0), slides.length - 1);
+  const currentSlide = slides[index];
+
+  await selfPacedService.setParticipantSlideIndex({
+    presentationId: presentation._id,
+    participantId,
+    participantName,
+    slideIndex: index,
+    returnIndex,
+    closesAt: presentation.selfPacedSettings?.closesAt
+  });
+
+  const window = selfPacedService.getSelfPacedWindow(presentation);
+
+  socket.emit(event, {
+    presentation: {
+      id: presentation._id,
+      title: presentation.title,
+      accessCode: presentation.accessCode,
+      currentSlideIndex: index,
+      selfPaced: {
+        slideIndex: index,
+        slideCount: slides.length,
+        // Branching can lead on from the last slide, so the client does not guess this from the index
+        canAdvance: index < slides.length - 1 || returnIndex !== null || branchingService.hasBranching(currentSlide),
+        closesAt: window?.closesAt || null
+      }
+    },
+    ...(await buildParticipantSlideState(currentSlide, participantId)),
+    resumed,
+    participantState: await buildParticipantState({
+      presentationId: presentation._id,
+      currentSlide,
+      participantId,
+      selfPaced: true
+    })
+  });
+
+  return true;
+}
+
+function emitSelfPacedProgress(io, presentationId) {
+  io.to(`self-paced-${presentationId}`).emit('self-paced-progress-changed', { presentationId: presentationId.toString() });
+}
 
 // Track all connected users on the platform (not just in presentations)
 let totalPlatformUsers = 0;
@@ -56,9 +308,8 @@ function buildSlidePayload(slide) {
   const leaderboardSettings = slide.leaderboardSettings && typeof slide.leaderboardSettings.toObject === 'function'
     ? slide.leaderboardSettings.toObject()
     : (slide.leaderboardSettings || null);
-  const pinOnImageSettings = slide.pinOnImageSettings && typeof slide.pinOnImageSettings.toObject === 'function'
-    ? slide.pinOnImageSettings.toObject()
-    : (slide.pinOnImageSettings || null);
+  // Participants never see the correct areas
+  const pinOnImageSettings = pinOnImageService.getParticipantSettings(slide.pinOnImageSettings);
 
   return {
     id: slide._id,
@@ -70,13 +321,17 @@ function buildSlidePayload(slide) {
     minLabel: slide.minLabel,
     maxLabel: slide.maxLabel,
     statements: slide.statements,
+    scaleMode: slide.scaleMode,
     rankingItems: slide.rankingItems,
+    rankingMethod: slide.rankingMethod,
     hundredPointsItems: slide.hundredPointsItems,
     gridItems: slide.gridItems,
     gridAxisXLabel: slide.gridAxisXLabel,
     gridAxisYLabel: slide.gridAxisYLabel,
     gridAxisRange: slide.gridAxisRange,
+    gridQuadrantLabels: slide.gridQuadrantLabels,
     maxWordsPerParticipant: slide.maxWordsPerParticipant,
+    wordCloudSettings: slide.type === 'word_cloud' ? { allowPhrases: wordCloudService.getSlideSettings(slide).allowPhrases } : undefined,
     openEndedSettings,
     qnaSettings,
     guessNumberSettings,
@@ -98,43 +353,7 @@ function buildSlidePayload(slide) {
   };
 }
 
-async function buildQnaPayload(slideId) {
-  const state = getQnaState(slideId) || { allowMultiple: false, questions: [] };
-  
-  // Fetch answerText from Response model for each question
-  const questionsWithAnswers = await Promise.all(
-    (Array.isArray(state.questions) ? state.questions : []).map(async (question) => {
-      try {
-        const response = await Response.findById(question.id);
-        if (response && response.presenterAnswer) {
-          return {
-            ...question,
-            answerText: response.presenterAnswer
-          };
-        }
-        return question;
-      } catch (error) {
-        // If Response not found or error, return question as-is
-        return question;
-      }
-    })
-  );
-  
-  return {
-    slideId,
-    allowMultiple: Boolean(state.allowMultiple),
-    questions: questionsWithAnswers,
-    activeQuestionId: state.activeQuestionId || null
-  };
-}
-
-async function emitQnaState({ io, presentationId, slideId }) {
-  const payload = await buildQnaPayload(slideId);
-  io.to(`presentation-${presentationId}`).emit('qna-updated', payload);
-  io.to(`presenter-${presentationId}`).emit('qna-updated', payload);
-}
-
-function buildResultsPayload(slide, responses) {
+async function buildResultsPayload(slide, responses) {
   const openEndedSettings = slide.openEndedSettings && typeof slide.openEndedSettings.toObject === 'function'
     ? slide.openEndedSettings.toObject()
     : (slide.openEndedSettings || {});
@@ -147,7 +366,7 @@ function buildResultsPayload(slide, responses) {
   if (handler && typeof handler.buildResults === 'function') {
     Object.assign(
       payload,
-      handler.buildResults(slide, responses, {
+      await handler.buildResults(slide, responses, {
         openEndedSettings,
         qnaSettings
       })
@@ -156,6 +375,65 @@ function buildResultsPayload(slide, responses) {
   return payload;
 }
 
+/**
+ * Slide fields the presenter view needs when a presentation starts
+ */
+function buildPresenterSlidePayload(s) {
+  return {
+    id: s._id,
+    type: s.type,
+    question: s.question,
+    options: s.options,
+    minValue: s.minValue,
+    maxValue: s.maxValue,
+    minLabel: s.minLabel,
+    maxLabel: s.maxLabel,
+    statements: s.statements,
+    scaleMode: s.scaleMode,
+    rankingItems: s.rankingItems,
+    rankingMethod: s.rankingMethod,
+    gridItems: s.gridItems,
+    gridAxisXLabel: s.gridAxisXLabel,
+    gridAxisYLabel: s.gridAxisYLabel,
+    gridAxisRange: s.gridAxisRange,
+    gridQuadrantLabels: s.gridQuadrantLabels,
+    maxWordsPerParticipant: s.maxWordsPerParticipant,
+    wordCloudSettings: s.type === 'word_cloud' ? wordCloudService.getSlideSettings(s) : undefined,
+    openEndedSettings: s.openEndedSettings && typeof s.openEndedSettings.toObject === 'function'
+      ? s.openEndedSettings.toObject()
+      : (s.openEndedSettings || {}),
+    qnaSettings: s.qnaSettings && typeof s.qnaSettings.toObject === 'function'
+      ? s.qnaSettings.toObject()
+      : (s.qnaSettings || {}),
+    guessNumberSettings: s.type === 'guess_number'
+      ? (s.guessNumberSettings && typeof s.guessNumberSettings.toObject === 'function'
+          ? s.guessNumberSettings.toObject()
+          : (s.guessNumberSettings || { minValue: 1, maxValue: 10, correctAnswer: 5 }))
+      : undefined,
+    pinOnImageSettings: s.pinOnImageSettings && typeof s.pinOnImageSettings.toObject === 'function'
+      ? s.pinOnImageSettings.toObject()
+      : (s.pinOnImageSettings || null),
+    quizSettings: s.quizSettings && typeof s.quizSettings.toObject === 'function'
+      ? s.quizSettings.toObject()
+      : (s.quizSettings || null),
+    leaderboardSettings: s.leaderboardSettings && typeof s.leaderboardSettings.toObject === 'function'
+      ? s.leaderboardSettings.toObject()
+      : (s.leaderboardSettings || null),
+    // Fields for text, image, and video slide types
+    textContent: s.textContent,
+    imageUrl: s.imageUrl,
+    imagePublicId: s.imagePublicId,
+    videoUrl: s.videoUrl,
+    videoPublicId: s.videoPublicId,
+    instructionContent: s.instructionContent,
+    // Fields for "Bring Your Slides In" slide types
+    miroUrl: s.miroUrl,
+    powerpointUrl: s.powerpointUrl,
+    powerpointPublicId: s.powerpointPublicId,
+    googleSlidesUrl: s.googleSlidesUrl
+  };
+}
+
 const setupSocketHandlers = (io, socket) => {
   // Increment count when any user connects to the platform
   totalPlatformUsers++;
@@ -175,6 +453,7 @@ const setupSocketHandlers = (io, socket) => {
     try {
       let actualUserId = userId;
       let presentation = null;
+      let role = null;
 
       // Handle institution admin authentication
       if (userId === 'institution-admin' && token) {
@@ -230,6 +509,7 @@ const setupSocketHandlers = (io, socket) => {
                   userId: { $in: institutionUserIds }
                 });
               }
+              role = 'owner';
             }
           }
         } catch (tokenError) {
@@ -238,8 +518,14 @@ const setupSocketHandlers = (io, socket) => {
           return;
         }
       } else {
-        // Regular user authentication
-        presentation = await Presentation.findOne({ _id: presentationId, userId: actualUserId });
+        // Regular user authentication: the owner or a co-presenter
+        const user = await presenterAuth.resolveUser(token);
+        if (!user) {
+          socket.emit('error', { message: 'Authentication failed' });
+          return;
+        }
+        presentation = await Presentation.findOne(collaborationService.presentationFilter(presentationId, user, 'present'));
+        role = collaborationService.getRole(presentation, user);
       }
 
       if (!presentation) {
@@ -263,47 +549,71 @@ const setupSocketHandlers = (io, socket) => {
         sanitizedIndex = 0;
       }
 
-      // Update presentation to live
-      presentation.isLive = true;
-      presentation.currentSlideIndex = sanitizedIndex;
-      await presentation.save();
-      // Join presentation room
-      socket.join(`presentation-${presentationId}`);
-      socket.join(`presenter-${presentationId}`);
-
-      // Store presenter socket
+      // A co-presenter joins the running session instead of taking it over from the presenter
       const presentationKey = presentation._id.toString();
-      let activePresentationEntry = activePresentations.get(presentationKey);
+      const liveEntry = presentation.isLive ? await presentationSession.getEntry(presentationKey) : null;
+      if (role !== 'owner' && liveEntry?.presenterSocket && liveEntry.presenterSocket !== socket.id) {
+        socket.join(`presentation-${presentationId}`);
+        socket.join(`presenter-${presentationId}`);
+        presenterAuth.grantPresenter(socket, presentationKey, role);
 
-      if (!activePresentationEntry) {
-        activePresentationEntry = {
-          presenterSocket: socket.id,
-          participants: new Map()
-        };
-        activePresentations.set(presentationKey, activePresentationEntry);
-      } else {
-        activePresentationEntry.presenterSocket = socket.id;
-        if (!activePresentationEntry.participants) {
-          activePresentationEntry.participants = new Map();
+        socket.emit('presentation-started', {
+          presentation: {
+            id: presentation._id,
+            title: presentation.title,
+            accessCode: presentation.accessCode,
+            isLive: presentation.isLive,
+            currentSlideIndex: presentation.currentSlideIndex
+          },
+          slides: slides.map(buildPresenterSlidePayload),
+          participantCount: presentationSession.getParticipantCount(liveEntry),
+          coPresenting: true
+        });
+        emitParticipantList(io, presentationKey, liveEntry);
+
+        const liveSlide = slides[presentation.currentSlideIndex];
+        if (liveSlide?.type === 'qna') {
+          await emitQnaState({ io, presentationId, slideId: liveSlide._id });
         }
+        Logger.debug(`Co-presenter joined presentation ${presentationId}`);
+        return;
       }
 
-      const roomName = `presentation-${presentationId}`;
-      const presentationRoom = io.sockets.adapter.rooms.get(roomName);
-      const updatedParticipants = new Map();
-
-      if (presentationRoom) {
-        presentationRoom.forEach(socketId => {
-          if (socketId !== socket.id && activePresentationEntry.participants.has(socketId)) {
-            // Preserve existing participant names when rebuilding the map
-            updatedParticipants.set(socketId, activePresentationEntry.participants.get(socketId));
-          }
+      // Start a new run, or keep the live one when the presenter reconnects
+      const previousRunId = presentation.currentRunId ? presentation.currentRunId.toString() : null;
+      const run = await runService.startRun(presentation);
+      if (run._id.toString() !== previousRunId) {
+        // Live answer state of the previous run must not block answers in this one
+        const slideIds = slides.map(slide => slide._id);
+        await quizSessionService.clearAllSessions(slideIds);
+        await clearGuessSessions(presentation._id, slideIds);
+        // Results pages follow the new run
+        io.to(`presentation-${presentationId}`).emit('run-started', {
+          runId: run._id.toString(),
+          runNumber: run.runNumber
         });
       }
 
-      activePresentationEntry.participants = updatedParticipants;
+      // Update presentation to live
+      presentation.isLive = true;
+      presentation.currentSlideIndex = sanitizedIndex;
+      await presentation.save();
+      // Join presentation room
+      socket.join(`presentation-${presentationId}`);
+      socket.join(`presenter-${presentationId}`);
+
+      // Store presenter socket and drop participants that are no longer connected or reconnecting
+      // (fetchSockets spans every instance when the Redis adapter is enabled)
+      const roomSockets = await io.in(`presentation-${presentationId}`).fetchSockets();
+      const activePresentationEntry = await presentationSession.setPresenter(
+        presentationKey,
+        socket.id,
+        roomSockets.map(roomSocket => roomSocket.id)
+      );
+      trackSocketPresentation(socket.id, presentationKey);
+      presenterAuth.grantPresenter(socket, presentationKey, role);
 
-      const participantCount = activePresentationEntry.participants.size;
+      const participantCount = presentationSession.getParticipantCount(activePresentationEntry);
 
       const currentSlide = slides[sanitizedIndex];
 
@@ -315,68 +625,15 @@ const setupSocketHandlers = (io, socket) => {
           isLive: presentation.isLive,
           currentSlideIndex: presentation.currentSlideIndex
         },
-        slides: slides.map(s => ({
-          id: s._id,
-          type: s.type,
-          question: s.question,
-          options: s.options,
-          minValue: s.minValue,
-          maxValue: s.maxValue,
-          minLabel: s.minLabel,
-          maxLabel: s.maxLabel,
-          statements: s.statements,
-          rankingItems: s.rankingItems,
-          gridItems: s.gridItems,
-          gridAxisXLabel: s.gridAxisXLabel,
-          gridAxisYLabel: s.gridAxisYLabel,
-          gridAxisRange: s.gridAxisRange,
-          maxWordsPerParticipant: s.maxWordsPerParticipant,
-          openEndedSettings: s.openEndedSettings && typeof s.openEndedSettings.toObject === 'function'
-            ? s.openEndedSettings.toObject()
-            : (s.openEndedSettings || {}),
-          qnaSettings: s.qnaSettings && typeof s.qnaSettings.toObject === 'function'
-            ? s.qnaSettings.toObject()
-            : (s.qnaSettings || {}),
-          guessNumberSettings: s.type === 'guess_number'
-            ? (s.guessNumberSettings && typeof s.guessNumberSettings.toObject === 'function'
-                ? s.guessNumberSettings.toObject()
-                : (s.guessNumberSettings || { minValue: 1, maxValue: 10, correctAnswer: 5 }))
-            : undefined,
-          pinOnImageSettings: s.pinOnImageSettings && typeof s.pinOnImageSettings.toObject === 'function'
-            ? s.pinOnImageSettings.toObject()
-            : (s.pinOnImageSettings || null),
-          quizSettings: s.quizSettings && typeof s.quizSettings.toObject === 'function'
-            ? s.quizSettings.toObject()
-            : (s.quizSettings || null),
-          leaderboardSettings: s.leaderboardSettings && typeof s.leaderboardSettings.toObject === 'function'
-            ? s.leaderboardSettings.toObject()
-            : (s.leaderboardSettings || null),
-          // Fields for text, image, and video slide types
-          textContent: s.textContent,
-          imageUrl: s.imageUrl,
-          imagePublicId: s.imagePublicId,
-          videoUrl: s.videoUrl,
-          videoPublicId: s.videoPublicId,
-          instructionContent: s.instructionContent,
-          // Fields for "Bring Your Slides In" slide types
-          miroUrl: s.miroUrl,
-          powerpointUrl: s.powerpointUrl,
-          powerpointPublicId: s.powerpointPublicId,
-          googleSlidesUrl: s.googleSlidesUrl
-        })),
+        slides: slides.map(buildPresenterSlidePayload),
         participantCount
       });
+      await emitTeamBalance(io, presentationKey, activePresentationEntry, await teamService.getTeamSettings(presentation));
 
       // Initialize and broadcast existing results for the current slide
       if (currentSlide) {
-        if (currentSlide.type === 'qna') {
-          initializeQnaSession({
-            slideId: currentSlide._id,
-            allowMultiple: Boolean(currentSlide.qnaSettings?.allowMultiple)
-          });
-        }
-        const responses = await Response.find({ slideId: currentSlide._id });
-        const results = buildResultsPayload(currentSlide, responses);
+        const responses = await Response.find({ slideId: currentSlide._id, runId: run._id });
+        const results = await buildResultsPayload(currentSlide, responses);
 
         const participantPayload = {
           presentation: {
@@ -400,8 +657,14 @@ const setupSocketHandlers = (io, socket) => {
         if (currentSlide.type === 'qna') {
           await emitQnaState({ io, presentationId, slideId: currentSlide._id });
         }
+        await emitBranchSuggestion(io, presentationId, currentSlide);
       }
 
+      webhookService.dispatchPresentationEvent(presentation, 'presentation.started', {
+        startedAt: new Date().toISOString(),
+        slideCount: slides.length
+      });
+
       Logger.debug(`Presentation ${presentationId} started`);
     } catch (error) {
       Logger.error('Start presentation error', error);
@@ -411,6 +674,7 @@ const setupSocketHandlers = (io, socket) => {
 
   // Presenter changes slide
   socket.on('change-slide', async ({ presentationId, slideIndex, showFinalLeaderboard }) => {
+    if (!presenterAuth.requirePresenter(socket, presentationId)) return;
     try {
       const presentation = await Presentation.findById(presentationId);
 
@@ -473,26 +737,16 @@ const setupSocketHandlers = (io, socket) => {
       const currentSlide = slides[slideIndex];
 
       if (currentSlide) {
-        if (currentSlide.type === 'qna') {
-          initializeQnaSession({
-            slideId: currentSlide._id,
-            allowMultiple: Boolean(currentSlide.qnaSettings?.allowMultiple)
-          });
-        }
         // Get current responses for this slide
-        const responses = await Response.find({ slideId: currentSlide._id });
-
-        if (currentSlide.type === 'qna') {
-          updateQnaSettings({
-            slideId: currentSlide._id,
-            allowMultiple: Boolean(currentSlide.qnaSettings?.allowMultiple)
-          });
-        }
+        const responses = await Response.find({
+          slideId: currentSlide._id,
+          ...runService.runFilter(presentation.currentRunId)
+        });
 
         const payload = {
           slide: buildSlidePayload(currentSlide),
           slideIndex: slideIndex,
-          ...buildResultsPayload(currentSlide, responses)
+          ...(await buildResultsPayload(currentSlide, responses))
         };
 
         io.to(`presentation-${presentationId}`).emit('slide-changed', payload);
@@ -500,6 +754,7 @@ const setupSocketHandlers = (io, socket) => {
         if (currentSlide.type === 'qna') {
           await emitQnaState({ io, presentationId, slideId: currentSlide._id });
         }
+        await emitBranchSuggestion(io, presentationId, currentSlide);
       }
     } catch (error) {
       Logger.error('Change slide error', error);
@@ -509,18 +764,33 @@ const setupSocketHandlers = (io, socket) => {
 
   // Presenter ends presentation
   socket.on('end-presentation', async ({ presentationId }) => {
+    if (!presenterAuth.getPresenterRole(socket, presentationId)) return;
     try {
+      // A co-presenter leaving does not end the session for everyone
+      const entry = await presentationSession.getEntry(String(presentationId));
+      if (entry?.presenterSocket && entry.presenterSocket !== socket.id) {
+        socket.leave(`presentation-${presentationId}`);
+        socket.leave(`presenter-${presentationId}`);
+        presenterAuth.revokePresenter(socket, presentationId);
+        return;
+      }
+
       const presentation = await Presentation.findById(presentationId);
 
       if (presentation) {
         presentation.isLive = false;
+        await runService.endRun(presentation);
         await presentation.save();
 
         // Notify all participants
         io.to(`presentation-${presentationId}`).emit('presentation-ended');
 
         // Clean up
-        activePresentations.delete(presentationId);
+        await presentationSession.endPresentation(presentationId);
+
+        webhookService.dispatchPresentationEvent(presentation, 'presentation.ended', {
+          endedAt: new Date().toISOString()
+        });
       }
 
       Logger.debug(`Presentation ${presentationId} ended`);
@@ -530,7 +800,7 @@ const setupSocketHandlers = (io, socket) => {
   });
 
   // Participant joins presentation
-  socket.on('join-presentation', async ({ accessCode, participantId, participantName }) => {
+  socket.on('join-presentation', async ({ accessCode, participantId, participantName, teamId }) => {
     try {
       const presentation = await Presentation.findOne({ accessCode });
 
@@ -543,22 +813,73 @@ const setupSocketHandlers = (io, socket) => {
       socket.join(`presentation-${presentation._id}`);
 
       const presentationKey = presentation._id.toString();
-      let activeEntry = activePresentations.get(presentationKey);
-      if (!activeEntry) {
-        activeEntry = {
-          presenterSocket: null,
-          participants: new Map()
-        };
-        activePresentations.set(presentationKey, activeEntry);
+
+      // In team mode, keep the participant's team from earlier answers, then honour their pick or auto-assign
+      const teamSettings = await teamService.getTeamSettings(presentation);
+      let assignTeam = null;
+      if (teamSettings) {
+        const storedScore = participantId
+          ? await quizScoringService.getParticipantScore(presentation._id, participantId, presentation.currentRunId)
+          : null;
+        const teamLocked = Boolean(storedScore?.teamId) && (storedScore.quizScores || []).length > 0;
+        assignTeam = (participants, existing) => teamService.pickTeam(teamSettings, participants, {
+          currentTeamId: existing?.teamId || storedScore?.teamId,
+          requestedTeamId: teamLocked ? null : teamId
+        });
       }
 
-      // Track participant socket and name
-      const wasNewParticipant = !activeEntry.participants.has(socket.id);
-      activeEntry.participants.set(socket.id, participantName || 'Anonymous');
+      // Track participant by participantId so a reconnect resumes the same seat
+      const participantKey = participantId || socket.id;
+      const { entry: activeEntry, isNew, resumed } = await presentationSession.addParticipant(
+        presentationKey,
+        participantKey,
+        socket.id,
+        participantName,
+        { assignTeam }
+      );
+      trackSocketPresentation(socket.id, presentationKey);
+
+      if (teamSettings) {
+        socket.emit('team-assigned', buildTeamAssignment(presentationKey, teamSettings, activeEntry.participants[participantKey].teamId));
+      }
 
       if (!presentation.isLive) {
+        const selfPacedWindow = selfPacedService.getSelfPacedWindow(presentation);
+
+        // Self-paced mode: the participant works through the slides on their own
+        if (selfPacedWindow?.isOpen) {
+          const joined = await emitSelfPacedSlide(socket, {
+            presentation,
+            participantId: participantKey,
+            participantName,
+            event: 'joined-presentation',
+            resumed
+          });
+          if (joined) {
+            emitSelfPacedProgress(io, presentationKey);
+            Logger.debug(`Participant joined self-paced presentation ${presentation._id}`);
+            return;
+          }
+        }
+
+        if (selfPacedWindow?.status === 'scheduled') {
+          socket.emit('presentation-not-live', {
+            message: 'This presentation is not open yet. Please come back later.',
+            opensAt: selfPacedWindow.opensAt,
+            ended: false
+          });
+          return;
+        }
+        if (selfPacedWindow?.status === 'closed') {
+          socket.emit('presentation-not-live', {
+            message: 'This presentation is closed. Thank you for participating!',
+            ended: true
+          });
+          return;
+        }
+
         // Check if presentation was previously live (has ended) vs never started
-        const wasLive = activePresentations.has(presentationKey);
+        const wasLive = Boolean(activeEntry);
         socket.emit('presentation-not-live', {
           message: wasLive 
             ? 'The presentation has ended. Thank you for participating!'
@@ -568,32 +889,29 @@ const setupSocketHandlers = (io, socket) => {
         return;
       }
 
-      // Check audience limit
-      const currentCount = activeEntry.participants.size;
-      const canJoin = await checkAudienceLimit(presentation.userId, presentation._id, currentCount);
+      // Check audience limit (participants resuming their seat were already admitted)
+      const participantCount = presentationSession.getParticipantCount(activeEntry);
+      const canJoin = !isNew || await checkAudienceLimit(presentation.userId, presentation._id, participantCount);
 
       if (!canJoin) {
         socket.emit('error', {
           message: 'Session is full. The presenter needs to upgrade their plan to admit more participants.'
         });
         // Remove from participants set since they are rejected
-        activeEntry.participants.delete(socket.id);
+        await presentationSession.removeParticipant(presentationKey, participantKey);
         socket.leave(`presentation-${presentation._id}`);
         return;
       }
 
       // Notify presenter about new participant count and names if presenter is connected
-      const participantCount = activeEntry.participants.size;
       if (activeEntry.presenterSocket) {
         // Send updated participant list to presenter
-        const participantList = Array.from(activeEntry.participants.values());
-        io.to(`presenter-${presentationKey}`).emit('participant-list-updated', { 
-          participantCount,
-          participants: participantList
-        });
+        emitParticipantList(io, presentationKey, activeEntry);
         
         // Also send the original event for backward compatibility
-        io.to(`presenter-${presentationKey}`).emit('participant-joined', { participantCount });
+        if (isNew) {
+          io.to(`presenter-${presentationKey}`).emit('participant-joined', { participantCount });
+        }
       }
 
       // Get current slide
@@ -601,25 +919,6 @@ const setupSocketHandlers = (io, socket) => {
       const currentSlide = slides[presentation.currentSlideIndex];
 
       if (currentSlide) {
-        // Get current responses for this slide
-        const responses = await Response.find({ slideId: currentSlide._id });
-
-        let participantResponse = null;
-        let hasSubmitted = false;
-
-        if (participantId) {
-          participantResponse = await Response.findOne({ slideId: currentSlide._id, participantId });
-
-          if (participantResponse) {
-            if (currentSlide.type === 'word_cloud') {
-              const maxWords = Math.max(1, Number(currentSlide.maxWordsPerParticipant) || 1);
-              hasSubmitted = (participantResponse.submissionCount || 0) >= maxWords;
-            } else {
-              hasSubmitted = true;
-            }
-          }
-        }
-
         socket.emit('joined-presentation', {
           presentation: {
             id: presentation._id,
@@ -627,14 +926,15 @@ const setupSocketHandlers = (io, socket) => {
             accessCode: presentation.accessCode,
             currentSlideIndex: presentation.currentSlideIndex
           },
-          slide: buildSlidePayload(currentSlide),
-          ...buildResultsPayload(currentSlide, responses),
-          hasSubmitted,
-          participantResponse: participantResponse
-            ? {
-              answer: participantResponse.answer,
-              submissionCount: participantResponse.submissionCount || 0
-            }
+          ...(await buildParticipantSlideState(currentSlide, participantId, presentation.currentRunId)),
+          resumed,
+          participantState: participantId
+            ? await buildParticipantState({
+              presentationId: presentation._id,
+              currentSlide,
+              participantId,
+              runId: presentation.currentRunId
+            })
             : null
         });
 
@@ -642,13 +942,131 @@ const setupSocketHandlers = (io, socket) => {
           emitQnaState({ io, presentationId: presentation._id, slideId: currentSlide._id });
         }
       }
-      Logger.debug(`Participant joined presentation ${presentation._id}`);
+      Logger.debug(`Participant ${resumed ? 'resumed' : 'joined'} presentation ${presentation._id}`);
     } catch (error) {
       Logger.error('Join presentation error', error);
       socket.emit('error', { message: 'Failed to join presentation' });
     }
   });
 
+  // Self-paced participant moves to another slide
+  socket.on('self-paced-navigate', async ({ presentationId, participantId, participantName, slideIndex, direction }) => {
+    try {
+      const presentation = await Presentation.findById(presentationId);
+      if (!presentation || !selfPacedService.isSelfPacedOpen(presentation)) {
+        socket.emit('error', { message: 'This presentation is not open for self-paced participation' });
+        return;
+      }
+
+      await emitSelfPacedSlide(socket, {
+        presentation,
+        participantId: participantId || socket.id,
+        participantName,
+        slideIndex,
+        direction,
+        event: 'self-paced-slide'
+      });
+      emitSelfPacedProgress(io, presentation._id);
+    } catch (error) {
+      Logger.error('Self-paced navigation error', error);
+      socket.emit('error', { message: 'Failed to load slide' });
+    }
+  });
+
+  // Presenter watches completion of a self-paced presentation
+  socket.on('watch-self-paced', async ({ presentationId, token }) => {
+    try {
+      const user = await presenterAuth.resolveUser(token);
+      const presentation = user
+        ? await Presentation.findOne(collaborationService.presentationFilter(presentationId, user, 'view')).select('_id').lean()
+        : null;
+      if (!presentation) {
+        socket.emit('error', { message: 'Presentation not found' });
+        return;
+      }
+      socket.join(`self-paced-${presentation._id}`);
+    } catch (error) {
+      Logger.error('Watch self-paced error', error);
+    }
+  });
+
+  socket.on('unwatch-self-paced', ({ presentationId }) => {
+    if (presentationId) {
+      socket.leave(`self-paced-${presentationId}`);
+    }
+  });
+
+  // Participant picks a team (team mode with participant choice)
+  socket.on('choose-team', async ({ presentationId, participantId, teamId }) => {
+    try {
+      if (!presentationId) {
+        return;
+      }
+      const presentationKey = presentationId.toString();
+      const participantKey = participantId || socket.id;
+
+      const teamSettings = await teamService.getTeamSettings(presentationKey);
+      if (!teamSettings || teamSettings.assignment !== 'choose') {
+        socket.emit('error', { message: 'Teams are assigned automatically for this presentation' });
+        return;
+      }
+      if (!teamService.findTeam(teamSettings, teamId)) {
+        socket.emit('error', { message: 'Team not found' });
+        return;
+      }
+
+      const runId = await runService.getCurrentRunId(presentationKey);
+      const storedScore = participantId
+        ? await quizScoringService.getParticipantScore(presentationKey, participantId, runId)
+        : null;
+      if ((storedScore?.quizScores || []).length > 0 && storedScore.teamId) {
+        socket.emit('error', { message: 'You cannot switch teams after answering a quiz' });
+        return;
+      }
+
+      const entry = await presentationSession.setParticipantTeam(presentationKey, participantKey, teamId);
+      if (!entry) {
+        socket.emit('error', { message: 'Join the presentation before choosing a team' });
+        return;
+      }
+      if (storedScore) {
+        await teamService.setParticipantScoreTeam(presentationKey, participantId, teamId, runId);
+      }
+
+      socket.emit('team-assigned', buildTeamAssignment(presentationKey, teamSettings, teamId));
+      if (entry.presenterSocket) {
+        await emitTeamBalance(io, presentationKey, entry, teamSettings);
+      }
+    } catch (error) {
+      Logger.error('Choose team error', error);
+      socket.emit('error', { message: 'Failed to choose team' });
+    }
+  });
+
+  // Participant leaves on purpose: free their seat right away (no reconnect grace period)
+  socket.on('leave-presentation', async ({ presentationId, participantId }) => {
+    try {
+      if (!presentationId) {
+        return;
+      }
+      const presentationKey = presentationId.toString();
+      const entry = await presentationSession.removeParticipant(presentationKey, participantId || socket.id, {
+        socketId: socket.id
+      });
+      socketPresentations.get(socket.id)?.delete(presentationKey);
+
+      if (entry && entry.presenterSocket) {
+        emitParticipantList(io, presentationKey, entry);
+        // Also send the original event for backward compatibility
+        io.to(`presenter-${presentationKey}`).emit('participant-left', {
+          participantCount: presentationSession.getParticipantCount(entry)
+        });
+      }
+    } catch (error) {
+      Logger.error('Leave presentation error', error);
+    }
+  });
+
   // Join presentation room for results viewing (no authentication required, just viewing results)
   socket.on('join-presentation-results', ({ presentationId }) => {
     if (presentationId) {
@@ -667,6 +1085,12 @@ const setupSocketHandlers = (io, socket) => {
         return;
       }
 
+      const submissionMode = await selfPacedService.getSubmissionMode(presentationId);
+      if (submissionMode === 'closed') {
+        socket.emit('error', { message: 'This presentation is closed for answers' });
+        return;
+      }
+
       let normalizedAnswer = answer;
       const handler = getHandler(slide.type);
       if (handler && typeof handler.normalizeAnswer === 'function') {
@@ -679,11 +1103,28 @@ const setupSocketHandlers = (io, socket) => {
         }
       }
 
+      // Keep profanity and blocked words off the shared screen
+      if (slide.type === 'open_ended' || slide.type === 'word_cloud') {
+        const contentFilter = await contentFilterService.getContentFilter(slide.presentationId);
+        const filtered = slide.type === 'word_cloud'
+          ? contentFilterService.filterWords(normalizedAnswer, contentFilter)
+          : contentFilterService.filterText(normalizedAnswer, contentFilter);
+        if (filtered.blocked) {
+          socket.emit('error', { message: 'Your answer contains words that are not allowed.' });
+          return;
+        }
+        normalizedAnswer = slide.type === 'word_cloud' ? filtered.words : filtered.text;
+      }
+
+      // Live answers belong to the current run; self-paced answers are kept outside runs
+      const runId = submissionMode === 'live' ? await runService.getCurrentRunId(presentationId) : null;
+
       // Check if response already exists
-      const existingResponse = await Response.findOne({ participantId, slideId });
+      const existingResponse = await Response.findOne({ participantId, slideId, runId });
 
       let submissionCount = 1;
       let maxSubmissions = null;
+      let pinGrade = null;
 
       if (slide.type === 'word_cloud') {
         // For word cloud, allow multiple submissions up to maxWordsPerParticipant
@@ -708,6 +1149,7 @@ const setupSocketHandlers = (io, socket) => {
           // Create new response
           const response = new Response({
             presentationId,
+            runId,
             slideId,
             participantId,
             participantName,
@@ -721,6 +1163,7 @@ const setupSocketHandlers = (io, socket) => {
         const submissionResult = await handleOpenEndedSubmission({
           existingResponse,
           presentationId,
+          runId,
           slideId,
           participantId,
           participantName,
@@ -740,18 +1183,41 @@ const setupSocketHandlers = (io, socket) => {
 
         const response = new Response({
           presentationId,
+          runId,
           slideId,
           participantId,
           participantName,
           answer: normalizedAnswer
         });
+
+        if (slide.type === 'pin_on_image') {
+          pinGrade = pinOnImageService.scoreAnswer(normalizedAnswer.pins, slide.pinOnImageSettings);
+          response.isCorrect = pinGrade.isCorrect;
+          response.score = pinGrade.score || 0;
+        }
         await response.save();
+
+        // Scored pin slides count towards the leaderboard like quizzes
+        if (pinGrade?.score !== null && pinGrade?.score !== undefined) {
+          const sessionEntry = await presentationSession.getEntry(presentationId);
+          await quizScoringService.updateParticipantScore({
+            presentationId,
+            runId,
+            participantId,
+            participantName,
+            slideId,
+            score: pinGrade.score,
+            responseTime: 0,
+            isCorrect: pinGrade.isCorrect,
+            teamId: sessionEntry?.participants?.[participantId]?.teamId
+          });
+        }
       }
 
       // Get updated responses for this slide
-      const responses = await Response.find({ slideId });
+      const responses = await Response.find({ slideId, runId });
 
-      const results = buildResultsPayload(slide, responses);
+      const results = await buildResultsPayload(slide, responses);
       
       io.to(`presentation-${presentationId}`).emit('response-updated', {
         slideId: slide._id.toString(),
@@ -769,8 +1235,30 @@ const setupSocketHandlers = (io, socket) => {
         responsePayload.maxSubmissions = maxSubmissions;
       }
 
+      if (pinGrade) {
+        responsePayload.pins = pinGrade.pins;
+        responsePayload.isCorrect = pinGrade.isCorrect;
+        responsePayload.credit = pinGrade.credit;
+        responsePayload.score = pinGrade.score;
+      }
+
       socket.emit('response-submitted', responsePayload);
 
+      if (submissionMode === 'self_paced') {
+        emitSelfPacedProgress(io, presentationId);
+      } else {
+        await emitBranchSuggestion(io, presentationId, slide);
+      }
+
+      webhookService.dispatchPresentationEvent(presentationId, 'response.submitted', {
+        slideId: slide._id.toString(),
+        slideType: slide.type,
+        participantId,
+        participantName: participantName || 'Anonymous',
+        answer: normalizedAnswer,
+        submittedAt: new Date().toISOString()
+      });
+
       Logger.debug(`Response submitted for slide ${slideId}`);
     } catch (error) {
       Logger.error('Submit response error', error);
@@ -778,6 +1266,7 @@ const setupSocketHandlers = (io, socket) => {
     }
   });
   attachOpenEndedVotingHandlers({ io, socket, buildResultsPayload });
+  attachWordCloudHandlers({ io, socket, buildResultsPayload });
 
   socket.on('submit-qna-question', async ({ presentationId, slideId, participantId, participantName, text }) => {
     try {
@@ -787,40 +1276,32 @@ const setupSocketHandlers = (io, socket) => {
         return;
       }
 
-      initializeQnaSession({
-        slideId: slide._id,
-        allowMultiple: Boolean(slide.qnaSettings?.allowMultiple)
-      });
-
-      // Create response in DB first
-      const response = new Response({
-        presentationId,
-        slideId: slide._id,
-        participantId,
-        participantName,
-        answer: text,
-        isAnswered: false
-      });
-      await response.save();
+      const filtered = contentFilterService.filterText(
+        typeof text === 'string' ? text : String(text || ''),
+        await contentFilterService.getContentFilter(slide.presentationId)
+      );
+      if (filtered.blocked) {
+        socket.emit('error', { message: 'Your question contains words that are not allowed.' });
+        return;
+      }
 
-      const result = submitQnaQuestion({
-        slideId: slide._id,
+      const result = await submitQnaQuestion({
+        slide,
         participantId,
         participantName,
-        text,
-        id: response._id.toString()
+        text: filtered.text
       });
 
       if (result.error) {
-        await Response.deleteOne({ _id: response._id });
         socket.emit('error', { message: result.error });
         return;
       }
 
       emitQnaState({ io, presentationId, slideId: slide._id });
 
-      const responses = await Response.find({ slideId: slide._id });
-      const results = buildResultsPayload(slide, responses);
+      const runId = await runService.getCurrentRunId(presentationId);
+      const responses = await Response.find({ slideId: slide._id, runId });
+      const results = await buildResultsPayload(slide, responses);
       io.to(`presentation-${presentationId}`).emit('response-updated', {
         slideId: slide._id.toString(),
         ...results
@@ -828,7 +1309,18 @@ const setupSocketHandlers = (io, socket) => {
 
       socket.emit('qna-question-submitted', {
         slideId: slide._id,
-        questionId: result.question.id
+        questionId: result.question.id,
+        status: result.question.status,
+        question: result.question
+      });
+
+      webhookService.dispatchPresentationEvent(presentationId, 'response.submitted', {
+        slideId: slide._id.toString(),
+        slideType: slide.type,
+        participantId,
+        participantName: participantName || 'Anonymous',
+        answer: result.question.text,
+        submittedAt: new Date().toISOString()
       });
     } catch (error) {
       Logger.error('Submit Q&A question error', error);
@@ -837,32 +1329,25 @@ const setupSocketHandlers = (io, socket) => {
   });
 
   socket.on('mark-qna-answered', async ({ presentationId, slideId, questionId, answered, answerText = null }) => {
+    if (!presenterAuth.requirePresenter(socket, presentationId)) return;
     try {
       const slide = await Slide.findById(slideId);
-      if (!slide || slide.type !== 'qna') {
+      if (!slide || slide.type !== 'qna' || String(slide.presentationId) !== String(presentationId)) {
         socket.emit('error', { message: 'Q&A slide not found' });
         return;
       }
 
-      // Update Response model - store answer text in the answer field (it currently stores the question text)
-      const updateData = { isAnswered: answered };
-      if (answerText !== null && answerText !== undefined) {
-        // Store the presenter's answer - we'll keep the original question in a separate field if needed
-        // For now, we'll store the answer text in the answer field when answered
-        updateData.presenterAnswer = answerText.trim().slice(0, 1000);
-      }
-
-      await Response.findByIdAndUpdate(questionId, updateData);
-
-      const result = markQnaAnswered({ slideId: slide._id, questionId, answered, answerText });
+      const result = await markQnaAnswered({ slide, questionId, answered, answerText });
       if (result.error) {
-        Logger.warn(`In-memory QnA update failed: ${result.error}`);
+        socket.emit('error', { message: result.error });
+        return;
       }
 
       await emitQnaState({ io, presentationId, slideId: slide._id });
 
-      const responses = await Response.find({ slideId: slide._id });
-      const results = buildResultsPayload(slide, responses);
+      const runId = await runService.getCurrentRunId(presentationId);
+      const responses = await Response.find({ slideId: slide._id, runId });
+      const results = await buildResultsPayload(slide, responses);
       io.to(`presentation-${presentationId}`).emit('response-updated', {
         slideId: slide._id.toString(),
         ...results
@@ -873,15 +1358,60 @@ const setupSocketHandlers = (io, socket) => {
     }
   });
 
+  socket.on('moderate-qna-question', async ({ presentationId, slideId, questionId, action, text }) => {
+    if (!presenterAuth.requirePresenter(socket, presentationId)) return;
+    try {
+      const slide = await Slide.findById(slideId);
+      if (!slide || slide.type !== 'qna' || String(slide.presentationId) !== String(presentationId)) {
+        socket.emit('error', { message: 'Q&A slide not found' });
+        return;
+      }
+
+      const result = await moderateQnaQuestion({ slide, questionId, action, text });
+      if (result.error) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+
+      await emitQnaState({ io, presentationId, slideId: slide._id });
+      await notifyQnaAuthor({ io, presentationId, slideId: slide._id, question: result.question });
+    } catch (error) {
+      Logger.error('Moderate Q&A question error', error);
+      socket.emit('error', { message: 'Failed to moderate question' });
+    }
+  });
+
+  socket.on('upvote-qna-question', async ({ presentationId, slideId, questionId, participantId }) => {
+    try {
+      const slide = await Slide.findById(slideId);
+      if (!slide || slide.type !== 'qna' || String(slide.presentationId) !== String(presentationId)) {
+        socket.emit('error', { message: 'Q&A slide not found' });
+        return;
+      }
+
+      const result = await toggleQnaUpvote({ slide, questionId, participantId });
+      if (result.error) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+
+      await emitQnaState({ io, presentationId, slideId: slide._id });
+    } catch (error) {
+      Logger.error('Upvote Q&A question error', error);
+      socket.emit('error', { message: 'Failed to upvote question' });
+    }
+  });
+
   socket.on('set-qna-active-question', async ({ presentationId, slideId, questionId }) => {
+    if (!presenterAuth.requirePresenter(socket, presentationId)) return;
     try {
       const slide = await Slide.findById(slideId);
-      if (!slide || slide.type !== 'qna') {
+      if (!slide || slide.type !== 'qna' || String(slide.presentationId) !== String(presentationId)) {
         socket.emit('error', { message: 'Q&A slide not found' });
         return;
       }
 
-      const result = setQnaActiveQuestion({ slideId: slide._id, questionId });
+      const result = await setQnaActiveQuestion({ slide, questionId });
       if (result.error) {
         socket.emit('error', { message: result.error });
         return;
@@ -895,16 +1425,16 @@ const setupSocketHandlers = (io, socket) => {
   });
 
   socket.on('clear-qna-questions', async ({ presentationId, slideId }) => {
+    if (!presenterAuth.requirePresenter(socket, presentationId)) return;
     try {
       const slide = await Slide.findById(slideId);
-      if (!slide || slide.type !== 'qna') {
+      if (!slide || slide.type !== 'qna' || String(slide.presentationId) !== String(presentationId)) {
         socket.emit('error', { message: 'Q&A slide not found' });
         return;
       }
 
-      await Response.deleteMany({ slideId: slide._id });
-
-      const result = clearQnaQuestions({ slideId: slide._id });
+      // Only the current run is cleared; earlier runs stay in the run history
+      const result = await clearQnaQuestions({ slide });
       if (result.error) {
         socket.emit('error', { message: result.error });
         return;
@@ -913,7 +1443,7 @@ const setupSocketHandlers = (io, socket) => {
       await emitQnaState({ io, presentationId, slideId: slide._id });
 
       const responses = [];
-      const results = buildResultsPayload(slide, responses);
+      const results = await buildResultsPayload(slide, responses);
       io.to(`presentation-${presentationId}`).emit('response-updated', {
         slideId: slide._id.toString(),
         ...results
@@ -924,15 +1454,21 @@ const setupSocketHandlers = (io, socket) => {
     }
   });
 
-  socket.on('update-qna-settings', async ({ presentationId, slideId, allowMultiple }) => {
+  socket.on('update-qna-settings', async ({ presentationId, slideId, allowMultiple, moderation, allowUpvotes, sortBy }) => {
+    if (!presenterAuth.requirePresenter(socket, presentationId)) return;
     try {
       const slide = await Slide.findById(slideId);
-      if (!slide || slide.type !== 'qna') {
+      if (!slide || slide.type !== 'qna' || String(slide.presentationId) !== String(presentationId)) {
         socket.emit('error', { message: 'Q&A slide not found' });
         return;
       }
 
-      updateQnaSettings({ slideId: slide._id, allowMultiple });
+      const result = await updateQnaSettings({ slide, allowMultiple, moderation, allowUpvotes, sortBy });
+      if (result.error) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+
       await emitQnaState({ io, presentationId, slideId: slide._id });
     } catch (error) {
       Logger.error('Update Q&A settings error', error);
@@ -940,9 +1476,15 @@ const setupSocketHandlers = (io, socket) => {
     }
   });
 
-  socket.on('request-qna-state', async ({ presentationId, slideId }) => {
+  socket.on('request-qna-state', async ({ presentationId, slideId, participantId }) => {
     try {
-      const payload = await buildQnaPayload(slideId);
+      const payload = await buildQnaPayload(slideId, {
+        includePending: Boolean(presenterAuth.getPresenterRole(socket, presentationId))
+      });
+      // A participant's own questions that are waiting for approval or were rejected
+      if (participantId) {
+        payload.ownQuestions = await getQnaParticipantQuestions(slideId, participantId);
+      }
       socket.emit('qna-updated', payload);
     } catch (error) {
       Logger.error('Request Q&A state error', error);
@@ -960,7 +1502,7 @@ const setupSocketHandlers = (io, socket) => {
 
       const { minValue, maxValue, correctAnswer } = slide.guessNumberSettings || {};
 
-      initializeGuessSession({
+      await initializeGuessSession({
         slideId: slide._id,
         minValue,
         maxValue,
@@ -974,9 +1516,12 @@ const setupSocketHandlers = (io, socket) => {
       // Ensure incorrect guesses get 0 points (correct guesses also get 0 since guess number doesn't use scoring)
       const score = 0;
 
+      const runId = await runService.getCurrentRunId(presentationId);
+
       // Create response in DB first - track isCorrect and score like quiz slides
       const response = new Response({
         presentationId,
+        runId,
         slideId: slide._id,
         participantId,
         answer: guess,
@@ -986,7 +1531,7 @@ const setupSocketHandlers = (io, socket) => {
       });
       await response.save();
 
-      const result = submitGuess({
+      const result = await submitGuess({
         slideId: slide._id,
         participantId,
         guess
@@ -1000,8 +1545,8 @@ const setupSocketHandlers = (io, socket) => {
       }
 
       // Also emit standard response-updated event for consistency
-      const responses = await Response.find({ slideId: slide._id });
-      const results = buildResultsPayload(slide, responses);
+      const responses = await Response.find({ slideId: slide._id, runId });
+      const results = await buildResultsPayload(slide, responses);
       io.to(`presentation-${presentationId}`).emit('response-updated', {
         slideId: slide._id.toString(),
         slide: buildSlidePayload(slide),
@@ -1009,6 +1554,16 @@ const setupSocketHandlers = (io, socket) => {
       });
 
       socket.emit('guess-submitted', { success: true });
+
+      webhookService.dispatchPresentationEvent(presentationId, 'response.submitted', {
+        slideId: slide._id.toString(),
+        slideType: slide.type,
+        participantId,
+        participantName: 'Anonymous',
+        answer: guess,
+        isCorrect,
+        submittedAt: new Date().toISOString()
+      });
     } catch (error) {
       Logger.error('Submit guess error', error);
       socket.emit('error', { message: 'Failed to submit guess' });
@@ -1016,16 +1571,19 @@ const setupSocketHandlers = (io, socket) => {
   });
 
   socket.on('clear-guess-responses', async ({ presentationId, slideId }) => {
+    if (!presenterAuth.requirePresenter(socket, presentationId)) return;
     try {
       const slide = await Slide.findById(slideId);
-      if (!slide || slide.type !== 'guess_number') {
+      if (!slide || slide.type !== 'guess_number' || String(slide.presentationId) !== String(presentationId)) {
         socket.emit('error', { message: 'Guess slide not found' });
         return;
       }
 
-      await Response.deleteMany({ slideId: slide._id });
+      // Only the current run is cleared; earlier runs stay in the run history
+      const runId = await runService.getCurrentRunId(presentationId);
+      await Response.deleteMany({ slideId: slide._id, runId });
 
-      const result = clearGuessResponses({ slideId: slide._id });
+      const result = await clearGuessResponses({ slideId: slide._id });
       if (result.error) {
         socket.emit('error', { message: result.error });
         return;
@@ -1037,7 +1595,7 @@ const setupSocketHandlers = (io, socket) => {
 
       // Emit empty responses
       const responses = [];
-      const results = buildResultsPayload(slide, responses);
+      const results = await buildResultsPayload(slide, responses);
       io.to(`presentation-${presentationId}`).emit('response-updated', {
         slideId: slide._id.toString(),
         slide: buildSlidePayload(slide),
@@ -1050,7 +1608,7 @@ const setupSocketHandlers = (io, socket) => {
   });
 
   // Handle disconnect
-  socket.on('disconnect', () => {
+  socket.on('disconnect', async () => {
     Logger.debug(`Client disconnected: ${socket.id}`);
 
     // Decrement platform user count when any user disconnects
@@ -1058,48 +1616,30 @@ const setupSocketHandlers = (io, socket) => {
     // Emit updated total to all clients in the landing page room
     io.to('landing-page').emit('platform-users-updated', { count: totalPlatformUsers });
 
-    let participantRemoved = false;
+    const presentationKeys = socketPresentations.get(socket.id) || new Set();
+    socketPresentations.delete(socket.id);
 
-    // Check if disconnected socket was a presenter
-    let presenterPresentationId = null;
-    activePresentations.forEach((data, presentationId) => {
-      if (data.presenterSocket === socket.id) {
-        presenterPresentationId = presentationId;
-      }
-      
-      // Check if disconnected socket was a participant
-      if (data.participants.has(socket.id)) {
-        data.participants.delete(socket.id);
-        participantRemoved = true;
-
-        // Notify presenter
-        if (data.presenterSocket) {
-          // Send updated participant list to presenter
-          const participantList = Array.from(data.participants.values());
-          io.to(`presenter-${presentationId}`).emit('participant-list-updated', { 
-            participantCount: data.participants.size,
-            participants: participantList
-          });
-          
-          // Also send the original event for backward compatibility
-          io.to(`presenter-${presentationId}`).emit('participant-left', {
-            participantCount: data.participants.size
-          });
+    try {
+      for (const presentationId of presentationKeys) {
+        // Participants keep their seat for a grace period so a reconnect resumes it;
+        // the presenter is only told they left once it expires
+        const participantKey = await presentationSession.markDisconnected(presentationId, socket.id);
+        if (participantKey) {
+          setTimeout(() => {
+            expireParticipant(io, presentationId, participantKey, socket.id);
+          }, presentationSession.PARTICIPANT_RECONNECT_GRACE_MS + 1000);
         }
-      }
-    });
 
-    // If presenter disconnected, do NOT end the presentation automatically.
-    // The user wants it to end ONLY when "End Presentation" is clicked.
-    if (presenterPresentationId) {
-      const presentationData = activePresentations.get(presenterPresentationId);
-
-      if (presentationData) {
-        // Just mark presenter as disconnected in memory, but keep session alive
-        presentationData.presenterSocket = null;
-        activePresentations.set(presenterPresentationId, presentationData);
-        Logger.debug(`Presenter disconnected from ${presenterPresentationId}, keeping session alive.`);
+        // If presenter disconnected, do NOT end the presentation automatically.
+        // The user wants it to end ONLY when "End Presentation" is clicked.
+        // Just mark presenter as disconnected, but keep session alive
+        const presenterEntry = await presentationSession.clearPresenter(presentationId, socket.id);
+        if (presenterEntry && !presenterEntry.presenterSocket) {
+          Logger.debug(`Presenter disconnected from ${presentationId}, keeping session alive.`);
+        }
       }
+    } catch (error) {
+      Logger.error('Disconnect cleanup error', error);
     }
   });
 
@@ -1112,57 +1652,46 @@ const setupSocketHandlers = (io, socket) => {
   });
 
   // Kick participant handler
-  socket.on('kick-participant', ({ presentationId, participantName }) => {
+  socket.on('kick-participant', async ({ presentationId, participantName }) => {
     try {
       const presentationKey = presentationId.toString();
-      const activeEntry = activePresentations.get(presentationKey);
+      const activeEntry = await presentationSession.getEntry(presentationKey);
       
       if (!activeEntry) {
         socket.emit('error', { message: 'Presentation not found' });
         return;
       }
       
-      // Check if the requester is the presenter
-      if (activeEntry.presenterSocket !== socket.id) {
+      // Check if the requester is the presenter or a co-presenter
+      if (!presenterAuth.getPresenterRole(socket, presentationKey)) {
         socket.emit('error', { message: 'Only the presenter can kick participants' });
         return;
       }
       
       // Find the participant socket ID by name
-      let participantSocketId = null;
-      for (const [socketId, name] of activeEntry.participants.entries()) {
-        if (name === participantName) {
-          participantSocketId = socketId;
-          break;
-        }
-      }
+      const participant = presentationSession.findParticipantByName(activeEntry, participantName);
       
       // Check if the participant exists
-      if (!participantSocketId) {
+      if (!participant) {
         socket.emit('error', { message: 'Participant not found' });
         return;
       }
+      const participantSocketId = participant.socketId;
+      
+      // Remove participant from the list first so the disconnect below does not hold their seat
+      const updatedEntry = await presentationSession.removeParticipant(presentationKey, participant.participantKey)
+        || activeEntry;
       
       // Notify the participant that they've been kicked
       io.to(participantSocketId).emit('kicked-by-presenter', {
         message: 'Sorry, you have been kicked out by the presenter'
       });
       
-      // Disconnect the participant's socket
-      io.sockets.sockets.get(participantSocketId)?.disconnect(true);
-      
-      // Remove participant from the list
-      activeEntry.participants.delete(participantSocketId);
-      
-      // Update participant count for presenter
-      const participantCount = activeEntry.participants.size;
-      const participantList = Array.from(activeEntry.participants.values());
+      // Disconnect the participant's socket (on whichever instance holds it)
+      io.in(participantSocketId).disconnectSockets(true);
       
       // Notify presenter about updated participant count and names
-      io.to(`presenter-${presentationKey}`).emit('participant-list-updated', { 
-        participantCount,
-        participants: participantList
-      });
+      emitParticipantList(io, presentationKey, updatedEntry);
       
       Logger.debug(`Participant ${participantName} (${participantSocketId}) kicked from presentation ${presentationId}`);
     } catch (error) {
@@ -1173,6 +1702,9 @@ const setupSocketHandlers = (io, socket) => {
 
   // Attach quiz handlers
   attachQuizHandlers(io, socket);
+
+  // Attach co-editing presence handlers
+  attachEditorHandlers(io, socket);
 };
 
 module.exports = setupSocketHandlers;
\ No newline at end of file
@@ -0,0 +1,64 @@
+const Slide = require('../models/Slide');
+const Response = require('../models/Response');
+const Logger = require('../utils/logger');
+const runService = require('../services/runService');
+const wordCloudService = require('../services/wordCloudService');
+const presenterAuth = require('./presenterAuth');
+
+/**
+ * Presenter corrections to a live word cloud: hide a word, merge words, undo a merge.
+ * Each one is saved on the slide and the cloud is rebuilt for everyone; the settings
+ * (including hidden words) only go to presenters.
+ */
+function attachWordCloudHandlers({ io, socket, buildResultsPayload }) {
+  const applyCorrection = (eventName, errorMessage, update) => {
+    socket.on(eventName, async (payload = {}) => {
+      const { presentationId, slideId } = payload;
+      if (!presenterAuth.requirePresenter(socket, presentationId)) return;
+      try {
+        const slide = await Slide.findById(slideId);
+        if (!slide || slide.type !== 'word_cloud' || String(slide.presentationId) !== String(presentationId)) {
+          socket.emit('error', { message: 'Word cloud slide not found' });
+          return;
+        }
+
+        try {
+          slide.wordCloudSettings = update(wordCloudService.getSlideSettings(slide), payload);
+        } catch (validationError) {
+          socket.emit('error', { message: validationError.message });
+          return;
+        }
+        await slide.save();
+
+        const runId = await runService.getCurrentRunId(presentationId);
+        const responses = await Response.find({ slideId: slide._id, runId });
+        const results = await buildResultsPayload(slide, responses);
+
+        io.to(`presentation-${presentationId}`).emit('response-updated', {
+          slideId: slide._id.toString(),
+          ...results
+        });
+        io.to(`presenter-${presentationId}`).emit('word-cloud-settings-updated', {
+          slideId: slide._id.toString(),
+          wordCloudSettings: wordCloudService.getSlideSettings(slide)
+        });
+      } catch (error) {
+        Logger.error(`${errorMessage} error`, error);
+        socket.emit('error', { message: `Failed to ${errorMessage.toLowerCase()}` });
+      }
+    });
+  };
+
+  applyCorrection('hide-word-cloud-word', 'Update hidden word',
+    (settings, { word, hidden = true }) => wordCloudService.hideWord(settings, word, hidden));
+
+  applyCorrection('merge-word-cloud-words', 'Merge words',
+    (settings, { words, label }) => wordCloudService.mergeWords(settings, words, label));
+
+  applyCorrection('split-word-cloud-word', 'Split merged word',
+    (settings, { label }) => wordCloudService.splitWord(settings, label));
+}
+
+module.exports = {
+  attachWordCloudHandlers
+};
@@ -0,0 +1,122 @@
+/**
+ * Tests for presentation controller result clearing
+ */
+
+jest.mock('../../../src/models/Presentation', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock('../../../src/models/Slide', () => ({
+  findOne: jest.fn(),
+  find: jest.fn()
+}));
+jest.mock('../../../src/models/Response', () => ({
+  deleteMany: jest.fn()
+}));
+jest.mock('../../../src/models/ParticipantScore', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../../src/models/PresentationRun', () => ({
+  exists: jest.fn()
+}));
+
+const Presentation = require('../../../src/models/Presentation');
+const Slide = require('../../../src/models/Slide');
+const Response = require('../../../src/models/Response');
+const ParticipantScore = require('../../../src/models/ParticipantScore');
+const PresentationRun = require('../../../src/models/PresentationRun');
+const presentationController = require('../../../src/controllers/presentationController');
+
+const PRESENTATION_ID = '64b7f0c2a1b2c3d4e5f60002';
+const PIN_SLIDE_ID = '64b7f0c2a1b2c3d4e5f60021';
+const QUIZ_SLIDE_ID = '64b7f0c2a1b2c3d4e5f60022';
+const RUN_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const leanQuery = (value) => ({
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+describe('Presentation Controller', () => {
+  let req, res, next;
+
+  // asyncHandler does not return its promise: wait for the response or the error
+  const run = (handler) => new Promise(resolve => {
+    res.json.mockImplementation(() => resolve(res));
+    next.mockImplementation(resolve);
+    handler(req, res, next);
+  });
+
+  beforeEach(() => {
+    const presentation = { _id: PRESENTATION_ID, userId: 'user-1', currentRunId: null };
+    Presentation.findById.mockReturnValue(leanQuery(presentation));
+    Presentation.findOne.mockReturnValue(leanQuery(presentation));
+    Slide.find.mockResolvedValue([]);
+    Response.deleteMany.mockResolvedValue({ deletedCount: 1 });
+
+    req = {
+      params: { presentationId: PRESENTATION_ID, slideId: PIN_SLIDE_ID },
+      query: {},
+      user: { _id: 'user-1', email: 'owner@example.com' },
+      app: { get: jest.fn().mockReturnValue(null) }
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('clearSlideResults', () => {
+    it('should take the points of a scored pin on image slide off the leaderboard', async () => {
+      Slide.findOne.mockResolvedValue({ _id: PIN_SLIDE_ID, presentationId: PRESENTATION_ID, type: 'pin_on_image' });
+      const participant = {
+        participantId: 'p1',
+        totalScore: 300,
+        quizScores: [
+          { slideId: QUIZ_SLIDE_ID, score: 100, isCorrect: true },
+          { slideId: PIN_SLIDE_ID, score: 200, isCorrect: true }
+        ],
+        save: jest.fn().mockResolvedValue(undefined)
+      };
+      ParticipantScore.find.mockResolvedValue([participant]);
+
+      await run(presentationController.clearSlideResults);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(Response.deleteMany).toHaveBeenCalledWith(expect.objectContaining({ slideId: PIN_SLIDE_ID }));
+      expect(participant.quizScores).toEqual([{ slideId: QUIZ_SLIDE_ID, score: 100, isCorrect: true }]);
+      expect(participant.totalScore).toBe(100);
+      expect(participant.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should only clear the requested run', async () => {
+      Slide.findOne.mockResolvedValue({ _id: QUIZ_SLIDE_ID, presentationId: PRESENTATION_ID, type: 'quiz' });
+      PresentationRun.exists.mockResolvedValue({ _id: RUN_ID });
+      ParticipantScore.find.mockResolvedValue([]);
+      req.params.slideId = QUIZ_SLIDE_ID;
+      req.query.runId = RUN_ID;
+
+      await run(presentationController.clearSlideResults);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(Response.deleteMany).toHaveBeenCalledWith({ slideId: QUIZ_SLIDE_ID, runId: RUN_ID });
+      expect(ParticipantScore.find).toHaveBeenCalledWith({ presentationId: PRESENTATION_ID, runId: RUN_ID });
+    });
+
+    it('should clear every run when no run is given', async () => {
+      Slide.findOne.mockResolvedValue({ _id: QUIZ_SLIDE_ID, presentationId: PRESENTATION_ID, type: 'quiz' });
+      ParticipantScore.find.mockResolvedValue([]);
+      req.params.slideId = QUIZ_SLIDE_ID;
+
+      await run(presentationController.clearSlideResults);
+
+      expect(Response.deleteMany).toHaveBeenCalledWith({ slideId: QUIZ_SLIDE_ID });
+      expect(ParticipantScore.find).toHaveBeenCalledWith({ presentationId: PRESENTATION_ID });
+    });
+  });
+});
@@ -0,0 +1,180 @@
+jest.mock('../../../src/models/Institution', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+const Institution = require('../../../src/models/Institution');
+const { MemorySessionStore, setSessionStore, getSessionStore } = require('../../../src/services/sessionStore');
+const apiKeyService = require('../../../src/services/apiKeyService');
+const { verifyApiKey, requireApiPermission } = require('../../../src/middleware/apiKeyAuth');
+
+describe('API Key Auth Middleware', () => {
+  let req, res, next;
+
+  const buildInstitution = (apiKeyOverrides = {}, institutionOverrides = {}) => {
+    const { key, keyHash, keyPrefix } = apiKeyService.generateApiKey();
+    const institution = {
+      _id: 'inst-1',
+      name: 'Test University',
+      adminEmail: 'admin@example.com',
+      isActive: true,
+      apiKeys: [{
+        id: `key-${Math.random()}`,
+        name: 'Data team',
+        keyHash,
+        keyPrefix,
+        permissions: ['results:read'],
+        rateLimit: 2,
+        active: true,
+        ...apiKeyOverrides
+      }],
+      ...institutionOverrides
+    };
+    return { key, institution };
+  };
+
+  beforeEach(() => {
+    req = {
+      headers: {},
+      header: jest.fn(name => req.headers[name.toLowerCase()])
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      setHeader: jest.fn()
+    };
+    next = jest.fn();
+    setSessionStore(new MemorySessionStore());
+    Institution.updateOne.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('apiKeyService', () => {
+    it('should never store the plaintext key', () => {
+      const { key, keyHash, keyPrefix } = apiKeyService.generateApiKey();
+
+      expect(key.startsWith('inav_')).toBe(true);
+      expect(keyHash).toBe(apiKeyService.hashApiKey(key));
+      expect(keyHash).not.toContain(key);
+      expect(key.startsWith(keyPrefix)).toBe(true);
+    });
+
+    it('should hash legacy plaintext keys', () => {
+      const institution = { apiKeys: [{ id: '1', key: 'inst_123_abc' }] };
+
+      expect(apiKeyService.migratePlaintextKeys(institution)).toBe(true);
+      expect(institution.apiKeys[0].key).toBeUndefined();
+      expect(institution.apiKeys[0].keyHash).toBe(apiKeyService.hashApiKey('inst_123_abc'));
+    });
+
+    it('should drop unknown permissions', () => {
+      expect(apiKeyService.normalizePermissions(['results:read', 'admin:all'])).toEqual(['results:read']);
+      expect(apiKeyService.normalizePermissions([])).toEqual(apiKeyService.DEFAULT_API_KEY_PERMISSIONS);
+    });
+  });
+
+  describe('verifyApiKey', () => {
+    it('should reject requests without an API key', async () => {
+      await verifyApiKey(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown API keys', async () => {
+      req.headers['x-api-key'] = 'inav_unknown';
+      Institution.findOne.mockResolvedValue(null);
+
+      await verifyApiKey(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'API_KEY_INVALID' }));
+    });
+
+    it('should reject revoked API keys', async () => {
+      const { key, institution } = buildInstitution({ active: false });
+      req.headers['x-api-key'] = key;
+      Institution.findOne.mockResolvedValue(institution);
+
+      await verifyApiKey(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should authenticate a valid key and record its usage', async () => {
+      const { key, institution } = buildInstitution();
+      req.headers['x-api-key'] = key;
+      Institution.findOne.mockResolvedValue(institution);
+
+      await verifyApiKey(req, res, next);
+      // lastUsedAt is written in the background
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.institutionId).toBe('inst-1');
+      expect(req.apiKey.permissions).toEqual(['results:read']);
+      expect(req.apiKey).not.toHaveProperty('keyHash');
+      expect(Institution.updateOne).toHaveBeenCalledWith(
+        { _id: 'inst-1', 'apiKeys.id': institution.apiKeys[0].id },
+        { $set: { 'apiKeys.$.lastUsedAt': expect.any(Date) } }
+      );
+    });
+
+    it('should enforce the per-key rate limit', async () => {
+      const { key, institution } = buildInstitution({ rateLimit: 2 });
+      req.headers['x-api-key'] = key;
+      Institution.findOne.mockResolvedValue(institution);
+
+      await verifyApiKey(req, res, next);
+      await verifyApiKey(req, res, next);
+      await verifyApiKey(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.setHeader).toHaveBeenCalledWith('X-RateLimit-Remaining', 0);
+    });
+
+    it('should count requests from every instance in the shared session store', async () => {
+      const { key, institution } = buildInstitution({ rateLimit: 2 });
+      const keyId = institution.apiKeys[0].id;
+      req.headers['x-api-key'] = key;
+      Institution.findOne.mockResolvedValue(institution);
+
+      // Another instance already used one request of this window
+      await getSessionStore().set('apiRateLimit', keyId, { windowStart: Date.now(), count: 1 });
+
+      await verifyApiKey(req, res, next);
+      await verifyApiKey(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(429);
+      await expect(getSessionStore().get('apiRateLimit', keyId)).resolves.toMatchObject({ count: 2 });
+
+      await apiKeyService.clearKeyState(keyId);
+      await expect(getSessionStore().get('apiRateLimit', keyId)).resolves.toBeNull();
+    });
+  });
+
+  describe('requireApiPermission', () => {
+    it('should allow keys with the permission', () => {
+      req.apiKey = { permissions: ['results:read'] };
+
+      requireApiPermission('results:read')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject keys without the permission', () => {
+      req.apiKey = { permissions: ['results:read'] };
+
+      requireApiPermission('users:manage')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
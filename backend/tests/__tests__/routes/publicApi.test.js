@@ -0,0 +1,108 @@
+/**
+ * Tests for the public /api/v1 presentation routes authenticated with an API key
+ */
+
+jest.mock('../../../src/models/Institution', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../../src/models/Presentation', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock('../../../src/models/User', () => ({
+  findById: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock('../../../src/models/Slide', () => ({
+  find: jest.fn()
+}));
+
+const express = require('express');
+const Institution = require('../../../src/models/Institution');
+const Presentation = require('../../../src/models/Presentation');
+const User = require('../../../src/models/User');
+const Slide = require('../../../src/models/Slide');
+const apiKeyService = require('../../../src/services/apiKeyService');
+const publicApiRoutes = require('../../../src/routes/publicApiRoutes');
+const { errorHandler } = require('../../../src/middleware/errorHandler');
+
+// Chainable query that resolves to value
+const query = (value) => {
+  const chain = {
+    select: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    lean: jest.fn().mockResolvedValue(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+describe('Public API Routes', () => {
+  const presentationId = '65f000000000000000000001';
+  const owner = { _id: '65f000000000000000000002', email: 'owner@example.com', institutionId: 'inst-1' };
+  const presentation = { _id: presentationId, userId: owner._id, title: 'Quarterly review', collaborators: [] };
+  let server, baseUrl, key;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use('/api/v1', publicApiRoutes);
+    app.use(errorHandler);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    const generated = apiKeyService.generateApiKey();
+    key = generated.key;
+    Institution.findOne.mockResolvedValue({
+      _id: 'inst-1',
+      name: 'Test University',
+      adminEmail: 'admin@example.com',
+      isActive: true,
+      apiKeys: [{
+        id: `key-${Math.random()}`,
+        keyHash: generated.keyHash,
+        keyPrefix: generated.keyPrefix,
+        permissions: ['presentations:read'],
+        active: true
+      }]
+    });
+    Institution.updateOne.mockResolvedValue({});
+    Presentation.findById.mockImplementation(() => query(presentation));
+    User.findById.mockResolvedValue(owner);
+    Slide.find.mockReturnValue(query([]));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should load a presentation as its owner on the API key path', async () => {
+    Presentation.findOne.mockImplementation((filter) => query(
+      filter._id === presentationId && filter.$or?.[0]?.userId === owner._id ? presentation : null
+    ));
+
+    const response = await fetch(`${baseUrl}/presentations/${presentationId}`, { headers: { 'X-API-Key': key } });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.presentation).toEqual(expect.objectContaining({ title: 'Quarterly review', role: 'owner' }));
+  });
+
+  it('should hide presentations of other institutions', async () => {
+    User.findById.mockResolvedValue({ ...owner, institutionId: 'inst-2' });
+
+    const response = await fetch(`${baseUrl}/presentations/${presentationId}`, { headers: { 'X-API-Key': key } });
+
+    expect(response.status).toBe(404);
+    expect(Presentation.findOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for slide branching rules
+ */
+
+jest.mock('../../../src/models/Slide', () => ({
+  updateMany: jest.fn()
+}));
+jest.mock('../../../src/models/Response', () => ({
+  find: jest.fn(),
+  findOne: jest.fn()
+}));
+
+const Slide = require('../../../src/models/Slide');
+const Response = require('../../../src/models/Response');
+const branchingService = require('../../../src/services/branchingService');
+
+const leanQuery = (value) => ({
+  select: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+const mcqSlide = (branching = null) => ({
+  _id: 'mcq-1',
+  type: 'multiple_choice',
+  options: ['A', 'B', 'C'],
+  branching
+});
+
+const quizSlide = (branching = null) => ({
+  _id: 'quiz-1',
+  type: 'quiz',
+  quizSettings: { options: [{ id: 'o1', text: 'Yes' }, { id: 'o2', text: 'No' }] },
+  branching
+});
+
+describe('Branching Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeBranching', () => {
+    const slideIds = ['mcq-1', 'quiz-1', 'review', 'advanced'];
+
+    it('should normalize valid rules', () => {
+      const branching = branchingService.normalizeBranching({
+        autoFollow: 1,
+        rules: [
+          { id: 'r1', condition: 'accuracy_below', threshold: 150, action: 'detour', targetSlideId: 'review' },
+          { condition: 'option_chosen', optionValue: 'o2', action: 'teleport', targetSlideId: 'advanced' }
+        ]
+      }, quizSlide(), slideIds);
+
+      expect(branching.autoFollow).toBe(true);
+      expect(branching.rules[0]).toEqual({
+        id: 'r1',
+        condition: 'accuracy_below',
+        optionValue: '',
+        threshold: 100,
+        action: 'detour',
+        targetSlideId: 'review'
+      });
+      expect(branching.rules[1]).toEqual(expect.objectContaining({
+        id: expect.any(String),
+        optionValue: 'o2',
+        action: 'jump'
+      }));
+    });
+
+    it('should clear branching without rules', () => {
+      expect(branchingService.normalizeBranching(null, mcqSlide(), slideIds)).toBeNull();
+      expect(branchingService.normalizeBranching({ rules: [] }, mcqSlide(), slideIds)).toBeNull();
+    });
+
+    it('should reject invalid rules', () => {
+      const normalize = (rule, slide = mcqSlide()) => () => branchingService.normalizeBranching({ rules: [rule] }, slide, slideIds);
+
+      expect(normalize({ condition: 'option_chosen', optionValue: 'A', targetSlideId: 'review' }, { _id: 'w1', type: 'word_cloud' }))
+        .toThrow('Branching is only supported on multiple choice and quiz slides');
+      expect(normalize({ condition: 'most_votes', targetSlideId: 'review' }))
+        .toThrow('Invalid branching condition');
+      expect(normalize({ condition: 'accuracy_below', threshold: 50, targetSlideId: 'review' }))
+        .toThrow('Accuracy branching is only supported on quiz slides');
+      expect(normalize({ condition: 'option_chosen', optionValue: 'D', targetSlideId: 'review' }))
+        .toThrow('Branching rule option not found');
+      expect(normalize({ condition: 'option_chosen', optionValue: 'A', targetSlideId: 'elsewhere' }))
+        .toThrow('Branching target slide not found');
+      expect(normalize({ condition: 'option_chosen', optionValue: 'A', targetSlideId: 'mcq-1' }))
+        .toThrow('Branching target slide not found');
+    });
+  });
+
+  describe('evaluateAudienceBranch', () => {
+    const slide = mcqSlide({
+      autoFollow: true,
+      rules: [{ id: 'r1', condition: 'option_chosen', optionValue: 'B', action: 'jump', targetSlideId: 'advanced' }]
+    });
+
+    it('should follow the option most of the audience picked', () => {
+      const branch = branchingService.evaluateAudienceBranch(slide, [
+        { answer: 'B' }, { answer: 'B' }, { answer: 'A' }
+      ]);
+
+      expect(branch).toEqual({
+        ruleId: 'r1',
+        condition: 'option_chosen',
+        action: 'jump',
+        targetSlideId: 'advanced',
+        autoFollow: true
+      });
+    });
+
+    it('should not branch on a tie or without answers', () => {
+      expect(branchingService.evaluateAudienceBranch(slide, [{ answer: 'B' }, { answer: 'A' }])).toBeNull();
+      expect(branchingService.evaluateAudienceBranch(slide, [])).toBeNull();
+    });
+
+    it('should branch on quiz accuracy', () => {
+      const quiz = quizSlide({
+        rules: [{ id: 'r1', condition: 'accuracy_below', threshold: 50, action: 'detour', targetSlideId: 'review' }]
+      });
+
+      expect(branchingService.evaluateAudienceBranch(quiz, [
+        { answer: 'o1', isCorrect: true }, { answer: 'o2', isCorrect: false }, { answer: 'o2', isCorrect: false }
+      ])).toEqual(expect.objectContaining({ action: 'detour', targetSlideId: 'review', autoFollow: false }));
+      expect(branchingService.evaluateAudienceBranch(quiz, [
+        { answer: 'o1', isCorrect: true }, { answer: 'o2', isCorrect: false }
+      ])).toBeNull();
+    });
+  });
+
+  describe('evaluateParticipantBranch', () => {
+    it('should follow the first rule matching the participant answer', () => {
+      const quiz = quizSlide({
+        rules: [
+          { id: 'r1', condition: 'option_chosen', optionValue: 'o2', targetSlideId: 'advanced' },
+          { id: 'r2', condition: 'accuracy_below', threshold: 50, targetSlideId: 'review' }
+        ]
+      });
+
+      expect(branchingService.evaluateParticipantBranch(quiz, { answer: ['o1', 'o2'], isCorrect: false }).ruleId).toBe('r1');
+      expect(branchingService.evaluateParticipantBranch(quiz, { answer: 'o1', isCorrect: false }).ruleId).toBe('r2');
+      expect(branchingService.evaluateParticipantBranch(quiz, { answer: 'o1', isCorrect: true })).toBeNull();
+      expect(branchingService.evaluateParticipantBranch(quiz, null)).toBeNull();
+    });
+  });
+
+  describe('getParticipantBranch', () => {
+    it('should evaluate the participant response', async () => {
+      Response.findOne.mockReturnValue(leanQuery({ answer: 'C' }));
+      const slide = mcqSlide({
+        rules: [{ id: 'r1', condition: 'option_chosen', optionValue: 'C', targetSlideId: 'review' }]
+      });
+
+      const branch = await branchingService.getParticipantBranch(slide, 'p1');
+
+      expect(Response.findOne).toHaveBeenCalledWith({ slideId: 'mcq-1', participantId: 'p1', runId: null });
+      expect(branch.targetSlideId).toBe('review');
+    });
+
+    it('should skip the lookup for slides without rules', async () => {
+      expect(await branchingService.getParticipantBranch(mcqSlide(), 'p1')).toBeNull();
+      expect(Response.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeBranchTarget', () => {
+    it('should pull rules pointing to a deleted slide', async () => {
+      await branchingService.removeBranchTarget('pres-1', 'review');
+
+      expect(Slide.updateMany).toHaveBeenCalledWith(
+        { presentationId: 'pres-1', 'branching.rules.targetSlideId': 'review' },
+        { $pull: { 'branching.rules': { targetSlideId: 'review' } } }
+      );
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for presentation sharing and collaborator roles
+ */
+
+const Presentation = require('../../../src/models/Presentation');
+const collaborationService = require('../../../src/services/collaborationService');
+
+const OWNER_ID = '64b7f0c2a1b2c3d4e5f60001';
+const PRESENTATION_ID = '64b7f0c2a1b2c3d4e5f60002';
+
+const owner = { _id: OWNER_ID, email: 'lecturer@uni.edu', displayName: 'Lecturer' };
+const assistant = { _id: '64b7f0c2a1b2c3d4e5f60003', email: 'TA@uni.edu' };
+
+const buildPresentation = (collaborators = []) => new Presentation({
+  _id: PRESENTATION_ID,
+  userId: OWNER_ID,
+  title: 'Lecture 1',
+  accessCode: '123456',
+  collaborators
+});
+
+describe('Collaboration Service', () => {
+  describe('can', () => {
+    it('should grant permissions per role', () => {
+      expect(collaborationService.can('owner', 'manage')).toBe(true);
+      expect(collaborationService.can('editor', 'edit')).toBe(true);
+      expect(collaborationService.can('editor', 'present')).toBe(false);
+      expect(collaborationService.can('co_presenter', 'present')).toBe(true);
+      expect(collaborationService.can('co_presenter', 'edit')).toBe(false);
+      expect(collaborationService.can('viewer', 'view')).toBe(true);
+      expect(collaborationService.can('viewer', 'edit')).toBe(false);
+      expect(collaborationService.can(null, 'view')).toBe(false);
+    });
+  });
+
+  describe('presentationFilter', () => {
+    it('should match the owner or collaborators whose role has the permission', () => {
+      expect(collaborationService.presentationFilter(PRESENTATION_ID, assistant, 'present')).toEqual({
+        _id: PRESENTATION_ID,
+        $or: [
+          { userId: assistant._id },
+          { collaborators: { $elemMatch: { email: 'ta@uni.edu', role: { $in: ['co_presenter'] } } } }
+        ]
+      });
+      expect(collaborationService.presentationFilter(PRESENTATION_ID, assistant, 'view').$or[1].collaborators.$elemMatch.role)
+        .toEqual({ $in: ['viewer', 'editor', 'co_presenter'] });
+    });
+
+    it('should only match the owner for owner-only actions', () => {
+      expect(collaborationService.presentationFilter(PRESENTATION_ID, owner, 'manage')).toEqual({
+        _id: PRESENTATION_ID,
+        userId: OWNER_ID
+      });
+    });
+  });
+
+  describe('getRole', () => {
+    it('should resolve the owner and collaborators by email', () => {
+      const presentation = buildPresentation([{ email: 'ta@uni.edu', role: 'co_presenter' }]);
+
+      expect(collaborationService.getRole(presentation, owner)).toBe('owner');
+      expect(collaborationService.getRole(presentation, assistant)).toBe('co_presenter');
+      expect(collaborationService.getRole(presentation, { _id: 'someone', email: 'other@uni.edu' })).toBeNull();
+    });
+  });
+
+  describe('addCollaborator', () => {
+    it('should add new collaborators and update the role of existing ones', () => {
+      const presentation = buildPresentation();
+
+      const first = collaborationService.addCollaborator(presentation, { email: ' TA@uni.edu ', role: 'viewer', owner });
+      expect(first.isNew).toBe(true);
+      expect(first.collaborator.email).toBe('ta@uni.edu');
+      expect(String(first.collaborator.invitedBy)).toBe(OWNER_ID);
+
+      const second = collaborationService.addCollaborator(presentation, { email: 'ta@uni.edu', role: 'co_presenter', owner });
+      expect(second.isNew).toBe(false);
+      expect(presentation.collaborators).toHaveLength(1);
+      expect(presentation.collaborators[0].role).toBe('co_presenter');
+    });
+
+    it('should reject invalid invites', () => {
+      const presentation = buildPresentation();
+
+      expect(() => collaborationService.addCollaborator(presentation, { email: 'not-an-email', owner }))
+        .toThrow('Please enter a valid email address');
+      expect(() => collaborationService.addCollaborator(presentation, { email: 'ta@uni.edu', role: 'admin', owner }))
+        .toThrow('Role must be one of: viewer, editor, co_presenter');
+      expect(() => collaborationService.addCollaborator(presentation, { email: 'Lecturer@uni.edu', owner }))
+        .toThrow('You already own this presentation');
+      expect(presentation.collaborators).toHaveLength(0);
+    });
+  });
+
+  describe('updateCollaboratorRole and removeCollaborator', () => {
+    it('should change and remove collaborators by ID', () => {
+      const presentation = buildPresentation([{ email: 'ta@uni.edu', role: 'viewer' }]);
+      const collaboratorId = presentation.collaborators[0]._id.toString();
+
+      expect(collaborationService.updateCollaboratorRole(presentation, collaboratorId, 'editor').role).toBe('editor');
+      expect(collaborationService.updateCollaboratorRole(presentation, PRESENTATION_ID, 'editor')).toBeNull();
+
+      expect(collaborationService.removeCollaborator(presentation, collaboratorId)).toBe(true);
+      expect(presentation.collaborators).toHaveLength(0);
+      expect(collaborationService.removeCollaborator(presentation, collaboratorId)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for the profanity and blocklist filter on participant answers
+ */
+
+const contentFilterService = require('../../../src/services/contentFilterService');
+
+const { DEFAULT_CONTENT_FILTER } = contentFilterService;
+
+describe('Content Filter Service', () => {
+  describe('filterText', () => {
+    it('should mask blocked words including disguised spellings', () => {
+      const result = contentFilterService.filterText('What the fuuuck is this sh1t?', DEFAULT_CONTENT_FILTER);
+
+      expect(result).toEqual({ text: 'What the f***** is this s***?', blocked: false, filtered: true });
+    });
+
+    it('should only match whole words', () => {
+      const text = 'Scunthorpe has a classic assessment';
+
+      expect(contentFilterService.filterText(text, DEFAULT_CONTENT_FILTER)).toEqual({ text, blocked: false, filtered: false });
+    });
+
+    it('should match custom words and phrases', () => {
+      const settings = { ...DEFAULT_CONTENT_FILTER, useDefaultList: false, blockedWords: ['boring', 'mr smith'] };
+
+      expect(contentFilterService.filterText('Mr Smith is boring', settings).text).toBe('M* ***** is b*****');
+    });
+
+    it('should refuse the submission in reject mode', () => {
+      const settings = { ...DEFAULT_CONTENT_FILTER, action: 'reject' };
+
+      expect(contentFilterService.filterText('fucking great', settings).blocked).toBe(true);
+    });
+
+    it('should let everything through when disabled', () => {
+      const settings = { ...DEFAULT_CONTENT_FILTER, enabled: false };
+
+      expect(contentFilterService.filterText('shit', settings).filtered).toBe(false);
+    });
+  });
+
+  describe('filterWords', () => {
+    it('should drop blocked words from word cloud answers', () => {
+      expect(contentFilterService.filterWords(['apple', 'shit'], DEFAULT_CONTENT_FILTER))
+        .toEqual({ words: ['apple'], blocked: false, filtered: true });
+    });
+
+    it('should refuse an answer with only blocked words', () => {
+      expect(contentFilterService.filterWords(['shit'], DEFAULT_CONTENT_FILTER).blocked).toBe(true);
+    });
+  });
+
+  describe('normalizeContentFilter', () => {
+    it('should clean up the blocklist and default to masking', () => {
+      expect(contentFilterService.normalizeContentFilter({ blockedWords: [' Boring ', 'boring', 'Mr   Smith', ''], action: 'shout' }))
+        .toEqual({ enabled: true, useDefaultList: true, blockedWords: ['boring', 'mr smith'], action: 'mask' });
+    });
+  });
+});
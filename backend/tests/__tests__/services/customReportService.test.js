@@ -0,0 +1,241 @@
+/**
+ * Tests for custom report service
+ */
+
+const XLSX = require('xlsx');
+
+jest.mock('../../../src/models/Institution', () => ({
+  updateOne: jest.fn().mockResolvedValue({}),
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../../src/models/CustomReportRun', () => ({
+  create: jest.fn()
+}));
+jest.mock('../../../src/models/User', () => ({
+  find: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock('../../../src/models/Presentation', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../../src/models/Response', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../../src/models/Slide', () => ({
+  aggregate: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../../src/services/emailService', () => ({
+  sendCustomReportEmail: jest.fn()
+}));
+
+const Institution = require('../../../src/models/Institution');
+const CustomReportRun = require('../../../src/models/CustomReportRun');
+const User = require('../../../src/models/User');
+const Presentation = require('../../../src/models/Presentation');
+const Response = require('../../../src/models/Response');
+const emailService = require('../../../src/services/emailService');
+const customReportService = require('../../../src/services/customReportService');
+
+const leanQuery = (value) => ({
+  select: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+describe('Custom Report Service', () => {
+  beforeEach(() => {
+    CustomReportRun.create.mockImplementation(async (doc) => ({
+      ...doc,
+      save: jest.fn().mockResolvedValue(undefined)
+    }));
+    User.find.mockReturnValue(leanQuery([
+      { _id: 'user-1', email: 'teacher@example.com', displayName: 'Teacher', createdAt: new Date('2026-01-01') }
+    ]));
+    User.findOne.mockReturnValue(leanQuery(null));
+    Presentation.find.mockReturnValue(leanQuery([
+      { _id: 'pres-1', title: 'Week 1', accessCode: '123456', isLive: false, userId: 'user-1', createdAt: new Date('2026-03-09T09:00:00Z') }
+    ]));
+    Response.find.mockReturnValue(leanQuery([
+      { presentationId: 'pres-1', participantId: 'p1', submittedAt: new Date('2026-03-09T10:00:00Z') },
+      { presentationId: 'pres-1', participantId: 'p2', submittedAt: new Date('2026-03-09T10:01:00Z') }
+    ]));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseRecipients', () => {
+    it('should split, trim and validate recipient lists', () => {
+      expect(customReportService.parseRecipients('a@example.com, B@Example.com;not-an-email'))
+        .toEqual(['a@example.com', 'b@example.com']);
+      expect(customReportService.parseRecipients('')).toEqual([]);
+    });
+  });
+
+  describe('computeNextRunAt', () => {
+    it('should schedule weekly reports on the configured weekday and hour', () => {
+      // Wednesday 11 March 2026
+      const next = customReportService.computeNextRunAt(
+        { frequency: 'weekly', scheduleDayOfWeek: 1, scheduleHour: 8 },
+        new Date('2026-03-11T12:00:00Z')
+      );
+      expect(next.toISOString()).toBe('2026-03-16T08:00:00.000Z');
+    });
+
+    it('should move to the next day once today\'s daily slot has passed', () => {
+      const next = customReportService.computeNextRunAt(
+        { frequency: 'daily', scheduleHour: 8 },
+        new Date('2026-03-11T08:00:00Z')
+      );
+      expect(next.toISOString()).toBe('2026-03-12T08:00:00.000Z');
+    });
+
+    it('should schedule monthly reports on the configured day', () => {
+      const next = customReportService.computeNextRunAt(
+        { frequency: 'monthly', scheduleDayOfMonth: 1, scheduleHour: 6 },
+        new Date('2026-03-11T12:00:00Z')
+      );
+      expect(next.toISOString()).toBe('2026-04-01T06:00:00.000Z');
+    });
+
+    it('should return null for unscheduled reports', () => {
+      expect(customReportService.computeNextRunAt({ frequency: undefined })).toBeNull();
+    });
+  });
+
+  describe('renderReport', () => {
+    const sheets = [
+      { name: 'Summary', rows: [{ Metric: 'Responses', Value: 2 }] },
+      { name: 'Users', rows: [] }
+    ];
+
+    it('should render one worksheet per sheet to XLSX', () => {
+      const file = customReportService.renderReport(sheets, 'xlsx', 'Monday Digest', new Date('2026-03-16T08:00:00Z'));
+      const workbook = XLSX.read(file.buffer, { type: 'buffer' });
+
+      expect(file.fileName).toBe('monday-digest-2026-03-16.xlsx');
+      expect(workbook.SheetNames).toEqual(['Summary', 'Users']);
+    });
+
+    it('should render sections to CSV', () => {
+      const file = customReportService.renderReport(sheets, 'csv', 'Monday Digest', new Date('2026-03-16T08:00:00Z'));
+      const csv = file.buffer.toString('utf8');
+
+      expect(file.contentType).toBe('text/csv');
+      expect(csv).toContain('Summary\nMetric,Value\nResponses,2');
+      expect(csv).toContain('Users\nNo data for this period');
+    });
+  });
+
+  describe('runReport', () => {
+    const institution = { _id: 'inst-1', name: 'Test University' };
+    const buildReport = (overrides = {}) => ({
+      id: 'report-1',
+      name: 'Monday Digest',
+      metrics: ['summary', 'presentations'],
+      schedule: 'scheduled',
+      frequency: 'weekly',
+      scheduleDayOfWeek: 1,
+      scheduleHour: 8,
+      email: 'head@example.com',
+      format: 'xlsx',
+      consecutiveFailures: 0,
+      ...overrides
+    });
+
+    it('should email the rendered report and schedule the next run', async () => {
+      emailService.sendCustomReportEmail.mockResolvedValue({ id: 'email-1' });
+
+      const { run, file } = await customReportService.runReport(institution, buildReport());
+
+      expect(run.status).toBe('success');
+      expect(run.rowCounts).toEqual({ Summary: 8, Presentations: 1 });
+      expect(file.fileName).toMatch(/\.xlsx$/);
+      expect(emailService.sendCustomReportEmail).toHaveBeenCalledWith(
+        ['head@example.com'],
+        expect.objectContaining({
+          reportName: 'Monday Digest',
+          attachment: expect.objectContaining({ filename: file.fileName })
+        })
+      );
+      const [, update] = Institution.updateOne.mock.calls[0];
+      expect(update.$set['customReports.$.lastRunStatus']).toBe('success');
+      expect(update.$set['customReports.$.nextRunAt']).toBeInstanceOf(Date);
+    });
+
+    it('should record failures and retry later', async () => {
+      emailService.sendCustomReportEmail.mockRejectedValue(new Error('Email service is not configured'));
+
+      const { run, file } = await customReportService.runReport(institution, buildReport());
+
+      expect(file).toBeNull();
+      expect(run.status).toBe('failed');
+      expect(run.error).toBe('Email service is not configured');
+      const [, update] = Institution.updateOne.mock.calls[0];
+      expect(update.$set['customReports.$.consecutiveFailures']).toBe(1);
+      expect(update.$set['customReports.$.nextRunAt'].getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should pause the schedule after too many consecutive failures', async () => {
+      emailService.sendCustomReportEmail.mockRejectedValue(new Error('boom'));
+
+      await customReportService.runReport(institution, buildReport({
+        consecutiveFailures: customReportService.MAX_CONSECUTIVE_FAILURES - 1
+      }));
+
+      const [, update] = Institution.updateOne.mock.calls[0];
+      expect(update.$set['customReports.$.schedulePaused']).toBe(true);
+      expect(update.$set['customReports.$.nextRunAt']).toBeNull();
+    });
+
+    it('should not email manual downloads', async () => {
+      const { run } = await customReportService.runReport(institution, buildReport(), {
+        trigger: 'manual',
+        sendEmail: false
+      });
+
+      expect(run.status).toBe('success');
+      expect(emailService.sendCustomReportEmail).not.toHaveBeenCalled();
+      const [, update] = Institution.updateOne.mock.calls[0];
+      expect(update.$set).not.toHaveProperty('customReports.$.nextRunAt');
+    });
+  });
+
+  describe('processDueReports', () => {
+    it('should only send the reports this instance claims', async () => {
+      const dueAt = new Date(Date.now() - 60 * 1000);
+      const report = (id) => ({
+        id,
+        name: `Digest ${id}`,
+        metrics: ['summary'],
+        schedule: 'scheduled',
+        frequency: 'daily',
+        scheduleHour: 8,
+        email: 'head@example.com',
+        format: 'csv',
+        nextRunAt: dueAt
+      });
+      Institution.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { _id: 'inst-1', name: 'Test University', customReports: [report('report-1'), report('report-2')] }
+        ])
+      });
+      // Another instance already claimed report-2
+      Institution.findOneAndUpdate.mockImplementation(async (filter) => (
+        filter.customReports.$elemMatch.id === 'report-1' ? { _id: 'inst-1' } : null
+      ));
+      emailService.sendCustomReportEmail.mockResolvedValue({ id: 'email-1' });
+
+      await expect(customReportService.processDueReports()).resolves.toEqual({ processed: 1 });
+
+      expect(Institution.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'inst-1', customReports: { $elemMatch: { id: 'report-1', nextRunAt: dueAt } } },
+        { $set: { 'customReports.$.nextRunAt': expect.any(Date) } },
+        { projection: { _id: 1 } }
+      );
+      expect(emailService.sendCustomReportEmail).toHaveBeenCalledTimes(1);
+      expect(emailService.sendCustomReportEmail.mock.calls[0][1].reportName).toBe('Digest report-1');
+    });
+  });
+});
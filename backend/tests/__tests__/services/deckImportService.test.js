@@ -0,0 +1,151 @@
+/**
+ * Tests for importing decks as native slides
+ */
+
+jest.mock('../../../src/services/cloudinaryService', () => ({
+  uploadImage: jest.fn()
+}));
+jest.mock('../../../src/services/pdfConversionService', () => ({
+  convertPdfPagesToImages: jest.fn()
+}));
+
+const JSZip = require('jszip');
+const cloudinaryService = require('../../../src/services/cloudinaryService');
+const deckImportService = require('../../../src/services/deckImportService');
+
+const shape = (placeholder, paragraphs) => `
+  <p:sp>
+    <p:nvSpPr><p:nvPr>${placeholder ? `<p:ph type="${placeholder}"/>` : ''}</p:nvPr></p:nvSpPr>
+    <p:txBody>${paragraphs.map(text => `<a:p><a:r><a:t>${text}</a:t></a:r></a:p>`).join('')}</p:txBody>
+  </p:sp>`;
+
+const slideXml = (content) => `<?xml version="1.0"?><p:sld><p:cSld><p:spTree>${content}</p:spTree></p:cSld></p:sld>`;
+
+const buildPptx = async () => {
+  const zip = new JSZip();
+  zip.file('ppt/presentation.xml', '<p:presentation><p:sldIdLst><p:sldId id="257" r:id="rId3"/><p:sldId id="256" r:id="rId2"/><p:sldId id="258" r:id="rId4"/></p:sldIdLst></p:presentation>');
+  zip.file('ppt/_rels/presentation.xml.rels', `<Relationships>
+    <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="slides/slide1.xml"/>
+    <Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="slides/slide2.xml"/>
+    <Relationship Id="rId4" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="slides/slide3.xml"/>
+  </Relationships>`);
+  zip.file('docProps/core.xml', '<cp:coreProperties><dc:title>Quarterly &amp; Review</dc:title></cp:coreProperties>');
+  zip.file('ppt/slides/slide1.xml', slideXml(shape('title', ['Which region grew most?']) + shape('body', ['North', 'South', 'West'])));
+  zip.file('ppt/slides/slide2.xml', slideXml(shape('ctrTitle', ['Agenda']) + shape('body', ['Results', 'Plans']) + shape('sldNum', ['2'])));
+  zip.file('ppt/slides/slide3.xml', slideXml(`${shape('title', ['Team photo'])}<p:pic><p:blipFill><a:blip r:embed="rId2"/></p:blipFill></p:pic>`));
+  zip.file('ppt/slides/_rels/slide3.xml.rels', '<Relationships><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="../media/image1.png"/></Relationships>');
+  zip.file('ppt/media/image1.png', Buffer.from('png-data'));
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+describe('Deck Import Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('detectImportFormat', () => {
+    it('should detect the format from the file name or contents', () => {
+      expect(deckImportService.detectImportFormat('deck.PPTX')).toBe('pptx');
+      expect(deckImportService.detectImportFormat('outline.md')).toBe('markdown');
+      expect(deckImportService.detectImportFormat('export', Buffer.from('%PDF-1.7'))).toBe('pdf');
+      expect(deckImportService.detectImportFormat('deck.key', Buffer.from('abc'))).toBeNull();
+    });
+  });
+
+  describe('parseMarkdown', () => {
+    it('should start a page at each heading and collect bullets', () => {
+      const { title, pages } = deckImportService.parseMarkdown([
+        '# Product launch',
+        '',
+        '## Goals',
+        '- Ship **v2**',
+        '  - Beta first',
+        'Keep it simple.',
+        '',
+        '## Which date works?',
+        '1. March',
+        '2. April',
+        '---',
+        'Thanks for joining'
+      ].join('\n'));
+
+      expect(title).toBe('Product launch');
+      expect(pages.map(page => page.title)).toEqual(['Goals', 'Which date works?', '']);
+      expect(pages[0].blocks).toEqual([
+        { kind: 'bullet', text: 'Ship v2', level: 0 },
+        { kind: 'bullet', text: 'Beta first', level: 1 },
+        { kind: 'paragraph', text: 'Keep it simple.', level: 0 }
+      ]);
+    });
+  });
+
+  describe('pageToSlide', () => {
+    const page = (title, blocks, extra = {}) => ({ pageNumber: 3, title, blocks, image: null, needsRender: false, ...extra });
+    const bullets = (...texts) => texts.map(text => ({ kind: 'bullet', text, level: 0 }));
+
+    it('should turn questions with bullet lists into multiple choice slides', () => {
+      expect(deckImportService.pageToSlide(page('Favourite season?', bullets('Summer', 'Winter'))))
+        .toEqual({ type: 'multiple_choice', question: 'Favourite season?', options: ['Summer', 'Winter'] });
+    });
+
+    it('should keep other pages as text slides', () => {
+      expect(deckImportService.pageToSlide(page('Favourite season?', bullets('Summer', 'Summer'))).type).toBe('text');
+      expect(deckImportService.pageToSlide(page('Agenda', [
+        { kind: 'bullet', text: 'Intro', level: 0 },
+        { kind: 'bullet', text: 'Demo', level: 1 }
+      ]))).toEqual({ type: 'text', question: 'Agenda', textContent: '• Intro\n  • Demo' });
+      expect(deckImportService.pageToSlide(page('Section two', []))).toEqual({ type: 'text', question: 'Section two', textContent: 'Section two' });
+    });
+
+    it('should use an image slide for picture pages', () => {
+      expect(deckImportService.pageToSlide(page('', [], { needsRender: true })))
+        .toEqual({ type: 'image', question: 'Slide 3', imageUrl: '', imagePublicId: null });
+    });
+  });
+
+  describe('importDeck', () => {
+    it('should import PowerPoint slides in presentation order', async () => {
+      cloudinaryService.uploadImage.mockResolvedValue({ url: 'https://img/photo.png', publicId: 'imported/photo' });
+
+      const imported = await deckImportService.importDeck({ file: await buildPptx(), fileName: 'review.pptx' });
+
+      expect(imported.title).toBe('Quarterly & Review');
+      expect(imported.slides).toEqual([
+        { type: 'text', question: 'Agenda', textContent: '• Results\n• Plans' },
+        { type: 'multiple_choice', question: 'Which region grew most?', options: ['North', 'South', 'West'] },
+        { type: 'image', question: 'Team photo', imageUrl: 'https://img/photo.png', imagePublicId: 'imported/photo' }
+      ]);
+      expect(cloudinaryService.uploadImage).toHaveBeenCalledWith(
+        `data:image/png;base64,${Buffer.from('png-data').toString('base64')}`,
+        'inavora/imported-slides'
+      );
+    });
+
+    it('should fall back to text when a picture cannot be uploaded', async () => {
+      cloudinaryService.uploadImage.mockRejectedValue(new Error('Cloudinary unavailable'));
+
+      const imported = await deckImportService.importDeck({ file: await buildPptx(), fileName: 'review.pptx' });
+
+      expect(imported.slides[2]).toEqual({ type: 'text', question: 'Team photo', textContent: 'Team photo' });
+    });
+
+    it('should import Markdown outlines', async () => {
+      const imported = await deckImportService.importDeck({ file: Buffer.from('## Hello\n- World'), fileName: 'notes.md' });
+
+      expect(imported).toEqual({
+        title: 'Hello',
+        format: 'markdown',
+        slides: [{ type: 'text', question: 'Hello', textContent: '• World' }]
+      });
+    });
+
+    it('should reject unsupported or empty files', async () => {
+      await expect(deckImportService.importDeck({ file: Buffer.from('abc'), fileName: 'deck.key' }))
+        .rejects.toThrow('Unsupported import format');
+      await expect(deckImportService.importDeck({ file: Buffer.from('not a zip'), fileName: 'deck.pptx' }))
+        .rejects.toThrow('The file is not a valid .pptx presentation');
+      await expect(deckImportService.importDeck({ file: Buffer.from('\n\n'), fileName: 'empty.md' }))
+        .rejects.toThrow('No slides found in the file');
+    });
+  });
+});
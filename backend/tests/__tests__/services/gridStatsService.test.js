@@ -0,0 +1,99 @@
+/**
+ * Tests for 2x2 grid spread, quadrants and outliers
+ */
+
+const gridStatsService = require('../../../src/services/gridStatsService');
+const twoByTwoGrid = require('../../../src/interactions/twoByTwoGrid');
+
+const range = { min: 0, max: 10 };
+
+describe('Grid Stats Service', () => {
+  describe('getQuadrant', () => {
+    it('should split the range in the middle with the vertical axis pointing up', () => {
+      expect(gridStatsService.getQuadrant({ x: 2, y: 8 }, range)).toBe('topLeft');
+      expect(gridStatsService.getQuadrant({ x: 8, y: 8 }, range)).toBe('topRight');
+      expect(gridStatsService.getQuadrant({ x: 2, y: 2 }, range)).toBe('bottomLeft');
+      expect(gridStatsService.getQuadrant({ x: 5, y: 4.9 }, range)).toBe('bottomRight');
+    });
+  });
+
+  describe('quadrant labels', () => {
+    it('should fall back to default names and keep existing ones', () => {
+      expect(gridStatsService.getQuadrantLabels({ gridQuadrantLabels: { topRight: ' Quick wins ' } })).toEqual({
+        topLeft: 'Top left',
+        topRight: 'Quick wins',
+        bottomLeft: 'Bottom left',
+        bottomRight: 'Bottom right'
+      });
+      expect(gridStatsService.normalizeQuadrantLabels({ topLeft: 'Major projects', bottomLeft: 42 }, { topRight: 'Quick wins' })).toEqual({
+        topLeft: 'Major projects',
+        topRight: 'Quick wins',
+        bottomLeft: '',
+        bottomRight: ''
+      });
+    });
+  });
+
+  describe('summarizePositions', () => {
+    it('should compute the spread and the standard deviation ellipse', () => {
+      const summary = gridStatsService.summarizePositions([{ x: 2, y: 2 }, { x: 4, y: 4 }, { x: 6, y: 6 }, { x: 8, y: 8 }], range);
+
+      expect(summary).toMatchObject({
+        count: 4,
+        averageX: 5,
+        averageY: 5,
+        standardDeviationX: 2.24,
+        standardDeviationY: 2.24,
+        quadrant: 'topRight',
+        quadrantCounts: { topLeft: 0, topRight: 2, bottomLeft: 2, bottomRight: 0 },
+        outlierCount: 0
+      });
+      // Points on a diagonal line: a flat ellipse rotated by 45 degrees
+      expect(summary.ellipse).toEqual({ centerX: 5, centerY: 5, radiusX: 3.16, radiusY: 0, angle: 45 });
+    });
+
+    it('should flag placements far from the rest', () => {
+      const positions = [
+        ...Array.from({ length: 9 }, () => ({ x: 2, y: 2 })),
+        { x: 2.5, y: 2 },
+        { x: 10, y: 10 }
+      ];
+      const summary = gridStatsService.summarizePositions(positions, range);
+
+      expect(summary.outlierCount).toBe(1);
+      expect(summary.positions[10]).toEqual({ x: 10, y: 10, isOutlier: true });
+      expect(summary.positions[0].isOutlier).toBe(false);
+    });
+
+    it('should return empty stats without placements', () => {
+      expect(gridStatsService.summarizePositions([], range)).toMatchObject({
+        count: 0,
+        ellipse: null,
+        quadrant: null,
+        quadrantCounts: { topLeft: 0, topRight: 0, bottomLeft: 0, bottomRight: 0 }
+      });
+    });
+  });
+
+  describe('twoByTwoGrid buildResults', () => {
+    it('should add per-item spread and the quadrant breakdown with configured names', () => {
+      const slide = {
+        gridItems: [{ id: 'a', label: 'Chatbot' }, { id: 'b', label: 'Redesign' }],
+        gridAxisRange: { min: 0, max: 10 },
+        gridQuadrantLabels: { topRight: 'Quick wins' }
+      };
+      const results = twoByTwoGrid.buildResults(slide, [
+        { answer: [{ item: 'a', x: 8, y: 9 }, { item: 'b', x: 1, y: 1 }] },
+        { answer: [{ item: 'a', x: 6, y: 7 }] }
+      ]);
+
+      expect(results.gridResults[0]).toMatchObject({ itemId: 'a', count: 2, averageX: 7, averageY: 8, standardDeviationX: 1, quadrant: 'topRight' });
+      expect(results.gridQuadrants).toEqual([
+        { key: 'topLeft', label: 'Top left', count: 0, percentage: 0, items: [] },
+        { key: 'topRight', label: 'Quick wins', count: 2, percentage: 66.67, items: [{ itemId: 'a', label: 'Chatbot', count: 2 }] },
+        { key: 'bottomLeft', label: 'Bottom left', count: 1, percentage: 33.33, items: [{ itemId: 'b', label: 'Redesign', count: 1 }] },
+        { key: 'bottomRight', label: 'Bottom right', count: 0, percentage: 0, items: [] }
+      ]);
+    });
+  });
+});
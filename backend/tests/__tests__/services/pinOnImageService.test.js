@@ -0,0 +1,140 @@
+/**
+ * Tests for pin on image regions, grading and aggregation
+ */
+
+const pinOnImageService = require('../../../src/services/pinOnImageService');
+
+const triangle = { id: 'tri', shape: 'polygon', points: [{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 0, y: 50 }] };
+const square = { id: 'sq', shape: 'rectangle', x: 60, y: 60, width: 20, height: 20 };
+
+describe('Pin On Image Service', () => {
+  describe('isPointInRegion', () => {
+    it('should hit test rectangles and polygons', () => {
+      expect(pinOnImageService.isPointInRegion({ x: 70, y: 70 }, square)).toBe(true);
+      expect(pinOnImageService.isPointInRegion({ x: 80, y: 80 }, square)).toBe(true);
+      expect(pinOnImageService.isPointInRegion({ x: 10, y: 10 }, triangle)).toBe(true);
+      expect(pinOnImageService.isPointInRegion({ x: 40, y: 40 }, triangle)).toBe(false);
+    });
+  });
+
+  describe('normalizeSettings', () => {
+    it('should read the older single correct area as a rectangle', () => {
+      const settings = pinOnImageService.normalizeSettings({
+        imageUrl: 'https://example.com/map.png',
+        correctArea: { x: 10, y: 10, width: 20, height: 20 }
+      });
+
+      expect(settings.correctArea).toBeNull();
+      expect(settings.correctAreas).toEqual([
+        expect.objectContaining({ shape: 'rectangle', x: 10, y: 10, width: 20, height: 20 })
+      ]);
+      expect(pinOnImageService.getRegions({ correctArea: { x: 1, y: 2, width: 3, height: 4 } }))
+        .toEqual([{ id: 'area-1', shape: 'rectangle', x: 1, y: 2, width: 3, height: 4 }]);
+    });
+
+    it('should validate regions and keep existing values', () => {
+      const existing = pinOnImageService.normalizeSettings({ imageUrl: 'a.png', correctAreas: [square], allowMultiplePins: true });
+
+      expect(pinOnImageService.normalizeSettings({ maxPins: 50 }, existing)).toMatchObject({
+        imageUrl: 'a.png',
+        allowMultiplePins: true,
+        maxPins: pinOnImageService.MAX_PINS,
+        correctAreas: [expect.objectContaining({ id: 'sq' })]
+      });
+      expect(() => pinOnImageService.normalizeSettings({ correctAreas: [{ shape: 'polygon', points: [{ x: 1, y: 1 }] }] }))
+        .toThrow('Polygon areas need between 3 and 50 points');
+      expect(() => pinOnImageService.normalizeSettings({ correctAreas: [{ x: 90, y: 0, width: 20, height: 10 }] }))
+        .toThrow('Area coordinates must be between 0 and 100 (percentage)');
+    });
+
+    it('should never send correct areas to participants', () => {
+      const participant = pinOnImageService.getParticipantSettings({ imageUrl: 'a.png', correctAreas: [square] });
+
+      expect(participant).toEqual({
+        imageUrl: 'a.png',
+        imagePublicId: undefined,
+        allowMultiplePins: false,
+        maxPins: 1,
+        hasCorrectAreas: true
+      });
+    });
+  });
+
+  describe('gradePins', () => {
+    const settings = { correctAreas: [triangle, square], allowMultiplePins: true, maxPins: 3 };
+
+    it('should record correctness per pin and need every region', () => {
+      const grade = pinOnImageService.gradePins([{ x: 10, y: 10 }, { x: 70, y: 70 }], settings);
+
+      expect(grade.pins.map(pin => pin.regionId)).toEqual(['tri', 'sq']);
+      expect(grade).toMatchObject({ isCorrect: true, credit: 1 });
+    });
+
+    it('should give partial credit and let misses cancel hits', () => {
+      expect(pinOnImageService.gradePins([{ x: 10, y: 10 }, { x: 12, y: 12 }], settings))
+        .toMatchObject({ isCorrect: false, credit: 0.5 });
+      expect(pinOnImageService.gradePins([{ x: 10, y: 10 }, { x: 95, y: 5 }], settings))
+        .toMatchObject({ isCorrect: false, credit: 0 });
+    });
+
+    it('should only need one region when a single pin is allowed', () => {
+      const single = { correctAreas: [triangle, square] };
+
+      expect(pinOnImageService.gradePins([{ x: 70, y: 70 }], single)).toMatchObject({ isCorrect: true, credit: 1 });
+      expect(pinOnImageService.gradePins([{ x: 70, y: 70 }], {}).isCorrect).toBeNull();
+    });
+  });
+
+  describe('scoreAnswer', () => {
+    it('should award fixed points only when scoring is enabled', () => {
+      const settings = { correctAreas: [square], scoring: { enabled: true, points: 500 } };
+
+      expect(pinOnImageService.scoreAnswer([{ x: 70, y: 70 }], settings).score).toBe(500);
+      expect(pinOnImageService.scoreAnswer([{ x: 5, y: 5 }], settings).score).toBe(0);
+      expect(pinOnImageService.scoreAnswer([{ x: 70, y: 70 }], { correctAreas: [square] }).score).toBeNull();
+    });
+  });
+
+  describe('aggregation', () => {
+    it('should build a heatmap relative to the densest cell', () => {
+      const heatmap = pinOnImageService.buildHeatmap([{ x: 12, y: 12 }, { x: 13, y: 13 }, { x: 90, y: 90 }], 10);
+      const hottest = heatmap.cells.find(cell => cell.row === 1 && cell.col === 1);
+      const lone = heatmap.cells.find(cell => cell.row === 9 && cell.col === 9);
+
+      expect(heatmap.gridSize).toBe(10);
+      expect(hottest).toEqual({ row: 1, col: 1, count: 2, intensity: 1 });
+      expect(lone.intensity).toBe(0.5);
+    });
+
+    it('should group nearby pins into clusters, largest first', () => {
+      const clusters = pinOnImageService.buildClusters([
+        { x: 80, y: 80, isCorrect: false },
+        { x: 10, y: 10, isCorrect: true },
+        { x: 12, y: 10, isCorrect: true },
+        { x: 11, y: 13, isCorrect: false }
+      ]);
+
+      expect(clusters).toEqual([
+        { x: 11, y: 11, count: 3, share: 75, correctCount: 2 },
+        { x: 80, y: 80, count: 1, share: 25, correctCount: 0 }
+      ]);
+    });
+
+    it('should summarize older single pin answers and multi-pin answers together', () => {
+      const slide = { pinOnImageSettings: { correctArea: { x: 0, y: 0, width: 50, height: 50 } } };
+      const results = pinOnImageService.buildPinResults(slide, [
+        { participantId: 'p1', answer: { x: 10, y: 10 } },
+        { participantId: 'p2', answer: { pins: [{ x: 20, y: 20 }, { x: 80, y: 80 }] } }
+      ]);
+
+      expect(results).toMatchObject({
+        totalPins: 3,
+        correctPins: 2,
+        correctResponses: 1,
+        regionStats: [{ id: 'area-1', label: '', count: 2 }]
+      });
+      expect(results.pinResults[0]).toEqual({ x: 10, y: 10, isCorrect: true, regionId: 'area-1', participantId: 'p1' });
+      expect(results.clusters.length).toBe(3);
+    });
+  });
+});
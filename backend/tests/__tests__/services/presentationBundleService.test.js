@@ -0,0 +1,238 @@
+/**
+ * Tests for portable presentation bundles
+ */
+
+jest.mock('../../../src/models/Slide', () => {
+  const Slide = jest.fn(function (doc) {
+    Object.assign(this, doc);
+    this.save = jest.fn(() => Slide.save(this));
+  });
+  Slide.save = jest.fn();
+  Slide.deleteMany = jest.fn();
+  Slide.schema = {
+    path: () => ({ enumValues: ['multiple_choice', 'quiz', 'leaderboard', 'ranking', 'image', 'text'] })
+  };
+  return Slide;
+});
+jest.mock('../../../src/models/Presentation', () => {
+  const Presentation = jest.fn(function (doc) {
+    Object.assign(this, doc);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Presentation.deleteOne = jest.fn();
+  return Presentation;
+});
+jest.mock('../../../src/services/cloudinaryService', () => ({
+  copyRemoteMedia: jest.fn(),
+  deleteImage: jest.fn(),
+  deleteVideo: jest.fn()
+}));
+
+const Slide = require('../../../src/models/Slide');
+const Presentation = require('../../../src/models/Presentation');
+const cloudinaryService = require('../../../src/services/cloudinaryService');
+const presentationBundleService = require('../../../src/services/presentationBundleService');
+
+const presentation = {
+  _id: 'pres-1',
+  title: 'Fractions lesson',
+  showResults: true,
+  teamSettings: null,
+  selfPacedSettings: { enabled: true, opensAt: '2026-03-01T09:00:00.000Z', closesAt: null }
+};
+
+const slides = [
+  {
+    _id: 'quiz-1',
+    presentationId: 'pres-1',
+    order: 0,
+    type: 'quiz',
+    question: 'What is 1/2 + 1/4?',
+    imageUrl: 'https://res.cloudinary.com/demo/image/upload/v1/fraction.png',
+    imagePublicId: 'inavora/fraction',
+    quizSettings: {
+      options: [{ id: 'a', text: '3/4' }, { id: 'b', text: '2/6' }],
+      correctOptionId: 'a',
+      correctOptionIds: [],
+      timeLimit: 30
+    },
+    branching: {
+      autoFollow: false,
+      rules: [{ id: 'rule-1', condition: 'option_chosen', optionValue: 'b', threshold: 50, action: 'detour', targetSlideId: 'text-1' }]
+    }
+  },
+  {
+    _id: 'board-1',
+    presentationId: 'pres-1',
+    order: 1,
+    type: 'leaderboard',
+    question: 'Leaderboard',
+    leaderboardSettings: { linkedQuizSlideId: 'quiz-1', isAutoGenerated: true, displayCount: 10 }
+  },
+  {
+    _id: 'rank-1',
+    presentationId: 'pres-1',
+    order: 2,
+    type: 'ranking',
+    question: 'Order these',
+    rankingItems: [{ id: 'r1', label: '1/3' }, { id: 'r2', label: '1/2' }],
+    videoUrl: 'https://youtube.com/watch?v=abc',
+    videoPublicId: null
+  },
+  {
+    _id: 'text-1',
+    presentationId: 'pres-1',
+    order: 3,
+    type: 'text',
+    question: 'Adding fractions',
+    textContent: 'Find a common denominator first.'
+  }
+];
+
+describe('Presentation Bundle Service', () => {
+  let bundle;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Slide.save.mockImplementation(async slide => slide);
+    bundle = presentationBundleService.buildBundle(presentation, slides);
+  });
+
+  describe('buildBundle', () => {
+    it('should export portable slides keyed by their original IDs', () => {
+      expect(bundle).toEqual(expect.objectContaining({
+        format: presentationBundleService.BUNDLE_FORMAT,
+        version: presentationBundleService.BUNDLE_VERSION,
+        presentation: { title: 'Fractions lesson', showResults: true, selfPacedSettings: { enabled: true } }
+      }));
+
+      const [quiz, board, ranking] = bundle.slides;
+      expect(quiz).toEqual(expect.objectContaining({ key: 'quiz-1', type: 'quiz', imageUrl: slides[0].imageUrl }));
+      expect(quiz).not.toHaveProperty('imagePublicId');
+      expect(quiz).not.toHaveProperty('presentationId');
+      expect(quiz).not.toHaveProperty('order');
+      expect(quiz.branching.rules).toEqual([
+        { condition: 'option_chosen', optionValue: 'b', threshold: 50, action: 'detour', targetSlideKey: 'text-1' }
+      ]);
+      expect(board.leaderboardSettings).toEqual({ linkedQuizSlideKey: 'quiz-1', isAutoGenerated: true, displayCount: 10 });
+      expect(ranking.videoUrl).toBe('https://youtube.com/watch?v=abc');
+    });
+
+    it('should only list uploaded media in the manifest', () => {
+      expect(bundle.media).toEqual([
+        { slideKey: 'quiz-1', path: 'imageUrl', url: slides[0].imageUrl, resourceType: 'image' }
+      ]);
+    });
+
+    it('should round-trip through a zip file', async () => {
+      const { body, extension } = await presentationBundleService.renderBundle(bundle, 'zip');
+
+      expect(extension).toBe('zip');
+      expect(await presentationBundleService.parseBundleFile(body)).toEqual(bundle);
+      await expect(presentationBundleService.parseBundleFile(Buffer.from('nope')))
+        .rejects.toThrow('The file is not a valid presentation bundle');
+    });
+  });
+
+  describe('validateBundle', () => {
+    it('should accept exported bundles', () => {
+      expect(presentationBundleService.validateBundle(bundle)).toEqual([]);
+    });
+
+    it('should report schema errors by path', () => {
+      const broken = {
+        ...bundle,
+        version: 99,
+        slides: [
+          { ...bundle.slides[0], quizSettings: { ...bundle.slides[0].quizSettings, correctOptionId: 'z' } },
+          { ...bundle.slides[1], leaderboardSettings: { linkedQuizSlideKey: 'missing' } },
+          { ...bundle.slides[2], key: 'quiz-1', type: 'poll' }
+        ]
+      };
+
+      expect(presentationBundleService.validateBundle(broken)).toEqual([
+        'version 99 is not supported (latest is 1)',
+        'slides[2].key "quiz-1" is used by another slide',
+        'slides[0].quizSettings correct answers must match the option ids',
+        'slides[0].branching.rules[0].targetSlideKey does not match a slide in the bundle',
+        'slides[1].leaderboardSettings.linkedQuizSlideKey does not match a slide in the bundle',
+        'slides[2].type "poll" is not a supported slide type'
+      ]);
+      expect(presentationBundleService.validateBundle([])).toEqual(['The bundle must be a JSON object']);
+    });
+  });
+
+  describe('createFromBundle', () => {
+    it('should recreate the presentation with new IDs and remapped references', async () => {
+      const { presentation: created, slides: createdSlides, media } = await presentationBundleService.createFromBundle({
+        bundle,
+        userId: 'user-2',
+        accessCode: '654321'
+      });
+
+      expect(created).toEqual(expect.objectContaining({ userId: 'user-2', title: 'Fractions lesson', accessCode: '654321', isLive: false }));
+      expect(createdSlides.map(slide => slide.order)).toEqual([0, 1, 2, 3]);
+      createdSlides.forEach(slide => expect(slide.presentationId).toBe(created._id));
+
+      const [quiz, board, ranking, text] = createdSlides;
+      expect(String(quiz._id)).not.toBe('quiz-1');
+      expect(quiz).not.toHaveProperty('imagePublicId');
+
+      const [correct, wrong] = quiz.quizSettings.options;
+      expect(correct.id).not.toBe('a');
+      expect(quiz.quizSettings.correctOptionId).toBe(correct.id);
+      expect(quiz.branching.rules[0]).toEqual(expect.objectContaining({ optionValue: wrong.id, targetSlideId: text._id }));
+      expect(board.leaderboardSettings.linkedQuizSlideId).toBe(quiz._id);
+      expect(ranking.rankingItems.map(item => item.label)).toEqual(['1/3', '1/2']);
+      expect(ranking.rankingItems.map(item => item.id)).not.toContain('r1');
+      expect(media).toEqual({ copied: 0, failed: 0 });
+      expect(cloudinaryService.copyRemoteMedia).not.toHaveBeenCalled();
+    });
+
+    it('should copy media into the importing account when asked', async () => {
+      cloudinaryService.copyRemoteMedia.mockResolvedValue({ url: 'https://res.cloudinary.com/mine/fraction.png', publicId: 'inavora/bundles/fraction' });
+
+      const { slides: createdSlides, media } = await presentationBundleService.createFromBundle({
+        bundle,
+        userId: 'user-2',
+        accessCode: '654321',
+        reuploadMedia: true
+      });
+
+      expect(cloudinaryService.copyRemoteMedia).toHaveBeenCalledWith(slides[0].imageUrl, 'image', 'inavora/bundles');
+      expect(createdSlides[0]).toEqual(expect.objectContaining({
+        imageUrl: 'https://res.cloudinary.com/mine/fraction.png',
+        imagePublicId: 'inavora/bundles/fraction'
+      }));
+      expect(media).toEqual({ copied: 1, failed: 0 });
+    });
+
+    it('should never import public IDs from the bundle', async () => {
+      bundle.slides[0].imagePublicId = 'someone-else/fraction';
+
+      const { slides: createdSlides } = await presentationBundleService.createFromBundle({ bundle, userId: 'user-2', accessCode: '654321' });
+
+      expect(createdSlides[0].imagePublicId).toBeNull();
+    });
+
+    it('should roll back everything when a slide cannot be saved', async () => {
+      cloudinaryService.copyRemoteMedia.mockResolvedValue({ url: 'https://copy', publicId: 'inavora/bundles/copy' });
+      Slide.save.mockImplementation(async slide => {
+        if (slide.type === 'ranking') throw new Error('rankingItems must contain id and label');
+        return slide;
+      });
+
+      await expect(presentationBundleService.createFromBundle({
+        bundle,
+        userId: 'user-2',
+        accessCode: '654321',
+        reuploadMedia: true
+      })).rejects.toThrow('rankingItems must contain id and label');
+
+      const presentationId = Presentation.mock.instances[0]._id;
+      expect(Slide.deleteMany).toHaveBeenCalledWith({ presentationId });
+      expect(Presentation.deleteOne).toHaveBeenCalledWith({ _id: presentationId });
+      expect(cloudinaryService.deleteImage).toHaveBeenCalledWith('inavora/bundles/copy');
+    });
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Tests for the Q&A service that keeps questions in Response documents
+ */
+
+jest.mock('../../../src/models/Slide', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../../src/models/Response', () => ({
+  find: jest.fn(),
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../../src/services/runService', () => ({
+  getCurrentRunId: jest.fn()
+}));
+
+const Slide = require('../../../src/models/Slide');
+const Response = require('../../../src/models/Response');
+const runService = require('../../../src/services/runService');
+const qnaSession = require('../../../src/services/qnaSession');
+
+const SLIDE_ID = '64b7f0c2a1b2c3d4e5f60020';
+const PRESENTATION_ID = '64b7f0c2a1b2c3d4e5f60002';
+const RUN_ID = '64b7f0c2a1b2c3d4e5f60718';
+const QUESTION_ID = '64b7f0c2a1b2c3d4e5f60031';
+
+let nextId = 40;
+const buildResponse = (overrides = {}) => ({
+  _id: `64b7f0c2a1b2c3d4e5f600${nextId++}`,
+  participantId: 'p1',
+  participantName: 'Ada',
+  answer: 'What is next?',
+  isAnswered: false,
+  submittedAt: new Date('2026-01-01T10:00:00Z'),
+  moderationStatus: 'approved',
+  voteCount: 0,
+  voters: [],
+  ...overrides
+});
+
+const buildSlide = (qnaSettings = {}) => ({
+  _id: SLIDE_ID,
+  presentationId: PRESENTATION_ID,
+  type: 'qna',
+  qnaSettings
+});
+
+// Response.find is awaited directly or after .sort()
+const findQuery = (responses) => ({
+  sort: jest.fn().mockResolvedValue(responses),
+  then: (resolve, reject) => Promise.resolve(responses).then(resolve, reject)
+});
+
+describe('Q&A Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    runService.getCurrentRunId.mockResolvedValue(RUN_ID);
+  });
+
+  describe('buildState', () => {
+    it('should only show approved questions and give presenters the queue', () => {
+      const responses = [
+        buildResponse({ answer: 'Approved', isActiveQuestion: true }),
+        buildResponse({ answer: 'Pending', moderationStatus: 'pending' }),
+        buildResponse({ answer: 'Rejected', moderationStatus: 'rejected' })
+      ];
+
+      const publicState = qnaSession.buildState(buildSlide({ moderation: true }), responses);
+      const presenterState = qnaSession.buildState(buildSlide({ moderation: true }), responses, { includePending: true });
+
+      expect(publicState.questions.map(q => q.text)).toEqual(['Approved']);
+      expect(publicState.activeQuestionId).toBe(responses[0]._id);
+      expect(publicState).not.toHaveProperty('pendingQuestions');
+      expect(presenterState.pendingQuestions.map(q => q.text)).toEqual(['Pending']);
+    });
+
+    it('should sort by upvotes and then by time', () => {
+      const responses = [
+        buildResponse({ answer: 'First', voteCount: 1 }),
+        buildResponse({ answer: 'Second', voteCount: 3, submittedAt: new Date('2026-01-01T10:05:00Z') }),
+        buildResponse({ answer: 'Third', voteCount: 1, submittedAt: new Date('2026-01-01T10:10:00Z') })
+      ];
+
+      const state = qnaSession.buildState(buildSlide({ sortBy: 'votes' }), responses);
+
+      expect(state.questions.map(q => [q.text, q.upvotes])).toEqual([['Second', 3], ['First', 1], ['Third', 1]]);
+    });
+  });
+
+  describe('validateQuestion', () => {
+    it('should reject a second question when multiple questions are not allowed', () => {
+      const questions = [buildResponse({ isAnswered: true })].map(qnaSession.formatQuestion);
+
+      expect(qnaSession.validateQuestion(questions, { allowMultiple: false }, 'p1', 'Another one'))
+        .toEqual({ error: 'You can only ask one question for this slide.' });
+      expect(qnaSession.validateQuestion(questions, { allowMultiple: true }, 'p1', 'Another one'))
+        .toEqual({ value: 'Another one' });
+    });
+
+    it('should ignore rejected questions for duplicates and limits', () => {
+      const questions = [buildResponse({ answer: 'Off topic', moderationStatus: 'rejected' })].map(qnaSession.formatQuestion);
+
+      expect(qnaSession.validateQuestion(questions, { allowMultiple: false }, 'p1', 'Off topic'))
+        .toEqual({ value: 'Off topic' });
+      expect(qnaSession.validateQuestion(questions, { allowMultiple: false }, 'p2', 'off topic'))
+        .toEqual({ value: 'off topic' });
+    });
+  });
+
+  describe('submitQuestion', () => {
+    it('should store the question in the current run and queue it when moderated', async () => {
+      Response.find.mockReturnValue(findQuery([]));
+      Response.create.mockImplementation(async (doc) => ({ _id: QUESTION_ID, submittedAt: new Date(), ...doc }));
+
+      const result = await qnaSession.submitQuestion({
+        slide: buildSlide({ moderation: true }),
+        participantId: 'p1',
+        participantName: '  ',
+        text: '  Is this on?  '
+      });
+
+      expect(Response.create).toHaveBeenCalledWith(expect.objectContaining({
+        presentationId: PRESENTATION_ID,
+        slideId: SLIDE_ID,
+        runId: RUN_ID,
+        participantName: 'Anonymous',
+        answer: 'Is this on?',
+        moderationStatus: 'pending',
+        questionKey: 'is this on?',
+        askingSlot: 'p1'
+      }));
+      expect(result.question).toMatchObject({ id: QUESTION_ID, status: 'pending' });
+    });
+
+    it('should load the slide when given an ID and refuse other slide types', async () => {
+      Slide.findById.mockResolvedValue({ ...buildSlide(), type: 'quiz' });
+
+      const result = await qnaSession.submitQuestion({ slide: SLIDE_ID, participantId: 'p1', text: 'Hello?' });
+
+      expect(Slide.findById).toHaveBeenCalledWith(SLIDE_ID);
+      expect(result).toEqual({ error: 'Q&A slide not found.' });
+      expect(Response.create).not.toHaveBeenCalled();
+    });
+
+    it('should turn a lost race into the usual validation error', async () => {
+      const winner = buildResponse({ participantId: 'p2', answer: 'Is this on?' });
+      Response.find
+        .mockReturnValueOnce(findQuery([]))
+        .mockReturnValueOnce(findQuery([winner]));
+      Response.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), {
+        code: 11000,
+        keyPattern: { slideId: 1, runId: 1, questionKey: 1 }
+      }));
+
+      const result = await qnaSession.submitQuestion({ slide: buildSlide(), participantId: 'p1', text: 'is this ON?' });
+
+      expect(result).toEqual({ error: 'This question has already been asked.' });
+    });
+  });
+
+  describe('markAnswered', () => {
+    it('should only change questions of the current run', async () => {
+      Response.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await qnaSession.markAnswered({ slide: buildSlide(), questionId: QUESTION_ID });
+
+      expect(Response.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: QUESTION_ID, slideId: SLIDE_ID, runId: RUN_ID },
+        { $set: { isAnswered: true, isActiveQuestion: false } },
+        { new: true }
+      );
+      expect(result).toEqual({ error: 'Question not found.' });
+    });
+
+    it('should free the author to ask again when multiple questions are allowed', async () => {
+      Response.findOneAndUpdate.mockResolvedValue(buildResponse({ _id: QUESTION_ID, isAnswered: true }));
+      Response.find.mockReturnValue(findQuery([]));
+
+      await qnaSession.markAnswered({ slide: buildSlide({ allowMultiple: true }), questionId: QUESTION_ID });
+
+      expect(Response.findOneAndUpdate.mock.calls[0][1]).toEqual({
+        $set: { isAnswered: true, isActiveQuestion: false },
+        $unset: { askingSlot: 1 }
+      });
+    });
+  });
+
+  describe('moderateQuestion', () => {
+    it('should release the guards of a rejected question', async () => {
+      Response.findOne.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(buildResponse({ _id: QUESTION_ID, moderationStatus: 'pending' }))
+      });
+      Response.findOneAndUpdate.mockResolvedValue(buildResponse({ _id: QUESTION_ID, moderationStatus: 'rejected' }));
+      Response.find.mockReturnValue(findQuery([]));
+
+      await qnaSession.moderateQuestion({ slide: buildSlide(), questionId: QUESTION_ID, action: 'reject' });
+
+      expect(Response.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: QUESTION_ID, slideId: SLIDE_ID, runId: RUN_ID },
+        {
+          $set: { moderationStatus: 'rejected', isActiveQuestion: false },
+          $unset: { questionKey: 1, askingSlot: 1 }
+        },
+        { new: true }
+      );
+    });
+
+    it('should refuse an edit that duplicates another question', async () => {
+      Response.findOne.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(buildResponse({ _id: QUESTION_ID }))
+      });
+      Response.findOneAndUpdate.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), {
+        code: 11000,
+        keyPattern: { slideId: 1, runId: 1, questionKey: 1 }
+      }));
+
+      const result = await qnaSession.moderateQuestion({ slide: buildSlide(), questionId: QUESTION_ID, action: 'edit', text: 'Taken?' });
+
+      expect(Response.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ answer: 'Taken?', questionKey: 'taken?', askingSlot: 'p1' });
+      expect(result).toEqual({ error: 'This question has already been asked.' });
+    });
+  });
+
+  describe('toggleUpvote', () => {
+    it('should add an upvote with one conditional update', async () => {
+      Response.findOneAndUpdate.mockResolvedValueOnce(buildResponse({ _id: QUESTION_ID, voteCount: 1, voters: ['p2'] }));
+      Response.find.mockReturnValue(findQuery([]));
+
+      const result = await qnaSession.toggleUpvote({ slide: buildSlide(), questionId: QUESTION_ID, participantId: 'p2' });
+
+      expect(Response.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: QUESTION_ID, runId: RUN_ID, participantId: { $ne: 'p2' }, voters: { $ne: 'p2' } }),
+        { $addToSet: { voters: 'p2' }, $inc: { voteCount: 1 } },
+        { new: true }
+      );
+      expect(result.upvoted).toBe(true);
+      expect(result.question.upvotes).toBe(1);
+    });
+
+    it('should take the upvote back when the participant already gave one', async () => {
+      Response.findOneAndUpdate
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(buildResponse({ _id: QUESTION_ID }));
+      Response.find.mockReturnValue(findQuery([]));
+
+      const result = await qnaSession.toggleUpvote({ slide: buildSlide(), questionId: QUESTION_ID, participantId: 'p2' });
+
+      expect(Response.findOneAndUpdate).toHaveBeenLastCalledWith(
+        expect.objectContaining({ voters: 'p2' }),
+        { $pull: { voters: 'p2' }, $inc: { voteCount: -1 } },
+        { new: true }
+      );
+      expect(result.upvoted).toBe(false);
+    });
+
+    it('should not let participants upvote their own question', async () => {
+      Response.findOneAndUpdate.mockResolvedValue(null);
+      Response.findOne.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue({ participantId: 'p1' })
+      });
+
+      const result = await qnaSession.toggleUpvote({ slide: buildSlide(), questionId: QUESTION_ID, participantId: 'p1' });
+
+      expect(result).toEqual({ error: 'You cannot upvote your own question.' });
+    });
+
+    it('should refuse upvotes when they are turned off', async () => {
+      const result = await qnaSession.toggleUpvote({
+        slide: buildSlide({ allowUpvotes: false }),
+        questionId: QUESTION_ID,
+        participantId: 'p2'
+      });
+
+      expect(result).toEqual({ error: 'Upvoting is turned off for this slide.' });
+      expect(Response.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Tests for quiz scoring strategies
+ */
+
+jest.mock('../../../src/models/ParticipantScore', () => {
+  const ParticipantScore = jest.fn(function ParticipantScore(doc) {
+    Object.assign(this, doc);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  ParticipantScore.find = jest.fn();
+  ParticipantScore.findOne = jest.fn();
+  return ParticipantScore;
+});
+jest.mock('../../../src/models/Response', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 })
+}));
+jest.mock('../../../src/models/Slide', () => ({
+  find: jest.fn()
+}));
+
+const ParticipantScore = require('../../../src/models/ParticipantScore');
+const Response = require('../../../src/models/Response');
+const Slide = require('../../../src/models/Slide');
+const quizScoringService = require('../../../src/services/quizScoringService');
+
+const { calculateQuestionScore, gradeAnswer, getCorrectStreak } = quizScoringService;
+
+const leanQuery = (value) => ({
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+describe('Quiz Scoring Service', () => {
+  describe('calculateQuestionScore', () => {
+    it('should keep speed-weighted scoring as the default', () => {
+      expect(calculateQuestionScore({ isCorrect: true, responseTime: 0, timeLimit: 30 })).toBe(1000);
+      expect(calculateQuestionScore({ isCorrect: true, responseTime: 15000, timeLimit: 30 })).toBe(750);
+      expect(calculateQuestionScore({ isCorrect: false, responseTime: 0, timeLimit: 30 })).toBe(0);
+    });
+
+    it('should ignore response time in accuracy mode', () => {
+      const scoring = { scoringMode: 'accuracy' };
+
+      expect(calculateQuestionScore({ isCorrect: true, responseTime: 29000, timeLimit: 30, scoring })).toBe(1000);
+    });
+
+    it('should award the quiz points in fixed mode', () => {
+      const scoring = { scoringMode: 'fixed', points: 100 };
+
+      expect(calculateQuestionScore({ isCorrect: true, responseTime: 29000, timeLimit: 30, scoring })).toBe(100);
+    });
+
+    it('should apply a capped streak multiplier', () => {
+      const scoring = { scoringMode: 'fixed', points: 100, streakBonus: true };
+
+      expect(calculateQuestionScore({ isCorrect: true, responseTime: 0, timeLimit: 30, scoring, streak: 0 })).toBe(100);
+      expect(calculateQuestionScore({ isCorrect: true, responseTime: 0, timeLimit: 30, scoring, streak: 2 })).toBe(120);
+      expect(calculateQuestionScore({ isCorrect: true, responseTime: 0, timeLimit: 30, scoring, streak: 20 })).toBe(150);
+    });
+
+    it('should scale the score by partial credit', () => {
+      const scoring = { scoringMode: 'fixed', points: 100, negativePoints: 50 };
+
+      expect(calculateQuestionScore({ isCorrect: false, credit: 0.5, responseTime: 0, timeLimit: 30, scoring })).toBe(50);
+      expect(calculateQuestionScore({ isCorrect: false, credit: 0, responseTime: 0, timeLimit: 30, scoring })).toBe(-50);
+    });
+
+    it('should deduct points for wrong answers with negative marking', () => {
+      const scoring = { negativePoints: 250 };
+
+      expect(calculateQuestionScore({ isCorrect: false, responseTime: 0, timeLimit: 30, scoring })).toBe(-250);
+    });
+  });
+
+  describe('gradeAnswer', () => {
+    it('should accept any correct option for single-answer questions', () => {
+      const quizSettings = { correctOptionId: 'a', correctOptionIds: ['a', 'b'] };
+
+      expect(gradeAnswer('b', quizSettings)).toEqual({ isCorrect: true, credit: 1 });
+      expect(gradeAnswer(['a', 'b'], quizSettings)).toEqual({ isCorrect: false, credit: 0 });
+      expect(gradeAnswer('a', { correctOptionId: 'a' })).toEqual({ isCorrect: true, credit: 1 });
+    });
+
+    it('should grade select-all-that-apply answers all-or-nothing by default', () => {
+      const quizSettings = { correctOptionIds: ['a', 'b'], allowMultiple: true };
+
+      expect(gradeAnswer(['b', 'a'], quizSettings)).toEqual({ isCorrect: true, credit: 1 });
+      expect(gradeAnswer(['a'], quizSettings)).toEqual({ isCorrect: false, credit: 0 });
+    });
+
+    it('should give proportional credit with wrong picks cancelling right ones', () => {
+      const quizSettings = { correctOptionIds: ['a', 'b', 'c', 'd'], allowMultiple: true, multiSelectScoring: 'proportional' };
+
+      expect(gradeAnswer(['a', 'b'], quizSettings)).toEqual({ isCorrect: false, credit: 0.5 });
+      expect(gradeAnswer(['a', 'b', 'e'], quizSettings)).toEqual({ isCorrect: false, credit: 0.25 });
+      expect(gradeAnswer(['a', 'e'], quizSettings)).toEqual({ isCorrect: false, credit: 0 });
+    });
+  });
+
+  describe('getCorrectStreak', () => {
+    it('should count trailing correct answers', () => {
+      expect(getCorrectStreak([{ isCorrect: true }, { isCorrect: false }, { isCorrect: true }, { isCorrect: true }])).toBe(2);
+      expect(getCorrectStreak([{ isCorrect: false }])).toBe(0);
+      expect(getCorrectStreak(undefined)).toBe(0);
+    });
+  });
+
+  describe('recalculatePresentationScores', () => {
+    it('should rescore answers with the current strategy and sync responses', async () => {
+      Slide.find.mockReturnValue(leanQuery([
+        { _id: 'slide-1', quizSettings: { timeLimit: 30, scoringMode: 'fixed', points: 100, streakBonus: true } },
+        { _id: 'slide-2', quizSettings: { timeLimit: 30, scoringMode: 'fixed', points: 100, streakBonus: true, negativePoints: 50 } },
+        { _id: 'slide-3', quizSettings: { timeLimit: 30, scoringMode: 'fixed', points: 100, streakBonus: true } }
+      ]));
+
+      const participant = {
+        participantId: 'p1',
+        totalScore: 1400,
+        quizScores: [
+          { slideId: 'slide-1', score: 900, responseTime: 5000, isCorrect: true, answeredAt: new Date('2026-03-09T10:00:00Z') },
+          { slideId: 'slide-2', score: 0, responseTime: 5000, isCorrect: false, answeredAt: new Date('2026-03-09T10:01:00Z') },
+          { slideId: 'slide-3', score: 500, responseTime: 5000, isCorrect: true, answeredAt: new Date('2026-03-09T10:02:00Z') }
+        ],
+        save: jest.fn().mockResolvedValue(undefined)
+      };
+      ParticipantScore.find.mockResolvedValue([participant]);
+      Response.find.mockReturnValue(leanQuery([]));
+
+      const result = await quizScoringService.recalculatePresentationScores('pres-1');
+
+      expect(participant.quizScores.map(quizScore => quizScore.score)).toEqual([100, -50, 100]);
+      expect(participant.totalScore).toBe(150);
+      expect(participant.save).toHaveBeenCalled();
+      expect(Response.updateOne).toHaveBeenCalledWith(
+        { presentationId: 'pres-1', slideId: 'slide-2', participantId: 'p1', runId: null },
+        { $set: { score: -50, isCorrect: false } }
+      );
+      expect(result).toEqual({ success: true, fixedCount: 1, fixedResponses: 3 });
+    });
+
+    it('should re-grade stored answers after the correct options change', async () => {
+      Slide.find.mockReturnValue(leanQuery([
+        { _id: 'slide-1', quizSettings: { timeLimit: 30, scoringMode: 'fixed', points: 100, correctOptionId: 'b' } }
+      ]));
+      Response.find.mockReturnValue(leanQuery([
+        { slideId: 'slide-1', participantId: 'p1', answer: 'b' }
+      ]));
+
+      const participant = {
+        participantId: 'p1',
+        totalScore: 0,
+        quizScores: [
+          { slideId: 'slide-1', score: 0, responseTime: 5000, isCorrect: false, answeredAt: new Date('2026-03-09T10:00:00Z') }
+        ],
+        save: jest.fn().mockResolvedValue(undefined)
+      };
+      ParticipantScore.find.mockResolvedValue([participant]);
+
+      await quizScoringService.recalculatePresentationScores('pres-1');
+
+      expect(participant.quizScores[0]).toEqual(expect.objectContaining({ isCorrect: true, score: 100 }));
+      expect(participant.totalScore).toBe(100);
+      expect(Response.updateOne).toHaveBeenCalledWith(
+        { presentationId: 'pres-1', slideId: 'slide-1', participantId: 'p1', runId: null },
+        { $set: { score: 100, isCorrect: true } }
+      );
+    });
+  });
+
+  describe('updateParticipantScore', () => {
+    const answer = { slideId: 'slide-1', score: 100, responseTime: 5000, isCorrect: true };
+
+    it('should keep a separate score document per run for the same participant', async () => {
+      const firstRun = { presentationId: 'pres-1', runId: 'run-1', participantId: 'p1', participantName: 'Ada', totalScore: 100,
+        quizScores: [{ ...answer }], save: jest.fn().mockResolvedValue(undefined) };
+      ParticipantScore.findOne.mockImplementation(async (filter) => (filter.runId === 'run-1' ? firstRun : null));
+
+      const secondRun = await quizScoringService.updateParticipantScore({
+        presentationId: 'pres-1', runId: 'run-2', participantId: 'p1', participantName: 'Ada', ...answer
+      });
+
+      expect(ParticipantScore.findOne).toHaveBeenCalledWith({ presentationId: 'pres-1', runId: 'run-2', participantId: 'p1' });
+      expect(secondRun).not.toBe(firstRun);
+      expect(secondRun).toEqual(expect.objectContaining({ runId: 'run-2', participantId: 'p1', totalScore: 100 }));
+      expect(secondRun.save).toHaveBeenCalled();
+      expect(firstRun.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ParticipantScore.dropLegacyIndexes', () => {
+    const { dropLegacyIndexes } = jest.requireActual('../../../src/models/ParticipantScore');
+    const collectionWith = (indexNames) => ({
+      indexes: jest.fn().mockResolvedValue(indexNames.map(name => ({ name }))),
+      dropIndex: jest.fn().mockResolvedValue(undefined)
+    });
+
+    it('should drop the pre-run-history unique index', async () => {
+      const collection = collectionWith(['_id_', 'presentationId_1_participantId_1', 'presentationId_1_runId_1_participantId_1']);
+
+      await expect(dropLegacyIndexes.call({ collection })).resolves.toBe(true);
+      expect(collection.dropIndex).toHaveBeenCalledWith('presentationId_1_participantId_1');
+    });
+
+    it('should leave migrated and missing collections alone', async () => {
+      const collection = collectionWith(['_id_', 'presentationId_1_runId_1_participantId_1']);
+      const missing = { indexes: jest.fn().mockRejectedValue(Object.assign(new Error('ns does not exist'), { codeName: 'NamespaceNotFound' })) };
+
+      await expect(dropLegacyIndexes.call({ collection })).resolves.toBe(false);
+      await expect(dropLegacyIndexes.call({ collection: missing })).resolves.toBe(false);
+      expect(collection.dropIndex).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getLeaderboardWithDeltas', () => {
+    it('should include the quiz delta and current streak', async () => {
+      ParticipantScore.find.mockReturnValue(leanQuery([
+        {
+          participantId: 'p1',
+          participantName: 'Ada',
+          totalScore: 200,
+          quizScores: [
+            { slideId: 'slide-1', score: 100, isCorrect: true },
+            { slideId: 'slide-2', score: 100, isCorrect: true }
+          ]
+        }
+      ]));
+
+      const leaderboard = await quizScoringService.getLeaderboardWithDeltas('pres-1', 'slide-2');
+
+      expect(leaderboard[0]).toEqual(expect.objectContaining({ rank: 1, delta: 100, streak: 2 }));
+    });
+  });
+
+  describe('getCumulativeLeaderboards', () => {
+    it('should not rank a negative running total below zero', async () => {
+      ParticipantScore.find.mockReturnValue(leanQuery([
+        {
+          participantId: 'p1',
+          participantName: 'Ada',
+          totalScore: 0,
+          quizScores: [
+            { slideId: 'slide-1', score: -50, isCorrect: false },
+            { slideId: 'slide-2', score: -50, isCorrect: false }
+          ]
+        },
+        {
+          participantId: 'p2',
+          participantName: 'Bo',
+          totalScore: 100,
+          quizScores: [{ slideId: 'slide-2', score: 100, isCorrect: true }]
+        }
+      ]));
+
+      const { leaderboardsBySlide, finalLeaderboard } = await quizScoringService.getCumulativeLeaderboards(
+        'pres-1',
+        [{ _id: 'slide-1' }, { _id: 'slide-2' }]
+      );
+
+      expect(leaderboardsBySlide['slide-1']).toEqual([
+        expect.objectContaining({ participantId: 'p1', totalScore: 0, quizCount: 1 })
+      ]);
+      expect(finalLeaderboard).toEqual([
+        expect.objectContaining({ rank: 1, participantId: 'p2', totalScore: 100 }),
+        expect.objectContaining({ rank: 2, participantId: 'p1', totalScore: 0, quizCount: 2 })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for ranking aggregation methods
+ */
+
+const rankingStatsService = require('../../../src/services/rankingStatsService');
+const ranking = require('../../../src/interactions/ranking');
+
+const items = [
+  { id: 'a', label: 'Alpha' },
+  { id: 'b', label: 'Beta' },
+  { id: 'c', label: 'Gamma' }
+];
+
+// Alpha and Beta tie on first choices; Beta wins the Borda count and every head-to-head comparison
+const ballots = [
+  { answer: ['a', 'b', 'c'] },
+  { answer: ['a', 'b', 'c'] },
+  { answer: ['b', 'c', 'a'] },
+  { answer: ['c', 'b', 'a'] },
+  { answer: ['b', 'a', 'c'] }
+];
+
+const order = (results) => results.rankingResults.map(item => item.itemId);
+
+describe('Ranking Stats Service', () => {
+  describe('getRankingMethod', () => {
+    it('should default to the Borda count', () => {
+      expect(rankingStatsService.getRankingMethod({ rankingMethod: 'pairwise' })).toBe('pairwise');
+      expect(rankingStatsService.getRankingMethod({ rankingMethod: 'unknown' })).toBe('borda');
+      expect(rankingStatsService.getRankingMethod({})).toBe('borda');
+    });
+  });
+
+  describe('buildRankingStats', () => {
+    it('should compute every method for every item', () => {
+      const results = rankingStatsService.buildRankingStats(items, ballots, 'borda');
+      const beta = results.rankingResults.find(item => item.itemId === 'b');
+
+      expect(beta).toMatchObject({
+        score: 12,
+        averageRank: 1.6,
+        firstChoiceCount: 2,
+        firstChoiceShare: 40,
+        rankDistribution: [2, 3, 0],
+        pairwiseWins: 2,
+        pairwiseTies: 0,
+        pairwiseLosses: 0,
+        isCondorcetWinner: true
+      });
+      expect(results.rankingPairwise).toEqual({
+        itemIds: ['a', 'b', 'c'],
+        matrix: [[0, 2, 3], [3, 0, 4], [2, 1, 0]],
+        condorcetWinner: 'b'
+      });
+    });
+
+    it('should order and rank items by the chosen method', () => {
+      expect(order(rankingStatsService.buildRankingStats(items, ballots, 'borda'))).toEqual(['b', 'a', 'c']);
+      expect(order(rankingStatsService.buildRankingStats(items, ballots, 'average_rank'))).toEqual(['b', 'a', 'c']);
+      expect(order(rankingStatsService.buildRankingStats(items, ballots, 'pairwise'))).toEqual(['b', 'a', 'c']);
+
+      const firstChoice = rankingStatsService.buildRankingStats(items, ballots, 'first_choice');
+      // Alpha and Beta both have two first choices: shared rank, Borda points break the tie in the order
+      expect(firstChoice.rankingResults.map(item => [item.itemId, item.value, item.rank])).toEqual([
+        ['b', 40, 1],
+        ['a', 40, 1],
+        ['c', 20, 3]
+      ]);
+    });
+
+    it('should prefer ranked items over left out items and report no winner on a cycle', () => {
+      const partial = rankingStatsService.buildRankingStats(items, [{ answer: ['c'] }], 'pairwise');
+      expect(partial.rankingPairwise.matrix).toEqual([[0, 0, 0], [0, 0, 0], [1, 1, 0]]);
+      expect(partial.rankingPairwise.condorcetWinner).toBe('c');
+
+      const cycle = rankingStatsService.buildRankingStats(items, [
+        { answer: ['a', 'b', 'c'] },
+        { answer: ['b', 'c', 'a'] },
+        { answer: ['c', 'a', 'b'] }
+      ], 'pairwise');
+      expect(cycle.rankingPairwise.condorcetWinner).toBeNull();
+      expect(cycle.rankingResults.every(item => item.rank === 1)).toBe(true);
+    });
+
+    it('should put items nobody ranked last by average rank', () => {
+      const results = rankingStatsService.buildRankingStats(items, [{ answer: ['b', 'a'] }], 'average_rank');
+
+      expect(order(results)).toEqual(['b', 'a', 'c']);
+      expect(results.rankingResults[2]).toMatchObject({ value: null, responseCount: 0, averagePosition: null });
+    });
+  });
+
+  describe('ranking buildResults', () => {
+    it('should aggregate with the slide method', () => {
+      const results = ranking.buildResults({ rankingItems: items, rankingMethod: 'first_choice' }, ballots);
+
+      expect(results.rankingMethod).toBe('first_choice');
+      expect(results.rankingResults[0]).toMatchObject({ itemId: 'b', id: 'b', label: 'Beta', value: 40 });
+    });
+  });
+});
@@ -0,0 +1,322 @@
+/**
+ * Tests for server-side result exports
+ */
+
+jest.mock('../../../src/models/Slide', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../../src/models/Response', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../../src/models/PresentationRun', () => ({
+  findById: jest.fn()
+}));
+// pptxgenjs loads its Node dependencies with a dynamic import, which jest's VM does not support
+jest.mock('pptxgenjs', () => {
+  const deck = { slides: [] };
+  const PptxGenJS = jest.fn(() => ({
+    ChartType: { bar: 'bar' },
+    addSlide: jest.fn(() => {
+      const slide = { addText: jest.fn(), addChart: jest.fn(), addTable: jest.fn() };
+      deck.slides.push(slide);
+      return slide;
+    }),
+    write: jest.fn().mockResolvedValue(Buffer.from('PK'))
+  }));
+  PptxGenJS.deck = deck;
+  return PptxGenJS;
+});
+
+const Slide = require('../../../src/models/Slide');
+const Response = require('../../../src/models/Response');
+const PresentationRun = require('../../../src/models/PresentationRun');
+const PptxGenJS = require('pptxgenjs');
+const resultExportService = require('../../../src/services/resultExportService');
+const rankingStatsService = require('../../../src/services/rankingStatsService');
+
+const RUN_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const leanQuery = (value) => ({
+  sort: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+const presentation = { _id: 'pres-1', title: 'Team Sync', accessCode: '123456' };
+
+const slides = [
+  { _id: 'mcq-1', type: 'multiple_choice', question: 'Favourite colour?', options: ['Red', 'Blue'] },
+  {
+    _id: 'quiz-1',
+    type: 'quiz',
+    question: 'Capital of France?',
+    quizSettings: { options: [{ id: 'o1', text: 'Paris' }, { id: 'o2', text: 'Rome' }], correctOptionId: 'o1' }
+  },
+  { _id: 'open-1', type: 'open_ended', question: 'Any feedback?' },
+  { _id: 'text-1', type: 'text', question: '' }
+];
+
+const responses = [
+  { _id: 'r1', slideId: 'mcq-1', answer: 'Red' },
+  { _id: 'r2', slideId: 'mcq-1', answer: 'Red' },
+  { _id: 'r3', slideId: 'mcq-1', answer: 'Blue' },
+  { _id: 'r4', slideId: 'quiz-1', answer: 'o1', isCorrect: true, responseTime: 2000 },
+  { _id: 'r5', slideId: 'quiz-1', answer: 'o2', isCorrect: false, responseTime: 4000 },
+  { _id: 'r6', slideId: 'open-1', answer: 'Great session', voteCount: 2, participantName: 'Ana', submittedAt: new Date('2026-01-05T10:00:00Z') }
+];
+
+describe('Result Export Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Slide.find.mockReturnValue(leanQuery(slides));
+    Response.find.mockReturnValue(leanQuery(responses));
+    PresentationRun.findById.mockReturnValue(leanQuery({ _id: RUN_ID, runNumber: 2, label: '' }));
+  });
+
+  describe('buildExportDocument', () => {
+    it('should summarize every slide through its interaction handler', async () => {
+      const exportDocument = await resultExportService.buildExportDocument(presentation, RUN_ID);
+
+      expect(Response.find).toHaveBeenCalledWith({ presentationId: 'pres-1', runId: RUN_ID });
+      expect(exportDocument).toEqual(expect.objectContaining({
+        schemaVersion: resultExportService.EXPORT_SCHEMA_VERSION,
+        presentation: { id: 'pres-1', title: 'Team Sync', accessCode: '123456' },
+        run: expect.objectContaining({ filter: 'run', id: RUN_ID, runNumber: 2 })
+      }));
+
+      const [mcq, quiz, openEnded, text] = exportDocument.slides;
+      expect(mcq.chart.items).toEqual([
+        { label: 'Red', value: 2, percentage: 66.67 },
+        { label: 'Blue', value: 1, percentage: 33.33 }
+      ]);
+      expect(quiz.chart.items.map(item => item.isCorrect)).toEqual([true, false]);
+      expect(quiz.stats).toEqual(expect.objectContaining({ correctCount: 1, incorrectCount: 1, accuracy: 50, averageResponseTime: 3000 }));
+      expect(openEnded.entries).toEqual([{
+        text: 'Great session',
+        participantName: 'Ana',
+        votes: 2,
+        submittedAt: '2026-01-05T10:00:00.000Z'
+      }]);
+      expect(text).toEqual(expect.objectContaining({ position: 4, title: 'Slide 4', totalResponses: 0, chart: null, entries: null }));
+    });
+
+    it('should export all runs without a run filter', async () => {
+      const exportDocument = await resultExportService.buildExportDocument(presentation, undefined);
+
+      expect(Response.find).toHaveBeenCalledWith({ presentationId: 'pres-1' });
+      expect(PresentationRun.findById).not.toHaveBeenCalled();
+      expect(exportDocument.run).toEqual(expect.objectContaining({ filter: 'all', id: null }));
+    });
+  });
+
+  describe('summarizeResults', () => {
+    it('should add distribution, spread and NPS columns for each scale statement', () => {
+      const slide = { _id: 'nps-1', type: 'scales', scaleMode: 'nps', statements: ['Product', 'Support'] };
+      const results = {
+        scaleStatements: ['Product', 'Support'],
+        scaleStatementAverages: [8, 5],
+        statementCounts: [2, 2],
+        scaleStatementStats: [
+          { median: 8, standardDeviation: 2, agreement: 0.6, polarisation: 0, distribution: { 6: 1, 10: 1 }, nps: { score: 0, promoters: 1, passives: 0, detractors: 1, promoterShare: 50, passiveShare: 0, detractorShare: 50 } },
+          { median: 5, standardDeviation: 5, agreement: 0, polarisation: 1, distribution: { 0: 1, 10: 1 }, nps: { score: 0, promoters: 1, passives: 0, detractors: 1, promoterShare: 50, passiveShare: 0, detractorShare: 50 } }
+        ],
+        scaleOverallAverage: 6.5,
+        scaleMin: 0,
+        scaleMax: 10
+      };
+
+      const { chart } = resultExportService.summarizeResults(slide, results, []);
+      const rows = resultExportService.buildExportRows({
+        slides: [{ position: 1, title: 'How likely are you to recommend us?', type: 'scales', totalResponses: 2, chart, stats: null }]
+      });
+
+      expect(rows[1]).toEqual(expect.objectContaining({
+        Item: 'Product',
+        Value: 8,
+        Median: 8,
+        'Std Dev': 2,
+        Agreement: 0.6,
+        Polarisation: 0,
+        Distribution: '6: 1 | 10: 1',
+        NPS: 0,
+        Promoters: '1 (50%)',
+        Passives: '0 (0%)',
+        Detractors: '1 (50%)'
+      }));
+      expect(rows[2]).toEqual(expect.objectContaining({ Item: 'Support', Agreement: 0, Polarisation: 1 }));
+    });
+
+    it('should report the median, spread and NPS of a single-statement scale as stats', () => {
+      const slide = { _id: 'nps-2', type: 'scales', scaleMode: 'nps' };
+      const results = {
+        scaleDistribution: { 9: 2, 3: 1 },
+        scaleAverage: 7,
+        scaleStats: { median: 9, standardDeviation: 2.83, agreement: 0.43, polarisation: 0.67, nps: { score: 33, promoterShare: 66.67, passiveShare: 0, detractorShare: 33.33 } },
+        scaleMin: 0,
+        scaleMax: 10
+      };
+
+      const { stats } = resultExportService.summarizeResults(slide, results, []);
+
+      expect(stats).toEqual(expect.objectContaining({
+        average: 7,
+        median: 9,
+        standardDeviation: 2.83,
+        npsScore: 33,
+        promoterShare: 66.67,
+        detractorShare: 33.33
+      }));
+    });
+  });
+
+  describe('grid quadrants', () => {
+    it('should export the spread of each item and the quadrant breakdown', () => {
+      const slide = { _id: 'grid-1', type: '2x2_grid', gridItems: [{ id: 'a', label: 'Chatbot' }], gridQuadrantLabels: { topRight: 'Quick wins' } };
+      const exported = resultExportService.summarizeResults(slide, {
+        gridResults: [{
+          label: 'Chatbot',
+          count: 2,
+          averageX: 7,
+          averageY: 8,
+          standardDeviationX: 1,
+          standardDeviationY: 1,
+          quadrant: 'topRight',
+          quadrantCounts: { topLeft: 0, topRight: 2, bottomLeft: 0, bottomRight: 0 },
+          outlierCount: 0
+        }],
+        gridQuadrants: [
+          { key: 'topLeft', label: 'Top left', count: 0, percentage: 0 },
+          { key: 'topRight', label: 'Quick wins', count: 2, percentage: 100 },
+          { key: 'bottomLeft', label: 'Bottom left', count: 0, percentage: 0 },
+          { key: 'bottomRight', label: 'Bottom right', count: 0, percentage: 0 }
+        ]
+      }, []);
+
+      expect(exported.chart.items[0]).toEqual(expect.objectContaining({ quadrant: 'Quick wins', outlierCount: 0 }));
+      expect(exported.breakdown.items[1]).toEqual({ label: 'Quick wins', value: 2, percentage: 100 });
+
+      const rows = resultExportService.buildExportRows({
+        slides: [{ position: 1, title: 'Prioritise', type: '2x2_grid', totalResponses: 2, ...exported }]
+      });
+      expect(rows[1]).toEqual(expect.objectContaining({
+        Item: 'Chatbot',
+        'Std Dev': 'X 1 / Y 1',
+        Distribution: 'Top left: 0 | Quick wins: 2 | Bottom left: 0 | Bottom right: 0'
+      }));
+      expect(rows.slice(2, 4)).toEqual([
+        { Item: 'Quadrants' },
+        { Item: 'Top left', Value: 0, Percentage: '0%' }
+      ]);
+    });
+  });
+
+  describe('ranking methods', () => {
+    it('should export every method per item and the pairwise preferences', () => {
+      const slide = { _id: 'ranking-1', type: 'ranking', rankingMethod: 'pairwise' };
+      const results = rankingStatsService.buildRankingStats(
+        [{ id: 'a', label: 'Alpha' }, { id: 'b', label: 'Beta' }],
+        [{ answer: ['a', 'b'] }, { answer: ['a', 'b'] }, { answer: ['b', 'a'] }],
+        'pairwise'
+      );
+      const exported = resultExportService.summarizeResults(slide, results, [{}, {}, {}]);
+
+      expect(exported.stats).toEqual({ rankingMethod: 'Pairwise (Condorcet)', condorcetWinner: 'Alpha' });
+      expect(exported.breakdown.items).toEqual([
+        { label: 'Alpha over Beta', value: 2, percentage: 66.67 },
+        { label: 'Beta over Alpha', value: 1, percentage: 33.33 }
+      ]);
+
+      const rows = resultExportService.buildExportRows({
+        slides: [{ position: 1, title: 'Budget', type: 'ranking', totalResponses: 3, ...exported }]
+      });
+      expect(rows[3]).toEqual(expect.objectContaining({
+        Item: 'Alpha',
+        Value: 1,
+        Rank: 1,
+        'Borda Points': 5,
+        'Average Rank': 1.33,
+        'First Choice': '66.67%',
+        'Pairwise W-T-L': '1-0-0',
+        Distribution: '#1: 2 | #2: 1'
+      }));
+    });
+  });
+
+  describe('renderExport', () => {
+    let exportDocument;
+
+    beforeEach(async () => {
+      exportDocument = await resultExportService.buildExportDocument(presentation, RUN_ID);
+    });
+
+    it('should render spreadsheet rows', async () => {
+      const { body, contentType, extension } = await resultExportService.renderExport(exportDocument, 'csv');
+
+      expect(contentType).toBe('text/csv');
+      expect(extension).toBe('csv');
+      expect(body.split('\n')[0]).toBe('Slide,Slide Type,Total Responses,Item,Value,Percentage,Correct,Rank,Borda Points,Average Rank,First Choice,Pairwise W-T-L,Median,Std Dev,Agreement,Polarisation,Distribution,NPS,Promoters,Passives,Detractors,Participant,Submitted At,Answered');
+      expect(body).toContain('Paris,1,50%,Yes');
+      expect(body).toContain(`Great session,2${','.repeat(17)}Ana,2026-01-05T10:00:00.000Z`);
+    });
+
+    it('should label pin on image stats', async () => {
+      const pinDocument = {
+        ...exportDocument,
+        slides: [{
+          position: 1,
+          title: 'Find Paris',
+          type: 'pin_on_image',
+          totalResponses: 2,
+          stats: { totalPins: 3, correctPins: 2, correctResponses: 1 },
+          chart: null
+        }]
+      };
+
+      const { body } = await resultExportService.renderExport(pinDocument, 'csv');
+
+      expect(body).toContain('Correct pins,2');
+      expect(body).toContain('Correct responses,1');
+      expect(body).not.toContain('correctPins');
+    });
+
+    it('should render the JSON document', async () => {
+      const { body } = await resultExportService.renderExport(exportDocument, 'json');
+
+      expect(JSON.parse(body).slides).toHaveLength(4);
+    });
+
+    it('should render a PDF report', async () => {
+      const { body, contentType } = await resultExportService.renderExport(exportDocument, 'pdf');
+
+      expect(contentType).toBe('application/pdf');
+      expect(body.subarray(0, 4).toString()).toBe('%PDF');
+    });
+
+    it('should embed a Unicode font in the PDF report', async () => {
+      const { body } = await resultExportService.renderExport({
+        ...exportDocument,
+        presentation: { ...exportDocument.presentation, title: 'Обзор · مراجعة' }
+      }, 'pdf');
+
+      const pdfText = body.toString('latin1');
+      expect(pdfText).toContain('DejaVuSans');
+      expect(pdfText).not.toContain('/Helvetica');
+    });
+
+    it('should render a PowerPoint deck with a result slide per slide', async () => {
+      PptxGenJS.deck.slides = [];
+      const { extension } = await resultExportService.renderExport(exportDocument, 'pptx');
+
+      expect(extension).toBe('pptx');
+      const [, mcq, quiz, openEnded] = PptxGenJS.deck.slides;
+      expect(PptxGenJS.deck.slides).toHaveLength(5);
+      expect(mcq.addChart).toHaveBeenCalledWith('bar', [{ name: 'votes', labels: ['Red', 'Blue'], values: [2, 1] }], expect.any(Object));
+      expect(quiz.addChart.mock.calls[0][1][0].labels).toEqual(['✓ Paris', 'Rome']);
+      expect(openEnded.addTable).toHaveBeenCalledWith([['Great session', 'Ana', '2']], expect.any(Object));
+    });
+
+    it('should only accept known formats', () => {
+      expect(resultExportService.isExportFormat('pptx')).toBe(true);
+      expect(resultExportService.isExportFormat('docx')).toBe(false);
+    });
+  });
+});
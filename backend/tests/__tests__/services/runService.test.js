@@ -0,0 +1,108 @@
+/**
+ * Tests for presentation run history
+ */
+
+jest.mock('../../../src/models/Presentation', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../../src/models/PresentationRun', () => ({
+  findOne: jest.fn(),
+  create: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  exists: jest.fn(),
+  deleteMany: jest.fn()
+}));
+jest.mock('../../../src/models/Response', () => ({
+  countDocuments: jest.fn(),
+  distinct: jest.fn()
+}));
+
+const PresentationRun = require('../../../src/models/PresentationRun');
+const Response = require('../../../src/models/Response');
+const runService = require('../../../src/services/runService');
+
+const RUN_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const leanQuery = (value) => ({
+  sort: jest.fn().mockReturnThis(),
+  select: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+describe('Run Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('runFilter', () => {
+    it('should match one run, answers outside runs, or everything', () => {
+      expect(runService.runFilter(RUN_ID)).toEqual({ runId: RUN_ID });
+      expect(runService.runFilter(null)).toEqual({ runId: null });
+      expect(runService.runFilter(undefined)).toEqual({});
+    });
+  });
+
+  describe('resolveRunId', () => {
+    it('should map query values to run filters', async () => {
+      expect(await runService.resolveRunId('pres-1', undefined)).toBeUndefined();
+      expect(await runService.resolveRunId('pres-1', 'all')).toBeUndefined();
+      expect(await runService.resolveRunId('pres-1', 'none')).toBeNull();
+
+      PresentationRun.exists.mockResolvedValue({ _id: RUN_ID });
+      expect(await runService.resolveRunId('pres-1', RUN_ID)).toBe(RUN_ID);
+      expect(PresentationRun.exists).toHaveBeenCalledWith({ _id: RUN_ID, presentationId: 'pres-1' });
+    });
+
+    it('should reject runs of other presentations', async () => {
+      await expect(runService.resolveRunId('pres-1', 'not-an-id')).rejects.toThrow('Run not found');
+
+      PresentationRun.exists.mockResolvedValue(null);
+      await expect(runService.resolveRunId('pres-1', RUN_ID)).rejects.toThrow('Run not found');
+    });
+  });
+
+  describe('startRun', () => {
+    it('should keep the live run when the presenter reconnects', async () => {
+      const liveRun = { _id: RUN_ID, runNumber: 2 };
+      PresentationRun.findOne.mockResolvedValue(liveRun);
+      const presentation = { _id: 'pres-1', currentRunId: RUN_ID };
+
+      expect(await runService.startRun(presentation)).toBe(liveRun);
+      expect(PresentationRun.create).not.toHaveBeenCalled();
+    });
+
+    it('should number a new run after the last one', async () => {
+      PresentationRun.findOne.mockReturnValue(leanQuery({ runNumber: 3 }));
+      PresentationRun.create.mockResolvedValue({ _id: RUN_ID, runNumber: 4 });
+      const presentation = { _id: 'pres-1', currentRunId: null };
+
+      await runService.startRun(presentation);
+
+      expect(PresentationRun.create).toHaveBeenCalledWith({ presentationId: 'pres-1', runNumber: 4 });
+      expect(presentation.currentRunId).toBe(RUN_ID);
+    });
+  });
+
+  describe('endRun', () => {
+    it('should record the run totals and clear the live run', async () => {
+      Response.countDocuments.mockResolvedValue(12);
+      Response.distinct.mockResolvedValue(['p1', 'p2', 'p3']);
+      PresentationRun.findOneAndUpdate.mockResolvedValue({ _id: RUN_ID, status: 'ended' });
+      const presentation = { _id: 'pres-1', currentRunId: RUN_ID };
+
+      await runService.endRun(presentation);
+
+      expect(PresentationRun.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: RUN_ID, status: 'live' },
+        { $set: expect.objectContaining({ status: 'ended', responseCount: 12, participantCount: 3 }) },
+        { new: true }
+      );
+      expect(presentation.currentRunId).toBeNull();
+    });
+
+    it('should do nothing without a live run', async () => {
+      expect(await runService.endRun({ _id: 'pres-1', currentRunId: null })).toBeNull();
+      expect(PresentationRun.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
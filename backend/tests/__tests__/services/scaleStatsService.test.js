@@ -0,0 +1,120 @@
+/**
+ * Tests for scale statistics and Net Promoter Score
+ */
+
+const scaleStatsService = require('../../../src/services/scaleStatsService');
+const scales = require('../../../src/interactions/scales');
+
+const bounds = { minValue: 1, maxValue: 5 };
+
+describe('Scale Stats Service', () => {
+  describe('getScaleBounds', () => {
+    it('should use the slide range and always 0-10 for NPS', () => {
+      expect(scaleStatsService.getScaleBounds({ minValue: 1, maxValue: 7 })).toEqual({ minValue: 1, maxValue: 7 });
+      expect(scaleStatsService.getScaleBounds({ minValue: 5, maxValue: 5 })).toEqual({ minValue: 1, maxValue: 5 });
+      expect(scaleStatsService.getScaleBounds({ scaleMode: 'nps', minValue: 1, maxValue: 5 })).toEqual({ minValue: 0, maxValue: 10 });
+      expect(scaleStatsService.getScaleMode({ scaleMode: 'other' })).toBe('scale');
+    });
+  });
+
+  describe('summarizeValues', () => {
+    it('should compute the distribution, median and standard deviation', () => {
+      const summary = scaleStatsService.summarizeValues([1, 2, 2, 5], bounds);
+
+      expect(summary).toMatchObject({
+        count: 4,
+        sum: 10,
+        distribution: { 1: 1, 2: 2, 3: 0, 4: 0, 5: 1 },
+        average: 2.5,
+        median: 2,
+        standardDeviation: 1.5
+      });
+      expect(scaleStatsService.summarizeValues([1, 2, 5], bounds).median).toBe(2);
+      expect(summary.nps).toBeUndefined();
+    });
+
+    it('should score full agreement and full polarisation', () => {
+      const consensus = scaleStatsService.summarizeValues([4, 4, 4], bounds);
+      const split = scaleStatsService.summarizeValues([1, 1, 5, 5], bounds);
+
+      expect(consensus).toMatchObject({ agreement: 1, polarisation: 0 });
+      expect(split).toMatchObject({ agreement: 0, polarisation: 1 });
+    });
+
+    it('should not count answers at the midpoint towards polarisation', () => {
+      expect(scaleStatsService.summarizeValues([1, 3, 3, 5], bounds).polarisation).toBe(0.5);
+    });
+
+    it('should return zeros without answers', () => {
+      expect(scaleStatsService.summarizeValues([], bounds)).toMatchObject({
+        count: 0,
+        average: 0,
+        median: 0,
+        standardDeviation: 0,
+        agreement: 0,
+        polarisation: 0
+      });
+    });
+  });
+
+  describe('summarizeNps', () => {
+    it('should group promoters, passives and detractors', () => {
+      expect(scaleStatsService.summarizeNps([10, 9, 8, 7, 6, 0])).toEqual({
+        score: 0,
+        promoters: 2,
+        passives: 2,
+        detractors: 2,
+        promoterShare: 33.33,
+        passiveShare: 33.33,
+        detractorShare: 33.33
+      });
+      expect(scaleStatsService.summarizeNps([10, 10, 9, 3]).score).toBe(50);
+      expect(scaleStatsService.summarizeNps([]).score).toBe(0);
+    });
+  });
+
+  describe('buildScaleStats', () => {
+    it('should summarize each statement and skip missing or out of range values', () => {
+      const slide = { scaleMode: 'nps', statements: ['Product', 'Support'] };
+      const stats = scaleStatsService.buildScaleStats(slide, [
+        { answer: [10, 4] },
+        { answer: { 0: 9, 1: 12 } },
+        { answer: 'invalid' }
+      ]);
+
+      expect(stats).toMatchObject({ mode: 'nps', minValue: 0, maxValue: 10, statements: ['Product', 'Support'] });
+      expect(stats.summaries[0]).toMatchObject({ count: 2, average: 9.5, nps: expect.objectContaining({ score: 100 }) });
+      expect(stats.summaries[1]).toMatchObject({ count: 1, nps: expect.objectContaining({ detractors: 1, score: -100 }) });
+    });
+  });
+
+  describe('scales interaction', () => {
+    it('should average single-statement answers over valid answers only', () => {
+      const results = scales.buildResults({ minValue: 1, maxValue: 5 }, [{ answer: 4 }, { answer: 2 }, { answer: 9 }]);
+
+      expect(results).toMatchObject({
+        scaleMode: 'scale',
+        scaleAverage: 3,
+        scaleDistribution: { 1: 0, 2: 1, 3: 0, 4: 1, 5: 0 },
+        scaleStats: expect.objectContaining({ median: 3, count: 2 }),
+        totalResponses: 3
+      });
+    });
+
+    it('should add per-statement stats and reject NPS answers outside 0-10', () => {
+      const slide = { scaleMode: 'nps', minValue: 1, maxValue: 5, statements: ['Product', 'Support'] };
+      const results = scales.buildResults(slide, [{ answer: [0, 10] }, { answer: [10, 10] }]);
+
+      expect(results).toMatchObject({
+        scaleMode: 'nps',
+        scaleMin: 0,
+        scaleMax: 10,
+        scaleStatementAverages: [5, 10],
+        scaleOverallAverage: 7.5
+      });
+      expect(results.scaleStatementStats[1].nps.score).toBe(100);
+      expect(scales.normalizeAnswer([0, 10], slide)).toEqual([0, 10]);
+      expect(() => scales.normalizeAnswer([0, 11], slide)).toThrow('Statement 2 must be between 0 and 10');
+    });
+  });
+});
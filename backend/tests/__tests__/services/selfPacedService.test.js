@@ -0,0 +1,260 @@
+/**
+ * Tests for self-paced presentation mode
+ */
+
+jest.mock('../../../src/models/Presentation', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../../src/models/Slide', () => ({
+  find: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../../../src/models/Response', () => ({
+  find: jest.fn(),
+  findOne: jest.fn()
+}));
+
+const Presentation = require('../../../src/models/Presentation');
+const Slide = require('../../../src/models/Slide');
+const Response = require('../../../src/models/Response');
+const { MemorySessionStore, setSessionStore } = require('../../../src/services/sessionStore');
+const selfPacedService = require('../../../src/services/selfPacedService');
+
+const leanQuery = (value) => ({
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Self-Paced Service', () => {
+  beforeEach(() => {
+    setSessionStore(new MemorySessionStore());
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeSelfPacedSettings', () => {
+    it('should parse the open window', () => {
+      const settings = selfPacedService.normalizeSelfPacedSettings({
+        enabled: true,
+        opensAt: '2026-01-01T09:00:00.000Z',
+        closesAt: ''
+      });
+
+      expect(settings).toEqual({ enabled: true, opensAt: new Date('2026-01-01T09:00:00.000Z'), closesAt: null });
+    });
+
+    it('should reject invalid windows', () => {
+      expect(() => selfPacedService.normalizeSelfPacedSettings({ opensAt: 'soon' }))
+        .toThrow('opensAt must be a valid date');
+      expect(() => selfPacedService.normalizeSelfPacedSettings({
+        opensAt: '2026-01-02T00:00:00.000Z',
+        closesAt: '2026-01-01T00:00:00.000Z'
+      })).toThrow('closesAt must be after opensAt');
+    });
+  });
+
+  describe('getSelfPacedWindow', () => {
+    const now = Date.now();
+
+    it('should report whether the window is scheduled, open or closed', () => {
+      const status = (opensAt, closesAt) => selfPacedService.getSelfPacedWindow({
+        selfPacedSettings: { enabled: true, opensAt, closesAt }
+      }, now).status;
+
+      expect(status(null, null)).toBe('open');
+      expect(status(new Date(now + HOUR), null)).toBe('scheduled');
+      expect(status(new Date(now - HOUR), new Date(now + HOUR))).toBe('open');
+      expect(status(null, new Date(now - HOUR))).toBe('closed');
+    });
+
+    it('should return null when self-paced mode is off', () => {
+      expect(selfPacedService.getSelfPacedWindow({ selfPacedSettings: { enabled: false } })).toBeNull();
+      expect(selfPacedService.getSelfPacedWindow({ selfPacedSettings: null })).toBeNull();
+    });
+
+    it('should keep live presentations presenter-driven', () => {
+      const selfPacedSettings = { enabled: true };
+
+      expect(selfPacedService.isSelfPacedOpen({ isLive: false, selfPacedSettings })).toBe(true);
+      expect(selfPacedService.isSelfPacedOpen({ isLive: true, selfPacedSettings })).toBe(false);
+    });
+  });
+
+  describe('getSubmissionMode', () => {
+    it('should only route answers through self-paced mode while the window is open', async () => {
+      Presentation.findById.mockReturnValueOnce(leanQuery({ isLive: false, selfPacedSettings: { enabled: true } }));
+      expect(await selfPacedService.getSubmissionMode('pres-1')).toBe('self_paced');
+
+      Presentation.findById.mockReturnValueOnce(leanQuery({
+        isLive: false,
+        selfPacedSettings: { enabled: true, closesAt: new Date(Date.now() - HOUR) }
+      }));
+      expect(await selfPacedService.getSubmissionMode('pres-1')).toBe('closed');
+
+      Presentation.findById.mockReturnValueOnce(leanQuery({ isLive: true, selfPacedSettings: { enabled: true } }));
+      expect(await selfPacedService.getSubmissionMode('pres-1')).toBe('live');
+
+      Presentation.findById.mockReturnValueOnce(leanQuery({ isLive: false, selfPacedSettings: null }));
+      expect(await selfPacedService.getSubmissionMode('pres-1')).toBe('live');
+    });
+  });
+
+  describe('getSelfPacedSlides', () => {
+    it('should skip content slides', async () => {
+      Slide.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([
+          { _id: 's1', type: 'text' },
+          { _id: 's2', type: 'quiz' },
+          { _id: 's3', type: 'leaderboard' },
+          { _id: 's4', type: 'word_cloud' }
+        ])
+      });
+
+      const slides = await selfPacedService.getSelfPacedSlides('pres-1');
+
+      expect(slides.map(slide => slide._id)).toEqual(['s2', 's4']);
+    });
+  });
+
+  describe('resolveNextSlide', () => {
+    const slides = [
+      {
+        _id: 's1',
+        type: 'multiple_choice',
+        order: 0,
+        options: ['Easy', 'Hard'],
+        branching: {
+          rules: [
+            { id: 'r1', condition: 'option_chosen', optionValue: 'Hard', action: 'detour', targetSlideId: 's3' },
+            { id: 'r2', condition: 'option_chosen', optionValue: 'Easy', action: 'jump', targetSlideId: 'intro' }
+          ]
+        }
+      },
+      { _id: 's2', type: 'word_cloud', order: 1 },
+      { _id: 's3', type: 'open_ended', order: 3 }
+    ];
+    const params = { presentationId: 'pres-1', participantId: 'p1', slides };
+
+    it('should move to the following slide without a branch', async () => {
+      Response.findOne.mockReturnValue(leanQuery(null));
+
+      expect(await selfPacedService.resolveNextSlide({ ...params, currentIndex: 0 }))
+        .toEqual({ slideIndex: 1, returnIndex: null });
+    });
+
+    it('should follow the participant detour and come back afterwards', async () => {
+      Response.findOne.mockReturnValue(leanQuery({ answer: 'Hard' }));
+
+      const detour = await selfPacedService.resolveNextSlide({ ...params, currentIndex: 0 });
+      expect(detour).toEqual({ slideIndex: 2, returnIndex: 1 });
+
+      await selfPacedService.setParticipantSlideIndex({ presentationId: 'pres-1', participantId: 'p1', ...detour });
+      expect(await selfPacedService.resolveNextSlide({ ...params, currentIndex: 2 }))
+        .toEqual({ slideIndex: 1, returnIndex: null });
+    });
+
+    it('should land on the next interactive slide when the target is a content slide', async () => {
+      Response.findOne.mockReturnValue(leanQuery({ answer: 'Easy' }));
+      Slide.findById.mockReturnValue(leanQuery({ order: 2 }));
+
+      expect(await selfPacedService.resolveNextSlide({ ...params, currentIndex: 0 }))
+        .toEqual({ slideIndex: 2, returnIndex: null });
+    });
+  });
+
+  describe('participant progress', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should keep progress for a multi-day window', async () => {
+      const now = Date.now();
+      await selfPacedService.setParticipantSlideIndex({
+        presentationId: 'pres-1',
+        participantId: 'p1',
+        slideIndex: 3,
+        closesAt: new Date(now + 72 * HOUR)
+      });
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + 48 * HOUR);
+
+      expect(await selfPacedService.getParticipantProgress('pres-1', 'p1')).toEqual({ slideIndex: 3, returnIndex: null });
+    });
+
+    it('should size the TTL from the closing date', () => {
+      const now = Date.now();
+
+      expect(selfPacedService.getProgressTtl(new Date(now + 72 * HOUR), now)).toBe(84 * HOUR);
+      expect(selfPacedService.getProgressTtl(new Date(now - HOUR), now)).toBe(12 * HOUR);
+      expect(selfPacedService.getProgressTtl(null, now)).toBe(30 * 24 * HOUR);
+    });
+  });
+
+  describe('quiz timers', () => {
+    it('should keep the first start time when a quiz is reopened', async () => {
+      const first = await selfPacedService.startQuizTimer({ slideId: 'quiz-1', participantId: 'p1', timeLimit: 20 });
+      const second = await selfPacedService.startQuizTimer({ slideId: 'quiz-1', participantId: 'p1', timeLimit: 20 });
+
+      expect(second.startTime).toBe(first.startTime);
+    });
+
+    it('should time answers against the participant timer', () => {
+      const timer = { startTime: 1000, timeLimit: 10 };
+
+      expect(selfPacedService.checkQuizTimer(null)).toEqual({ error: 'Start the quiz before answering' });
+      expect(selfPacedService.checkQuizTimer(timer, 5000)).toEqual({ responseTime: 4000 });
+      expect(selfPacedService.checkQuizTimer(timer, 11000 + selfPacedService.QUIZ_SUBMIT_GRACE_MS))
+        .toEqual({ responseTime: 10000 });
+      expect(selfPacedService.checkQuizTimer(timer, 12000 + selfPacedService.QUIZ_SUBMIT_GRACE_MS))
+        .toEqual({ error: 'Time is up for this quiz' });
+    });
+
+    it('should only accept one answer per participant', async () => {
+      await selfPacedService.startQuizTimer({ slideId: 'quiz-1', participantId: 'p1', timeLimit: 20 });
+
+      const [first, second] = await Promise.all([
+        selfPacedService.claimQuizAnswer('quiz-1', 'p1'),
+        selfPacedService.claimQuizAnswer('quiz-1', 'p1')
+      ]);
+
+      expect(first.responseTime).toEqual(expect.any(Number));
+      expect(second).toEqual({ error: 'You have already answered this quiz' });
+    });
+  });
+
+  describe('getCompletion', () => {
+    it('should count answered slides per participant and slide', async () => {
+      Slide.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([
+          { _id: 's1', type: 'multiple_choice', question: 'Q1' },
+          { _id: 's2', type: 'quiz', question: 'Q2' }
+        ])
+      });
+      Response.find.mockReturnValue(leanQuery([
+        { participantId: 'p1', participantName: 'Ada', slideId: 's1' },
+        { participantId: 'p1', participantName: 'Ada', slideId: 's2' },
+        { participantId: 'p2', participantName: 'Grace', slideId: 's1' }
+      ]));
+      await selfPacedService.setParticipantSlideIndex({
+        presentationId: 'pres-1',
+        participantId: 'p3',
+        participantName: 'Linus',
+        slideIndex: 0
+      });
+
+      const completion = await selfPacedService.getCompletion('pres-1');
+
+      expect(completion).toEqual(expect.objectContaining({ totalSlides: 2, participantCount: 3, completedCount: 1 }));
+      expect(completion.slides.map(slide => slide.responseCount)).toEqual([2, 1]);
+      expect(completion.participants.map(row => [row.participantName, row.answeredCount, row.completed])).toEqual([
+        ['Ada', 2, true],
+        ['Grace', 1, false],
+        ['Linus', 0, false]
+      ]);
+      expect(completion.participants[2].currentSlideIndex).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Tests for the live session store and the session services built on it
+ */
+
+const {
+  MemorySessionStore,
+  RedisSessionStore,
+  setSessionStore
+} = require('../../../src/services/sessionStore');
+const guessNumberSession = require('../../../src/services/guessNumberSession');
+const quizSessionService = require('../../../src/services/quizSessionService');
+const presentationSession = require('../../../src/services/presentationSession');
+const editorPresence = require('../../../src/services/editorPresence');
+
+describe('Session Store', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemorySessionStore();
+    setSessionStore(store);
+  });
+
+  describe('MemorySessionStore', () => {
+    it('should return copies so callers cannot mutate stored state', async () => {
+      await store.set('qna', 'slide-1', { questions: [] });
+
+      const value = await store.get('qna', 'slide-1');
+      value.questions.push('mutated');
+
+      expect(await store.get('qna', 'slide-1')).toEqual({ questions: [] });
+    });
+
+    it('should expire values after their TTL', async () => {
+      await store.set('qna', 'slide-1', { questions: [] }, -1);
+
+      expect(await store.get('qna', 'slide-1')).toBeNull();
+      expect(await store.list('qna')).toEqual([]);
+    });
+
+    it('should serialize concurrent updates to the same key', async () => {
+      const increment = () => store.update('counter', 'a', async (current) => {
+        const value = current ? current.value : 0;
+        await new Promise(resolve => setImmediate(resolve));
+        return { value: value + 1 };
+      });
+
+      await Promise.all([increment(), increment(), increment()]);
+
+      expect(await store.get('counter', 'a')).toEqual({ value: 3 });
+    });
+
+    it('should skip the write when the updater returns undefined and delete on null', async () => {
+      await store.set('quiz', 'slide-1', { isActive: true });
+
+      expect(await store.update('quiz', 'slide-1', () => undefined)).toEqual({ isActive: true });
+      expect(await store.update('quiz', 'slide-1', () => null)).toBeNull();
+      expect(await store.get('quiz', 'slide-1')).toBeNull();
+    });
+  });
+
+  describe('RedisSessionStore', () => {
+    it('should store JSON under a prefixed key with a TTL', async () => {
+      const client = {
+        set: jest.fn().mockResolvedValue('OK'),
+        get: jest.fn().mockResolvedValue(JSON.stringify({ allowMultiple: true })),
+        eval: jest.fn().mockResolvedValue(1)
+      };
+      const redisStore = new RedisSessionStore(client);
+
+      await redisStore.update('qna', 'slide-1', (current) => ({ ...current, questions: [] }), 1000);
+
+      expect(client.set).toHaveBeenCalledWith(
+        'inavora:session:lock:qna:slide-1',
+        expect.any(String),
+        { condition: 'NX', expiration: { type: 'PX', value: 5000 } }
+      );
+      expect(client.set).toHaveBeenCalledWith(
+        'inavora:session:qna:slide-1',
+        JSON.stringify({ allowMultiple: true, questions: [] }),
+        { expiration: { type: 'PX', value: 1000 } }
+      );
+      expect(client.eval).toHaveBeenCalledWith(expect.any(String), {
+        keys: ['inavora:session:lock:qna:slide-1'],
+        arguments: [client.set.mock.calls[0][1]]
+      });
+    });
+  });
+
+  describe('guessNumberSession', () => {
+    it('should count guesses in the store', async () => {
+      await guessNumberSession.initializeSession({ slideId: 'slide-1', minValue: 1, maxValue: 10, correctAnswer: 5 });
+
+      await guessNumberSession.submitGuess({ slideId: 'slide-1', participantId: 'p1', guess: 4 });
+      const result = await guessNumberSession.submitGuess({ slideId: 'slide-1', participantId: 'p2', guess: '4' });
+
+      expect(result.state.distribution).toEqual({ 4: 2 });
+    });
+  });
+
+  describe('quizSessionService', () => {
+    beforeEach(async () => {
+      await quizSessionService.initializeSession({
+        slideId: 'slide-1',
+        presentationId: 'pres-1',
+        timeLimit: 30,
+        correctOptionId: 'a'
+      });
+    });
+
+    it('should record one response per participant', async () => {
+      await quizSessionService.startSession('slide-1');
+      await quizSessionService.recordResponse({ slideId: 'slide-1', participantId: 'p1', answer: 'a', responseTime: 1000 });
+
+      await expect(quizSessionService.recordResponse({
+        slideId: 'slide-1',
+        participantId: 'p1',
+        answer: 'b',
+        responseTime: 2000
+      })).rejects.toThrow('Participant has already responded');
+
+      const results = await quizSessionService.getResults('slide-1');
+      expect(results).toEqual(expect.objectContaining({ totalResponses: 1, correctCount: 1 }));
+    });
+
+    it('should grade select-all-that-apply answers', async () => {
+      await quizSessionService.initializeSession({
+        slideId: 'slide-2',
+        presentationId: 'pres-1',
+        timeLimit: 30,
+        correctOptionId: 'a',
+        correctOptionIds: ['a', 'b'],
+        allowMultiple: true,
+        multiSelectScoring: 'proportional'
+      });
+      await quizSessionService.startSession('slide-2');
+
+      const response = await quizSessionService.recordResponse({ slideId: 'slide-2', participantId: 'p1', answer: ['a'], responseTime: 1000 });
+      await quizSessionService.recordResponse({ slideId: 'slide-2', participantId: 'p2', answer: ['a', 'b'], responseTime: 1000 });
+
+      expect(response).toEqual(expect.objectContaining({ isCorrect: false, credit: 0.5 }));
+      expect(await quizSessionService.getResults('slide-2')).toEqual(expect.objectContaining({
+        optionCounts: { a: 2, b: 1 },
+        correctCount: 1,
+        partialCount: 1
+      }));
+    });
+
+    it('should persist the auto-end deadline so timers can be resumed', async () => {
+      const session = await quizSessionService.startSession('slide-1');
+      await quizSessionService.scheduleAutoEnd('slide-1', jest.fn(), 60000);
+
+      const scheduled = await quizSessionService.getScheduledSessions();
+
+      expect(scheduled).toHaveLength(1);
+      expect(scheduled[0]).toEqual(expect.objectContaining({
+        presentationId: 'pres-1',
+        startTime: session.startTime
+      }));
+      await quizSessionService.clearAutoEndTimer('slide-1');
+    });
+
+    it('should only auto-end the run the timer belongs to', async () => {
+      const firstRun = await quizSessionService.startSession('slide-1');
+      await new Promise(resolve => setTimeout(resolve, 2));
+      await quizSessionService.startSession('slide-1');
+
+      expect(await quizSessionService.endSessionIfActive('slide-1', firstRun.startTime)).toBeNull();
+      expect((await quizSessionService.getSession('slide-1')).isActive).toBe(true);
+    });
+  });
+
+  describe('presentationSession', () => {
+    it('should drop participants that are no longer connected when the presenter joins', async () => {
+      await presentationSession.addParticipant('pres-1', 'p-a', 'socket-a', 'Ada');
+      await presentationSession.addParticipant('pres-1', 'p-b', 'socket-b', 'Grace');
+
+      const entry = await presentationSession.setPresenter('pres-1', 'presenter', ['socket-b']);
+
+      expect(entry.presenterSocket).toBe('presenter');
+      expect(presentationSession.getParticipantList(entry)).toEqual(['Grace']);
+    });
+
+    it('should only clear the presenter for the matching socket', async () => {
+      await presentationSession.setPresenter('pres-1', 'presenter-2');
+
+      await presentationSession.clearPresenter('pres-1', 'presenter-1');
+
+      expect((await presentationSession.getEntry('pres-1')).presenterSocket).toBe('presenter-2');
+    });
+
+    it('should resume a disconnected participant without counting them twice', async () => {
+      await presentationSession.addParticipant('pres-1', 'p-a', 'socket-a', 'Ada');
+      expect(await presentationSession.markDisconnected('pres-1', 'socket-a')).toBe('p-a');
+
+      const { entry, isNew, resumed } = await presentationSession.addParticipant('pres-1', 'p-a', 'socket-a2', 'Ada');
+
+      expect(isNew).toBe(false);
+      expect(resumed).toBe(true);
+      expect(presentationSession.getParticipantCount(entry)).toBe(1);
+      expect(entry.participants['p-a']).toEqual({ name: 'Ada', socketId: 'socket-a2', disconnectedAt: null });
+    });
+
+    it('should keep a reconnecting participant when the presenter rebuilds the list', async () => {
+      await presentationSession.addParticipant('pres-1', 'p-a', 'socket-a', 'Ada');
+      await presentationSession.markDisconnected('pres-1', 'socket-a');
+
+      const entry = await presentationSession.setPresenter('pres-1', 'presenter', []);
+
+      expect(presentationSession.getParticipantList(entry)).toEqual(['Ada']);
+    });
+
+    it('should assign a team on join and keep it when the participant resumes', async () => {
+      const assignTeam = jest.fn((participants, existing) => existing?.teamId || 'red');
+      await presentationSession.addParticipant('pres-1', 'p-a', 'socket-a', 'Ada', { assignTeam });
+      await presentationSession.setParticipantTeam('pres-1', 'p-a', 'blue');
+
+      const { entry } = await presentationSession.addParticipant('pres-1', 'p-a', 'socket-a2', 'Ada', { assignTeam });
+
+      expect(entry.participants['p-a'].teamId).toBe('blue');
+      expect(await presentationSession.setParticipantTeam('pres-1', 'p-missing', 'red')).toBeNull();
+    });
+
+    it('should only expire participants once the grace period has passed', async () => {
+      const now = Date.now();
+      const dateSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+      await presentationSession.addParticipant('pres-1', 'p-a', 'socket-a', 'Ada');
+      await presentationSession.markDisconnected('pres-1', 'socket-a');
+
+      expect(await presentationSession.removeParticipant('pres-1', 'p-a', { onlyIfExpired: true })).toBeNull();
+
+      dateSpy.mockReturnValue(now + presentationSession.PARTICIPANT_RECONNECT_GRACE_MS + 1);
+      const entry = await presentationSession.removeParticipant('pres-1', 'p-a', { onlyIfExpired: true });
+
+      expect(presentationSession.getParticipantCount(entry)).toBe(0);
+      dateSpy.mockRestore();
+    });
+  });
+
+  describe('editorPresence', () => {
+    it('should give editors distinct colors and drop sockets that are gone', async () => {
+      await editorPresence.joinEditor('pres-1', 'socket-a', { userId: 'u1', name: 'Ada' });
+      let entry = await editorPresence.joinEditor('pres-1', 'socket-b', { userId: 'u2', name: 'Grace' }, ['socket-a', 'socket-b']);
+
+      const [ada, grace] = editorPresence.getEditorList(entry);
+      expect(ada.name).toBe('Ada');
+      expect(ada.color).not.toBe(grace.color);
+
+      entry = await editorPresence.joinEditor('pres-1', 'socket-c', { userId: 'u3', name: 'Alan' }, ['socket-b', 'socket-c']);
+      expect(editorPresence.getEditorList(entry).map(editor => editor.socketId)).toEqual(['socket-b', 'socket-c']);
+    });
+
+    it('should track the selected slide and remove editors who leave', async () => {
+      await editorPresence.joinEditor('pres-1', 'socket-a', { userId: 'u1', name: 'Ada' });
+
+      const entry = await editorPresence.selectSlide('pres-1', 'socket-a', 'slide-2');
+      expect(editorPresence.getEditorList(entry)[0].slideId).toBe('slide-2');
+      expect(await editorPresence.selectSlide('pres-1', 'socket-x', 'slide-2')).toBeNull();
+
+      expect(await editorPresence.leaveEditor('pres-1', 'socket-a')).toBeNull();
+      expect(editorPresence.getEditorList(await store.get('editorPresence', 'pres-1'))).toEqual([]);
+    });
+  });
+});
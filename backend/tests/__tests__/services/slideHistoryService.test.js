@@ -0,0 +1,91 @@
+/**
+ * Tests for slide snapshots, diffs and restores used by the version history
+ */
+
+const Slide = require('../../../src/models/Slide');
+const slideHistoryService = require('../../../src/services/slideHistoryService');
+
+const TARGET_ID = '64b7f0c2a1b2c3d4e5f60010';
+const DELETED_ID = '64b7f0c2a1b2c3d4e5f60011';
+
+const buildSlide = (overrides = {}) => new Slide({
+  presentationId: '64b7f0c2a1b2c3d4e5f60002',
+  order: 2,
+  type: 'multiple_choice',
+  question: 'Favourite colour?',
+  options: ['Red', 'Blue'],
+  ...overrides
+});
+
+describe('Slide History Service', () => {
+  describe('snapshotSlide', () => {
+    it('should keep the slide content without ids or timestamps', () => {
+      const snapshot = slideHistoryService.snapshotSlide(buildSlide());
+
+      expect(snapshot).toMatchObject({
+        type: 'multiple_choice',
+        order: 2,
+        question: 'Favourite colour?',
+        options: ['Red', 'Blue']
+      });
+      expect(snapshot).not.toHaveProperty('_id');
+      expect(snapshot).not.toHaveProperty('revision');
+      expect(snapshot).not.toHaveProperty('createdAt');
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    it('should list the fields that differ with both values', () => {
+      const before = slideHistoryService.snapshotSlide(buildSlide());
+      const after = slideHistoryService.snapshotSlide(buildSlide({ options: ['Red', 'Green'] }));
+
+      expect(slideHistoryService.diffSnapshots(before, after)).toEqual([
+        { field: 'options', before: ['Red', 'Blue'], after: ['Red', 'Green'] }
+      ]);
+    });
+
+    it('should treat a missing earlier snapshot as empty', () => {
+      const after = slideHistoryService.snapshotSlide(buildSlide());
+      const fields = slideHistoryService.diffSnapshots(null, after).map(change => change.field);
+
+      expect(fields).toEqual(expect.arrayContaining(['type', 'question', 'options']));
+    });
+  });
+
+  describe('applySnapshot', () => {
+    it('should restore content but keep the slide position', () => {
+      const snapshot = slideHistoryService.snapshotSlide(buildSlide({ order: 0 }));
+      const slide = buildSlide({ question: 'Favourite food?', options: ['Pizza', 'Pasta', 'Salad'] });
+
+      const changedFields = slideHistoryService.applySnapshot(slide, snapshot);
+
+      expect(changedFields).toEqual(['question', 'options']);
+      expect(slide.question).toBe('Favourite colour?');
+      expect(slide.options).toEqual(['Red', 'Blue']);
+      expect(slide.order).toBe(2);
+    });
+
+    it('should drop branches to slides that no longer exist', () => {
+      const snapshot = slideHistoryService.snapshotSlide(buildSlide());
+      snapshot.branching = {
+        rules: [
+          { id: 'rule-1', condition: 'option_chosen', optionValue: 'Red', targetSlideId: TARGET_ID },
+          { id: 'rule-2', condition: 'option_chosen', optionValue: 'Blue', targetSlideId: DELETED_ID }
+        ]
+      };
+      const slide = buildSlide();
+
+      slideHistoryService.applySnapshot(slide, snapshot, [TARGET_ID]);
+
+      expect(slide.branching.rules).toHaveLength(1);
+      expect(String(slide.branching.rules[0].targetSlideId)).toBe(TARGET_ID);
+    });
+
+    it('should report nothing when the slide already matches', () => {
+      const slide = buildSlide();
+      const snapshot = slideHistoryService.snapshotSlide(slide);
+
+      expect(slideHistoryService.applySnapshot(slide, snapshot)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for slide versioning used by the co-editor
+ */
+
+const Slide = require('../../../src/models/Slide');
+const slideRevisionService = require('../../../src/services/slideRevisionService');
+
+const buildSlide = (overrides = {}) => new Slide({
+  presentationId: '64b7f0c2a1b2c3d4e5f60002',
+  order: 0,
+  type: 'multiple_choice',
+  question: 'Favourite colour?',
+  options: ['Red', 'Blue'],
+  ...overrides
+});
+
+describe('Slide Revision Service', () => {
+  describe('recordRevision', () => {
+    it('should bump the revision and remember which fields changed in it', () => {
+      const slide = buildSlide();
+
+      expect(slideRevisionService.recordRevision(slide, ['question'])).toBe(true);
+      expect(slideRevisionService.recordRevision(slide, ['options'])).toBe(true);
+      expect(slideRevisionService.recordRevision(slide, [])).toBe(false);
+
+      expect(slide.revision).toBe(2);
+      expect(slide.fieldRevisions.get('question')).toBe(1);
+      expect(slide.fieldRevisions.get('options')).toBe(2);
+    });
+  });
+
+  describe('getChangedFields', () => {
+    it('should only report slide fields whose value differs', () => {
+      const slide = buildSlide();
+
+      expect(slideRevisionService.getChangedFields(slide, {
+        question: 'Favourite colour?',
+        options: ['Red', 'Green'],
+        order: 3,
+        type: 'word_cloud',
+        baseRevision: 0,
+        unknownField: true
+      })).toEqual(['options']);
+    });
+  });
+
+  describe('findConflicts', () => {
+    it('should merge edits to fields nobody else changed since the base revision', () => {
+      const slide = buildSlide();
+      slide.question = 'Favourite season?';
+      slideRevisionService.recordRevision(slide, ['question']);
+
+      expect(slideRevisionService.findConflicts(slide, { options: ['Red', 'Green'] }, 0)).toEqual([]);
+    });
+
+    it('should report fields someone else changed to a different value', () => {
+      const slide = buildSlide();
+      slide.question = 'Favourite season?';
+      slideRevisionService.recordRevision(slide, ['question']);
+
+      expect(slideRevisionService.findConflicts(slide, { question: 'Favourite animal?' }, 0)).toEqual(['question']);
+      // Both editors made the same change
+      expect(slideRevisionService.findConflicts(slide, { question: 'Favourite season?' }, 0)).toEqual([]);
+      // The editor already saw the change
+      expect(slideRevisionService.findConflicts(slide, { question: 'Favourite animal?' }, 1)).toEqual([]);
+    });
+
+    it('should not check editors that do not send a base revision', () => {
+      const slide = buildSlide();
+      slideRevisionService.recordRevision(slide, ['question']);
+
+      expect(slideRevisionService.findConflicts(slide, { question: 'Anything' }, undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for quiz team mode
+ */
+
+jest.mock('../../../src/models/Presentation', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../../src/models/ParticipantScore', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 })
+}));
+
+const Presentation = require('../../../src/models/Presentation');
+const ParticipantScore = require('../../../src/models/ParticipantScore');
+const teamService = require('../../../src/services/teamService');
+
+const leanQuery = (value) => ({
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+const teamSettings = {
+  enabled: true,
+  assignment: 'auto',
+  aggregation: 'sum',
+  topN: 2,
+  teams: [
+    { id: 'red', name: 'Red', color: '#f00' },
+    { id: 'blue', name: 'Blue', color: '#00f' }
+  ]
+};
+
+describe('Team Service', () => {
+  describe('normalizeTeamSettings', () => {
+    it('should drop unnamed teams and fall back to defaults', () => {
+      const settings = teamService.normalizeTeamSettings({
+        enabled: true,
+        assignment: 'random',
+        aggregation: 'median',
+        topN: 'x',
+        teams: [{ id: 'a', name: ' Tables 1 ' }, { name: 'Tables 2' }, { name: '  ' }]
+      });
+
+      expect(settings).toEqual(expect.objectContaining({ enabled: true, assignment: 'auto', aggregation: 'sum', topN: 3 }));
+      expect(settings.teams).toHaveLength(2);
+      expect(settings.teams[0]).toEqual({ id: 'a', name: 'Tables 1', color: '' });
+      expect(settings.teams[1].id).toEqual(expect.any(String));
+    });
+
+    it('should require two teams when team mode is enabled', () => {
+      expect(() => teamService.normalizeTeamSettings({ enabled: true, teams: [{ name: 'Solo' }] }))
+        .toThrow('Team mode needs at least 2 teams');
+      expect(teamService.normalizeTeamSettings({ enabled: false }).teams).toEqual([]);
+    });
+
+    it('should reject duplicate team IDs', () => {
+      expect(() => teamService.normalizeTeamSettings({ teams: [{ id: 'a', name: 'A' }, { id: 'a', name: 'B' }] }))
+        .toThrow('Team IDs must be unique');
+    });
+  });
+
+  describe('getTeamSettings', () => {
+    it('should only return settings when team mode is enabled', async () => {
+      expect(await teamService.getTeamSettings({ teamSettings })).toEqual(teamSettings);
+      expect(await teamService.getTeamSettings({ teamSettings: { ...teamSettings, enabled: false } })).toBeNull();
+      expect(await teamService.getTeamSettings({ teamSettings: null })).toBeNull();
+    });
+
+    it('should load the settings by presentation ID', async () => {
+      Presentation.findById.mockReturnValue(leanQuery({ teamSettings }));
+
+      expect(await teamService.getTeamSettings('pres-1')).toEqual(teamSettings);
+      expect(Presentation.findById).toHaveBeenCalledWith('pres-1');
+    });
+  });
+
+  describe('pickTeam', () => {
+    const participants = {
+      p1: { name: 'Ada', teamId: 'red' },
+      p2: { name: 'Grace', teamId: 'red' }
+    };
+
+    it('should auto-assign the smallest team', () => {
+      expect(teamService.pickTeam(teamSettings, participants)).toBe('blue');
+      expect(teamService.pickTeam(teamSettings, {})).toBe('red');
+    });
+
+    it('should keep a returning participant in their team', () => {
+      expect(teamService.pickTeam(teamSettings, participants, { currentTeamId: 'red' })).toBe('red');
+    });
+
+    it('should only honour the requested team when participants may choose', () => {
+      expect(teamService.pickTeam(teamSettings, participants, { requestedTeamId: 'red' })).toBe('blue');
+      expect(teamService.pickTeam({ ...teamSettings, assignment: 'choose' }, participants, {
+        currentTeamId: 'blue',
+        requestedTeamId: 'red'
+      })).toBe('red');
+      expect(teamService.pickTeam({ ...teamSettings, assignment: 'choose' }, participants, {
+        requestedTeamId: 'green'
+      })).toBe('blue');
+    });
+  });
+
+  describe('getTeamBalance', () => {
+    it('should count members per team and unassigned participants', () => {
+      const balance = teamService.getTeamBalance(teamSettings, {
+        participants: {
+          p1: { name: 'Ada', teamId: 'red' },
+          p2: { name: 'Grace' }
+        }
+      });
+
+      expect(balance.teams).toEqual([
+        { id: 'red', name: 'Red', color: '#f00', participantCount: 1, participants: ['Ada'] },
+        { id: 'blue', name: 'Blue', color: '#00f', participantCount: 0, participants: [] }
+      ]);
+      expect(balance.unassignedCount).toBe(1);
+    });
+  });
+
+  describe('aggregateTeamScores', () => {
+    const members = [
+      { teamId: 'red', totalScore: 900 },
+      { teamId: 'red', totalScore: 100 },
+      { teamId: 'red', totalScore: 50 },
+      { teamId: 'blue', totalScore: 600 }
+    ];
+
+    it('should sum member scores by default', () => {
+      expect(teamService.aggregateTeamScores(teamSettings, members)).toEqual([
+        { rank: 1, teamId: 'red', teamName: 'Red', color: '#f00', totalScore: 1050, memberCount: 3 },
+        { rank: 2, teamId: 'blue', teamName: 'Blue', color: '#00f', totalScore: 600, memberCount: 1 }
+      ]);
+    });
+
+    it('should average member scores', () => {
+      const leaderboard = teamService.aggregateTeamScores({ ...teamSettings, aggregation: 'average' }, members);
+
+      expect(leaderboard.map(row => [row.teamId, row.totalScore])).toEqual([['blue', 600], ['red', 350]]);
+    });
+
+    it('should only count the top N member scores', () => {
+      const leaderboard = teamService.aggregateTeamScores({ ...teamSettings, aggregation: 'top_n' }, members);
+
+      expect(leaderboard.map(row => [row.teamId, row.totalScore])).toEqual([['red', 1000], ['blue', 600]]);
+    });
+  });
+
+  describe('getCumulativeTeamLeaderboards', () => {
+    it('should build team standings after each quiz', async () => {
+      ParticipantScore.find.mockReturnValue(leanQuery([
+        { teamId: 'red', quizScores: [{ slideId: 'quiz-1', score: 100 }, { slideId: 'quiz-2', score: 100 }] },
+        { teamId: 'blue', quizScores: [{ slideId: 'quiz-2', score: 500 }] }
+      ]));
+
+      const { leaderboardsBySlide, finalLeaderboard } = await teamService.getCumulativeTeamLeaderboards(
+        'pres-1',
+        teamSettings,
+        [{ _id: 'quiz-1' }, { _id: 'quiz-2' }]
+      );
+
+      expect(leaderboardsBySlide['quiz-1'].map(row => [row.teamId, row.totalScore, row.memberCount]))
+        .toEqual([['red', 100, 1], ['blue', 0, 0]]);
+      expect(finalLeaderboard.map(row => [row.teamId, row.totalScore])).toEqual([['blue', 500], ['red', 200]]);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for the presentation template gallery
+ */
+
+jest.mock('../../../src/models/PresentationTemplate', () => ({
+  find: jest.fn(),
+  findById: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../../../src/models/Slide', () => ({
+  find: jest.fn(),
+  schema: jest.requireActual('../../../src/models/Slide').schema
+}));
+jest.mock('../../../src/services/cloudinaryService', () => ({
+  copyRemoteMedia: jest.fn()
+}));
+
+const PresentationTemplate = require('../../../src/models/PresentationTemplate');
+const Slide = require('../../../src/models/Slide');
+const cloudinaryService = require('../../../src/services/cloudinaryService');
+const presentationBundleService = require('../../../src/services/presentationBundleService');
+const templateService = require('../../../src/services/templateService');
+const { SYSTEM_TEMPLATES } = require('../../../src/services/systemTemplates');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60001';
+const INSTITUTION_ID = '64b7f0c2a1b2c3d4e5f60002';
+const TEMPLATE_ID = '64b7f0c2a1b2c3d4e5f60003';
+
+const leanQuery = (value) => ({
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+const sortQuery = (value) => ({
+  sort: jest.fn().mockResolvedValue(value)
+});
+
+describe('Template Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('system templates', () => {
+    it('should all be valid bundles', async () => {
+      expect(SYSTEM_TEMPLATES.map(template => template.id)).toEqual(['icebreaker', 'retrospective', 'course_evaluation', 'pub_quiz']);
+
+      for (const { id } of SYSTEM_TEMPLATES) {
+        const { bundle } = await templateService.getTemplateForUser(id, { _id: USER_ID });
+        expect(presentationBundleService.validateBundle(bundle)).toEqual([]);
+      }
+    });
+  });
+
+  describe('listTemplatesForUser', () => {
+    it('should list system, institution and personal templates', async () => {
+      const saved = { _id: TEMPLATE_ID, scope: 'user', title: 'My lesson', description: '', slideCount: 4, createdBy: 'me@school.edu' };
+      const shared = { ...saved, _id: 'shared-1', scope: 'institution', title: 'Staff onboarding' };
+      PresentationTemplate.find
+        .mockReturnValueOnce(leanQuery([saved]))
+        .mockReturnValueOnce(leanQuery([shared]));
+
+      const templates = await templateService.listTemplatesForUser({ _id: USER_ID, institutionId: INSTITUTION_ID });
+
+      expect(PresentationTemplate.find).toHaveBeenCalledWith({ scope: 'user', userId: USER_ID });
+      expect(PresentationTemplate.find).toHaveBeenCalledWith({ scope: 'institution', institutionId: INSTITUTION_ID });
+      expect(templates.system.map(template => template.id)).toContain('pub_quiz');
+      expect(templates.institution).toEqual([expect.objectContaining({ id: 'shared-1', scope: 'institution', title: 'Staff onboarding' })]);
+      expect(templates.mine).toEqual([expect.objectContaining({ id: TEMPLATE_ID, category: 'custom', slideCount: 4 })]);
+    });
+
+    it('should not look up institution templates for users without an institution', async () => {
+      PresentationTemplate.find.mockReturnValue(leanQuery([]));
+
+      const templates = await templateService.listTemplatesForUser({ _id: USER_ID, institutionId: null });
+
+      expect(PresentationTemplate.find).toHaveBeenCalledTimes(1);
+      expect(templates.institution).toEqual([]);
+    });
+  });
+
+  describe('getTemplateForUser', () => {
+    const bundle = { format: 'inavora-presentation', version: 1, presentation: { title: 'Lesson' }, slides: [], media: [] };
+
+    it('should only return stored templates the user may use', async () => {
+      PresentationTemplate.findById.mockReturnValue(leanQuery({ scope: 'user', userId: USER_ID, title: 'Lesson', bundle }));
+      await expect(templateService.getTemplateForUser(TEMPLATE_ID, { _id: USER_ID })).resolves.toEqual({ title: 'Lesson', bundle });
+      await expect(templateService.getTemplateForUser(TEMPLATE_ID, { _id: 'someone-else' })).resolves.toBeNull();
+
+      PresentationTemplate.findById.mockReturnValue(leanQuery({ scope: 'institution', institutionId: INSTITUTION_ID, title: 'Lesson', bundle }));
+      await expect(templateService.getTemplateForUser(TEMPLATE_ID, { _id: 'teacher', institutionId: INSTITUTION_ID })).resolves.toEqual({ title: 'Lesson', bundle });
+      await expect(templateService.getTemplateForUser(TEMPLATE_ID, { _id: 'teacher', institutionId: null })).resolves.toBeNull();
+
+      await expect(templateService.getTemplateForUser('not-a-template', { _id: USER_ID })).resolves.toBeNull();
+    });
+  });
+
+  describe('createTemplateFromPresentation', () => {
+    const presentation = { _id: 'pres-1', title: 'Photosynthesis', showResults: true };
+
+    it('should snapshot the slides and copy uploaded media into the template', async () => {
+      Slide.find.mockReturnValue(sortQuery([
+        { _id: 'slide-1', type: 'image', question: 'Leaf diagram', imageUrl: 'https://cdn/leaf.png', imagePublicId: 'inavora/leaf' },
+        { _id: 'slide-2', type: 'word_cloud', question: 'What do plants need?' }
+      ]));
+      cloudinaryService.copyRemoteMedia.mockResolvedValue({ url: 'https://cdn/templates/leaf.png', publicId: 'inavora/templates/leaf' });
+      PresentationTemplate.create.mockImplementation(async doc => ({ _id: TEMPLATE_ID, createdAt: new Date(), ...doc }));
+
+      const template = await templateService.createTemplateFromPresentation({
+        presentation,
+        title: '',
+        scope: 'institution',
+        institutionId: INSTITUTION_ID,
+        createdBy: 'admin@school.edu'
+      });
+
+      expect(cloudinaryService.copyRemoteMedia).toHaveBeenCalledWith('https://cdn/leaf.png', 'image', 'inavora/templates');
+      const saved = PresentationTemplate.create.mock.calls[0][0];
+      expect(saved).toEqual(expect.objectContaining({ title: 'Photosynthesis', scope: 'institution', institutionId: INSTITUTION_ID, slideCount: 2 }));
+      expect(saved.bundle.slides[0].imageUrl).toBe('https://cdn/templates/leaf.png');
+      expect(saved.bundle.slides[0]).not.toHaveProperty('imagePublicId');
+      expect(saved.bundle.media[0].url).toBe('https://cdn/templates/leaf.png');
+      expect(template).toEqual(expect.objectContaining({ id: TEMPLATE_ID, scope: 'institution', createdBy: 'admin@school.edu' }));
+    });
+
+    it('should refuse empty presentations', async () => {
+      Slide.find.mockReturnValue(sortQuery([]));
+
+      await expect(templateService.createTemplateFromPresentation({ presentation, scope: 'user', userId: USER_ID }))
+        .rejects.toThrow('Add at least one slide before saving the presentation as a template');
+      expect(PresentationTemplate.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildDuplicateBundle', () => {
+    it('should snapshot the presentation under the new title', async () => {
+      Slide.find.mockReturnValue(sortQuery([{ _id: 'slide-1', type: 'text', question: 'Hello' }]));
+
+      const bundle = await templateService.buildDuplicateBundle({ _id: 'pres-1', title: 'Lesson', showResults: false }, 'Lesson (copy)');
+
+      expect(Slide.find).toHaveBeenCalledWith({ presentationId: 'pres-1' });
+      expect(bundle.presentation).toEqual({ title: 'Lesson (copy)', showResults: false });
+      expect(bundle.slides).toEqual([{ key: 'slide-1', type: 'text', question: 'Hello' }]);
+    });
+  });
+});
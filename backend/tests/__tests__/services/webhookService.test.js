@@ -0,0 +1,270 @@
+/**
+ * Tests for webhook service
+ */
+
+const crypto = require('crypto');
+
+jest.mock('../../../src/models/Institution', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../../src/models/WebhookDelivery', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../../src/models/Presentation', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../../src/models/User', () => ({
+  findById: jest.fn()
+}));
+
+const Institution = require('../../../src/models/Institution');
+const WebhookDelivery = require('../../../src/models/WebhookDelivery');
+const Presentation = require('../../../src/models/Presentation');
+const User = require('../../../src/models/User');
+const webhookService = require('../../../src/services/webhookService');
+
+const mockInstitutionQuery = (institution) => {
+  const query = {
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockResolvedValue(institution),
+    then: (resolve, reject) => Promise.resolve(institution).then(resolve, reject)
+  };
+  Institution.findById.mockReturnValue(query);
+};
+
+const leanQuery = (value) => ({
+  select: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+const buildDelivery = (overrides = {}) => ({
+  _id: 'delivery-1',
+  institutionId: 'inst-1',
+  webhookId: 'hook-1',
+  event: 'presentation.started',
+  url: 'https://example.com/hook',
+  payload: '{"event":"presentation.started"}',
+  attempts: 0,
+  status: 'pending',
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides
+});
+
+describe('Webhook Service', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.clearAllMocks();
+  });
+
+  describe('signPayload', () => {
+    it('should sign timestamp and body with HMAC-SHA256', () => {
+      const expected = crypto
+        .createHmac('sha256', 'secret')
+        .update('1700000000.{"a":1}')
+        .digest('hex');
+
+      expect(webhookService.signPayload('secret', 1700000000, '{"a":1}')).toBe(expected);
+    });
+  });
+
+  describe('isValidWebhookUrl', () => {
+    it('should accept http and https URLs', () => {
+      expect(webhookService.isValidWebhookUrl('https://example.com/hook')).toBe(true);
+      expect(webhookService.isValidWebhookUrl('http://localhost:3000/hook')).toBe(true);
+    });
+
+    it('should reject other protocols and malformed URLs', () => {
+      expect(webhookService.isValidWebhookUrl('ftp://example.com')).toBe(false);
+      expect(webhookService.isValidWebhookUrl('not a url')).toBe(false);
+    });
+  });
+
+  describe('dispatchEvent', () => {
+    it('should ignore unknown events', async () => {
+      const result = await webhookService.dispatchEvent('inst-1', 'unknown.event', {});
+      expect(result).toEqual([]);
+      expect(Institution.findById).not.toHaveBeenCalled();
+    });
+
+    it('should only queue deliveries for active webhooks subscribed to the event', async () => {
+      mockInstitutionQuery({
+        isActive: true,
+        webhooks: [
+          { id: 'hook-1', url: 'https://a.example.com', events: ['presentation.started'], active: true },
+          { id: 'hook-2', url: 'https://b.example.com', events: ['user.added'], active: true },
+          { id: 'hook-3', url: 'https://c.example.com', events: ['presentation.started'], active: false }
+        ]
+      });
+      WebhookDelivery.create.mockImplementation(async (doc) => buildDelivery(doc));
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, text: async () => 'ok' });
+
+      const deliveries = await webhookService.dispatchEvent('inst-1', 'presentation.started', { title: 'Deck' });
+
+      expect(deliveries).toHaveLength(1);
+      expect(WebhookDelivery.create).toHaveBeenCalledTimes(1);
+      const created = WebhookDelivery.create.mock.calls[0][0];
+      expect(created.webhookId).toBe('hook-1');
+      // Due right away: the first attempt claims it like any retry
+      expect(created.nextAttemptAt.getTime()).toBeLessThanOrEqual(Date.now());
+      expect(JSON.parse(created.payload)).toMatchObject({
+        event: 'presentation.started',
+        data: { title: 'Deck' }
+      });
+    });
+
+    it('should never throw when the lookup fails', async () => {
+      Institution.findById.mockImplementation(() => {
+        throw new Error('db down');
+      });
+
+      await expect(webhookService.dispatchEvent('inst-1', 'user.added', {})).resolves.toEqual([]);
+    });
+  });
+
+  describe('attemptDelivery', () => {
+    it('should send a signed request and mark the delivery successful', async () => {
+      mockInstitutionQuery({
+        isActive: true,
+        webhooks: [{ id: 'hook-1', url: 'https://example.com/hook', secret: 'shh', active: true }]
+      });
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, text: async () => 'ok' });
+      const delivery = buildDelivery();
+
+      await webhookService.attemptDelivery(delivery);
+
+      const [, options] = global.fetch.mock.calls[0];
+      const timestamp = options.headers['X-Inavora-Timestamp'];
+      expect(options.headers['X-Inavora-Signature'])
+        .toBe(`sha256=${webhookService.signPayload('shh', timestamp, delivery.payload)}`);
+      expect(delivery.status).toBe('success');
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.save).toHaveBeenCalled();
+    });
+
+    it('should schedule a retry when the endpoint fails', async () => {
+      mockInstitutionQuery({
+        isActive: true,
+        webhooks: [{ id: 'hook-1', url: 'https://example.com/hook', secret: 'shh', active: true }]
+      });
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 500, text: async () => 'boom' });
+      const delivery = buildDelivery();
+
+      await webhookService.attemptDelivery(delivery);
+
+      expect(delivery.status).toBe('pending');
+      expect(delivery.responseStatus).toBe(500);
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should give up after the maximum number of attempts', async () => {
+      mockInstitutionQuery({
+        isActive: true,
+        webhooks: [{ id: 'hook-1', url: 'https://example.com/hook', secret: 'shh', active: true }]
+      });
+      global.fetch = jest.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+      const delivery = buildDelivery({ attempts: webhookService.MAX_ATTEMPTS - 1 });
+
+      await webhookService.attemptDelivery(delivery);
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.error).toBe('ECONNREFUSED');
+      expect(delivery.nextAttemptAt).toBeNull();
+    });
+  });
+
+  describe('dispatchPresentationEvent', () => {
+    it('should cache presentations and subscriptions and skip events no webhook listens for', async () => {
+      Presentation.findById.mockReturnValue(leanQuery({ _id: 'pres-1', userId: 'user-1', title: 'Deck', accessCode: '123456' }));
+      User.findById.mockReturnValue(leanQuery({ institutionId: 'inst-1' }));
+      mockInstitutionQuery({
+        isActive: true,
+        webhooks: [{ id: 'hook-1', url: 'https://a.example.com', events: ['presentation.started'], active: true }]
+      });
+
+      await expect(webhookService.dispatchPresentationEvent('pres-1', 'response.submitted', {})).resolves.toEqual([]);
+      await expect(webhookService.dispatchPresentationEvent('pres-1', 'response.submitted', {})).resolves.toEqual([]);
+
+      expect(Presentation.findById).toHaveBeenCalledTimes(1);
+      expect(Institution.findById).toHaveBeenCalledTimes(1);
+      expect(WebhookDelivery.create).not.toHaveBeenCalled();
+    });
+
+    it('should follow the owner to another institution right away', async () => {
+      Presentation.findById.mockReturnValue(leanQuery({ _id: 'pres-3', userId: 'user-3', title: 'Deck', accessCode: '123456' }));
+      User.findById.mockReturnValue(leanQuery({ institutionId: 'inst-3' }));
+      mockInstitutionQuery({ isActive: true, webhooks: [] });
+      await webhookService.dispatchPresentationEvent('pres-3', 'response.submitted', {});
+
+      User.findById.mockReturnValue(leanQuery({ institutionId: null }));
+
+      await expect(webhookService.dispatchPresentationEvent('pres-3', 'response.submitted', {})).resolves.toEqual([]);
+      expect(User.findById).toHaveBeenCalledTimes(2);
+    });
+
+    it('should pick up new subscriptions once the cache is cleared', async () => {
+      Presentation.findById.mockReturnValue(leanQuery({ _id: 'pres-2', userId: 'user-1', title: 'Deck', accessCode: '123456' }));
+      User.findById.mockReturnValue(leanQuery({ institutionId: 'inst-2' }));
+      mockInstitutionQuery({ isActive: true, webhooks: [] });
+      await webhookService.dispatchPresentationEvent('pres-2', 'response.submitted', {});
+
+      mockInstitutionQuery({
+        isActive: true,
+        webhooks: [{ id: 'hook-1', url: 'https://a.example.com', events: ['response.submitted'], active: true }]
+      });
+      WebhookDelivery.create.mockImplementation(async (doc) => buildDelivery(doc));
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, text: async () => 'ok' });
+      webhookService.clearSubscriptionCache('inst-2');
+
+      const deliveries = await webhookService.dispatchPresentationEvent('pres-2', 'response.submitted', { slideId: 'slide-1' });
+
+      expect(deliveries).toHaveLength(1);
+      expect(JSON.parse(WebhookDelivery.create.mock.calls[0][0].payload).data)
+        .toEqual({ presentationId: 'pres-2', title: 'Deck', accessCode: '123456', slideId: 'slide-1' });
+    });
+  });
+
+  describe('processPendingDeliveries', () => {
+    it('should also send deliveries whose first attempt never ran', async () => {
+      const stranded = buildDelivery({ attempts: 0, nextAttemptAt: new Date(Date.now() - 1000) });
+      WebhookDelivery.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([stranded])
+      });
+      mockInstitutionQuery({
+        isActive: true,
+        webhooks: [{ id: 'hook-1', url: 'https://example.com/hook', active: true }]
+      });
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, text: async () => 'ok' });
+
+      WebhookDelivery.findOneAndUpdate.mockResolvedValue(stranded);
+
+      await expect(webhookService.processPendingDeliveries()).resolves.toEqual({ processed: 1 });
+
+      const [filter] = WebhookDelivery.find.mock.calls[0];
+      expect(filter).not.toHaveProperty('attempts');
+      expect(filter.status).toBe('pending');
+      expect(stranded.status).toBe('success');
+      expect(stranded.attempts).toBe(1);
+    });
+
+    it('should claim each delivery and skip the ones another attempt holds', async () => {
+      WebhookDelivery.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([buildDelivery({ nextAttemptAt: new Date(Date.now() - 1000) })])
+      });
+      WebhookDelivery.findOneAndUpdate.mockResolvedValue(null);
+      global.fetch = jest.fn();
+
+      await expect(webhookService.processPendingDeliveries()).resolves.toEqual({ processed: 0 });
+
+      const [filter, update] = WebhookDelivery.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'delivery-1', status: 'pending', nextAttemptAt: { $lte: expect.any(Date) } });
+      expect(update.$set.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for word cloud normalization, grouping and presenter corrections
+ */
+
+const wordCloudService = require('../../../src/services/wordCloudService');
+
+const settings = (overrides = {}) => wordCloudService.normalizeSettings(overrides);
+const responses = (...answers) => answers.map(answer => ({ answer }));
+
+describe('Word Cloud Service', () => {
+  describe('normalizeEntries', () => {
+    it('should keep words written in any script', () => {
+      const entries = wordCloudService.normalizeEntries('नमस्ते வணக்கம் مرحبا 你好 Café naïve', settings());
+
+      expect(entries).toEqual(['नमस्ते', 'வணக்கம்', 'مرحبا', '你好', 'café', 'naïve']);
+    });
+
+    it('should drop Arabic diacritics and normalize composed characters', () => {
+      const decomposed = 'café';
+
+      expect(wordCloudService.normalizeEntries('مَرْحَبًا', settings())).toEqual(['مرحبا']);
+      expect(wordCloudService.normalizeEntries(decomposed, settings())).toEqual(['café']);
+    });
+
+    it('should remove stopwords of the detected script and fail when nothing is left', () => {
+      expect(wordCloudService.normalizeEntries('the future of AI', settings())).toEqual(['future', 'ai']);
+      expect(wordCloudService.normalizeEntries('और शिक्षा', settings())).toEqual(['शिक्षा']);
+      expect(() => wordCloudService.normalizeEntries('the and of', settings()))
+        .toThrow('Please enter at least one valid word');
+      expect(wordCloudService.normalizeEntries('the', settings({ removeStopwords: false }))).toEqual(['the']);
+    });
+
+    it('should limit word length by characters, not bytes', () => {
+      expect(wordCloudService.normalizeEntries('சுற்றுச்சூழல்', settings())).toEqual(['சுற்றுச்சூழல்']);
+      expect(() => wordCloudService.normalizeEntries('a'.repeat(21), settings()))
+        .toThrow('Words must be 20 characters or fewer');
+    });
+
+    it('should keep phrases together when allowed', () => {
+      const phrases = settings({ allowPhrases: true });
+
+      expect(wordCloudService.normalizeEntries('Machine learning, the cloud', phrases))
+        .toEqual(['machine learning', 'the cloud']);
+      expect(wordCloudService.normalizeEntries('Machine learning', settings())).toEqual(['machine', 'learning']);
+      expect(() => wordCloudService.normalizeEntries('one two three four', phrases))
+        .toThrow('Phrases can have up to 3 words');
+    });
+  });
+
+  describe('buildWordFrequencies', () => {
+    it('should count forms of a word together when grouping is on', () => {
+      const answers = responses(['running'], ['runs'], ['run'], ['café'], ['cafe'], ['cafés']);
+
+      expect(wordCloudService.buildWordFrequencies(answers, settings())).toEqual({
+        running: 1, runs: 1, run: 1, café: 1, cafe: 1, cafés: 1
+      });
+      expect(wordCloudService.buildWordFrequencies(answers, settings({ groupSimilarWords: true })))
+        .toEqual({ run: 3, cafe: 3 });
+    });
+
+    it('should show a group as its most used form', () => {
+      const answers = responses(['dogs'], ['dogs'], ['dog']);
+
+      expect(wordCloudService.buildWordFrequencies(answers, settings({ groupSimilarWords: true })))
+        .toEqual({ dogs: 3 });
+    });
+
+    it('should apply presenter merges and hidden words', () => {
+      const answers = responses(['ai'], ['ml'], ['data'], ['boring'], ['data']);
+      const corrected = settings({
+        mergedWords: [{ words: ['ai', 'ml'], label: 'AI' }],
+        hiddenWords: ['boring']
+      });
+
+      expect(wordCloudService.buildWordFrequencies(answers, corrected)).toEqual({ ai: 2, data: 2 });
+    });
+
+    it('should count older answers with the current settings', () => {
+      const answers = responses('The', ['Hello'], ['hello']);
+
+      expect(wordCloudService.buildWordFrequencies(answers, settings())).toEqual({ hello: 2 });
+    });
+  });
+
+  describe('presenter corrections', () => {
+    it('should merge words, fold existing groups in and split them again', () => {
+      let current = wordCloudService.mergeWords(settings(), ['ai', 'ml'], 'ai');
+      current = wordCloudService.mergeWords(current, ['ai', 'deep learning'], 'tech');
+
+      expect(current.mergedWords).toEqual([{ words: ['deep learning', 'ai', 'ml'], label: 'tech' }]);
+      expect(wordCloudService.splitWord(current, 'tech').mergedWords).toEqual([]);
+      expect(() => wordCloudService.mergeWords(settings(), ['ai'], 'ai'))
+        .toThrow('Select at least two words to merge');
+    });
+
+    it('should hide and show words', () => {
+      const hidden = wordCloudService.hideWord(settings(), 'Boring', true);
+
+      expect(hidden.hiddenWords).toEqual(['boring']);
+      expect(wordCloudService.hideWord(hidden, 'boring', false).hiddenWords).toEqual([]);
+    });
+  });
+
+  describe('normalizeSettings', () => {
+    it('should fall back to defaults and keep existing values', () => {
+      const existing = settings({ language: 'fr', hiddenWords: ['x'] });
+
+      expect(settings({ language: 'klingon' }).language).toBe('auto');
+      expect(wordCloudService.normalizeSettings({ allowPhrases: true }, existing)).toMatchObject({
+        language: 'fr',
+        allowPhrases: true,
+        removeStopwords: true,
+        hiddenWords: ['x']
+      });
+    });
+  });
+});
@@ -2,7 +2,7 @@ import { useState, useRef, useEffect, useMemo } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import toast from 'react-hot-toast';
-import { Plus, LogOut, ChevronDown, Presentation, LoaderCircle, Trash2, Search, ChevronLeft, ChevronRight, LayoutGrid, Crown, LayoutTemplate, BarChart3, Trophy, PieChart, MessageSquare, Mail, HelpCircle, Lock } from 'lucide-react';
+import { Plus, LogOut, ChevronDown, Presentation, LoaderCircle, Trash2, Search, ChevronLeft, ChevronRight, LayoutGrid, Crown, LayoutTemplate, BarChart3, Trophy, PieChart, MessageSquare, Mail, HelpCircle, Lock, FileUp, Copy, BookmarkPlus, UserPlus, Users } from 'lucide-react';
 import { v4 as uuidv4 } from 'uuid';
 import { useAuth } from '../context/AuthContext';
 import * as presentationService from '../services/presentationService';
@@ -13,6 +13,9 @@ import LanguageSelector from './common/LanguageSelector/LanguageSelector';
 import SupportWidget from './common/SupportWidget';
 import { translateError } from '../utils/errorTranslator';
 import ChangePasswordModal from './common/ChangePasswordModal';
+import TemplateGalleryModal from './common/TemplateGalleryModal';
+import SaveTemplateModal from './common/SaveTemplateModal';
+import CollaboratorsModal from './presentation/CollaboratorsModal';
 import { getEffectivePlan } from '../utils/subscriptionUtils';
 
 const Dashboard = () => {
@@ -21,6 +24,7 @@ const Dashboard = () => {
   const { currentUser, logout } = useAuth();
   const [showUserMenu, setShowUserMenu] = useState(false);
   const menuRef = useRef(null);
+  const importInputRef = useRef(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [presentationToDelete, setPresentationToDelete] = useState(null);
   const [isDeleting, setIsDeleting] = useState(false);
@@ -29,6 +33,11 @@ const Dashboard = () => {
   const [showDialog, setShowDialog] = useState(false);
   const [showFreePlanLimitModal, setShowFreePlanLimitModal] = useState(false);
   const [showChangePasswordModal, setShowChangePasswordModal] = useState(false);
+  const [showTemplateGallery, setShowTemplateGallery] = useState(false);
+  const [isCreatingFromTemplate, setIsCreatingFromTemplate] = useState(false);
+  const [presentationToTemplate, setPresentationToTemplate] = useState(null);
+  const [duplicatingId, setDuplicatingId] = useState(null);
+  const [presentationToShare, setPresentationToShare] = useState(null);
 
   // Search & Pagination State
   const [searchTerm, setSearchTerm] = useState('');
@@ -226,6 +235,129 @@ const Dashboard = () => {
     }
   };
 
+  // Import a deck as native slides: the drafts open in a new presentation like template slides.
+  // Presentation bundles (.json, .zip) are recreated as-is on the server.
+  const handleImportDeck = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (file.size > 10 * 1024 * 1024) {
+      toast.error(t('dashboard.import_file_too_large') || 'File too large. Maximum size is 10MB.');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      const base64File = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+      });
+
+      if (/\.(json|zip)$/i.test(file.name)) {
+        const { presentation, media } = await presentationService.importPresentationBundle(base64File);
+        toast.success(t('dashboard.import_bundle_success', { count: presentation.slideCount }) || `Imported ${presentation.slideCount} slides`);
+        if (media?.failed > 0) {
+          toast.error(t('dashboard.import_bundle_media_failed', { count: media.failed }) || `${media.failed} media files could not be copied and still link to the original`);
+        }
+        navigate(`/presentation/${presentation.id}`);
+        return;
+      }
+
+      const imported = await presentationService.importPresentationSlides(base64File, file.name);
+      const slidesToCreate = (imported.slides || []).map(slide => ({ id: `temp-${uuidv4()}`, ...slide }));
+      const { presentation } = await presentationService.createPresentation(imported.title || t('dashboard.untitled_presentation'));
+
+      toast.success(t('dashboard.import_success', { count: slidesToCreate.length }) || `Imported ${slidesToCreate.length} slides`);
+      navigate(`/presentation/${presentation.id}`, {
+        state: {
+          initialSlides: slidesToCreate,
+          fromTemplate: true
+        }
+      });
+    } catch (error) {
+      console.error('Import deck error:', error);
+      const errorCode = error?.response?.data?.code || error?.response?.data?.error;
+      if (errorCode === 'FREE_PLAN_PRESENTATION_LIMIT') {
+        setShowFreePlanLimitModal(true);
+      } else {
+        toast.error(error?.response?.data?.error || t('dashboard.import_error') || 'Failed to import the file');
+      }
+      setIsLoading(false);
+    }
+  };
+
+  const isPresentationLimitError = (error) => {
+    const errorCode = error?.response?.data?.code || error?.response?.data?.error;
+    return errorCode === 'FREE_PLAN_PRESENTATION_LIMIT';
+  };
+
+  const handleUseTemplate = async (template) => {
+    try {
+      setIsCreatingFromTemplate(true);
+      const { presentation } = await presentationService.createPresentationFromTemplate(template.id);
+      toast.success(t('toasts.presentation.created'));
+      navigate(`/presentation/${presentation.id}`);
+    } catch (error) {
+      console.error('Create from template error:', error);
+      if (isPresentationLimitError(error)) {
+        setShowTemplateGallery(false);
+        setShowFreePlanLimitModal(true);
+      } else {
+        toast.error(error?.response?.data?.error || t('dashboard.template_creation_error'));
+      }
+    } finally {
+      setIsCreatingFromTemplate(false);
+    }
+  };
+
+  const handleDuplicatePresentation = async (presentation, e) => {
+    e.stopPropagation();
+    if (duplicatingId) return;
+
+    try {
+      setDuplicatingId(presentation.id);
+      const { presentation: duplicate } = await presentationService.duplicatePresentation(
+        presentation.id,
+        t('dashboard.duplicate_title', { title: presentation.title }) || `${presentation.title} (copy)`
+      );
+      setPresentations(prev => [{ ...duplicate, updatedAt: duplicate.updatedAt || new Date().toISOString() }, ...prev]);
+      toast.success(t('dashboard.presentation_duplicated') || 'Presentation duplicated');
+    } catch (error) {
+      console.error('Duplicate presentation error:', error);
+      if (isPresentationLimitError(error)) {
+        setShowFreePlanLimitModal(true);
+      } else {
+        toast.error(error?.response?.data?.error || t('dashboard.duplicate_error') || 'Failed to duplicate the presentation');
+      }
+    } finally {
+      setDuplicatingId(null);
+    }
+  };
+
+  const handleOpenSaveTemplate = (presentation, e) => {
+    e.stopPropagation();
+    setPresentationToTemplate(presentation);
+  };
+
+  const handleSaveTemplate = async ({ title, description }) => {
+    try {
+      await presentationService.savePresentationAsTemplate(presentationToTemplate.id, { title, description });
+      toast.success(t('templates.saved') || 'Template saved');
+      setPresentationToTemplate(null);
+    } catch (error) {
+      console.error('Save as template error:', error);
+      toast.error(error?.response?.data?.error || t('templates.save_error') || 'Failed to save the template');
+    }
+  };
+
+  const handleOpenCollaborators = (presentation, e) => {
+    e.stopPropagation();
+    setPresentationToShare(presentation);
+  };
+
   const handleDeletePresentation = (presentation, e) => {
     e.stopPropagation();
     setPresentationToDelete(presentation);
@@ -443,11 +575,19 @@ const Dashboard = () => {
 
         {/* Templates Section */}
         <section className="mb-12">
-          <h2 className="text-xl font-bold text-white mb-6 flex items-center gap-2">
-            <LayoutTemplate className="w-5 h-5 text-purple-400" />
-            {t('dashboard.start_with_template')}
-          </h2>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="flex items-center justify-between gap-4 mb-6">
+            <h2 className="text-xl font-bold text-white flex items-center gap-2">
+              <LayoutTemplate className="w-5 h-5 text-purple-400" />
+              {t('dashboard.start_with_template')}
+            </h2>
+            <button
+              onClick={() => setShowTemplateGallery(true)}
+              className="text-sm font-medium text-purple-300 hover:text-purple-200 hover:bg-purple-500/10 px-3 py-1.5 rounded-lg transition-colors"
+            >
+              {t('templates.browse_all') || 'Browse all templates'}
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
             {/* MCQ Template */}
             <motion.div
               initial={{ opacity: 0, y: 20 }}
@@ -498,6 +638,31 @@ const Dashboard = () => {
               <h3 className="text-lg font-bold text-white mb-2">{t('dashboard.mixed_session_title')}</h3>
               <p className="text-sm text-gray-400">{t('dashboard.mixed_session_description')}</p>
             </motion.div>
+
+            {/* Import a deck */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.4 }}
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={() => importInputRef.current?.click()}
+              className="bg-gradient-to-br from-teal-500/10 to-emerald-500/10 border border-teal-500/20 rounded-2xl p-6 cursor-pointer hover:border-teal-500/50 transition-all group shadow-lg hover:shadow-teal-500/10"
+            >
+              <div className="w-12 h-12 rounded-xl bg-teal-500/20 flex items-center justify-center mb-4 group-hover:bg-teal-500/30 transition-colors">
+                <FileUp className="w-6 h-6 text-teal-400" />
+              </div>
+              <h3 className="text-lg font-bold text-white mb-2">{t('dashboard.import_deck_title') || 'Import a deck'}</h3>
+              <p className="text-sm text-gray-400">{t('dashboard.import_deck_description') || 'Turn a PowerPoint, Google Slides export, PDF or Markdown outline into editable slides, or open a shared presentation bundle.'}</p>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".pptx,.pdf,.md,.markdown,.txt,.json,.zip"
+                onChange={handleImportDeck}
+                onClick={(e) => e.stopPropagation()}
+                className="hidden"
+              />
+            </motion.div>
           </div>
         </section>
 
@@ -524,16 +689,50 @@ const Dashboard = () => {
                     <div className="w-10 h-10 rounded-lg bg-blue-500/10 flex items-center justify-center text-blue-400 group-hover:bg-blue-500/20 transition-colors">
                       <Presentation className="w-5 h-5" />
                     </div>
-                    <button
-                      onClick={(e) => handleDeletePresentation(presentation, e)}
-                      className="p-2 text-gray-500 hover:text-red-400 max-sm:text-red-400 hover:bg-red-500/10 max-sm:bg-red-500/10 rounded-lg transition-colors sm:opacity-0 group-hover:opacity-100"
-                    >
-                      <Trash2 className="w-4 h-4" />
-                    </button>
+                    <div className="flex items-center gap-1">
+                      <button
+                        onClick={(e) => handleDuplicatePresentation(presentation, e)}
+                        className="p-2 text-gray-500 hover:text-teal-400 hover:bg-teal-500/10 rounded-lg transition-colors sm:opacity-0 group-hover:opacity-100"
+                        title={t('dashboard.duplicate') || 'Duplicate'}
+                      >
+                        {duplicatingId === presentation.id ? <LoaderCircle className="w-4 h-4 animate-spin" /> : <Copy className="w-4 h-4" />}
+                      </button>
+                      <button
+                        onClick={(e) => handleOpenSaveTemplate(presentation, e)}
+                        className="p-2 text-gray-500 hover:text-purple-400 hover:bg-purple-500/10 rounded-lg transition-colors sm:opacity-0 group-hover:opacity-100"
+                        title={t('templates.save_as_template') || 'Save as template'}
+                      >
+                        <BookmarkPlus className="w-4 h-4" />
+                      </button>
+                      {(!presentation.role || presentation.role === 'owner') && (
+                        <>
+                          <button
+                            onClick={(e) => handleOpenCollaborators(presentation, e)}
+                            className="p-2 text-gray-500 hover:text-blue-400 hover:bg-blue-500/10 rounded-lg transition-colors sm:opacity-0 group-hover:opacity-100"
+                            title={t('collaborators.share') || 'Share with collaborators'}
+                          >
+                            <UserPlus className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={(e) => handleDeletePresentation(presentation, e)}
+                            className="p-2 text-gray-500 hover:text-red-400 max-sm:text-red-400 hover:bg-red-500/10 max-sm:bg-red-500/10 rounded-lg transition-colors sm:opacity-0 group-hover:opacity-100"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </>
+                      )}
+                    </div>
                   </div>
 
                   <h3 className="text-lg font-bold text-white mb-2 truncate group-hover:text-teal-400 transition-colors">{presentation.title}</h3>
-                  <p className="text-sm text-gray-400">{t('dashboard.edited_recently')}</p>
+                  {presentation.role && presentation.role !== 'owner' ? (
+                    <p className="text-sm text-blue-300 flex items-center gap-1.5 truncate">
+                      <Users className="w-4 h-4 shrink-0" />
+                      {t('collaborators.shared_by', { name: presentation.sharedBy, role: t(`collaborators.roles.${presentation.role}`) }) || `Shared by ${presentation.sharedBy}`}
+                    </p>
+                  ) : (
+                    <p className="text-sm text-gray-400">{t('dashboard.edited_recently')}</p>
+                  )}
                 </motion.div>
               ))}
             </div>
@@ -583,14 +782,45 @@ const Dashboard = () => {
                       </div>
                       <div className="flex-1 min-w-0">
                         <h3 className="font-semibold text-gray-200 truncate group-hover:text-white transition-colors">{presentation.title}</h3>
+                        {presentation.role && presentation.role !== 'owner' && (
+                          <p className="text-xs text-blue-300 flex items-center gap-1 truncate group-hover:hidden">
+                            <Users className="w-3 h-3 shrink-0" />
+                            {t('collaborators.shared_by', { name: presentation.sharedBy, role: t(`collaborators.roles.${presentation.role}`) }) || `Shared by ${presentation.sharedBy}`}
+                          </p>
+                        )}
                         <p className="text-xs text-gray-500 hidden group-hover:block">{t('dashboard.click_to_open')}</p>
                       </div>
                       <button
-                        onClick={(e) => handleDeletePresentation(presentation, e)}
-                        className="p-2 text-gray-600 hover:text-red-400 max-sm:text-red-400 hover:bg-red-500/10 bg-red-500/10 rounded-lg transition-colors sm:opacity-0 group-hover:opacity-100"
+                        onClick={(e) => handleDuplicatePresentation(presentation, e)}
+                        className="p-2 text-gray-600 hover:text-teal-400 hover:bg-teal-500/10 rounded-lg transition-colors sm:opacity-0 group-hover:opacity-100"
+                        title={t('dashboard.duplicate') || 'Duplicate'}
+                      >
+                        {duplicatingId === presentation.id ? <LoaderCircle className="w-4 h-4 animate-spin" /> : <Copy className="w-4 h-4" />}
+                      </button>
+                      <button
+                        onClick={(e) => handleOpenSaveTemplate(presentation, e)}
+                        className="p-2 text-gray-600 hover:text-purple-400 hover:bg-purple-500/10 rounded-lg transition-colors sm:opacity-0 group-hover:opacity-100"
+                        title={t('templates.save_as_template') || 'Save as template'}
                       >
-                        <Trash2 className="w-4 h-4" />
+                        <BookmarkPlus className="w-4 h-4" />
                       </button>
+                      {(!presentation.role || presentation.role === 'owner') && (
+                        <>
+                          <button
+                            onClick={(e) => handleOpenCollaborators(presentation, e)}
+                            className="p-2 text-gray-600 hover:text-blue-400 hover:bg-blue-500/10 rounded-lg transition-colors sm:opacity-0 group-hover:opacity-100"
+                            title={t('collaborators.share') || 'Share with collaborators'}
+                          >
+                            <UserPlus className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={(e) => handleDeletePresentation(presentation, e)}
+                            className="p-2 text-gray-600 hover:text-red-400 max-sm:text-red-400 hover:bg-red-500/10 bg-red-500/10 rounded-lg transition-colors sm:opacity-0 group-hover:opacity-100"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </>
+                      )}
                     </div>
                   </motion.div>
                 ))}
@@ -761,6 +991,27 @@ const Dashboard = () => {
       {/* Support Widget */}
       <SupportWidget />
 
+      <TemplateGalleryModal
+        isOpen={showTemplateGallery}
+        onClose={() => setShowTemplateGallery(false)}
+        onUseTemplate={handleUseTemplate}
+        isCreating={isCreatingFromTemplate}
+      />
+
+      <SaveTemplateModal
+        isOpen={Boolean(presentationToTemplate)}
+        presentation={presentationToTemplate}
+        onClose={() => setPresentationToTemplate(null)}
+        onSave={handleSaveTemplate}
+      />
+
+      <CollaboratorsModal
+        isOpen={Boolean(presentationToShare)}
+        onClose={() => setPresentationToShare(null)}
+        presentationId={presentationToShare?.id}
+        presentationTitle={presentationToShare?.title}
+      />
+
       {/* Change Password Modal */}
       <ChangePasswordModal 
         isOpen={showChangePasswordModal} 
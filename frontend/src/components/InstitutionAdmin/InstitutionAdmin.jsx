@@ -13,13 +13,17 @@ import {
     Branding,
     AuditLogs,
     Settings,
-    HelpCenter
+    HelpCenter,
+    APIManagement
 } from './tabs';
 import AddUserModal from './components/modals/AddUserModal';
 import PaymentModal from './components/modals/PaymentModal';
 import BulkImportModal from './components/modals/BulkImportModal';
 import ReportsModal from './components/modals/ReportsModal';
+import CustomReportModal from './components/modals/CustomReportModal';
 import ProfileModal from './components/modals/ProfileModal';
+import ApiKeyModal from './components/modals/ApiKeyModal';
+import WebhookModal from './components/modals/WebhookModal';
 import { useInstitutionAdminData } from './hooks/useInstitutionAdminData';
 import api from '../../config/api';
 
@@ -112,6 +116,36 @@ const InstitutionAdmin = () => {
         handleUpdateSettings,
         handleUpdateSecuritySettings,
         
+        // API Management
+        apiKeys,
+        createdApiKey,
+        setCreatedApiKey,
+        webhooks,
+        fetchApiKeys,
+        fetchWebhooks,
+        handleCreateApiKey,
+        handleDeleteApiKey,
+        handleCreateWebhook,
+        handleDeleteWebhook,
+        fetchWebhookDeliveries,
+        handleRedeliverWebhook,
+        newApiKey,
+        setNewApiKey,
+        newWebhook,
+        setNewWebhook,
+        
+        // Custom Reports
+        customReports,
+        fetchCustomReports,
+        handleSaveCustomReport,
+        handleDeleteCustomReport,
+        handleRunCustomReport,
+        fetchCustomReportRuns,
+        institutionTemplates,
+        fetchInstitutionTemplates,
+        handlePublishTemplate,
+        handleDeleteInstitutionTemplate,
+        
         // Modals
         isAddUserModalOpen,
         setIsAddUserModalOpen,
@@ -121,6 +155,12 @@ const InstitutionAdmin = () => {
         setIsBulkImportModalOpen,
         isReportsModalOpen,
         setIsReportsModalOpen,
+        isCustomReportModalOpen,
+        setIsCustomReportModalOpen,
+        isApiKeyModalOpen,
+        setIsApiKeyModalOpen,
+        isWebhookModalOpen,
+        setIsWebhookModalOpen,
         
         // Payment
         pendingEmails,
@@ -177,6 +217,7 @@ const InstitutionAdmin = () => {
             subscription: t('institution_admin.subscription_billing'),
             branding: t('institution_admin.custom_branding'),
             audit: t('institution_admin.audit_logs'),
+            api: t('institution_admin.api_management'),
             settings: t('institution_admin.settings_title'),
             help: t('institution_admin.help_center')
         };
@@ -275,7 +316,7 @@ const InstitutionAdmin = () => {
                             onExport={handleExport}
                             onSetActiveTab={setActiveTab}
                             onOpenReportsModal={() => setIsReportsModalOpen(true)}
-                            onOpenCustomReportModal={() => {}}
+                            onOpenCustomReportModal={() => setIsCustomReportModalOpen(true)}
                         />
                     )}
 
@@ -316,6 +357,10 @@ const InstitutionAdmin = () => {
                             adminUserId={adminUserId}
                             onFetchPresentations={fetchPresentations}
                             institution={institution}
+                            templates={institutionTemplates}
+                            onFetchTemplates={fetchInstitutionTemplates}
+                            onPublishTemplate={handlePublishTemplate}
+                            onDeleteTemplate={handleDeleteInstitutionTemplate}
                         />
                     )}
 
@@ -365,6 +410,25 @@ const InstitutionAdmin = () => {
                         />
                     )}
 
+                    {activeTab === 'api' && (
+                        <APIManagement
+                            apiKeys={apiKeys}
+                            createdApiKey={createdApiKey}
+                            onDismissCreatedApiKey={() => setCreatedApiKey(null)}
+                            webhooks={webhooks}
+                            onOpenApiKeyModal={() => setIsApiKeyModalOpen(true)}
+                            onOpenWebhookModal={() => setIsWebhookModalOpen(true)}
+                            onCreateApiKey={handleCreateApiKey}
+                            onDeleteApiKey={handleDeleteApiKey}
+                            onCreateWebhook={handleCreateWebhook}
+                            onDeleteWebhook={handleDeleteWebhook}
+                            onFetchApiKeys={fetchApiKeys}
+                            onFetchWebhooks={fetchWebhooks}
+                            onFetchWebhookDeliveries={fetchWebhookDeliveries}
+                            onRedeliverWebhook={handleRedeliverWebhook}
+                        />
+                    )}
+
                     {activeTab === 'settings' && (
                         <Settings
                             settings={settings}
@@ -430,6 +494,36 @@ const InstitutionAdmin = () => {
                 loading={loading}
             />
 
+            <CustomReportModal
+                isOpen={isCustomReportModalOpen}
+                onClose={() => setIsCustomReportModalOpen(false)}
+                reports={customReports}
+                loading={loading}
+                onFetchReports={fetchCustomReports}
+                onSave={handleSaveCustomReport}
+                onDelete={handleDeleteCustomReport}
+                onRun={handleRunCustomReport}
+                onFetchRuns={fetchCustomReportRuns}
+            />
+
+            <ApiKeyModal
+                isOpen={isApiKeyModalOpen}
+                onClose={() => setIsApiKeyModalOpen(false)}
+                onCreate={handleCreateApiKey}
+                loading={loading}
+                newApiKey={newApiKey}
+                setNewApiKey={setNewApiKey}
+            />
+
+            <WebhookModal
+                isOpen={isWebhookModalOpen}
+                onClose={() => setIsWebhookModalOpen(false)}
+                onCreate={handleCreateWebhook}
+                loading={loading}
+                newWebhook={newWebhook}
+                setNewWebhook={setNewWebhook}
+            />
+
             <ProfileModal
                 isOpen={isProfileModalOpen}
                 onClose={() => setIsProfileModalOpen(false)}
@@ -8,7 +8,8 @@ import {
     Palette,
     History,
     Settings,
-    HelpCircle
+    HelpCircle,
+    Webhook
 } from 'lucide-react';
 
 const Sidebar = ({ activeTab, setActiveTab, institution }) => {
@@ -26,6 +27,7 @@ const Sidebar = ({ activeTab, setActiveTab, institution }) => {
         { id: 'subscription', label: t('institution_admin.subscription_billing'), icon: CreditCard },
         { id: 'branding', label: t('institution_admin.custom_branding'), icon: Palette },
         { id: 'audit', label: t('institution_admin.audit_logs'), icon: History },
+        { id: 'api', label: t('institution_admin.api_management'), icon: Webhook },
         { id: 'settings', label: t('institution_admin.settings_title'), icon: Settings },
         { id: 'help', label: t('institution_admin.help_center'), icon: HelpCircle }
     ];
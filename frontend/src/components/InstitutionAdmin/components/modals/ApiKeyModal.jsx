@@ -6,18 +6,41 @@ import { useState } from 'react';
 const ApiKeyModal = ({ isOpen, onClose, onCreate, loading, newApiKey, setNewApiKey }) => {
     const { t } = useTranslation();
     const [name, setName] = useState('');
+    const [selectedPermissions, setSelectedPermissions] = useState(['presentations:read', 'results:read']);
+    const [rateLimit, setRateLimit] = useState(60);
+
+    const availablePermissions = [
+        { value: 'presentations:read', label: t('institution_admin.permission_presentations_read') || 'Read presentations' },
+        { value: 'results:read', label: t('institution_admin.permission_results_read') || 'Read results and exports' },
+        { value: 'users:manage', label: t('institution_admin.permission_users_manage') || 'Manage users' }
+    ];
+
+    const togglePermission = (permission) => {
+        setSelectedPermissions(prev =>
+            prev.includes(permission)
+                ? prev.filter(p => p !== permission)
+                : [...prev, permission]
+        );
+    };
 
     const handleSubmit = (e) => {
         e.preventDefault();
-        if (!name.trim()) {
+        if (!name.trim() || selectedPermissions.length === 0) {
             return;
         }
-        setNewApiKey({ name: name.trim(), permissions: [] });
-        onCreate();
+        const apiKeyData = {
+            name: name.trim(),
+            permissions: selectedPermissions,
+            rateLimit: parseInt(rateLimit, 10) || 60
+        };
+        setNewApiKey(apiKeyData);
+        onCreate(apiKeyData);
     };
 
     const handleClose = () => {
         setName('');
+        setSelectedPermissions(['presentations:read', 'results:read']);
+        setRateLimit(60);
         onClose();
     };
 
@@ -70,6 +93,43 @@ const ApiKeyModal = ({ isOpen, onClose, onCreate, loading, newApiKey, setNewApiK
                                 </p>
                             </div>
 
+                            <div className="mb-4">
+                                <label className="block text-sm font-medium text-white mb-2">
+                                    {t('institution_admin.api_key_permissions') || 'Permissions'}
+                                </label>
+                                <div className="space-y-2">
+                                    {availablePermissions.map((permission) => (
+                                        <label
+                                            key={permission.value}
+                                            className="flex items-center gap-2 p-2 bg-white/5 border border-white/10 rounded-lg cursor-pointer hover:bg-white/10 transition-colors"
+                                        >
+                                            <input
+                                                type="checkbox"
+                                                checked={selectedPermissions.includes(permission.value)}
+                                                onChange={() => togglePermission(permission.value)}
+                                                className="w-4 h-4 text-teal-500 bg-white/5 border-white/20 rounded focus:ring-teal-500"
+                                            />
+                                            <span className="text-sm text-white">{permission.label}</span>
+                                            <code className="ml-auto text-xs text-gray-500">{permission.value}</code>
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="mb-4">
+                                <label className="block text-sm font-medium text-white mb-2">
+                                    {t('institution_admin.api_key_rate_limit') || 'Rate limit (requests per minute)'}
+                                </label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max="1000"
+                                    value={rateLimit}
+                                    onChange={(e) => setRateLimit(e.target.value)}
+                                    className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-teal-500"
+                                />
+                            </div>
+
                             <div className="flex gap-3 justify-end pt-4">
                                 <button
                                     type="button"
@@ -80,7 +140,7 @@ const ApiKeyModal = ({ isOpen, onClose, onCreate, loading, newApiKey, setNewApiK
                                 </button>
                                 <button
                                     type="submit"
-                                    disabled={loading || !name.trim()}
+                                    disabled={loading || !name.trim() || selectedPermissions.length === 0}
                                     className="px-4 py-2 bg-gradient-to-r from-blue-600 to-teal-500 text-white font-semibold rounded-lg hover:shadow-lg hover:shadow-teal-500/25 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
                                 >
                                     {loading ? (
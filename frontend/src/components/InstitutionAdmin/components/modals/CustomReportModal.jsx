@@ -0,0 +1,476 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, FileText, Plus, Download, Send, Trash2, History, Pencil, AlertCircle, CheckCircle, XCircle, PauseCircle, ChevronLeft } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { useState, useEffect } from 'react';
+
+const emptyForm = {
+    name: '',
+    description: '',
+    metrics: ['summary'],
+    format: 'xlsx',
+    schedule: 'none',
+    frequency: 'weekly',
+    scheduleDayOfWeek: 1,
+    scheduleDayOfMonth: 1,
+    scheduleHour: 8,
+    email: ''
+};
+
+const CustomReportModal = ({ isOpen, onClose, reports, loading, onFetchReports, onSave, onDelete, onRun, onFetchRuns }) => {
+    const { t } = useTranslation();
+    const [view, setView] = useState('list');
+    const [form, setForm] = useState(emptyForm);
+    const [editingId, setEditingId] = useState(null);
+    const [historyReportId, setHistoryReportId] = useState(null);
+    const [runs, setRuns] = useState([]);
+
+    useEffect(() => {
+        if (isOpen) {
+            onFetchReports();
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [isOpen]);
+
+    const availableMetrics = [
+        { value: 'summary', label: t('institution_admin.report_metric_summary') || 'Summary' },
+        { value: 'users', label: t('institution_admin.report_metric_users') || 'Users' },
+        { value: 'presentations', label: t('institution_admin.report_metric_presentations') || 'Presentations' },
+        { value: 'responses', label: t('institution_admin.report_metric_responses') || 'Responses per day' }
+    ];
+
+    const weekdays = [0, 1, 2, 3, 4, 5, 6].map(day => ({
+        value: day,
+        label: new Date(Date.UTC(2026, 0, 4 + day)).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })
+    }));
+
+    const frequencyLabels = {
+        daily: t('institution_admin.frequency_daily') || 'Daily',
+        weekly: t('institution_admin.frequency_weekly') || 'Weekly',
+        monthly: t('institution_admin.frequency_monthly') || 'Monthly'
+    };
+
+    const formatDateTime = (dateString) => {
+        if (!dateString) return '';
+        return new Date(dateString).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const openForm = (report = null) => {
+        setEditingId(report?.id || null);
+        setForm(report ? {
+            ...emptyForm,
+            ...report,
+            schedule: report.schedule && report.schedule !== 'none' ? 'scheduled' : 'none'
+        } : emptyForm);
+        setView('form');
+    };
+
+    const openHistory = async (reportId) => {
+        setHistoryReportId(reportId);
+        setRuns([]);
+        setView('history');
+        setRuns(await onFetchRuns(reportId));
+    };
+
+    const toggleMetric = (metric) => {
+        setForm(prev => ({
+            ...prev,
+            metrics: prev.metrics.includes(metric)
+                ? prev.metrics.filter(m => m !== metric)
+                : [...prev.metrics, metric]
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!form.name.trim() || form.metrics.length === 0) {
+            return;
+        }
+        const reportData = {
+            name: form.name.trim(),
+            description: form.description,
+            metrics: form.metrics,
+            format: form.format,
+            schedule: form.schedule,
+            frequency: form.frequency,
+            scheduleDayOfWeek: parseInt(form.scheduleDayOfWeek, 10),
+            scheduleDayOfMonth: parseInt(form.scheduleDayOfMonth, 10),
+            scheduleHour: parseInt(form.scheduleHour, 10),
+            email: form.email.trim()
+        };
+        const saved = await onSave(reportData, editingId);
+        if (saved) {
+            setView('list');
+        }
+    };
+
+    const handleClose = () => {
+        setView('list');
+        setForm(emptyForm);
+        setEditingId(null);
+        onClose();
+    };
+
+    const inputClass = 'w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-teal-500';
+
+    const renderStatus = (report) => {
+        if (report.schedulePaused) {
+            return (
+                <span className="px-2 py-0.5 bg-yellow-500/20 text-yellow-400 text-xs rounded-full flex items-center gap-1">
+                    <PauseCircle className="w-3 h-3" />
+                    {t('institution_admin.report_paused') || 'Paused'}
+                </span>
+            );
+        }
+        if (report.lastRunStatus === 'failed') {
+            return (
+                <span className="px-2 py-0.5 bg-red-500/20 text-red-400 text-xs rounded-full flex items-center gap-1">
+                    <XCircle className="w-3 h-3" />
+                    {t('institution_admin.report_last_run_failed') || 'Last run failed'}
+                </span>
+            );
+        }
+        if (report.lastRunStatus === 'success') {
+            return (
+                <span className="px-2 py-0.5 bg-green-500/20 text-green-400 text-xs rounded-full flex items-center gap-1">
+                    <CheckCircle className="w-3 h-3" />
+                    {t('institution_admin.report_last_run_ok') || 'Last run OK'}
+                </span>
+            );
+        }
+        return null;
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm"
+                    onClick={handleClose}
+                >
+                    <motion.div
+                        initial={{ scale: 0.95, opacity: 0 }}
+                        animate={{ scale: 1, opacity: 1 }}
+                        exit={{ scale: 0.95, opacity: 0 }}
+                        onClick={(e) => e.stopPropagation()}
+                        className="bg-[#1e293b] rounded-xl sm:rounded-2xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto border border-white/10"
+                    >
+                        <div className="p-6 border-b border-white/10 flex items-center justify-between">
+                            <div className="flex items-center gap-2">
+                                {view !== 'list' && (
+                                    <button
+                                        onClick={() => setView('list')}
+                                        className="p-2 hover:bg-white/10 rounded-lg transition-colors"
+                                    >
+                                        <ChevronLeft className="w-5 h-5" />
+                                    </button>
+                                )}
+                                <h2 className="text-xl sm:text-2xl font-bold">{t('institution_admin.custom_report_builder')}</h2>
+                            </div>
+                            <button
+                                onClick={handleClose}
+                                className="p-2 hover:bg-white/10 rounded-lg transition-colors"
+                            >
+                                <X className="w-5 h-5" />
+                            </button>
+                        </div>
+
+                        {view === 'list' && (
+                            <div className="p-6">
+                                <div className="flex items-center justify-between mb-4">
+                                    <p className="text-gray-400 text-sm">
+                                        {t('institution_admin.custom_report_description') || 'Build reports and have them emailed on a daily, weekly or monthly schedule.'}
+                                    </p>
+                                    <button
+                                        onClick={() => openForm()}
+                                        className="flex items-center gap-2 px-4 py-2 bg-teal-500 hover:bg-teal-600 text-white font-medium rounded-lg transition-colors flex-shrink-0 ml-4"
+                                    >
+                                        <Plus className="w-4 h-4" />
+                                        {t('institution_admin.new_report') || 'New report'}
+                                    </button>
+                                </div>
+
+                                {!reports || reports.length === 0 ? (
+                                    <div className="text-center py-12">
+                                        <FileText className="w-12 h-12 mx-auto mb-4 text-gray-500 opacity-50" />
+                                        <p className="text-gray-400">{t('institution_admin.no_custom_reports') || 'No custom reports yet'}</p>
+                                    </div>
+                                ) : (
+                                    <div className="space-y-3">
+                                        {reports.map((report) => (
+                                            <div key={report.id} className="bg-white/5 border border-white/10 rounded-lg p-4">
+                                                <div className="flex items-start justify-between gap-3">
+                                                    <div className="min-w-0">
+                                                        <div className="flex items-center gap-2 mb-1 flex-wrap">
+                                                            <h3 className="font-semibold text-white">{report.name}</h3>
+                                                            {renderStatus(report)}
+                                                        </div>
+                                                        <p className="text-xs text-gray-400">
+                                                            {report.schedule && report.schedule !== 'none'
+                                                                ? `${frequencyLabels[report.frequency] || report.frequency} · ${report.email}`
+                                                                : (t('institution_admin.report_not_scheduled') || 'Not scheduled')}
+                                                        </p>
+                                                        {report.nextRunAt && !report.schedulePaused && (
+                                                            <p className="text-xs text-gray-400">
+                                                                {t('institution_admin.report_next_run') || 'Next run'}: {formatDateTime(report.nextRunAt)}
+                                                            </p>
+                                                        )}
+                                                        {report.lastRunStatus === 'failed' && report.lastRunError && (
+                                                            <p className="text-xs text-red-400 flex items-start gap-1 mt-1">
+                                                                <AlertCircle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                                                                {report.lastRunError}
+                                                            </p>
+                                                        )}
+                                                    </div>
+                                                    <div className="flex items-center gap-1 flex-shrink-0">
+                                                        <button
+                                                            onClick={() => onRun(report)}
+                                                            className="p-2 text-gray-400 hover:text-white hover:bg-white/10 rounded-lg transition-colors"
+                                                            title={t('institution_admin.download') || 'Download'}
+                                                        >
+                                                            <Download className="w-4 h-4" />
+                                                        </button>
+                                                        {report.email && (
+                                                            <button
+                                                                onClick={() => onRun(report, { send: true })}
+                                                                className="p-2 text-gray-400 hover:text-white hover:bg-white/10 rounded-lg transition-colors"
+                                                                title={t('institution_admin.report_send_now') || 'Send now'}
+                                                            >
+                                                                <Send className="w-4 h-4" />
+                                                            </button>
+                                                        )}
+                                                        <button
+                                                            onClick={() => openHistory(report.id)}
+                                                            className="p-2 text-gray-400 hover:text-white hover:bg-white/10 rounded-lg transition-colors"
+                                                            title={t('institution_admin.report_run_history') || 'Run history'}
+                                                        >
+                                                            <History className="w-4 h-4" />
+                                                        </button>
+                                                        <button
+                                                            onClick={() => openForm(report)}
+                                                            className="p-2 text-gray-400 hover:text-white hover:bg-white/10 rounded-lg transition-colors"
+                                                            title={t('institution_admin.edit') || 'Edit'}
+                                                        >
+                                                            <Pencil className="w-4 h-4" />
+                                                        </button>
+                                                        <button
+                                                            onClick={() => onDelete(report.id)}
+                                                            className="p-2 text-red-400 hover:bg-red-500/20 rounded-lg transition-colors"
+                                                            title={t('institution_admin.delete') || 'Delete'}
+                                                        >
+                                                            <Trash2 className="w-4 h-4" />
+                                                        </button>
+                                                    </div>
+                                                </div>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {view === 'history' && (
+                            <div className="p-6">
+                                <h3 className="font-semibold text-white mb-4">
+                                    {reports?.find(r => r.id === historyReportId)?.name} — {t('institution_admin.report_run_history') || 'Run history'}
+                                </h3>
+                                {runs.length === 0 ? (
+                                    <p className="text-gray-400 text-sm">{t('institution_admin.no_report_runs') || 'This report has not run yet'}</p>
+                                ) : (
+                                    <div className="space-y-2">
+                                        {runs.map((run) => (
+                                            <div key={run.id} className="bg-black/20 rounded-lg p-3 text-xs">
+                                                <div className="flex items-center justify-between gap-2">
+                                                    <span className={`px-2 py-0.5 rounded-full ${run.status === 'success' ? 'bg-green-500/20 text-green-400' : run.status === 'failed' ? 'bg-red-500/20 text-red-400' : 'bg-yellow-500/20 text-yellow-400'}`}>
+                                                        {run.status}
+                                                    </span>
+                                                    <span className="text-gray-400">
+                                                        {formatDateTime(run.startedAt)} · {run.trigger === 'schedule' ? (t('institution_admin.report_trigger_schedule') || 'Scheduled') : (t('institution_admin.report_trigger_manual') || 'Manual')}
+                                                    </span>
+                                                </div>
+                                                {run.recipients?.length > 0 && (
+                                                    <p className="text-gray-400 mt-1">{run.recipients.join(', ')}</p>
+                                                )}
+                                                {run.error && (
+                                                    <p className="text-red-400 mt-1">{run.error}</p>
+                                                )}
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {view === 'form' && (
+                            <form onSubmit={handleSubmit} className="p-6 space-y-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-white mb-2">
+                                        {t('institution_admin.report_name') || 'Report name'}
+                                    </label>
+                                    <input
+                                        type="text"
+                                        value={form.name}
+                                        onChange={(e) => setForm({ ...form, name: e.target.value })}
+                                        placeholder={t('institution_admin.report_name_placeholder') || 'Monday digest'}
+                                        className={inputClass}
+                                        required
+                                    />
+                                </div>
+
+                                <div>
+                                    <label className="block text-sm font-medium text-white mb-2">
+                                        {t('institution_admin.report_metrics') || 'Include'}
+                                    </label>
+                                    <div className="grid grid-cols-2 gap-2">
+                                        {availableMetrics.map((metric) => (
+                                            <label
+                                                key={metric.value}
+                                                className="flex items-center gap-2 p-2 bg-white/5 border border-white/10 rounded-lg cursor-pointer hover:bg-white/10 transition-colors"
+                                            >
+                                                <input
+                                                    type="checkbox"
+                                                    checked={form.metrics.includes(metric.value)}
+                                                    onChange={() => toggleMetric(metric.value)}
+                                                    className="w-4 h-4 text-teal-500 bg-white/5 border-white/20 rounded focus:ring-teal-500"
+                                                />
+                                                <span className="text-sm text-white">{metric.label}</span>
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                <div className="grid grid-cols-2 gap-4">
+                                    <div>
+                                        <label className="block text-sm font-medium text-white mb-2">
+                                            {t('institution_admin.report_format') || 'Format'}
+                                        </label>
+                                        <select
+                                            value={form.format}
+                                            onChange={(e) => setForm({ ...form, format: e.target.value })}
+                                            className={inputClass}
+                                        >
+                                            <option value="xlsx" className="bg-[#1e293b]">Excel (.xlsx)</option>
+                                            <option value="csv" className="bg-[#1e293b]">CSV (.csv)</option>
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-white mb-2">
+                                            {t('institution_admin.report_schedule') || 'Schedule'}
+                                        </label>
+                                        <select
+                                            value={form.schedule === 'none' ? 'none' : form.frequency}
+                                            onChange={(e) => setForm(e.target.value === 'none'
+                                                ? { ...form, schedule: 'none' }
+                                                : { ...form, schedule: 'scheduled', frequency: e.target.value })}
+                                            className={inputClass}
+                                        >
+                                            <option value="none" className="bg-[#1e293b]">{t('institution_admin.report_not_scheduled') || 'Not scheduled'}</option>
+                                            <option value="daily" className="bg-[#1e293b]">{frequencyLabels.daily}</option>
+                                            <option value="weekly" className="bg-[#1e293b]">{frequencyLabels.weekly}</option>
+                                            <option value="monthly" className="bg-[#1e293b]">{frequencyLabels.monthly}</option>
+                                        </select>
+                                    </div>
+                                </div>
+
+                                {form.schedule !== 'none' && (
+                                    <>
+                                        <div className="grid grid-cols-2 gap-4">
+                                            {form.frequency === 'weekly' && (
+                                                <div>
+                                                    <label className="block text-sm font-medium text-white mb-2">
+                                                        {t('institution_admin.report_day_of_week') || 'Day'}
+                                                    </label>
+                                                    <select
+                                                        value={form.scheduleDayOfWeek}
+                                                        onChange={(e) => setForm({ ...form, scheduleDayOfWeek: e.target.value })}
+                                                        className={inputClass}
+                                                    >
+                                                        {weekdays.map(day => (
+                                                            <option key={day.value} value={day.value} className="bg-[#1e293b]">{day.label}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+                                            )}
+                                            {form.frequency === 'monthly' && (
+                                                <div>
+                                                    <label className="block text-sm font-medium text-white mb-2">
+                                                        {t('institution_admin.report_day_of_month') || 'Day of month'}
+                                                    </label>
+                                                    <input
+                                                        type="number"
+                                                        min="1"
+                                                        max="28"
+                                                        value={form.scheduleDayOfMonth}
+                                                        onChange={(e) => setForm({ ...form, scheduleDayOfMonth: e.target.value })}
+                                                        className={inputClass}
+                                                    />
+                                                </div>
+                                            )}
+                                            <div>
+                                                <label className="block text-sm font-medium text-white mb-2">
+                                                    {t('institution_admin.report_hour_utc') || 'Hour (UTC)'}
+                                                </label>
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    max="23"
+                                                    value={form.scheduleHour}
+                                                    onChange={(e) => setForm({ ...form, scheduleHour: e.target.value })}
+                                                    className={inputClass}
+                                                />
+                                            </div>
+                                        </div>
+
+                                        <div>
+                                            <label className="block text-sm font-medium text-white mb-2">
+                                                {t('institution_admin.report_recipients') || 'Recipients'}
+                                            </label>
+                                            <input
+                                                type="text"
+                                                value={form.email}
+                                                onChange={(e) => setForm({ ...form, email: e.target.value })}
+                                                placeholder="head@university.edu, dean@university.edu"
+                                                className={inputClass}
+                                                required
+                                            />
+                                            <p className="text-xs text-gray-400 mt-1">
+                                                {t('institution_admin.report_recipients_desc') || 'Separate multiple addresses with commas.'}
+                                            </p>
+                                        </div>
+                                    </>
+                                )}
+
+                                <div className="flex gap-3 justify-end pt-2">
+                                    <button
+                                        type="button"
+                                        onClick={() => setView('list')}
+                                        className="px-4 py-2 border border-white/20 rounded-lg text-white hover:bg-white/10 transition-colors"
+                                    >
+                                        {t('institution_admin.cancel')}
+                                    </button>
+                                    <button
+                                        type="submit"
+                                        disabled={loading || !form.name.trim() || form.metrics.length === 0}
+                                        className="px-4 py-2 bg-gradient-to-r from-blue-600 to-teal-500 text-white font-semibold rounded-lg hover:shadow-lg hover:shadow-teal-500/25 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                                    >
+                                        <FileText className="w-4 h-4" />
+                                        {t('institution_admin.save') || 'Save'}
+                                    </button>
+                                </div>
+                            </form>
+                        )}
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default CustomReportModal;
@@ -13,7 +13,10 @@ const WebhookModal = ({ isOpen, onClose, onCreate, loading, newWebhook, setNewWe
         { value: 'user.added', label: t('institution_admin.event_user_added') || 'User Added' },
         { value: 'user.removed', label: t('institution_admin.event_user_removed') || 'User Removed' },
         { value: 'presentation.created', label: t('institution_admin.event_presentation_created') || 'Presentation Created' },
+        { value: 'presentation.started', label: t('institution_admin.event_presentation_started') || 'Presentation Started' },
         { value: 'presentation.ended', label: t('institution_admin.event_presentation_ended') || 'Presentation Ended' },
+        { value: 'response.submitted', label: t('institution_admin.event_response_submitted') || 'Response Submitted' },
+        { value: 'quiz.ended', label: t('institution_admin.event_quiz_ended') || 'Quiz Ended' },
         { value: 'subscription.renewed', label: t('institution_admin.event_subscription_renewed') || 'Subscription Renewed' }
     ];
 
@@ -30,12 +33,13 @@ const WebhookModal = ({ isOpen, onClose, onCreate, loading, newWebhook, setNewWe
         if (!url.trim()) {
             return;
         }
-        setNewWebhook({
+        const webhookData = {
             url: url.trim(),
             events: selectedEvents,
             secret: secret.trim()
-        });
-        onCreate();
+        };
+        setNewWebhook(webhookData);
+        onCreate(webhookData);
     };
 
     const handleClose = () => {
@@ -131,7 +135,7 @@ const WebhookModal = ({ isOpen, onClose, onCreate, loading, newWebhook, setNewWe
                                     className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-teal-500"
                                 />
                                 <p className="text-xs text-gray-400 mt-1">
-                                    {t('institution_admin.webhook_secret_desc') || 'Optional secret for webhook verification. This will be included in the webhook payload.'}
+                                    {t('institution_admin.webhook_secret_desc') || 'Used to sign each request (X-Inavora-Signature header). Leave empty to generate one automatically.'}
                                 </p>
                             </div>
 
@@ -59,6 +59,13 @@ export const useInstitutionAdminData = ({ adminUserId, fetchStats }) => {
     
     // API Management state
     const [apiKeys, setApiKeys] = useState([]);
+    const [createdApiKey, setCreatedApiKey] = useState(null);
+    
+    // Custom Reports state
+    const [customReports, setCustomReports] = useState([]);
+
+    // Institution templates state
+    const [institutionTemplates, setInstitutionTemplates] = useState([]);
     const [webhooks, setWebhooks] = useState([]);
     
     // Modals state
@@ -66,6 +73,7 @@ export const useInstitutionAdminData = ({ adminUserId, fetchStats }) => {
     const [isPaymentModalOpen, setIsPaymentModalOpen] = useState(false);
     const [isBulkImportModalOpen, setIsBulkImportModalOpen] = useState(false);
     const [isReportsModalOpen, setIsReportsModalOpen] = useState(false);
+    const [isCustomReportModalOpen, setIsCustomReportModalOpen] = useState(false);
     const [isApiKeyModalOpen, setIsApiKeyModalOpen] = useState(false);
     const [isWebhookModalOpen, setIsWebhookModalOpen] = useState(false);
     
@@ -677,12 +685,14 @@ export const useInstitutionAdminData = ({ adminUserId, fetchStats }) => {
     };
 
     // Handle Create API Key
-    const handleCreateApiKey = async () => {
+    const handleCreateApiKey = async (apiKeyData = newApiKey) => {
         setLoading(true);
         try {
-            const response = await api.post('/institution-admin/api-keys', newApiKey);
+            const response = await api.post('/institution-admin/api-keys', apiKeyData);
             if (response.data.success) {
                 toast.success(t('institution_admin.api_key_created'));
+                // The full key is only returned once, keep it until the admin dismisses it
+                setCreatedApiKey(response.data.key);
                 setIsApiKeyModalOpen(false);
                 setNewApiKey({ name: '', permissions: [] });
                 fetchApiKeys();
@@ -721,10 +731,10 @@ export const useInstitutionAdminData = ({ adminUserId, fetchStats }) => {
     };
 
     // Handle Create Webhook
-    const handleCreateWebhook = async () => {
+    const handleCreateWebhook = async (webhookData = newWebhook) => {
         setLoading(true);
         try {
-            const response = await api.post('/institution-admin/webhooks', newWebhook);
+            const response = await api.post('/institution-admin/webhooks', webhookData);
             if (response.data.success) {
                 toast.success(t('institution_admin.webhook_created'));
                 setIsWebhookModalOpen(false);
@@ -752,6 +762,161 @@ export const useInstitutionAdminData = ({ adminUserId, fetchStats }) => {
         }
     };
 
+    // Fetch Webhook Deliveries
+    const fetchWebhookDeliveries = async (webhookId) => {
+        try {
+            const response = await api.get(`/institution-admin/webhooks/${webhookId}/deliveries`);
+            if (response.data.success) {
+                return response.data.deliveries || [];
+            }
+        } catch (error) {
+            toast.error(translateError(error, t, 'institution_admin.webhook_deliveries_error'));
+        }
+        return [];
+    };
+
+    // Handle Redeliver Webhook
+    const handleRedeliverWebhook = async (deliveryId) => {
+        try {
+            const response = await api.post(`/institution-admin/webhooks/deliveries/${deliveryId}/redeliver`);
+            if (response.data.success) {
+                toast.success(t('institution_admin.webhook_redelivered'));
+                return response.data.delivery;
+            }
+        } catch (error) {
+            toast.error(translateError(error, t, 'institution_admin.webhook_redeliver_error'));
+        }
+        return null;
+    };
+
+    // Fetch Custom Reports
+    const fetchCustomReports = async () => {
+        try {
+            const response = await api.get('/institution-admin/custom-reports');
+            if (response.data.success) {
+                setCustomReports(response.data.reports || []);
+            }
+        } catch (error) {
+            console.error('Error fetching custom reports:', error);
+        }
+    };
+
+    // Handle Save Custom Report (create or update)
+    const handleSaveCustomReport = async (reportData, reportId = null) => {
+        setLoading(true);
+        try {
+            const response = reportId
+                ? await api.put(`/institution-admin/custom-reports/${reportId}`, reportData)
+                : await api.post('/institution-admin/custom-reports', reportData);
+            if (response.data.success) {
+                toast.success(t('institution_admin.custom_report_saved'));
+                fetchCustomReports();
+                return true;
+            }
+        } catch (error) {
+            toast.error(translateError(error, t, 'institution_admin.custom_report_save_error'));
+        } finally {
+            setLoading(false);
+        }
+        return false;
+    };
+
+    // Handle Delete Custom Report
+    const handleDeleteCustomReport = async (reportId) => {
+        if (!window.confirm(t('institution_admin.delete_custom_report_confirm'))) return;
+        try {
+            const response = await api.delete(`/institution-admin/custom-reports/${reportId}`);
+            if (response.data.success) {
+                toast.success(t('institution_admin.custom_report_deleted'));
+                fetchCustomReports();
+            }
+        } catch (error) {
+            toast.error(translateError(error, t, 'institution_admin.custom_report_delete_error'));
+        }
+    };
+
+    // Handle Run Custom Report (download, and email it when send is true)
+    const handleRunCustomReport = async (report, { send = false } = {}) => {
+        try {
+            const response = await api.post(
+                `/institution-admin/custom-reports/${report.id}/generate`,
+                { send },
+                { responseType: 'blob' }
+            );
+            const extension = report.format === 'csv' ? 'csv' : 'xlsx';
+            const url = window.URL.createObjectURL(new Blob([response.data]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${report.name}-${new Date().toISOString().split('T')[0]}.${extension}`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+            toast.success(send
+                ? t('institution_admin.custom_report_sent')
+                : t('institution_admin.custom_report_generated'));
+            fetchCustomReports();
+        } catch (error) {
+            toast.error(translateError(error, t, 'institution_admin.custom_report_generate_error'));
+        }
+    };
+
+    // Fetch Custom Report Runs
+    const fetchCustomReportRuns = async (reportId) => {
+        try {
+            const response = await api.get(`/institution-admin/custom-reports/${reportId}/runs`);
+            if (response.data.success) {
+                return response.data.runs || [];
+            }
+        } catch (error) {
+            toast.error(translateError(error, t, 'institution_admin.custom_report_runs_error'));
+        }
+        return [];
+    };
+
+    // Fetch templates published to institution users
+    const fetchInstitutionTemplates = async () => {
+        try {
+            const response = await api.get('/institution-admin/templates');
+            if (response.data.success) {
+                setInstitutionTemplates(response.data.data.templates || []);
+            }
+        } catch (error) {
+            console.error('Error fetching institution templates:', error);
+        }
+    };
+
+    // Publish a presentation as a template for all institution users
+    const handlePublishTemplate = async (presentationId, templateData) => {
+        try {
+            const response = await api.post(`/institution-admin/presentations/${presentationId}/template`, templateData, {
+                timeout: 120000 // Media is copied into the template
+            });
+            if (response.data.success) {
+                toast.success(t('institution_admin.template_published') || 'Template published to your institution');
+                fetchInstitutionTemplates();
+                return true;
+            }
+        } catch (error) {
+            toast.error(translateError(error, t, 'institution_admin.template_publish_error'));
+        }
+        return false;
+    };
+
+    // Remove a published template
+    const handleDeleteInstitutionTemplate = async (templateId) => {
+        if (!window.confirm(t('institution_admin.delete_template_confirm') || 'Remove this template for all institution users?')) return;
+        try {
+            const response = await api.delete(`/institution-admin/templates/${templateId}`);
+            if (response.data.success) {
+                toast.success(t('institution_admin.template_removed') || 'Template removed');
+                fetchInstitutionTemplates();
+            }
+        } catch (error) {
+            toast.error(translateError(error, t, 'institution_admin.template_remove_error'));
+        }
+    };
+
     return {
         // Users
         users,
@@ -811,6 +976,8 @@ export const useInstitutionAdminData = ({ adminUserId, fetchStats }) => {
         
         // API Management
         apiKeys,
+        createdApiKey,
+        setCreatedApiKey,
         webhooks,
         fetchApiKeys,
         fetchWebhooks,
@@ -818,11 +985,27 @@ export const useInstitutionAdminData = ({ adminUserId, fetchStats }) => {
         handleDeleteApiKey,
         handleCreateWebhook,
         handleDeleteWebhook,
+        fetchWebhookDeliveries,
+        handleRedeliverWebhook,
         newApiKey,
         setNewApiKey,
         newWebhook,
         setNewWebhook,
         
+        // Custom Reports
+        customReports,
+        fetchCustomReports,
+        handleSaveCustomReport,
+        handleDeleteCustomReport,
+        handleRunCustomReport,
+        fetchCustomReportRuns,
+
+        // Institution templates
+        institutionTemplates,
+        fetchInstitutionTemplates,
+        handlePublishTemplate,
+        handleDeleteInstitutionTemplate,
+        
         // Modals
         isAddUserModalOpen,
         setIsAddUserModalOpen,
@@ -832,6 +1015,8 @@ export const useInstitutionAdminData = ({ adminUserId, fetchStats }) => {
         setIsBulkImportModalOpen,
         isReportsModalOpen,
         setIsReportsModalOpen,
+        isCustomReportModalOpen,
+        setIsCustomReportModalOpen,
         isApiKeyModalOpen,
         setIsApiKeyModalOpen,
         isWebhookModalOpen,
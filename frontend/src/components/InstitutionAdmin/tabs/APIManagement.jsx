@@ -7,20 +7,24 @@ import {
     Plus,
     Trash2,
     Copy,
-    Eye,
-    EyeOff,
     CheckCircle,
     XCircle,
     Calendar,
     ExternalLink,
     RefreshCw,
     AlertCircle,
-    Info
+    Info,
+    ChevronDown,
+    ChevronUp,
+    Send,
+    Clock
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 const APIManagement = ({ 
     apiKeys, 
+    createdApiKey,
+    onDismissCreatedApiKey,
     webhooks, 
     loading, 
     onOpenApiKeyModal, 
@@ -30,11 +34,16 @@ const APIManagement = ({
     onCreateWebhook, 
     onDeleteWebhook, 
     onFetchApiKeys, 
-    onFetchWebhooks 
+    onFetchWebhooks,
+    onFetchWebhookDeliveries,
+    onRedeliverWebhook
 }) => {
     const { t } = useTranslation();
-    const [revealedKeys, setRevealedKeys] = useState({});
     const [copiedKey, setCopiedKey] = useState(null);
+    const [expandedWebhook, setExpandedWebhook] = useState(null);
+    const [deliveries, setDeliveries] = useState({});
+    const [deliveriesLoading, setDeliveriesLoading] = useState(false);
+    const [redeliveringId, setRedeliveringId] = useState(null);
 
     // Fetch data on mount only
     useEffect(() => {
@@ -43,14 +52,6 @@ const APIManagement = ({
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, []);
 
-    // Toggle key visibility
-    const toggleKeyVisibility = (keyId) => {
-        setRevealedKeys(prev => ({
-            ...prev,
-            [keyId]: !prev[keyId]
-        }));
-    };
-
     // Copy to clipboard
     const copyToClipboard = async (text, keyId) => {
         try {
@@ -73,11 +74,47 @@ const APIManagement = ({
         });
     };
 
-    // Mask API key
-    const maskApiKey = (key) => {
-        if (!key) return '';
-        if (key.length <= 8) return '•'.repeat(key.length);
-        return key.substring(0, 8) + '•'.repeat(key.length - 12) + key.substring(key.length - 4);
+    // Load the delivery log of a webhook
+    const loadDeliveries = async (webhookId) => {
+        setDeliveriesLoading(true);
+        const result = await onFetchWebhookDeliveries(webhookId);
+        setDeliveries(prev => ({ ...prev, [webhookId]: result }));
+        setDeliveriesLoading(false);
+    };
+
+    // Toggle delivery log
+    const toggleDeliveries = (webhookId) => {
+        if (expandedWebhook === webhookId) {
+            setExpandedWebhook(null);
+            return;
+        }
+        setExpandedWebhook(webhookId);
+        loadDeliveries(webhookId);
+    };
+
+    // Redeliver a past event and refresh the log
+    const handleRedeliver = async (webhookId, deliveryId) => {
+        setRedeliveringId(deliveryId);
+        await onRedeliverWebhook(deliveryId);
+        setRedeliveringId(null);
+        loadDeliveries(webhookId);
+    };
+
+    // Format date and time
+    const formatDateTime = (dateString) => {
+        if (!dateString) return '';
+        return new Date(dateString).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const deliveryStatusStyles = {
+        success: 'bg-green-500/20 text-green-400',
+        pending: 'bg-yellow-500/20 text-yellow-400',
+        failed: 'bg-red-500/20 text-red-400'
     };
 
     return (
@@ -95,6 +132,49 @@ const APIManagement = ({
                 </p>
             </div>
 
+            {/* Newly created key, shown once */}
+            {createdApiKey?.key && (
+                <div className="mb-6 p-4 bg-green-500/10 border border-green-500/30 rounded-xl">
+                    <div className="flex items-start justify-between gap-4 mb-3">
+                        <div className="flex items-start gap-2">
+                            <CheckCircle className="w-5 h-5 text-green-400 mt-0.5 flex-shrink-0" />
+                            <div>
+                                <p className="font-semibold text-white">{createdApiKey.name}</p>
+                                <p className="text-sm text-green-400">
+                                    {t('institution_admin.api_key_copy_now') || 'Copy this key now. For security it will not be shown again.'}
+                                </p>
+                            </div>
+                        </div>
+                        <button
+                            onClick={onDismissCreatedApiKey}
+                            className="p-1.5 text-gray-400 hover:text-white transition-colors flex-shrink-0"
+                            title={t('institution_admin.dismiss') || 'Dismiss'}
+                        >
+                            <XCircle className="w-4 h-4" />
+                        </button>
+                    </div>
+                    <div className="flex items-center gap-2 bg-black/20 rounded-lg p-3">
+                        <code className="flex-1 text-sm font-mono text-gray-300 break-all">
+                            {createdApiKey.key}
+                        </code>
+                        <button
+                            onClick={() => copyToClipboard(createdApiKey.key, createdApiKey.id)}
+                            className="p-1.5 text-gray-400 hover:text-white transition-colors"
+                            title={t('institution_admin.copy') || 'Copy'}
+                        >
+                            {copiedKey === createdApiKey.id ? (
+                                <CheckCircle className="w-4 h-4 text-green-400" />
+                            ) : (
+                                <Copy className="w-4 h-4" />
+                            )}
+                        </button>
+                    </div>
+                    <p className="text-xs text-gray-400 mt-2">
+                        {t('institution_admin.api_key_usage_hint') || 'Send it in the X-API-Key header to /api/v1 endpoints.'}
+                    </p>
+                </div>
+            )}
+
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                 {/* API Keys Section */}
                 <div className="bg-white/5 border border-white/10 rounded-xl backdrop-blur-sm overflow-hidden">
@@ -181,36 +261,35 @@ const APIManagement = ({
                                             </button>
                                         </div>
 
-                                        {/* API Key Value */}
+                                        {/* API Key Prefix (the full key is only shown once at creation) */}
                                         <div className="bg-black/20 rounded-lg p-3 mb-3">
-                                            <div className="flex items-center gap-2">
-                                                <code className="flex-1 text-sm font-mono text-gray-300 break-all">
-                                                    {revealedKeys[apiKey.id] ? apiKey.key : maskApiKey(apiKey.key)}
-                                                </code>
-                                                <div className="flex items-center gap-1">
-                                                    <button
-                                                        onClick={() => toggleKeyVisibility(apiKey.id)}
-                                                        className="p-1.5 text-gray-400 hover:text-white transition-colors"
-                                                        title={revealedKeys[apiKey.id] ? (t('institution_admin.hide') || 'Hide') : (t('institution_admin.show') || 'Show')}
-                                                    >
-                                                        {revealedKeys[apiKey.id] ? (
-                                                            <EyeOff className="w-4 h-4" />
-                                                        ) : (
-                                                            <Eye className="w-4 h-4" />
-                                                        )}
-                                                    </button>
-                                                    <button
-                                                        onClick={() => copyToClipboard(apiKey.key, apiKey.id)}
-                                                        className="p-1.5 text-gray-400 hover:text-white transition-colors"
-                                                        title={t('institution_admin.copy') || 'Copy'}
+                                            <code className="text-sm font-mono text-gray-300 break-all">
+                                                {apiKey.keyPrefix}{'•'.repeat(16)}
+                                            </code>
+                                        </div>
+
+                                        {/* Permissions & Usage */}
+                                        <div className="mb-3">
+                                            <div className="flex flex-wrap gap-2 mb-2">
+                                                {(apiKey.permissions || []).map((permission) => (
+                                                    <span
+                                                        key={permission}
+                                                        className="px-2 py-1 bg-blue-500/20 text-blue-400 text-xs rounded"
                                                     >
-                                                        {copiedKey === apiKey.id ? (
-                                                            <CheckCircle className="w-4 h-4 text-green-400" />
-                                                        ) : (
-                                                            <Copy className="w-4 h-4" />
-                                                        )}
-                                                    </button>
-                                                </div>
+                                                        {permission}
+                                                    </span>
+                                                ))}
+                                            </div>
+                                            <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-400">
+                                                <span>
+                                                    {t('institution_admin.api_key_rate_limit_short', { count: apiKey.rateLimit }) || `${apiKey.rateLimit} requests/min`}
+                                                </span>
+                                                <span className="flex items-center gap-1">
+                                                    <Clock className="w-3 h-3" />
+                                                    {apiKey.lastUsedAt
+                                                        ? `${t('institution_admin.last_used') || 'Last used'} ${formatDateTime(apiKey.lastUsedAt)}`
+                                                        : (t('institution_admin.never_used') || 'Never used')}
+                                                </span>
                                             </div>
                                         </div>
 
@@ -374,6 +453,88 @@ const APIManagement = ({
                                                 {t('institution_admin.webhook_info') || 'Webhooks will receive POST requests when configured events occur.'}
                                             </p>
                                         </div>
+
+                                        {/* Delivery Log */}
+                                        <div className="mt-3">
+                                            <button
+                                                onClick={() => toggleDeliveries(webhook.id)}
+                                                className="flex items-center gap-1 text-xs text-gray-400 hover:text-white transition-colors"
+                                            >
+                                                {expandedWebhook === webhook.id ? (
+                                                    <ChevronUp className="w-3 h-3" />
+                                                ) : (
+                                                    <ChevronDown className="w-3 h-3" />
+                                                )}
+                                                {t('institution_admin.recent_deliveries') || 'Recent deliveries'}
+                                            </button>
+
+                                            {expandedWebhook === webhook.id && (
+                                                <div className="mt-2 space-y-2">
+                                                    {deliveriesLoading && !deliveries[webhook.id] ? (
+                                                        <div className="flex items-center gap-2 text-xs text-gray-400 py-2">
+                                                            <RefreshCw className="w-3 h-3 animate-spin" />
+                                                            {t('institution_admin.loading') || 'Loading...'}
+                                                        </div>
+                                                    ) : !deliveries[webhook.id] || deliveries[webhook.id].length === 0 ? (
+                                                        <p className="text-xs text-gray-500 py-2">
+                                                            {t('institution_admin.no_webhook_deliveries') || 'No deliveries yet'}
+                                                        </p>
+                                                    ) : (
+                                                        deliveries[webhook.id].map((delivery) => (
+                                                            <div
+                                                                key={delivery.id}
+                                                                className="bg-black/20 rounded-lg p-2 text-xs"
+                                                            >
+                                                                <div className="flex items-center justify-between gap-2">
+                                                                    <div className="flex items-center gap-2 min-w-0">
+                                                                        <span className={`px-2 py-0.5 rounded-full ${deliveryStatusStyles[delivery.status] || 'bg-gray-500/20 text-gray-400'}`}>
+                                                                            {t(`institution_admin.delivery_status_${delivery.status}`) || delivery.status}
+                                                                        </span>
+                                                                        <span className="text-gray-300 truncate">{delivery.event}</span>
+                                                                    </div>
+                                                                    <button
+                                                                        onClick={() => handleRedeliver(webhook.id, delivery.id)}
+                                                                        disabled={redeliveringId === delivery.id}
+                                                                        className="flex items-center gap-1 px-2 py-1 text-teal-400 hover:bg-teal-500/20 rounded transition-colors disabled:opacity-50 flex-shrink-0"
+                                                                        title={t('institution_admin.redeliver') || 'Redeliver'}
+                                                                    >
+                                                                        {redeliveringId === delivery.id ? (
+                                                                            <RefreshCw className="w-3 h-3 animate-spin" />
+                                                                        ) : (
+                                                                            <Send className="w-3 h-3" />
+                                                                        )}
+                                                                        {t('institution_admin.redeliver') || 'Redeliver'}
+                                                                    </button>
+                                                                </div>
+                                                                <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mt-1 text-gray-400">
+                                                                    <span className="flex items-center gap-1">
+                                                                        <Clock className="w-3 h-3" />
+                                                                        {formatDateTime(delivery.createdAt)}
+                                                                    </span>
+                                                                    <span>
+                                                                        {t('institution_admin.delivery_attempts') || 'Attempts'}: {delivery.attempts}
+                                                                    </span>
+                                                                    {delivery.responseStatus && (
+                                                                        <span>HTTP {delivery.responseStatus}</span>
+                                                                    )}
+                                                                    {delivery.status === 'pending' && delivery.nextAttemptAt && delivery.attempts > 0 && (
+                                                                        <span>
+                                                                            {t('institution_admin.delivery_next_attempt') || 'Next attempt'}: {formatDateTime(delivery.nextAttemptAt)}
+                                                                        </span>
+                                                                    )}
+                                                                </div>
+                                                                {delivery.error && (
+                                                                    <p className="flex items-start gap-1 mt-1 text-red-400 break-all">
+                                                                        <AlertCircle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                                                                        {delivery.error}
+                                                                    </p>
+                                                                )}
+                                                            </div>
+                                                        ))
+                                                    )}
+                                                </div>
+                                            )}
+                                        </div>
                                     </motion.div>
                                 ))}
                             </div>
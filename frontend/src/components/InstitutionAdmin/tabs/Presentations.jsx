@@ -1,17 +1,21 @@
 import { motion } from 'framer-motion';
 import { useTranslation } from 'react-i18next';
 import { useNavigate } from 'react-router-dom';
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import {
     Presentation,
     Search,
     UserCheck,
     Activity,
     Eye,
-    Calendar
+    Calendar,
+    LayoutTemplate,
+    BookmarkPlus,
+    Trash2
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { getBrandingColors, getRgbaColor } from '../utils/brandingColors';
+import SaveTemplateModal from '../../common/SaveTemplateModal';
 
 const Presentations = ({ 
     presentations, 
@@ -27,11 +31,28 @@ const Presentations = ({
     setShowMyPresentations, 
     adminUserId, 
     onFetchPresentations,
-    institution
+    institution,
+    templates = [],
+    onFetchTemplates,
+    onPublishTemplate,
+    onDeleteTemplate
 }) => {
     const { t } = useTranslation();
     const navigate = useNavigate();
     const { primaryColor, secondaryColor } = getBrandingColors(institution);
+    const [presentationToPublish, setPresentationToPublish] = useState(null);
+
+    useEffect(() => {
+        onFetchTemplates?.();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    const handlePublish = async (templateData) => {
+        const published = await onPublishTemplate(presentationToPublish.id, templateData);
+        if (published) {
+            setPresentationToPublish(null);
+        }
+    };
 
     // Refetch presentations when filters change
     useEffect(() => {
@@ -53,6 +74,42 @@ const Presentations = ({
                 <p className="text-gray-400">{t('institution_admin.presentations_description')}</p>
             </div>
 
+            {/* Published templates */}
+            <div className="bg-white/5 border border-white/10 rounded-xl p-4 mb-6 backdrop-blur-sm">
+                <h2 className="text-lg font-semibold text-white mb-1 flex items-center gap-2">
+                    <LayoutTemplate className="w-5 h-5" style={{ color: secondaryColor }} />
+                    {t('institution_admin.templates_title') || 'Institution templates'}
+                </h2>
+                <p className="text-sm text-gray-400 mb-4">
+                    {t('institution_admin.templates_description') || 'Templates you publish appear in the template gallery of every user in your institution.'}
+                </p>
+                {templates.length === 0 ? (
+                    <p className="text-sm text-gray-500">
+                        {t('institution_admin.no_templates') || 'No templates published yet. Use "Publish as template" on a presentation below.'}
+                    </p>
+                ) : (
+                    <div className="space-y-2">
+                        {templates.map((template) => (
+                            <div key={template.id} className="flex items-center justify-between gap-4 bg-black/20 border border-white/5 rounded-lg px-4 py-3">
+                                <div className="min-w-0">
+                                    <p className="text-white font-medium truncate">{template.title}</p>
+                                    <p className="text-xs text-gray-500">
+                                        {template.slideCount || 0} slides · {new Date(template.createdAt).toLocaleDateString()}
+                                    </p>
+                                </div>
+                                <button
+                                    onClick={() => onDeleteTemplate(template.id)}
+                                    className="p-2 text-gray-400 hover:text-red-400 hover:bg-red-500/10 rounded-lg transition-colors"
+                                    title={t('institution_admin.remove_template') || 'Remove template'}
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
             {/* Filters */}
             <div className="bg-white/5 border border-white/10 rounded-xl p-4 mb-6 backdrop-blur-sm">
                 <div className="flex flex-col sm:flex-row gap-4">
@@ -168,6 +225,15 @@ const Presentations = ({
                                         </div>
                                     </div>
                                     <div className="flex items-center gap-2">
+                                        <button
+                                            onClick={() => setPresentationToPublish(presentation)}
+                                            disabled={!presentation.slideCount}
+                                            className="px-4 py-2 bg-white/10 border border-white/20 text-white text-sm font-medium rounded-lg hover:bg-white/20 transition-all flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                                            title={t('institution_admin.publish_template') || 'Publish as template'}
+                                        >
+                                            <BookmarkPlus className="w-4 h-4" />
+                                            {t('institution_admin.publish_template') || 'Publish as template'}
+                                        </button>
                                         <button
                                             onClick={() => navigate(`/presentation/${presentation.id}`)}
                                             className="px-4 py-2 bg-gradient-to-r from-blue-600 to-teal-500 text-white text-sm font-medium rounded-lg hover:shadow-lg hover:shadow-teal-500/25 transition-all flex items-center gap-2"
@@ -209,6 +275,14 @@ const Presentations = ({
                     )}
                 </>
             )}
+
+            <SaveTemplateModal
+                isOpen={Boolean(presentationToPublish)}
+                presentation={presentationToPublish}
+                onClose={() => setPresentationToPublish(null)}
+                onSave={handlePublish}
+                heading={t('institution_admin.publish_template') || 'Publish as template'}
+            />
         </motion.div>
     );
 };
@@ -8,3 +8,4 @@ export { default as AuditLogs } from './AuditLogs';
 export { default as Settings } from './Settings';
 export { default as HelpCenter } from './HelpCenter';
 
+export { default as APIManagement } from './APIManagement';
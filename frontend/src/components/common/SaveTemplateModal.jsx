@@ -0,0 +1,120 @@
+import { motion, AnimatePresence } from 'framer-motion'; // eslint-disable-line no-unused-vars
+import { X, BookmarkPlus, Loader2 } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { useState, useEffect } from 'react';
+
+/**
+ * Asks for a template title and description before saving a presentation as a template.
+ * Also used by institution admins to publish a presentation to their institution.
+ */
+const SaveTemplateModal = ({ isOpen, presentation, onClose, onSave, heading }) => {
+    const { t } = useTranslation();
+    const [title, setTitle] = useState('');
+    const [description, setDescription] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (isOpen) {
+            setTitle(presentation?.title || '');
+            setDescription('');
+        }
+    }, [isOpen, presentation]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!title.trim()) return;
+
+        setSaving(true);
+        try {
+            await onSave({ title: title.trim(), description: description.trim() });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm"
+                    onClick={() => !saving && onClose()}
+                >
+                    <motion.div
+                        initial={{ scale: 0.95, opacity: 0 }}
+                        animate={{ scale: 1, opacity: 1 }}
+                        exit={{ scale: 0.95, opacity: 0 }}
+                        onClick={(e) => e.stopPropagation()}
+                        className="bg-[#1e293b] rounded-xl sm:rounded-2xl shadow-2xl w-full max-w-md border border-white/10"
+                    >
+                        <div className="p-6 border-b border-white/10 flex items-center justify-between">
+                            <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                                <BookmarkPlus className="w-5 h-5 text-teal-400" />
+                                {heading || t('templates.save_as_template') || 'Save as template'}
+                            </h2>
+                            <button
+                                onClick={onClose}
+                                className="p-2 hover:bg-white/10 rounded-lg transition-colors"
+                                disabled={saving}
+                            >
+                                <X className="w-5 h-5 text-gray-400" />
+                            </button>
+                        </div>
+
+                        <form onSubmit={handleSubmit} className="p-6 space-y-5">
+                            <div>
+                                <label className="block text-sm font-medium text-white mb-2">
+                                    {t('templates.template_title') || 'Template title'}
+                                </label>
+                                <input
+                                    type="text"
+                                    value={title}
+                                    onChange={(e) => setTitle(e.target.value)}
+                                    maxLength={200}
+                                    className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-teal-500"
+                                    disabled={saving}
+                                    autoFocus
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-white mb-2">
+                                    {t('templates.template_description') || 'Description (optional)'}
+                                </label>
+                                <textarea
+                                    value={description}
+                                    onChange={(e) => setDescription(e.target.value)}
+                                    maxLength={500}
+                                    rows={3}
+                                    className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-teal-500 resize-none"
+                                    disabled={saving}
+                                />
+                            </div>
+                            <div className="flex gap-3 justify-end">
+                                <button
+                                    type="button"
+                                    onClick={onClose}
+                                    disabled={saving}
+                                    className="px-5 py-2.5 text-gray-400 hover:text-white hover:bg-white/5 rounded-xl transition-colors font-medium"
+                                >
+                                    {t('dashboard.cancel') || 'Cancel'}
+                                </button>
+                                <button
+                                    type="submit"
+                                    disabled={saving || !title.trim()}
+                                    className="px-5 py-2.5 bg-teal-500/20 text-teal-300 border border-teal-500/30 hover:bg-teal-500/30 rounded-xl transition-all flex items-center gap-2 font-bold disabled:opacity-50"
+                                >
+                                    {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+                                    {t('templates.save') || 'Save template'}
+                                </button>
+                            </div>
+                        </form>
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default SaveTemplateModal;
@@ -0,0 +1,168 @@
+import { motion, AnimatePresence } from 'framer-motion'; // eslint-disable-line no-unused-vars
+import { X, LayoutTemplate, Loader2, Trash2, Smile, RotateCcw, ClipboardCheck, Trophy, Building2, Bookmark } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import * as presentationService from '../../services/presentationService';
+
+const CATEGORY_ICONS = {
+    icebreaker: Smile,
+    retrospective: RotateCcw,
+    course_evaluation: ClipboardCheck,
+    pub_quiz: Trophy
+};
+
+const TemplateGalleryModal = ({ isOpen, onClose, onUseTemplate, isCreating }) => {
+    const { t } = useTranslation();
+    const [templates, setTemplates] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [deletingId, setDeletingId] = useState(null);
+
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const originalOverflow = document.body.style.overflow;
+        document.body.style.overflow = 'hidden';
+
+        const loadTemplates = async () => {
+            setLoading(true);
+            try {
+                const data = await presentationService.getTemplates();
+                setTemplates(data.templates);
+            } catch (error) {
+                console.error('Load templates error:', error);
+                toast.error(t('templates.load_error') || 'Failed to load templates');
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadTemplates();
+
+        return () => {
+            document.body.style.overflow = originalOverflow;
+        };
+    }, [isOpen, t]);
+
+    const handleDelete = async (template, e) => {
+        e.stopPropagation();
+        setDeletingId(template.id);
+        try {
+            await presentationService.deleteTemplate(template.id);
+            setTemplates(prev => ({ ...prev, mine: prev.mine.filter(item => item.id !== template.id) }));
+            toast.success(t('templates.deleted') || 'Template deleted');
+        } catch (error) {
+            console.error('Delete template error:', error);
+            toast.error(t('templates.delete_error') || 'Failed to delete the template');
+        } finally {
+            setDeletingId(null);
+        }
+    };
+
+    const renderTemplate = (template, canDelete = false) => {
+        const Icon = CATEGORY_ICONS[template.category] || (template.scope === 'institution' ? Building2 : Bookmark);
+        const title = template.scope === 'system' ? (t(`templates.system.${template.id}.title`) || template.title) : template.title;
+        const description = template.scope === 'system'
+            ? (t(`templates.system.${template.id}.description`) || template.description)
+            : template.description;
+
+        return (
+            <button
+                key={template.id}
+                type="button"
+                onClick={() => onUseTemplate(template)}
+                disabled={isCreating}
+                className="group text-left bg-white/5 border border-white/10 rounded-xl p-4 hover:border-teal-500/50 hover:bg-white/10 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+                <div className="flex items-start justify-between gap-2 mb-3">
+                    <div className="w-10 h-10 rounded-lg bg-teal-500/10 flex items-center justify-center text-teal-400">
+                        <Icon className="w-5 h-5" />
+                    </div>
+                    {canDelete && (
+                        <span
+                            role="button"
+                            tabIndex={0}
+                            onClick={(e) => handleDelete(template, e)}
+                            className="p-2 text-gray-500 hover:text-red-400 hover:bg-red-500/10 rounded-lg transition-colors"
+                            title={t('templates.delete') || 'Delete template'}
+                        >
+                            {deletingId === template.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+                        </span>
+                    )}
+                </div>
+                <h4 className="font-semibold text-white mb-1 truncate group-hover:text-teal-400 transition-colors">{title}</h4>
+                {description && <p className="text-sm text-gray-400 line-clamp-2 mb-2">{description}</p>}
+                <p className="text-xs text-gray-500">
+                    {t('templates.slide_count', { count: template.slideCount }) || `${template.slideCount} slides`}
+                </p>
+            </button>
+        );
+    };
+
+    const renderSection = (key, heading, items, canDelete = false) => {
+        if (!items || items.length === 0) return null;
+        return (
+            <section key={key} className="mb-6">
+                <h3 className="text-sm font-semibold text-gray-300 uppercase tracking-wide mb-3">{heading}</h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                    {items.map(template => renderTemplate(template, canDelete))}
+                </div>
+            </section>
+        );
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm"
+                    onClick={onClose}
+                >
+                    <motion.div
+                        initial={{ scale: 0.95, opacity: 0 }}
+                        animate={{ scale: 1, opacity: 1 }}
+                        exit={{ scale: 0.95, opacity: 0 }}
+                        onClick={(e) => e.stopPropagation()}
+                        className="bg-[#1e293b] rounded-xl sm:rounded-2xl shadow-2xl w-full max-w-4xl max-h-[85vh] flex flex-col border border-white/10"
+                    >
+                        <div className="p-6 border-b border-white/10 flex items-center justify-between">
+                            <h2 className="text-xl sm:text-2xl font-bold text-white flex items-center gap-2">
+                                <LayoutTemplate className="w-5 h-5 text-purple-400" />
+                                {t('templates.gallery_title') || 'Template gallery'}
+                            </h2>
+                            <button
+                                onClick={onClose}
+                                className="p-2 hover:bg-white/10 rounded-lg transition-colors"
+                            >
+                                <X className="w-5 h-5 text-gray-400" />
+                            </button>
+                        </div>
+
+                        <div className="p-6 overflow-y-auto">
+                            {loading || !templates ? (
+                                <div className="flex justify-center py-16">
+                                    <Loader2 className="w-8 h-8 text-teal-400 animate-spin" />
+                                </div>
+                            ) : (
+                                <>
+                                    {renderSection('system', t('templates.system_section') || 'Inavora templates', templates.system)}
+                                    {renderSection('institution', t('templates.institution_section') || 'From your institution', templates.institution)}
+                                    {renderSection('mine', t('templates.my_section') || 'My templates', templates.mine, true)}
+                                    {templates.mine.length === 0 && (
+                                        <p className="text-sm text-gray-500">
+                                            {t('templates.my_empty') || 'Save any presentation as a template from your dashboard to reuse it here.'}
+                                        </p>
+                                    )}
+                                </>
+                            )}
+                        </div>
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default TemplateGalleryModal;
@@ -47,6 +47,7 @@ const GridResult = ({ slide, data }) => {
     
     // eslint-disable-next-line
     const results = data?.gridResults || [];
+    const quadrants = data?.gridQuadrants || [];
     const totalResponses = data.totalResponses || 0;
 
     const axisXLabel = slide.gridAxisXLabel || 'Horizontal';
@@ -290,6 +291,29 @@ const GridResult = ({ slide, data }) => {
                     </div>
                 </div>
             </div>
+
+            {quadrants.length > 0 && totalResponses > 0 && (
+                <div className="mt-4 sm:mt-6">
+                    <h3 className="text-xs sm:text-sm font-bold text-slate-400 uppercase tracking-wider mb-2 sm:mb-3">
+                        {t('slide_editors.two_by_two_grid.quadrant_breakdown')}
+                    </h3>
+                    <div className="grid grid-cols-2 gap-2 sm:gap-3">
+                        {quadrants.map(quadrant => (
+                            <div key={quadrant.key} className="bg-slate-800/30 rounded-lg p-3 border border-white/5">
+                                <div className="flex items-baseline justify-between gap-2">
+                                    <span className="text-sm font-medium text-slate-200 break-words">{quadrant.label}</span>
+                                    <span className="text-xs text-slate-400 whitespace-nowrap">{quadrant.count} · {quadrant.percentage}%</span>
+                                </div>
+                                {quadrant.items?.length > 0 && (
+                                    <p className="mt-1 text-xs text-slate-500 break-words">
+                                        {quadrant.items.map(item => `${item.label} (${item.count})`).join(', ')}
+                                    </p>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
         </ResultCard>
     );
 };
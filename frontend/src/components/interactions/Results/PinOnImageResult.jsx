@@ -1,13 +1,15 @@
 import { motion } from 'framer-motion';
 import ResultCard from './ResultCard';
 import { useTranslation } from 'react-i18next';
+import RegionOverlay from '../pinOnImage/RegionOverlay';
+import { getCorrectAreas } from '../pinOnImage/utils';
 
 const PinOnImageResult = ({ slide, data }) => {
     const { t } = useTranslation();
     const results = data?.pinResults || [];
-    const totalResponses = results.length;
+    const totalResponses = data?.totalResponses ?? results.length;
     const imageUrl = slide.pinOnImageSettings?.imageUrl;
-    const correctArea = slide.pinOnImageSettings?.correctArea;
+    const correctAreas = getCorrectAreas(slide.pinOnImageSettings);
 
     return (
         <ResultCard slide={slide} totalResponses={totalResponses}>
@@ -20,18 +22,8 @@ const PinOnImageResult = ({ slide, data }) => {
                             className="max-w-full h-auto max-h-[500px] object-contain"
                         />
 
-                        {/* Correct Area Highlight (Optional) */}
-                        {correctArea && (
-                            <div
-                                className="absolute border-2 border-green-500 bg-green-500/10 pointer-events-none"
-                                style={{
-                                    left: `${correctArea.x}%`,
-                                    top: `${correctArea.y}%`,
-                                    width: `${correctArea.width}%`,
-                                    height: `${correctArea.height}%`
-                                }}
-                            />
-                        )}
+                        {/* Correct Areas Highlight (Optional) */}
+                        <RegionOverlay regions={correctAreas} />
 
                         {/* Pins */}
                         {results.map((result, index) => (
@@ -47,7 +39,11 @@ const PinOnImageResult = ({ slide, data }) => {
                                 }}
                                 title={result.participantName}
                             >
-                                <div className="w-3 h-3 bg-red-500 rounded-full shadow-lg shadow-red-500/50 border border-white/50" />
+                                <div className={`w-3 h-3 rounded-full shadow-lg border border-white/50 ${
+                                    correctAreas.length > 0 && result.isCorrect
+                                        ? 'bg-green-500 shadow-green-500/50'
+                                        : 'bg-red-500 shadow-red-500/50'
+                                }`} />
                                 <div className="w-0.5 h-3 bg-white/50 mx-auto mt-[-2px]" />
                             </motion.div>
                         ))}
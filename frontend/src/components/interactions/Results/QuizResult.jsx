@@ -2,6 +2,7 @@ import { motion } from 'framer-motion';
 import ResultCard from './ResultCard';
 import { CheckCircle, XCircle } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
+import { getCorrectOptionIds } from '../../../utils/quizUtils';
 
 const QuizResult = ({ slide, data }) => {
     const { t } = useTranslation();
@@ -12,7 +13,7 @@ const QuizResult = ({ slide, data }) => {
     const totalResponses = data?.totalResponses || 0;
 
     const options = slide.quizSettings?.options || [];
-    const correctOptionId = slide.quizSettings?.correctOptionId;
+    const correctOptionIds = getCorrectOptionIds(slide.quizSettings);
 
     return (
         <ResultCard slide={slide} totalResponses={totalResponses}>
@@ -26,7 +27,7 @@ const QuizResult = ({ slide, data }) => {
 
             <div className="space-y-4">
                 {options.map((option, index) => {
-                    const isCorrect = option.id === correctOptionId;
+                    const isCorrect = correctOptionIds.includes(option.id);
                     const count = results[option.id] || 0;
                     const percentage = totalResponses > 0 ? Math.round((count / totalResponses) * 100) : 0;
 
@@ -1,21 +1,65 @@
+import { useMemo, useState } from 'react';
 import { motion } from 'framer-motion';
+import { Crown } from 'lucide-react';
 import ResultCard from './ResultCard';
 import { useTranslation } from 'react-i18next';
+import RankDistribution from '../ranking/RankDistribution';
+import PairwiseMatrix from '../ranking/PairwiseMatrix';
+import {
+    RANKING_METHODS,
+    getRankingMethod,
+    sortRankingResults,
+    formatMethodValue,
+    getRankingMethodLabels,
+    getRankingMethodUnits
+} from '../ranking/utils';
 
 const RankingResult = ({ slide, data }) => {
     const { t } = useTranslation();
-    const rankingResults = data?.rankingResults || [];
+    const [method, setMethod] = useState(() => data?.rankingMethod || getRankingMethod(slide));
     // Assuming totalResponses is passed down or can be inferred. 
     // rankingResults usually doesn't have total count directly attached in the array structure used here,
     // but let's assume the parent passes correct totalResponses.
+    const rankingResults = useMemo(() => sortRankingResults(data?.rankingResults || [], method), [data?.rankingResults, method]);
+    const totalResponses = data?.totalResponses || 0;
+    const condorcetWinner = rankingResults.find(item => item.isCondorcetWinner);
+    const methodLabels = getRankingMethodLabels(t);
+    const methodUnits = getRankingMethodUnits(t);
 
-    const maxScore = rankingResults[0]?.score || 1;
+    const maxScore = rankingResults.reduce((max, item) => Math.max(max, item.score || 0), 0) || 1;
 
     return (
-        <ResultCard slide={slide} totalResponses={data?.totalResponses || 0}>
+        <ResultCard slide={slide} totalResponses={totalResponses}>
+            <div className="flex flex-wrap gap-2 mb-4" role="group" aria-label={t('slide_editors.ranking.method_label') || 'Aggregation method'}>
+                {RANKING_METHODS.map(value => (
+                    <button
+                        key={value}
+                        type="button"
+                        onClick={() => setMethod(value)}
+                        aria-pressed={method === value}
+                        className={`px-3 py-1 rounded-full text-xs sm:text-sm border transition-colors ${
+                            method === value
+                                ? 'border-yellow-500/60 bg-yellow-500/10 text-yellow-300'
+                                : 'border-white/10 bg-slate-800/50 text-slate-400 hover:text-slate-200'
+                        }`}
+                    >
+                        {methodLabels[value]}
+                    </button>
+                ))}
+            </div>
+
+            {method === 'pairwise' && totalResponses > 0 && (
+                <div className="flex items-center gap-2 mb-4 text-sm text-slate-300">
+                    <Crown className={`w-4 h-4 ${condorcetWinner ? 'text-yellow-400' : 'text-slate-600'}`} />
+                    {condorcetWinner
+                        ? t('slide_editors.ranking.condorcet_winner', { label: condorcetWinner.label }) || `Condorcet winner: ${condorcetWinner.label}`
+                        : t('slide_editors.ranking.no_condorcet_winner') || 'No Condorcet winner: no item beats every other item head to head'}
+                </div>
+            )}
+
             <div className="space-y-3">
                 {rankingResults.map((item, index) => {
-                    const percentage = maxScore > 0 ? (item.score / maxScore) * 100 : 0;
+                    const percentage = maxScore > 0 ? ((item.score || 0) / maxScore) * 100 : 0;
 
                     return (
                         <motion.div
@@ -33,7 +77,7 @@ const RankingResult = ({ slide, data }) => {
 
                             {/* Rank Number */}
                             <div className="flex-shrink-0 w-10 h-10 flex items-center justify-center bg-slate-800 rounded-lg border border-white/10 text-yellow-500 font-bold text-lg z-10 mr-4">
-                                {index + 1}
+                                {item.rank}
                             </div>
 
                             {/* Content */}
@@ -43,17 +87,31 @@ const RankingResult = ({ slide, data }) => {
                                       ? item.label 
                                       : (item.text || item.label?.text || item.label?.label || `Item ${index + 1}`)}
                                 </h4>
+                                {Array.isArray(item.rankDistribution) && (
+                                    <div className="mt-2 max-w-md">
+                                        <RankDistribution
+                                            distribution={item.rankDistribution}
+                                            label={t('slide_editors.ranking.rank_distribution') || 'Rank distribution'}
+                                        />
+                                    </div>
+                                )}
                             </div>
 
-                            {/* Score */}
-                            <div className="z-10 text-right">
-                                <span className="text-2xl font-bold text-yellow-400">{item.score}</span>
-                                <span className="text-xs text-slate-500 block">{t('slide_editors.ranking.points')}</span>
+                            {/* Method value */}
+                            <div className="z-10 text-right pl-3">
+                                <span className="text-2xl font-bold text-yellow-400">{formatMethodValue(item, method)}</span>
+                                <span className="text-xs text-slate-500 block">{methodUnits[method]}</span>
                             </div>
                         </motion.div>
                     );
                 })}
             </div>
+
+            {method === 'pairwise' && totalResponses > 0 && (
+                <div className="mt-4 bg-slate-800/30 rounded-xl border border-white/5 p-3 sm:p-4">
+                    <PairwiseMatrix pairwise={data?.rankingPairwise} results={rankingResults} />
+                </div>
+            )}
         </ResultCard>
     );
 };
@@ -0,0 +1,194 @@
+import { Plus, Minus, GitBranch } from 'lucide-react';
+import { v4 as uuidv4 } from 'uuid';
+import { useTranslation } from 'react-i18next';
+import { getBranchingOptions } from '../../../utils/branchingUtils';
+
+const MAX_RULES = 10;
+
+const inputClassName = 'w-full px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] focus:border-transparent outline-none';
+
+/**
+ * Branching rules for multiple choice and quiz slides:
+ * which slide to show next depending on the answers
+ */
+const BranchingEditor = ({ slide, slides = [], onUpdate }) => {
+  const { t } = useTranslation();
+  const isQuiz = slide?.type === 'quiz' || Boolean(slide?.quizSettings);
+  const rules = slide?.branching?.rules || [];
+  const autoFollow = Boolean(slide?.branching?.autoFollow);
+  const options = getBranchingOptions(slide);
+
+  // Only saved slides can be branch targets
+  const targets = slides
+    .map((candidate, index) => ({ slide: candidate, index }))
+    .filter(({ slide: candidate }) => candidate._id && candidate._id !== slide?._id);
+  const hasUnsavedSlides = slides.some(candidate => !candidate._id && candidate.id !== slide?.id);
+
+  const updateBranching = (changes) => {
+    const next = { autoFollow, rules, ...changes };
+    onUpdate({ ...slide, branching: next.rules.length > 0 ? next : null });
+  };
+
+  const updateRule = (ruleId, changes) => {
+    updateBranching({ rules: rules.map(rule => (rule.id === ruleId ? { ...rule, ...changes } : rule)) });
+  };
+
+  const addRule = () => {
+    if (rules.length >= MAX_RULES) return;
+    updateBranching({
+      rules: [...rules, {
+        id: uuidv4(),
+        condition: 'option_chosen',
+        optionValue: options[0]?.value || '',
+        threshold: 50,
+        action: 'jump',
+        targetSlideId: targets[0]?.slide._id || ''
+      }]
+    });
+  };
+
+  const removeRule = (ruleId) => {
+    updateBranching({ rules: rules.filter(rule => rule.id !== ruleId) });
+  };
+
+  return (
+    <div className="p-4 border-b border-[#2A2A2A]">
+      <div className="flex items-center justify-between mb-2">
+        <label className="text-sm font-medium text-[#E0E0E0] flex items-center gap-2">
+          <GitBranch className="h-4 w-4" />
+          {t('branching.title') || 'Branching'}
+        </label>
+        <button
+          onClick={addRule}
+          disabled={rules.length >= MAX_RULES || targets.length === 0}
+          className="p-1.5 hover:bg-[#2A2A2A] rounded transition-colors text-[#E0E0E0] disabled:opacity-40"
+          title={t('branching.add_rule') || 'Add rule'}
+        >
+          <Plus className="h-4 w-4" />
+        </button>
+      </div>
+      <p className="text-xs text-[#9E9E9E] mb-3">
+        {t('branching.description') || 'Pick the next slide based on the answers. The first matching rule wins.'}
+      </p>
+
+      {targets.length === 0 && (
+        <p className="text-xs text-[#9E9E9E]">
+          {t('branching.no_targets') || 'Save the presentation with more slides to add branches.'}
+        </p>
+      )}
+      {targets.length > 0 && hasUnsavedSlides && (
+        <p className="text-xs text-[#9E9E9E] mb-3">
+          {t('branching.unsaved_targets') || 'New slides can be picked as targets once the presentation is saved.'}
+        </p>
+      )}
+
+      <div className="space-y-3">
+        {rules.map((rule, index) => (
+          <div key={rule.id} className="rounded-lg border border-[#2A2A2A] bg-[#1A1A1A] p-3 space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="text-xs font-medium text-[#9E9E9E]">
+                {t('branching.rule_label', { number: index + 1 }) || `Rule ${index + 1}`}
+              </span>
+              <button
+                onClick={() => removeRule(rule.id)}
+                className="p-1 hover:bg-[#2A2A2A] rounded transition-colors"
+                title={t('branching.remove_rule') || 'Remove rule'}
+              >
+                <Minus className="h-4 w-4 text-[#EF5350]" />
+              </button>
+            </div>
+
+            <select
+              value={rule.condition}
+              onChange={(e) => updateRule(rule.id, { condition: e.target.value })}
+              className={inputClassName}
+            >
+              <option value="option_chosen">
+                {isQuiz ? (t('branching.condition_option_quiz') || 'If most people answer') : (t('branching.condition_option') || 'If most people pick')}
+              </option>
+              {isQuiz && (
+                <>
+                  <option value="accuracy_below">{t('branching.condition_accuracy_below') || 'If accuracy is below'}</option>
+                  <option value="accuracy_at_least">{t('branching.condition_accuracy_at_least') || 'If accuracy is at least'}</option>
+                </>
+              )}
+            </select>
+
+            {rule.condition === 'option_chosen' ? (
+              <select
+                value={rule.optionValue}
+                onChange={(e) => updateRule(rule.id, { optionValue: e.target.value })}
+                className={inputClassName}
+              >
+                {!options.some(option => option.value === rule.optionValue) && (
+                  <option value={rule.optionValue}>{t('branching.choose_option') || 'Choose an option'}</option>
+                )}
+                {options.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            ) : (
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  value={rule.threshold}
+                  onChange={(e) => updateRule(rule.id, { threshold: Math.max(0, Math.min(100, Number(e.target.value) || 0)) })}
+                  min="0"
+                  max="100"
+                  className="w-24 px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] focus:border-transparent outline-none"
+                />
+                <span className="text-xs text-[#9E9E9E]">%</span>
+              </div>
+            )}
+
+            <div className="flex items-center gap-2">
+              <select
+                value={rule.action}
+                onChange={(e) => updateRule(rule.id, { action: e.target.value })}
+                className="w-28 flex-shrink-0 px-2 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] focus:border-transparent outline-none"
+              >
+                <option value="jump">{t('branching.action_jump') || 'Jump to'}</option>
+                <option value="detour">{t('branching.action_detour') || 'Insert'}</option>
+              </select>
+              <select
+                value={rule.targetSlideId}
+                onChange={(e) => updateRule(rule.id, { targetSlideId: e.target.value })}
+                className={inputClassName}
+              >
+                {!targets.some(({ slide: target }) => target._id === rule.targetSlideId) && (
+                  <option value="">{t('branching.choose_slide') || 'Choose a slide'}</option>
+                )}
+                {targets.map(({ slide: target, index: targetIndex }) => (
+                  <option key={target._id} value={target._id}>
+                    {targetIndex + 1}. {target.question || t(`slide_types.${target.type}`)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {rule.action === 'detour' && (
+              <p className="text-xs text-[#9E9E9E]">
+                {t('branching.detour_hint') || 'Shows that slide, then continues after this one.'}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {rules.length > 0 && (
+        <label className="mt-3 flex items-start gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={autoFollow}
+            onChange={(e) => updateBranching({ autoFollow: e.target.checked })}
+            className="mt-0.5 h-4 w-4 accent-[#4CAF50]"
+          />
+          <span className="text-xs text-[#9E9E9E]">
+            {t('branching.auto_follow_label') || 'Follow the branch automatically when presenting. Otherwise it is only suggested.'}
+          </span>
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default BranchingEditor;
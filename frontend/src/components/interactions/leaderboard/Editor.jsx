@@ -2,10 +2,21 @@ import { Trophy, Lock, Info } from 'lucide-react';
 import SlideTypeHeader from '../common/SlideTypeHeader';
 import { useTranslation } from 'react-i18next';
 
-const LeaderboardEditor = ({ slide }) => {
+const LeaderboardEditor = ({ slide, onUpdate }) => {
   const { t } = useTranslation();
   const isAutoGenerated = slide?.leaderboardSettings?.isAutoGenerated;
   const displayCount = slide?.leaderboardSettings?.displayCount || 10;
+  const view = slide?.leaderboardSettings?.view || 'individual';
+
+  const handleViewChange = (nextView) => {
+    onUpdate?.({
+      ...slide,
+      leaderboardSettings: {
+        ...(slide?.leaderboardSettings || {}),
+        view: nextView
+      }
+    });
+  };
 
   return (
     <div className="h-full overflow-y-auto scrollbar-thin bg-[#1F1F1F] text-[#E0E0E0]">
@@ -57,6 +68,25 @@ const LeaderboardEditor = ({ slide }) => {
         </div>
       </div>
 
+      {/* Ranking View */}
+      <div className="p-4 border-b border-[#2A2A2A]">
+        <label className="block text-sm font-medium text-[#E0E0E0] mb-2">
+          {t('slide_editors.leaderboard.view_label') || 'Show rankings for'}
+        </label>
+        <select
+          value={view}
+          onChange={(e) => handleViewChange(e.target.value)}
+          className="w-full px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] focus:border-transparent outline-none"
+        >
+          <option value="individual">{t('slide_editors.leaderboard.view_individual') || 'Individuals'}</option>
+          <option value="team">{t('slide_editors.leaderboard.view_team') || 'Teams'}</option>
+          <option value="both">{t('slide_editors.leaderboard.view_both') || 'Teams and individuals'}</option>
+        </select>
+        <p className="mt-2 text-xs text-[#9E9E9E]">
+          {t('slide_editors.leaderboard.view_hint') || 'Team rankings appear when team mode is turned on for this presentation.'}
+        </p>
+      </div>
+
       {/* Leaderboard Preview */}
       <div className="p-4 border-b border-[#2A2A2A]">
         <label className="text-sm font-medium text-[#E0E0E0] mb-3 flex items-center gap-2">
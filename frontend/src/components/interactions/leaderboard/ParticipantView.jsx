@@ -1,16 +1,19 @@
 import { useEffect, useState } from 'react';
 import { useParams } from 'react-router-dom';
-import { Trophy, TrendingUp, Medal, Award } from 'lucide-react';
+import { Trophy, TrendingUp, Medal, Award, Users } from 'lucide-react';
 import { motion } from 'framer-motion';
 import api from '../../../config/api';
 
 const LeaderboardParticipantView = ({ 
   slide,
   leaderboard = [],
-  participantId 
+  participantId,
+  teamLeaderboard = null,
+  teamId = null
 }) => {
   const { id: presentationId } = useParams();
   const [fetchedLeaderboard, setFetchedLeaderboard] = useState([]);
+  const [fetchedTeamLeaderboard, setFetchedTeamLeaderboard] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
 
   // Fetch leaderboard data if not provided or if it's a virtual final leaderboard
@@ -30,6 +33,7 @@ const LeaderboardParticipantView = ({
           // API response structure: { success: true, finalLeaderboard: [...], perQuizLeaderboards: [...] }
           const finalLeaderboard = response.data?.finalLeaderboard || [];
           setFetchedLeaderboard(finalLeaderboard);
+          setFetchedTeamLeaderboard(response.data?.finalTeamLeaderboard || null);
         } catch (error) {
           console.error('Failed to fetch leaderboard:', error);
           setFetchedLeaderboard([]);
@@ -50,6 +54,12 @@ const LeaderboardParticipantView = ({
   const myRank = displayLeaderboard.findIndex(p => p.participantId === participantId);
   const myData = myRank !== -1 ? displayLeaderboard[myRank] : null;
 
+  // Team standings (only when team mode is on and the slide shows teams)
+  const displayTeamLeaderboard = fetchedTeamLeaderboard || teamLeaderboard;
+  const view = slide?.leaderboardSettings?.view || 'individual';
+  const showTeams = view !== 'individual' && Array.isArray(displayTeamLeaderboard) && displayTeamLeaderboard.length > 0;
+  const showIndividuals = !showTeams || view === 'both';
+
   const getMedalIcon = (rank) => {
     if (rank === 0) return <Trophy className="h-6 w-6 text-amber-400" />;
     if (rank === 1) return <Medal className="h-6 w-6 text-[#B0B0B0]" />;
@@ -107,94 +117,136 @@ const LeaderboardParticipantView = ({
         </motion.div>
       )}
 
-      {/* Leaderboard */}
-      <div className="bg-[#1F1F1F] rounded-2xl shadow-xl overflow-hidden border border-[#2A2A2A]">
-        <div className="bg-gradient-to-r from-[#388E3C] to-[#2E7D32] p-4">
-          <div className="flex items-center justify-center gap-2 text-white">
-            <Trophy className="h-6 w-6" />
-            <h3 className="text-xl font-bold">Top 10 Leaderboard</h3>
-          </div>
-        </div>
-
-        <div className="divide-y divide-gray-100">
-          {isLoading ? (
-            <div className="p-12 text-center text-[#6C6C6C]">
-              <p className="text-lg">Loading leaderboard...</p>
+      {/* Team Standings */}
+      {showTeams && (
+        <div className="mb-8 bg-[#1F1F1F] rounded-2xl shadow-xl overflow-hidden border border-[#2A2A2A]">
+          <div className="bg-gradient-to-r from-[#1565C0] to-[#0D47A1] p-4">
+            <div className="flex items-center justify-center gap-2 text-white">
+              <Users className="h-6 w-6" />
+              <h3 className="text-xl font-bold">Team Standings</h3>
             </div>
-          ) : displayLeaderboard.length > 0 ? (
-            displayLeaderboard.map((participant, index) => {
-              const isMe = participant.participantId === participantId;
-              
+          </div>
+          <div className="divide-y divide-[#2A2A2A]">
+            {displayTeamLeaderboard.map((team) => {
+              const isMyTeam = team.teamId === teamId;
               return (
-                <motion.div
-                  key={participant.participantId}
-                  initial={{ x: -20, opacity: 0 }}
-                  animate={{ x: 0, opacity: 1 }}
-                  transition={{ delay: index * 0.05 }}
-                  className={`p-4 flex items-center gap-4 ${
-                    isMe ? 'bg-[#1D2A20]' : 'hover:bg-[#2A2A2A]'
-                  } transition-colors`}
+                <div
+                  key={team.teamId}
+                  className={`p-4 flex items-center gap-4 ${isMyTeam ? 'bg-[#1D2A20]' : ''}`}
                 >
-                  {/* Rank */}
-                  <div className="flex-shrink-0">
-                    {index < 3 ? (
-                      <div className={`w-12 h-12 rounded-full bg-gradient-to-br ${getRankColor(index)} flex items-center justify-center shadow-lg`}>
-                        <span className="text-white font-bold text-lg">{index + 1}</span>
-                      </div>
-                    ) : (
-                      <div className="w-12 h-12 rounded-full bg-[#2A2A2A] flex items-center justify-center">
-                        <span className="text-[#E0E0E0] font-bold text-lg">{index + 1}</span>
-                      </div>
-                    )}
+                  <div
+                    className="w-10 h-10 rounded-full flex items-center justify-center font-bold text-white flex-shrink-0"
+                    style={{ backgroundColor: team.color || '#2A2A2A' }}
+                  >
+                    {team.rank}
                   </div>
-
-                  {/* Medal Icon */}
-                  {index < 3 && (
-                    <div className="flex-shrink-0">
-                      {getMedalIcon(index)}
-                    </div>
-                  )}
-
-                  {/* Name */}
                   <div className="flex-1 min-w-0">
-                    <div className={`text-lg font-semibold truncate ${
-                      isMe ? 'text-[#4CAF50]' : 'text-[#E0E0E0]'
-                    }`}>
-                      {participant.participantName}
-                      {isMe && <span className="ml-2 text-sm">(You)</span>}
+                    <div className={`text-lg font-semibold truncate ${isMyTeam ? 'text-[#4CAF50]' : 'text-[#E0E0E0]'}`}>
+                      {team.teamName}
+                      {isMyTeam && <span className="ml-2 text-sm">(Your team)</span>}
                     </div>
                     <div className="text-sm text-[#B0B0B0]">
-                      {participant.quizCount} quiz{participant.quizCount !== 1 ? 'zes' : ''} completed
+                      {team.memberCount} scoring member{team.memberCount !== 1 ? 's' : ''}
                     </div>
                   </div>
+                  <div className="text-2xl font-bold text-[#E0E0E0]">{team.totalScore}</div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Leaderboard */}
+      {showIndividuals && (
+        <div className="bg-[#1F1F1F] rounded-2xl shadow-xl overflow-hidden border border-[#2A2A2A]">
+          <div className="bg-gradient-to-r from-[#388E3C] to-[#2E7D32] p-4">
+            <div className="flex items-center justify-center gap-2 text-white">
+              <Trophy className="h-6 w-6" />
+              <h3 className="text-xl font-bold">Top 10 Leaderboard</h3>
+            </div>
+          </div>
 
-                  {/* Score */}
-                  <div className="flex-shrink-0 text-right">
-                    <div className="text-2xl font-bold text-[#E0E0E0]">
-                      {participant.totalScore}
+          <div className="divide-y divide-gray-100">
+            {isLoading ? (
+              <div className="p-12 text-center text-[#6C6C6C]">
+                <p className="text-lg">Loading leaderboard...</p>
+              </div>
+            ) : displayLeaderboard.length > 0 ? (
+              displayLeaderboard.map((participant, index) => {
+                const isMe = participant.participantId === participantId;
+              
+                return (
+                  <motion.div
+                    key={participant.participantId}
+                    initial={{ x: -20, opacity: 0 }}
+                    animate={{ x: 0, opacity: 1 }}
+                    transition={{ delay: index * 0.05 }}
+                    className={`p-4 flex items-center gap-4 ${
+                      isMe ? 'bg-[#1D2A20]' : 'hover:bg-[#2A2A2A]'
+                    } transition-colors`}
+                  >
+                    {/* Rank */}
+                    <div className="flex-shrink-0">
+                      {index < 3 ? (
+                        <div className={`w-12 h-12 rounded-full bg-gradient-to-br ${getRankColor(index)} flex items-center justify-center shadow-lg`}>
+                          <span className="text-white font-bold text-lg">{index + 1}</span>
+                        </div>
+                      ) : (
+                        <div className="w-12 h-12 rounded-full bg-[#2A2A2A] flex items-center justify-center">
+                          <span className="text-[#E0E0E0] font-bold text-lg">{index + 1}</span>
+                        </div>
+                      )}
                     </div>
-                    {participant.delta > 0 && (
-                      <div className="flex items-center justify-end gap-1 text-[#4CAF50] text-sm font-medium">
-                        <TrendingUp className="h-4 w-4" />
-                        +{participant.delta}
+
+                    {/* Medal Icon */}
+                    {index < 3 && (
+                      <div className="flex-shrink-0">
+                        {getMedalIcon(index)}
                       </div>
                     )}
-                  </div>
-                </motion.div>
-              );
-            })
-          ) : (
-            <div className="p-12 text-center text-[#6C6C6C]">
-              <Trophy className="h-16 w-16 mx-auto mb-4 opacity-50" />
-              <p className="text-lg">No participants yet</p>
-              <p className="text-sm">Complete quizzes to appear on the leaderboard</p>
-            </div>
-          )}
+
+                    {/* Name */}
+                    <div className="flex-1 min-w-0">
+                      <div className={`text-lg font-semibold truncate ${
+                        isMe ? 'text-[#4CAF50]' : 'text-[#E0E0E0]'
+                      }`}>
+                        {participant.participantName}
+                        {isMe && <span className="ml-2 text-sm">(You)</span>}
+                      </div>
+                      <div className="text-sm text-[#B0B0B0]">
+                        {participant.quizCount} quiz{participant.quizCount !== 1 ? 'zes' : ''} completed
+                      </div>
+                    </div>
+
+                    {/* Score */}
+                    <div className="flex-shrink-0 text-right">
+                      <div className="text-2xl font-bold text-[#E0E0E0]">
+                        {participant.totalScore}
+                      </div>
+                      {participant.delta > 0 && (
+                        <div className="flex items-center justify-end gap-1 text-[#4CAF50] text-sm font-medium">
+                          <TrendingUp className="h-4 w-4" />
+                          +{participant.delta}
+                        </div>
+                      )}
+                    </div>
+                  </motion.div>
+                );
+              })
+            ) : (
+              <div className="p-12 text-center text-[#6C6C6C]">
+                <Trophy className="h-16 w-16 mx-auto mb-4 opacity-50" />
+                <p className="text-lg">No participants yet</p>
+                <p className="text-sm">Complete quizzes to appear on the leaderboard</p>
+              </div>
+            )}
+          </div>
         </div>
-      </div>
+      )}
 
       {/* Footer Message */}
-      {!myData && displayLeaderboard.length > 0 && (
+      {showIndividuals && !myData && displayLeaderboard.length > 0 && (
         <div className="mt-6 text-center text-[#B0B0B0]">
           <p>Keep answering quizzes to climb the leaderboard! 🚀</p>
         </div>
@@ -56,6 +56,7 @@ const LeaderboardPresenterResults = ({
 
   // Get the appropriate leaderboard data
   let displayLeaderboard = [];
+  let teamLeaderboard = null;
   let leaderboardTitle = 'Final Leaderboard';
   let leaderboardSubtitle = 'Overall standings for this presentation';
 
@@ -71,16 +72,25 @@ const LeaderboardPresenterResults = ({
     
     if (perQuizEntry) {
       displayLeaderboard = perQuizEntry.leaderboard || [];
+      teamLeaderboard = perQuizEntry.teamLeaderboard || null;
       leaderboardTitle = `${quizQuestion} leaderboard results`;
       leaderboardSubtitle = `Results for: ${quizQuestion}`;
     } else {
       // Fallback to final leaderboard if per-quiz entry not found
       displayLeaderboard = leaderboardSummary?.finalLeaderboard || [];
+      teamLeaderboard = leaderboardSummary?.finalTeamLeaderboard || null;
     }
   } else {
     // Final leaderboard (no linked quiz)
     displayLeaderboard = leaderboardSummary?.finalLeaderboard || [];
+    teamLeaderboard = leaderboardSummary?.finalTeamLeaderboard || null;
   }
+
+  // Team rankings only exist when team mode is on; otherwise fall back to individuals
+  const view = slide?.leaderboardSettings?.view || 'individual';
+  const showTeams = view !== 'individual' && Array.isArray(teamLeaderboard);
+  const showIndividuals = !showTeams || view === 'both';
+
   const getMedalIcon = (rank) => {
     if (rank === 0) return <Trophy className="h-8 w-8 text-amber-400" />;
     if (rank === 1) return <Medal className="h-8 w-8 text-[#B0B0B0]" />;
@@ -115,91 +125,143 @@ const LeaderboardPresenterResults = ({
           </div>
           <div className="flex items-center gap-2 text-[#B0B0B0]">
             <Users className="h-4 w-4 sm:h-5 sm:w-5" />
-            <span className="text-base sm:text-lg font-semibold text-[#E0E0E0]">{displayLeaderboard.length}</span>
-            <span className="text-sm">participants</span>
+            <span className="text-base sm:text-lg font-semibold text-[#E0E0E0]">
+              {showIndividuals ? displayLeaderboard.length : teamLeaderboard.length}
+            </span>
+            <span className="text-sm">{showIndividuals ? 'participants' : 'teams'}</span>
           </div>
         </div>
       </div>
 
-      {/* Leaderboard */}
-      <div className="flex-1 bg-[#1F1F1F] rounded-xl border border-[#2A2A2A] shadow-lg overflow-hidden flex flex-col">
-        <div className="bg-gradient-to-r from-[#388E3C] to-[#2E7D32] p-3 sm:p-4">
-          <h3 className="text-lg sm:text-xl font-bold text-white text-center">
-            Top Performers
-          </h3>
-        </div>
-
-        <div className="flex-1 overflow-y-auto p-3 sm:p-4">
-          {isLoading ? (
-            <div className="h-full flex items-center justify-center text-[#6C6C6C]">
-              <p className="text-lg sm:text-xl">Loading leaderboard...</p>
-            </div>
-          ) : displayLeaderboard.length > 0 ? (
-            <div className="space-y-3">
-              {displayLeaderboard.map((participant, index) => (
+      {/* Team Rankings */}
+      {showTeams && (
+        <div className={`bg-[#1F1F1F] rounded-xl border border-[#2A2A2A] shadow-lg overflow-hidden flex flex-col ${showIndividuals ? 'mb-4' : 'flex-1'}`}>
+          <div className="bg-gradient-to-r from-[#1565C0] to-[#0D47A1] p-3 sm:p-4">
+            <h3 className="text-lg sm:text-xl font-bold text-white text-center">
+              Team Rankings
+            </h3>
+          </div>
+          <div className="flex-1 overflow-y-auto p-3 sm:p-4 space-y-3">
+            {teamLeaderboard.map((team, index) => (
+              <div
+                key={team.teamId}
+                className="flex items-center gap-3 sm:gap-4 p-3 sm:p-4 rounded-xl border-2 bg-[#1F1F1F] border-[#2A2A2A]"
+                style={{ borderColor: index === 0 && team.totalScore > 0 ? team.color || undefined : undefined }}
+              >
                 <div
-                  key={participant.participantId}
-                  className={`flex items-center gap-3 sm:gap-4 p-3 sm:p-4 rounded-xl border-2 transition-all ${
-                    index === 0 ? 'bg-[#2A2520] border-[#FFD700]/30 shadow-md' :
-                    index === 1 ? 'bg-[#252525] border-[#C0C0C0]/30' :
-                    index === 2 ? 'bg-[#252020] border-[#CD7F32]/30' :
-                    'bg-[#1F1F1F] border-[#2A2A2A] hover:border-[#333333]'
-                  }`}
+                  className="w-12 h-12 sm:w-14 sm:h-14 rounded-full flex items-center justify-center shadow-lg flex-shrink-0"
+                  style={{ backgroundColor: team.color || '#2A2A2A' }}
                 >
-                  {/* Rank Badge */}
+                  <span className="text-white font-bold text-lg sm:text-xl">{team.rank}</span>
+                </div>
+                {index < 3 && team.totalScore > 0 && (
                   <div className="flex-shrink-0">
-                    {index < 3 ? (
-                      <div className={`w-12 h-12 sm:w-14 sm:h-14 rounded-full bg-gradient-to-br ${getRankColor(index)} flex items-center justify-center shadow-lg`}>
-                        <span className="text-white font-bold text-lg sm:text-xl">{index + 1}</span>
-                      </div>
-                    ) : (
-                      <div className="w-12 h-12 sm:w-14 sm:h-14 rounded-full bg-[#2A2A2A] flex items-center justify-center">
-                        <span className="text-[#E0E0E0] font-bold text-lg sm:text-xl">{index + 1}</span>
-                      </div>
-                    )}
+                    {getMedalIcon(index)}
+                  </div>
+                )}
+                <div className="flex-1 min-w-0">
+                  <div className="text-lg sm:text-xl font-bold text-[#E0E0E0] truncate">
+                    {team.teamName}
                   </div>
+                  <div className="text-xs sm:text-sm text-[#6C6C6C]">
+                    {team.memberCount} scoring member{team.memberCount !== 1 ? 's' : ''}
+                  </div>
+                </div>
+                <div className="flex-shrink-0 text-right">
+                  <span className="text-2xl sm:text-3xl font-bold text-[#4CAF50]">
+                    {team.totalScore}
+                  </span>
+                  <div className="text-xs sm:text-sm text-[#6C6C6C] mt-1">
+                    points
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
 
-                  {/* Medal Icon */}
-                  {index < 3 && (
+      {/* Leaderboard */}
+      {showIndividuals && (
+        <div className="flex-1 bg-[#1F1F1F] rounded-xl border border-[#2A2A2A] shadow-lg overflow-hidden flex flex-col">
+          <div className="bg-gradient-to-r from-[#388E3C] to-[#2E7D32] p-3 sm:p-4">
+            <h3 className="text-lg sm:text-xl font-bold text-white text-center">
+              Top Performers
+            </h3>
+          </div>
+
+          <div className="flex-1 overflow-y-auto p-3 sm:p-4">
+            {isLoading ? (
+              <div className="h-full flex items-center justify-center text-[#6C6C6C]">
+                <p className="text-lg sm:text-xl">Loading leaderboard...</p>
+              </div>
+            ) : displayLeaderboard.length > 0 ? (
+              <div className="space-y-3">
+                {displayLeaderboard.map((participant, index) => (
+                  <div
+                    key={participant.participantId}
+                    className={`flex items-center gap-3 sm:gap-4 p-3 sm:p-4 rounded-xl border-2 transition-all ${
+                      index === 0 ? 'bg-[#2A2520] border-[#FFD700]/30 shadow-md' :
+                      index === 1 ? 'bg-[#252525] border-[#C0C0C0]/30' :
+                      index === 2 ? 'bg-[#252020] border-[#CD7F32]/30' :
+                      'bg-[#1F1F1F] border-[#2A2A2A] hover:border-[#333333]'
+                    }`}
+                  >
+                    {/* Rank Badge */}
                     <div className="flex-shrink-0">
-                      {getMedalIcon(index)}
+                      {index < 3 ? (
+                        <div className={`w-12 h-12 sm:w-14 sm:h-14 rounded-full bg-gradient-to-br ${getRankColor(index)} flex items-center justify-center shadow-lg`}>
+                          <span className="text-white font-bold text-lg sm:text-xl">{index + 1}</span>
+                        </div>
+                      ) : (
+                        <div className="w-12 h-12 sm:w-14 sm:h-14 rounded-full bg-[#2A2A2A] flex items-center justify-center">
+                          <span className="text-[#E0E0E0] font-bold text-lg sm:text-xl">{index + 1}</span>
+                        </div>
+                      )}
                     </div>
-                  )}
 
-                  {/* Participant Info */}
-                  <div className="flex-1 min-w-0">
-                    <div className="text-lg sm:text-xl font-bold text-[#E0E0E0] truncate">
-                      {participant.participantName}
-                    </div>
-                    <div className="text-xs sm:text-sm text-[#6C6C6C]">
-                      {participant.quizCount} quiz{participant.quizCount !== 1 ? 'zes' : ''} completed
-                    </div>
-                  </div>
+                    {/* Medal Icon */}
+                    {index < 3 && (
+                      <div className="flex-shrink-0">
+                        {getMedalIcon(index)}
+                      </div>
+                    )}
 
-                  {/* Score */}
-                  <div className="flex-shrink-0 text-right">
-                    <div className="flex items-center gap-2">
-                      <Trophy className="h-4 w-4 sm:h-5 sm:w-5 text-[#FFD700]" />
-                      <span className="text-2xl sm:text-3xl font-bold text-[#4CAF50]">
-                        {participant.totalScore}
-                      </span>
+                    {/* Participant Info */}
+                    <div className="flex-1 min-w-0">
+                      <div className="text-lg sm:text-xl font-bold text-[#E0E0E0] truncate">
+                        {participant.participantName}
+                      </div>
+                      <div className="text-xs sm:text-sm text-[#6C6C6C]">
+                        {participant.quizCount} quiz{participant.quizCount !== 1 ? 'zes' : ''} completed
+                      </div>
                     </div>
-                    <div className="text-xs sm:text-sm text-[#6C6C6C] mt-1">
-                      points
+
+                    {/* Score */}
+                    <div className="flex-shrink-0 text-right">
+                      <div className="flex items-center gap-2">
+                        <Trophy className="h-4 w-4 sm:h-5 sm:w-5 text-[#FFD700]" />
+                        <span className="text-2xl sm:text-3xl font-bold text-[#4CAF50]">
+                          {participant.totalScore}
+                        </span>
+                      </div>
+                      <div className="text-xs sm:text-sm text-[#6C6C6C] mt-1">
+                        points
+                      </div>
                     </div>
                   </div>
-                </div>
-              ))}
-            </div>
-          ) : (
-            <div className="h-full flex flex-col items-center justify-center text-[#6C6C6C]">
-              <Trophy className="h-20 w-20 sm:h-24 sm:w-24 mb-4 opacity-50" />
-              <p className="text-lg sm:text-xl font-semibold mb-2">No Participants Yet</p>
-              <p className="text-xs sm:text-sm">Participants will appear here after completing quizzes</p>
-            </div>
-          )}
+                ))}
+              </div>
+            ) : (
+              <div className="h-full flex flex-col items-center justify-center text-[#6C6C6C]">
+                <Trophy className="h-20 w-20 sm:h-24 sm:w-24 mb-4 opacity-50" />
+                <p className="text-lg sm:text-xl font-semibold mb-2">No Participants Yet</p>
+                <p className="text-xs sm:text-sm">Participants will appear here after completing quizzes</p>
+              </div>
+            )}
+          </div>
         </div>
-      </div>
+      )}
     </div>
   );
 };
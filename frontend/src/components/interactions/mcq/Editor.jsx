@@ -1,9 +1,10 @@
 import { useState, useEffect } from 'react';
 import { Plus, Minus, ChevronDown, Image as ImageIcon } from 'lucide-react';
 import SlideTypeHeader from '../common/SlideTypeHeader';
+import BranchingEditor from '../common/BranchingEditor';
 import { useTranslation } from 'react-i18next';
 
-const MCQEditor = ({ slide, onUpdate }) => {
+const MCQEditor = ({ slide, slides, onUpdate }) => {
   const { t } = useTranslation();
   const [question, setQuestion] = useState(slide?.question || '');
   const [options, setOptions] = useState(slide?.options || []);
@@ -101,6 +102,7 @@ const MCQEditor = ({ slide, onUpdate }) => {
         </div>
       </div>
 
+      <BranchingEditor slide={slide} slides={slides} onUpdate={onUpdate} />
     </div>
   );
 };
@@ -1,80 +1,96 @@
 import { useState, useRef, useEffect } from 'react';
-import { Check, X } from 'lucide-react';
+import { Check, X, Square, Pentagon, Undo2 } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import RegionOverlay from './RegionOverlay';
 
-const AreaSelector = ({ imageUrl, onSave, onCancel, initialArea }) => {
+const isComplete = (area) => {
+  if (!area) return false;
+  if (area.shape === 'polygon') return (area.points || []).length >= 3;
+  return area.width > 0 && area.height > 0;
+};
+
+const AreaSelector = ({ imageUrl, onSave, onCancel, initialArea, otherAreas = [] }) => {
+  const { t } = useTranslation();
+  const [shape, setShape] = useState(initialArea?.shape || 'rectangle');
   const [selection, setSelection] = useState(initialArea || null);
   const [isSelecting, setIsSelecting] = useState(false);
   const [startPoint, setStartPoint] = useState(null);
+  const [, setImageLoaded] = useState(false);
   const imageRef = useRef(null);
   const containerRef = useRef(null);
 
-  // Helper function to get coordinates relative to the actual image (accounting for object-contain)
-  const getImageCoordinates = (clientX, clientY) => {
-    if (!imageRef.current || !imageRef.current.complete || imageRef.current.naturalWidth === 0) {
-      return { x: 0, y: 0 };
-    }
-    
-    const rect = imageRef.current.getBoundingClientRect();
+  // Where the actual image sits inside the <img> box (accounting for object-contain)
+  const getImageBox = () => {
     const img = imageRef.current;
-    const naturalWidth = img.naturalWidth;
-    const naturalHeight = img.naturalHeight;
-    
-    if (naturalWidth === 0 || naturalHeight === 0) {
-      return { x: 0, y: 0 };
+    if (!img || !img.complete || img.naturalWidth === 0 || img.naturalHeight === 0) {
+      return null;
     }
-    
-    // Calculate the actual displayed image dimensions (accounting for object-contain)
-    const displayedWidth = rect.width;
-    const displayedHeight = rect.height;
-    const imageAspect = naturalWidth / naturalHeight;
-    const containerAspect = displayedWidth / displayedHeight;
-    
-    let actualImageWidth, actualImageHeight, offsetX, offsetY;
-    
+
+    const rect = img.getBoundingClientRect();
+    const imageAspect = img.naturalWidth / img.naturalHeight;
+    const containerAspect = rect.width / rect.height;
+
     if (imageAspect > containerAspect) {
       // Image is constrained by width
-      actualImageWidth = displayedWidth;
-      actualImageHeight = displayedWidth / imageAspect;
-      offsetX = 0;
-      offsetY = (displayedHeight - actualImageHeight) / 2;
-    } else {
-      // Image is constrained by height
-      actualImageWidth = displayedHeight * imageAspect;
-      actualImageHeight = displayedHeight;
-      offsetX = (displayedWidth - actualImageWidth) / 2;
-      offsetY = 0;
+      const height = rect.width / imageAspect;
+      return { rect, offsetX: 0, offsetY: (rect.height - height) / 2, width: rect.width, height };
     }
-    
-    // Calculate relative position within the actual image
-    const relativeX = (clientX - rect.left - offsetX) / actualImageWidth;
-    const relativeY = (clientY - rect.top - offsetY) / actualImageHeight;
-    
-    // Convert to percentage
-    const x = Math.max(0, Math.min(100, relativeX * 100));
-    const y = Math.max(0, Math.min(100, relativeY * 100));
-    
-    return { x, y };
+    // Image is constrained by height
+    const width = rect.height * imageAspect;
+    return { rect, offsetX: (rect.width - width) / 2, offsetY: 0, width, height: rect.height };
+  };
+
+  // Helper function to get coordinates relative to the actual image, as percentages
+  const getImageCoordinates = (clientX, clientY) => {
+    const box = getImageBox();
+    if (!box) {
+      return { x: 0, y: 0 };
+    }
+
+    const relativeX = (clientX - box.rect.left - box.offsetX) / box.width;
+    const relativeY = (clientY - box.rect.top - box.offsetY) / box.height;
+
+    return {
+      x: Math.max(0, Math.min(100, relativeX * 100)),
+      y: Math.max(0, Math.min(100, relativeY * 100))
+    };
+  };
+
+  const handleShapeChange = (nextShape) => {
+    if (nextShape === shape) return;
+    setShape(nextShape);
+    setSelection(null);
   };
 
   const handleMouseDown = (e) => {
     if (!imageRef.current) return;
-    
+
     const coords = getImageCoordinates(e.clientX, e.clientY);
+    if (shape === 'polygon') {
+      // Each click adds a corner
+      setSelection(prev => ({
+        ...(prev?.shape === 'polygon' ? prev : {}),
+        shape: 'polygon',
+        points: [...(prev?.shape === 'polygon' ? prev.points : []), coords]
+      }));
+      return;
+    }
+
     setStartPoint(coords);
     setIsSelecting(true);
   };
 
   const handleMouseMove = (e) => {
     if (!isSelecting || !startPoint || !imageRef.current) return;
-    
+
     const coords = getImageCoordinates(e.clientX, e.clientY);
-    
+
     const x = Math.min(startPoint.x, coords.x);
     const y = Math.min(startPoint.y, coords.y);
     const width = Math.abs(coords.x - startPoint.x);
     const height = Math.abs(coords.y - startPoint.y);
-    
-    setSelection({ x, y, width, height });
+
+    setSelection(prev => ({ ...(prev?.shape === 'rectangle' ? prev : {}), shape: 'rectangle', x, y, width, height }));
   };
 
   const handleMouseUp = () => {
@@ -94,12 +110,22 @@ const AreaSelector = ({ imageUrl, onSave, onCancel, initialArea }) => {
     // eslint-disable-next-line
   }, [isSelecting, startPoint]);
 
+  const handleUndoPoint = () => {
+    setSelection(prev => {
+      const points = (prev?.points || []).slice(0, -1);
+      return points.length ? { ...prev, points } : null;
+    });
+  };
+
   const handleSave = () => {
-    if (selection) {
+    if (isComplete(selection)) {
       onSave(selection);
     }
   };
 
+  const box = getImageBox();
+  const polygonPoints = selection?.shape === 'polygon' ? selection.points || [] : [];
+
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70">
       <div className="bg-[#232323] text-[#E0E0E0] rounded-xl shadow-2xl max-w-4xl w-full mx-4 max-h-[90vh] flex flex-col border border-[#2F2F2F]">
@@ -116,11 +142,33 @@ const AreaSelector = ({ imageUrl, onSave, onCancel, initialArea }) => {
 
         {/* Content */}
         <div className="flex-1 p-6 overflow-auto">
-          <p className="text-sm text-[#B0B0B0] mb-4">
-            Click and drag to select the correct area on the image. Participants who click inside this area will be marked as correct.
-          </p>
-          
-          <div 
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <p className="text-sm text-[#B0B0B0] flex-1 min-w-[16rem]">
+              {shape === 'polygon'
+                ? (t('slide_editors.pin_on_image.polygon_instructions') || 'Click around the shape to add its corners. Participants who click inside it will be marked as correct.')
+                : 'Click and drag to select the correct area on the image. Participants who click inside this area will be marked as correct.'}
+            </p>
+            <div className="inline-flex rounded-lg border border-[#2A2A2A] bg-[#1F1F1F] p-1">
+              {[
+                { value: 'rectangle', icon: Square, label: t('slide_editors.pin_on_image.shape_rectangle') || 'Rectangle' },
+                { value: 'polygon', icon: Pentagon, label: t('slide_editors.pin_on_image.shape_polygon') || 'Polygon' }
+              ].map(shapeOption => (
+                <button
+                  key={shapeOption.value}
+                  type="button"
+                  onClick={() => handleShapeChange(shapeOption.value)}
+                  className={`inline-flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm transition-colors ${
+                    shape === shapeOption.value ? 'bg-[#388E3C] text-white' : 'text-[#B0B0B0] hover:text-[#E0E0E0]'
+                  }`}
+                >
+                  <shapeOption.icon className="w-4 h-4" />
+                  {shapeOption.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div
             ref={containerRef}
             className="relative w-full max-w-4xl mx-auto"
           >
@@ -131,61 +179,77 @@ const AreaSelector = ({ imageUrl, onSave, onCancel, initialArea }) => {
               className="w-full h-auto cursor-crosshair select-none object-contain"
               style={{ maxHeight: '60vh' }}
               onMouseDown={handleMouseDown}
+              onLoad={() => setImageLoaded(true)}
               draggable={false}
             />
-            
-            {/* Selection overlay - positioned relative to the actual image */}
-            {selection && imageRef.current && imageRef.current.complete && (() => {
-              const img = imageRef.current;
-              const rect = img.getBoundingClientRect();
-              const naturalWidth = img.naturalWidth;
-              const naturalHeight = img.naturalHeight;
-              
-              if (naturalWidth === 0 || naturalHeight === 0) return null;
-              
-              const imageAspect = naturalWidth / naturalHeight;
-              const containerAspect = rect.width / rect.height;
-              
-              let actualImageWidth, actualImageHeight, offsetX, offsetY;
-              
-              if (imageAspect > containerAspect) {
-                actualImageWidth = rect.width;
-                actualImageHeight = rect.width / imageAspect;
-                offsetX = 0;
-                offsetY = (rect.height - actualImageHeight) / 2;
-              } else {
-                actualImageWidth = rect.height * imageAspect;
-                actualImageHeight = rect.height;
-                offsetX = (rect.width - actualImageWidth) / 2;
-                offsetY = 0;
-              }
-              
-              return (
-                <div
-                  className="absolute border-2 border-[#4FC3F7] bg-[#4FC3F7]/25"
-                  style={{
-                    left: `${offsetX + (selection.x / 100) * actualImageWidth}px`,
-                    top: `${offsetY + (selection.y / 100) * actualImageHeight}px`,
-                    width: `${(selection.width / 100) * actualImageWidth}px`,
-                    height: `${(selection.height / 100) * actualImageHeight}px`,
-                    pointerEvents: 'none'
-                  }}
-                >
-                </div>
-              );
-            })()}
+
+            {/* Areas overlay - positioned over the actual image */}
+            {box && (
+              <div
+                className="absolute pointer-events-none"
+                style={{
+                  left: `${box.offsetX}px`,
+                  top: `${box.offsetY}px`,
+                  width: `${box.width}px`,
+                  height: `${box.height}px`
+                }}
+              >
+                <RegionOverlay regions={otherAreas} highlightId="" />
+                {selection?.shape !== 'polygon' && selection && (
+                  <div
+                    className="absolute border-2 border-[#4FC3F7] bg-[#4FC3F7]/25"
+                    style={{
+                      left: `${selection.x}%`,
+                      top: `${selection.y}%`,
+                      width: `${selection.width}%`,
+                      height: `${selection.height}%`
+                    }}
+                  />
+                )}
+                {polygonPoints.length > 0 && (
+                  <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="absolute inset-0 w-full h-full">
+                    <polygon
+                      points={polygonPoints.map(point => `${point.x},${point.y}`).join(' ')}
+                      fill="rgba(79, 195, 247, 0.25)"
+                      stroke="#4FC3F7"
+                      strokeWidth={2}
+                      vectorEffect="non-scaling-stroke"
+                    />
+                  </svg>
+                )}
+                {polygonPoints.map((point, index) => (
+                  <span
+                    key={`${point.x}-${point.y}-${index}`}
+                    className="absolute w-2.5 h-2.5 -ml-[5px] -mt-[5px] rounded-full bg-[#4FC3F7] border border-white"
+                    style={{ left: `${point.x}%`, top: `${point.y}%` }}
+                  />
+                ))}
+              </div>
+            )}
           </div>
         </div>
 
         {/* Footer */}
         <div className="p-4 border-t border-[#2A2A2A] flex items-center justify-between">
-          <button
-            onClick={() => setSelection(null)}
-            className="px-4 py-2 text-sm text-[#E0E0E0] hover:bg-[#2A2A2A] rounded-lg transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
-            disabled={!selection}
-          >
-            Clear Selection
-          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setSelection(null)}
+              className="px-4 py-2 text-sm text-[#E0E0E0] hover:bg-[#2A2A2A] rounded-lg transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+              disabled={!selection}
+            >
+              Clear Selection
+            </button>
+            {shape === 'polygon' && (
+              <button
+                onClick={handleUndoPoint}
+                disabled={polygonPoints.length === 0}
+                className="inline-flex items-center gap-1.5 px-4 py-2 text-sm text-[#E0E0E0] hover:bg-[#2A2A2A] rounded-lg transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+              >
+                <Undo2 className="w-4 h-4" />
+                {t('slide_editors.pin_on_image.undo_point') || 'Undo point'}
+              </button>
+            )}
+          </div>
           <div className="flex gap-2">
             <button
               onClick={onCancel}
@@ -195,7 +259,7 @@ const AreaSelector = ({ imageUrl, onSave, onCancel, initialArea }) => {
             </button>
             <button
               onClick={handleSave}
-              disabled={!selection}
+              disabled={!isComplete(selection)}
               className="inline-flex items-center gap-2 px-4 py-2 bg-[#388E3C] hover:bg-[#2E7D32] disabled:bg-[#555555] text-white rounded-lg transition-colors text-sm font-medium"
             >
               <Check className="w-4 h-4" />
@@ -1,10 +1,12 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { Upload, X, Image as ImageIcon, Target, Images } from 'lucide-react';
+import { Upload, X, Image as ImageIcon, Target, Images, Square, Pentagon, Pencil, Trash2 } from 'lucide-react';
 import SlideTypeHeader from '../common/SlideTypeHeader';
 import toast from 'react-hot-toast';
 import * as presentationService from '../../../services/presentationService';
 import AreaSelector from './AreaSelector';
 import ImageGallery from './ImageGallery';
+import RegionOverlay from './RegionOverlay';
+import { MAX_PINS, getCorrectAreas } from './utils';
 import { useTranslation } from 'react-i18next';
 
 const PinOnImageEditor = ({ slide, onUpdate }) => {
@@ -12,9 +14,13 @@ const PinOnImageEditor = ({ slide, onUpdate }) => {
   const [question, setQuestion] = useState(slide?.question || '');
   const [imageUrl, setImageUrl] = useState(slide?.pinOnImageSettings?.imageUrl || '');
   const [imagePublicId, setImagePublicId] = useState(slide?.pinOnImageSettings?.imagePublicId || '');
-  const [correctArea, setCorrectArea] = useState(slide?.pinOnImageSettings?.correctArea || null);
+  const [correctAreas, setCorrectAreas] = useState(getCorrectAreas(slide?.pinOnImageSettings));
+  const [allowMultiplePins, setAllowMultiplePins] = useState(Boolean(slide?.pinOnImageSettings?.allowMultiplePins));
+  const [maxPins, setMaxPins] = useState(slide?.pinOnImageSettings?.maxPins || 3);
+  const [scoring, setScoring] = useState(slide?.pinOnImageSettings?.scoring || { enabled: false, points: 1000 });
   const [isUploading, setIsUploading] = useState(false);
-  const [showAreaSelector, setShowAreaSelector] = useState(false);
+  // Index of the area being drawn (-1 for a new one), null when the selector is closed
+  const [editingAreaIndex, setEditingAreaIndex] = useState(null);
   const [showImageGallery, setShowImageGallery] = useState(false);
   const fileInputRef = useRef(null);
   const isHydrating = useRef(true);
@@ -26,7 +32,7 @@ const PinOnImageEditor = ({ slide, onUpdate }) => {
     const nextQuestion = next.question !== undefined ? next.question : question;
     const nextImageUrl = next.imageUrl !== undefined ? next.imageUrl : imageUrl;
     const nextImagePublicId = next.imagePublicId !== undefined ? next.imagePublicId : imagePublicId;
-    const nextCorrectArea = next.correctArea !== undefined ? next.correctArea : correctArea;
+    const pick = (field, current) => (next[field] !== undefined ? next[field] : current);
 
     onUpdate?.({
       question: nextQuestion,
@@ -34,18 +40,24 @@ const PinOnImageEditor = ({ slide, onUpdate }) => {
         ? {
             imageUrl: nextImageUrl,
             imagePublicId: nextImagePublicId,
-            correctArea: nextCorrectArea,
+            correctAreas: pick('correctAreas', correctAreas),
+            allowMultiplePins: pick('allowMultiplePins', allowMultiplePins),
+            maxPins: pick('maxPins', maxPins),
+            scoring: pick('scoring', scoring),
           }
         : null,
     });
-  }, [question, imageUrl, imagePublicId, correctArea, onUpdate]);
+  }, [question, imageUrl, imagePublicId, correctAreas, allowMultiplePins, maxPins, scoring, onUpdate]);
 
   useEffect(() => {
     isHydrating.current = true;
     setQuestion(slide?.question || '');
     setImageUrl(slide?.pinOnImageSettings?.imageUrl || '');
     setImagePublicId(slide?.pinOnImageSettings?.imagePublicId || '');
-    setCorrectArea(slide?.pinOnImageSettings?.correctArea || null);
+    setCorrectAreas(getCorrectAreas(slide?.pinOnImageSettings));
+    setAllowMultiplePins(Boolean(slide?.pinOnImageSettings?.allowMultiplePins));
+    setMaxPins(slide?.pinOnImageSettings?.maxPins || 3);
+    setScoring(slide?.pinOnImageSettings?.scoring || { enabled: false, points: 1000 });
 
     const timeout = setTimeout(() => {
       isHydrating.current = false;
@@ -143,11 +155,36 @@ const PinOnImageEditor = ({ slide, onUpdate }) => {
   const handleRemoveImage = () => {
     setImageUrl('');
     setImagePublicId('');
-    setCorrectArea(null);
+    setCorrectAreas([]);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
-    emitUpdate({ imageUrl: '', imagePublicId: '', correctArea: null });
+    emitUpdate({ imageUrl: '', imagePublicId: '', correctAreas: [] });
+  };
+
+  const updateCorrectAreas = (nextAreas) => {
+    setCorrectAreas(nextAreas);
+    emitUpdate({ correctAreas: nextAreas });
+  };
+
+  const handleAreaSave = (area) => {
+    const nextAreas = editingAreaIndex >= 0
+      ? correctAreas.map((existing, index) => (index === editingAreaIndex ? { ...area, id: existing.id, label: existing.label } : area))
+      : [...correctAreas, { ...area, id: `area-${Date.now().toString(36)}` }];
+    setEditingAreaIndex(null);
+    toast.success(t('slide_editors.pin_on_image.correct_area_saved'));
+    updateCorrectAreas(nextAreas);
+  };
+
+  const handleAreaLabelChange = (index, label) => {
+    setCorrectAreas(prev => prev.map((area, areaIndex) => (areaIndex === index ? { ...area, label } : area)));
+  };
+
+  const handleSettingChange = (changes) => {
+    if (changes.allowMultiplePins !== undefined) setAllowMultiplePins(changes.allowMultiplePins);
+    if (changes.maxPins !== undefined) setMaxPins(changes.maxPins);
+    if (changes.scoring !== undefined) setScoring(changes.scoring);
+    emitUpdate(changes);
   };
 
   return (
@@ -237,29 +274,154 @@ const PinOnImageEditor = ({ slide, onUpdate }) => {
           )}
         </div>
 
-        {/* Correct Area Selection */}
+        {/* Correct Areas */}
         {imageUrl && (
           <div className="p-4 border-b border-[#2A2A2A]">
-            <label className="block text-sm font-medium text-[#E0E0E0] mb-2">{t('slide_editors.pin_on_image.correct_area_label')}</label>
-            <div className="flex items-center gap-3">
-              <button
-                type="button"
-                onClick={() => setShowAreaSelector(true)}
-                className="inline-flex items-center gap-2 px-4 py-2 bg-[#388E3C] hover:bg-[#2E7D32] text-white rounded-lg transition-colors text-sm font-medium"
-              >
-                <Target className="w-4 h-4" />
-                {correctArea ? t('slide_editors.pin_on_image.edit_area_button') : t('slide_editors.pin_on_image.select_correct_area_button')}
-              </button>
-              {correctArea && (
-                <span className="text-xs text-[#76C68F]">✓ {t('slide_editors.pin_on_image.correct_area_defined')}</span>
-              )}
-            </div>
+            <label className="block text-sm font-medium text-[#E0E0E0] mb-2">
+              {t('slide_editors.pin_on_image.correct_areas_label') || 'Correct Areas (Optional)'}
+            </label>
+
+            {correctAreas.length > 0 && (
+              <>
+                <div className="relative mb-3 rounded-lg overflow-hidden border border-[#2A2A2A]">
+                  <img src={imageUrl} alt="" className="w-full h-auto block" draggable={false} />
+                  <RegionOverlay regions={correctAreas} />
+                </div>
+                <ul className="space-y-2 mb-3">
+                  {correctAreas.map((area, index) => {
+                    const ShapeIcon = area.shape === 'polygon' ? Pentagon : Square;
+                    return (
+                      <li key={area.id || index} className="flex items-center gap-2">
+                        <ShapeIcon className="w-4 h-4 flex-shrink-0 text-[#4CAF50]" />
+                        <input
+                          type="text"
+                          value={area.label || ''}
+                          maxLength={60}
+                          onChange={(e) => handleAreaLabelChange(index, e.target.value)}
+                          onBlur={() => emitUpdate({ correctAreas })}
+                          placeholder={t('slide_editors.pin_on_image.area_label_placeholder', { number: index + 1 }) || `Area ${index + 1}`}
+                          className="flex-1 min-w-0 px-3 py-1.5 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] placeholder-[#8A8A8A] focus:ring-2 focus:ring-[#4CAF50] outline-none"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setEditingAreaIndex(index)}
+                          className="p-1.5 rounded-lg text-[#B0B0B0] hover:bg-[#2A2A2A] hover:text-[#E0E0E0] transition-colors"
+                          title={t('slide_editors.pin_on_image.edit_area_button')}
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => updateCorrectAreas(correctAreas.filter((_, areaIndex) => areaIndex !== index))}
+                          className="p-1.5 rounded-lg text-[#B0B0B0] hover:bg-[#EF5350]/15 hover:text-[#EF5350] transition-colors"
+                          title={t('slide_editors.pin_on_image.remove_area') || 'Remove area'}
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </>
+            )}
+
+            <button
+              type="button"
+              onClick={() => setEditingAreaIndex(-1)}
+              disabled={correctAreas.length >= 20}
+              className="inline-flex items-center gap-2 px-4 py-2 bg-[#388E3C] hover:bg-[#2E7D32] disabled:bg-[#555555] text-white rounded-lg transition-colors text-sm font-medium"
+            >
+              <Target className="w-4 h-4" />
+              {correctAreas.length ? (t('slide_editors.pin_on_image.add_area_button') || 'Add Another Area') : t('slide_editors.pin_on_image.select_correct_area_button')}
+            </button>
             <p className="mt-2 text-xs text-[#9E9E9E]">
-              {t('slide_editors.pin_on_image.correct_area_instructions')}
+              {t('slide_editors.pin_on_image.correct_areas_instructions') || 'Draw rectangles or polygons. A pin inside any of them counts as correct.'}
             </p>
           </div>
         )}
 
+        {/* Pins per participant */}
+        <div className="p-4 border-b border-[#2A2A2A]">
+          <label className="flex items-center gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={allowMultiplePins}
+              onChange={(e) => handleSettingChange({ allowMultiplePins: e.target.checked })}
+              className="w-4 h-4 text-[#4CAF50] border-[#2A2A2A] rounded bg-[#232323] focus:ring-[#4CAF50] focus:ring-offset-0"
+            />
+            <div>
+              <span className="text-sm font-medium text-[#E0E0E0]">
+                {t('slide_editors.pin_on_image.multiple_pins_label') || 'Allow multiple pins'}
+              </span>
+              <p className="text-xs text-[#9E9E9E] mt-0.5">
+                {t('slide_editors.pin_on_image.multiple_pins_description') || 'Participants can drop several pins, e.g. to find every matching spot.'}
+              </p>
+            </div>
+          </label>
+          {allowMultiplePins && (
+            <div className="mt-3 pl-7">
+              <label className="block text-xs font-medium text-[#B0B0B0] mb-1">
+                {t('slide_editors.pin_on_image.max_pins_label') || 'Pins per participant'}
+              </label>
+              <input
+                type="number"
+                min={1}
+                max={MAX_PINS}
+                value={maxPins}
+                onChange={(e) => {
+                  const value = parseInt(e.target.value, 10);
+                  if (Number.isInteger(value)) {
+                    handleSettingChange({ maxPins: Math.max(1, Math.min(MAX_PINS, value)) });
+                  }
+                }}
+                className="w-24 px-3 py-1.5 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] outline-none"
+              />
+            </div>
+          )}
+        </div>
+
+        {/* Scoring */}
+        {correctAreas.length > 0 && (
+          <div className="p-4 border-b border-[#2A2A2A]">
+            <label className="flex items-center gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={Boolean(scoring.enabled)}
+                onChange={(e) => handleSettingChange({ scoring: { ...scoring, enabled: e.target.checked } })}
+                className="w-4 h-4 text-[#4CAF50] border-[#2A2A2A] rounded bg-[#232323] focus:ring-[#4CAF50] focus:ring-offset-0"
+              />
+              <div>
+                <span className="text-sm font-medium text-[#E0E0E0]">
+                  {t('slide_editors.pin_on_image.scoring_label') || 'Award points'}
+                </span>
+                <p className="text-xs text-[#9E9E9E] mt-0.5">
+                  {t('slide_editors.pin_on_image.scoring_description') || 'Correct pins add points to the quiz leaderboard.'}
+                </p>
+              </div>
+            </label>
+            {scoring.enabled && (
+              <div className="mt-3 pl-7">
+                <label className="block text-xs font-medium text-[#B0B0B0] mb-1">
+                  {t('slide_editors.pin_on_image.points_label') || 'Points for a correct answer'}
+                </label>
+                <input
+                  type="number"
+                  min={0}
+                  step={100}
+                  value={scoring.points ?? 1000}
+                  onChange={(e) => {
+                    const value = parseInt(e.target.value, 10);
+                    if (Number.isInteger(value) && value >= 0) {
+                      handleSettingChange({ scoring: { ...scoring, points: value } });
+                    }
+                  }}
+                  className="w-28 px-3 py-1.5 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] outline-none"
+                />
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Info */}
         <div className="p-4 text-xs text-[#9E9E9E] bg-[#232323]">
           <div className="flex items-start gap-2">
@@ -272,17 +434,13 @@ const PinOnImageEditor = ({ slide, onUpdate }) => {
       </div>
 
       {/* Area Selector Modal */}
-      {showAreaSelector && imageUrl && (
+      {editingAreaIndex !== null && imageUrl && (
         <AreaSelector
           imageUrl={imageUrl}
-          initialArea={correctArea}
-          onSave={(area) => {
-            setCorrectArea(area);
-            setShowAreaSelector(false);
-            toast.success(t('slide_editors.pin_on_image.correct_area_saved'));
-            emitUpdate({ correctArea: area });
-          }}
-          onCancel={() => setShowAreaSelector(false)}
+          initialArea={editingAreaIndex >= 0 ? correctAreas[editingAreaIndex] : null}
+          otherAreas={correctAreas.filter((_, index) => index !== editingAreaIndex)}
+          onSave={handleAreaSave}
+          onCancel={() => setEditingAreaIndex(null)}
         />
       )}
 
@@ -1,24 +1,31 @@
 import { useState, useRef, useEffect } from 'react';
 import { MapPin, Send, CheckCircle, XCircle } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { getPinLimit } from './utils';
 
 const PinOnImageParticipantInput = ({ 
   slide, 
   onSubmit, 
   hasSubmitted,
+  feedback = null,
   pinResults = [],
   totalResponses = 0
 }) => {
-  const [pin, setPin] = useState(null);
-  const [isCorrect, setIsCorrect] = useState(null);
+  const { t } = useTranslation();
+  const [pins, setPins] = useState([]);
+  const [, setImageLoaded] = useState(false);
   const imageRef = useRef(null);
   const containerRef = useRef(null);
 
   const imageUrl = slide?.pinOnImageSettings?.imageUrl;
-  const correctArea = slide?.pinOnImageSettings?.correctArea;
+  const maxPins = getPinLimit(slide?.pinOnImageSettings);
+  // Correct areas stay on the server; correctness comes back with the graded pins
+  const isCorrect = hasSubmitted && feedback ? feedback.isCorrect : null;
+  const displayedPins = hasSubmitted && feedback?.pins?.length ? feedback.pins : pins;
 
   useEffect(() => {
-    // Reset pin when slide changes
-    setPin(null);
+    // Reset pins when slide changes
+    setPins([]);
   }, [slide?.id]);
 
   // Helper function to get coordinates relative to the actual image (accounting for object-contain)
@@ -73,48 +80,20 @@ const PinOnImageParticipantInput = ({
     if (hasSubmitted) return;
 
     const coords = getImageCoordinates(e.clientX, e.clientY);
-    setPin(coords);
+    // A single pin moves; with several allowed, new pins are added up to the limit
+    setPins(prev => (maxPins === 1 ? [coords] : (prev.length < maxPins ? [...prev, coords] : prev)));
   };
 
-  // Check if pin is within correct area
-  const checkIfCorrect = (pinCoords) => {
-    if (!correctArea || !pinCoords) return null;
-    
-    const { x, y, width, height } = correctArea;
-    const pinX = pinCoords.x;
-    const pinY = pinCoords.y;
-    
-    // Check if pin is within the correct area rectangle
-    const isInArea = (
-      pinX >= x &&
-      pinX <= (x + width) &&
-      pinY >= y &&
-      pinY <= (y + height)
-    );
-    
-    return isInArea;
+  const handleRemovePin = (index) => {
+    if (hasSubmitted) return;
+    setPins(prev => prev.filter((_, pinIndex) => pinIndex !== index));
   };
 
   const handleSubmit = async () => {
-    if (!pin) return;
-    
-    // Check if correct before submitting
-    const correct = checkIfCorrect(pin);
-    setIsCorrect(correct);
-    
-    await onSubmit(pin);
+    if (!pins.length) return;
+    await onSubmit({ pins });
   };
 
-  // Update correctness when pin changes
-  useEffect(() => {
-    if (pin && correctArea) {
-      setIsCorrect(checkIfCorrect(pin));
-    } else {
-      setIsCorrect(null);
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [pin, correctArea]);
-
   if (!imageUrl) {
     return (
       <div className="flex items-center justify-center py-16 text-[#6C6C6C]">
@@ -123,7 +102,7 @@ const PinOnImageParticipantInput = ({
     );
   }
 
-  const canSubmit = pin && !hasSubmitted;
+  const canSubmit = pins.length > 0 && !hasSubmitted;
 
   return (
     <div className="w-full max-w-4xl mx-auto px-2 sm:px-4">
@@ -138,12 +117,10 @@ const PinOnImageParticipantInput = ({
         {/* Instructions */}
         <p className="text-xs sm:text-sm text-[#B0B0B0] text-center mb-4 sm:mb-6 px-2">
           {hasSubmitted 
-            ? (isCorrect !== null 
-                ? (isCorrect 
-                    ? '✓ Correct! Your pin is in the correct area' 
-                    : '✗ Incorrect. Your pin is not in the correct area')
-                  : '✓ Your response has been submitted')
-            : 'Click on the image to place your pin'
+            ? '✓ Your response has been submitted'
+            : (maxPins > 1
+                ? (t('slide_editors.pin_on_image.place_pins_instructions', { count: maxPins }) || `Click on the image to place up to ${maxPins} pins`)
+                : 'Click on the image to place your pin')
           }
         </p>
 
@@ -158,13 +135,14 @@ const PinOnImageParticipantInput = ({
             src={imageUrl}
             alt="Pin placement"
             onClick={handleImageClick}
+            onLoad={() => setImageLoaded(true)}
             className={`w-full h-auto object-contain max-h-[300px] sm:max-h-[500px] ${!hasSubmitted && 'cursor-crosshair touch-manipulation'}`}
             draggable={false}
           />
 
-          {/* Render Pin */}
-          {pin && (() => {
-            // Calculate pin position accounting for object-contain
+          {/* Render Pins */}
+          {displayedPins.length > 0 && (() => {
+            // Calculate pin positions accounting for object-contain
             if (!imageRef.current || !imageRef.current.complete) return null;
             
             const img = imageRef.current;
@@ -191,24 +169,19 @@ const PinOnImageParticipantInput = ({
               offsetY = 0;
             }
             
-            const pinX = offsetX + (pin.x / 100) * actualImageWidth;
-            const pinY = offsetY + (pin.y / 100) * actualImageHeight;
-            
-            return (
+            return displayedPins.map((pin, index) => (
               <div
+                key={`${pin.x}-${pin.y}-${index}`}
                 className="absolute transform -translate-x-1/2 -translate-y-full animate-bounce-in"
                 style={{
-                  left: `${pinX}px`,
-                  top: `${pinY}px`,
+                  left: `${offsetX + (pin.x / 100) * actualImageWidth}px`,
+                  top: `${offsetY + (pin.y / 100) * actualImageHeight}px`,
                 }}
               >
                 <button
                   onClick={(e) => {
                     e.stopPropagation();
-                    if (!hasSubmitted) {
-                      setPin(null);
-                      setIsCorrect(null);
-                    }
+                    handleRemovePin(index);
                   }}
                   disabled={hasSubmitted}
                   className={`relative ${!hasSubmitted && 'hover:scale-110'} transition-transform`}
@@ -216,77 +189,22 @@ const PinOnImageParticipantInput = ({
                 >
                   <MapPin 
                     className={`w-8 h-8 drop-shadow-lg ${
-                      isCorrect === true 
-                        ? 'text-[#4CAF50]' 
-                        : isCorrect === false 
-                          ? 'text-[#EF5350]' 
-                          : 'text-[#4CAF50]'
+                      pin.isCorrect === false ? 'text-[#EF5350]' : 'text-[#4CAF50]'
                     }`}
                     fill="currentColor"
                   />
                 </button>
               </div>
-            );
-          })()}
-          
-          {/* Render Correct Area Overlay */}
-          {correctArea && imageRef.current && imageRef.current.complete && (() => {
-            const img = imageRef.current;
-            const rect = img.getBoundingClientRect();
-            const naturalWidth = img.naturalWidth;
-            const naturalHeight = img.naturalHeight;
-            
-            if (naturalWidth === 0 || naturalHeight === 0) return null;
-            
-            const imageAspect = naturalWidth / naturalHeight;
-            const containerAspect = rect.width / rect.height;
-            
-            let actualImageWidth, actualImageHeight, offsetX, offsetY;
-            
-            if (imageAspect > containerAspect) {
-              actualImageWidth = rect.width;
-              actualImageHeight = rect.width / imageAspect;
-              offsetX = 0;
-              offsetY = (rect.height - actualImageHeight) / 2;
-            } else {
-              actualImageWidth = rect.height * imageAspect;
-              actualImageHeight = rect.height;
-              offsetX = (rect.width - actualImageWidth) / 2;
-              offsetY = 0;
-            }
-            
-            return (
-              <div
-                className="absolute border-2 border-[#4CAF50] bg-[#4CAF50]/10 pointer-events-none"
-                style={{
-                  left: `${offsetX + (correctArea.x / 100) * actualImageWidth}px`,
-                  top: `${offsetY + (correctArea.y / 100) * actualImageHeight}px`,
-                  width: `${(correctArea.width / 100) * actualImageWidth}px`,
-                  height: `${(correctArea.height / 100) * actualImageHeight}px`,
-                }}
-              />
-            );
+            ));
           })()}
         </div>
 
         {/* Pin Status */}
-        {pin && !hasSubmitted && (
-          <div className="text-center text-sm mb-4">
-            {isCorrect === true && (
-              <div className="flex items-center justify-center gap-2 text-[#4CAF50]">
-                <CheckCircle className="w-4 h-4" />
-                <span>Pin is in the correct area!</span>
-              </div>
-            )}
-            {isCorrect === false && (
-              <div className="flex items-center justify-center gap-2 text-[#EF5350]">
-                <XCircle className="w-4 h-4" />
-                <span>Pin is not in the correct area</span>
-              </div>
-            )}
-            {isCorrect === null && (
-              <span className="text-[#B0B0B0]">Pin placed</span>
-            )}
+        {pins.length > 0 && !hasSubmitted && (
+          <div className="text-center text-sm mb-4 text-[#B0B0B0]">
+            {maxPins > 1
+              ? (t('slide_editors.pin_on_image.pins_placed', { count: pins.length, max: maxPins }) || `${pins.length} of ${maxPins} pins placed`)
+              : 'Pin placed'}
           </div>
         )}
         
@@ -300,14 +218,30 @@ const PinOnImageParticipantInput = ({
             {isCorrect ? (
               <div className="flex items-center justify-center gap-2 text-[#4CAF50]">
                 <CheckCircle className="w-5 h-5" />
-                <span className="font-semibold">Correct! Your pin is in the correct area.</span>
+                <span className="font-semibold">
+                  {displayedPins.length > 1
+                    ? (t('slide_editors.pin_on_image.all_pins_correct') || 'Correct! You found every area.')
+                    : 'Correct! Your pin is in the correct area.'}
+                </span>
               </div>
             ) : (
               <div className="flex items-center justify-center gap-2 text-[#EF5350]">
                 <XCircle className="w-5 h-5" />
-                <span className="font-semibold">Incorrect. Your pin is not in the correct area.</span>
+                <span className="font-semibold">
+                  {displayedPins.length > 1
+                    ? (t('slide_editors.pin_on_image.some_pins_incorrect', {
+                        correct: displayedPins.filter(pin => pin.isCorrect).length,
+                        total: displayedPins.length
+                      }) || `${displayedPins.filter(pin => pin.isCorrect).length} of ${displayedPins.length} pins are in a correct area.`)
+                    : 'Incorrect. Your pin is not in the correct area.'}
+                </span>
               </div>
             )}
+            {typeof feedback?.score === 'number' && (
+              <p className="mt-2 text-sm text-[#B0B0B0]">
+                {t('slide_editors.pin_on_image.points_earned', { points: feedback.score }) || `+${feedback.score} points`}
+              </p>
+            )}
           </div>
         )}
 
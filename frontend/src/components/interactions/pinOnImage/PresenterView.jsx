@@ -1,128 +1,80 @@
 import { useRef, useEffect, useState } from 'react';
-import { MapPin, Users } from 'lucide-react';
+import { MapPin, Users, Flame, CircleDot } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import RegionOverlay from './RegionOverlay';
+import { getCorrectAreas } from './utils';
 
-// Helper component to position the correct area overlay accounting for object-contain letterboxing
-const CorrectAreaOverlay = ({ correctArea, imageRef }) => {
-  const [overlayStyle, setOverlayStyle] = useState(null);
+// Above this many pins the heatmap reads better than individual dots
+const HEATMAP_PIN_THRESHOLD = 50;
+
+// Where the actual image sits inside the <img> box, accounting for object-contain letterboxing
+const useImageBox = (imageRef, imageUrl) => {
+  const [box, setBox] = useState(null);
 
   useEffect(() => {
-    const updateOverlayPosition = () => {
-      if (!imageRef.current || !imageRef.current.complete) {
-        setOverlayStyle(null);
+    const img = imageRef.current;
+    const updateBox = () => {
+      if (!img || !img.complete || img.naturalWidth === 0 || img.naturalHeight === 0) {
+        setBox(null);
         return;
       }
 
-      const img = imageRef.current;
       const rect = img.getBoundingClientRect();
-      const naturalWidth = img.naturalWidth;
-      const naturalHeight = img.naturalHeight;
-
-      if (naturalWidth === 0 || naturalHeight === 0) {
-        setOverlayStyle(null);
-        return;
-      }
-
-      // Calculate the actual displayed image dimensions (accounting for object-contain)
-      const imageAspect = naturalWidth / naturalHeight;
+      const imageAspect = img.naturalWidth / img.naturalHeight;
       const containerAspect = rect.width / rect.height;
 
-      let actualImageWidth, actualImageHeight, offsetX, offsetY;
-
       if (imageAspect > containerAspect) {
         // Image is constrained by width
-        actualImageWidth = rect.width;
-        actualImageHeight = rect.width / imageAspect;
-        offsetX = 0;
-        offsetY = (rect.height - actualImageHeight) / 2;
+        const height = rect.width / imageAspect;
+        setBox({ left: 0, top: (rect.height - height) / 2, width: rect.width, height });
       } else {
         // Image is constrained by height
-        actualImageWidth = rect.height * imageAspect;
-        actualImageHeight = rect.height;
-        offsetX = (rect.width - actualImageWidth) / 2;
-        offsetY = 0;
+        const width = rect.height * imageAspect;
+        setBox({ left: (rect.width - width) / 2, top: 0, width, height: rect.height });
       }
-
-      // Position overlay relative to the actual image area
-      setOverlayStyle({
-        left: `${offsetX + (correctArea.x / 100) * actualImageWidth}px`,
-        top: `${offsetY + (correctArea.y / 100) * actualImageHeight}px`,
-        width: `${(correctArea.width / 100) * actualImageWidth}px`,
-        height: `${(correctArea.height / 100) * actualImageHeight}px`,
-      });
     };
 
-    updateOverlayPosition();
+    updateBox();
 
-    // Update on window resize
-    window.addEventListener('resize', updateOverlayPosition);
-    // Update when image loads
-    if (imageRef.current) {
-      imageRef.current.addEventListener('load', updateOverlayPosition);
-    }
+    window.addEventListener('resize', updateBox);
+    img?.addEventListener('load', updateBox);
 
     return () => {
-      window.removeEventListener('resize', updateOverlayPosition);
-      if (imageRef.current) {
-        imageRef.current.removeEventListener('load', updateOverlayPosition);
-      }
+      window.removeEventListener('resize', updateBox);
+      img?.removeEventListener('load', updateBox);
     };
-  }, [correctArea, imageRef]);
+  }, [imageRef, imageUrl]);
 
-  if (!overlayStyle) return null;
+  return box;
+};
 
-  return (
-    <div
-      className="absolute border-2 border-[#4CAF50] bg-[#4CAF50]/10 pointer-events-none z-10"
-      style={overlayStyle}
-    />
-  );
+const heatColor = (intensity) => {
+  // Blue for sparse areas through to red for hotspots
+  const hue = Math.round(220 - 220 * intensity);
+  return `hsla(${hue}, 90%, 55%, ${0.25 + 0.55 * intensity})`;
 };
 
-const PinOnImagePresenterView = ({ slide, pinResults = [], totalResponses = 0 }) => {
+const PinOnImagePresenterView = ({ slide, pinResults = [], summary = null, totalResponses = 0 }) => {
+  const { t } = useTranslation();
   const imageRef = useRef(null);
-  const [imageLoaded, setImageLoaded] = useState(false);
+  const [viewMode, setViewMode] = useState(null);
 
   const imageUrl = slide?.pinOnImageSettings?.imageUrl;
-  const correctArea = slide?.pinOnImageSettings?.correctArea;
+  const correctAreas = getCorrectAreas(slide?.pinOnImageSettings);
+  const hasAreas = correctAreas.length > 0;
   const hasResponses = totalResponses > 0 && Array.isArray(pinResults) && pinResults.length > 0;
-  
-  // Helper to calculate pin position accounting for object-contain
-  const getPinPosition = (pin) => {
-    if (!imageRef.current || !imageRef.current.complete) return { x: 0, y: 0 };
-    
-    const img = imageRef.current;
-    const rect = img.getBoundingClientRect();
-    const naturalWidth = img.naturalWidth;
-    const naturalHeight = img.naturalHeight;
-    
-    if (naturalWidth === 0 || naturalHeight === 0) return { x: 0, y: 0 };
-    
-    const imageAspect = naturalWidth / naturalHeight;
-    const containerAspect = rect.width / rect.height;
-    
-    let actualImageWidth, actualImageHeight, offsetX, offsetY;
-    
-    if (imageAspect > containerAspect) {
-      actualImageWidth = rect.width;
-      actualImageHeight = rect.width / imageAspect;
-      offsetX = 0;
-      offsetY = (rect.height - actualImageHeight) / 2;
-    } else {
-      actualImageWidth = rect.height * imageAspect;
-      actualImageHeight = rect.height;
-      offsetX = (rect.width - actualImageWidth) / 2;
-      offsetY = 0;
-    }
-    
-    return {
-      x: offsetX + (pin.x / 100) * actualImageWidth,
-      y: offsetY + (pin.y / 100) * actualImageHeight
-    };
-  };
+  const box = useImageBox(imageRef, hasResponses ? imageUrl : null);
+
+  const heatmap = summary?.heatmap;
+  const clusters = summary?.clusters || [];
+  const activeMode = viewMode || (pinResults.length > HEATMAP_PIN_THRESHOLD && heatmap ? 'heatmap' : 'pins');
+
+  const correctCount = summary ? summary.correctPins : pinResults.filter(pin => pin.isCorrect).length;
+  const areaCounts = new Map((summary?.regionStats || []).map(region => [region.id, region.count]));
 
   useEffect(() => {
-    setImageLoaded(false);
-  }, [imageUrl]);
+    setViewMode(null);
+  }, [slide?.id]);
 
   if (!imageUrl) {
     return (
@@ -132,21 +84,11 @@ const PinOnImagePresenterView = ({ slide, pinResults = [], totalResponses = 0 })
     );
   }
 
-  // Check if pin is in correct area
-  const isPinInCorrectArea = (pin) => {
-    if (!correctArea || !pin) return false;
-    
-    const { x, y, width, height } = correctArea;
-    const pinX = pin.x;
-    const pinY = pin.y;
-    
-    return (
-      pinX >= x &&
-      pinX <= (x + width) &&
-      pinY >= y &&
-      pinY <= (y + height)
-    );
-  };
+  const viewModes = [
+    { value: 'pins', icon: MapPin, label: t('slide_editors.pin_on_image.view_pins') || 'Pins' },
+    { value: 'heatmap', icon: Flame, label: t('slide_editors.pin_on_image.view_heatmap') || 'Heatmap' },
+    { value: 'clusters', icon: CircleDot, label: t('slide_editors.pin_on_image.view_clusters') || 'Clusters' }
+  ];
 
   return (
     <div className="space-y-4 sm:space-y-6">
@@ -176,49 +118,103 @@ const PinOnImagePresenterView = ({ slide, pinResults = [], totalResponses = 0 })
                   </div>
                 </div>
               ) : (
-                <div className="relative rounded-xl overflow-hidden border border-[#2A2A2A] bg-[#2A2A2A]">
-                  <img
-                    ref={imageRef}
-                    src={imageUrl}
-                    alt="Pin placement results"
-                    onLoad={() => setImageLoaded(true)}
-                    className="w-full h-auto object-contain"
-                    style={{ maxHeight: '600px' }}
-                  />
+                <>
+                  {heatmap && (
+                    <div className="mb-3 inline-flex rounded-lg border border-[#2A2A2A] bg-[#2A2A2A] p-1">
+                      {viewModes.map(mode => (
+                        <button
+                          key={mode.value}
+                          type="button"
+                          onClick={() => setViewMode(mode.value)}
+                          className={`inline-flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm transition-colors ${
+                            activeMode === mode.value ? 'bg-[#388E3C] text-white' : 'text-[#B0B0B0] hover:text-[#E0E0E0]'
+                          }`}
+                        >
+                          <mode.icon className="w-4 h-4" />
+                          {mode.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="relative rounded-xl overflow-hidden border border-[#2A2A2A] bg-[#2A2A2A]">
+                    <img
+                      ref={imageRef}
+                      src={imageUrl}
+                      alt="Pin placement results"
+                      className="w-full h-auto object-contain"
+                      style={{ maxHeight: '600px' }}
+                    />
 
-                  {/* Correct Area Overlay */}
-                  {correctArea && <CorrectAreaOverlay correctArea={correctArea} imageRef={imageRef} />}
-                  
-                  {/* Render all pins */}
-                  {imageLoaded && imageRef.current && imageRef.current.complete && pinResults.map((pin, index) => {
-                    const position = getPinPosition(pin);
-                    const inCorrectArea = isPinInCorrectArea(pin);
-                    
-                    // Skip if position calculation failed
-                    if (position.x === 0 && position.y === 0 && pin.x !== 0 && pin.y !== 0) {
-                      return null;
-                    }
-                    
-                    return (
+                    {box && (
                       <div
-                        key={index}
-                        className="absolute transform -translate-x-1/2 -translate-y-full animate-pin-drop"
-                        style={{
-                          left: `${position.x}px`,
-                          top: `${position.y}px`,
-                          animationDelay: `${index * 50}ms`
-                        }}
+                        className="absolute pointer-events-none"
+                        style={{ left: `${box.left}px`, top: `${box.top}px`, width: `${box.width}px`, height: `${box.height}px` }}
                       >
-                        <MapPin 
-                          className={`w-6 h-6 drop-shadow-lg opacity-80 hover:opacity-100 transition-opacity ${
-                            inCorrectArea ? 'text-[#4CAF50]' : 'text-[#EF5350]'
-                          }`}
-                          fill="currentColor"
-                        />
+                        {/* Heatmap, blurred so the grid reads as a smooth density */}
+                        {activeMode === 'heatmap' && heatmap && (
+                          <div className="absolute inset-0" style={{ filter: 'blur(12px)' }}>
+                            {heatmap.cells.map(cell => (
+                              <div
+                                key={`${cell.row}-${cell.col}`}
+                                className="absolute"
+                                style={{
+                                  left: `${(cell.col / heatmap.gridSize) * 100}%`,
+                                  top: `${(cell.row / heatmap.gridSize) * 100}%`,
+                                  width: `${100 / heatmap.gridSize}%`,
+                                  height: `${100 / heatmap.gridSize}%`,
+                                  backgroundColor: heatColor(cell.intensity)
+                                }}
+                              />
+                            ))}
+                          </div>
+                        )}
+
+                        <RegionOverlay regions={correctAreas} className="z-10" />
+
+                        {/* Clusters, sized by their share of all pins */}
+                        {activeMode === 'clusters' && clusters.map((cluster, index) => {
+                          const size = 28 + Math.sqrt(cluster.share) * 9;
+                          const mostlyCorrect = hasAreas && cluster.correctCount * 2 >= cluster.count;
+                          return (
+                            <div
+                              key={`${cluster.x}-${cluster.y}-${index}`}
+                              className={`absolute z-20 flex items-center justify-center rounded-full border-2 text-xs font-bold text-white shadow-lg -translate-x-1/2 -translate-y-1/2 ${
+                                !hasAreas
+                                  ? 'bg-[#4CAF50]/70 border-[#4CAF50]'
+                                  : mostlyCorrect ? 'bg-[#4CAF50]/70 border-[#4CAF50]' : 'bg-[#EF5350]/70 border-[#EF5350]'
+                              }`}
+                              style={{ left: `${cluster.x}%`, top: `${cluster.y}%`, width: `${size}px`, height: `${size}px` }}
+                              title={`${cluster.count} (${cluster.share}%)`}
+                            >
+                              {cluster.count}
+                            </div>
+                          );
+                        })}
+
+                        {/* Individual pins */}
+                        {activeMode === 'pins' && pinResults.map((pin, index) => (
+                          <div
+                            key={index}
+                            className="absolute z-20 transform -translate-x-1/2 -translate-y-full animate-pin-drop"
+                            style={{
+                              left: `${pin.x}%`,
+                              top: `${pin.y}%`,
+                              animationDelay: `${Math.min(index, 40) * 50}ms`
+                            }}
+                          >
+                            <MapPin
+                              className={`w-6 h-6 drop-shadow-lg opacity-80 ${
+                                !hasAreas || pin.isCorrect ? 'text-[#4CAF50]' : 'text-[#EF5350]'
+                              }`}
+                              fill="currentColor"
+                            />
+                          </div>
+                        ))}
                       </div>
-                    );
-                  })}
-                </div>
+                    )}
+                  </div>
+                </>
               )}
             </div>
 
@@ -235,29 +231,47 @@ const PinOnImagePresenterView = ({ slide, pinResults = [], totalResponses = 0 })
                     <span className="text-sm text-[#B0B0B0]">Responses:</span>
                     <span className="text-lg font-bold text-[#E0E0E0]">{totalResponses}</span>
                   </div>
-                  {correctArea && (
+                  {hasAreas && (
                     <>
                       <div className="flex justify-between items-center">
                         <span className="text-sm text-[#B0B0B0]">Correct:</span>
-                        <span className="text-lg font-bold text-[#4CAF50]">
-                          {pinResults.filter(p => isPinInCorrectArea(p)).length}
-                        </span>
+                        <span className="text-lg font-bold text-[#4CAF50]">{correctCount}</span>
                       </div>
                       <div className="flex justify-between items-center">
                         <span className="text-sm text-[#B0B0B0]">Incorrect:</span>
-                        <span className="text-lg font-bold text-[#EF5350]">
-                          {pinResults.filter(p => !isPinInCorrectArea(p)).length}
-                        </span>
+                        <span className="text-lg font-bold text-[#EF5350]">{pinResults.length - correctCount}</span>
                       </div>
+                      {summary && (
+                        <div className="flex justify-between items-center">
+                          <span className="text-sm text-[#B0B0B0]">
+                            {t('slide_editors.pin_on_image.correct_responses') || 'Fully correct responses'}:
+                          </span>
+                          <span className="text-lg font-bold text-[#E0E0E0]">{summary.correctResponses}</span>
+                        </div>
+                      )}
                     </>
                   )}
                 </div>
+
+                {/* Pins per area */}
+                {correctAreas.length > 1 && summary && (
+                  <div className="mt-4 pt-3 border-t border-[#333333] space-y-2">
+                    {correctAreas.map((area, index) => (
+                      <div key={area.id || index} className="flex justify-between items-center text-sm">
+                        <span className="text-[#B0B0B0] truncate">
+                          {area.label || t('slide_editors.pin_on_image.area_label_placeholder', { number: index + 1 }) || `Area ${index + 1}`}
+                        </span>
+                        <span className="font-semibold text-[#E0E0E0]">{areaCounts.get(area.id) || 0}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
 
               {/* Legend */}
               <div className="mt-4 bg-[#1D2A20] border border-[#2E7D32]/30 rounded-xl p-4">
                 <div className="space-y-2">
-                  {correctArea && (
+                  {hasAreas && (
                     <>
                       <div className="flex items-start gap-2">
                         <div className="w-4 h-4 border-2 border-[#4CAF50] bg-[#4CAF50]/10 flex-shrink-0 mt-0.5" />
@@ -279,7 +293,7 @@ const PinOnImagePresenterView = ({ slide, pinResults = [], totalResponses = 0 })
                       </div>
                     </>
                   )}
-                  {!correctArea && (
+                  {!hasAreas && (
                     <div className="flex items-start gap-2">
                       <MapPin className="w-5 h-5 text-[#4CAF50] flex-shrink-0 mt-0.5" fill="currentColor" />
                       <div className="text-xs text-[#B0B0B0]">
@@ -287,6 +301,14 @@ const PinOnImagePresenterView = ({ slide, pinResults = [], totalResponses = 0 })
                       </div>
                     </div>
                   )}
+                  {activeMode === 'heatmap' && (
+                    <div className="flex items-start gap-2">
+                      <Flame className="w-4 h-4 text-[#FF7043] flex-shrink-0 mt-0.5" />
+                      <div className="text-xs text-[#B0B0B0]">
+                        {t('slide_editors.pin_on_image.heatmap_legend') || 'Warmer colours show where more pins landed'}
+                      </div>
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
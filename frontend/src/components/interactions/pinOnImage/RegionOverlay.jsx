@@ -0,0 +1,49 @@
+/**
+ * Draws correct areas (rectangles and polygons) over an image.
+ * Place it over the displayed image: coordinates are percentages of its width and height.
+ */
+const RegionOverlay = ({ regions = [], highlightId = null, className = '' }) => {
+  if (!regions.length) return null;
+
+  return (
+    <svg
+      viewBox="0 0 100 100"
+      preserveAspectRatio="none"
+      className={`absolute inset-0 w-full h-full pointer-events-none ${className}`}
+    >
+      {regions.map((region, index) => {
+        const isHighlighted = highlightId === null || highlightId === region.id;
+        const shapeProps = {
+          fill: isHighlighted ? 'rgba(76, 175, 80, 0.2)' : 'rgba(176, 176, 176, 0.12)',
+          stroke: isHighlighted ? '#4CAF50' : '#8A8A8A',
+          strokeWidth: 2,
+          strokeDasharray: region.shape === 'polygon' ? undefined : '6 3',
+          vectorEffect: 'non-scaling-stroke'
+        };
+        const key = region.id || `area-${index}`;
+
+        if (region.shape === 'polygon') {
+          return (
+            <polygon
+              key={key}
+              points={(region.points || []).map(point => `${point.x},${point.y}`).join(' ')}
+              {...shapeProps}
+            />
+          );
+        }
+        return (
+          <rect
+            key={key}
+            x={region.x}
+            y={region.y}
+            width={region.width}
+            height={region.height}
+            {...shapeProps}
+          />
+        );
+      })}
+    </svg>
+  );
+};
+
+export default RegionOverlay;
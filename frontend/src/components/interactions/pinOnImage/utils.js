@@ -0,0 +1,45 @@
+export const MAX_PINS = 10;
+
+// Correct areas of a slide, reading the older single correctArea as one rectangle
+export const getCorrectAreas = (settings) => {
+  if (Array.isArray(settings?.correctAreas) && settings.correctAreas.length > 0) {
+    return settings.correctAreas.map(area => ({
+      ...area,
+      shape: area.shape || (Array.isArray(area.points) && area.points.length ? 'polygon' : 'rectangle')
+    }));
+  }
+  if (settings?.correctArea) {
+    return [{ id: 'area-1', shape: 'rectangle', ...settings.correctArea }];
+  }
+  return [];
+};
+
+export const getPinLimit = (settings) => {
+  if (!settings?.allowMultiplePins) return 1;
+  const maxPins = Number(settings.maxPins);
+  return Number.isInteger(maxPins) ? Math.max(1, Math.min(MAX_PINS, maxPins)) : 3;
+};
+
+// Heatmap, clusters and area counts from a results payload (null when the payload has none)
+export const parsePinSummary = (payload) => {
+  if (!payload || payload.pinResults === undefined) {
+    return null;
+  }
+  return {
+    totalPins: payload.totalPins || 0,
+    correctPins: payload.correctPins || 0,
+    correctResponses: payload.correctResponses || 0,
+    regionStats: Array.isArray(payload.regionStats) ? payload.regionStats : [],
+    heatmap: payload.heatmap || null,
+    clusters: Array.isArray(payload.clusters) ? payload.clusters : []
+  };
+};
+
+// Participant slide payloads leave out the correct areas and scoring; keep the presenter's copy of those
+export const keepPresenterPinSettings = (existing, incoming) => {
+  if (!existing || !incoming || incoming.correctAreas !== undefined) {
+    return incoming;
+  }
+  const { correctArea, correctAreas, scoring } = existing;
+  return { ...incoming, correctArea, correctAreas, scoring };
+};
@@ -8,11 +8,17 @@ const QnaEditor = ({ slide, onUpdate }) => {
   const [allowMultiple, setAllowMultiple] = useState(
     slide?.qnaSettings?.allowMultiple ?? false
   );
+  const [moderation, setModeration] = useState(slide?.qnaSettings?.moderation ?? false);
+  const [allowUpvotes, setAllowUpvotes] = useState(slide?.qnaSettings?.allowUpvotes ?? true);
+  const [sortBy, setSortBy] = useState(slide?.qnaSettings?.sortBy || 'oldest');
 
   useEffect(() => {
     if (slide) {
       setQuestion(slide.question || '');
       setAllowMultiple(slide.qnaSettings?.allowMultiple ?? false);
+      setModeration(slide.qnaSettings?.moderation ?? false);
+      setAllowUpvotes(slide.qnaSettings?.allowUpvotes ?? true);
+      setSortBy(slide.qnaSettings?.sortBy || 'oldest');
     }
   }, [slide]);
 
@@ -38,12 +44,35 @@ const QnaEditor = ({ slide, onUpdate }) => {
         question,
         qnaSettings: {
           ...(slide?.qnaSettings || {}),
+          moderation,
+          allowUpvotes,
+          sortBy,
           allowMultiple: checked
         }
       });
     }
   };
 
+  const handleSettingChange = (changes) => {
+    if (changes.moderation !== undefined) setModeration(changes.moderation);
+    if (changes.allowUpvotes !== undefined) setAllowUpvotes(changes.allowUpvotes);
+    if (changes.sortBy !== undefined) setSortBy(changes.sortBy);
+    if (onUpdate) {
+      onUpdate({
+        ...slide,
+        question,
+        qnaSettings: {
+          ...(slide?.qnaSettings || {}),
+          allowMultiple,
+          moderation,
+          allowUpvotes,
+          sortBy,
+          ...changes
+        }
+      });
+    }
+  };
+
   return (
     <div className="h-full overflow-y-auto scrollbar-thin bg-[#1F1F1F] text-[#E0E0E0]">
       <SlideTypeHeader type="qna" />
@@ -79,6 +108,59 @@ const QnaEditor = ({ slide, onUpdate }) => {
         </label>
       </div>
 
+      <div className="border-t border-[#2A2A2A] p-4">
+        <label className="flex items-center gap-3 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={moderation}
+            onChange={(e) => handleSettingChange({ moderation: e.target.checked })}
+            className="w-4 h-4 text-[#4CAF50] border-[#2A2A2A] rounded bg-[#232323] focus:ring-[#4CAF50] focus:ring-offset-0"
+          />
+          <div>
+            <span className="text-sm font-medium text-[#E0E0E0]">
+              {t('slide_editors.qna.moderation_label')}
+            </span>
+            <p className="text-xs text-[#9E9E9E] mt-0.5">
+              {t('slide_editors.qna.moderation_description')}
+            </p>
+          </div>
+        </label>
+      </div>
+
+      <div className="border-t border-[#2A2A2A] p-4">
+        <label className="flex items-center gap-3 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={allowUpvotes}
+            onChange={(e) => handleSettingChange({ allowUpvotes: e.target.checked })}
+            className="w-4 h-4 text-[#4CAF50] border-[#2A2A2A] rounded bg-[#232323] focus:ring-[#4CAF50] focus:ring-offset-0"
+          />
+          <div>
+            <span className="text-sm font-medium text-[#E0E0E0]">
+              {t('slide_editors.qna.allow_upvotes_label')}
+            </span>
+            <p className="text-xs text-[#9E9E9E] mt-0.5">
+              {t('slide_editors.qna.allow_upvotes_description')}
+            </p>
+          </div>
+        </label>
+      </div>
+
+      <div className="border-t border-[#2A2A2A] p-4">
+        <label className="block text-sm font-medium text-[#E0E0E0] mb-2">
+          {t('slide_editors.qna.sort_label')}
+        </label>
+        <select
+          value={sortBy}
+          onChange={(e) => handleSettingChange({ sortBy: e.target.value })}
+          className="w-full px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] outline-none"
+        >
+          <option value="oldest">{t('slide_editors.qna.sort_oldest')}</option>
+          <option value="newest">{t('slide_editors.qna.sort_newest')}</option>
+          <option value="votes">{t('slide_editors.qna.sort_votes')}</option>
+        </select>
+      </div>
+
       <div className="border-t border-[#2A2A2A] p-4">
         <p className="text-xs text-[#9E9E9E]">
           {t('slide_editors.qna.participant_instructions')}
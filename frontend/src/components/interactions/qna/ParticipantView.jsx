@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { MessageSquare, Send, X } from 'lucide-react';
+import { MessageSquare, Send, X, ThumbsUp } from 'lucide-react';
 // eslint-disable-next-line
 import { motion, AnimatePresence } from 'framer-motion';
 
@@ -10,17 +10,31 @@ const ParticipantQnaView = ({
   questions = [],
   allowMultiple = false,
   activeQuestionId = null,
+  ownQuestions = [],
+  allowUpvotes = true,
   onSubmit,
+  onUpvote,
   participantId
 }) => {
   const [isDrawerOpen, setIsDrawerOpen] = useState(false);
   const [questionText, setQuestionText] = useState('');
 
-  const userQuestions = questions.filter(q => q.authorId === participantId);
-  const hasAskedQuestion = userQuestions.length > 0;
+  // Public questions plus the participant's own ones still waiting for approval or rejected
+  const userQuestions = [
+    ...questions.filter(q => q.authorId === participantId),
+    ...ownQuestions.filter(q => !questions.some(item => item.id === q.id))
+  ];
+  const otherQuestions = questions.filter(q => q.authorId !== participantId && !q.answered);
+  const hasAskedQuestion = userQuestions.some(q => q.status !== 'rejected');
   const canAskMore = allowMultiple || !hasAskedQuestion;
 
   const getQuestionStatus = (question) => {
+    if (question.status === 'pending') {
+      return { text: 'Waiting for approval by the presenter', color: 'bg-[#2A2A2A] border border-[#2F2F2F] text-[#B0B0B0]' };
+    }
+    if (question.status === 'rejected') {
+      return { text: 'Not approved by the presenter', color: 'bg-[#2A1D1D] border border-[#EF5350]/30 text-[#EF5350]' };
+    }
     if (question.answered) {
       return { text: 'Answer given by presenter', color: 'bg-[#1D2A20] border border-[#2E7D32]/30 text-[#4CAF50]' };
     }
@@ -143,6 +157,37 @@ const ParticipantQnaView = ({
         )}
       </AnimatePresence>
 
+      {/* Questions from the rest of the audience */}
+      {otherQuestions.length > 0 && (
+        <div className="bg-[#1F1F1F] rounded-2xl shadow-lg border border-[#2A2A2A] p-6 space-y-4">
+          <h3 className="text-lg font-semibold text-[#E0E0E0]">Audience Questions</h3>
+          <div className="space-y-3">
+            {otherQuestions.map((q) => {
+              const hasUpvoted = Array.isArray(q.voters) && q.voters.includes(participantId);
+              return (
+                <div
+                  key={q.id}
+                  className="flex items-start justify-between gap-3 p-4 bg-[#1F1F1F] border border-[#2A2A2A] rounded-xl"
+                >
+                  <p className="text-[#E0E0E0] break-words min-w-0">{q.text}</p>
+                  {allowUpvotes ? (
+                    <button
+                      onClick={() => onUpvote?.(q.id)}
+                      className={`flex items-center gap-1.5 px-3 py-1.5 rounded-full text-sm font-medium border transition-colors touch-manipulation ${hasUpvoted ? 'bg-[#1D2A20] border-[#2E7D32]/50 text-[#4CAF50]' : 'bg-[#2A2A2A] border-[#2F2F2F] text-[#B0B0B0] hover:text-[#E0E0E0]'}`}
+                      aria-pressed={hasUpvoted}
+                      aria-label={hasUpvoted ? 'Remove upvote' : 'Upvote'}
+                    >
+                      <ThumbsUp className="h-4 w-4" />
+                      {q.upvotes || 0}
+                    </button>
+                  ) : null}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* User's Submitted Questions */}
       {userQuestions.length > 0 && (
         <div className="bg-[#1F1F1F] rounded-2xl shadow-lg border border-[#2A2A2A] p-6 space-y-4">
@@ -157,6 +202,12 @@ const ParticipantQnaView = ({
                 >
                   <div>
                     <p className="text-[#E0E0E0] font-medium mb-2">{q.text}</p>
+                    {allowUpvotes && q.status !== 'pending' && q.status !== 'rejected' && (
+                      <p className="flex items-center gap-1.5 text-xs text-[#B0B0B0]">
+                        <ThumbsUp className="h-3.5 w-3.5" />
+                        {q.upvotes || 0}
+                      </p>
+                    )}
                     {q.answerText && (
                       <div className="mt-3 p-3 bg-[#1D2A20] border border-[#2E7D32]/30 rounded-lg">
                         <p className="text-xs font-semibold text-[#4CAF50] mb-1">Presenter's Answer:</p>
@@ -1,22 +1,60 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 // eslint-disable-next-line
 import { motion, AnimatePresence } from 'framer-motion';
-import { ChevronUp, ChevronDown, Check, Send } from 'lucide-react';
+import { ChevronUp, ChevronDown, Check, Send, ThumbsUp, ShieldCheck, X, Pencil } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 
 const PresenterQnaView = ({
   slide,
   questions = [],
+  pendingQuestions = [],
+  settings = {},
   totalResponses = 0,
   onMarkAnswered,
-  onSetActiveQuestion
+  onSetActiveQuestion,
+  onModerate,
+  onUpdateSettings
 }) => {
   const { t } = useTranslation();
   const [currentIndex, setCurrentIndex] = useState(0);
   const [answerText, setAnswerText] = useState('');
+  const [showPending, setShowPending] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const currentIdRef = useRef(null);
 
   const unansweredQuestions = questions.filter(q => !q.answered);
   const currentQuestion = unansweredQuestions[currentIndex];
+  const unansweredOrder = unansweredQuestions.map(q => q.id).join(',');
+
+  // Upvotes can reorder the list; stay on the question that is on screen
+  useEffect(() => {
+    const index = unansweredQuestions.findIndex(q => q.id === currentIdRef.current);
+    if (index !== -1 && index !== currentIndex) {
+      setCurrentIndex(index);
+    }
+    // eslint-disable-next-line
+  }, [unansweredOrder]);
+
+  useEffect(() => {
+    currentIdRef.current = currentQuestion?.id ?? null;
+  }, [currentQuestion?.id]);
+
+  const startEditing = (question) => {
+    setEditingId(question.id);
+    setEditText(question.text);
+  };
+
+  const handleApprove = (question) => {
+    const text = editingId === question.id ? editText.trim() : undefined;
+    onModerate?.(question.id, 'approve', text || undefined);
+    setEditingId(null);
+  };
+
+  const handleReject = (question) => {
+    onModerate?.(question.id, 'reject');
+    if (editingId === question.id) setEditingId(null);
+  };
 
   // Reset answer text when question changes
   useEffect(() => {
@@ -106,8 +144,87 @@ const PresenterQnaView = ({
       {/* Slide Title Header */}
       <div className="text-center mb-4 sm:mb-6">
         <h1 className="text-xl sm:text-2xl font-semibold text-[#E0E0E0]">{slide?.question || t('slide_editors.qna.default_title')}</h1>
+        {onUpdateSettings && (
+          <div className="mt-3 flex flex-wrap items-center justify-center gap-2 text-xs">
+            <select
+              value={settings.sortBy || 'oldest'}
+              onChange={(e) => onUpdateSettings({ sortBy: e.target.value })}
+              className="px-2 py-1 bg-[#2A2A2A] border border-[#3B3B3B] rounded-lg text-[#E0E0E0] focus:outline-none"
+              aria-label={t('slide_editors.qna.sort_label')}
+            >
+              <option value="oldest">{t('slide_editors.qna.sort_oldest')}</option>
+              <option value="newest">{t('slide_editors.qna.sort_newest')}</option>
+              <option value="votes">{t('slide_editors.qna.sort_votes')}</option>
+            </select>
+            <button
+              onClick={() => onUpdateSettings({ moderation: !settings.moderation })}
+              className={`inline-flex items-center gap-1 px-2 py-1 rounded-lg border transition-colors ${settings.moderation ? 'border-[#4CAF50] text-[#4CAF50]' : 'border-[#3B3B3B] text-[#B0B0B0] hover:bg-[#2A2A2A]'}`}
+            >
+              <ShieldCheck className="h-3.5 w-3.5" />
+              <span>{settings.moderation ? t('slide_editors.qna.moderation_on') : t('slide_editors.qna.moderation_off')}</span>
+            </button>
+            {(settings.moderation || pendingQuestions.length > 0) && (
+              <button
+                onClick={() => setShowPending(prev => !prev)}
+                className="px-2 py-1 rounded-lg bg-[#2A2A2A] text-[#E0E0E0] hover:bg-[#333333] transition-colors"
+              >
+                {t('slide_editors.qna.pending_count', { count: pendingQuestions.length })}
+              </button>
+            )}
+          </div>
+        )}
       </div>
 
+      {showPending && (
+        <div className="mx-auto mb-4 w-full max-w-2xl max-h-64 overflow-y-auto rounded-lg border border-[#2A2A2A] bg-[#1F1F1F] p-3 space-y-2">
+          {pendingQuestions.length === 0 ? (
+            <p className="text-center text-sm text-[#6C6C6C]">{t('slide_editors.qna.no_pending')}</p>
+          ) : pendingQuestions.map(question => (
+            <div key={question.id} className="flex items-start gap-2 rounded-lg bg-[#2A2A2A] p-2">
+              <div className="flex-1 min-w-0">
+                {editingId === question.id ? (
+                  <textarea
+                    value={editText}
+                    onChange={(e) => setEditText(e.target.value)}
+                    className="w-full px-2 py-1 bg-[#232323] border border-[#3B3B3B] rounded text-sm text-white focus:outline-none focus:ring-1 focus:ring-[#4CAF50] resize-none"
+                    rows="2"
+                    maxLength={500}
+                  />
+                ) : (
+                  <p className="text-sm text-[#E0E0E0] break-words">{question.text}</p>
+                )}
+                {question.authorName && (
+                  <p className="text-xs text-[#6C6C6C] mt-0.5">{question.authorName}</p>
+                )}
+              </div>
+              {editingId !== question.id && (
+                <button
+                  onClick={() => startEditing(question)}
+                  className="p-1.5 rounded hover:bg-[#333333] text-[#B0B0B0]"
+                  title={t('slide_editors.qna.edit_question')}
+                >
+                  <Pencil className="h-4 w-4" />
+                </button>
+              )}
+              <button
+                onClick={() => handleApprove(question)}
+                className="p-1.5 rounded hover:bg-[#333333] text-[#4CAF50]"
+                title={t('slide_editors.qna.approve_question')}
+              >
+                <Check className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => handleReject(question)}
+                className="p-1.5 rounded hover:bg-[#333333] text-[#EF5350]"
+                title={t('slide_editors.qna.reject_question')}
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
       {unansweredQuestions.length === 0 ? (
         <div className="flex-1 flex items-center justify-center">
           <div className="text-center space-y-3">
@@ -142,6 +259,12 @@ const PresenterQnaView = ({
                 <h2 className={`${getQuestionTextSize(currentQuestion?.text)} font-normal text-[#E0E0E0] leading-tight`}>
                   {currentQuestion?.text}
                 </h2>
+                {settings.allowUpvotes !== false && (
+                  <p className="inline-flex items-center gap-1.5 text-lg text-[#B0B0B0]">
+                    <ThumbsUp className="h-5 w-5" />
+                    {currentQuestion?.upvotes || 0}
+                  </p>
+                )}
               </motion.div>
             </AnimatePresence>
           </div>
@@ -1,18 +1,26 @@
 import { useState, useEffect } from 'react';
-import { Plus, Minus, Clock, Trophy, CheckCircle } from 'lucide-react';
+import { Plus, Minus, Clock, Trophy, CheckCircle, Flame } from 'lucide-react';
 import SlideTypeHeader from '../common/SlideTypeHeader';
+import BranchingEditor from '../common/BranchingEditor';
 import { v4 as uuidv4 } from 'uuid';
 import { useTranslation } from 'react-i18next';
+import { getCorrectOptionIds } from '../../../utils/quizUtils';
 
-const QuizEditor = ({ slide, onUpdate }) => {
+const QuizEditor = ({ slide, slides, onUpdate }) => {
   const { t } = useTranslation();
   const [question, setQuestion] = useState(slide?.question || '');
   const [options, setOptions] = useState(slide?.quizSettings?.options || [
     { id: uuidv4(), text: '' },
     { id: uuidv4(), text: '' }
   ]);
-  const [correctOptionId, setCorrectOptionId] = useState(slide?.quizSettings?.correctOptionId || '');
+  const [correctOptionIds, setCorrectOptionIds] = useState(getCorrectOptionIds(slide?.quizSettings));
+  const [allowMultiple, setAllowMultiple] = useState(Boolean(slide?.quizSettings?.allowMultiple));
+  const [multiSelectScoring, setMultiSelectScoring] = useState(slide?.quizSettings?.multiSelectScoring || 'all_or_nothing');
   const [timeLimit, setTimeLimit] = useState(slide?.quizSettings?.timeLimit || 15);
+  const [scoringMode, setScoringMode] = useState(slide?.quizSettings?.scoringMode || 'speed');
+  const [points, setPoints] = useState(slide?.quizSettings?.points ?? 1000);
+  const [streakBonus, setStreakBonus] = useState(Boolean(slide?.quizSettings?.streakBonus));
+  const [negativePoints, setNegativePoints] = useState(slide?.quizSettings?.negativePoints || 0);
 
   useEffect(() => {
     if (slide) {
@@ -21,8 +29,14 @@ const QuizEditor = ({ slide, onUpdate }) => {
         { id: uuidv4(), text: '' },
         { id: uuidv4(), text: '' }
       ]);
-      setCorrectOptionId(slide.quizSettings?.correctOptionId || '');
+      setCorrectOptionIds(getCorrectOptionIds(slide.quizSettings));
+      setAllowMultiple(Boolean(slide.quizSettings?.allowMultiple));
+      setMultiSelectScoring(slide.quizSettings?.multiSelectScoring || 'all_or_nothing');
       setTimeLimit(slide.quizSettings?.timeLimit || 30);
+      setScoringMode(slide.quizSettings?.scoringMode || 'speed');
+      setPoints(slide.quizSettings?.points ?? 1000);
+      setStreakBonus(Boolean(slide.quizSettings?.streakBonus));
+      setNegativePoints(slide.quizSettings?.negativePoints || 0);
     }
   }, [slide]);
 
@@ -50,10 +64,11 @@ const QuizEditor = ({ slide, onUpdate }) => {
       const newOptions = options.filter((_, i) => i !== index);
       setOptions(newOptions);
       
-      // If removed option was correct, clear correct answer
-      if (correctOptionId === removedOptionId) {
-        setCorrectOptionId('');
-        updateSlide({ options: newOptions, correctOptionId: '' });
+      // If removed option was correct, drop it from the correct answers
+      if (correctOptionIds.includes(removedOptionId)) {
+        const newCorrectIds = correctOptionIds.filter(id => id !== removedOptionId);
+        setCorrectOptionIds(newCorrectIds);
+        updateSlide({ options: newOptions, correctOptionIds: newCorrectIds });
       } else {
         updateSlide({ options: newOptions });
       }
@@ -61,8 +76,27 @@ const QuizEditor = ({ slide, onUpdate }) => {
   };
 
   const handleCorrectOptionChange = (optionId) => {
-    setCorrectOptionId(optionId);
-    updateSlide({ correctOptionId: optionId });
+    let newCorrectIds = [optionId];
+    if (allowMultiple) {
+      newCorrectIds = correctOptionIds.includes(optionId)
+        ? correctOptionIds.filter(id => id !== optionId)
+        : [...correctOptionIds, optionId];
+    }
+    setCorrectOptionIds(newCorrectIds);
+    updateSlide({ correctOptionIds: newCorrectIds });
+  };
+
+  const handleAllowMultipleChange = (checked) => {
+    setAllowMultiple(checked);
+    // A single-answer question keeps only its first correct option
+    const newCorrectIds = checked ? correctOptionIds : correctOptionIds.slice(0, 1);
+    setCorrectOptionIds(newCorrectIds);
+    updateSlide({ allowMultiple: checked, correctOptionIds: newCorrectIds });
+  };
+
+  const handleMultiSelectScoringChange = (value) => {
+    setMultiSelectScoring(value);
+    updateSlide({ multiSelectScoring: value });
   };
 
   const handleTimeLimitChange = (value) => {
@@ -72,11 +106,39 @@ const QuizEditor = ({ slide, onUpdate }) => {
     updateSlide({ timeLimit: clampedValue });
   };
 
+  const handleScoringModeChange = (value) => {
+    setScoringMode(value);
+    updateSlide({ scoringMode: value });
+  };
+
+  const handlePointsChange = (value) => {
+    const numValue = Math.max(0, parseInt(value) || 0);
+    setPoints(numValue);
+    updateSlide({ points: numValue });
+  };
+
+  const handleStreakBonusChange = (checked) => {
+    setStreakBonus(checked);
+    updateSlide({ streakBonus: checked });
+  };
+
+  const handleNegativePointsChange = (value) => {
+    const numValue = Math.max(0, parseInt(value) || 0);
+    setNegativePoints(numValue);
+    updateSlide({ negativePoints: numValue });
+  };
+
   const updateSlide = (updates) => {
     const currentOptions = updates.options !== undefined ? updates.options : options;
-    const currentCorrectId = updates.correctOptionId !== undefined ? updates.correctOptionId : correctOptionId;
+    const currentCorrectIds = updates.correctOptionIds !== undefined ? updates.correctOptionIds : correctOptionIds;
+    const currentAllowMultiple = updates.allowMultiple !== undefined ? updates.allowMultiple : allowMultiple;
+    const currentMultiSelectScoring = updates.multiSelectScoring !== undefined ? updates.multiSelectScoring : multiSelectScoring;
     const currentTimeLimit = updates.timeLimit !== undefined ? updates.timeLimit : timeLimit;
     const currentQuestion = updates.question !== undefined ? updates.question : question;
+    const currentScoringMode = updates.scoringMode !== undefined ? updates.scoringMode : scoringMode;
+    const currentPoints = updates.points !== undefined ? updates.points : points;
+    const currentStreakBonus = updates.streakBonus !== undefined ? updates.streakBonus : streakBonus;
+    const currentNegativePoints = updates.negativePoints !== undefined ? updates.negativePoints : negativePoints;
 
     onUpdate({
       ...slide,
@@ -84,9 +146,15 @@ const QuizEditor = ({ slide, onUpdate }) => {
       question: currentQuestion,
       quizSettings: {
         options: currentOptions,
-        correctOptionId: currentCorrectId,
+        correctOptionId: currentCorrectIds[0] || '',
+        correctOptionIds: currentAllowMultiple ? currentCorrectIds : [],
+        allowMultiple: currentAllowMultiple,
+        multiSelectScoring: currentMultiSelectScoring,
         timeLimit: currentTimeLimit,
-        points: 1000
+        points: currentPoints,
+        scoringMode: currentScoringMode,
+        streakBonus: currentStreakBonus,
+        negativePoints: currentNegativePoints
       }
     });
   };
@@ -128,10 +196,12 @@ const QuizEditor = ({ slide, onUpdate }) => {
             {t('slide_editors.quiz.time_limit_range')}
           </span>
         </div>
-        <div className="mt-2 flex items-center gap-2 text-xs text-[#9E9E9E]">
-          <Trophy className="h-3 w-3" />
-          <span>{t('slide_editors.quiz.faster_answers_earn_more')}</span>
-        </div>
+        {scoringMode === 'speed' && (
+          <div className="mt-2 flex items-center gap-2 text-xs text-[#9E9E9E]">
+            <Trophy className="h-3 w-3" />
+            <span>{t('slide_editors.quiz.faster_answers_earn_more')}</span>
+          </div>
+        )}
       </div>
 
       {/* Answer Options */}
@@ -156,7 +226,7 @@ const QuizEditor = ({ slide, onUpdate }) => {
                 <input
                   type="checkbox"
                   id={`correct-${option.id}`}
-                  checked={correctOptionId === option.id}
+                  checked={correctOptionIds.includes(option.id)}
                   onChange={() => handleCorrectOptionChange(option.id)}
                   className="peer w-5 h-5 rounded border-2 border-[#3A3A3A] bg-[#1A1A1A] cursor-pointer appearance-none transition-all duration-200 hover:border-[#4CAF50] checked:bg-[#4CAF50] checked:border-[#4CAF50] focus:ring-2 focus:ring-[#4CAF50] focus:ring-offset-2 focus:ring-offset-[#1F1F1F]"
                 />
@@ -191,7 +261,7 @@ const QuizEditor = ({ slide, onUpdate }) => {
           ))}
         </div>
 
-        {!correctOptionId && (
+        {correctOptionIds.length === 0 && (
           <div className="mt-3 p-2 bg-[#2A2A2A] rounded-lg text-xs text-[#FFA726] flex items-center gap-2">
             <CheckCircle className="h-4 w-4" />
             <span>{t('slide_editors.quiz.select_correct_answer')}</span>
@@ -199,20 +269,110 @@ const QuizEditor = ({ slide, onUpdate }) => {
         )}
       </div>
 
-      {/* Scoring Info */}
+      {/* Answer Type */}
+      <div className="p-4 border-b border-[#2A2A2A]">
+        <label className="flex items-center gap-2 text-sm text-[#E0E0E0] cursor-pointer">
+          <input
+            type="checkbox"
+            checked={allowMultiple}
+            onChange={(e) => handleAllowMultipleChange(e.target.checked)}
+            className="w-4 h-4 accent-[#4CAF50]"
+          />
+          <span>{t('slide_editors.quiz.allow_multiple_label') || 'Multiple correct answers (select all that apply)'}</span>
+        </label>
+
+        {allowMultiple && (
+          <div className="mt-3">
+            <label className="block text-xs text-[#9E9E9E] mb-1">
+              {t('slide_editors.quiz.multi_select_scoring_label') || 'Partially correct answers'}
+            </label>
+            <select
+              value={multiSelectScoring}
+              onChange={(e) => handleMultiSelectScoringChange(e.target.value)}
+              className="w-full px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] focus:border-transparent outline-none"
+            >
+              <option value="all_or_nothing">{t('slide_editors.quiz.multi_select_all_or_nothing') || 'All or nothing'}</option>
+              <option value="proportional">{t('slide_editors.quiz.multi_select_proportional') || 'Proportional (wrong picks cancel right ones)'}</option>
+            </select>
+          </div>
+        )}
+      </div>
+
+      {/* Scoring */}
       <div className="p-4 bg-[#232323]">
-        <h3 className="text-sm font-medium text-[#E0E0E0] mb-2 flex items-center gap-2">
+        <h3 className="text-sm font-medium text-[#E0E0E0] mb-3 flex items-center gap-2">
           <Trophy className="h-4 w-4 text-[#FFD700]" />
           {t('slide_editors.quiz.scoring_system')}
         </h3>
-        <div className="space-y-1 text-xs text-[#9E9E9E]">
-          <p>• {t('slide_editors.quiz.max_score')}: <span className="text-[#4CAF50]">1000 {t('slide_editors.quiz.points')}</span></p>
-          <p>• {t('slide_editors.quiz.min_score')}: <span className="text-[#4CAF50]">500 {t('slide_editors.quiz.points')}</span></p>
-          <p>• {t('slide_editors.quiz.incorrect_answer')}: <span className="text-[#EF5350]">0 {t('slide_editors.quiz.points')}</span></p>
-          <p>• {t('slide_editors.quiz.bonus_for_speed')}</p>
+
+        <label className="block text-xs text-[#9E9E9E] mb-1">
+          {t('slide_editors.quiz.scoring_mode_label') || 'Scoring mode'}
+        </label>
+        <select
+          value={scoringMode}
+          onChange={(e) => handleScoringModeChange(e.target.value)}
+          className="w-full px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#1F1F1F] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] focus:border-transparent outline-none"
+        >
+          <option value="speed">{t('slide_editors.quiz.scoring_mode_speed') || 'Speed bonus'}</option>
+          <option value="accuracy">{t('slide_editors.quiz.scoring_mode_accuracy') || 'Accuracy only (no time bonus)'}</option>
+          <option value="fixed">{t('slide_editors.quiz.scoring_mode_fixed') || 'Fixed points per question'}</option>
+        </select>
+
+        {scoringMode === 'fixed' && (
+          <div className="mt-3 flex items-center gap-3">
+            <input
+              type="number"
+              value={points}
+              onChange={(e) => handlePointsChange(e.target.value)}
+              min="0"
+              className="w-24 px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#1F1F1F] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] focus:border-transparent outline-none"
+            />
+            <span className="text-xs text-[#9E9E9E]">{t('slide_editors.quiz.points_per_question') || 'points per correct answer'}</span>
+          </div>
+        )}
+
+        <label className="mt-3 flex items-center gap-2 text-xs text-[#E0E0E0] cursor-pointer">
+          <input
+            type="checkbox"
+            checked={streakBonus}
+            onChange={(e) => handleStreakBonusChange(e.target.checked)}
+            className="w-4 h-4 accent-[#4CAF50]"
+          />
+          <Flame className="h-3 w-3 text-[#FFA726]" />
+          <span>{t('slide_editors.quiz.streak_bonus_label') || 'Streak bonus (+10% per correct answer in a row, up to +50%)'}</span>
+        </label>
+
+        <div className="mt-3 flex items-center gap-3">
+          <input
+            type="number"
+            value={negativePoints}
+            onChange={(e) => handleNegativePointsChange(e.target.value)}
+            min="0"
+            className="w-24 px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#1F1F1F] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] focus:border-transparent outline-none"
+          />
+          <span className="text-xs text-[#9E9E9E]">{t('slide_editors.quiz.negative_points_label') || 'points deducted for a wrong answer'}</span>
+        </div>
+
+        <div className="mt-3 space-y-1 text-xs text-[#9E9E9E]">
+          {scoringMode === 'speed' && (
+            <>
+              <p>• {t('slide_editors.quiz.max_score')}: <span className="text-[#4CAF50]">1000 {t('slide_editors.quiz.points')}</span></p>
+              <p>• {t('slide_editors.quiz.min_score')}: <span className="text-[#4CAF50]">500 {t('slide_editors.quiz.points')}</span></p>
+            </>
+          )}
+          {scoringMode === 'accuracy' && (
+            <p>• {t('slide_editors.quiz.correct_answer') || 'Correct Answer'}: <span className="text-[#4CAF50]">1000 {t('slide_editors.quiz.points')}</span></p>
+          )}
+          {scoringMode === 'fixed' && (
+            <p>• {t('slide_editors.quiz.correct_answer') || 'Correct Answer'}: <span className="text-[#4CAF50]">{points} {t('slide_editors.quiz.points')}</span></p>
+          )}
+          <p>• {t('slide_editors.quiz.incorrect_answer')}: <span className="text-[#EF5350]">{negativePoints > 0 ? `-${negativePoints}` : 0} {t('slide_editors.quiz.points')}</span></p>
+          {scoringMode === 'speed' && <p>• {t('slide_editors.quiz.bonus_for_speed')}</p>}
           <p>• {t('slide_editors.quiz.scores_accumulate')}</p>
         </div>
       </div>
+
+      <BranchingEditor slide={slide} slides={slides} onUpdate={onUpdate} />
     </div>
   );
 };
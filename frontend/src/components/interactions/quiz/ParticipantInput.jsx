@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { Clock, Send, CheckCircle, XCircle, Trophy, Zap } from 'lucide-react';
+import { Clock, Send, CheckCircle, XCircle, Trophy, Zap, CircleDot } from 'lucide-react';
 
 const QuizParticipantInput = ({
   slide,
@@ -8,7 +8,8 @@ const QuizParticipantInput = ({
   submissionResult,
   voteCounts = {},
   totalResponses = 0,
-  onSubmit
+  onSubmit,
+  onStart
 }) => {
   const [selectedAnswer, setSelectedAnswer] = useState(null);
   const [timeRemaining, setTimeRemaining] = useState(null);
@@ -18,8 +19,12 @@ const QuizParticipantInput = ({
   const quizSettings = slide?.quizSettings || {};
   const options = quizSettings.options || [];
   const timeLimit = quizSettings.timeLimit || 30;
+  const allowMultiple = Boolean(quizSettings.allowMultiple);
   const isActive = quizState.isActive || false;
   const startTime = quizState.startTime;
+  // Select-all-that-apply questions keep an array of option IDs
+  const selectedIds = Array.isArray(selectedAnswer) ? selectedAnswer : (selectedAnswer ? [selectedAnswer] : []);
+  const hasSelection = selectedIds.length > 0;
 
   // Preserve selected answer from submission result
   useEffect(() => {
@@ -63,7 +68,7 @@ const QuizParticipantInput = ({
       // Auto-submit when time runs out
       if (remaining === 0) {
         setIsTimedOut(true);
-        if (!hasSubmitted && selectedAnswer) {
+        if (!hasSubmitted && hasSelection) {
           handleSubmit();
         }
       }
@@ -73,9 +78,19 @@ const QuizParticipantInput = ({
     // eslint-disable-next-line
   }, [isActive, startTime, timeLimit, hasSubmitted, selectedAnswer]);
 
+  const handleOptionClick = (optionId) => {
+    if (!allowMultiple) {
+      setSelectedAnswer(optionId);
+      return;
+    }
+    setSelectedAnswer(selectedIds.includes(optionId)
+      ? selectedIds.filter(id => id !== optionId)
+      : [...selectedIds, optionId]);
+  };
+
   const handleSubmit = () => {
-    if (!selectedAnswer || hasSubmitted || isTimedOut) return;
-    onSubmit(selectedAnswer, responseTime);
+    if (!hasSelection || hasSubmitted || isTimedOut) return;
+    onSubmit(allowMultiple ? selectedIds : selectedAnswer, responseTime);
   };
 
   const formatTime = (seconds) => {
@@ -103,7 +118,7 @@ const QuizParticipantInput = ({
             Time's up!
           </h3>
           <p className="text-base sm:text-lg text-[#E0E0E0]">
-            {selectedAnswer ? 'Your answer was not submitted in time.' : 'No answer selected.'}
+            {hasSelection ? 'Your answer was not submitted in time.' : 'No answer selected.'}
           </p>
           <p className="text-sm sm:text-base text-[#B0B0B0] mt-2">
             Better luck next time!
@@ -124,12 +139,32 @@ const QuizParticipantInput = ({
         </div>
         <div className="bg-[#1D2A20] border-2 border-[#2E7D32]/30 rounded-2xl p-6 sm:p-8 text-center">
           <Clock className="h-14 w-14 sm:h-16 sm:w-16 text-[#4CAF50] mx-auto mb-4" />
-          <h3 className="text-xl sm:text-2xl font-bold text-[#E0E0E0] mb-2">
-            Waiting for quiz to start...
-          </h3>
-          <p className="text-sm sm:text-base text-[#B0B0B0]">
-            The presenter will start the countdown shortly
-          </p>
+          {onStart ? (
+            <>
+              {/* Self-paced: the participant starts their own countdown */}
+              <h3 className="text-xl sm:text-2xl font-bold text-[#E0E0E0] mb-2">
+                Ready?
+              </h3>
+              <p className="text-sm sm:text-base text-[#B0B0B0] mb-5">
+                You will have {formatTime(timeLimit)} to answer once you start
+              </p>
+              <button
+                onClick={onStart}
+                className="px-6 py-3 bg-[#4CAF50] hover:bg-[#45A049] text-white font-semibold rounded-xl transition-colors"
+              >
+                Start quiz
+              </button>
+            </>
+          ) : (
+            <>
+              <h3 className="text-xl sm:text-2xl font-bold text-[#E0E0E0] mb-2">
+                Waiting for quiz to start...
+              </h3>
+              <p className="text-sm sm:text-base text-[#B0B0B0]">
+                The presenter will start the countdown shortly
+              </p>
+            </>
+          )}
         </div>
       </div>
     );
@@ -154,9 +189,15 @@ const QuizParticipantInput = ({
 
   // Show submission result (always show if submitted, even when quiz ends)
   if (hasSubmitted && submissionResult) {
-    // Find the selected option text
-    const selectedOption = options.find(opt => opt.id === submissionResult.answer || opt.id === selectedAnswer);
-    const selectedOptionText = selectedOption?.text || 'Your answer';
+    // Find the selected option text(s)
+    const submittedIds = Array.isArray(submissionResult.answer)
+      ? submissionResult.answer
+      : (submissionResult.answer ? [submissionResult.answer] : selectedIds);
+    const selectedOptionText = options
+      .filter(opt => submittedIds.includes(opt.id))
+      .map(opt => opt.text)
+      .join(', ') || 'Your answer';
+    const isPartiallyCorrect = !submissionResult.isCorrect && submissionResult.score > 0;
     
     return (
       <div className="w-full max-w-3xl mx-auto space-y-6">
@@ -170,9 +211,29 @@ const QuizParticipantInput = ({
         <div className={`rounded-2xl p-6 sm:p-8 text-center ${
           submissionResult.isCorrect 
             ? 'bg-[#1D2A20] border-2 border-[#2E7D32]/30' 
-            : 'bg-[#2A1F1F] border-2 border-[#EF5350]/30'
+            : isPartiallyCorrect
+              ? 'bg-[#2A2520] border-2 border-[#FF9800]/30'
+              : 'bg-[#2A1F1F] border-2 border-[#EF5350]/30'
         }`}>
-          {submissionResult.isCorrect ? (
+          {isPartiallyCorrect ? (
+            <>
+              <CircleDot className="h-16 w-16 sm:h-20 sm:w-20 text-[#FF9800] mx-auto mb-4" />
+              <h3 className="text-2xl sm:text-3xl font-bold text-[#FF9800] mb-2">
+                Partially correct
+              </h3>
+              <div className="mb-4">
+                <p className="text-base sm:text-lg text-[#B0B0B0] mb-2">Your answer:</p>
+                <p className="text-lg sm:text-xl font-semibold text-[#E0E0E0]">{selectedOptionText}</p>
+              </div>
+              <div className="flex items-center justify-center gap-2">
+                <Trophy className="h-5 w-5 sm:h-6 sm:w-6 text-[#FFD700]" />
+                <span className="text-3xl sm:text-4xl font-bold text-[#E0E0E0]">
+                  +{submissionResult.score}
+                </span>
+                <span className="text-lg sm:text-xl text-[#B0B0B0]">points</span>
+              </div>
+            </>
+          ) : submissionResult.isCorrect ? (
             <>
               <CheckCircle className="h-16 w-16 sm:h-20 sm:w-20 text-[#4CAF50] mx-auto mb-4" />
               <h3 className="text-2xl sm:text-3xl font-bold text-[#4CAF50] mb-2">
@@ -214,6 +275,11 @@ const QuizParticipantInput = ({
                   </div>
                 ) : null;
               })()}
+              {submissionResult.score < 0 && (
+                <p className="text-base sm:text-lg font-semibold text-[#EF5350] mt-4">
+                  {submissionResult.score} points
+                </p>
+              )}
               <p className="text-base sm:text-lg text-[#E0E0E0] mt-4">
                 Better luck on the next question!
               </p>
@@ -239,10 +305,8 @@ const QuizParticipantInput = ({
                 const percentage = maxVotes > 0 ? (voteCount / maxVotes) * 100 : 0;
                 const isCorrect = correctAnswerId === option.id;
                 // Check if this is the participant's submitted answer
-                const isSelected = (selectedAnswer === option.id) || 
-                                 (hasSubmitted && submissionResult && 
-                                  (submissionResult.answer === option.id || 
-                                   submissionResult.selectedAnswer === option.id));
+                const isSelected = submittedIds.includes(option.id) ||
+                                 submissionResult.selectedAnswer === option.id;
                 
                 return (
                   <div
@@ -337,15 +401,22 @@ const QuizParticipantInput = ({
         </div>
       )}
 
+      {allowMultiple && (
+        <p className="mb-4 text-center text-sm sm:text-base text-[#B0B0B0]">
+          Select all that apply
+        </p>
+      )}
+
       {/* Options */}
       <div className="space-y-3 sm:space-y-4 mb-6 sm:mb-8">
         {options.map((option) => (
           <button
             key={option.id}
-            onClick={() => setSelectedAnswer(option.id)}
+            onClick={() => handleOptionClick(option.id)}
             disabled={hasSubmitted || isTimedOut}
+            aria-pressed={selectedIds.includes(option.id)}
             className={`w-full p-4 sm:p-6 rounded-xl text-left text-base sm:text-xl font-semibold transition-all active:scale-[0.98] ${
-              selectedAnswer === option.id
+              selectedIds.includes(option.id)
                 ? 'bg-gradient-to-r from-[#388E3C] to-[#2E7D32] text-white shadow-lg shadow-[#4CAF50]/30 scale-[1.02]'
                 : 'bg-[#2A2A2A] text-[#E0E0E0] hover:bg-[#333333] border border-[#2F2F2F]'
             } ${hasSubmitted ? 'opacity-50 cursor-not-allowed' : ''}`}
@@ -360,13 +431,13 @@ const QuizParticipantInput = ({
         <div>
           <button
             onClick={handleSubmit}
-            disabled={!selectedAnswer}
+            disabled={!hasSelection}
             className="w-full py-3 sm:py-4 bg-gradient-to-r from-[#388E3C] to-[#2E7D32] hover:from-[#4CAF50] hover:to-[#388E3C] disabled:from-[#1F1F1F] disabled:to-[#1F1F1F] disabled:text-[#6C6C6C] text-white rounded-xl text-lg sm:text-xl font-semibold transition-all active:scale-95 disabled:active:scale-100 flex items-center justify-center gap-2 disabled:cursor-not-allowed shadow-lg shadow-[#4CAF50]/20 disabled:shadow-none"
           >
             <Send className="h-5 w-5" />
             Submit Answer
           </button>
-          {!selectedAnswer && (
+          {!hasSelection && (
             <p className="mt-2 text-center text-xs sm:text-sm text-[#6C6C6C]">
               Please select an option to submit
             </p>
@@ -376,7 +447,9 @@ const QuizParticipantInput = ({
 
       {/* Info */}
       <div className="mt-4 sm:mt-6 text-center text-xs sm:text-sm text-[#6C6C6C]">
-        <p>💡 Faster correct answers earn more points (500-1000)</p>
+        {(!quizSettings.scoringMode || quizSettings.scoringMode === 'speed') && (
+          <p>💡 Faster correct answers earn more points (500-1000)</p>
+        )}
       </div>
     </div>
   );
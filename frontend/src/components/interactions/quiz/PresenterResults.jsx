@@ -9,7 +9,8 @@ import {
   Tooltip,
   Legend,
 } from 'chart.js';
-import { Clock, CheckCircle, XCircle, Users, Play, StopCircle } from 'lucide-react';
+import { Clock, CheckCircle, XCircle, Users, Play, StopCircle, CircleDot } from 'lucide-react';
+import { getCorrectOptionIds } from '../../../utils/quizUtils';
 
 ChartJS.register(
   CategoryScale,
@@ -31,7 +32,7 @@ const QuizPresenterResults = ({
   // eslint-disable-next-line
   const options = quizSettings.options || [];
   const question = slide?.question || '';
-  const correctOptionId = quizSettings.correctOptionId;
+  const correctOptionIds = useMemo(() => getCorrectOptionIds(slide?.quizSettings), [slide?.quizSettings]);
   const timeLimit = quizSettings.timeLimit || 30;
   
   const isActive = quizState.isActive || false;
@@ -69,10 +70,10 @@ const QuizPresenterResults = ({
     const labels = options.map(opt => opt.text);
     const data = options.map(opt => results.optionCounts[opt.id] || 0);
     const backgroundColors = options.map(opt => 
-      opt.id === correctOptionId ? '#10b981' : '#3b82f6'
+      correctOptionIds.includes(opt.id) ? '#10b981' : '#3b82f6'
     );
     const borderColors = options.map(opt => 
-      opt.id === correctOptionId ? '#059669' : '#1d4ed8'
+      correctOptionIds.includes(opt.id) ? '#059669' : '#1d4ed8'
     );
 
     return {
@@ -89,7 +90,7 @@ const QuizPresenterResults = ({
         },
       ],
     };
-  }, [options, results.optionCounts, correctOptionId]);
+  }, [options, results.optionCounts, correctOptionIds]);
 
   const chartOptions = useMemo(() => ({
     responsive: true,
@@ -111,7 +112,7 @@ const QuizPresenterResults = ({
             const percentage = results.totalResponses > 0 
               ? Math.round((count / results.totalResponses) * 100) 
               : 0;
-            const isCorrect = option.id === correctOptionId;
+            const isCorrect = correctOptionIds.includes(option.id);
             return `${count} responses (${percentage}%) ${isCorrect ? '✓ Correct' : ''}`;
           },
         },
@@ -139,7 +140,7 @@ const QuizPresenterResults = ({
     animation: {
       duration: 300,
     },
-  }), [options, results.totalResponses, correctOptionId]);
+  }), [options, results.totalResponses, correctOptionIds]);
 
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
@@ -171,7 +172,16 @@ const QuizPresenterResults = ({
               <XCircle className="h-4 w-4 sm:h-5 sm:w-5 text-[#EF5350]" />
               <span className="font-medium text-[#EF5350] text-base sm:text-lg">{results.incorrectCount}</span>
             </div>
+            {quizSettings.allowMultiple && results.partialCount > 0 && (
+              <div className="flex items-center gap-2" title="Partially correct">
+                <CircleDot className="h-4 w-4 sm:h-5 sm:w-5 text-[#FFA726]" />
+                <span className="font-medium text-[#FFA726] text-base sm:text-lg">{results.partialCount}</span>
+              </div>
+            )}
           </div>
+          {quizSettings.allowMultiple && (
+            <p className="text-sm text-[#9E9E9E]">Select all that apply</p>
+          )}
           
           <div className="flex flex-col gap-3 mt-auto">
             <div className="flex flex-wrap items-center gap-3">
@@ -3,6 +3,7 @@ import { v4 as uuidv4 } from 'uuid';
 import { Plus, Minus, Shuffle } from 'lucide-react';
 import SlideTypeHeader from '../common/SlideTypeHeader';
 import { useTranslation } from 'react-i18next';
+import { RANKING_METHODS, getRankingMethod, getRankingMethodLabels } from './utils';
 
 const MIN_ITEMS = 2;
 const MAX_ITEMS = 10;
@@ -22,11 +23,13 @@ const RankingEditor = ({ slide, onUpdate }) => {
       { id: uuidv4(), label: '' }
     ];
   });
+  const [rankingMethod, setRankingMethod] = useState(() => getRankingMethod(slide));
   const isHydrating = useRef(true);
 
   useEffect(() => {
     isHydrating.current = true;
     setQuestion(slide?.question || '');
+    setRankingMethod(getRankingMethod(slide));
     if (Array.isArray(slide?.rankingItems) && slide.rankingItems.length > 0) {
       setItems(slide.rankingItems.map((item) => ({
         id: item.id,
@@ -48,10 +51,19 @@ const RankingEditor = ({ slide, onUpdate }) => {
 
     onUpdate?.({
       question,
-      rankingItems: items
+      rankingItems: items,
+      rankingMethod
     });
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [question, items]);
+  }, [question, items, rankingMethod]);
+
+  const methodLabels = getRankingMethodLabels(t);
+  const methodDescriptions = {
+    borda: t('slide_editors.ranking.method_borda_description') || 'Each position earns points: first place gets as many points as there are items, last place gets one.',
+    average_rank: t('slide_editors.ranking.method_average_rank_description') || 'Items are ordered by their average position; a lower average ranks higher.',
+    first_choice: t('slide_editors.ranking.method_first_choice_description') || 'Items are ordered by the share of participants who ranked them first.',
+    pairwise: t('slide_editors.ranking.method_pairwise_description') || 'Every pair of items is compared head to head. Items are ordered by their wins; an item that beats every other item is the Condorcet winner.'
+  };
 
   const handleQuestionChange = (value) => {
     setQuestion(value);
@@ -145,6 +157,27 @@ const RankingEditor = ({ slide, onUpdate }) => {
         </div>
       </div>
 
+      <div className="p-4 border-b border-[#2A2A2A]">
+        <label className="block text-sm font-medium text-[#E0E0E0] mb-2">{t('slide_editors.ranking.method_label') || 'Aggregation method'}</label>
+        <div className="grid grid-cols-2 gap-2">
+          {RANKING_METHODS.map(method => (
+            <button
+              key={method}
+              type="button"
+              onClick={() => setRankingMethod(method)}
+              className={`rounded-lg border px-3 py-2 text-sm transition-colors ${
+                rankingMethod === method
+                  ? 'border-[#4CAF50] bg-[#1D2A20] text-[#E0E0E0]'
+                  : 'border-[#2A2A2A] bg-[#232323] text-[#B0B0B0] hover:text-[#E0E0E0]'
+              }`}
+            >
+              {methodLabels[method]}
+            </button>
+          ))}
+        </div>
+        <p className="mt-2 text-xs text-[#9E9E9E]">{methodDescriptions[rankingMethod]}</p>
+      </div>
+
       <div className="p-4 text-xs text-[#9E9E9E] border-t border-[#2A2A2A]">
         {t('slide_editors.ranking.items_range', { min: MIN_ITEMS, max: MAX_ITEMS })}
       </div>
@@ -0,0 +1,58 @@
+import { useTranslation } from 'react-i18next';
+
+/**
+ * Head-to-head table: each cell counts the ballots preferring the row item over the column item
+ */
+const PairwiseMatrix = ({ pairwise, results = [] }) => {
+  const { t } = useTranslation();
+  const itemIds = Array.isArray(pairwise?.itemIds) ? pairwise.itemIds : [];
+  const matrix = Array.isArray(pairwise?.matrix) ? pairwise.matrix : [];
+  if (itemIds.length === 0 || matrix.length !== itemIds.length) return null;
+
+  const labels = new Map(results.map(item => [item.itemId || item.id, item.label]));
+  const indexById = new Map(itemIds.map((itemId, index) => [itemId, index]));
+  // Rows and columns follow the displayed order
+  const order = results
+    .map(item => indexById.get(item.itemId || item.id))
+    .filter(index => index !== undefined);
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-xs sm:text-sm">
+        <caption className="mb-2 text-left text-xs text-[#9E9E9E]">
+          {t('slide_editors.ranking.pairwise_caption') || 'Ballots preferring the row item over the column item'}
+        </caption>
+        <thead>
+          <tr>
+            <th className="p-2" />
+            {order.map(column => (
+              <th key={itemIds[column]} className="p-2 text-left font-medium text-[#B0B0B0] max-w-[8rem] truncate" title={labels.get(itemIds[column])}>
+                {labels.get(itemIds[column])}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {order.map(row => (
+            <tr key={itemIds[row]} className="border-t border-white/10">
+              <th scope="row" className="p-2 text-left font-medium text-[#E0E0E0] max-w-[10rem] truncate" title={labels.get(itemIds[row])}>
+                {labels.get(itemIds[row])}
+              </th>
+              {order.map(column => {
+                if (row === column) {
+                  return <td key={itemIds[column]} className="p-2 text-center text-[#6C6C6C]">–</td>;
+                }
+                const wins = matrix[row][column];
+                const losses = matrix[column][row];
+                const tone = wins > losses ? 'text-[#4CAF50] font-semibold' : (wins < losses ? 'text-[#EF5350]' : 'text-[#B0B0B0]');
+                return <td key={itemIds[column]} className={`p-2 text-center ${tone}`}>{wins}</td>;
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default PairwiseMatrix;
@@ -1,28 +1,53 @@
-import { useMemo } from 'react';
+import { useMemo, useState, useEffect } from 'react';
 // eslint-disable-next-line
 import { motion, AnimatePresence } from 'framer-motion';
-import { Users } from 'lucide-react';
+import { Users, Crown } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import RankDistribution from './RankDistribution';
+import PairwiseMatrix from './PairwiseMatrix';
+import {
+  RANKING_METHODS,
+  getRankingMethod,
+  sortRankingResults,
+  formatMethodValue,
+  getRankingMethodLabels,
+  getRankingMethodUnits
+} from './utils';
 
 const RankingPresenterView = ({
   slide,
   rankingResults = [],
+  rankingPairwise = null,
   totalResponses = 0
 }) => {
+  const { t } = useTranslation();
   const hasResponses = totalResponses > 0 && Array.isArray(rankingResults) && rankingResults.length > 0;
+  // Starts with the slide's method; the presenter can compare the others live
+  const slideMethod = getRankingMethod(slide);
+  const [method, setMethod] = useState(slideMethod);
+
+  useEffect(() => {
+    setMethod(slideMethod);
+  }, [slide?.id, slideMethod]);
+
+  const methodLabels = getRankingMethodLabels(t);
+  const methodUnits = getRankingMethodUnits(t);
 
   const items = useMemo(() => {
     if (!hasResponses) {
       return [];
     }
 
-    return rankingResults.map((item, index) => ({
+    return sortRankingResults(rankingResults, method).map((item, index) => ({
+      ...item,
       id: item.id || index,
       label: item.label || `Item ${index + 1}`,
       score: item.score || 0,
-      averagePosition: item.averagePosition,
       responseCount: item.responseCount || 0
     }));
-  }, [hasResponses, rankingResults]);
+  }, [hasResponses, rankingResults, method]);
+
+  const condorcetWinner = items.find(item => item.isCondorcetWinner);
 
   // Fixed bar widths based on rank position (Mentimeter style)
   const getBarWidth = (index, totalItems) => {
@@ -61,6 +86,33 @@ const RankingPresenterView = ({
             </div>
           </div>
 
+          <div className="flex flex-wrap items-center gap-2" role="group" aria-label={t('slide_editors.ranking.method_label') || 'Aggregation method'}>
+            {RANKING_METHODS.map(value => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setMethod(value)}
+                aria-pressed={method === value}
+                className={`rounded-full border px-3 py-1.5 text-xs sm:text-sm transition-colors ${
+                  method === value
+                    ? 'border-[#4CAF50] bg-[#1D2A20] text-[#E0E0E0]'
+                    : 'border-[#2F2F2F] bg-[#2A2A2A] text-[#B0B0B0] hover:text-[#E0E0E0]'
+                }`}
+              >
+                {methodLabels[value]}
+              </button>
+            ))}
+          </div>
+
+          {method === 'pairwise' && hasResponses && (
+            <div className="flex items-center gap-2 text-sm sm:text-base text-[#E0E0E0]">
+              <Crown className={`h-4 w-4 sm:h-5 sm:w-5 ${condorcetWinner ? 'text-[#FFB300]' : 'text-[#6C6C6C]'}`} />
+              {condorcetWinner
+                ? t('slide_editors.ranking.condorcet_winner', { label: condorcetWinner.label }) || `Condorcet winner: ${condorcetWinner.label}`
+                : t('slide_editors.ranking.no_condorcet_winner') || 'No Condorcet winner: no item beats every other item head to head'}
+            </div>
+          )}
+
           <div className="space-y-4 mt-4">
             {items.length === 0 ? (
               <div className="flex items-center justify-center py-12 sm:py-16 text-[#6C6C6C]">
@@ -82,30 +134,45 @@ const RankingPresenterView = ({
                     className="flex items-center gap-3 sm:gap-4"
                   >
                     <div className="flex h-10 w-10 sm:h-12 sm:w-12 flex-shrink-0 items-center justify-center rounded-lg bg-[#2A2A2A] text-lg sm:text-xl font-bold text-[#E0E0E0]">
-                      {index + 1}.
+                      {item.rank}.
                     </div>
 
                     <div className="flex-1">
-                      <div className="mb-2 flex items-center justify-between">
+                      <div className="mb-2 flex items-center justify-between gap-3">
                         <span className="text-lg sm:text-xl font-semibold text-[#E0E0E0]">{item.label}</span>
+                        <span className="text-sm sm:text-base font-semibold text-[#B0B0B0] whitespace-nowrap">
+                          {formatMethodValue(item, method)} <span className="text-xs font-normal text-[#6C6C6C]">{methodUnits[method]}</span>
+                        </span>
                       </div>
                       <div className="relative group">
                         <motion.div
                           className={`h-10 sm:h-12 rounded-lg ${getBarColor(index)} shadow-md`}
                           initial={{ width: 0 }}
-                          animate={{ width: `${getBarWidth(index, items.length)}%` }}
+                          animate={{ width: `${getBarWidth(item.rank - 1, items.length)}%` }}
                           transition={{ duration: 0.5, ease: 'easeOut' }}
                         />
                         <div className="pointer-events-none absolute inset-y-0 left-4 flex items-center text-sm font-semibold text-[#E0E0E0] opacity-0 transition-opacity duration-200 group-hover:opacity-100">
-                          Score: {item.score}
+                          {methodLabels.borda}: {item.score}
                         </div>
                       </div>
+                      {Array.isArray(item.rankDistribution) && (
+                        <div className="mt-2">
+                          <RankDistribution
+                            distribution={item.rankDistribution}
+                            label={t('slide_editors.ranking.rank_distribution') || 'Rank distribution'}
+                          />
+                        </div>
+                      )}
                     </div>
                   </motion.div>
                 ))}
               </AnimatePresence>
             )}
           </div>
+
+          {method === 'pairwise' && hasResponses && (
+            <PairwiseMatrix pairwise={rankingPairwise} results={items} />
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,37 @@
+// Positions fade from the first to the last place
+const getPositionColor = (index, total) => {
+  const opacity = total > 1 ? 1 - (index / (total - 1)) * 0.8 : 1;
+  return `rgba(76, 175, 80, ${opacity.toFixed(2)})`;
+};
+
+/**
+ * Stacked bar of how many ballots put an item at each position
+ */
+const RankDistribution = ({ distribution = [], label }) => {
+  const total = distribution.reduce((sum, count) => sum + count, 0);
+  if (total === 0) return null;
+
+  return (
+    <div className="space-y-1">
+      <div className="flex h-2.5 w-full overflow-hidden rounded-full bg-white/5" role="img" aria-label={label}>
+        {distribution.map((count, index) => (
+          count > 0 && (
+            <div
+              key={index}
+              className="h-full"
+              style={{ width: `${(count / total) * 100}%`, backgroundColor: getPositionColor(index, distribution.length) }}
+              title={`#${index + 1}: ${count}`}
+            />
+          )
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-x-2 text-[11px] text-[#9E9E9E]">
+        {distribution.map((count, index) => (
+          <span key={index}>#{index + 1}: {count}</span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RankDistribution;
@@ -0,0 +1,67 @@
+export const RANKING_METHODS = ['borda', 'average_rank', 'first_choice', 'pairwise'];
+
+export const getRankingMethod = (slide) => (
+  RANKING_METHODS.includes(slide?.rankingMethod) ? slide.rankingMethod : 'borda'
+);
+
+// Method value of an item (see rankingStatsService); average rank is better when lower
+const METHOD_VALUES = {
+  borda: { value: item => item.score ?? 0, higherIsBetter: true },
+  average_rank: { value: item => (item.responseCount > 0 ? item.averageRank : null), higherIsBetter: false },
+  first_choice: { value: item => item.firstChoiceShare ?? 0, higherIsBetter: true },
+  pairwise: { value: item => item.copelandScore ?? 0, higherIsBetter: true }
+};
+
+// Results ordered by a method with value and rank recomputed; equal values share a rank
+export const sortRankingResults = (results, method) => {
+  const { value, higherIsBetter } = METHOD_VALUES[method] || METHOD_VALUES.borda;
+  const sorted = [...(Array.isArray(results) ? results : [])].sort((a, b) => {
+    const valueA = value(a);
+    const valueB = value(b);
+    if (valueA !== valueB) {
+      if (valueA === null) return 1;
+      if (valueB === null) return -1;
+      return higherIsBetter ? valueB - valueA : valueA - valueB;
+    }
+    if ((b.score ?? 0) !== (a.score ?? 0)) return (b.score ?? 0) - (a.score ?? 0);
+    const rankA = a.responseCount > 0 ? a.averageRank : Infinity;
+    const rankB = b.responseCount > 0 ? b.averageRank : Infinity;
+    return rankA === rankB ? 0 : rankA - rankB;
+  });
+
+  return sorted.reduce((ranked, item, index) => {
+    const itemValue = value(item);
+    const previous = ranked[index - 1];
+    ranked.push({ ...item, value: itemValue, rank: previous && previous.value === itemValue ? previous.rank : index + 1 });
+    return ranked;
+  }, []);
+};
+
+// Displayed value of an item for a method
+export const formatMethodValue = (item, method) => {
+  switch (method) {
+    case 'average_rank':
+      return item.value === null || item.value === undefined ? '-' : String(Number(Number(item.value).toFixed(2)));
+    case 'first_choice':
+      return `${Number(item.value || 0)}%`;
+    case 'pairwise':
+      return item.pairwiseWins !== undefined ? `${item.pairwiseWins}-${item.pairwiseTies}-${item.pairwiseLosses}` : '-';
+    default:
+      return String(item.value ?? item.score ?? 0);
+  }
+};
+
+export const getRankingMethodLabels = (t) => ({
+  borda: t('slide_editors.ranking.method_borda') || 'Borda count',
+  average_rank: t('slide_editors.ranking.method_average_rank') || 'Average rank',
+  first_choice: t('slide_editors.ranking.method_first_choice') || 'First choice',
+  pairwise: t('slide_editors.ranking.method_pairwise') || 'Pairwise'
+});
+
+// Unit shown next to an item's value
+export const getRankingMethodUnits = (t) => ({
+  borda: t('slide_editors.ranking.points') || 'points',
+  average_rank: t('slide_editors.ranking.unit_average_rank') || 'avg. rank',
+  first_choice: t('slide_editors.ranking.unit_first_choice') || 'first choices',
+  pairwise: t('slide_editors.ranking.unit_pairwise') || 'W-T-L'
+});
@@ -1,7 +1,8 @@
 import { useState, useEffect, useMemo } from 'react';
-import { Plus, Minus } from 'lucide-react';
+import { Plus, Minus, SlidersHorizontal, Gauge } from 'lucide-react';
 import SlideTypeHeader from '../common/SlideTypeHeader';
 import { useTranslation } from 'react-i18next';
+import { NPS_MIN, NPS_MAX } from './utils';
 
 const MAX_STATEMENTS = 10;
 const MIN_STATEMENTS = 1;
@@ -22,6 +23,8 @@ const ScalesEditor = ({ slide, onUpdate }) => {
   const [maxValue, setMaxValue] = useState(typeof slide?.maxValue === 'number' ? slide.maxValue : 5);
   const [minLabel, setMinLabel] = useState(slide?.minLabel || '');
   const [maxLabel, setMaxLabel] = useState(slide?.maxLabel || '');
+  const [scaleMode, setScaleMode] = useState(slide?.scaleMode || 'scale');
+  const isNps = scaleMode === 'nps';
 
   useEffect(() => {
     setQuestion(slide?.question || '');
@@ -30,6 +33,7 @@ const ScalesEditor = ({ slide, onUpdate }) => {
     setMaxValue(typeof slide?.maxValue === 'number' ? slide.maxValue : 5);
     setMinLabel(slide?.minLabel || '');
     setMaxLabel(slide?.maxLabel || '');
+    setScaleMode(slide?.scaleMode || 'scale');
   }, [slide, initialStatements]);
 
   const emitUpdate = (overrides = {}) => {
@@ -42,6 +46,7 @@ const ScalesEditor = ({ slide, onUpdate }) => {
       minLabel,
       maxLabel,
       statements,
+      scaleMode,
       ...overrides
     });
   };
@@ -87,6 +92,30 @@ const ScalesEditor = ({ slide, onUpdate }) => {
     emitUpdate({ maxValue: safeValue });
   };
 
+  // NPS always rates 0-10; going back to a rating scale restores the default 1-5 range
+  const handleScaleModeChange = (nextMode) => {
+    if (nextMode === scaleMode) return;
+    const next = nextMode === 'nps'
+      ? {
+        minValue: NPS_MIN,
+        maxValue: NPS_MAX,
+        minLabel: t('slide_editors.scales.nps_min_label') || 'Not at all likely',
+        maxLabel: t('slide_editors.scales.nps_max_label') || 'Extremely likely'
+      }
+      : {
+        minValue: 1,
+        maxValue: 5,
+        minLabel: t('slide_editors.scales.default_min_label'),
+        maxLabel: t('slide_editors.scales.default_max_label')
+      };
+    setScaleMode(nextMode);
+    setMinValue(next.minValue);
+    setMaxValue(next.maxValue);
+    setMinLabel(next.minLabel);
+    setMaxLabel(next.maxLabel);
+    emitUpdate({ scaleMode: nextMode, ...next });
+  };
+
   const handleMinLabelChange = (value) => {
     setMinLabel(value);
     emitUpdate({ minLabel: value });
@@ -111,6 +140,35 @@ const ScalesEditor = ({ slide, onUpdate }) => {
         />
       </div>
 
+      <div className="p-4 border-b border-[#2A2A2A]">
+        <label className="block text-sm font-medium text-[#E0E0E0] mb-2">{t('slide_editors.scales.mode_label') || 'Scale type'}</label>
+        <div className="grid grid-cols-2 gap-2">
+          {[
+            { value: 'scale', icon: SlidersHorizontal, label: t('slide_editors.scales.mode_scale') || 'Rating scale' },
+            { value: 'nps', icon: Gauge, label: t('slide_editors.scales.mode_nps') || 'Net Promoter Score' }
+          ].map(mode => (
+            <button
+              key={mode.value}
+              type="button"
+              onClick={() => handleScaleModeChange(mode.value)}
+              className={`flex items-center justify-center gap-2 rounded-lg border px-3 py-2 text-sm transition-colors ${
+                scaleMode === mode.value
+                  ? 'border-[#4CAF50] bg-[#1D2A20] text-[#E0E0E0]'
+                  : 'border-[#2A2A2A] bg-[#232323] text-[#B0B0B0] hover:text-[#E0E0E0]'
+              }`}
+            >
+              <mode.icon className="h-4 w-4" />
+              {mode.label}
+            </button>
+          ))}
+        </div>
+        {isNps && (
+          <p className="mt-2 text-xs text-[#9E9E9E]">
+            {t('slide_editors.scales.nps_description') || 'Participants answer from 0 to 10. 9-10 are promoters, 7-8 passives and 0-6 detractors; the score is the percentage of promoters minus the percentage of detractors.'}
+          </p>
+        )}
+      </div>
+
       <div className="p-4 border-b border-[#2A2A2A]">
         <div className="flex items-center justify-between mb-3">
           <label className="block text-sm font-medium text-[#E0E0E0]">{t('slide_editors.scales.statements_label')}</label>
@@ -154,28 +212,32 @@ const ScalesEditor = ({ slide, onUpdate }) => {
       <div className="p-4 space-y-4 border-b border-[#2A2A2A]">
         <h3 className="text-sm font-medium text-[#E0E0E0]">{t('slide_editors.scales.settings_title')}</h3>
         <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
-          <div>
-            <label className="block text-xs font-medium text-[#9E9E9E] mb-1">{t('slide_editors.scales.min_value_label')}</label>
-            <input
-              type="number"
-              min={0}
-              max={maxValue - 1}
-              value={minValue}
-              onChange={(event) => handleMinValueChange(event.target.value)}
-              className="w-full px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] focus:border-transparent outline-none"
-            />
-          </div>
-          <div>
-            <label className="block text-xs font-medium text-[#9E9E9E] mb-1">{t('slide_editors.scales.max_value_label')}</label>
-            <input
-              type="number"
-              min={minValue + 1}
-              max={10}
-              value={maxValue}
-              onChange={(event) => handleMaxValueChange(event.target.value)}
-              className="w-full px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] focus:border-transparent outline-none"
-            />
-          </div>
+          {!isNps && (
+            <>
+              <div>
+                <label className="block text-xs font-medium text-[#9E9E9E] mb-1">{t('slide_editors.scales.min_value_label')}</label>
+                <input
+                  type="number"
+                  min={0}
+                  max={maxValue - 1}
+                  value={minValue}
+                  onChange={(event) => handleMinValueChange(event.target.value)}
+                  className="w-full px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] focus:border-transparent outline-none"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-[#9E9E9E] mb-1">{t('slide_editors.scales.max_value_label')}</label>
+                <input
+                  type="number"
+                  min={minValue + 1}
+                  max={10}
+                  value={maxValue}
+                  onChange={(event) => handleMaxValueChange(event.target.value)}
+                  className="w-full px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] focus:border-transparent outline-none"
+                />
+              </div>
+            </>
+          )}
           <div>
             <label className="block text-xs font-medium text-[#9E9E9E] mb-1">
               {t('slide_editors.scales.min_label_with_value', { value: minValue })}
@@ -202,7 +264,9 @@ const ScalesEditor = ({ slide, onUpdate }) => {
           </div>
         </div>
         <p className="text-xs text-[#9E9E9E]">
-          {t('slide_editors.scales.results_description', { min: minValue, max: maxValue })}
+          {isNps
+            ? (t('slide_editors.scales.nps_results_description') || 'Presenter results will show the Net Promoter Score and how promoters, passives and detractors are split for every statement.')
+            : t('slide_editors.scales.results_description', { min: minValue, max: maxValue })}
         </p>
       </div>
     </div>
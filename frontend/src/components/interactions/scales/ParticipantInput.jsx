@@ -1,6 +1,7 @@
 import { useEffect, useMemo, useState } from 'react';
 import { Send } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
+import { getScaleBounds, getNpsGroup, isNpsSlide, NPS_GROUP_COLORS } from './utils';
 
 const colorPalette = ['#4F46E5', '#F97316', '#1D4ED8', '#10B981', '#EC4899', '#6366F1', '#0EA5E9'];
 
@@ -11,11 +12,13 @@ const ScalesParticipantInput = ({
   scaleDistribution = {},
   scaleAverage = 0,
   scaleStatementAverages = {},
+  scaleStats = null,
+  scaleStatementStats = [],
   totalResponses = 0
 }) => {
   const { t } = useTranslation();
-  const minValue = typeof slide?.minValue === 'number' ? slide.minValue : 1;
-  const maxValue = typeof slide?.maxValue === 'number' ? slide.maxValue : 5;
+  const { minValue, maxValue } = getScaleBounds(slide);
+  const isNps = isNpsSlide(slide);
   const statements = useMemo(() => {
     if (!Array.isArray(slide?.statements)) return [];
     // Normalize statements: extract text if it's an object, otherwise use as string
@@ -80,6 +83,37 @@ const ScalesParticipantInput = ({
     }
   };
 
+  // NPS answers are picked from 0-10 buttons coloured by group
+  const renderNpsButtons = (value, index) => (
+    <div className="space-y-2">
+      <div className="grid grid-cols-11 gap-1 sm:gap-1.5">
+        {Array.from({ length: maxValue - minValue + 1 }, (_, offset) => {
+          const option = minValue + offset;
+          const isSelected = touched[index] && value === option;
+          return (
+            <button
+              key={option}
+              type="button"
+              onClick={() => handleSliderChange(index, option)}
+              aria-label={t('slide_editors.scales.select_value_aria', { value: option })}
+              aria-pressed={isSelected}
+              className={`h-10 sm:h-12 rounded-lg border text-sm sm:text-base font-semibold transition-all ${
+                isSelected ? 'text-white scale-105' : 'border-[#2F2F2F] bg-[#2A2A2A] text-[#B0B0B0] hover:text-[#E0E0E0]'
+              }`}
+              style={isSelected ? { backgroundColor: NPS_GROUP_COLORS[getNpsGroup(option)], borderColor: NPS_GROUP_COLORS[getNpsGroup(option)] } : undefined}
+            >
+              {option}
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex justify-between text-xs text-[#6C6C6C]">
+        <span>{slide?.minLabel || minValue}</span>
+        <span>{slide?.maxLabel || maxValue}</span>
+      </div>
+    </div>
+  );
+
   const renderSlider = (value, index, label) => {
     const percentage = ((value - minValue) / (maxValue - minValue)) * 100;
     const color = colorPalette[index % colorPalette.length];
@@ -103,28 +137,32 @@ const ScalesParticipantInput = ({
           </div>
         </div>
 
-        <input
-          type="range"
-          id={sliderId}
-          min={minValue}
-          max={maxValue}
-          value={value}
-          onChange={(event) => handleSliderChange(index, event.target.value)}
-          className="h-2 w-full cursor-pointer appearance-none rounded-full bg-[#2A2A2A]"
-          style={{ background: `linear-gradient(90deg, ${color} ${percentage}%, #2A2A2A ${percentage}%)` }}
-          aria-label={isMultiStatement 
-            ? t('slide_editors.scales.rate_statement', { number: index + 1, label }) 
-            : t('slide_editors.scales.rate_label', { label: label || slide?.question })}
-          aria-valuemin={minValue}
-          aria-valuemax={maxValue}
-          aria-valuenow={value}
-        />
-
-        {/* Scale numbers - show only min and max values */}
-        <div className="flex justify-between text-xs text-[#6C6C6C]">
-          <span>{slide?.minLabel || minValue}</span>
-          <span>{slide?.maxLabel || maxValue}</span>
-        </div>
+        {isNps ? renderNpsButtons(value, index) : (
+          <>
+            <input
+              type="range"
+              id={sliderId}
+              min={minValue}
+              max={maxValue}
+              value={value}
+              onChange={(event) => handleSliderChange(index, event.target.value)}
+              className="h-2 w-full cursor-pointer appearance-none rounded-full bg-[#2A2A2A]"
+              style={{ background: `linear-gradient(90deg, ${color} ${percentage}%, #2A2A2A ${percentage}%)` }}
+              aria-label={isMultiStatement 
+                ? t('slide_editors.scales.rate_statement', { number: index + 1, label }) 
+                : t('slide_editors.scales.rate_label', { label: label || slide?.question })}
+              aria-valuemin={minValue}
+              aria-valuemax={maxValue}
+              aria-valuenow={value}
+            />
+
+            {/* Scale numbers - show only min and max values */}
+            <div className="flex justify-between text-xs text-[#6C6C6C]">
+              <span>{slide?.minLabel || minValue}</span>
+              <span>{slide?.maxLabel || maxValue}</span>
+            </div>
+          </>
+        )}
       </div>
     );
   };
@@ -137,6 +175,15 @@ const ScalesParticipantInput = ({
     return scaleAverage;
   };
 
+  // NPS slides show the score instead of the average
+  const getResultValue = (index, average) => {
+    const stats = isMultiStatement ? scaleStatementStats?.[index] : scaleStats;
+    if (isNps && stats?.nps) {
+      return { value: stats.nps.score > 0 ? `+${stats.nps.score}` : String(stats.nps.score), label: t('slide_editors.scales.nps_short') || 'NPS' };
+    }
+    return { value: average.toFixed(1), label: t('slide_editors.scales.average') };
+  };
+
   if (hasSubmitted) {
     return (
       <div className="mx-auto w-full max-w-4xl space-y-6 sm:space-y-8">
@@ -166,7 +213,8 @@ const ScalesParticipantInput = ({
               <div className="space-y-4">
                 {statements.map((statement, index) => {
                   const avg = getStatementAverage(index);
-                  
+                  const result = getResultValue(index, avg);
+
                   return (
                     <div key={`statement-${index}`} className="flex items-center justify-between py-2" role="group" aria-label={t('slide_editors.scales.statement_average', { number: index + 1, statement, average: avg.toFixed(1) })}>
                       <p className="text-base sm:text-lg font-medium text-[#E0E0E0] flex-1">
@@ -174,9 +222,9 @@ const ScalesParticipantInput = ({
                       </p>
                       <div className="text-right ml-4">
                         <div className="text-lg sm:text-xl font-bold text-[#4CAF50]">
-                          {avg.toFixed(1)}
+                          {result.value}
                         </div>
-                        <div className="text-xs text-[#6C6C6C]">{t('slide_editors.scales.average')}</div>
+                        <div className="text-xs text-[#6C6C6C]">{result.label}</div>
                       </div>
                     </div>
                   );
@@ -189,9 +237,9 @@ const ScalesParticipantInput = ({
                 </p>
                 <div className="text-right ml-4">
                   <div className="text-lg sm:text-xl font-bold text-[#4CAF50]">
-                    {scaleAverage.toFixed(1)}
+                    {getResultValue(0, scaleAverage).value}
                   </div>
-                  <div className="text-xs text-[#6C6C6C]">{t('slide_editors.scales.average')}</div>
+                  <div className="text-xs text-[#6C6C6C]">{getResultValue(0, scaleAverage).label}</div>
                 </div>
               </div>
             )}
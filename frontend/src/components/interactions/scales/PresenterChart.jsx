@@ -1,5 +1,7 @@
 import { useMemo } from 'react';
 import { Users } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { formatStat } from './utils';
 
 const colorPalette = ['#4F46E5', '#F97316', '#1D4ED8', '#10B981', '#EC4899', '#6366F1', '#0EA5E9'];
 
@@ -8,12 +10,14 @@ const ScalesPresenterChart = ({
   statements = [],
   averages = [],
   counts = [],
+  stats = [],
   minValue = 1,
   maxValue = 5,
   minLabel,
   maxLabel,
   totalResponses = 0
 }) => {
+  const { t } = useTranslation();
   const domain = useMemo(() => {
     const safeMin = typeof minValue === 'number' ? minValue : 1;
     const safeMax = typeof maxValue === 'number' ? maxValue : 5;
@@ -32,15 +36,23 @@ const ScalesPresenterChart = ({
       const progress = span === 0 ? 0 : ((boundedValue - min) / span) * 100;
       const count = counts[index] ?? 0;
       const color = colorPalette[index % colorPalette.length];
+      const statementStats = stats?.[index] || null;
+      const histogram = Array.from({ length: max - min + 1 }, (_, offset) => ({
+        value: min + offset,
+        count: Number(statementStats?.distribution?.[min + offset] || 0)
+      }));
       return {
         statement,
         value: boundedValue,
         progress,
         count,
-        color
+        color,
+        statementStats,
+        histogram,
+        histogramMax: histogram.reduce((acc, bar) => Math.max(acc, bar.count), 0) || 1
       };
     });
-  }, [statements, averages, counts, domain]);
+  }, [statements, averages, counts, stats, domain]);
 
   return (
     <div className="space-y-6 sm:space-y-10">
@@ -71,7 +83,7 @@ const ScalesPresenterChart = ({
           <span>{maxLabel || 'High'}</span>
         </div>
         <div className="mt-4 sm:mt-6 space-y-4 sm:space-y-6">
-          {chartRows.map(({ statement, value, progress, count, color }, index) => (
+          {chartRows.map(({ statement, value, progress, count, color, statementStats, histogram, histogramMax }, index) => (
             <div key={statement || index} className="space-y-2">
               <div className="flex items-center justify-between text-sm text-[#B0B0B0]">
                 <div className="flex items-center gap-3">
@@ -95,6 +107,31 @@ const ScalesPresenterChart = ({
                   }}
                 />
               </div>
+              {statementStats && count > 0 && (
+                <div className="flex flex-col gap-2 pt-1 sm:flex-row sm:items-end sm:justify-between">
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-[#9E9E9E]">
+                    <span>{t('slide_editors.scales.median') || 'Median'}: <span className="font-semibold text-[#E0E0E0]">{formatStat(statementStats.median)}</span></span>
+                    <span>{t('slide_editors.scales.std_dev') || 'Std dev'}: <span className="font-semibold text-[#E0E0E0]">{formatStat(statementStats.standardDeviation)}</span></span>
+                    <span>{t('slide_editors.scales.agreement') || 'Agreement'}: <span className="font-semibold text-[#E0E0E0]">{formatStat(statementStats.agreement)}</span></span>
+                    <span>{t('slide_editors.scales.polarisation') || 'Polarisation'}: <span className="font-semibold text-[#E0E0E0]">{formatStat(statementStats.polarisation)}</span></span>
+                  </div>
+                  {/* Distribution of answers, lowest value first */}
+                  <div className="flex h-8 items-end gap-0.5" aria-label={t('slide_editors.scales.distribution') || 'Distribution'}>
+                    {histogram.map(bar => (
+                      <div
+                        key={bar.value}
+                        title={t('slide_editors.scales.value_responses', { value: bar.value, count: bar.count })}
+                        className="w-3 rounded-t-sm"
+                        style={{
+                          height: `${(bar.count / histogramMax) * 100}%`,
+                          minHeight: '2px',
+                          backgroundColor: bar.count > 0 ? color : '#2A2A2A'
+                        }}
+                      />
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -1,4 +1,7 @@
+import { useTranslation } from 'react-i18next';
 import ScalesPresenterChart from './PresenterChart';
+import ScalesPresenterViewMulti from './PresenterViewMulti';
+import { formatStat, getScaleBounds, isNpsSlide } from './utils';
 
 const ScalesPresenterView = ({
   slide,
@@ -8,10 +11,25 @@ const ScalesPresenterView = ({
   scaleStatements = [],
   statementCounts = [],
   scaleOverallAverage = 0,
+  scaleStats = null,
+  scaleStatementStats = [],
   totalResponses = 0
 }) => {
+  const { t } = useTranslation();
   const hasMultiStatements = Array.isArray(scaleStatements) && scaleStatements.length > 0;
 
+  if (isNpsSlide(slide)) {
+    return (
+      <ScalesPresenterViewMulti
+        slide={slide}
+        scaleStatements={scaleStatements}
+        scaleStats={scaleStats}
+        scaleStatementStats={scaleStatementStats}
+        totalResponses={totalResponses}
+      />
+    );
+  }
+
   if (hasMultiStatements) {
     return (
       <ScalesPresenterChart
@@ -19,6 +37,7 @@ const ScalesPresenterView = ({
         statements={scaleStatements}
         averages={scaleStatementAverages}
         counts={statementCounts}
+        stats={scaleStatementStats}
         overallAverage={scaleOverallAverage}
         minValue={slide?.minValue}
         maxValue={slide?.maxValue}
@@ -29,8 +48,14 @@ const ScalesPresenterView = ({
     );
   }
 
-  const minValue = slide?.minValue ?? 1;
-  const maxValue = slide?.maxValue ?? 5;
+  const { minValue, maxValue } = getScaleBounds(slide);
+  const hasStats = totalResponses > 0 && Boolean(scaleStats);
+  const spreadCards = [
+    { key: 'median', label: t('slide_editors.scales.median') || 'Median', value: scaleStats?.median },
+    { key: 'std_dev', label: t('slide_editors.scales.std_dev') || 'Std dev', value: scaleStats?.standardDeviation },
+    { key: 'agreement', label: t('slide_editors.scales.agreement') || 'Agreement', value: scaleStats?.agreement },
+    { key: 'polarisation', label: t('slide_editors.scales.polarisation') || 'Polarisation', value: scaleStats?.polarisation }
+  ];
   const distributionEntries = Array.from({ length: maxValue - minValue + 1 }, (_, index) => {
     const value = minValue + index;
     const count = Number(scaleDistribution?.[value] ?? 0);
@@ -67,6 +92,18 @@ const ScalesPresenterView = ({
               <p className="mt-2 text-2xl sm:text-3xl font-bold text-[#E0E0E0]">{minValue} – {maxValue}</p>
             </div>
           </div>
+
+          <div className="grid grid-cols-2 gap-4 sm:gap-6 md:grid-cols-4">
+            {spreadCards.map(card => (
+              <div key={card.key} className="rounded-xl sm:rounded-2xl bg-[#2A2A2A] border border-[#2F2F2F] p-4 text-center">
+                <p className="text-xs font-semibold uppercase tracking-wide text-[#6C6C6C]">{card.label}</p>
+                <p className="mt-2 text-xl sm:text-2xl font-bold text-[#E0E0E0]">{hasStats ? formatStat(card.value) : '-'}</p>
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-[#6C6C6C]">
+            {t('slide_editors.scales.indices_hint') || 'Agreement is 1 when everyone gives the same answer; polarisation is 1 when answers split evenly between the two ends.'}
+          </p>
         </div>
       </div>
 
@@ -1,226 +1,153 @@
-import { useMemo } from 'react';
 import { Users } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { NPS_MIN, NPS_MAX, NPS_GROUP_COLORS, getNpsGroup, formatStat } from './utils';
 
-const ScalesPresenterViewMulti = ({ 
-  slide, 
-  scaleStatementAverages = {},
+const NPS_GROUPS = ['detractor', 'passive', 'promoter'];
+
+const emptyNps = { score: 0, promoters: 0, passives: 0, detractors: 0, promoterShare: 0, passiveShare: 0, detractorShare: 0 };
+
+const getScoreColor = (score) => {
+  if (score > 0) return NPS_GROUP_COLORS.promoter;
+  if (score < 0) return NPS_GROUP_COLORS.detractor;
+  return NPS_GROUP_COLORS.passive;
+};
+
+/**
+ * Net Promoter Score results: the score, the promoter / passive / detractor split and
+ * a 0-10 histogram for the question or for each statement
+ */
+const ScalesPresenterViewMulti = ({
+  slide,
   scaleStatements = [],
-  statementCounts = {},
-  totalResponses = 0 
+  scaleStats = null,
+  scaleStatementStats = [],
+  totalResponses = 0
 }) => {
-  const minValue = slide?.minValue ?? 1;
-  const maxValue = slide?.maxValue ?? 5;
+  const { t } = useTranslation();
   const statements = scaleStatements.length > 0 ? scaleStatements : (slide?.statements || []);
+  const isMultiStatement = statements.length > 0;
 
-  // Calculate overall average across all statements
-  const overallAverage = useMemo(() => {
-    const averages = Object.values(scaleStatementAverages).filter(v => v > 0);
-    if (averages.length === 0) return 0;
-    return (averages.reduce((sum, avg) => sum + avg, 0) / averages.length).toFixed(2);
-  }, [scaleStatementAverages]);
-
-  // Calculate bar height percentage based on average value
-  const getBarHeight = (average) => {
-    if (!average || average === 0) return 0;
-    return ((average - minValue) / (maxValue - minValue)) * 100;
+  const groupLabels = {
+    detractor: t('slide_editors.scales.nps_detractors') || 'Detractors',
+    passive: t('slide_editors.scales.nps_passives') || 'Passives',
+    promoter: t('slide_editors.scales.nps_promoters') || 'Promoters'
   };
 
-  // Get color based on value (gradient from red to green)
-  const getBarColor = (average) => {
-    const normalized = (average - minValue) / (maxValue - minValue);
-    if (normalized < 0.33) return 'from-red-500 to-red-600';
-    if (normalized < 0.67) return 'from-yellow-500 to-yellow-600';
-    return 'from-green-500 to-green-600';
-  };
+  const rows = isMultiStatement
+    ? statements.map((statement, index) => ({
+      label: typeof statement === 'string' ? statement : (statement?.text || t('slide_editors.scales.statement_with_number', { number: index + 1 })),
+      stats: scaleStatementStats?.[index] || null
+    }))
+    : [{ label: null, stats: scaleStats }];
 
-  return (
-    <div className="space-y-8">
-      {/* Header Stats */}
-      <div className="bg-[#1F1F1F] rounded-3xl shadow-xl border border-[#2A2A2A] p-8">
-        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-6">
+  const renderRow = ({ label, stats }, index) => {
+    const nps = stats?.nps || emptyNps;
+    const count = stats?.count || 0;
+    const distribution = stats?.distribution || {};
+    const histogram = Array.from({ length: NPS_MAX - NPS_MIN + 1 }, (_, offset) => {
+      const value = NPS_MIN + offset;
+      return { value, count: Number(distribution[value] || 0) };
+    });
+    const maxCount = histogram.reduce((max, bar) => Math.max(max, bar.count), 0) || 1;
+    const shares = {
+      detractor: { count: nps.detractors, share: nps.detractorShare },
+      passive: { count: nps.passives, share: nps.passiveShare },
+      promoter: { count: nps.promoters, share: nps.promoterShare }
+    };
+
+    return (
+      <div key={label || index} className="rounded-2xl sm:rounded-3xl border border-[#2A2A2A] bg-[#1F1F1F] p-6 sm:p-8 shadow-xl space-y-6">
+        <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
           <div className="flex-1">
-            {slide?.question && (
-              <h2 className="text-3xl font-bold text-[#E0E0E0] leading-tight mb-3">
-                {slide.question}
-              </h2>
-            )}
-            {(slide?.minLabel || slide?.maxLabel) && (
-              <div className="flex items-center gap-4 text-sm text-[#B0B0B0]">
-                {slide?.minLabel && (
-                  <span className="flex items-center gap-1">
-                    <span className="font-medium">{minValue}:</span> {slide.minLabel}
-                  </span>
-                )}
-                {slide?.maxLabel && (
-                  <span className="flex items-center gap-1">
-                    <span className="font-medium">{maxValue}:</span> {slide.maxLabel}
-                  </span>
-                )}
-              </div>
+            {label && (
+              <p className="text-lg sm:text-xl font-semibold text-[#E0E0E0]">{index + 1}. {label}</p>
             )}
+            <p className="mt-1 text-xs sm:text-sm text-[#6C6C6C]">
+              {t('slide_editors.scales.response_count', { count, plural: count === 1 ? '' : 's' })}
+              {' · '}{t('slide_editors.scales.average')}: {count > 0 ? formatStat(stats.average) : '-'}
+              {' · '}{t('slide_editors.scales.median') || 'Median'}: {count > 0 ? formatStat(stats.median) : '-'}
+              {' · '}{t('slide_editors.scales.std_dev') || 'Std dev'}: {count > 0 ? formatStat(stats.standardDeviation) : '-'}
+            </p>
           </div>
-          
-          <div className="flex gap-4">
-            <div className="bg-[#2A2A2A] rounded-2xl px-6 py-4 min-w-[140px]">
-              <div className="flex items-center gap-2 text-[#4CAF50] mb-1">
-                <Users className="h-5 w-5" />
-                <span className="text-sm font-medium">Responses</span>
-              </div>
-              <p className="text-3xl font-bold text-[#E0E0E0]">{totalResponses}</p>
-            </div>
-            
-            <div className="bg-[#1D2A20] rounded-2xl px-6 py-4 min-w-[140px]">
-              <div className="text-sm font-medium text-[#4CAF50] mb-1">
-                Overall Avg
-              </div>
-              <p className="text-3xl font-bold text-[#E0E0E0]">
-                {totalResponses > 0 ? overallAverage : '-'}
-              </p>
-            </div>
+          <div className="text-center sm:text-right">
+            <p className="text-xs font-semibold uppercase tracking-wide text-[#6C6C6C]">{t('slide_editors.scales.nps_score') || 'Net Promoter Score'}</p>
+            <p className="text-4xl sm:text-5xl font-bold" style={{ color: count > 0 ? getScoreColor(nps.score) : '#6C6C6C' }}>
+              {count > 0 ? `${nps.score > 0 ? '+' : ''}${nps.score}` : '-'}
+            </p>
           </div>
         </div>
-      </div>
 
-      {/* Bar Chart */}
-      <div className="bg-[#1F1F1F] rounded-3xl shadow-xl border border-[#2A2A2A] p-8">
-        <h3 className="text-xl font-semibold text-[#E0E0E0] mb-6">Statement Averages</h3>
-        
-        {totalResponses === 0 ? (
-          <div className="text-center py-16">
-            <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-[#2A2A2A] mb-4">
-              <Users className="h-8 w-8 text-[#6C6C6C]" />
-            </div>
-            <p className="text-[#B0B0B0] text-lg">Waiting for responses...</p>
+        {/* Detractors / passives / promoters split */}
+        <div className="space-y-2">
+          <div className="flex h-6 w-full overflow-hidden rounded-full bg-[#2A2A2A]">
+            {NPS_GROUPS.map(group => (
+              <div
+                key={group}
+                className="h-full transition-all duration-500 ease-out"
+                style={{ width: `${shares[group].share}%`, backgroundColor: NPS_GROUP_COLORS[group] }}
+              />
+            ))}
           </div>
-        ) : (
-          <div className="space-y-6">
-            {/* Vertical Bar Chart (Mentimeter Style) */}
-            <div className="relative">
-              {/* Y-axis labels */}
-              <div className="absolute left-0 top-0 bottom-12 w-12 flex flex-col justify-between text-right pr-2 text-sm text-[#B0B0B0] font-medium">
-                {Array.from({ length: maxValue - minValue + 1 }, (_, i) => maxValue - i).map((val) => (
-                  <div key={val} className="h-0 flex items-center">
-                    {val}
-                  </div>
-                ))}
+          <div className="grid grid-cols-3 gap-2 text-xs sm:text-sm">
+            {NPS_GROUPS.map(group => (
+              <div key={group} className={`flex items-center gap-2 ${group === 'passive' ? 'justify-center' : ''} ${group === 'promoter' ? 'justify-end' : ''}`}>
+                <span className="h-2.5 w-2.5 rounded-full" style={{ backgroundColor: NPS_GROUP_COLORS[group] }} />
+                <span className="text-[#B0B0B0]">{groupLabels[group]}</span>
+                <span className="font-semibold text-[#E0E0E0]">{shares[group].count} · {formatStat(shares[group].share)}%</span>
               </div>
+            ))}
+          </div>
+        </div>
 
-              {/* Chart area */}
-              <div className="ml-14 pl-4 border-l-2 border-b-2 border-[#2A2A2A]">
-                <div className="flex items-end justify-start gap-4 h-96 pb-2">
-                  {statements.map((statement, index) => {
-                    const average = scaleStatementAverages[index] || 0;
-                    const height = getBarHeight(average);
-                    const count = statementCounts[index] || 0;
-                    
-                    return (
-                      <div key={index} className="flex flex-col items-center flex-1 max-w-[120px] min-w-[80px]">
-                        {/* Bar */}
-                        <div className="w-full flex flex-col justify-end h-full">
-                          <div
-                            className={`w-full bg-gradient-to-t ${getBarColor(average)} rounded-t-lg transition-all duration-500 ease-out relative group`}
-                            style={{ height: `${height}%`, minHeight: average > 0 ? '24px' : '0' }}
-                          >
-                            {average > 0 && (
-                              <>
-                                <div className="absolute -top-10 left-1/2 transform -translate-x-1/2 bg-[#2A2A2A] text-[#E0E0E0] text-xs font-semibold px-3 py-1.5 rounded opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap z-10">
-                                  Avg: {average} ({count} response{count !== 1 ? 's' : ''})
-                                </div>
-                                <span className="absolute inset-0 flex items-center justify-center text-[#E0E0E0] font-bold text-lg drop-shadow">
-                                  {average}
-                                </span>
-                              </>
-                            )}
-                          </div>
-                        </div>
-                        
-                        {/* Statement label */}
-                        <div className="mt-3 text-center w-full">
-                          <div className="text-xs text-[#E0E0E0] font-medium line-clamp-2 leading-tight">
-                            {statement}
-                          </div>
-                          <div className="text-xs text-[#6C6C6C] mt-1">
-                            {count} vote{count !== 1 ? 's' : ''}
-                          </div>
-                        </div>
-                      </div>
-                    );
-                  })}
-                </div>
-              </div>
-
-              {/* X-axis label */}
-              <div className="ml-14 mt-2 text-center text-sm text-[#B0B0B0] font-medium">
-                Statements
-              </div>
-            </div>
-
-            {/* Horizontal bars as alternative view */}
-            <div className="pt-8 border-t border-[#2A2A2A]">
-              <h4 className="text-lg font-semibold text-[#E0E0E0] mb-4">Detailed View</h4>
-              <div className="space-y-3">
-                {statements.map((statement, index) => {
-                  const average = scaleStatementAverages[index] || 0;
-                  const count = statementCounts[index] || 0;
-                  const barWidth = getBarHeight(average);
-                  
-                  return (
-                    <div key={index} className="space-y-2">
-                      <div className="flex items-center justify-between text-sm">
-                        <span className="font-medium text-[#E0E0E0] flex-1 pr-4">
-                          {index + 1}. {statement}
-                        </span>
-                        <span className="text-[#B0B0B0] font-semibold min-w-[80px] text-right">
-                          Avg: {average > 0 ? average : '-'}
-                        </span>
-                      </div>
-                      <div className="relative h-8 bg-gray-100 rounded-lg overflow-hidden">
-                        <div
-                          className={`absolute inset-y-0 left-0 bg-gradient-to-r ${getBarColor(average)} rounded-lg transition-all duration-500 ease-out flex items-center justify-end pr-3`}
-                          style={{ width: `${barWidth}%` }}
-                        >
-                          {average > 0 && (
-                            <span className="text-[#E0E0E0] font-semibold text-sm drop-shadow">
-                              {average}
-                            </span>
-                          )}
-                        </div>
-                      </div>
-                      <div className="text-xs text-[#6C6C6C]">
-                        {count} response{count !== 1 ? 's' : ''}
-                      </div>
-                    </div>
-                  );
-                })}
+        {/* 0-10 histogram */}
+        <div>
+          <div className="flex h-32 sm:h-40 items-end gap-1 sm:gap-2 border-b border-[#2A2A2A]">
+            {histogram.map(bar => (
+              <div key={bar.value} className="flex h-full flex-1 flex-col items-center justify-end">
+                {bar.count > 0 && <span className="mb-1 text-xs text-[#B0B0B0]">{bar.count}</span>}
+                <div
+                  className="w-full rounded-t-md transition-all duration-500 ease-out"
+                  style={{
+                    height: `${(bar.count / maxCount) * 100}%`,
+                    minHeight: bar.count > 0 ? '4px' : 0,
+                    backgroundColor: NPS_GROUP_COLORS[getNpsGroup(bar.value)]
+                  }}
+                />
               </div>
-            </div>
+            ))}
+          </div>
+          <div className="mt-2 flex gap-1 sm:gap-2">
+            {histogram.map(bar => (
+              <span key={bar.value} className="flex-1 text-center text-xs font-medium text-[#9E9E9E]">{bar.value}</span>
+            ))}
           </div>
-        )}
+        </div>
       </div>
+    );
+  };
 
-      {/* Statistics Summary */}
-      {totalResponses > 0 && (
-        <div className="bg-[#1F1F1F] rounded-3xl border border-[#2A2A2A] p-6">
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-            <div className="text-center">
-              <p className="text-sm text-[#B0B0B0] mb-1">Total Responses</p>
-              <p className="text-2xl font-bold text-[#E0E0E0]">{totalResponses}</p>
-            </div>
-            <div className="text-center">
-              <p className="text-sm text-[#B0B0B0] mb-1">Overall Average</p>
-              <p className="text-2xl font-bold text-[#4CAF50]">{overallAverage}</p>
-            </div>
-            <div className="text-center">
-              <p className="text-sm text-[#B0B0B0] mb-1">Scale Range</p>
-              <p className="text-2xl font-bold text-[#E0E0E0]">{minValue} - {maxValue}</p>
-            </div>
-            <div className="text-center">
-              <p className="text-sm text-[#B0B0B0] mb-1">Statements</p>
-              <p className="text-2xl font-bold text-[#E0E0E0]">{statements.length}</p>
-            </div>
+  return (
+    <div className="space-y-6 sm:space-y-8">
+      <div className="rounded-2xl sm:rounded-3xl border border-[#2A2A2A] bg-[#1F1F1F] p-6 sm:p-10 shadow-xl">
+        <div className="flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
+          <div className="flex-1">
+            <h2 className="text-2xl sm:text-3xl lg:text-4xl font-semibold text-[#E0E0E0]">
+              {slide?.question || t('slide_editors.scales.default_title')}
+            </h2>
+            <p className="mt-2 text-xs sm:text-sm text-[#6C6C6C]">
+              {NPS_MIN}: {slide?.minLabel || t('slide_editors.scales.nps_min_label') || 'Not at all likely'}
+              {' · '}
+              {NPS_MAX}: {slide?.maxLabel || t('slide_editors.scales.nps_max_label') || 'Extremely likely'}
+            </p>
+          </div>
+          <div className="flex items-center gap-2 self-start rounded-full bg-[#1D2A20] border border-[#2E7D32]/30 px-4 py-2 text-sm">
+            <Users className="h-4 w-4 text-[#4CAF50]" />
+            <span className="text-[#4CAF50]">{t('slide_editors.scales.response_count', { count: totalResponses, plural: totalResponses === 1 ? '' : 's' })}</span>
           </div>
         </div>
-      )}
+      </div>
+
+      {rows.map(renderRow)}
     </div>
   );
 };
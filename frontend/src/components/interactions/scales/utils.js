@@ -0,0 +1,30 @@
+export const NPS_MIN = 0;
+export const NPS_MAX = 10;
+
+export const isNpsSlide = (slide) => slide?.scaleMode === 'nps';
+
+// Answer range of a slide; NPS slides always rate 0-10
+export const getScaleBounds = (slide) => {
+  if (isNpsSlide(slide)) {
+    return { minValue: NPS_MIN, maxValue: NPS_MAX };
+  }
+  const minValue = typeof slide?.minValue === 'number' ? slide.minValue : 1;
+  const maxValue = typeof slide?.maxValue === 'number' ? slide.maxValue : 5;
+  return minValue < maxValue ? { minValue, maxValue } : { minValue: 1, maxValue: 5 };
+};
+
+// NPS group of a 0-10 answer
+export const getNpsGroup = (value) => {
+  if (value >= 9) return 'promoter';
+  if (value >= 7) return 'passive';
+  return 'detractor';
+};
+
+export const NPS_GROUP_COLORS = {
+  detractor: '#EF5350',
+  passive: '#FFB300',
+  promoter: '#4CAF50'
+};
+
+// Two decimals at most, '-' without a value
+export const formatStat = (value) => (typeof value === 'number' ? String(Number(value.toFixed(2))) : '-');
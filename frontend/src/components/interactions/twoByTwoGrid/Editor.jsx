@@ -3,10 +3,13 @@ import { v4 as uuidv4 } from 'uuid';
 import { Plus, Minus, Shuffle } from 'lucide-react';
 import SlideTypeHeader from '../common/SlideTypeHeader';
 import { useTranslation } from 'react-i18next';
+import { QUADRANTS } from './utils';
 
 const MIN_ITEMS = 1;
 const MAX_ITEMS = 10;
 
+const toQuadrantLabels = (labels) => QUADRANTS.reduce((result, key) => ({ ...result, [key]: labels?.[key] || '' }), {});
+
 const TwoByTwoGridEditor = ({ slide, onUpdate }) => {
   const { t } = useTranslation();
   const [question, setQuestion] = useState(slide?.question || '');
@@ -37,6 +40,8 @@ const TwoByTwoGridEditor = ({ slide, onUpdate }) => {
     max: String(slide?.gridAxisRange?.max ?? 10)
   }));
 
+  const [quadrantLabels, setQuadrantLabels] = useState(() => toQuadrantLabels(slide?.gridQuadrantLabels));
+
   const isHydrating = useRef(true);
 
   useEffect(() => {
@@ -65,6 +70,7 @@ const TwoByTwoGridEditor = ({ slide, onUpdate }) => {
       min: String(nextRange.min),
       max: String(nextRange.max)
     });
+    setQuadrantLabels(toQuadrantLabels(slide?.gridQuadrantLabels));
   }, [slide]);
 
   useEffect(() => {
@@ -78,10 +84,11 @@ const TwoByTwoGridEditor = ({ slide, onUpdate }) => {
       gridItems: items,
       gridAxisXLabel: axisXLabel,
       gridAxisYLabel: axisYLabel,
-      gridAxisRange: axisRange
+      gridAxisRange: axisRange,
+      gridQuadrantLabels: quadrantLabels
     });
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [question, items, axisXLabel, axisYLabel, axisRange]);
+  }, [question, items, axisXLabel, axisYLabel, axisRange, quadrantLabels]);
 
   const handleQuestionChange = (value) => {
     setQuestion(value);
@@ -145,6 +152,10 @@ const TwoByTwoGridEditor = ({ slide, onUpdate }) => {
     updateAxisRange(nextMin, nextMax);
   };
 
+  const handleQuadrantLabelChange = (key, value) => {
+    setQuadrantLabels((prev) => ({ ...prev, [key]: value }));
+  };
+
   const handleAxisBlur = (key) => {
     if (axisRangeInput[key] === '') {
       setAxisRangeInput((prev) => ({ ...prev, [key]: String(axisRange[key]) }));
@@ -274,6 +285,26 @@ const TwoByTwoGridEditor = ({ slide, onUpdate }) => {
         </div>
       </div>
 
+      <div className="p-4 border-b border-[#2A2A2A]">
+        <label className="block text-sm font-medium text-[#E0E0E0] mb-1">{t('slide_editors.two_by_two_grid.quadrant_names_label')}</label>
+        <p className="text-xs text-[#9E9E9E] mb-3">{t('slide_editors.two_by_two_grid.quadrant_names_description')}</p>
+
+        <div className="grid grid-cols-2 gap-2">
+          {QUADRANTS.map((key) => (
+            <input
+              key={key}
+              type="text"
+              value={quadrantLabels[key]}
+              maxLength={60}
+              onChange={(e) => handleQuadrantLabelChange(key, e.target.value)}
+              className="w-full px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] placeholder-[#8A8A8A] focus:ring-2 focus:ring-[#4CAF50] focus-border-transparent outline-none"
+              placeholder={t(`slide_editors.two_by_two_grid.quadrant_${key}`)}
+              aria-label={t(`slide_editors.two_by_two_grid.quadrant_${key}`)}
+            />
+          ))}
+        </div>
+      </div>
+
       <div className="p-4 text-xs text-[#9E9E9E] border-t border-[#2A2A2A]">
         {t('slide_editors.two_by_two_grid.items_range', { min: MIN_ITEMS, max: MAX_ITEMS })}
       </div>
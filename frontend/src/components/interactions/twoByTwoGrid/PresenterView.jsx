@@ -1,5 +1,6 @@
 import { useMemo, useState, useEffect } from 'react';
-import { Users } from 'lucide-react';
+import { Users, Ellipsis } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -11,6 +12,7 @@ import {
   Legend,
 } from 'chart.js';
 import { Scatter } from 'react-chartjs-2';
+import { QUADRANTS, getQuadrantLabels, getEllipsePoints } from './utils';
 
 ChartJS.register(
   CategoryScale,
@@ -22,12 +24,30 @@ ChartJS.register(
   Legend
 );
 
+const withAlpha = (color, alpha) => color.replace('rgb(', 'rgba(').replace(')', `, ${alpha})`);
+
+const QUADRANT_CORNERS = {
+  topLeft: { align: 'left', baseline: 'top' },
+  topRight: { align: 'right', baseline: 'top' },
+  bottomLeft: { align: 'left', baseline: 'bottom' },
+  bottomRight: { align: 'right', baseline: 'bottom' }
+};
+
 const TwoByTwoGridPresenterView = ({
   slide,
   gridResults = [],
+  gridQuadrants = [],
   totalResponses = 0
 }) => {
+  const { t } = useTranslation();
   const [isMobile, setIsMobile] = useState(false);
+  const [showSpread, setShowSpread] = useState(true);
+  // Item whose individual placements are shown
+  const [selectedItemId, setSelectedItemId] = useState(null);
+
+  useEffect(() => {
+    setSelectedItemId(null);
+  }, [slide?.id]);
   
   useEffect(() => {
     const checkMobile = () => {
@@ -43,6 +63,8 @@ const TwoByTwoGridPresenterView = ({
   const axisXLabel = useMemo(() => slide?.gridAxisXLabel || 'Horizontal', [slide?.gridAxisXLabel]);
   const axisYLabel = useMemo(() => slide?.gridAxisYLabel || 'Vertical', [slide?.gridAxisYLabel]);
 
+  const quadrantLabels = useMemo(() => getQuadrantLabels(slide, t), [slide, t]);
+
   const axisRange = useMemo(() => {
     return {
       min: slide?.gridAxisRange?.min ?? 0,
@@ -72,32 +94,89 @@ const TwoByTwoGridPresenterView = ({
       };
     }
 
-    // Show only one dot per item at the average position (actual axis values)
-    const datasets = gridResults.map((item, index) => {
-      if (item.count === 0) {
-        return {
-          label: item.label,
-          data: [],
-          backgroundColor: colors[index % colors.length],
-          borderColor: colors[index % colors.length],
-          pointRadius: 10,
-          pointHoverRadius: 12,
-        };
-      }
+    // One dot per item at the average position (actual axis values), plus its spread ellipse
+    // and, for the selected item, every participant's placement
+    const datasets = [];
+    gridResults.forEach((item, index) => {
+      const color = colors[index % colors.length];
+      const isDimmed = selectedItemId !== null && selectedItemId !== item.itemId;
+      const dotColor = isDimmed ? withAlpha(color, 0.3) : color;
 
-      // Use actual axis values (no conversion needed)
-      return {
+      datasets.push({
         label: item.label,
-        data: [{ x: Math.round(item.averageX * 10) / 10, y: Math.round(item.averageY * 10) / 10 }],
-        backgroundColor: colors[index % colors.length],
-        borderColor: colors[index % colors.length],
+        data: item.count > 0 ? [{ x: Math.round(item.averageX * 10) / 10, y: Math.round(item.averageY * 10) / 10 }] : [],
+        backgroundColor: dotColor,
+        borderColor: dotColor,
         pointRadius: 10,
         pointHoverRadius: 12,
-      };
+      });
+
+      if (showSpread && item.ellipse && !isDimmed) {
+        datasets.push({
+          label: item.label,
+          helper: 'spread',
+          data: getEllipsePoints(item.ellipse),
+          showLine: true,
+          borderColor: withAlpha(color, 0.8),
+          backgroundColor: 'transparent',
+          borderWidth: 2,
+          borderDash: [6, 4],
+          pointRadius: 0,
+          pointHitRadius: 0,
+          pointHoverRadius: 0,
+        });
+      }
+
+      if (selectedItemId === item.itemId && Array.isArray(item.positions)) {
+        datasets.push({
+          label: item.label,
+          helper: 'participants',
+          data: item.positions.filter(position => !position.isOutlier),
+          backgroundColor: withAlpha(color, 0.45),
+          borderColor: color,
+          borderWidth: 1,
+          pointRadius: 5,
+          pointHoverRadius: 7,
+        });
+        datasets.push({
+          label: item.label,
+          helper: 'outliers',
+          data: item.positions.filter(position => position.isOutlier),
+          backgroundColor: 'rgba(255, 255, 255, 0.9)',
+          borderColor: color,
+          borderWidth: 3,
+          pointStyle: 'rectRot',
+          pointRadius: 7,
+          pointHoverRadius: 9,
+        });
+      }
     });
 
     return { datasets };
-  }, [hasResponses, gridResults, colors]);
+  }, [hasResponses, gridResults, colors, selectedItemId, showSpread]);
+
+  // Quadrant names in the corners of the chart area
+  const quadrantLabelsPlugin = useMemo(() => ({
+    id: 'quadrantLabels',
+    afterDraw: (chart) => {
+      const { ctx, chartArea } = chart;
+      if (!chartArea) return;
+      ctx.save();
+      ctx.font = `600 ${isMobile ? 10 : 12}px sans-serif`;
+      ctx.fillStyle = 'rgba(224, 224, 224, 0.45)';
+      QUADRANTS.forEach((key) => {
+        const corner = QUADRANT_CORNERS[key];
+        ctx.textAlign = corner.align;
+        ctx.textBaseline = corner.baseline;
+        ctx.fillText(
+          quadrantLabels[key],
+          corner.align === 'left' ? chartArea.left + 8 : chartArea.right - 8,
+          corner.baseline === 'top' ? chartArea.top + 6 : chartArea.bottom - 6
+        );
+      });
+      ctx.restore();
+    }
+  }), [quadrantLabels, isMobile]);
 
   const options = useMemo(() => {
     return {
@@ -187,6 +266,7 @@ const TwoByTwoGridPresenterView = ({
           display: true,
           position: isMobile ? 'bottom' : 'right',
           labels: {
+            filter: (legendItem, data) => !data.datasets[legendItem.datasetIndex]?.helper,
             usePointStyle: true,
             padding: isMobile ? 10 : 15,
             color: '#E0E0E0',
@@ -212,7 +292,14 @@ const TwoByTwoGridPresenterView = ({
           callbacks: {
             label: function (context) {
               const label = context.dataset.label || '';
-              return `${label}:  ( ${axisXLabel} - ${context.parsed.x}, ${axisYLabel} - ${context.parsed.y} )`;
+              const position = `( ${axisXLabel} - ${context.parsed.x}, ${axisYLabel} - ${context.parsed.y} )`;
+              if (context.dataset.helper === 'outliers') {
+                return `${label} · ${t('slide_editors.two_by_two_grid.outlier')}:  ${position}`;
+              }
+              if (context.dataset.helper === 'participants') {
+                return `${label} · ${t('slide_editors.two_by_two_grid.participant_placement')}:  ${position}`;
+              }
+              return `${label}:  ${position}`;
             }
           }
         }
@@ -222,7 +309,7 @@ const TwoByTwoGridPresenterView = ({
         easing: 'easeInOutQuart'
       }
     };
-  }, [axisRange, axisXLabel, axisYLabel, isMobile]);
+  }, [axisRange, axisXLabel, axisYLabel, isMobile, t]);
   return (
     <div className="space-y-3 sm:space-y-4 md:space-y-6 px-2 sm:px-4">
       <div className="rounded-xl sm:rounded-2xl md:rounded-3xl border border-[#2A2A2A] bg-[#1F1F1F] p-4 sm:p-5 md:p-6 lg:p-8 shadow-xl">
@@ -233,11 +320,24 @@ const TwoByTwoGridPresenterView = ({
                 ? slide.question 
                 : (slide?.question?.text || slide?.question?.label || '2×2 Grid results')}
             </h2>
-            <div className="flex items-center gap-2 rounded-full bg-[#1D2A20] border border-[#2E7D32]/30 px-3 sm:px-4 py-1.5 sm:py-2">
-              <Users className="h-3 w-3 sm:h-4 sm:w-4 text-[#4CAF50]" />
-              <span className="text-xs sm:text-sm font-medium text-[#4CAF50]">
-                {totalResponses} response{totalResponses === 1 ? '' : 's'}
-              </span>
+            <div className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={() => setShowSpread(prev => !prev)}
+                aria-pressed={showSpread}
+                className={`flex items-center gap-1.5 rounded-full border px-3 py-1.5 sm:py-2 text-xs sm:text-sm transition-colors ${
+                  showSpread ? 'border-[#4CAF50]/40 bg-[#1D2A20] text-[#4CAF50]' : 'border-[#2F2F2F] bg-[#2A2A2A] text-[#B0B0B0] hover:text-[#E0E0E0]'
+                }`}
+              >
+                <Ellipsis className="h-3 w-3 sm:h-4 sm:w-4" />
+                {t('slide_editors.two_by_two_grid.show_spread')}
+              </button>
+              <div className="flex items-center gap-2 rounded-full bg-[#1D2A20] border border-[#2E7D32]/30 px-3 sm:px-4 py-1.5 sm:py-2">
+                <Users className="h-3 w-3 sm:h-4 sm:w-4 text-[#4CAF50]" />
+                <span className="text-xs sm:text-sm font-medium text-[#4CAF50]">
+                  {totalResponses} response{totalResponses === 1 ? '' : 's'}
+                </span>
+              </div>
             </div>
           </div>
 
@@ -250,14 +350,15 @@ const TwoByTwoGridPresenterView = ({
                 </div>
               ) : (
                 <div className="bg-[#2A2A2A] rounded-lg sm:rounded-xl p-2 sm:p-3 md:p-4 cursor-pointer" style={{ height: 'clamp(300px, 50vh, 420px)' }}>
-                  <Scatter data={chartData} options={options} />
+                  <Scatter data={chartData} options={options} plugins={[quadrantLabelsPlugin]} />
                 </div>
               )}
             </div>
 
             {/* Right: Items List */}
             <div className="w-full lg:flex-1">
-              <h3 className="text-xs sm:text-sm font-semibold text-[#E0E0E0] mb-2 sm:mb-3">Items</h3>
+              <h3 className="text-xs sm:text-sm font-semibold text-[#E0E0E0] mb-1">Items</h3>
+              <p className="text-xs text-[#6C6C6C] mb-2 sm:mb-3">{t('slide_editors.two_by_two_grid.select_item_hint')}</p>
               <div className="space-y-2 sm:space-y-3">
                 {gridResults.length === 0 ? (
                   <div className="text-center text-xs sm:text-sm text-[#6C6C6C] py-6 sm:py-8 bg-[#2A2A2A] rounded-lg">
@@ -268,9 +369,19 @@ const TwoByTwoGridPresenterView = ({
                     // Display actual axis values (no conversion needed)
                     const displayX = item.count > 0 ? item.averageX : 0;
                     const displayY = item.count > 0 ? item.averageY : 0;
+                    const isSelected = selectedItemId === item.itemId;
 
                     return (
-                      <div key={item.id} className="bg-[#2A2A2A] rounded-lg p-3 sm:p-4 border border-[#2F2F2F]">
+                      <button
+                        key={item.id}
+                        type="button"
+                        onClick={() => setSelectedItemId(isSelected ? null : item.itemId)}
+                        aria-pressed={isSelected}
+                        disabled={item.count === 0}
+                        className={`w-full text-left bg-[#2A2A2A] rounded-lg p-3 sm:p-4 border transition-colors disabled:cursor-default ${
+                          isSelected ? 'border-[#4CAF50]' : 'border-[#2F2F2F] enabled:hover:border-[#3A3A3A]'
+                        }`}
+                      >
                         <div className="flex items-center gap-2 sm:gap-3 mb-2">
                           <div
                             className="w-3 h-3 sm:w-4 sm:h-4 rounded-full flex-shrink-0"
@@ -288,15 +399,48 @@ const TwoByTwoGridPresenterView = ({
                             <span>/</span>
                             <span>{axisYLabel}: {displayY.toFixed(1)}</span>
                           </div>
+                          {item.count > 0 && item.standardDeviationX !== undefined && (
+                            <div className="flex flex-wrap gap-x-2 text-xs text-[#9E9E9E] mt-1">
+                              <span>{t('slide_editors.two_by_two_grid.spread', { x: item.standardDeviationX, y: item.standardDeviationY })}</span>
+                              {item.quadrant && <span>· {quadrantLabels[item.quadrant]}</span>}
+                              {item.outlierCount > 0 && (
+                                <span className="text-[#FFB74D]">· {t('slide_editors.two_by_two_grid.outlier_count', { count: item.outlierCount })}</span>
+                              )}
+                            </div>
+                          )}
                           <div className="text-xs text-[#6C6C6C] mt-1">{item.count} response{item.count === 1 ? '' : 's'}</div>
                         </div>
-                      </div>
+                      </button>
                     );
                   })
                 )}
               </div>
             </div>
           </div>
+
+          {hasResponses && gridQuadrants.length > 0 && (
+            <div>
+              <h3 className="text-xs sm:text-sm font-semibold text-[#E0E0E0] mb-2 sm:mb-3">{t('slide_editors.two_by_two_grid.quadrant_breakdown')}</h3>
+              <div className="grid grid-cols-2 gap-2 sm:gap-3">
+                {gridQuadrants.map((quadrant) => (
+                  <div key={quadrant.key} className="bg-[#2A2A2A] rounded-lg p-3 sm:p-4 border border-[#2F2F2F]">
+                    <div className="flex items-baseline justify-between gap-2">
+                      <span className="text-sm font-semibold text-[#E0E0E0] break-words">{quadrantLabels[quadrant.key] || quadrant.label}</span>
+                      <span className="text-xs sm:text-sm text-[#B0B0B0] whitespace-nowrap">{quadrant.count} · {quadrant.percentage}%</span>
+                    </div>
+                    <div className="mt-2 h-1.5 rounded-full bg-[#1F1F1F]">
+                      <div className="h-full rounded-full bg-[#4CAF50]" style={{ width: `${quadrant.percentage}%` }} />
+                    </div>
+                    {quadrant.items?.length > 0 && (
+                      <p className="mt-2 text-xs text-[#9E9E9E] break-words">
+                        {quadrant.items.map(entry => `${entry.label} (${entry.count})`).join(', ')}
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </div>
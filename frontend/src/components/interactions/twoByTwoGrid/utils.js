@@ -0,0 +1,32 @@
+export const QUADRANTS = ['topLeft', 'topRight', 'bottomLeft', 'bottomRight'];
+
+const DEFAULT_QUADRANT_LABELS = {
+  topLeft: 'Top left',
+  topRight: 'Top right',
+  bottomLeft: 'Bottom left',
+  bottomRight: 'Bottom right'
+};
+
+// Quadrant names of a slide, with translated defaults for the unnamed ones
+export const getQuadrantLabels = (slide, t) => QUADRANTS.reduce((labels, key) => {
+  const name = slide?.gridQuadrantLabels?.[key];
+  labels[key] = typeof name === 'string' && name.trim()
+    ? name.trim()
+    : (t?.(`slide_editors.two_by_two_grid.quadrant_${key}`) || DEFAULT_QUADRANT_LABELS[key]);
+  return labels;
+}, {});
+
+// Outline of a standard deviation ellipse as chart points (closed loop)
+export const getEllipsePoints = (ellipse, steps = 48) => {
+  if (!ellipse || (!ellipse.radiusX && !ellipse.radiusY)) return [];
+  const rotation = (ellipse.angle * Math.PI) / 180;
+  return Array.from({ length: steps + 1 }, (_, index) => {
+    const theta = (index / steps) * 2 * Math.PI;
+    const x = ellipse.radiusX * Math.cos(theta);
+    const y = ellipse.radiusY * Math.sin(theta);
+    return {
+      x: ellipse.centerX + x * Math.cos(rotation) - y * Math.sin(rotation),
+      y: ellipse.centerY + x * Math.sin(rotation) + y * Math.cos(rotation)
+    };
+  });
+};
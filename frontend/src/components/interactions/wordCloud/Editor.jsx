@@ -7,6 +7,21 @@ const MAX_WORDS = 10;
 
 const clamp = (value) => Math.max(MIN_WORDS, Math.min(MAX_WORDS, value));
 
+const LANGUAGES = ['auto', 'en', 'es', 'fr', 'pt', 'hi', 'mr', 'bn', 'ta', 'te', 'ar', 'zh'];
+
+const defaultWordCloudSettings = {
+  language: 'auto',
+  removeStopwords: true,
+  allowPhrases: false,
+  groupSimilarWords: false
+};
+
+const SETTING_TOGGLES = [
+  { key: 'removeStopwords', labelKey: 'remove_stopwords' },
+  { key: 'allowPhrases', labelKey: 'allow_phrases' },
+  { key: 'groupSimilarWords', labelKey: 'group_similar' }
+];
+
 const WordCloudEditor = ({ slide, onUpdate }) => {
   const { t } = useTranslation();
   const [question, setQuestion] = useState(slide?.question || '');
@@ -31,6 +46,12 @@ const WordCloudEditor = ({ slide, onUpdate }) => {
     });
   };
 
+  const wordCloudSettings = { ...defaultWordCloudSettings, ...(slide?.wordCloudSettings || {}) };
+
+  const handleSettingChange = (changes) => {
+    emitUpdate({ wordCloudSettings: { ...wordCloudSettings, ...changes } });
+  };
+
   const handleQuestionChange = (value) => {
     setQuestion(value);
     emitUpdate({ question: value });
@@ -112,6 +133,47 @@ const WordCloudEditor = ({ slide, onUpdate }) => {
           </p>
         </div>
       </div>
+
+      <div className="p-4 border-b border-[#2A2A2A]">
+        <label className="block text-sm font-medium text-[#E0E0E0] mb-2">
+          {t('slide_editors.word_cloud.language_label') || 'Answer language'}
+        </label>
+        <select
+          value={wordCloudSettings.language}
+          onChange={(event) => handleSettingChange({ language: event.target.value })}
+          className="w-full px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] outline-none"
+        >
+          {LANGUAGES.map(language => (
+            <option key={language} value={language}>
+              {t(`slide_editors.word_cloud.languages.${language}`) || language}
+            </option>
+          ))}
+        </select>
+        <p className="text-xs text-[#9E9E9E] mt-1">
+          {t('slide_editors.word_cloud.language_description') || 'Used for stopwords and grouping. Words in other scripts are detected automatically.'}
+        </p>
+      </div>
+
+      {SETTING_TOGGLES.map(({ key, labelKey }) => (
+        <div key={key} className="p-4 border-b border-[#2A2A2A]">
+          <label className="flex items-center gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={Boolean(wordCloudSettings[key])}
+              onChange={(event) => handleSettingChange({ [key]: event.target.checked })}
+              className="w-4 h-4 text-[#4CAF50] border-[#2A2A2A] rounded bg-[#232323] focus:ring-[#4CAF50] focus:ring-offset-0"
+            />
+            <div>
+              <span className="text-sm font-medium text-[#E0E0E0]">
+                {t(`slide_editors.word_cloud.${labelKey}_label`)}
+              </span>
+              <p className="text-xs text-[#9E9E9E] mt-0.5">
+                {t(`slide_editors.word_cloud.${labelKey}_description`)}
+              </p>
+            </div>
+          </label>
+        </div>
+      ))}
     </div>
   );
 };
@@ -3,6 +3,10 @@ import { useMemo } from 'react';
 import { useTranslation } from 'react-i18next';
 
 const MAX_WORD_LENGTH = 20;
+const MAX_PHRASE_LENGTH = 40;
+
+// Count characters, not UTF-16 units, so words in any script get the full limit
+const limitLength = (value, limit) => Array.from(value).slice(0, limit).join('');
 
 const WordCloudParticipantInput = ({
   slide,
@@ -18,11 +22,17 @@ const WordCloudParticipantInput = ({
   const { t } = useTranslation();
   if (!slide) return null;
 
+  const allowPhrases = Boolean(slide.wordCloudSettings?.allowPhrases);
+  const lengthLimit = allowPhrases ? MAX_PHRASE_LENGTH : MAX_WORD_LENGTH;
+
   const handleInputChange = (value) => {
     if (hasSubmitted) return;
+    if (allowPhrases) {
+      onTextChange(limitLength(value.replace(/^\s+/, '').replace(/\s{2,}/g, ' '), MAX_PHRASE_LENGTH));
+      return;
+    }
     const firstWord = value.trim().split(/\s+/)[0] || '';
-    const limitedWord = firstWord.slice(0, MAX_WORD_LENGTH);
-    onTextChange(limitedWord);
+    onTextChange(limitLength(firstWord, MAX_WORD_LENGTH));
   };
 
   const remainingSubmissions = Math.max(0, maxSubmissions - submissionCount);
@@ -55,6 +65,11 @@ const WordCloudParticipantInput = ({
                 limit: MAX_WORD_LENGTH
               })}
             </p>
+            {allowPhrases && (
+              <p>
+                {t('slide_editors.word_cloud.phrases_allowed_hint', { limit: MAX_PHRASE_LENGTH }) || `Short phrases of up to ${MAX_PHRASE_LENGTH} characters are welcome.`}
+              </p>
+            )}
             <p className="font-medium text-[#4CAF50]">
               {t('slide_editors.word_cloud.remaining_submissions', { count: remainingSubmissions })}
             </p>
@@ -69,7 +84,6 @@ const WordCloudParticipantInput = ({
             value={textAnswer}
             onChange={(e) => handleInputChange(e.target.value)}
             placeholder={t('slide_editors.word_cloud.word_input_placeholder')}
-            maxLength={MAX_WORD_LENGTH}
             disabled={hasSubmitted}
             aria-label={t('slide_editors.word_cloud.word_input_aria_label')}
             aria-describedby="word-cloud-hint"
@@ -77,7 +91,7 @@ const WordCloudParticipantInput = ({
           />
           <p id="word-cloud-hint" className="sr-only">
             {t('slide_editors.word_cloud.word_input_hint', { 
-              limit: MAX_WORD_LENGTH,
+              limit: lengthLimit,
               remaining: remainingSubmissions > 0 
                 ? t('slide_editors.word_cloud.remaining_submissions_hint', { 
                     count: remainingSubmissions, 
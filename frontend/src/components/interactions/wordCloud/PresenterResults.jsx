@@ -1,6 +1,50 @@
+import { useEffect, useState } from 'react';
+import { EyeOff, Eye, Merge, Split, X } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
 import WordCloudVisualization from './Visualization';
 
-const WordCloudPresenterResults = ({ wordFrequencies = {}, maxWords, width, height }) => {
+const WordCloudPresenterResults = ({
+  wordFrequencies = {},
+  maxWords,
+  width,
+  height,
+  settings = {},
+  onHideWord,
+  onMergeWords,
+  onSplitWord,
+}) => {
+  const { t } = useTranslation();
+  const [selectedWords, setSelectedWords] = useState([]);
+  const [mergeLabel, setMergeLabel] = useState('');
+
+  const canEdit = Boolean(onHideWord && onMergeWords);
+  const hiddenWords = settings.hiddenWords || [];
+  const mergedWords = settings.mergedWords || [];
+
+  // Drop selections of words that left the cloud (hidden, merged or cleared)
+  useEffect(() => {
+    setSelectedWords(prev => prev.filter(word => wordFrequencies[word] !== undefined));
+  }, [wordFrequencies]);
+
+  const toggleWord = (word) => {
+    setSelectedWords(prev => (prev.includes(word) ? prev.filter(item => item !== word) : [...prev, word]));
+  };
+
+  const clearSelection = () => {
+    setSelectedWords([]);
+    setMergeLabel('');
+  };
+
+  const handleMerge = () => {
+    onMergeWords(selectedWords, mergeLabel.trim() || selectedWords[0]);
+    clearSelection();
+  };
+
+  const handleHide = () => {
+    selectedWords.forEach(word => onHideWord(word, true));
+    clearSelection();
+  };
+
   return (
     <div>
       <WordCloudVisualization
@@ -8,7 +52,77 @@ const WordCloudPresenterResults = ({ wordFrequencies = {}, maxWords, width, heig
         maxWords={maxWords}
         width={width}
         height={height}
+        onWordClick={canEdit ? toggleWord : undefined}
+        selectedWords={selectedWords}
       />
+
+      {canEdit && selectedWords.length > 0 && (
+        <div className="mt-4 flex flex-wrap items-center justify-center gap-2 rounded-xl border border-[#2A2A2A] bg-[#1F1F1F] p-3">
+          <span className="text-sm text-[#B0B0B0]">
+            {t('slide_editors.word_cloud.selected_count', { count: selectedWords.length }) || `${selectedWords.length} selected`}
+          </span>
+          {selectedWords.length > 1 && (
+            <>
+              <input
+                type="text"
+                value={mergeLabel}
+                onChange={(e) => setMergeLabel(e.target.value)}
+                placeholder={selectedWords[0]}
+                aria-label={t('slide_editors.word_cloud.merge_label') || 'Show merged words as'}
+                className="w-40 px-3 py-1.5 rounded-lg bg-[#232323] border border-[#2A2A2A] text-sm text-[#E0E0E0] placeholder-[#6C6C6C] focus:outline-none focus:border-[#4CAF50]"
+              />
+              <button
+                onClick={handleMerge}
+                className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-[#4CAF50] hover:bg-[#45A049] text-sm font-medium text-white transition-colors"
+              >
+                <Merge className="h-4 w-4" />
+                {t('slide_editors.word_cloud.merge_words') || 'Merge'}
+              </button>
+            </>
+          )}
+          <button
+            onClick={handleHide}
+            className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-[#2A2A2A] hover:bg-[#333333] text-sm text-[#E0E0E0] transition-colors"
+          >
+            <EyeOff className="h-4 w-4" />
+            {t('slide_editors.word_cloud.hide_words') || 'Hide'}
+          </button>
+          <button
+            onClick={clearSelection}
+            aria-label={t('slide_editors.word_cloud.clear_selection') || 'Clear selection'}
+            className="p-1.5 rounded-lg hover:bg-[#2A2A2A] text-[#8A8A8A] hover:text-[#E0E0E0] transition-colors"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+
+      {canEdit && (hiddenWords.length > 0 || mergedWords.length > 0) && (
+        <div className="mt-4 flex flex-wrap items-center justify-center gap-2 text-xs">
+          {mergedWords.map(group => (
+            <button
+              key={`merged-${group.label}`}
+              onClick={() => onSplitWord?.(group.label)}
+              title={t('slide_editors.word_cloud.split_word') || 'Count these words separately again'}
+              className="inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full border border-[#2A2A2A] bg-[#1F1F1F] text-[#B0B0B0] hover:border-[#4CAF50]/50 hover:text-[#E0E0E0] transition-colors"
+            >
+              <Split className="h-3.5 w-3.5" />
+              {group.label}: {group.words.join(', ')}
+            </button>
+          ))}
+          {hiddenWords.map(word => (
+            <button
+              key={`hidden-${word}`}
+              onClick={() => onHideWord(word, false)}
+              title={t('slide_editors.word_cloud.show_word') || 'Show this word again'}
+              className="inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full border border-[#2A2A2A] bg-[#1F1F1F] text-[#6C6C6C] line-through hover:text-[#E0E0E0] transition-colors"
+            >
+              <Eye className="h-3.5 w-3.5" />
+              {word}
+            </button>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
@@ -10,6 +10,8 @@ const WordCloudVisualization = ({
   maxWords = 80,
   width = DEFAULT_WIDTH,
   height = DEFAULT_HEIGHT,
+  onWordClick,
+  selectedWords = [],
 }) => {
   const [animatedWords, setAnimatedWords] = useState([]);
 
@@ -77,13 +79,17 @@ const WordCloudVisualization = ({
               x={word.x}
               y={word.y}
               transform={`rotate(${word.rotate}, ${word.x}, ${word.y})`}
+              onClick={onWordClick ? () => onWordClick(word.text) : undefined}
               style={{
                 fontSize: word.size,
                 fontFamily: word.font,
                 fontWeight: word.weight,
                 fontStyle: word.style,
-                fill: typeof defaultFill === 'function' ? defaultFill(word, index) : defaultFill,
-                cursor: 'default',
+                fill: selectedWords.includes(word.text)
+                  ? '#4CAF50'
+                  : (typeof defaultFill === 'function' ? defaultFill(word, index) : defaultFill),
+                cursor: onWordClick ? 'pointer' : 'default',
+                textDecoration: selectedWords.includes(word.text) ? 'underline' : 'none',
                 opacity: 0,
                 animation: `fadeIn 0.6s ease-out ${index * 0.05}s forwards`,
               }}
@@ -2,7 +2,7 @@ import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { io } from 'socket.io-client';
 import toast from 'react-hot-toast';
-import { Loader2, LogOut } from 'lucide-react';
+import { Loader2, LogOut, Users, ChevronLeft, ChevronRight } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import { useTranslation } from 'react-i18next';
 import { getSocketUrl } from '../../utils/config';
@@ -73,11 +73,14 @@ const JoinPresentation = () => {
   const [scaleAverage, setScaleAverage] = useState(0);
   const [scaleStatementAverages, setScaleStatementAverages] = useState({});
   const [scaleStatements, setScaleStatements] = useState([]);
+  const [scaleStats, setScaleStats] = useState(null);
+  const [scaleStatementStats, setScaleStatementStats] = useState([]);
   const [wordFrequencies, setWordFrequencies] = useState({});
   const [rankingResults, setRankingResults] = useState([]);
   const [hundredPointsResults, setHundredPointsResults] = useState([]);
   const [gridResults, setGridResults] = useState([]);
   const [pinResults, setPinResults] = useState([]);
+  const [pinFeedback, setPinFeedback] = useState(null);
   const [guessDistribution, setGuessDistribution] = useState({});
 
   const getSlideIdentifier = (slide) => {
@@ -106,13 +109,21 @@ const JoinPresentation = () => {
   const [qnaQuestions, setQnaQuestions] = useState([]);
   const [qnaAllowMultiple, setQnaAllowMultiple] = useState(false);
   const [qnaActiveQuestionId, setQnaActiveQuestionId] = useState(null);
+  const [qnaOwnQuestions, setQnaOwnQuestions] = useState([]);
+  const [qnaAllowUpvotes, setQnaAllowUpvotes] = useState(true);
   const [quizState, setQuizState] = useState({});
   const [quizSubmissionResult, setQuizSubmissionResult] = useState(null);
   const [leaderboard, setLeaderboard] = useState([]);
+  const [teamLeaderboard, setTeamLeaderboard] = useState(null);
+  // Team mode: { teamId, team, teams, assignment } sent by the server on join
+  const [teamInfo, setTeamInfo] = useState(null);
+  const [teamLocked, setTeamLocked] = useState(false);
   const [showKickedModal, setShowKickedModal] = useState(false);
   const [kickMessage, setKickMessage] = useState('');
 
   const [socketConnected, setSocketConnected] = useState(false);
+  // Join details to replay when the socket reconnects after a network drop
+  const rejoinRef = useRef(null);
 
   useEffect(() => {
     // Connect to Socket.IO
@@ -122,6 +133,10 @@ const JoinPresentation = () => {
     // Wait for socket to connect
     newSocket.on('connect', () => {
       setSocketConnected(true);
+      // Reconnected after a drop: resume our seat so the server replays our state
+      if (rejoinRef.current) {
+        newSocket.emit('join-presentation', rejoinRef.current);
+      }
     });
 
     newSocket.on('disconnect', () => {
@@ -189,6 +204,17 @@ const JoinPresentation = () => {
     }
   }, [currentUser, socket, socketConnected, code, participantId, hasJoined, isAutoJoining, presentationEnded]);
 
+  useEffect(() => {
+    rejoinRef.current = hasJoined && !presentationEnded && !showKickedModal
+      ? {
+        accessCode: code,
+        participantName: localStorage.getItem(`participantName_${code}`) || participantName,
+        participantId,
+        teamId: teamInfo?.teamId
+      }
+      : null;
+  }, [hasJoined, presentationEnded, showKickedModal, code, participantName, participantId, teamInfo?.teamId]);
+
   const handleJoin = () => {
     // Don't allow joining if presentation has ended
     if (presentationEnded) {
@@ -225,6 +251,16 @@ const JoinPresentation = () => {
     });
   };
 
+  const handleChooseTeam = (teamId) => {
+    const presentationId = presentation?.id || teamInfo?.presentationId;
+    if (!socket || !presentationId || !teamId || teamId === teamInfo?.teamId) return;
+    socket.emit('choose-team', {
+      presentationId,
+      participantId,
+      teamId
+    });
+  };
+
   const handleLeave = () => {
     if (isLeaving) return;
     
@@ -263,6 +299,8 @@ const JoinPresentation = () => {
       setScaleAverage(data.scaleAverage || 0);
       setScaleStatementAverages(data.scaleStatementAverages || {});
       setScaleStatements(data.scaleStatements || []);
+      setScaleStats(data.scaleStats || null);
+      setScaleStatementStats(data.scaleStatementStats || []);
       setWordFrequencies(data.wordFrequencies || {});
       setRankingResults(data.rankingResults || []);
       setHundredPointsResults(data.hundredPointsResults || []);
@@ -306,7 +344,28 @@ const JoinPresentation = () => {
         setParticipantRanking([]);
       }
       setOpenEndedAnswer('');
-      if (toastMessage) {
+
+      // Our own state replayed by the server (running quiz countdown and answer)
+      const quizReplay = data.participantState?.quiz;
+      if (quizReplay) {
+        setQuizState({
+          isActive: quizReplay.isActive,
+          startTime: quizReplay.startTime,
+          timeLimit: quizReplay.timeLimit
+        });
+        setQuizSubmissionResult(quizReplay.submission || null);
+      } else if (data.presentation.selfPaced) {
+        // Self-paced slides are switched by the participant, so drop the previous quiz
+        setQuizState({});
+        setQuizSubmissionResult(null);
+      }
+
+      if (data.resumed) {
+        const score = data.participantState?.score;
+        toast.success(score
+          ? t('toasts.join_presentation.reconnected_with_score', { score: score.totalScore, rank: score.rank })
+          : t('toasts.join_presentation.reconnected'));
+      } else if (toastMessage) {
         toast.success(toastMessage);
       }
     };
@@ -319,6 +378,10 @@ const JoinPresentation = () => {
       handlePresentationJoin(data, 'Presentation is now live!');
     });
 
+    socket.on('self-paced-slide', (data) => {
+      handlePresentationJoin(data, null);
+    });
+
     socket.on('presentation-not-live', (data) => {
       setIsAutoJoining(false);
       // Check if presentation has ended (not just not started)
@@ -346,11 +409,14 @@ const JoinPresentation = () => {
       setScaleAverage(data.scaleAverage || 0);
       setScaleStatementAverages(data.scaleStatementAverages || {});
       setScaleStatements(data.scaleStatements || []);
+      setScaleStats(data.scaleStats || null);
+      setScaleStatementStats(data.scaleStatementStats || []);
       setWordFrequencies(data.wordFrequencies || {});
       setRankingResults(data.rankingResults || []);
       setHundredPointsResults(data.hundredPointsResults || []);
       setGridResults(data.gridResults || []);
       setPinResults(data.pinResults || []);
+      setPinFeedback(null);
       setGuessDistribution(data.guessNumberState?.distribution || {});
       setSelectedAnswer(null);
       setTextAnswer('');
@@ -391,6 +457,12 @@ const JoinPresentation = () => {
       if (data.scaleStatements !== undefined) {
         setScaleStatements(data.scaleStatements);
       }
+      if (data.scaleStats !== undefined) {
+        setScaleStats(data.scaleStats);
+      }
+      if (data.scaleStatementStats !== undefined) {
+        setScaleStatementStats(data.scaleStatementStats);
+      }
       if (data.wordFrequencies !== undefined) {
         setWordFrequencies(data.wordFrequencies);
       }
@@ -431,6 +503,10 @@ const JoinPresentation = () => {
         if (data.slideType === 'ranking' && Array.isArray(data.submittedAnswer)) {
           setParticipantRanking(data.submittedAnswer);
         }
+        if (data.slideType === 'pin_on_image') {
+          // Correct areas are only revealed through the graded pins
+          setPinFeedback({ pins: data.pins || [], isCorrect: data.isCorrect ?? null, score: data.score ?? null });
+        }
         toast.success(t('toasts.join_presentation.response_submitted'));
       }
     });
@@ -455,12 +531,37 @@ const JoinPresentation = () => {
       setQnaQuestions(data.questions || []);
       setQnaAllowMultiple(Boolean(data.allowMultiple));
       setQnaActiveQuestionId(data.activeQuestionId || null);
+      setQnaAllowUpvotes(data.allowUpvotes !== false);
+      if (data.ownQuestions !== undefined) {
+        setQnaOwnQuestions(data.ownQuestions || []);
+      }
     });
 
-    socket.on('qna-question-submitted', () => {
+    socket.on('qna-question-submitted', (data) => {
+      if (data?.status === 'pending') {
+        setQnaOwnQuestions(prev => [...prev, data.question]);
+        toast.success(t('toasts.join_presentation.question_pending'));
+        return;
+      }
       toast.success(t('toasts.join_presentation.question_submitted'));
     });
 
+    socket.on('qna-question-moderated', (data) => {
+      if (!isCurrentSlide(data.slideId)) return;
+      if (data.status === 'approved') {
+        // It now arrives with the public questions
+        setQnaOwnQuestions(prev => prev.filter(q => q.id !== data.questionId));
+        toast.success(t('toasts.join_presentation.question_approved'));
+      } else {
+        setQnaOwnQuestions(prev => prev.map(q => (
+          q.id === data.questionId ? { ...q, status: data.status, text: data.text } : q
+        )));
+        if (data.status === 'rejected') {
+          toast.error(t('toasts.join_presentation.question_rejected'));
+        }
+      }
+    });
+
     socket.on('guess-updated', (data) => {
       // Guess updates are handled by presenter, participant doesn't need them
       if (data.slideId === currentSlide?.id) {
@@ -494,6 +595,8 @@ const JoinPresentation = () => {
     socket.on('quiz-answer-submitted', (data) => {
       setQuizSubmissionResult(data);
       setHasSubmitted(true);
+      // Teams are fixed once the participant has scored
+      setTeamLocked(true);
     });
 
     socket.on('quiz-ended', (data) => {
@@ -505,12 +608,22 @@ const JoinPresentation = () => {
       if (data.leaderboard) {
         setLeaderboard(data.leaderboard);
       }
+      if (data.teamLeaderboard) {
+        setTeamLeaderboard(data.teamLeaderboard);
+      }
     });
 
     socket.on('leaderboard-data', (data) => {
       if (data.leaderboard) {
         setLeaderboard(data.leaderboard);
       }
+      if (data.teamLeaderboard) {
+        setTeamLeaderboard(data.teamLeaderboard);
+      }
+    });
+
+    socket.on('team-assigned', (data) => {
+      setTeamInfo(data);
     });
 
     const handleKickedByPresenter = (data) => {
@@ -533,6 +646,7 @@ const JoinPresentation = () => {
     return () => {
       socket.off('joined-presentation');
       socket.off('presentation-live');
+      socket.off('self-paced-slide');
       socket.off('presentation-not-live');
       socket.off('slide-changed');
       socket.off('response-updated');
@@ -541,6 +655,7 @@ const JoinPresentation = () => {
       socket.off('open-ended-settings-updated');
       socket.off('qna-updated');
       socket.off('qna-question-submitted');
+      socket.off('qna-question-moderated');
       socket.off('guess-updated');
       socket.off('guess-reset');
       socket.off('guess-submitted');
@@ -548,12 +663,25 @@ const JoinPresentation = () => {
       socket.off('quiz-answer-submitted');
       socket.off('quiz-ended');
       socket.off('leaderboard-data');
+      socket.off('team-assigned');
       socket.off('error');
       socket.off('kicked-by-presenter', handleKickedByPresenter);
     };
     // eslint-disable-next-line
   }, [socket, currentSlide]);
 
+  // Q&A state with this participant's questions that are not public yet
+  useEffect(() => {
+    setQnaOwnQuestions([]);
+    if (!socket || !presentation?.id || currentSlide?.type !== 'qna') return;
+    socket.emit('request-qna-state', {
+      presentationId: presentation.id,
+      slideId: currentSlide.id,
+      participantId
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [socket, presentation?.id, currentSlide?.id]);
+
   // Prevent page refresh/navigation when joined
   useEffect(() => {
     if (!hasJoined) return;
@@ -648,11 +776,11 @@ const JoinPresentation = () => {
       setHasSubmitted(true);
       toast.success(t('toasts.join_presentation.response_submitted'));
     } else if (currentSlide.type === 'word_cloud') {
-      const tokens = String(textAnswer || '')
-        .toLowerCase()
-        .split(/[^a-zA-Z0-9]+/)
-        .map(t => t.trim())
-        .filter(Boolean);
+      // Words in any script; the server takes care of case, stopwords and grouping
+      const text = String(textAnswer || '').trim();
+      const tokens = currentSlide.wordCloudSettings?.allowPhrases
+        ? [text].filter(Boolean)
+        : text.split(/[^\p{L}\p{M}\p{N}'\u2019-]+/u).filter(Boolean);
       if (tokens.length === 0) {
         toast.error(t('toasts.join_presentation.enter_at_least_one_word'));
         return;
@@ -768,6 +896,28 @@ const JoinPresentation = () => {
     });
   };
 
+  const selfPaced = presentation?.selfPaced || null;
+
+  // Moving on goes through the server so each participant follows their own branch
+  const handleSelfPacedNavigate = (target) => {
+    if (!socket || !presentation || !selfPaced) return;
+    socket.emit('self-paced-navigate', {
+      presentationId: presentation.id,
+      participantId,
+      participantName,
+      ...target
+    });
+  };
+
+  const handleStartSelfPacedQuiz = () => {
+    if (!socket || !presentation || !currentSlide) return;
+    socket.emit('start-self-paced-quiz', {
+      presentationId: presentation.id,
+      slideId: currentSlide.id,
+      participantId
+    });
+  };
+
   const handleSubmitQuizAnswer = (selectedOptionId, responseTime) => {
     if (!socket || !presentation || !currentSlide) return;
     socket.emit('submit-quiz-answer', {
@@ -860,6 +1010,8 @@ const JoinPresentation = () => {
             scaleDistribution={scaleDistribution}
             scaleAverage={scaleAverage}
             scaleStatementAverages={scaleStatementAverages}
+            scaleStats={scaleStats}
+            scaleStatementStats={scaleStatementStats}
             totalResponses={totalResponses}
           />
         );
@@ -881,7 +1033,18 @@ const JoinPresentation = () => {
             questions={qnaQuestions}
             allowMultiple={qnaAllowMultiple}
             activeQuestionId={qnaActiveQuestionId}
+            ownQuestions={qnaOwnQuestions}
+            allowUpvotes={qnaAllowUpvotes}
             participantId={participantId}
+            onUpvote={(questionId) => {
+              if (!socket) return;
+              socket.emit('upvote-qna-question', {
+                presentationId: presentation.id,
+                slideId: currentSlide.id,
+                questionId,
+                participantId
+              });
+            }}
             onSubmit={(text) => {
               if (!socket) return;
               socket.emit('submit-qna-question', {
@@ -938,6 +1101,7 @@ const JoinPresentation = () => {
             slide={currentSlide}
             onSubmit={handleSubmitResponse}
             hasSubmitted={hasSubmitted}
+            feedback={pinFeedback}
             pinResults={pinResults}
             totalResponses={totalResponses}
           />
@@ -952,6 +1116,7 @@ const JoinPresentation = () => {
             voteCounts={voteCounts}
             totalResponses={totalResponses}
             onSubmit={handleSubmitQuizAnswer}
+            onStart={selfPaced ? handleStartSelfPacedQuiz : undefined}
           />
         );
       case 'leaderboard':
@@ -960,6 +1125,8 @@ const JoinPresentation = () => {
             slide={currentSlide}
             leaderboard={leaderboard}
             participantId={participantId}
+            teamLeaderboard={teamLeaderboard}
+            teamId={teamInfo?.teamId}
           />
         );
       case 'miro':
@@ -1135,6 +1302,37 @@ const JoinPresentation = () => {
     );
   }
 
+  // Team badge, or a team picker when participants choose their own team
+  const renderTeamPicker = () => {
+    if (!teamInfo?.teams?.length) return null;
+    const canChoose = teamInfo.assignment === 'choose' && !teamLocked;
+
+    return (
+      <div
+        className="px-3 py-1.5 rounded-lg border flex items-center gap-2 bg-[#1F1F1F]"
+        style={{ borderColor: teamInfo.team?.color || '#2A2A2A' }}
+      >
+        <Users className="w-4 h-4" style={{ color: teamInfo.team?.color || '#B0B0B0' }} />
+        {canChoose ? (
+          <select
+            value={teamInfo.teamId || ''}
+            onChange={(e) => handleChooseTeam(e.target.value)}
+            className="bg-transparent text-xs sm:text-sm font-medium text-[#E0E0E0] focus:outline-none"
+            aria-label={t('team_mode.choose_team') || 'Choose your team'}
+          >
+            {teamInfo.teams.map(team => (
+              <option key={team.id} value={team.id} className="bg-[#1F1F1F]">{team.name}</option>
+            ))}
+          </select>
+        ) : (
+          <span className="text-xs sm:text-sm font-medium text-[#E0E0E0]">
+            {teamInfo.team?.name}
+          </span>
+        )}
+      </div>
+    );
+  };
+
   // Waiting screen
   if (isWaiting) {
     return (
@@ -1149,6 +1347,11 @@ const JoinPresentation = () => {
           <h2 className="text-2xl font-bold text-white mb-6">
             {waitingMessage || t('join_presentation.waiting_for_presentation')}
           </h2>
+          {!presentationEnded && teamInfo && (
+            <div className="flex justify-center mb-4">
+              {renderTeamPicker()}
+            </div>
+          )}
           {presentationEnded && (
             <button
               onClick={handleLeave}
@@ -1174,10 +1377,17 @@ const JoinPresentation = () => {
             <p className="text-xs sm:text-sm text-[#B0B0B0]">{t('presentation.welcome')}, <span className="text-[#4CAF50] font-medium">{participantName}</span>!</p>
           </div>
           <div className="flex items-center gap-3">
-            <div className="px-3 sm:px-4 py-1.5 sm:py-2 bg-[#1D2A20] border border-[#2E7D32]/30 rounded-lg flex items-center gap-2">
-              <div className="w-2 h-2 bg-[#4CAF50] rounded-full animate-pulse"></div>
-              <span className="text-xs sm:text-sm font-medium text-[#4CAF50]">{t('presentation.live')}</span>
-            </div>
+            {renderTeamPicker()}
+            {selfPaced ? (
+              <div className="px-3 sm:px-4 py-1.5 sm:py-2 bg-[#1A2530] border border-[#2196F3]/30 rounded-lg flex items-center gap-2">
+                <span className="text-xs sm:text-sm font-medium text-[#64B5F6]">{t('self_paced.badge') || 'Self-paced'}</span>
+              </div>
+            ) : (
+              <div className="px-3 sm:px-4 py-1.5 sm:py-2 bg-[#1D2A20] border border-[#2E7D32]/30 rounded-lg flex items-center gap-2">
+                <div className="w-2 h-2 bg-[#4CAF50] rounded-full animate-pulse"></div>
+                <span className="text-xs sm:text-sm font-medium text-[#4CAF50]">{t('presentation.live')}</span>
+              </div>
+            )}
             <button
               onClick={handleLeave}
               disabled={isLeaving}
@@ -1201,6 +1411,42 @@ const JoinPresentation = () => {
           </div>
         </div>
       </div>
+
+      {/* Self-paced navigation */}
+      {selfPaced && (
+        <div className="bg-[#1F1F1F] border-t border-[#2A2A2A] px-4 sm:px-6 py-3 flex-shrink-0">
+          <div className="max-w-6xl mx-auto flex items-center justify-between gap-3">
+            <button
+              onClick={() => handleSelfPacedNavigate({ slideIndex: selfPaced.slideIndex - 1 })}
+              disabled={selfPaced.slideIndex <= 0}
+              className="flex items-center gap-1 px-4 py-2 rounded-lg bg-[#2A2A2A] hover:bg-[#333333] text-sm text-[#E0E0E0] transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft className="w-4 h-4" />
+              {t('self_paced.previous') || 'Previous'}
+            </button>
+            <div className="text-center">
+              <p className="text-sm font-medium text-[#E0E0E0]">
+                {t('self_paced.progress', { current: selfPaced.slideIndex + 1, total: selfPaced.slideCount })
+                  || `${selfPaced.slideIndex + 1} of ${selfPaced.slideCount}`}
+              </p>
+              {selfPaced.closesAt && (
+                <p className="text-xs text-[#8A8A8A]">
+                  {t('self_paced.closes_at', { date: new Date(selfPaced.closesAt).toLocaleString() })
+                    || `Open until ${new Date(selfPaced.closesAt).toLocaleString()}`}
+                </p>
+              )}
+            </div>
+            <button
+              onClick={() => handleSelfPacedNavigate({ direction: 'next' })}
+              disabled={!selfPaced.canAdvance}
+              className="flex items-center gap-1 px-4 py-2 rounded-lg bg-[#4CAF50] hover:bg-[#45A049] text-sm font-medium text-white transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              {t('self_paced.next') || 'Next'}
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 
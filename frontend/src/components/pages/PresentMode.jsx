@@ -3,7 +3,7 @@ import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { io } from 'socket.io-client';
 import toast from 'react-hot-toast';
 import { getSocketUrl } from '../../utils/config';
-import { X, ChevronLeft, ChevronRight, Users, ArrowLeft, Ban } from 'lucide-react';
+import { X, ChevronLeft, ChevronRight, Users, ArrowLeft, Ban, GitBranch } from 'lucide-react';
 import * as presentationService from '../../services/presentationService';
 import MCQPresenterResults from '../interactions/mcq/PresenterResults';
 import WordCloudPresenterResults from '../interactions/wordCloud/PresenterResults';
@@ -32,8 +32,10 @@ import { useAuth } from '../../context/AuthContext';
 import { useTranslation } from 'react-i18next';
 import TwoByTwoGridPresenterView from '../interactions/twoByTwoGrid/PresenterView';
 import PinOnImagePresenterView from '../interactions/pinOnImage/PresenterView';
+import { keepPresenterPinSettings, parsePinSummary } from '../interactions/pinOnImage/utils';
 import InstructionPresenterView from '../interactions/instruction/presenter/PresenterView';
 import SlideCanvas from '../presentation/SlideCanvas';
+import TeamBalancePanel from '../presentation/TeamBalancePanel';
 
 const PresentMode = () => {
   const { id } = useParams();
@@ -46,6 +48,11 @@ const PresentMode = () => {
   const [slides, setSlides] = useState([]);
   const [participantCount, setParticipantCount] = useState(0);
   const [participants, setParticipants] = useState([]);
+  const [teamBalance, setTeamBalance] = useState(null);
+  // Branches the audience's answers point to, keyed by slide ID
+  const [branchSuggestions, setBranchSuggestions] = useState({});
+  // Where to continue after a detour slide: { targetSlideId, returnSlideId }
+  const detourRef = useRef(null);
   const [isLoading, setIsLoading] = useState(true);
   const [hasStarted, setHasStarted] = useState(false);
   const [currentSlideIndex, setCurrentSlideIndex] = useState(0);
@@ -356,14 +363,23 @@ const PresentMode = () => {
   const [scaleStatementAverages, setScaleStatementAverages] = useState([]);
   const [scaleStatements, setScaleStatements] = useState([]);
   const [statementCounts, setStatementCounts] = useState([]);
+  const [scaleStats, setScaleStats] = useState(null);
+  const [scaleStatementStats, setScaleStatementStats] = useState([]);
   const [rankingResults, setRankingResults] = useState([]);
+  const [rankingPairwise, setRankingPairwise] = useState(null);
   const [hundredPointsResults, setHundredPointsResults] = useState([]);
   const [qnaQuestions, setQnaQuestions] = useState([]);
   const [guessDistribution, setGuessDistribution] = useState({});
   const [showEndModal, setShowEndModal] = useState(false);
   const [gridResults, setGridResults] = useState([]);
+  const [gridQuadrants, setGridQuadrants] = useState([]);
   const [pinResults, setPinResults] = useState([]);
+  const [pinSummary, setPinSummary] = useState(null);
   const [qnaActiveQuestionId, setQnaActiveQuestionId] = useState(null);
+  const [qnaPendingQuestions, setQnaPendingQuestions] = useState([]);
+  const [qnaSettings, setQnaSettings] = useState({});
+  // Kept apart from slides: slide-changed carries the participant copy, without hidden words
+  const [wordCloudSettingsBySlide, setWordCloudSettingsBySlide] = useState({});
   const [scaleOverallAverage, setScaleOverallAverage] = useState(null);
   const [quizState, setQuizState] = useState({});
   const [leaderboard, setLeaderboard] = useState([]);
@@ -465,6 +481,11 @@ const PresentMode = () => {
         }
         
         setSlides(mappedSlides);
+        setWordCloudSettingsBySlide(Object.fromEntries(
+          mappedSlides
+            .filter(slide => slide.type === 'word_cloud')
+            .map(slide => [getSlideId(slide), slide.wordCloudSettings || {}])
+        ));
 
         if (loadedSlides.length === 0) {
           console.error('Presentation has no slides');
@@ -486,8 +507,10 @@ const PresentMode = () => {
         // Get userId - use currentUser id if available, otherwise use a fallback
         const userId = currentUser?.id || (hasInstitutionAdminToken ? 'institution-admin' : null);
         
-        // Get token for institution admin authentication
-        const token = hasInstitutionAdminToken ? sessionStorage.getItem('institutionAdminToken') : null;
+        // The server checks the token: owners, co-presenters and institution admins may present
+        const token = hasInstitutionAdminToken
+          ? sessionStorage.getItem('institutionAdminToken')
+          : localStorage.getItem('jwtToken');
 
         socket.emit('start-presentation', {
           presentationId: id,
@@ -530,6 +553,18 @@ const PresentMode = () => {
   const updateQnaState = (qnaState) => {
     setQnaQuestions(Array.isArray(qnaState?.questions) ? qnaState.questions : []);
     setQnaActiveQuestionId(qnaState?.activeQuestionId ?? null);
+    // Only presenter payloads carry the moderation queue; public updates leave it as it is
+    if (qnaState?.pendingQuestions !== undefined) {
+      setQnaPendingQuestions(Array.isArray(qnaState.pendingQuestions) ? qnaState.pendingQuestions : []);
+    }
+    if (qnaState?.sortBy !== undefined) {
+      setQnaSettings({
+        allowMultiple: Boolean(qnaState.allowMultiple),
+        moderation: Boolean(qnaState.moderation),
+        allowUpvotes: qnaState.allowUpvotes !== false,
+        sortBy: qnaState.sortBy
+      });
+    }
   };
 
   useEffect(() => {
@@ -538,7 +573,9 @@ const PresentMode = () => {
     const handlePresentationStarted = (data) => {
       if (!hasStarted) {
         setHasStarted(true);
-        toast.success(t('toasts.present_mode.presentation_live'));
+        toast.success(data?.coPresenting
+          ? (t('collaborators.joined_as_co_presenter') || 'You joined the live session as a co-presenter')
+          : t('toasts.present_mode.presentation_live'));
       }
       if (data?.presentation?.currentSlideIndex !== undefined) {
         setCurrentSlideIndex(data.presentation.currentSlideIndex);
@@ -650,11 +687,18 @@ const PresentMode = () => {
       if (data.scaleStatements !== undefined) setScaleStatements(data.scaleStatements);
       if (data.statementCounts !== undefined) setStatementCounts(data.statementCounts);
       if (data.scaleOverallAverage !== undefined) setScaleOverallAverage(data.scaleOverallAverage);
+      if (data.scaleStats !== undefined) setScaleStats(data.scaleStats);
+      if (data.scaleStatementStats !== undefined) setScaleStatementStats(data.scaleStatementStats);
       if (data.rankingResults !== undefined) {
         setRankingResults(Array.isArray(data.rankingResults) ? data.rankingResults : []);
       } else if (data.slide?.type !== 'ranking') {
         setRankingResults([]);
       }
+      if (data.rankingPairwise !== undefined) {
+        setRankingPairwise(data.rankingPairwise || null);
+      } else if (data.slide?.type !== 'ranking') {
+        setRankingPairwise(null);
+      }
       if (data.hundredPointsResults !== undefined) {
         setHundredPointsResults(Array.isArray(data.hundredPointsResults) ? data.hundredPointsResults : []);
       } else if (data.slide?.type !== 'hundred_points') {
@@ -676,10 +720,17 @@ const PresentMode = () => {
       } else if (data.slide?.type !== '2x2_grid') {
         setGridResults([]);
       }
+      if (data.gridQuadrants !== undefined) {
+        setGridQuadrants(Array.isArray(data.gridQuadrants) ? data.gridQuadrants : []);
+      } else if (data.slide?.type !== '2x2_grid') {
+        setGridQuadrants([]);
+      }
       if (data.pinResults !== undefined) {
         setPinResults(Array.isArray(data.pinResults) ? data.pinResults : []);
+        setPinSummary(parsePinSummary(data));
       } else if (data.slide?.type !== 'pin_on_image') {
         setPinResults([]);
+        setPinSummary(null);
       }
       if (data.slide) {
         const incomingSlideId = data.slide.id?.toString() ?? data.slide._id?.toString() ?? null;
@@ -700,6 +751,9 @@ const PresentMode = () => {
               
               // Spread data.slide (without PDF fields) to update other fields
               const updatedSlide = { ...slideItem, ...dataSlideWithoutPdf };
+              if (slideItem.type === 'pin_on_image') {
+                updatedSlide.pinOnImageSettings = keepPresenterPinSettings(slideItem.pinOnImageSettings, data.slide.pinOnImageSettings);
+              }
               
               // Restore PDF fields - only use incoming if valid, otherwise preserve existing
               if (slideItem.type === 'pdf' || data.slide.type === 'pdf') {
@@ -734,6 +788,7 @@ const PresentMode = () => {
       if (data.slide?.type !== 'qna') {
         setQnaQuestions([]);
         setQnaActiveQuestionId(null);
+        setQnaPendingQuestions([]);
       }
       if (data.slide?.type === 'guess_number') {
         if (data.guessNumberState) {
@@ -761,9 +816,14 @@ const PresentMode = () => {
       if (data.scaleStatements !== undefined) setScaleStatements(data.scaleStatements);
       if (data.statementCounts !== undefined) setStatementCounts(data.statementCounts);
       if (data.scaleOverallAverage !== undefined) setScaleOverallAverage(data.scaleOverallAverage);
+      if (data.scaleStats !== undefined) setScaleStats(data.scaleStats);
+      if (data.scaleStatementStats !== undefined) setScaleStatementStats(data.scaleStatementStats);
       if (data.rankingResults !== undefined) {
         setRankingResults(Array.isArray(data.rankingResults) ? data.rankingResults : []);
       }
+      if (data.rankingPairwise !== undefined) {
+        setRankingPairwise(data.rankingPairwise || null);
+      }
       if (data.hundredPointsResults !== undefined) {
         setHundredPointsResults(Array.isArray(data.hundredPointsResults) ? data.hundredPointsResults : []);
       }
@@ -794,6 +854,9 @@ const PresentMode = () => {
               
               // Spread data.slide (without PDF fields) to update other fields
               const updatedSlide = { ...slideItem, ...dataSlideWithoutPdf };
+              if (slideItem.type === 'pin_on_image') {
+                updatedSlide.pinOnImageSettings = keepPresenterPinSettings(slideItem.pinOnImageSettings, data.slide.pinOnImageSettings);
+              }
               
               // Restore PDF fields - only use incoming if valid, otherwise preserve existing
               if (slideItem.type === 'pdf' || data.slide.type === 'pdf') {
@@ -849,11 +912,12 @@ const PresentMode = () => {
         if (data.qnaState) {
           updateQnaState(data.qnaState);
         } else {
-          updateQnaState({ allowMultiple: data.slide?.qnaSettings?.allowMultiple, questions: [] });
+          updateQnaState({ ...data.slide?.qnaSettings, questions: [] });
         }
       } else {
         setQnaQuestions([]);
         setQnaActiveQuestionId(null);
+        setQnaPendingQuestions([]);
       }
       if (data.slide?.type === 'guess_number') {
         if (data.guessNumberState) {
@@ -869,10 +933,17 @@ const PresentMode = () => {
       } else if (data.slide?.type !== '2x2_grid') {
         setGridResults([]);
       }
+      if (data.gridQuadrants !== undefined) {
+        setGridQuadrants(Array.isArray(data.gridQuadrants) ? data.gridQuadrants : []);
+      } else if (data.slide?.type !== '2x2_grid') {
+        setGridQuadrants([]);
+      }
       if (data.pinResults !== undefined) {
         setPinResults(Array.isArray(data.pinResults) ? data.pinResults : []);
+        setPinSummary(parsePinSummary(data));
       } else if (data.slide?.type !== 'pin_on_image') {
         setPinResults([]);
+        setPinSummary(null);
       }
       mergeOpenEndedState({
         payload: data,
@@ -897,6 +968,15 @@ const PresentMode = () => {
       setParticipants(data.participants || []);
     };
 
+    const handleTeamBalance = (data) => {
+      setTeamBalance(data);
+    };
+
+    const handleBranchUpdated = (data) => {
+      if (!data?.slideId) return;
+      setBranchSuggestions(prev => ({ ...prev, [data.slideId]: data.branch || null }));
+    };
+
     const handleError = (data) => {
       toast.error(data.message);
     };
@@ -908,6 +988,11 @@ const PresentMode = () => {
       });
     };
 
+    const handleWordCloudSettingsUpdated = (data) => {
+      if (!data?.slideId) return;
+      setWordCloudSettingsBySlide(prev => ({ ...prev, [data.slideId.toString()]: data.wordCloudSettings || {} }));
+    };
+
     const handleQnaUpdated = (data) => {
       const slideId = getSlideId(slides[currentSlideIndex]);
       if (!slideId || slideId !== data.slideId?.toString()) return;
@@ -973,8 +1058,11 @@ const PresentMode = () => {
     socket.on('participant-joined', handleParticipantJoined);
     socket.on('participant-left', handleParticipantLeft);
     socket.on('participant-list-updated', handleParticipantListUpdated);
+    socket.on('team-balance', handleTeamBalance);
+    socket.on('branch-updated', handleBranchUpdated);
     socket.on('error', handleError);
     socket.on('open-ended-settings-updated', handleOpenEndedSettingsUpdated);
+    socket.on('word-cloud-settings-updated', handleWordCloudSettingsUpdated);
     socket.on('qna-updated', handleQnaUpdated);
     socket.on('guess-updated', handleGuessUpdated);
     socket.on('quiz-started', handleQuizStarted);
@@ -990,8 +1078,11 @@ const PresentMode = () => {
       socket.off('participant-joined', handleParticipantJoined);
       socket.off('participant-left', handleParticipantLeft);
       socket.off('participant-list-updated', handleParticipantListUpdated);
+      socket.off('team-balance', handleTeamBalance);
+      socket.off('branch-updated', handleBranchUpdated);
       socket.off('error', handleError);
       socket.off('open-ended-settings-updated', handleOpenEndedSettingsUpdated);
+      socket.off('word-cloud-settings-updated', handleWordCloudSettingsUpdated);
       socket.off('qna-updated', handleQnaUpdated);
       socket.off('guess-updated', handleGuessUpdated);
       socket.off('quiz-started', handleQuizStarted);
@@ -1049,6 +1140,58 @@ const PresentMode = () => {
     });
   };
 
+  const handleModerateQnaQuestion = (questionId, action, text) => {
+    const slide = slides[currentSlideIndex];
+    if (!socket || !slide || slide.type !== 'qna') return;
+    const slideId = getSlideId(slide);
+    if (!slideId) return;
+    socket.emit('moderate-qna-question', {
+      presentationId: id,
+      slideId,
+      questionId,
+      action,
+      text,
+    });
+  };
+
+  const handleUpdateQnaSettings = (changes) => {
+    const slide = slides[currentSlideIndex];
+    if (!socket || !slide || slide.type !== 'qna') return;
+    const slideId = getSlideId(slide);
+    if (!slideId) return;
+    setQnaSettings(prev => ({ ...prev, ...changes }));
+    socket.emit('update-qna-settings', {
+      presentationId: id,
+      slideId,
+      ...qnaSettings,
+      ...changes,
+    });
+  };
+
+  const emitWordCloudCorrection = (eventName, payload) => {
+    const slide = slides[currentSlideIndex];
+    if (!socket || !slide || slide.type !== 'word_cloud') return;
+    const slideId = getSlideId(slide);
+    if (!slideId) return;
+    socket.emit(eventName, {
+      presentationId: id,
+      slideId,
+      ...payload,
+    });
+  };
+
+  const handleHideWordCloudWord = (word, hidden) => {
+    emitWordCloudCorrection('hide-word-cloud-word', { word, hidden });
+  };
+
+  const handleMergeWordCloudWords = (words, label) => {
+    emitWordCloudCorrection('merge-word-cloud-words', { words, label });
+  };
+
+  const handleSplitWordCloudWord = (label) => {
+    emitWordCloudCorrection('split-word-cloud-word', { label });
+  };
+
   const handleSetActiveQuestion = (questionId) => {
     if (!socket) return;
     if (qnaActiveQuestionId === questionId) return;
@@ -1139,14 +1282,14 @@ const PresentMode = () => {
     }
   };
 
-  const handleNextSlide = () => {
-    // Use ordered slides for navigation to include leaderboards
-    if (mappedCurrentSlideIndex >= orderedSlides.length - 1) return;
-
-    endQuizIfActive();
+  const currentSlideId = getSlideId(slides[currentSlideIndex]);
+  const currentBranch = currentSlideId ? branchSuggestions[currentSlideId] : null;
+  const currentBranchTargetIndex = currentBranch
+    ? slides.findIndex(slide => getSlideId(slide) === currentBranch.targetSlideId)
+    : -1;
+  const isReturningFromDetour = Boolean(currentSlideId && detourRef.current?.targetSlideId === currentSlideId);
 
-    // Navigate to next slide in ordered slides (which includes leaderboards)
-    const nextOrderedIndex = mappedCurrentSlideIndex + 1;
+  const goToOrderedIndex = (nextOrderedIndex) => {
     const nextSlide = orderedSlides[nextOrderedIndex];
     
     if (!nextSlide) return; // No more slides
@@ -1179,6 +1322,46 @@ const PresentMode = () => {
     }
   };
 
+  const handleFollowBranch = () => {
+    if (!socket || currentBranchTargetIndex < 0) return;
+
+    endQuizIfActive();
+
+    // A detour comes back to the slide that would have followed this one
+    detourRef.current = currentBranch.action === 'detour'
+      ? {
+        targetSlideId: currentBranch.targetSlideId,
+        returnSlideId: getSlideId(orderedSlides[mappedCurrentSlideIndex + 1])
+      }
+      : null;
+    goToOrderedIndex(getOrderedIndex(currentBranchTargetIndex));
+  };
+
+  const handleNextSlide = () => {
+    if (currentBranch?.autoFollow && currentBranchTargetIndex >= 0) {
+      handleFollowBranch();
+      return;
+    }
+
+    if (isReturningFromDetour) {
+      const returnOrderedIndex = orderedSlides.findIndex(slide => getSlideId(slide) === detourRef.current.returnSlideId);
+      detourRef.current = null;
+      if (returnOrderedIndex >= 0) {
+        endQuizIfActive();
+        goToOrderedIndex(returnOrderedIndex);
+        return;
+      }
+    }
+
+    // Use ordered slides for navigation to include leaderboards
+    if (mappedCurrentSlideIndex >= orderedSlides.length - 1) return;
+
+    endQuizIfActive();
+
+    // Navigate to next slide in ordered slides (which includes leaderboards)
+    goToOrderedIndex(mappedCurrentSlideIndex + 1);
+  };
+
   const handlePrevSlide = () => {
     // Use ordered slides for navigation to include leaderboards
     if (mappedCurrentSlideIndex <= 0) return;
@@ -1292,6 +1475,8 @@ const PresentMode = () => {
             scaleStatements={scaleStatements}
             statementCounts={statementCounts}
             scaleOverallAverage={scaleOverallAverage}
+            scaleStats={scaleStats}
+            scaleStatementStats={scaleStatementStats}
             totalResponses={totalResponses}
           />
         );
@@ -1304,7 +1489,16 @@ const PresentMode = () => {
               </h2>
             </div>
             <div className="mt-4 sm:mt-6">
-              <WordCloudPresenterResults wordFrequencies={wordFrequencies} maxWords={80} width={700} height={400} />
+              <WordCloudPresenterResults
+                wordFrequencies={wordFrequencies}
+                maxWords={80}
+                width={700}
+                height={400}
+                settings={wordCloudSettingsBySlide[getSlideId(slide)] || slide.wordCloudSettings || {}}
+                onHideWord={handleHideWordCloudWord}
+                onMergeWords={handleMergeWordCloudWords}
+                onSplitWord={handleSplitWordCloudWord}
+              />
             </div>
             <div className="mt-4 sm:mt-6 text-center">
               <p className="text-sm sm:text-base text-[#B0B0B0]">
@@ -1342,6 +1536,7 @@ const PresentMode = () => {
           <RankingPresenterView
             slide={slide}
             rankingResults={rankingResults || []}
+            rankingPairwise={rankingPairwise}
             totalResponses={totalResponses}
           />
         );
@@ -1350,9 +1545,13 @@ const PresentMode = () => {
           <PresenterQnaView
             slide={slide}
             questions={qnaQuestions}
+            pendingQuestions={qnaPendingQuestions}
+            settings={qnaSettings}
             totalResponses={qnaQuestions.length}
             onMarkAnswered={handleMarkQnaAnswered}
             onClearAll={handleClearQnaQuestions}
+            onModerate={handleModerateQnaQuestion}
+            onUpdateSettings={handleUpdateQnaSettings}
             onSetActiveQuestion={handleSetActiveQuestion}
           />
         );
@@ -1378,6 +1577,7 @@ const PresentMode = () => {
           <TwoByTwoGridPresenterView
             slide={slide}
             gridResults={gridResults}
+            gridQuadrants={gridQuadrants}
             totalResponses={totalResponses}
           />
         );
@@ -1386,6 +1586,7 @@ const PresentMode = () => {
           <PinOnImagePresenterView
             slide={slide}
             pinResults={pinResults}
+            summary={pinSummary}
             totalResponses={totalResponses}
           />
         );
@@ -1643,6 +1844,9 @@ const PresentMode = () => {
               )}
             </div>
             
+            {/* Live team balance (team mode) */}
+            <TeamBalancePanel teamBalance={teamBalance} />
+
             {/* Original participant count */}
             <div className="flex items-center gap-2 px-3 sm:px-4 py-1.5 sm:py-2 rounded-lg bg-[#1D2A20] border border-[#2E7D32]/30 text-[#4CAF50]">
               <Users className="h-4 w-4 sm:h-5 sm:w-5" />
@@ -1668,6 +1872,34 @@ const PresentMode = () => {
         </div>
       </main>
 
+      {currentBranchTargetIndex >= 0 && (
+        <div className="flex-shrink-0 bg-[#1A1A1A] border-t border-[#2A2A2A]">
+          <div className="mx-auto flex max-w-6xl items-center justify-between gap-3 px-4 sm:px-6 py-2">
+            <div className="flex items-center gap-2 min-w-0 text-sm text-[#B0B0B0]">
+              <GitBranch className="h-4 w-4 flex-shrink-0 text-[#4CAF50]" />
+              <span className="truncate">
+                {currentBranch.action === 'detour'
+                  ? (t('branching.suggested_detour', { number: getOrderedIndex(currentBranchTargetIndex) + 1 }) || `Answers suggest a detour to slide ${getOrderedIndex(currentBranchTargetIndex) + 1}`)
+                  : (t('branching.suggested_jump', { number: getOrderedIndex(currentBranchTargetIndex) + 1 }) || `Answers suggest jumping to slide ${getOrderedIndex(currentBranchTargetIndex) + 1}`)}
+                {slides[currentBranchTargetIndex]?.question ? `: ${slides[currentBranchTargetIndex].question}` : ''}
+              </span>
+            </div>
+            {currentBranch.autoFollow ? (
+              <span className="flex-shrink-0 text-xs text-[#8A8A8A]">
+                {t('branching.auto_follow_hint') || 'Next follows this branch'}
+              </span>
+            ) : (
+              <button
+                onClick={handleFollowBranch}
+                className="flex-shrink-0 px-3 py-1.5 rounded-lg bg-[#1D2A20] border border-[#2E7D32]/30 text-sm font-medium text-[#4CAF50] hover:bg-[#233326] transition-all active:scale-95"
+              >
+                {t('branching.follow') || 'Follow branch'}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
       <footer className="flex-shrink-0 bg-[#1F1F1F] border-t border-[#2A2A2A] shadow-[0_-4px_20px_rgba(0,0,0,0.3)]">
         <div className="mx-auto flex max-w-6xl items-center justify-between px-4 sm:px-6 py-3 sm:py-4">
           <button
@@ -1687,7 +1919,7 @@ const PresentMode = () => {
 
           <button
             onClick={handleNextSlide}
-            disabled={mappedCurrentSlideIndex >= orderedSlides.length - 1}
+            disabled={mappedCurrentSlideIndex >= orderedSlides.length - 1 && !isReturningFromDetour && !currentBranch?.autoFollow}
             className="px-4 sm:px-6 py-2 sm:py-3 rounded-lg bg-gradient-to-r from-[#388E3C] to-[#2E7D32] text-white hover:from-[#4CAF50] hover:to-[#388E3C] disabled:from-[#1F1F1F] disabled:to-[#1F1F1F] disabled:text-[#6C6C6C] flex items-center gap-2 transition-all active:scale-95 disabled:active:scale-100 shadow-lg shadow-[#4CAF50]/20 disabled:shadow-none"
           >
             <span className="text-sm sm:text-base font-medium">Next</span>
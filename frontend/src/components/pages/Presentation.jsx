@@ -1,17 +1,26 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { useLocation, useNavigate, useParams } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import toast from 'react-hot-toast';
-import { ArrowLeft, Save, Settings as SettingsIcon, Share2, X, Plus, MessageCircle } from 'lucide-react';
+import { ArrowLeft, Save, Settings as SettingsIcon, Share2, X, Plus, MessageCircle, Users, Clock, Package, UserPlus, Eye, History, ShieldAlert } from 'lucide-react';
 import SlideBar from '../presentation/SlideBar';
 import NewSlideDropdown from '../presentation/NewSlideDropdown';
 import SlideCanvas from '../presentation/SlideCanvas';
 import SlideEditor from '../presentation/SlideEditor';
 import EmptyState from '../presentation/EmptyState';
 import ShareModal from '../presentation/ShareModal';
+import CollaboratorsModal from '../presentation/CollaboratorsModal';
+import EditorPresence from '../presentation/EditorPresence';
+import SlideHistoryModal from '../presentation/SlideHistoryModal';
+import TeamSettingsModal from '../presentation/TeamSettingsModal';
+import SelfPacedModal from '../presentation/SelfPacedModal';
+import ContentFilterModal from '../presentation/ContentFilterModal';
 import * as presentationService from '../../services/presentationService';
 import { deletePresentation } from '../../services/presentationService';
 import { defaultOpenEndedSettings } from '../interactions/openEnded/utils';
+import { pruneBranching } from '../../utils/branchingUtils';
+import { diffSlidePayload, mergeRemoteSlide, groupEditorsBySlide } from '../../utils/coEditingUtils';
+import { useCoEditing } from '../../hooks/useCoEditing';
 import { v4 as uuidv4 } from 'uuid';
 import ConfirmDialog from '../common/ConfirmDialog';
 import PresentationResults from '../presentation/PresentationResults';
@@ -19,6 +28,40 @@ import Chatbot from '../common/Chatbot';
 import { useTranslation } from 'react-i18next';
 import { translateError } from '../../utils/errorTranslator';
 
+// Map a slide from the API to the editor format (id -> _id)
+const mapBackendSlide = (slide) => {
+  // If slide has quizSettings but type is not 'quiz', treat it as a quiz slide
+  const isQuizSlide = slide.type === 'quiz' || (slide.quizSettings && slide.type === 'multiple_choice');
+
+  const mappedSlide = {
+    ...slide,
+    id: slide.id || `slide-${Date.now()}-${Math.random()}`,
+    // Override type if it has quizSettings but wrong type
+    type: isQuizSlide ? 'quiz' : slide.type,
+    openEndedSettings: slide.type === 'open_ended'
+      ? (slide.openEndedSettings || defaultOpenEndedSettings())
+      : slide.openEndedSettings,
+    qnaSettings: slide.type === 'qna'
+      ? (slide.qnaSettings || { allowMultiple: false })
+      : slide.qnaSettings,
+    guessNumberSettings: slide.type === 'guess_number'
+      ? (slide.guessNumberSettings || { minValue: 1, maxValue: 10, correctAnswer: 5 })
+      : slide.guessNumberSettings,
+    // Preserve quizSettings if they exist
+    quizSettings: slide.quizSettings,
+    _id: slide.id
+  };
+
+  // Preserve PDF fields if it's a PDF slide
+  if (slide.type === 'pdf') {
+    mappedSlide.pdfUrl = slide.pdfUrl || '';
+    mappedSlide.pdfPublicId = slide.pdfPublicId || null;
+    mappedSlide.pdfPages = Array.isArray(slide.pdfPages) ? slide.pdfPages : [];
+  }
+
+  return mappedSlide;
+};
+
 export default function Presentation() {
   const navigate = useNavigate();
   const { user } = useAuth();
@@ -50,9 +93,101 @@ export default function Presentation() {
   const [skipDraftSave, setSkipDraftSave] = useState(false);
   const [isDirty, setIsDirty] = useState(false);
   const [showShareModal, setShowShareModal] = useState(false);
+  const [showTeamSettings, setShowTeamSettings] = useState(false);
+  const [showSelfPaced, setShowSelfPaced] = useState(false);
+  const [showContentFilter, setShowContentFilter] = useState(false);
   const [deleteDialog, setDeleteDialog] = useState({ open: false, slideIndex: null });
   const [savedSlideCount, setSavedSlideCount] = useState(0);
   const [showChatbot, setShowChatbot] = useState(false);
+  const [showCollaborators, setShowCollaborators] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  // Last version of each saved slide (by _id) and of the title known to match the server, for co-editing
+  const syncedSlidesRef = useRef({});
+  const syncedTitleRef = useRef(null);
+
+  // Role on a shared presentation (new presentations are always the user's own)
+  const role = presentation?.role || 'owner';
+  const canEdit = role === 'owner' || role === 'editor';
+  const canPresent = role === 'owner' || role === 'co_presenter';
+
+  // Add slides created elsewhere (another editor, or restored from the trash) at their position
+  const insertSavedSlides = (savedSlides) => {
+    const created = savedSlides
+      .filter(Boolean)
+      .map(mapBackendSlide)
+      .filter(remote => !slides.some(slide => slide._id === remote._id));
+    if (created.length === 0) return;
+
+    created.forEach(remote => {
+      syncedSlidesRef.current[remote._id] = remote;
+    });
+    const position = Math.min(created[0].order ?? slides.length, slides.length);
+    setSlides(current => [...current.slice(0, position), ...created, ...current.slice(position)]);
+    setSavedSlideCount(count => count + created.length);
+    if (slides.length > 0 && position <= currentSlideIndex) {
+      setCurrentSlideIndex(index => index + created.length);
+    }
+  };
+
+  // Replace a slide with an earlier version restored from the history
+  const handleRevisionRestored = (savedSlide) => {
+    const restored = mapBackendSlide(savedSlide);
+    syncedSlidesRef.current[restored._id] = restored;
+    setSlides(current => current.map(slide => (slide._id === restored._id ? { ...restored, id: slide.id } : slide)));
+  };
+
+  // Live co-editing: apply what other editors save and show where they are
+  const { editors, otherEditors, socketId, selectSlide } = useCoEditing(presentation?.id, {
+    'slide-updated': ({ slide: savedSlide, updatedBy }) => {
+      const remote = mapBackendSlide(savedSlide);
+      const synced = syncedSlidesRef.current[remote._id];
+      syncedSlidesRef.current[remote._id] = remote;
+
+      const index = slides.findIndex(slide => slide._id === remote._id);
+      if (index === -1) return;
+
+      const { slide: merged, conflictingFields } = mergeRemoteSlide(slides[index], synced, remote);
+      setSlides(current => current.map(slide => (slide._id === remote._id ? merged : slide)));
+      if (conflictingFields.length > 0) {
+        toast(t('coediting.remote_conflict', { name: updatedBy, number: index + 1 })
+          || `${updatedBy} also changed slide ${index + 1}. Your unsaved changes are kept.`);
+      }
+    },
+    'slide-created': ({ slide: savedSlide, leaderboardSlide }) => {
+      insertSavedSlides([savedSlide, leaderboardSlide]);
+    },
+    'slide-deleted': ({ slideId, deletedLeaderboardId, updatedBy }) => {
+      const removedIds = [slideId, deletedLeaderboardId].filter(Boolean);
+      removedIds.forEach(removedId => {
+        delete syncedSlidesRef.current[removedId];
+      });
+
+      const remaining = slides.filter(slide => !removedIds.includes(slide._id));
+      if (remaining.length === slides.length) return;
+
+      const currentSlide = slides[currentSlideIndex];
+      const newIndex = remaining.indexOf(currentSlide);
+      setSlides(remaining);
+      setSavedSlideCount(count => Math.max(0, count - (slides.length - remaining.length)));
+      setCurrentSlideIndex(newIndex !== -1 ? newIndex : Math.min(currentSlideIndex, Math.max(remaining.length - 1, 0)));
+      if (newIndex === -1) {
+        toast(t('coediting.slide_deleted', { name: updatedBy }) || `${updatedBy} deleted the slide you were on`);
+      }
+    },
+    'presentation-updated': ({ title }) => {
+      // Keep a title this editor is changing; otherwise follow the saved one
+      if (presentation?.title === syncedTitleRef.current) {
+        setPresentation(current => ({ ...current, title }));
+      }
+      syncedTitleRef.current = title;
+    }
+  });
+  const editorsBySlide = useMemo(() => groupEditorsBySlide(editors, socketId), [editors, socketId]);
+  const currentSlideId = slides[currentSlideIndex]?._id;
+
+  useEffect(() => {
+    selectSlide(currentSlideId);
+  }, [currentSlideId, selectSlide]);
 
   // Initialize or load presentation
   useEffect(() => {
@@ -93,12 +228,12 @@ export default function Presentation() {
       setSkipDraftSave(false);
       return;
     }
-    if (!isDirty) return;
+    if (!isDirty || !canEdit) return;
     saveToLocalStorage();
-  }, [presentation, slides, currentSlideIndex, saveToLocalStorage, skipDraftSave, isDirty]);
+  }, [presentation, slides, currentSlideIndex, saveToLocalStorage, skipDraftSave, isDirty, canEdit]);
 
   useEffect(() => {
-    if (!presentation) return;
+    if (!presentation || !canEdit) return;
 
     const handleBeforeUnload = () => {
       saveToLocalStorage();
@@ -106,7 +241,7 @@ export default function Presentation() {
 
     window.addEventListener('beforeunload', handleBeforeUnload);
     return () => window.removeEventListener('beforeunload', handleBeforeUnload);
-  }, [presentation, slides, currentSlideIndex, saveToLocalStorage]);
+  }, [presentation, slides, currentSlideIndex, saveToLocalStorage, canEdit]);
 
   // Load presentation from backend
   const loadPresentation = async (presentationId, initialSlides = null) => {
@@ -119,6 +254,8 @@ export default function Presentation() {
       }
 
       setPresentation(data.presentation);
+      syncedTitleRef.current = data.presentation.title;
+      syncedSlidesRef.current = {};
 
       if (initialSlides && initialSlides.length > 0) {
         // Use template slides if provided (unsaved state)
@@ -129,43 +266,15 @@ export default function Presentation() {
         setSkipDraftSave(false); // Allow saving to draft
       } else {
         // Map backend slides to frontend format (id -> _id)
-        const mappedSlides = (data.slides || []).map(slide => {
-          // If slide has quizSettings but type is not 'quiz', treat it as a quiz slide
-          const isQuizSlide = slide.type === 'quiz' || (slide.quizSettings && slide.type === 'multiple_choice');
-          
-          const mappedSlide = {
-            ...slide,
-            id: slide.id || `slide-${Date.now()}-${Math.random()}`,
-            // Override type if it has quizSettings but wrong type
-            type: isQuizSlide ? 'quiz' : slide.type,
-            openEndedSettings: slide.type === 'open_ended'
-              ? (slide.openEndedSettings || defaultOpenEndedSettings())
-              : slide.openEndedSettings,
-            qnaSettings: slide.type === 'qna'
-              ? (slide.qnaSettings || { allowMultiple: false })
-              : slide.qnaSettings,
-            guessNumberSettings: slide.type === 'guess_number'
-              ? (slide.guessNumberSettings || { minValue: 1, maxValue: 10, correctAnswer: 5 })
-              : slide.guessNumberSettings,
-            // Preserve quizSettings if they exist
-            quizSettings: slide.quizSettings,
-            _id: slide.id
-          };
-          
-          // Preserve PDF fields if it's a PDF slide
-          if (slide.type === 'pdf') {
-            mappedSlide.pdfUrl = slide.pdfUrl || '';
-            mappedSlide.pdfPublicId = slide.pdfPublicId || null;
-            mappedSlide.pdfPages = Array.isArray(slide.pdfPages) ? slide.pdfPages : [];
-          }
-          
-          return mappedSlide;
-        });
+        const mappedSlides = (data.slides || []).map(mapBackendSlide);
 
         // Preserve the actual order from the backend - don't force instruction slides to the beginning
         // Just sort by the order property that comes from the backend
         const orderedSlides = mappedSlides.sort((a, b) => (a.order || 0) - (b.order || 0));
 
+        orderedSlides.forEach(slide => {
+          syncedSlidesRef.current[slide._id] = slide;
+        });
         setSkipDraftSave(true);
         setSlides(orderedSlides);
         setSavedSlideCount(orderedSlides.length);
@@ -248,6 +357,8 @@ export default function Presentation() {
       const response = await presentationService.createPresentation(t('presentation.untitled_presentation'));
 
       setPresentation(response.presentation);
+      syncedTitleRef.current = response.presentation.title;
+      syncedSlidesRef.current = {};
       setSkipDraftSave(true);
       setSlides([]);
       setSavedSlideCount(0);
@@ -317,12 +428,14 @@ export default function Presentation() {
   // Save to backend
   const saveToBackend = async () => {
     if (!presentation) return false;
+    // Viewers and co-presenters cannot change the presentation; local edits are discarded
+    if (!canEdit) return true;
 
     const currentSlideRef = slides[currentSlideIndex] ?? null;
     const previousSlideId = currentSlideRef?._id || currentSlideRef?.id;
 
     // Add order property to each slide based on its position in the array
-    const normalizedSlides = slides.map((slide, index) => {
+    const normalizeSlide = (slide, index) => {
       const trimmedQuestion = typeof slide.question === 'string' ? slide.question.trim() : slide.question;
 
       // Add order property to slide
@@ -384,6 +497,8 @@ export default function Presentation() {
         const requestedCorrectId = existingSettings.correctOptionId;
         const hasValidCorrect = normalizedOptions.some(opt => opt.id === requestedCorrectId);
         const correctOptionId = hasValidCorrect ? requestedCorrectId : '';
+        const correctOptionIds = (existingSettings.correctOptionIds || [])
+          .filter(id => normalizedOptions.some(opt => opt.id === id));
 
         const timeLimitValue = Number(existingSettings.timeLimit) || 30;
         const clampedTimeLimit = Math.max(5, Math.min(300, timeLimitValue));
@@ -393,8 +508,14 @@ export default function Presentation() {
           quizSettings: {
             options: normalizedOptions,
             correctOptionId,
+            correctOptionIds,
+            allowMultiple: Boolean(existingSettings.allowMultiple),
+            multiSelectScoring: existingSettings.multiSelectScoring || 'all_or_nothing',
             timeLimit: clampedTimeLimit,
             points: Number(existingSettings.points) || 1000,
+            scoringMode: existingSettings.scoringMode || 'speed',
+            streakBonus: Boolean(existingSettings.streakBonus),
+            negativePoints: Math.max(0, Number(existingSettings.negativePoints) || 0),
           },
           options: undefined,
         };
@@ -472,7 +593,8 @@ export default function Presentation() {
       }
 
       return slideWithOrder;
-    });
+    };
+    const normalizedSlides = slides.map(normalizeSlide);
 
     // Validate all slides before saving
     for (let i = 0; i < normalizedSlides.length; i++) {
@@ -653,6 +775,65 @@ export default function Presentation() {
       }
     }
 
+    // Fields sent when updating an existing slide
+    const buildUpdatePayload = (slide) => {
+      // Calculate correct type - if slide has quizSettings, ensure type is 'quiz'
+      const slideType = (slide.quizSettings && slide.type !== 'quiz') ? 'quiz' : slide.type;
+
+      return {
+        type: slideType,
+        question: slide.question,
+        options: slide.options,
+        minValue: slide.minValue,
+        maxValue: slide.maxValue,
+        minLabel: slide.minLabel,
+        maxLabel: slide.maxLabel,
+        statements: slide.statements,
+        scaleMode: slideType === 'scales' ? slide.scaleMode : undefined,
+        rankingItems: slide.rankingItems,
+        rankingMethod: slideType === 'ranking' ? slide.rankingMethod : undefined,
+        hundredPointsItems: slide.hundredPointsItems,
+        gridItems: slideType === '2x2_grid' ? slide.gridItems : undefined,
+        gridAxisXLabel: slideType === '2x2_grid' ? slide.gridAxisXLabel : undefined,
+        gridAxisYLabel: slideType === '2x2_grid' ? slide.gridAxisYLabel : undefined,
+        gridAxisRange: slideType === '2x2_grid' ? slide.gridAxisRange : undefined,
+        gridQuadrantLabels: slideType === '2x2_grid' ? slide.gridQuadrantLabels : undefined,
+        maxWordsPerParticipant: slide.maxWordsPerParticipant,
+        wordCloudSettings: slideType === 'word_cloud' ? slide.wordCloudSettings : undefined,
+        openEndedSettings: slideType === 'open_ended' ? slide.openEndedSettings : undefined,
+        qnaSettings: slideType === 'qna' ? slide.qnaSettings : undefined,
+        guessNumberSettings: slideType === 'guess_number' ? slide.guessNumberSettings : undefined,
+        pinOnImageSettings: slideType === 'pin_on_image' ? slide.pinOnImageSettings : undefined,
+        quizSettings: (slideType === 'quiz' || slide.quizSettings) ? slide.quizSettings : undefined,
+        branching: (slideType === 'multiple_choice' || slideType === 'quiz') ? pruneBranching(slide) : undefined,
+        leaderboardSettings: slideType === 'leaderboard' ? slide.leaderboardSettings : undefined,
+        // Fields for text slide type
+        textContent: slideType === 'text' ? slide.textContent : undefined,
+        // Fields for image slide type
+        imageUrl: slideType === 'image' ? slide.imageUrl : undefined,
+        imagePublicId: slideType === 'image' ? slide.imagePublicId : undefined,
+        // Fields for video slide type
+        videoUrl: slideType === 'video' ? slide.videoUrl : undefined,
+        // Fields for instruction slide type
+        instructionContent: slideType === 'instruction' ? slide.instructionContent : undefined,
+        // Fields for "Bring Your Slides In" slide types
+        ...(slideType === 'miro' && { miroUrl: slide.miroUrl || '' }),
+        ...(slideType === 'powerpoint' && { 
+          // Don't save blob URLs - they're temporary and won't work after page reload
+          powerpointUrl: (slide.powerpointUrl && !slide.powerpointUrl.trim().startsWith('blob:')) ? slide.powerpointUrl : '',
+          ...(slide.powerpointPublicId && { powerpointPublicId: slide.powerpointPublicId })
+        }),
+        ...(slideType === 'google_slides' && { googleSlidesUrl: slide.googleSlidesUrl || '' }),
+        ...(slideType === 'pdf' && { 
+          pdfUrl: slide.pdfUrl || '',
+          ...(slide.pdfPublicId && { pdfPublicId: slide.pdfPublicId }),
+          ...(slide.pdfPages && { pdfPages: slide.pdfPages })
+        }),
+        // Add order property
+        order: slide.order
+      };
+    };
+
     try {
       setIsSaving(true);
 
@@ -660,69 +841,51 @@ export default function Presentation() {
       await presentationService.updatePresentation(presentation.id, {
         title: presentation.title
       });
+      syncedTitleRef.current = presentation.title;
 
       // Save all slides and collect updated slides with backend IDs
       const updatedSlides = [];
+      const conflictedSlideNumbers = [];
       for (const slide of normalizedSlides) {
         if (slide._id) {
-          // Calculate correct type - if slide has quizSettings, ensure type is 'quiz'
-          const slideType = (slide.quizSettings && slide.type !== 'quiz') ? 'quiz' : slide.type;
-          
-          // Update existing slide
-          const response = await presentationService.updateSlide(presentation.id, slide._id, {
-            type: slideType,
-            question: slide.question,
-            options: slide.options,
-            minValue: slide.minValue,
-            maxValue: slide.maxValue,
-            minLabel: slide.minLabel,
-            maxLabel: slide.maxLabel,
-            statements: slide.statements,
-            rankingItems: slide.rankingItems,
-            hundredPointsItems: slide.hundredPointsItems,
-            gridItems: slideType === '2x2_grid' ? slide.gridItems : undefined,
-            gridAxisXLabel: slideType === '2x2_grid' ? slide.gridAxisXLabel : undefined,
-            gridAxisYLabel: slideType === '2x2_grid' ? slide.gridAxisYLabel : undefined,
-            gridAxisRange: slideType === '2x2_grid' ? slide.gridAxisRange : undefined,
-            maxWordsPerParticipant: slide.maxWordsPerParticipant,
-            openEndedSettings: slideType === 'open_ended' ? slide.openEndedSettings : undefined,
-            qnaSettings: slideType === 'qna' ? slide.qnaSettings : undefined,
-            guessNumberSettings: slideType === 'guess_number' ? slide.guessNumberSettings : undefined,
-            pinOnImageSettings: slideType === 'pin_on_image' ? slide.pinOnImageSettings : undefined,
-            quizSettings: (slideType === 'quiz' || slide.quizSettings) ? slide.quizSettings : undefined,
-            // Fields for text slide type
-            textContent: slideType === 'text' ? slide.textContent : undefined,
-            // Fields for image slide type
-            imageUrl: slideType === 'image' ? slide.imageUrl : undefined,
-            imagePublicId: slideType === 'image' ? slide.imagePublicId : undefined,
-            // Fields for video slide type
-            videoUrl: slideType === 'video' ? slide.videoUrl : undefined,
-            // Fields for instruction slide type
-            instructionContent: slideType === 'instruction' ? slide.instructionContent : undefined,
-            // Fields for "Bring Your Slides In" slide types
-            ...(slideType === 'miro' && { miroUrl: slide.miroUrl || '' }),
-            ...(slideType === 'powerpoint' && { 
-              // Don't save blob URLs - they're temporary and won't work after page reload
-              powerpointUrl: (slide.powerpointUrl && !slide.powerpointUrl.trim().startsWith('blob:')) ? slide.powerpointUrl : '',
-              ...(slide.powerpointPublicId && { powerpointPublicId: slide.powerpointPublicId })
-            }),
-            ...(slideType === 'google_slides' && { googleSlidesUrl: slide.googleSlidesUrl || '' }),
-            ...(slideType === 'pdf' && { 
-              pdfUrl: slide.pdfUrl || '',
-              ...(slide.pdfPublicId && { pdfPublicId: slide.pdfPublicId }),
-              ...(slide.pdfPages && { pdfPages: slide.pdfPages })
-            }),
-            // Add order property
-            order: slide.order
-          });
-          
-          // Use response.slide to get the latest data from backend (including PDF fields)
-          updatedSlides.push({
-            ...slide,
-            ...response.slide, // Merge response data to ensure we have latest PDF fields
-            _id: response.slide.id,
-            id: response.slide.id
-          });
+          const synced = syncedSlidesRef.current[slide._id];
+          // Only send what changed since the last synced version, so other editors' changes to other fields are kept
+          const changes = synced
+            ? diffSlidePayload(buildUpdatePayload(slide), buildUpdatePayload(normalizeSlide(synced, synced.order ?? 0)))
+            : buildUpdatePayload(slide);
+
+          if (Object.keys(changes).length === 0) {
+            updatedSlides.push(slide);
+            continue;
+          }
+
+          try {
+            // Update existing slide
+            const response = await presentationService.updateSlide(presentation.id, slide._id, {
+              ...changes,
+              baseRevision: slide.revision ?? 0
+            });
+
+            // Use response.slide to get the latest data from backend (including PDF fields)
+            const savedSlide = {
+              ...slide,
+              ...response.slide, // Merge response data to ensure we have latest PDF fields
+              _id: response.slide.id,
+              id: response.slide.id
+            };
+            syncedSlidesRef.current[savedSlide._id] = savedSlide;
+            updatedSlides.push(savedSlide);
+          } catch (error) {
+            if (error.response?.data?.code !== 'SLIDE_CONFLICT') throw error;
+
+            // Someone else changed the same fields: keep this editor's values on top of their version,
+            // so saving again keeps them deliberately
+            const current = mapBackendSlide(error.response.data.slide);
+            const { slide: merged } = mergeRemoteSlide(slide, synced, current);
+            syncedSlidesRef.current[current._id] = current;
+            updatedSlides.push({ ...merged, revision: current.revision });
+            conflictedSlideNumbers.push(normalizedSlides.indexOf(slide) + 1);
+          }
         } else {
           // Calculate correct type - if slide has quizSettings, ensure type is 'quiz'
           const slideType = (slide.quizSettings && slide.type !== 'quiz') ? 'quiz' : slide.type;
@@ -737,18 +900,23 @@ export default function Presentation() {
             minLabel: slide.minLabel,
             maxLabel: slide.maxLabel,
             statements: slide.statements,
+            scaleMode: slideType === 'scales' ? slide.scaleMode : undefined,
             rankingItems: slide.rankingItems,
+            rankingMethod: slideType === 'ranking' ? slide.rankingMethod : undefined,
             hundredPointsItems: slide.hundredPointsItems,
             gridItems: slideType === '2x2_grid' ? slide.gridItems : undefined,
             gridAxisXLabel: slideType === '2x2_grid' ? slide.gridAxisXLabel : undefined,
             gridAxisYLabel: slideType === '2x2_grid' ? slide.gridAxisYLabel : undefined,
             gridAxisRange: slideType === '2x2_grid' ? slide.gridAxisRange : undefined,
+            gridQuadrantLabels: slideType === '2x2_grid' ? slide.gridQuadrantLabels : undefined,
             maxWordsPerParticipant: slide.maxWordsPerParticipant,
+            wordCloudSettings: slideType === 'word_cloud' ? slide.wordCloudSettings : undefined,
             openEndedSettings: slideType === 'open_ended' ? slide.openEndedSettings : undefined,
             qnaSettings: slideType === 'qna' ? slide.qnaSettings : undefined,
             guessNumberSettings: slideType === 'guess_number' ? slide.guessNumberSettings : undefined,
             pinOnImageSettings: slideType === 'pin_on_image' ? slide.pinOnImageSettings : undefined,
             quizSettings: (slideType === 'quiz' || slide.quizSettings) ? slide.quizSettings : undefined,
+            branching: (slideType === 'multiple_choice' || slideType === 'quiz') ? pruneBranching(slide) : undefined,
             // Fields for text slide type
             textContent: slideType === 'text' ? slide.textContent : undefined,
             // Fields for image slide type
@@ -777,21 +945,25 @@ export default function Presentation() {
 
           // Add slide with backend ID to updated slides
           // Use response.slide data to ensure we have the latest data from backend (including PDF fields)
-          updatedSlides.push({
+          const createdSlide = {
             ...slide,
             ...response.slide, // Merge response data to get latest PDF fields
             _id: response.slide.id
-          });
+          };
+          syncedSlidesRef.current[createdSlide._id] = createdSlide;
+          updatedSlides.push(createdSlide);
 
           // If quiz slide, also add auto-generated leaderboard slide
           if (response.leaderboardSlide) {
-            updatedSlides.push({
+            const leaderboardSlide = {
               _id: response.leaderboardSlide.id,
               type: response.leaderboardSlide.type,
               question: response.leaderboardSlide.question,
               leaderboardSettings: response.leaderboardSlide.leaderboardSettings,
               order: response.leaderboardSlide.order
-            });
+            };
+            syncedSlidesRef.current[leaderboardSlide._id] = leaderboardSlide;
+            updatedSlides.push(leaderboardSlide);
           }
         }
       }
@@ -800,7 +972,7 @@ export default function Presentation() {
       setSkipDraftSave(true);
       setSlides(updatedSlides);
       setSavedSlideCount(updatedSlides.length);
-      setIsDirty(false);
+      setIsDirty(conflictedSlideNumbers.length > 0);
 
       // Restore current slide index based on previous slide ID
       if (previousSlideId) {
@@ -810,6 +982,15 @@ export default function Presentation() {
         }
       }
 
+      if (conflictedSlideNumbers.length > 0) {
+        toast.error(
+          t('coediting.save_conflict', { slides: conflictedSlideNumbers.join(', ') })
+            || `Someone else changed slide ${conflictedSlideNumbers.join(', ')} while you were editing. Check it and save again to keep your version.`,
+          { duration: 6000 }
+        );
+        return false;
+      }
+
       // Clear localStorage after successful save
       presentationService.clearDraftFromLocalStorage();
 
@@ -877,13 +1058,15 @@ export default function Presentation() {
         maxValue: 5,
         minLabel: t('slide_editors.scales.default_min_label'),
         maxLabel: t('slide_editors.scales.default_max_label'),
+        scaleMode: 'scale',
         statements: [{ id: uuidv4(), text: '' }]
       }),
       ...(slideType === 'ranking' && {
         rankingItems: [
           { id: uuidv4(), text: '' },
           { id: uuidv4(), text: '' }
-        ]
+        ],
+        rankingMethod: 'borda'
       }),
       ...(slideType === 'qna' && {
         qnaSettings: { allowMultiple: false }
@@ -1139,6 +1322,31 @@ export default function Presentation() {
     setIsDirty(true);
   };
 
+  // Download the saved presentation as a bundle that other accounts can import
+  const handleExportBundle = async () => {
+    if (!presentation?.id) return;
+    if (isDirty) {
+      const saved = await saveToBackend();
+      if (!saved) return;
+    }
+
+    try {
+      const blob = await presentationService.exportPresentationBundle(presentation.id, 'zip');
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${(presentation.title || 'presentation').replace(/[^a-z0-9]/gi, '_')}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+      toast.success(t('presentation.bundle_exported') || 'Presentation bundle downloaded');
+    } catch (error) {
+      console.error('Export bundle error:', error);
+      toast.error(t('presentation.bundle_export_failed') || 'Failed to export the presentation');
+    }
+  };
+
   // Handle back to dashboard
   const handleBackToDashboard = () => {
     if (!presentation) {
@@ -1147,7 +1355,7 @@ export default function Presentation() {
     }
 
     // Only show exit dialog if there are unsaved changes
-    if (isDirty) {
+    if (isDirty && canEdit) {
       setExitDialog({ open: true, isProcessing: false });
     } else {
       // No unsaved changes, navigate directly
@@ -1238,6 +1446,7 @@ export default function Presentation() {
                 type="text"
                 value={presentation.title}
                 onChange={handleTitleChange}
+                readOnly={!canEdit}
                 className="text-xs sm:text-sm md:text-base font-medium text-[#E0E0E0] bg-transparent border border-transparent focus:border-[#388E3C] focus:bg-[#252525] outline-none hover:border-[#2F2F2F] px-2 sm:px-2.5 md:px-3 py-1.5 sm:py-2 rounded-md transition-all flex-1 min-w-0 max-w-[120px] sm:max-w-[180px] md:max-w-[240px] lg:max-w-none"
                 placeholder={t('presentation.untitled')}
               />
@@ -1281,13 +1490,70 @@ export default function Presentation() {
 
           {/* Right Section */}
           <div className="flex items-center gap-1.5 sm:gap-2 flex-shrink-0">
+            <div className="hidden sm:flex mr-1">
+              <EditorPresence editors={otherEditors} />
+            </div>
+            {canEdit && (
+              <>
+                <button
+                  onClick={saveToBackend}
+                  className="p-2.5 sm:p-2.5 rounded-lg transition-all active:scale-95 bg-[#2A2A2A] hover:bg-[#333333] touch-manipulation"
+                  title={t('presentation.save')}
+                  aria-label={t('presentation.save')}
+                >
+                  <Save className="h-5 w-5 text-[#E0E0E0]" />
+                </button>
+                <button
+                  onClick={() => setShowTeamSettings(true)}
+                  className={`p-2.5 sm:p-2.5 rounded-lg transition-all active:scale-95 hover:bg-[#333333] touch-manipulation ${presentation?.teamSettings?.enabled ? 'bg-[#1D2A20]' : 'bg-[#2A2A2A]'}`}
+                  title={t('team_mode.title') || 'Team Mode'}
+                  aria-label={t('team_mode.title') || 'Team Mode'}
+                >
+                  <Users className={`h-5 w-5 ${presentation?.teamSettings?.enabled ? 'text-[#4CAF50]' : 'text-[#E0E0E0]'}`} />
+                </button>
+                <button
+                  onClick={() => setShowSelfPaced(true)}
+                  className={`p-2.5 sm:p-2.5 rounded-lg transition-all active:scale-95 hover:bg-[#333333] touch-manipulation ${presentation?.selfPacedSettings?.enabled ? 'bg-[#1D2A20]' : 'bg-[#2A2A2A]'}`}
+                  title={t('self_paced.title') || 'Self-Paced Mode'}
+                  aria-label={t('self_paced.title') || 'Self-Paced Mode'}
+                >
+                  <Clock className={`h-5 w-5 ${presentation?.selfPacedSettings?.enabled ? 'text-[#4CAF50]' : 'text-[#E0E0E0]'}`} />
+                </button>
+                <button
+                  onClick={() => setShowContentFilter(true)}
+                  className="p-2.5 sm:p-2.5 rounded-lg transition-all active:scale-95 bg-[#2A2A2A] hover:bg-[#333333] touch-manipulation"
+                  title={t('content_filter.title') || 'Content Filter'}
+                  aria-label={t('content_filter.title') || 'Content Filter'}
+                >
+                  <ShieldAlert className="h-5 w-5 text-[#E0E0E0]" />
+                </button>
+              </>
+            )}
             <button
-              onClick={saveToBackend}
+              onClick={() => setShowHistory(true)}
               className="p-2.5 sm:p-2.5 rounded-lg transition-all active:scale-95 bg-[#2A2A2A] hover:bg-[#333333] touch-manipulation"
-              title={t('presentation.save')}
-              aria-label={t('presentation.save')}
+              title={t('history.title') || 'Version history'}
+              aria-label={t('history.title') || 'Version history'}
             >
-              <Save className="h-5 w-5 text-[#E0E0E0]" />
+              <History className="h-5 w-5 text-[#E0E0E0]" />
+            </button>
+            {role === 'owner' && (
+              <button
+                onClick={() => setShowCollaborators(true)}
+                className="p-2.5 sm:p-2.5 rounded-lg transition-all active:scale-95 bg-[#2A2A2A] hover:bg-[#333333] touch-manipulation"
+                title={t('collaborators.title') || 'Collaborators'}
+                aria-label={t('collaborators.title') || 'Collaborators'}
+              >
+                <UserPlus className="h-5 w-5 text-[#E0E0E0]" />
+              </button>
+            )}
+            <button
+              onClick={handleExportBundle}
+              className="p-2.5 sm:p-2.5 rounded-lg transition-all active:scale-95 bg-[#2A2A2A] hover:bg-[#333333] touch-manipulation"
+              title={t('presentation.export_bundle') || 'Export presentation bundle'}
+              aria-label={t('presentation.export_bundle') || 'Export presentation bundle'}
+            >
+              <Package className="h-5 w-5 text-[#E0E0E0]" />
             </button>
             <button
               onClick={() => setShowShareModal(true)}
@@ -1304,16 +1570,33 @@ export default function Presentation() {
             >
               <Share2 className="h-5 w-5 text-[#E0E0E0]" />
             </button>
-            <button
-              onClick={handlePresent}
-              className="px-3 sm:px-4 md:px-6 py-2 sm:py-2.5 bg-gradient-to-r from-[#388E3C] to-[#2E7D32] hover:from-[#2E7D32] hover:to-[#1B5E20] text-white rounded-lg transition-all active:scale-95 text-xs sm:text-sm font-semibold shadow-[0_4px_12px_rgba(56,142,60,0.3)] hover:shadow-[0_6px_16px_rgba(56,142,60,0.4)] whitespace-nowrap touch-manipulation"
-            >
-              <span className="hidden sm:inline">{t('presentation.present')}</span>
-              <span className="sm:hidden">{t('presentation.go')}</span>
-            </button>
+            {canPresent && (
+              <button
+                onClick={handlePresent}
+                className="px-3 sm:px-4 md:px-6 py-2 sm:py-2.5 bg-gradient-to-r from-[#388E3C] to-[#2E7D32] hover:from-[#2E7D32] hover:to-[#1B5E20] text-white rounded-lg transition-all active:scale-95 text-xs sm:text-sm font-semibold shadow-[0_4px_12px_rgba(56,142,60,0.3)] hover:shadow-[0_6px_16px_rgba(56,142,60,0.4)] whitespace-nowrap touch-manipulation"
+              >
+                <span className="hidden sm:inline">{t('presentation.present')}</span>
+                <span className="sm:hidden">{t('presentation.go')}</span>
+              </button>
+            )}
           </div>
         </div>
 
+        {!canEdit && (
+          <div className="flex items-center gap-2 px-3 sm:px-4 md:px-6 py-2 border-t border-[#2A2A2A] bg-[#252525] text-xs sm:text-sm text-[#B0B0B0]">
+            <Eye className="h-4 w-4 text-[#9ACFA7] flex-shrink-0" />
+            {t('collaborators.read_only_banner', { role: t(`collaborators.roles.${role}`) || role }) || 'You have read-only access to this presentation. Changes are not saved.'}
+          </div>
+        )}
+
+        {canEdit && editorsBySlide[currentSlideId]?.length > 0 && (
+          <div className="flex items-center gap-2 px-3 sm:px-4 md:px-6 py-2 border-t border-[#2A2A2A] bg-[#252525] text-xs sm:text-sm text-[#B0B0B0]">
+            <Users className="h-4 w-4 text-[#9ACFA7] flex-shrink-0" />
+            {t('coediting.same_slide', { names: editorsBySlide[currentSlideId].map(editor => editor.name).join(', ') })
+              || `${editorsBySlide[currentSlideId].map(editor => editor.name).join(', ')} is also on this slide. Changes to different fields are merged when you save.`}
+          </div>
+        )}
+
         {/* Mobile Tabs Row - Only on mobile/tablet */}
         <div className="md:hidden border-t border-[#2A2A2A] px-3 sm:px-4 bg-[#1F1F1F]">
           <div className="flex items-center gap-1">
@@ -1419,6 +1702,7 @@ export default function Presentation() {
                   showNewSlideDropdown={showNewSlideDropdown}
                   onSlideReorder={handleSlideReorder}
                   isHorizontal={false}
+                  editorsBySlide={editorsBySlide}
                 />
 
                 {showNewSlideDropdown && (
@@ -1447,6 +1731,7 @@ export default function Presentation() {
                 showNewSlideDropdown={showNewSlideDropdown}
                 onSlideReorder={handleSlideReorder}
                 isHorizontal={true}
+                editorsBySlide={editorsBySlide}
                 onEditSlide={(index) => {
                   setCurrentSlideIndex(index);
                   setShowSlideEditor(true);
@@ -1491,6 +1776,7 @@ export default function Presentation() {
               {slides.length > 0 && slides[currentSlideIndex]?.type !== 'instruction' && (
                 <SlideEditor
                   slide={slides[currentSlideIndex]}
+                  slides={slides}
                   onUpdate={handleSlideUpdate}
                   onClose={() => setShowSlideEditor(false)}
                   isOpen={showSlideEditor}
@@ -1551,6 +1837,44 @@ export default function Presentation() {
         accessCode={presentation?.accessCode}
         presentationId={presentation?.id}
       />
+
+      <CollaboratorsModal
+        isOpen={showCollaborators}
+        onClose={() => setShowCollaborators(false)}
+        presentationId={presentation?.id}
+        presentationTitle={presentation?.title}
+      />
+      <SlideHistoryModal
+        isOpen={showHistory}
+        onClose={() => setShowHistory(false)}
+        presentationId={presentation?.id}
+        slides={slides}
+        currentSlideId={slides[currentSlideIndex]?._id}
+        canEdit={canEdit}
+        onRevisionRestored={handleRevisionRestored}
+        onSlideRestored={({ slide, leaderboardSlide }) => insertSavedSlides([slide, leaderboardSlide])}
+      />
+      <TeamSettingsModal
+        isOpen={showTeamSettings}
+        onClose={() => setShowTeamSettings(false)}
+        presentationId={presentation?.id}
+        teamSettings={presentation?.teamSettings}
+        onSaved={(teamSettings) => setPresentation(prev => (prev ? { ...prev, teamSettings } : prev))}
+      />
+      <SelfPacedModal
+        isOpen={showSelfPaced}
+        onClose={() => setShowSelfPaced(false)}
+        presentationId={presentation?.id}
+        selfPacedSettings={presentation?.selfPacedSettings}
+        onSaved={(selfPacedSettings) => setPresentation(prev => (prev ? { ...prev, selfPacedSettings } : prev))}
+      />
+      <ContentFilterModal
+        isOpen={showContentFilter}
+        onClose={() => setShowContentFilter(false)}
+        presentationId={presentation?.id}
+        contentFilter={presentation?.contentFilter}
+        onSaved={(contentFilter) => setPresentation(prev => (prev ? { ...prev, contentFilter } : prev))}
+      />
       <ConfirmDialog
         isOpen={deleteDialog.open}
         title={t('presentation.delete_slide_title')}
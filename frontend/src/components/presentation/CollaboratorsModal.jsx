@@ -0,0 +1,202 @@
+import { useState, useEffect } from 'react';
+import { X, UserPlus, Trash2, Loader2, Mail } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import * as presentationService from '../../services/presentationService';
+
+const ROLES = ['viewer', 'editor', 'co_presenter'];
+
+/**
+ * Lets the owner share a presentation with collaborators and manage their roles
+ */
+const CollaboratorsModal = ({ isOpen, onClose, presentationId, presentationTitle }) => {
+  const { t } = useTranslation();
+  const [collaborators, setCollaborators] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('viewer');
+  const [isInviting, setIsInviting] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !presentationId) return;
+
+    const loadCollaborators = async () => {
+      setIsLoading(true);
+      try {
+        const data = await presentationService.getCollaborators(presentationId);
+        setCollaborators(data.collaborators || []);
+      } catch (error) {
+        console.error('Load collaborators error:', error);
+        toast.error(t('collaborators.load_error') || 'Failed to load collaborators');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadCollaborators();
+  }, [isOpen, presentationId, t]);
+
+  if (!isOpen) return null;
+
+  const roleLabel = (value) => t(`collaborators.roles.${value}`) || value;
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    setIsInviting(true);
+    try {
+      const data = await presentationService.addCollaborator(presentationId, { email: email.trim(), role });
+      setCollaborators(prev => {
+        const others = prev.filter(item => item.id !== data.collaborator.id);
+        return [...others, data.collaborator];
+      });
+      setEmail('');
+      if (data.emailSent === false) {
+        toast.success(t('collaborators.shared_without_email') || 'Shared. The invite email could not be sent, so let them know yourself.');
+      } else {
+        toast.success(t('collaborators.invited') || 'Invite sent');
+      }
+    } catch (error) {
+      console.error('Invite collaborator error:', error);
+      toast.error(error.response?.data?.error || t('collaborators.invite_error') || 'Failed to share the presentation');
+    } finally {
+      setIsInviting(false);
+    }
+  };
+
+  const handleRoleChange = async (collaborator, newRole) => {
+    setBusyId(collaborator.id);
+    try {
+      const data = await presentationService.updateCollaborator(presentationId, collaborator.id, newRole);
+      setCollaborators(prev => prev.map(item => (item.id === collaborator.id ? data.collaborator : item)));
+    } catch (error) {
+      console.error('Update collaborator error:', error);
+      toast.error(t('collaborators.update_error') || 'Failed to change the role');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = async (collaborator) => {
+    setBusyId(collaborator.id);
+    try {
+      await presentationService.removeCollaborator(presentationId, collaborator.id);
+      setCollaborators(prev => prev.filter(item => item.id !== collaborator.id));
+      toast.success(t('collaborators.removed') || 'Collaborator removed');
+    } catch (error) {
+      console.error('Remove collaborator error:', error);
+      toast.error(t('collaborators.remove_error') || 'Failed to remove the collaborator');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-0">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/70 backdrop-blur-sm"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="relative z-10 w-full max-w-lg mx-4 rounded-2xl bg-[#0F0F0F] shadow-2xl border border-[#2A2A2A] max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-[#2A2A2A]">
+          <div className="min-w-0">
+            <h2 className="text-xl font-semibold text-[#FFFFFF]">{t('collaborators.title') || 'Collaborators'}</h2>
+            {presentationTitle && <p className="text-sm text-[#8A8A8A] truncate">{presentationTitle}</p>}
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-lg hover:bg-[#2A2A2A] transition-colors"
+          >
+            <X className="h-5 w-5 text-[#8A8A8A] hover:text-[#E0E0E0]" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-6">
+          <form onSubmit={handleInvite} className="space-y-3">
+            <label className="text-sm font-medium text-[#E0E0E0] flex items-center gap-2">
+              <UserPlus className="h-5 w-5 text-[#4CAF50]" />
+              {t('collaborators.invite_label') || 'Invite by email'}
+            </label>
+            <div className="flex flex-col sm:flex-row gap-3">
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder={t('collaborators.email_placeholder') || 'colleague@school.edu'}
+                className="flex-1 px-4 py-2.5 rounded-lg bg-[#1A1A1A] border border-[#2A2A2A] text-[#E0E0E0] placeholder-[#6C6C6C] focus:outline-none focus:border-[#4CAF50]"
+                disabled={isInviting}
+              />
+              <select
+                value={role}
+                onChange={(e) => setRole(e.target.value)}
+                className="px-3 py-2.5 rounded-lg bg-[#1A1A1A] border border-[#2A2A2A] text-[#E0E0E0] focus:outline-none focus:border-[#4CAF50]"
+                disabled={isInviting}
+              >
+                {ROLES.map(value => (
+                  <option key={value} value={value}>{roleLabel(value)}</option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                disabled={isInviting || !email.trim()}
+                className="px-4 py-2.5 rounded-lg bg-[#4CAF50] hover:bg-[#45A049] text-white transition-colors flex items-center justify-center gap-2 font-medium shadow-lg disabled:opacity-50"
+              >
+                {isInviting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Mail className="h-4 w-4" />}
+                {t('collaborators.invite') || 'Invite'}
+              </button>
+            </div>
+            <p className="text-xs text-[#8A8A8A]">
+              {t('collaborators.roles_description') || 'Viewers see slides and results. Editors can also change slides. Co-presenters can run the live session, including Q&A moderation.'}
+            </p>
+          </form>
+
+          <div className="border-t border-[#2A2A2A] pt-4">
+            {isLoading ? (
+              <div className="flex justify-center py-6">
+                <Loader2 className="h-6 w-6 text-[#4CAF50] animate-spin" />
+              </div>
+            ) : collaborators.length === 0 ? (
+              <p className="text-sm text-[#8A8A8A] text-center py-4">
+                {t('collaborators.empty') || 'Only you have access to this presentation.'}
+              </p>
+            ) : (
+              <ul className="space-y-2">
+                {collaborators.map(collaborator => (
+                  <li key={collaborator.id} className="flex items-center gap-3 px-3 py-2 rounded-lg bg-[#1A1A1A] border border-[#2A2A2A]">
+                    <span className="flex-1 min-w-0 text-sm text-[#E0E0E0] truncate">{collaborator.email}</span>
+                    <select
+                      value={collaborator.role}
+                      onChange={(e) => handleRoleChange(collaborator, e.target.value)}
+                      disabled={busyId === collaborator.id}
+                      className="px-2 py-1.5 rounded-lg bg-[#0F0F0F] border border-[#2A2A2A] text-sm text-[#E0E0E0] focus:outline-none focus:border-[#4CAF50]"
+                    >
+                      {ROLES.map(value => (
+                        <option key={value} value={value}>{roleLabel(value)}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handleRemove(collaborator)}
+                      disabled={busyId === collaborator.id}
+                      className="p-1.5 rounded-lg text-[#8A8A8A] hover:text-red-400 hover:bg-red-500/10 transition-colors"
+                      title={t('collaborators.remove') || 'Remove'}
+                    >
+                      {busyId === collaborator.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <Trash2 className="h-4 w-4" />}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CollaboratorsModal;
@@ -0,0 +1,165 @@
+import { useEffect, useState } from 'react';
+import { X, ShieldAlert } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import * as presentationService from '../../services/presentationService';
+import { translateError } from '../../utils/errorTranslator';
+
+const defaultSettings = () => ({
+  enabled: true,
+  useDefaultList: true,
+  blockedWords: [],
+  action: 'mask'
+});
+
+// One blocked word or phrase per line or separated by commas
+const parseBlockedWords = (value) => value
+  .split(/[\n,]/)
+  .map(word => word.trim())
+  .filter(Boolean);
+
+const ContentFilterModal = ({ isOpen, onClose, presentationId, contentFilter, onSaved }) => {
+  const { t } = useTranslation();
+  const [settings, setSettings] = useState(defaultSettings);
+  const [blockedWordsText, setBlockedWordsText] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const initial = { ...defaultSettings(), ...(contentFilter || {}) };
+    setSettings(initial);
+    setBlockedWordsText((initial.blockedWords || []).join('\n'));
+  }, [isOpen, contentFilter]);
+
+  if (!isOpen) return null;
+
+  const updateSettings = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      const response = await presentationService.updatePresentation(presentationId, {
+        contentFilter: { ...settings, blockedWords: parseBlockedWords(blockedWordsText) }
+      });
+      onSaved?.(response.presentation?.contentFilter || null);
+      toast.success(t('content_filter.saved') || 'Content filter saved');
+      onClose();
+    } catch (error) {
+      toast.error(translateError(error, t, 'content_filter.save_failed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-0">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/70 backdrop-blur-sm"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="relative z-10 w-full max-w-md mx-4 rounded-2xl bg-[#0F0F0F] shadow-2xl border border-[#2A2A2A] max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-[#2A2A2A]">
+          <h2 className="text-xl font-semibold text-[#FFFFFF] flex items-center gap-2">
+            <ShieldAlert className="h-5 w-5 text-[#4CAF50]" />
+            {t('content_filter.title') || 'Content Filter'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-lg hover:bg-[#2A2A2A] transition-colors"
+          >
+            <X className="h-5 w-5 text-[#8A8A8A] hover:text-[#E0E0E0]" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-5">
+          <label className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => updateSettings({ enabled: e.target.checked })}
+              className="mt-1 h-4 w-4 accent-[#4CAF50]"
+            />
+            <div>
+              <span className="text-sm font-medium text-[#E0E0E0]">
+                {t('content_filter.enable_label') || 'Filter audience input'}
+              </span>
+              <p className="text-xs text-[#8A8A8A]">
+                {t('content_filter.enable_description') || 'Applies to Q&A questions, open-ended answers and word cloud words.'}
+              </p>
+            </div>
+          </label>
+
+          <div className={settings.enabled ? 'space-y-5' : 'space-y-5 opacity-50 pointer-events-none'}>
+            <label className="flex items-start gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={settings.useDefaultList}
+                onChange={(e) => updateSettings({ useDefaultList: e.target.checked })}
+                className="mt-1 h-4 w-4 accent-[#4CAF50]"
+              />
+              <div>
+                <span className="text-sm font-medium text-[#E0E0E0]">
+                  {t('content_filter.default_list_label') || 'Block common profanity'}
+                </span>
+                <p className="text-xs text-[#8A8A8A]">
+                  {t('content_filter.default_list_description') || 'Uses the built-in list of English swear words and slurs.'}
+                </p>
+              </div>
+            </label>
+
+            <div>
+              <label className="block text-sm font-medium text-[#E0E0E0] mb-2">
+                {t('content_filter.blocked_words_label') || 'Blocked words'}
+              </label>
+              <textarea
+                value={blockedWordsText}
+                onChange={(e) => setBlockedWordsText(e.target.value)}
+                rows={5}
+                placeholder={t('content_filter.blocked_words_placeholder') || 'One word or phrase per line'}
+                className="w-full px-3 py-2 rounded-lg bg-[#1A1A1A] border border-[#2A2A2A] text-sm text-[#E0E0E0] placeholder-[#6C6C6C] focus:outline-none focus:border-[#4CAF50] resize-none"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-[#E0E0E0] mb-2">
+                {t('content_filter.action_label') || 'When a blocked word is used'}
+              </label>
+              <select
+                value={settings.action}
+                onChange={(e) => updateSettings({ action: e.target.value })}
+                className="w-full px-3 py-2 rounded-lg bg-[#1A1A1A] border border-[#2A2A2A] text-sm text-[#E0E0E0] focus:outline-none focus:border-[#4CAF50]"
+              >
+                <option value="mask">{t('content_filter.action_mask') || 'Hide the word with asterisks'}</option>
+                <option value="reject">{t('content_filter.action_reject') || 'Reject the submission'}</option>
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 px-6 py-4 border-t border-[#2A2A2A]">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg bg-[#2A2A2A] hover:bg-[#333333] text-sm text-[#E0E0E0] transition-colors"
+          >
+            {t('presentation.cancel')}
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className="px-4 py-2 rounded-lg bg-[#4CAF50] hover:bg-[#45A049] text-sm font-medium text-white transition-colors disabled:opacity-60"
+          >
+            {isSaving ? (t('content_filter.saving') || 'Saving...') : (t('content_filter.save') || 'Save')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ContentFilterModal;
@@ -0,0 +1,51 @@
+import { useTranslation } from 'react-i18next';
+
+const initialsOf = (name = '') => name
+  .split(/[\s@.]+/)
+  .filter(Boolean)
+  .slice(0, 2)
+  .map(part => part[0].toUpperCase())
+  .join('') || '?';
+
+/**
+ * Avatars of the other people who have the presentation open in the editor
+ */
+export const EditorAvatar = ({ editor, size = 'md' }) => (
+  <span
+    className={`inline-flex items-center justify-center rounded-full font-semibold text-white ring-2 ring-[#1F1F1F] ${
+      size === 'sm' ? 'h-4 w-4 text-[8px]' : 'h-8 w-8 text-xs'
+    }`}
+    style={{ backgroundColor: editor.color }}
+    title={editor.name}
+  >
+    {size === 'sm' ? '' : initialsOf(editor.name)}
+  </span>
+);
+
+const MAX_AVATARS = 4;
+
+const EditorPresence = ({ editors }) => {
+  const { t } = useTranslation();
+
+  if (!editors || editors.length === 0) return null;
+
+  const names = editors.map(editor => editor.name).join(', ');
+
+  return (
+    <div
+      className="flex items-center -space-x-2"
+      title={t('coediting.also_editing', { names }) || `Also editing: ${names}`}
+    >
+      {editors.slice(0, MAX_AVATARS).map(editor => (
+        <EditorAvatar key={editor.socketId} editor={editor} />
+      ))}
+      {editors.length > MAX_AVATARS && (
+        <span className="inline-flex h-8 w-8 items-center justify-center rounded-full bg-[#2A2A2A] text-xs font-semibold text-[#E0E0E0] ring-2 ring-[#1F1F1F]">
+          +{editors.length - MAX_AVATARS}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default EditorPresence;
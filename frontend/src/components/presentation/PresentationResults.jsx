@@ -1,17 +1,16 @@
 import { useState, useEffect, useRef, useMemo } from 'react';
-import { LoaderCircle, Download, Trash2, ChevronDown } from 'lucide-react';
+import { LoaderCircle, Download, Trash2, ChevronDown, GitCompare } from 'lucide-react';
 import { io } from 'socket.io-client';
 import { getSocketUrl } from '../../utils/config';
 import * as presentationService from '../../services/presentationService';
 import { formatSlideDataForExport } from '../../utils/exportUtils';
-import { exportToPDF } from '../../utils/pdfExportUtils';
-import { captureResultsPageAsPDF } from '../../utils/pdfExportFromPage';
 import toast from 'react-hot-toast';
 import * as XLSX from 'xlsx';
 import { useAuth } from '../../context/AuthContext';
 import { useTranslation } from 'react-i18next';
 import { getEffectivePlan, getEffectiveStatus } from '../../utils/subscriptionUtils';
 import ConfirmDialog from '../common/ConfirmDialog';
+import RunComparison from './RunComparison';
 import api from '../../config/api';
 
 // Import new Result Components
@@ -37,6 +36,12 @@ import TextResult from '../interactions/Results/TextResult';
 import ImageResult from '../interactions/Results/ImageResult';
 import VideoResult from '../interactions/Results/VideoResult';
 
+// Run filter values: a run ID, 'none' for answers outside live sessions, or 'all'
+const getLatestRunKey = (runList) => (runList.length > 0 ? runList[runList.length - 1].id : 'none');
+
+// PDF reports, PowerPoint decks and JSON are rendered by the server from the stored results
+const SERVER_EXPORT_EXTENSIONS = { pdf: 'pdf', pptx: 'pptx', json: 'json' };
+
 const PresentationResults = ({ slides, presentationId }) => {
     const { t } = useTranslation();
     const { currentUser } = useAuth();
@@ -52,6 +57,12 @@ const PresentationResults = ({ slides, presentationId }) => {
     const [showClearDropdown, setShowClearDropdown] = useState(false);
     const [showExportDropdown, setShowExportDropdown] = useState(false);
     const [showIndividualClearButtons, setShowIndividualClearButtons] = useState(false); // Show clear buttons on each slide
+    const [runs, setRuns] = useState([]);
+    const [selectedRunId, setSelectedRunId] = useState(null);
+    const [runsRefreshKey, setRunsRefreshKey] = useState(0);
+    const [showRunComparison, setShowRunComparison] = useState(false);
+    const runsRef = useRef([]);
+    const selectedRunRef = useRef(null);
     const resultsRef = useRef(null);
     const socketRef = useRef(null);
     const exportButtonRef = useRef(null);
@@ -90,16 +101,53 @@ const PresentationResults = ({ slides, presentationId }) => {
                hasInstitutionPlan;
     })();
 
+    useEffect(() => {
+        selectedRunRef.current = selectedRunId;
+    }, [selectedRunId]);
+
+    // Load the run history (one run per live session)
+    useEffect(() => {
+        if (!presentationId) return;
+        let cancelled = false;
+
+        const fetchRuns = async () => {
+            let loadedRuns = [];
+            try {
+                const data = await presentationService.getPresentationRuns(presentationId);
+                loadedRuns = data.runs || [];
+            } catch (err) {
+                console.error('Failed to fetch runs:', err);
+            }
+            if (cancelled) return;
+
+            const previousLatest = getLatestRunKey(runsRef.current);
+            runsRef.current = loadedRuns;
+            setRuns(loadedRuns);
+            setSelectedRunId(previous => {
+                const exists = previous === 'all' || previous === 'none' || loadedRuns.some(run => run.id === previous);
+                // Follow new runs unless an earlier run was picked on purpose
+                return previous === null || previous === previousLatest || !exists
+                    ? getLatestRunKey(loadedRuns)
+                    : previous;
+            });
+        };
+
+        fetchRuns();
+        return () => {
+            cancelled = true;
+        };
+    }, [presentationId, runsRefreshKey]);
+
     // Fetch initial data
     useEffect(() => {
         const fetchData = async () => {
-            if (!presentationId) return;
+            if (!presentationId || !selectedRunId) return;
 
             setIsLoading(true);
             try {
                 // Fetch both results and presentation data
                 const [resultsData, presentationData] = await Promise.all([
-                    presentationService.getPresentationResults(presentationId),
+                    presentationService.getPresentationResults(presentationId, selectedRunId),
                     presentationService.getPresentationById(presentationId)
                 ]);
                 
@@ -122,7 +170,7 @@ const PresentationResults = ({ slides, presentationId }) => {
                 if (hasQuizSlides && !hasFinalLeaderboardSlide) {
                     try {
                         // Fetch final leaderboard data
-                        const leaderboardResponse = await api.get(`/presentations/${presentationId}/leaderboard?limit=10`);
+                        const leaderboardResponse = await api.get(`/presentations/${presentationId}/leaderboard?limit=10&runId=${selectedRunId}`);
                         // API response structure: { success: true, finalLeaderboard: [...], perQuizLeaderboards: [...] }
                         const finalLeaderboard = leaderboardResponse.data?.finalLeaderboard || 
                                                  leaderboardResponse.data?.data?.finalLeaderboard;
@@ -155,7 +203,7 @@ const PresentationResults = ({ slides, presentationId }) => {
         };
 
         fetchData();
-    }, [presentationId, t]);
+    }, [presentationId, selectedRunId, t]);
 
     // Setup WebSocket connection for real-time updates
     useEffect(() => {
@@ -177,9 +225,17 @@ const PresentationResults = ({ slides, presentationId }) => {
             socket.on('connect', joinRoom);
         }
 
+        // Live updates belong to the live run, or to answers outside runs while nothing is live
+        const isShowingLiveData = () => {
+            const liveRun = runsRef.current.find(run => run.status === 'live');
+            return selectedRunRef.current === (liveRun ? liveRun.id : 'none');
+        };
+
+        const refreshRuns = () => setRunsRefreshKey(key => key + 1);
+
         // Handle response updates - replace with complete data from backend
         const handleResponseUpdated = (data) => {
-            if (!data || !data.slideId) return;
+            if (!data || !data.slideId || !isShowingLiveData()) return;
 
             setResults(prevResults => {
                 const slideId = data.slideId.toString();
@@ -208,9 +264,10 @@ const PresentationResults = ({ slides, presentationId }) => {
 
         // Handle slide changes (refresh all results)
         const handleSlideChanged = async () => {
+            if (!isShowingLiveData()) return;
             // Refetch all results when slide changes
             try {
-                const resultsData = await presentationService.getPresentationResults(presentationId);
+                const resultsData = await presentationService.getPresentationResults(presentationId, selectedRunRef.current);
                 const newResults = resultsData.results || resultsData;
                 
                 // Re-fetch final leaderboard if needed
@@ -221,7 +278,7 @@ const PresentationResults = ({ slides, presentationId }) => {
                 
                 if (hasQuizSlides && !hasFinalLeaderboardSlide) {
                     try {
-                        const leaderboardResponse = await api.get(`/presentations/${presentationId}/leaderboard?limit=10`);
+                        const leaderboardResponse = await api.get(`/presentations/${presentationId}/leaderboard?limit=10&runId=${selectedRunRef.current}`);
                         const finalLeaderboard = leaderboardResponse.data?.finalLeaderboard || 
                                                  leaderboardResponse.data?.data?.finalLeaderboard;
                         
@@ -247,7 +304,7 @@ const PresentationResults = ({ slides, presentationId }) => {
         const handleSlideResultsCleared = async () => {
             // Refetch all results when a slide's results are cleared
             try {
-                const resultsData = await presentationService.getPresentationResults(presentationId);
+                const resultsData = await presentationService.getPresentationResults(presentationId, selectedRunRef.current);
                 const newResults = resultsData.results || resultsData;
                 
                 // Re-fetch final leaderboard if needed
@@ -258,7 +315,7 @@ const PresentationResults = ({ slides, presentationId }) => {
                 
                 if (hasQuizSlides && !hasFinalLeaderboardSlide) {
                     try {
-                        const leaderboardResponse = await api.get(`/presentations/${presentationId}/leaderboard?limit=10`);
+                        const leaderboardResponse = await api.get(`/presentations/${presentationId}/leaderboard?limit=10&runId=${selectedRunRef.current}`);
                         const finalLeaderboard = leaderboardResponse.data?.finalLeaderboard || 
                                                  leaderboardResponse.data?.data?.finalLeaderboard;
                         
@@ -282,7 +339,7 @@ const PresentationResults = ({ slides, presentationId }) => {
 
         // Handle leaderboard updates in real-time
         const handleLeaderboardUpdated = async (data) => {
-            if (!data || !data.presentationId || presentationId !== data.presentationId) return;
+            if (!data || !data.presentationId || presentationId !== data.presentationId || !isShowingLiveData()) return;
             
             try {
                 // Refresh final leaderboard if it exists
@@ -337,6 +394,8 @@ const PresentationResults = ({ slides, presentationId }) => {
         socket.on('slide-changed', handleSlideChanged);
         socket.on('slide-results-cleared', handleSlideResultsCleared);
         socket.on('leaderboard-updated', handleLeaderboardUpdated);
+        socket.on('run-started', refreshRuns);
+        socket.on('presentation-ended', refreshRuns);
         socket.on('connect', () => {
             console.log('Connected to presentation results socket');
         });
@@ -353,6 +412,8 @@ const PresentationResults = ({ slides, presentationId }) => {
             socket.off('slide-changed', handleSlideChanged);
             socket.off('slide-results-cleared', handleSlideResultsCleared);
             socket.off('leaderboard-updated', handleLeaderboardUpdated);
+            socket.off('run-started', refreshRuns);
+            socket.off('presentation-ended', refreshRuns);
             socket.off('connect');
             socket.off('disconnect');
             socket.off('error');
@@ -360,11 +421,42 @@ const PresentationResults = ({ slides, presentationId }) => {
         };
     }, [presentationId, slides]);
 
+    const handleServerExport = async (format) => {
+        setIsExporting(true);
+        try {
+            const blob = await presentationService.exportPresentationResults(presentationId, format, selectedRunId);
+            const sanitizedTitle = (presentation?.title || t('presentation_results.default_title')).replace(/[^a-z0-9]/gi, '_').toLowerCase();
+            const dateStr = new Date().toISOString().split('T')[0];
+
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            link.setAttribute('href', url);
+            link.setAttribute('download', `${sanitizedTitle}_results_${dateStr}.${SERVER_EXPORT_EXTENSIONS[format]}`);
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+
+            toast.success(t('presentation_results.exported_file_success', { format: format.toUpperCase() }) || `Exported results as ${format.toUpperCase()}`);
+        } catch (error) {
+            console.error('Export error:', error);
+            toast.error(format === 'pdf' ? t('presentation_results.export_pdf_failed') : t('presentation_results.export_failed'));
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
     const handleExportData = async (format) => {
         if (!presentationId || !slides || slides.length === 0) {
             toast.error(t('presentation_results.no_presentation_available'));
             return;
         }
+
+        if (SERVER_EXPORT_EXTENSIONS[format]) {
+            await handleServerExport(format);
+            return;
+        }
         
         setIsExporting(true);
         try {
@@ -382,7 +474,7 @@ const PresentationResults = ({ slides, presentationId }) => {
                         continue;
                     }
                     
-                    const response = await presentationService.getSlideResponses(presentationId, slideId);
+                    const response = await presentationService.getSlideResponses(presentationId, slideId, selectedRunId);
                     
                     if (response && response.success && response.slide && response.responses) {
                         const formattedData = formatSlideDataForExport(
@@ -419,19 +511,6 @@ const PresentationResults = ({ slides, presentationId }) => {
             } else if (format === 'excel') {
                 // Export all slides to a multi-sheet Excel file
                 exportAllSlidesToExcel(allSlideData, filename);
-            } else if (format === 'pdf') {
-                // Export results page as PDF with colorful styling
-                // Find the main results container
-                const mainContainer = document.querySelector('.max-w-5xl');
-                if (!mainContainer) {
-                    toast.error(t('presentation_results.export_pdf_failed'));
-                    setIsExporting(false);
-                    return;
-                }
-                
-                // Pass slide count for cover page
-                await captureResultsPageAsPDF(mainContainer, presentation, filename, slides?.length || allSlideData.length);
-                toast.success(t('presentation_results.exported_pdf_success', { count: allSlideData.length }));
             } else {
                 toast.success(t('presentation_results.exported_success', { count: allSlideData.length, format: format.toUpperCase() }));
             }
@@ -572,8 +651,9 @@ const PresentationResults = ({ slides, presentationId }) => {
                 await presentationService.clearPresentationResults(presentationId);
                 toast.success(t('presentation_results.results_cleared_success'));
                 
-                // Clear local results state
+                // Clear local results state; only the live run is left in the run history
                 setResults({});
+                setRunsRefreshKey(key => key + 1);
             } else if (clearDialogType === 'slide') {
                 // Clear specific slide results
                 let slideId = slideToClear;
@@ -601,7 +681,7 @@ const PresentationResults = ({ slides, presentationId }) => {
                     }
                 }
                 
-                await presentationService.clearSlideResults(presentationId, slideId);
+                await presentationService.clearSlideResults(presentationId, slideId, selectedRunId);
                 toast.success(t('presentation_results.slide_results_cleared_success'));
                 
                 // Update local results state for this slide
@@ -616,7 +696,7 @@ const PresentationResults = ({ slides, presentationId }) => {
             
             // Refetch results to show updated state
             try {
-                const resultsData = await presentationService.getPresentationResults(presentationId);
+                const resultsData = await presentationService.getPresentationResults(presentationId, selectedRunId);
                 setResults(resultsData.results || resultsData);
             } catch (err) {
                 console.error('Failed to refresh results after clearing:', err);
@@ -980,6 +1060,13 @@ const PresentationResults = ({ slides, presentationId }) => {
         );
     }
 
+    const formatRunLabel = (run) => {
+        const label = run.label || t('runs.run_label', { number: run.runNumber }) || `Session ${run.runNumber}`;
+        const startedAt = run.startedAt ? new Date(run.startedAt).toLocaleString() : '';
+        const status = run.status === 'live' ? ` (${t('runs.live') || 'live'})` : '';
+        return `${label}${startedAt ? ` · ${startedAt}` : ''}${status}`;
+    };
+
     const renderSlideResult = (slide) => {
         const slideResults = getSlideResults(slide);
 
@@ -1045,8 +1132,33 @@ const PresentationResults = ({ slides, presentationId }) => {
                         <div>
                             <h2 className="text-2xl sm:text-3xl md:text-4xl font-bold text-[#E0E0E0] mb-1 sm:mb-2">{t('presentation_results.title')}</h2>
                             <p className="text-sm sm:text-base text-[#B0B0B0]">{t('presentation_results.subtitle')}</p>
+                            {runs.length > 0 && !showRunComparison && (
+                                <select
+                                    value={selectedRunId || ''}
+                                    onChange={(e) => setSelectedRunId(e.target.value)}
+                                    className="mt-3 px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] focus:border-transparent outline-none"
+                                    aria-label={t('runs.select_label') || 'Session'}
+                                >
+                                    {[...runs].reverse().map(run => (
+                                        <option key={run.id} value={run.id}>
+                                            {formatRunLabel(run)}
+                                        </option>
+                                    ))}
+                                    <option value="none">{t('runs.outside_runs') || 'Self-paced and earlier answers'}</option>
+                                    <option value="all">{t('runs.all_runs') || 'All sessions'}</option>
+                                </select>
+                            )}
                         </div>
                         <div className="flex flex-wrap gap-2 relative z-50">
+                            {runs.length > 1 && (
+                                <button
+                                    onClick={() => setShowRunComparison(!showRunComparison)}
+                                    className={`flex items-center gap-1.5 sm:gap-2 px-3 sm:px-4 py-2 rounded-lg transition-all font-medium whitespace-nowrap text-sm sm:text-base touch-manipulation border ${showRunComparison ? 'bg-[#4CAF50] border-[#4CAF50] text-white' : 'bg-[#232323] border-[#2A2A2A] text-[#E0E0E0] hover:bg-[#2A2A2A]'}`}
+                                >
+                                    <GitCompare className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                                    {t('runs.compare') || 'Compare sessions'}
+                                </button>
+                            )}
                             {canExport && (
                                 <div className="relative z-50">
                                     <button
@@ -1101,6 +1213,28 @@ const PresentationResults = ({ slides, presentationId }) => {
                                                     <Download className="w-3.5 h-3.5 sm:w-4 sm:h-4 flex-shrink-0" />
                                                     <span className="whitespace-nowrap">{t('presentation_results.export_pdf')}</span>
                                                 </button>
+                                                <button
+                                                    onClick={() => {
+                                                        handleExportData('pptx');
+                                                        setShowExportDropdown(false);
+                                                    }}
+                                                    disabled={isExporting}
+                                                    className="w-full text-left px-3 sm:px-4 py-2.5 hover:bg-white/5 text-xs sm:text-sm text-white disabled:opacity-50 flex items-center gap-2 touch-manipulation active:bg-white/10"
+                                                >
+                                                    <Download className="w-3.5 h-3.5 sm:w-4 sm:h-4 flex-shrink-0" />
+                                                    <span className="whitespace-nowrap">{t('presentation_results.export_pptx') || 'Export as PowerPoint'}</span>
+                                                </button>
+                                                <button
+                                                    onClick={() => {
+                                                        handleExportData('json');
+                                                        setShowExportDropdown(false);
+                                                    }}
+                                                    disabled={isExporting}
+                                                    className="w-full text-left px-3 sm:px-4 py-2.5 hover:bg-white/5 text-xs sm:text-sm text-white disabled:opacity-50 flex items-center gap-2 touch-manipulation active:bg-white/10"
+                                                >
+                                                    <Download className="w-3.5 h-3.5 sm:w-4 sm:h-4 flex-shrink-0" />
+                                                    <span className="whitespace-nowrap">{t('presentation_results.export_json') || 'Export as JSON'}</span>
+                                                </button>
                                             </div>
                                         </>
                                     )}
@@ -1150,6 +1284,16 @@ const PresentationResults = ({ slides, presentationId }) => {
                 </div>
 
                 {/* Results Content */}
+                {showRunComparison ? (
+                    <div className="px-4 sm:px-6 md:px-8 pb-12 sm:pb-16 md:pb-20">
+                        <RunComparison
+                            presentationId={presentationId}
+                            slides={orderedSlides}
+                            runs={runs}
+                            formatRunLabel={formatRunLabel}
+                        />
+                    </div>
+                ) : (
                 <div className="px-4 sm:px-6 md:px-8 pb-12 sm:pb-16 md:pb-20 space-y-4 sm:space-y-6 md:space-y-8">
                     <div ref={resultsRef}>
                     {orderedSlides.map((slide, index) => {
@@ -1182,6 +1326,7 @@ const PresentationResults = ({ slides, presentationId }) => {
                     })}
                     </div>
                 </div>
+                )}
             </div>
 
             <ConfirmDialog
@@ -0,0 +1,201 @@
+import { useState, useEffect } from 'react';
+import { LoaderCircle } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import * as presentationService from '../../services/presentationService';
+
+const RUN_COLORS = ['#2196F3', '#FF9800'];
+
+const selectClassName = 'w-full px-3 py-2 border border-[#2A2A2A] rounded-lg text-sm bg-[#232323] text-[#E0E0E0] focus:ring-2 focus:ring-[#4CAF50] focus:border-transparent outline-none';
+
+const getOptionText = (option, index) => (
+    typeof option === 'string' ? option : (option?.text || option?.label || `Option ${index + 1}`)
+);
+
+/**
+ * Rows compared between runs: option counts for multiple choice and quiz slides,
+ * statement averages for scales. Other slide types only compare their response count.
+ * @returns {Array<{key: string, label: string, value: number, max: number, isCorrect?: boolean}>}
+ */
+const getComparisonRows = (slide, result = {}) => {
+    const total = result.totalResponses || 0;
+
+    switch (slide.type) {
+        case 'multiple_choice':
+        case 'pick_answer': {
+            const voteCounts = result.voteCounts || {};
+            return (slide.options || []).map((option, index) => {
+                const label = getOptionText(option, index);
+                return { key: label, label, value: voteCounts[label] || 0, max: total };
+            });
+        }
+        case 'quiz': {
+            const counts = result.quizState?.results || {};
+            const correctIds = slide.quizSettings?.correctOptionIds?.length
+                ? slide.quizSettings.correctOptionIds
+                : [slide.quizSettings?.correctOptionId];
+            return (slide.quizSettings?.options || []).map((option, index) => ({
+                key: option.id,
+                label: getOptionText(option, index),
+                value: counts[option.id] || 0,
+                max: total,
+                isCorrect: correctIds.includes(option.id)
+            }));
+        }
+        case 'scales': {
+            const averages = result.scaleStatementAverages || [];
+            const maxValue = slide.maxValue || 5;
+            return (slide.statements || []).map((statement, index) => ({
+                key: String(index),
+                label: getOptionText(statement, index),
+                value: averages[index] || 0,
+                max: maxValue
+            }));
+        }
+        default:
+            return [];
+    }
+};
+
+const formatValue = (slide, row) => (
+    slide.type === 'scales'
+        ? row.value.toFixed(1)
+        : `${row.value} (${row.max > 0 ? Math.round((row.value / row.max) * 100) : 0}%)`
+);
+
+/**
+ * Side-by-side results of two runs (live sessions) of a presentation
+ */
+const RunComparison = ({ presentationId, slides = [], runs = [], formatRunLabel }) => {
+    const { t } = useTranslation();
+    const [runIds, setRunIds] = useState(() => [
+        runs[runs.length - 2]?.id || '',
+        runs[runs.length - 1]?.id || ''
+    ]);
+    const [runResults, setRunResults] = useState([null, null]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        if (!presentationId || runIds.some(runId => !runId)) return;
+        let cancelled = false;
+
+        const fetchResults = async () => {
+            setIsLoading(true);
+            try {
+                const responses = await Promise.all(
+                    runIds.map(runId => presentationService.getPresentationResults(presentationId, runId))
+                );
+                if (!cancelled) {
+                    setRunResults(responses.map(response => response.results || response));
+                }
+            } catch (err) {
+                console.error('Failed to fetch run results:', err);
+            } finally {
+                if (!cancelled) setIsLoading(false);
+            }
+        };
+
+        fetchResults();
+        return () => {
+            cancelled = true;
+        };
+    }, [presentationId, runIds]);
+
+    const selectRun = (position, runId) => {
+        setRunIds(previous => previous.map((current, index) => (index === position ? runId : current)));
+    };
+
+    const comparedSlides = slides.filter(slide => {
+        const slideId = slide.id || slide._id;
+        return slideId && !['leaderboard', 'instruction', 'text', 'image', 'video'].includes(slide.type);
+    });
+
+    return (
+        <div className="space-y-6">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {runIds.map((runId, position) => (
+                    <div key={position} className="flex items-center gap-2">
+                        <span className="h-3 w-3 rounded-full flex-shrink-0" style={{ backgroundColor: RUN_COLORS[position] }} />
+                        <select
+                            value={runId}
+                            onChange={(e) => selectRun(position, e.target.value)}
+                            className={selectClassName}
+                        >
+                            {[...runs].reverse().map(run => (
+                                <option key={run.id} value={run.id}>{formatRunLabel(run)}</option>
+                            ))}
+                        </select>
+                    </div>
+                ))}
+            </div>
+
+            {isLoading ? (
+                <div className="flex justify-center py-12">
+                    <LoaderCircle className="animate-spin text-[#4CAF50]" size={32} />
+                </div>
+            ) : comparedSlides.map((slide, index) => {
+                const slideId = (slide.id || slide._id).toString();
+                const results = runResults.map(runResult => runResult?.[slideId] || {});
+                const rowsPerRun = results.map(result => getComparisonRows(slide, result));
+                const slideTitle = typeof slide.question === 'string'
+                    ? slide.question
+                    : (slide.question?.text || t(`slide_types.${slide.type}`));
+
+                return (
+                    <div key={slideId} className="rounded-xl border border-[#2A2A2A] bg-[#1F1F1F] p-4 sm:p-6">
+                        <h3 className="text-lg font-semibold text-[#E0E0E0] mb-4">
+                            {t('presentation_results.slide_number', { number: index + 1 })}: {slideTitle}
+                        </h3>
+
+                        <div className="grid grid-cols-2 gap-4 mb-4">
+                            {results.map((result, position) => (
+                                <div key={position} className="rounded-lg bg-[#232323] px-3 py-2">
+                                    <p className="text-xs text-[#9E9E9E]">{t('runs.responses') || 'Responses'}</p>
+                                    <p className="text-xl font-bold" style={{ color: RUN_COLORS[position] }}>
+                                        {result.totalResponses || 0}
+                                    </p>
+                                    {slide.type === 'quiz' && (
+                                        <p className="text-xs text-[#9E9E9E]">
+                                            {t('runs.accuracy', { value: Math.round(result.accuracy || 0) }) || `Accuracy ${Math.round(result.accuracy || 0)}%`}
+                                        </p>
+                                    )}
+                                    {slide.type === 'scales' && (
+                                        <p className="text-xs text-[#9E9E9E]">
+                                            {t('runs.average', { value: (result.scaleOverallAverage || 0).toFixed(1) }) || `Average ${(result.scaleOverallAverage || 0).toFixed(1)}`}
+                                        </p>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="space-y-3">
+                            {rowsPerRun[0].map((row, rowIndex) => (
+                                <div key={row.key}>
+                                    <p className={`text-sm mb-1 ${row.isCorrect ? 'text-[#4CAF50] font-medium' : 'text-[#E0E0E0]'}`}>
+                                        {row.label}
+                                    </p>
+                                    {rowsPerRun.map((rows, position) => {
+                                        const runRow = rows[rowIndex];
+                                        const width = runRow.max > 0 ? Math.min(100, (runRow.value / runRow.max) * 100) : 0;
+                                        return (
+                                            <div key={position} className="flex items-center gap-3 mb-1">
+                                                <div className="flex-1 h-2.5 rounded-full bg-[#2A2A2A] overflow-hidden">
+                                                    <div
+                                                        className="h-full rounded-full transition-all"
+                                                        style={{ width: `${width}%`, backgroundColor: RUN_COLORS[position] }}
+                                                    />
+                                                </div>
+                                                <span className="w-20 text-right text-xs text-[#B0B0B0]">{formatValue(slide, runRow)}</span>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default RunComparison;
@@ -0,0 +1,284 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { X, Clock, CheckCircle, RefreshCw } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { io } from 'socket.io-client';
+import * as presentationService from '../../services/presentationService';
+import { translateError } from '../../utils/errorTranslator';
+import { getSocketUrl } from '../../utils/config';
+
+// datetime-local inputs work in local time without a timezone suffix
+const toLocalInputValue = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const fromLocalInputValue = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Self-paced mode settings and the live completion dashboard
+ */
+const SelfPacedModal = ({ isOpen, onClose, presentationId, selfPacedSettings, onSaved }) => {
+  const { t } = useTranslation();
+  const [settings, setSettings] = useState({ enabled: false, opensAt: '', closesAt: '' });
+  const [isSaving, setIsSaving] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [isLoadingProgress, setIsLoadingProgress] = useState(false);
+  const refreshTimeoutRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setSettings({
+      enabled: Boolean(selfPacedSettings?.enabled),
+      opensAt: toLocalInputValue(selfPacedSettings?.opensAt),
+      closesAt: toLocalInputValue(selfPacedSettings?.closesAt)
+    });
+  }, [isOpen, selfPacedSettings]);
+
+  const fetchProgress = useCallback(async () => {
+    if (!presentationId) return;
+    try {
+      setIsLoadingProgress(true);
+      setProgress(await presentationService.getSelfPacedProgress(presentationId));
+    } catch (error) {
+      toast.error(translateError(error, t, 'self_paced.progress_failed'));
+    } finally {
+      setIsLoadingProgress(false);
+    }
+  }, [presentationId, t]);
+
+  // Live completion updates while the dashboard is open
+  useEffect(() => {
+    if (!isOpen || !presentationId || !selfPacedSettings?.enabled) return undefined;
+
+    fetchProgress();
+
+    const socket = io(getSocketUrl());
+    const watch = () => socket.emit('watch-self-paced', {
+      presentationId,
+      token: sessionStorage.getItem('institutionAdminToken') || localStorage.getItem('jwtToken')
+    });
+    socket.on('connect', watch);
+    socket.on('self-paced-progress-changed', () => {
+      // Bursts of answers only trigger one refetch
+      clearTimeout(refreshTimeoutRef.current);
+      refreshTimeoutRef.current = setTimeout(fetchProgress, 1000);
+    });
+
+    return () => {
+      clearTimeout(refreshTimeoutRef.current);
+      socket.emit('unwatch-self-paced', { presentationId });
+      socket.disconnect();
+    };
+  }, [isOpen, presentationId, selfPacedSettings?.enabled, fetchProgress]);
+
+  if (!isOpen) return null;
+
+  const updateSettings = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+
+  const handleSave = async () => {
+    if (settings.opensAt && settings.closesAt && new Date(settings.closesAt) <= new Date(settings.opensAt)) {
+      toast.error(t('self_paced.window_error') || 'The closing time must be after the opening time');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const response = await presentationService.updatePresentation(presentationId, {
+        selfPacedSettings: {
+          enabled: settings.enabled,
+          opensAt: fromLocalInputValue(settings.opensAt),
+          closesAt: fromLocalInputValue(settings.closesAt)
+        }
+      });
+      onSaved?.(response.presentation?.selfPacedSettings || null);
+      toast.success(t('self_paced.saved') || 'Self-paced settings saved');
+    } catch (error) {
+      toast.error(translateError(error, t, 'self_paced.save_failed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const windowStatus = progress?.window?.status;
+  const statusLabels = {
+    scheduled: t('self_paced.status_scheduled') || 'Scheduled',
+    open: t('self_paced.status_open') || 'Open',
+    closed: t('self_paced.status_closed') || 'Closed'
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-0">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/70 backdrop-blur-sm"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="relative z-10 w-full max-w-2xl mx-4 rounded-2xl bg-[#0F0F0F] shadow-2xl border border-[#2A2A2A] max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-[#2A2A2A]">
+          <h2 className="text-xl font-semibold text-[#FFFFFF] flex items-center gap-2">
+            <Clock className="h-5 w-5 text-[#4CAF50]" />
+            {t('self_paced.title') || 'Self-Paced Mode'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-lg hover:bg-[#2A2A2A] transition-colors"
+          >
+            <X className="h-5 w-5 text-[#8A8A8A] hover:text-[#E0E0E0]" />
+          </button>
+        </div>
+
+        {/* Settings */}
+        <div className="p-6 space-y-5 border-b border-[#2A2A2A]">
+          <label className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => updateSettings({ enabled: e.target.checked })}
+              className="mt-1 h-4 w-4 accent-[#4CAF50]"
+            />
+            <div>
+              <span className="text-sm font-medium text-[#E0E0E0]">
+                {t('self_paced.enable_label') || 'Enable self-paced mode'}
+              </span>
+              <p className="text-xs text-[#8A8A8A]">
+                {t('self_paced.enable_description') || 'While the presentation is not live, participants join with the access code and move through the interactive slides on their own.'}
+              </p>
+            </div>
+          </label>
+
+          <div className={settings.enabled ? 'grid grid-cols-1 sm:grid-cols-2 gap-4' : 'grid grid-cols-1 sm:grid-cols-2 gap-4 opacity-50 pointer-events-none'}>
+            <div>
+              <label className="block text-sm font-medium text-[#E0E0E0] mb-2">
+                {t('self_paced.opens_at') || 'Opens at'}
+              </label>
+              <input
+                type="datetime-local"
+                value={settings.opensAt}
+                onChange={(e) => updateSettings({ opensAt: e.target.value })}
+                className="w-full px-3 py-2 rounded-lg bg-[#1A1A1A] border border-[#2A2A2A] text-sm text-[#E0E0E0] focus:outline-none focus:border-[#4CAF50]"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-[#E0E0E0] mb-2">
+                {t('self_paced.closes_at_label') || 'Closes at'}
+              </label>
+              <input
+                type="datetime-local"
+                value={settings.closesAt}
+                onChange={(e) => updateSettings({ closesAt: e.target.value })}
+                className="w-full px-3 py-2 rounded-lg bg-[#1A1A1A] border border-[#2A2A2A] text-sm text-[#E0E0E0] focus:outline-none focus:border-[#4CAF50]"
+              />
+            </div>
+            <p className="sm:col-span-2 text-xs text-[#8A8A8A]">
+              {t('self_paced.window_hint') || 'Leave empty to open immediately or keep the presentation open with no end date.'}
+            </p>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="px-4 py-2 rounded-lg bg-[#4CAF50] hover:bg-[#45A049] text-sm font-medium text-white transition-colors disabled:opacity-60"
+            >
+              {isSaving ? (t('self_paced.saving') || 'Saving...') : (t('self_paced.save') || 'Save')}
+            </button>
+          </div>
+        </div>
+
+        {/* Completion dashboard */}
+        {selfPacedSettings?.enabled && (
+          <div className="p-6 space-y-5">
+            <div className="flex items-center justify-between">
+              <h3 className="text-lg font-semibold text-[#E0E0E0] flex items-center gap-2">
+                {t('self_paced.completion_title') || 'Completion'}
+                {windowStatus && (
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium ${
+                    windowStatus === 'open' ? 'bg-[#1D2A20] text-[#4CAF50]' : 'bg-[#2A2A2A] text-[#B0B0B0]'
+                  }`}>
+                    {statusLabels[windowStatus]}
+                  </span>
+                )}
+              </h3>
+              <button
+                onClick={fetchProgress}
+                disabled={isLoadingProgress}
+                className="p-2 rounded-lg hover:bg-[#2A2A2A] transition-colors disabled:opacity-50"
+                aria-label={t('self_paced.refresh') || 'Refresh'}
+              >
+                <RefreshCw className={`h-4 w-4 text-[#B0B0B0] ${isLoadingProgress ? 'animate-spin' : ''}`} />
+              </button>
+            </div>
+
+            {progress && (
+              <>
+                <div className="grid grid-cols-3 gap-3">
+                  {[
+                    [t('self_paced.participants') || 'Participants', progress.participantCount],
+                    [t('self_paced.completed') || 'Completed', progress.completedCount],
+                    [t('self_paced.activities') || 'Activities', progress.totalSlides]
+                  ].map(([label, value]) => (
+                    <div key={label} className="rounded-xl bg-[#1A1A1A] border border-[#2A2A2A] p-3 text-center">
+                      <p className="text-2xl font-bold text-[#E0E0E0]">{value}</p>
+                      <p className="text-xs text-[#8A8A8A]">{label}</p>
+                    </div>
+                  ))}
+                </div>
+
+                {progress.slides.length > 0 && (
+                  <div className="space-y-2">
+                    {progress.slides.map((slide, index) => (
+                      <div key={slide.slideId} className="flex items-center justify-between gap-3 text-sm">
+                        <span className="text-[#B0B0B0] truncate">
+                          {index + 1}. {slide.question || slide.type}
+                        </span>
+                        <span className="text-[#E0E0E0] flex-shrink-0">
+                          {slide.responseCount}/{progress.participantCount}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {progress.participants.length === 0 ? (
+                  <p className="text-sm text-[#8A8A8A] text-center py-4">
+                    {t('self_paced.no_participants') || 'No one has started yet.'}
+                  </p>
+                ) : (
+                  <div className="space-y-3">
+                    {progress.participants.map(participant => (
+                      <div key={participant.participantId}>
+                        <div className="flex items-center justify-between text-sm mb-1">
+                          <span className="font-medium text-[#E0E0E0] truncate flex items-center gap-1">
+                            {participant.participantName}
+                            {participant.completed && <CheckCircle className="h-4 w-4 text-[#4CAF50]" />}
+                          </span>
+                          <span className="text-[#B0B0B0]">
+                            {participant.answeredCount}/{progress.totalSlides}
+                          </span>
+                        </div>
+                        <div className="h-2 rounded-full bg-[#2A2A2A] overflow-hidden">
+                          <div
+                            className="h-full rounded-full bg-[#4CAF50] transition-all"
+                            style={{ width: `${progress.totalSlides ? (participant.answeredCount / progress.totalSlides) * 100 : 0}%` }}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SelfPacedModal;
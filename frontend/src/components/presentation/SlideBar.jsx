@@ -1,8 +1,10 @@
 import { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import { BarChart3, Cloud, MessageSquare, Sliders, ChartBarDecreasing, Plus, X, MessagesSquare, CircleQuestionMark, SquareStack, Grid2X2, MapPin, Brain, Trophy, GripVertical, Settings, FileText, Presentation, Monitor, Type, Image, Video, BookOpen } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
+import { getCorrectOptionIds } from '../../utils/quizUtils';
+import { EditorAvatar } from './EditorPresence';
 
-const SlideBar = ({ slides, currentSlideIndex, onSlideSelect, onDeleteSlide, onNewSlideClick, showNewSlideDropdown, onSlideReorder, isHorizontal = false, onEditSlide }) => {
+const SlideBar = ({ slides, currentSlideIndex, onSlideSelect, onDeleteSlide, onNewSlideClick, showNewSlideDropdown, onSlideReorder, isHorizontal = false, onEditSlide, editorsBySlide = {} }) => {
   const { t } = useTranslation();
   
   // Reorder slides so leaderboards appear right after their linked quiz slides
@@ -314,7 +316,7 @@ const SlideBar = ({ slides, currentSlideIndex, onSlideSelect, onDeleteSlide, onN
 
       case 'quiz': {
         const quizOptions = slide?.quizSettings?.options || [];
-        const correctOptionId = slide?.quizSettings?.correctOptionId;
+        const correctOptionIds = getCorrectOptionIds(slide?.quizSettings);
         return (
           <div className="w-full h-full p-1.5 flex flex-col gap-1 bg-gradient-to-br from-[#111111] to-[#0A0A0A]">
             <div className="flex items-center justify-between">
@@ -326,7 +328,7 @@ const SlideBar = ({ slides, currentSlideIndex, onSlideSelect, onDeleteSlide, onN
             </div>
             <div className="flex-1 flex flex-col gap-0.5 justify-center">
               {quizOptions.slice(0, 2).map((opt, idx) => {
-                const isCorrect = opt.id === correctOptionId;
+                const isCorrect = correctOptionIds.includes(opt.id);
                 return (
                   <div key={opt.id || idx} className={`h-1.5 rounded-sm px-1 flex items-center ${isCorrect ? 'bg-[#1D2A20] border-l border-[#4CAF50]' : 'bg-[#181818]'}`}>
                     <span className="text-[5px] text-[#E0E0E0] line-clamp-1">{opt.text || t('slide_editors.quiz.option_placeholder', { number: idx + 1 })}</span>
@@ -1433,6 +1435,14 @@ const SlideBar = ({ slides, currentSlideIndex, onSlideSelect, onDeleteSlide, onN
                   transition: touchDragActive && touchDragStateRef.current.startIndex === index ? 'none' : 'all 0.2s'
                 }}
               >
+                {/* Other editors on this slide */}
+                {editorsBySlide[slide._id]?.length > 0 && (
+                  <div className="absolute -bottom-1.5 -right-1.5 flex -space-x-1 z-20">
+                    {editorsBySlide[slide._id].map(editor => (
+                      <EditorAvatar key={editor.socketId} editor={editor} size="sm" />
+                    ))}
+                  </div>
+                )}
                 {/* Drag Handle - Only show for draggable slides */}
                 {isSlideDraggable(slide) && (
                   <div 
@@ -1586,6 +1596,14 @@ const SlideBar = ({ slides, currentSlideIndex, onSlideSelect, onDeleteSlide, onN
               transition: touchDragActive && touchDragStateRef.current.startIndex === index ? 'none' : 'all 0.2s'
             }}
           >
+            {/* Other editors on this slide */}
+            {editorsBySlide[slide._id]?.length > 0 && (
+              <div className="absolute bottom-1 right-1 flex -space-x-1 z-20">
+                {editorsBySlide[slide._id].map(editor => (
+                  <EditorAvatar key={editor.socketId} editor={editor} size="sm" />
+                ))}
+              </div>
+            )}
             {/* Drag Handle - Only show for draggable slides */}
             {isSlideDraggable(slide) && (
               <div className="absolute top-1 left-1 w-5 h-5 bg-[#2A2A2A] rounded flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity z-20 cursor-grab active:cursor-grabbing">
@@ -3,10 +3,13 @@ import { useEffect, useMemo, useState, useRef } from 'react';
 import { useParams } from 'react-router-dom';
 import { BookOpen, ChevronLeft, ChevronRight } from 'lucide-react';
 import api from '../../config/api';
+import { getCorrectOptionIds } from '../../utils/quizUtils';
 import InstructionPresenterView from '../interactions/instruction/presenter/PresenterView';
+import RegionOverlay from '../interactions/pinOnImage/RegionOverlay';
+import { getCorrectAreas, getPinLimit } from '../interactions/pinOnImage/utils';
 
 // Helper component to position the correct area overlay accounting for object-contain letterboxing
-const CorrectAreaOverlay = ({ correctArea, imageRef }) => {
+const CorrectAreaOverlay = ({ correctAreas, imageRef }) => {
   const [overlayStyle, setOverlayStyle] = useState(null);
 
   useEffect(() => {
@@ -46,12 +49,12 @@ const CorrectAreaOverlay = ({ correctArea, imageRef }) => {
         offsetY = 0;
       }
 
-      // Position overlay relative to the actual image area
+      // Position overlay over the actual image area
       setOverlayStyle({
-        left: `${offsetX + (correctArea.x / 100) * actualImageWidth}px`,
-        top: `${offsetY + (correctArea.y / 100) * actualImageHeight}px`,
-        width: `${(correctArea.width / 100) * actualImageWidth}px`,
-        height: `${(correctArea.height / 100) * actualImageHeight}px`,
+        left: `${offsetX}px`,
+        top: `${offsetY}px`,
+        width: `${actualImageWidth}px`,
+        height: `${actualImageHeight}px`,
       });
     };
 
@@ -70,15 +73,14 @@ const CorrectAreaOverlay = ({ correctArea, imageRef }) => {
         imageRef.current.removeEventListener('load', updateOverlayPosition);
       }
     };
-  }, [correctArea, imageRef]);
+  }, [imageRef]);
 
   if (!overlayStyle) return null;
 
   return (
-    <div
-      className="absolute border-2 border-[#4CAF50] bg-[#4CAF50]/10 pointer-events-none"
-      style={overlayStyle}
-    />
+    <div className="absolute pointer-events-none" style={overlayStyle}>
+      <RegionOverlay regions={correctAreas} />
+    </div>
   );
 };
 
@@ -425,7 +427,7 @@ const SlideCanvas = ({ slide, presentation, isPresenter = false, onSettingsChang
         const quizOptions = Array.isArray(slide?.quizSettings?.options)
           ? slide.quizSettings.options
           : [];
-        const correctOptionId = slide?.quizSettings?.correctOptionId;
+        const correctOptionIds = getCorrectOptionIds(slide?.quizSettings);
 
         return (
           <div className="w-full max-w-3xl mx-auto">
@@ -447,7 +449,7 @@ const SlideCanvas = ({ slide, presentation, isPresenter = false, onSettingsChang
                   </div>
                 ) : (
                   quizOptions.map((option, index) => {
-                    const isCorrect = option.id === correctOptionId;
+                    const isCorrect = correctOptionIds.includes(option.id);
 
                     return (
                       <div
@@ -805,7 +807,8 @@ const SlideCanvas = ({ slide, presentation, isPresenter = false, onSettingsChang
       case 'pin_on_image':
         {
           const imageUrl = slide?.pinOnImageSettings?.imageUrl;
-          const correctArea = slide?.pinOnImageSettings?.correctArea;
+          const correctAreas = getCorrectAreas(slide?.pinOnImageSettings);
+          const pinLimit = getPinLimit(slide?.pinOnImageSettings);
 
           return (
             <div className="w-full max-w-4xl mx-auto">
@@ -824,7 +827,7 @@ const SlideCanvas = ({ slide, presentation, isPresenter = false, onSettingsChang
                       style={{ maxHeight: '60vh' }}
                     />
                     {/* Correct area overlay - positioned relative to the actual image */}
-                    {correctArea && <CorrectAreaOverlay correctArea={correctArea} imageRef={pinImageRef} />}
+                    {correctAreas.length > 0 && <CorrectAreaOverlay correctAreas={correctAreas} imageRef={pinImageRef} />}
                     {/* Sample pin for preview */}
                     <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-full">
                       <svg className="w-5 sm:w-6 h-5 sm:h-6 text-[#4CAF50] drop-shadow-lg" fill="currentColor" viewBox="0 0 24 24">
@@ -839,7 +842,10 @@ const SlideCanvas = ({ slide, presentation, isPresenter = false, onSettingsChang
                 )}
 
                 <p className="text-xs sm:text-sm text-[#9E9E9E] text-center mt-3 sm:mt-4">
-                  {correctArea ? t('slide_editors.pin_on_image.correct_area_defined') : t('slide_editors.pin_on_image.single_pin_message')}
+                  {pinLimit > 1
+                    ? t('slide_editors.pin_on_image.multiple_pins_message', { count: pinLimit })
+                    : t('slide_editors.pin_on_image.single_pin_message')}
+                  {correctAreas.length > 0 && ` · ${t('slide_editors.pin_on_image.correct_areas_defined', { count: correctAreas.length })}`}
                 </p>
               </div>
             </div>
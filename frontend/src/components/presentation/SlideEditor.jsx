@@ -1,4 +1,4 @@
-import { X, Lock } from 'lucide-react';
+import { X } from 'lucide-react';
 import { useTranslation } from 'react-i18next'; // Added translation import
 import MCQEditor from '../interactions/mcq/Editor';
 import WordCloudEditor from '../interactions/wordCloud/Editor';
@@ -21,8 +21,9 @@ import MiroEditor from '../interactions/miro/Editor';
 import PowerPointEditor from '../interactions/powerpoint/Editor';
 import GoogleSlidesEditor from '../interactions/googleSlides/Editor';
 import PdfEditor from '../interactions/pdf/Editor';
+import LeaderboardEditor from '../interactions/leaderboard/Editor';
 
-const SlideEditor = ({ slide, onUpdate, onClose, isOpen }) => {
+const SlideEditor = ({ slide, slides, onUpdate, onClose, isOpen }) => {
   const { t } = useTranslation(); // Added translation hook
 
   return (
@@ -49,7 +50,7 @@ const SlideEditor = ({ slide, onUpdate, onClose, isOpen }) => {
 
       {/* Content - Render different editors based on slide type */}
       {slide?.type === 'multiple_choice' && !slide?.quizSettings && (
-        <MCQEditor slide={slide} onUpdate={onUpdate} />
+        <MCQEditor slide={slide} slides={slides} onUpdate={onUpdate} />
       )}
 
       {/* Add other slide type editors here */}
@@ -90,7 +91,7 @@ const SlideEditor = ({ slide, onUpdate, onClose, isOpen }) => {
       )}
 
       {(slide?.type === 'quiz' || slide?.quizSettings) && (
-        <QuizEditor slide={slide} onUpdate={onUpdate} />
+        <QuizEditor slide={slide} slides={slides} onUpdate={onUpdate} />
       )}
 
       {slide?.type === 'text' && (
@@ -134,21 +135,7 @@ const SlideEditor = ({ slide, onUpdate, onClose, isOpen }) => {
       )}
 
       {slide?.type === 'leaderboard' && (
-        <div className="flex-1 flex items-center justify-center p-6">
-          <div className="text-center space-y-4">
-            <div className="inline-flex p-4 bg-[#2A2A2A] rounded-full">
-              <Lock className="h-8 w-8 text-[#FFA726]" />
-            </div>
-            <div>
-              <h3 className="text-lg font-semibold text-[#E0E0E0] mb-2">
-                {t('presentation.leaderboard_auto_generated_title')}
-              </h3>
-              <p className="text-sm text-[#9E9E9E] max-w-xs mx-auto">
-                {t('presentation.leaderboard_auto_generated_description')}
-              </p>
-            </div>
-          </div>
-        </div>
+        <LeaderboardEditor slide={slide} onUpdate={onUpdate} />
       )}
       </div>
     </>
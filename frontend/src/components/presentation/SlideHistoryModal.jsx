@@ -0,0 +1,364 @@
+import { useState, useEffect, useCallback } from 'react';
+import { X, History, Trash2, RotateCcw, Loader2, ChevronDown, ChevronRight, AlertTriangle } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import * as presentationService from '../../services/presentationService';
+
+// Slide entries that hold the slide's content and can be restored from the history
+const RESTORABLE_ACTIONS = ['baseline', 'created', 'updated', 'restored'];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value) && value.every(item => typeof item !== 'object')) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+};
+
+const daysUntil = (date) => Math.max(0, Math.ceil((new Date(date).getTime() - Date.now()) / (24 * 60 * 60 * 1000)));
+
+/**
+ * Edit history of a presentation with per-slide diffs and restore, plus the trash of deleted slides
+ */
+const SlideHistoryModal = ({
+  isOpen,
+  onClose,
+  presentationId,
+  slides = [],
+  currentSlideId,
+  canEdit,
+  onRevisionRestored,
+  onSlideRestored
+}) => {
+  const { t } = useTranslation();
+  const [tab, setTab] = useState('history');
+  const [onlyCurrentSlide, setOnlyCurrentSlide] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [trash, setTrash] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [diffs, setDiffs] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  const historySlideId = onlyCurrentSlide ? currentSlideId : undefined;
+
+  const loadHistory = useCallback(async (before) => {
+    setIsLoading(true);
+    try {
+      const data = await presentationService.getPresentationHistory(presentationId, { slideId: historySlideId, before });
+      const entries = data.revisions || [];
+      setRevisions(prev => (before ? [...prev, ...entries] : entries));
+      setHasMore(entries.length >= 50);
+    } catch (error) {
+      console.error('Load history error:', error);
+      toast.error(t('history.load_error') || 'Failed to load the history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [presentationId, historySlideId, t]);
+
+  const loadTrash = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const data = await presentationService.getSlideTrash(presentationId);
+      setTrash(data.items || []);
+    } catch (error) {
+      console.error('Load trash error:', error);
+      toast.error(t('history.load_error') || 'Failed to load the history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [presentationId, t]);
+
+  useEffect(() => {
+    if (!isOpen || !presentationId) return;
+    setExpandedId(null);
+    if (tab === 'history') {
+      loadHistory();
+    } else {
+      loadTrash();
+    }
+  }, [isOpen, presentationId, tab, loadHistory, loadTrash]);
+
+  if (!isOpen) return null;
+
+  const slideNumber = (slideId) => {
+    const index = slides.findIndex(slide => slide._id === slideId);
+    return index === -1 ? null : index + 1;
+  };
+
+  const actionLabel = (action) => t(`history.actions.${action}`) || action;
+  const fieldLabel = (field) => t(`history.fields.${field}`, { defaultValue: field });
+
+  const toggleDiff = async (revision) => {
+    if (expandedId === revision.id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(revision.id);
+    if (diffs[revision.id]) return;
+
+    try {
+      const data = await presentationService.getRevisionDiff(presentationId, revision.slideId, revision.id);
+      setDiffs(prev => ({ ...prev, [revision.id]: data.changes || [] }));
+    } catch (error) {
+      console.error('Load revision diff error:', error);
+      toast.error(t('history.diff_error') || 'Failed to compare versions');
+      setExpandedId(null);
+    }
+  };
+
+  const handleRestoreRevision = async (revision) => {
+    setBusyId(revision.id);
+    try {
+      const data = await presentationService.restoreSlideRevision(presentationId, revision.slideId, revision.id);
+      if (data.changedFields?.length) {
+        onRevisionRestored?.(data.slide);
+        toast.success(t('history.version_restored') || 'Slide restored to this version');
+        loadHistory();
+      } else {
+        toast(t('history.already_current') || 'The slide already matches this version');
+      }
+    } catch (error) {
+      console.error('Restore revision error:', error);
+      toast.error(error.response?.data?.error || t('history.restore_error') || 'Failed to restore');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRestoreTrashed = async (item) => {
+    setBusyId(item.id);
+    try {
+      const data = await presentationService.restoreTrashedSlide(presentationId, item.id);
+      onSlideRestored?.(data);
+      setTrash(prev => prev.filter(entry => entry.id !== item.id));
+      toast.success(t('history.slide_restored') || 'Slide restored');
+    } catch (error) {
+      console.error('Restore trashed slide error:', error);
+      toast.error(error.response?.data?.error || t('history.restore_error') || 'Failed to restore');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDeleteTrashed = async (item) => {
+    setBusyId(item.id);
+    try {
+      await presentationService.deleteTrashedSlide(presentationId, item.id);
+      setTrash(prev => prev.filter(entry => entry.id !== item.id));
+    } catch (error) {
+      console.error('Delete trashed slide error:', error);
+      toast.error(t('history.delete_error') || 'Failed to delete the slide');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const renderRevision = (revision) => {
+    const number = revision.slideId ? slideNumber(revision.slideId) : null;
+    const isExpanded = expandedId === revision.id;
+    const canRestore = canEdit && revision.slideId && number !== null && RESTORABLE_ACTIONS.includes(revision.action);
+    const editedAfterResponses = ['updated', 'restored'].includes(revision.action) && revision.responseCount > 0;
+
+    return (
+      <li key={revision.id} className="rounded-lg bg-[#1A1A1A] border border-[#2A2A2A]">
+        <div className="flex items-start gap-3 px-3 py-2">
+          {revision.slideId ? (
+            <button
+              onClick={() => toggleDiff(revision)}
+              className="mt-0.5 text-[#8A8A8A] hover:text-[#E0E0E0]"
+              aria-label={t('history.show_changes') || 'Show changes'}
+            >
+              {isExpanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+            </button>
+          ) : (
+            <span className="w-4" />
+          )}
+          <div className="flex-1 min-w-0">
+            <p className="text-sm text-[#E0E0E0] truncate">
+              <span className="font-medium">{actionLabel(revision.action)}</span>
+              {revision.slideId
+                ? ` · ${number !== null ? `${t('history.slide') || 'Slide'} ${number}` : t('history.deleted_slide') || 'Deleted slide'}${revision.question ? ` — ${revision.question}` : ''}`
+                : revision.title ? ` · ${revision.title}` : ''}
+            </p>
+            <p className="text-xs text-[#8A8A8A]">
+              {new Date(revision.createdAt).toLocaleString()}
+              {revision.author ? ` · ${revision.author}` : ''}
+            </p>
+            {editedAfterResponses && (
+              <p className="mt-1 flex items-center gap-1 text-xs text-amber-400">
+                <AlertTriangle className="h-3.5 w-3.5" />
+                {t('history.edited_after_responses', { count: revision.responseCount })
+                  || `Edited after ${revision.responseCount} responses. Results may no longer match the options.`}
+              </p>
+            )}
+          </div>
+          {canRestore && (
+            <button
+              onClick={() => handleRestoreRevision(revision)}
+              disabled={busyId === revision.id}
+              className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs text-[#E0E0E0] bg-[#2A2A2A] hover:bg-[#333333] disabled:opacity-50"
+              title={t('history.restore_version') || 'Restore this version'}
+            >
+              {busyId === revision.id ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <RotateCcw className="h-3.5 w-3.5" />}
+              {t('history.restore') || 'Restore'}
+            </button>
+          )}
+        </div>
+        {isExpanded && (
+          <div className="border-t border-[#2A2A2A] px-3 py-2 space-y-2">
+            {!diffs[revision.id] ? (
+              <Loader2 className="h-4 w-4 text-[#4CAF50] animate-spin" />
+            ) : diffs[revision.id].length === 0 ? (
+              <p className="text-xs text-[#8A8A8A]">{t('history.no_changes') || 'No content changes'}</p>
+            ) : (
+              diffs[revision.id].map(change => (
+                <div key={change.field} className="text-xs">
+                  <p className="font-medium text-[#B0B0B0]">{fieldLabel(change.field)}</p>
+                  <div className="grid grid-cols-2 gap-2 mt-1">
+                    <pre className="whitespace-pre-wrap break-words rounded bg-red-500/10 px-2 py-1 text-red-300 max-h-40 overflow-y-auto">{formatValue(change.before)}</pre>
+                    <pre className="whitespace-pre-wrap break-words rounded bg-[#1D2A20] px-2 py-1 text-[#81C784] max-h-40 overflow-y-auto">{formatValue(change.after)}</pre>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        )}
+      </li>
+    );
+  };
+
+  const renderTrashItem = (item) => (
+    <li key={item.id} className="flex items-start gap-3 px-3 py-2 rounded-lg bg-[#1A1A1A] border border-[#2A2A2A]">
+      <div className="flex-1 min-w-0">
+        <p className="text-sm text-[#E0E0E0] truncate">{item.question || t(`slide_types.${item.type}`)}</p>
+        <p className="text-xs text-[#8A8A8A]">
+          {new Date(item.deletedAt).toLocaleString()}
+          {item.deletedBy ? ` · ${item.deletedBy}` : ''}
+          {` · ${t('history.expires_in', { count: daysUntil(item.expiresAt) }) || `Deleted for good in ${daysUntil(item.expiresAt)} days`}`}
+        </p>
+        {item.responseCount > 0 && (
+          <p className={`text-xs ${item.responsesArchived ? 'text-[#8A8A8A]' : 'text-amber-400'}`}>
+            {item.responsesArchived
+              ? t('history.responses_kept', { count: item.responseCount }) || `${item.responseCount} responses are restored with it`
+              : t('history.responses_lost', { count: item.responseCount }) || `Its ${item.responseCount} responses were too many to keep`}
+          </p>
+        )}
+      </div>
+      {canEdit && (
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => handleRestoreTrashed(item)}
+            disabled={busyId === item.id}
+            className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs text-[#E0E0E0] bg-[#2A2A2A] hover:bg-[#333333] disabled:opacity-50"
+          >
+            {busyId === item.id ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <RotateCcw className="h-3.5 w-3.5" />}
+            {t('history.restore') || 'Restore'}
+          </button>
+          <button
+            onClick={() => handleDeleteTrashed(item)}
+            disabled={busyId === item.id}
+            className="p-1.5 rounded-lg text-[#8A8A8A] hover:text-red-400 hover:bg-red-500/10 transition-colors"
+            title={t('history.delete_forever') || 'Delete forever'}
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-0">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/70 backdrop-blur-sm"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="relative z-10 w-full max-w-2xl mx-4 rounded-2xl bg-[#0F0F0F] shadow-2xl border border-[#2A2A2A] max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-[#2A2A2A]">
+          <h2 className="text-xl font-semibold text-[#FFFFFF]">{t('history.title') || 'Version history'}</h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-lg hover:bg-[#2A2A2A] transition-colors"
+          >
+            <X className="h-5 w-5 text-[#8A8A8A] hover:text-[#E0E0E0]" />
+          </button>
+        </div>
+
+        {/* Tabs */}
+        <div className="flex items-center gap-2 px-6 pt-4">
+          {[
+            { key: 'history', icon: <History className="h-4 w-4" />, label: t('history.history_tab') || 'History' },
+            { key: 'trash', icon: <Trash2 className="h-4 w-4" />, label: t('history.trash_tab') || 'Deleted slides' }
+          ].map(({ key, icon, label }) => (
+            <button
+              key={key}
+              onClick={() => setTab(key)}
+              className={`flex items-center gap-2 px-3 py-1.5 text-sm font-medium rounded-lg transition-all ${tab === key
+                ? 'text-[#4CAF50] bg-[#2A2A2A]'
+                : 'text-[#8A8A8A] hover:text-[#B0B0B0] hover:bg-[#252525]'
+                }`}
+            >
+              {icon}
+              {label}
+            </button>
+          ))}
+          {tab === 'history' && currentSlideId && (
+            <label className="ml-auto flex items-center gap-2 text-xs text-[#B0B0B0]">
+              <input
+                type="checkbox"
+                checked={onlyCurrentSlide}
+                onChange={(e) => setOnlyCurrentSlide(e.target.checked)}
+                className="accent-[#4CAF50]"
+              />
+              {t('history.only_current_slide') || 'Only this slide'}
+            </label>
+          )}
+        </div>
+
+        {/* Content */}
+        <div className="p-6 overflow-y-auto">
+          {tab === 'history' ? (
+            revisions.length === 0 ? (
+              isLoading ? (
+                <div className="flex justify-center py-6">
+                  <Loader2 className="h-6 w-6 text-[#4CAF50] animate-spin" />
+                </div>
+              ) : (
+                <p className="text-sm text-[#8A8A8A] text-center py-4">{t('history.empty') || 'No changes recorded yet.'}</p>
+              )
+            ) : (
+              <>
+                <ul className="space-y-2">{revisions.map(renderRevision)}</ul>
+                {hasMore && (
+                  <button
+                    onClick={() => loadHistory(revisions[revisions.length - 1].createdAt)}
+                    disabled={isLoading}
+                    className="mt-3 w-full py-2 rounded-lg text-sm text-[#B0B0B0] bg-[#1A1A1A] hover:bg-[#252525] disabled:opacity-50"
+                  >
+                    {isLoading ? <Loader2 className="h-4 w-4 mx-auto animate-spin" /> : t('history.load_more') || 'Load older changes'}
+                  </button>
+                )}
+              </>
+            )
+          ) : isLoading ? (
+            <div className="flex justify-center py-6">
+              <Loader2 className="h-6 w-6 text-[#4CAF50] animate-spin" />
+            </div>
+          ) : trash.length === 0 ? (
+            <p className="text-sm text-[#8A8A8A] text-center py-4">{t('history.trash_empty') || 'No deleted slides.'}</p>
+          ) : (
+            <ul className="space-y-2">{trash.map(renderTrashItem)}</ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SlideHistoryModal;
@@ -0,0 +1,97 @@
+import { useEffect, useRef, useState } from 'react';
+import { Users, X } from 'lucide-react';
+
+/**
+ * Live team balance for the presenter in team mode
+ * @param {Object} teamBalance - { teams: [{ id, name, color, participantCount, participants }], unassignedCount }
+ */
+const TeamBalancePanel = ({ teamBalance }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const teams = teamBalance?.teams || [];
+  if (teams.length === 0) return null;
+
+  const largestTeam = Math.max(1, ...teams.map(team => team.participantCount));
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="flex items-center gap-1 px-2 sm:px-3 py-1.5 sm:py-2 rounded-lg bg-[#2A2A2A] border border-[#2F2F2F] hover:bg-[#333333] transition-colors"
+        title="Team balance"
+      >
+        {teams.map(team => (
+          <span
+            key={team.id}
+            className="min-w-[1.5rem] px-1.5 py-0.5 rounded text-xs font-semibold text-white text-center"
+            style={{ backgroundColor: team.color || '#4A4A4A' }}
+          >
+            {team.participantCount}
+          </span>
+        ))}
+      </button>
+
+      {isOpen && (
+        <div className="absolute top-full right-0 mt-2 w-80 bg-[#1F1F1F] border border-[#2A2A2A] rounded-xl shadow-2xl z-50 overflow-hidden">
+          <div className="p-4 border-b border-[#2A2A2A] flex items-center gap-2">
+            <Users className="h-5 w-5 text-[#4CAF50]" />
+            <h3 className="text-lg font-semibold text-[#E0E0E0]">Team Balance</h3>
+          </div>
+
+          <div className="p-4 space-y-4 max-h-96 overflow-y-auto">
+            {teams.map(team => (
+              <div key={team.id}>
+                <div className="flex items-center justify-between text-sm mb-1">
+                  <span className="font-medium text-[#E0E0E0] truncate">{team.name}</span>
+                  <span className="text-[#B0B0B0]">{team.participantCount}</span>
+                </div>
+                <div className="h-2 rounded-full bg-[#2A2A2A] overflow-hidden">
+                  <div
+                    className="h-full rounded-full transition-all"
+                    style={{
+                      width: `${(team.participantCount / largestTeam) * 100}%`,
+                      backgroundColor: team.color || '#4CAF50'
+                    }}
+                  />
+                </div>
+                {team.participants.length > 0 && (
+                  <p className="mt-1 text-xs text-[#8A8A8A] break-words">
+                    {team.participants.join(', ')}
+                  </p>
+                )}
+              </div>
+            ))}
+            {teamBalance.unassignedCount > 0 && (
+              <p className="text-xs text-[#FFA726]">
+                {teamBalance.unassignedCount} participant{teamBalance.unassignedCount !== 1 ? 's' : ''} without a team
+              </p>
+            )}
+          </div>
+
+          <button
+            onClick={() => setIsOpen(false)}
+            className="absolute top-2 right-2 p-1 rounded-full hover:bg-[#2A2A2A] text-[#B0B0B0] hover:text-[#E0E0E0]"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TeamBalancePanel;
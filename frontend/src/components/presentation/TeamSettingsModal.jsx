@@ -0,0 +1,225 @@
+import { useEffect, useState } from 'react';
+import { X, Plus, Trash2, Users } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { v4 as uuidv4 } from 'uuid';
+import * as presentationService from '../../services/presentationService';
+import { translateError } from '../../utils/errorTranslator';
+
+const TEAM_COLORS = ['#4CAF50', '#2196F3', '#FF9800', '#E91E63', '#9C27B0', '#00BCD4', '#FFC107', '#795548'];
+
+const createTeam = (index) => ({
+  id: uuidv4(),
+  name: `Team ${index + 1}`,
+  color: TEAM_COLORS[index % TEAM_COLORS.length]
+});
+
+const defaultSettings = () => ({
+  enabled: false,
+  assignment: 'auto',
+  aggregation: 'sum',
+  topN: 3,
+  teams: [createTeam(0), createTeam(1)]
+});
+
+const TeamSettingsModal = ({ isOpen, onClose, presentationId, teamSettings, onSaved }) => {
+  const { t } = useTranslation();
+  const [settings, setSettings] = useState(defaultSettings);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setSettings(teamSettings?.teams?.length
+      ? { ...defaultSettings(), ...teamSettings, teams: teamSettings.teams.map(team => ({ ...team })) }
+      : defaultSettings());
+  }, [isOpen, teamSettings]);
+
+  if (!isOpen) return null;
+
+  const updateSettings = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+
+  const updateTeam = (teamId, changes) => {
+    updateSettings({
+      teams: settings.teams.map(team => (team.id === teamId ? { ...team, ...changes } : team))
+    });
+  };
+
+  const handleAddTeam = () => {
+    updateSettings({ teams: [...settings.teams, createTeam(settings.teams.length)] });
+  };
+
+  const handleRemoveTeam = (teamId) => {
+    updateSettings({ teams: settings.teams.filter(team => team.id !== teamId) });
+  };
+
+  const handleSave = async () => {
+    if (settings.enabled && settings.teams.filter(team => team.name.trim()).length < 2) {
+      toast.error(t('team_mode.min_teams_error') || 'Add at least 2 teams');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const response = await presentationService.updatePresentation(presentationId, { teamSettings: settings });
+      onSaved?.(response.presentation?.teamSettings || null);
+      toast.success(t('team_mode.saved') || 'Team settings saved');
+      onClose();
+    } catch (error) {
+      toast.error(translateError(error, t, 'team_mode.save_failed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-0">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/70 backdrop-blur-sm"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="relative z-10 w-full max-w-md mx-4 rounded-2xl bg-[#0F0F0F] shadow-2xl border border-[#2A2A2A] max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-[#2A2A2A]">
+          <h2 className="text-xl font-semibold text-[#FFFFFF] flex items-center gap-2">
+            <Users className="h-5 w-5 text-[#4CAF50]" />
+            {t('team_mode.title') || 'Team Mode'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-lg hover:bg-[#2A2A2A] transition-colors"
+          >
+            <X className="h-5 w-5 text-[#8A8A8A] hover:text-[#E0E0E0]" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-5">
+          <label className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => updateSettings({ enabled: e.target.checked })}
+              className="mt-1 h-4 w-4 accent-[#4CAF50]"
+            />
+            <div>
+              <span className="text-sm font-medium text-[#E0E0E0]">
+                {t('team_mode.enable_label') || 'Enable team mode'}
+              </span>
+              <p className="text-xs text-[#8A8A8A]">
+                {t('team_mode.enable_description') || 'Participants join teams and quiz scores are combined into team rankings.'}
+              </p>
+            </div>
+          </label>
+
+          <div className={settings.enabled ? 'space-y-5' : 'space-y-5 opacity-50 pointer-events-none'}>
+            <div>
+              <label className="block text-sm font-medium text-[#E0E0E0] mb-2">
+                {t('team_mode.assignment_label') || 'Team assignment'}
+              </label>
+              <select
+                value={settings.assignment}
+                onChange={(e) => updateSettings({ assignment: e.target.value })}
+                className="w-full px-3 py-2 rounded-lg bg-[#1A1A1A] border border-[#2A2A2A] text-sm text-[#E0E0E0] focus:outline-none focus:border-[#4CAF50]"
+              >
+                <option value="auto">{t('team_mode.assignment_auto') || 'Auto-assign to balance teams'}</option>
+                <option value="choose">{t('team_mode.assignment_choose') || 'Participants pick their team'}</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-[#E0E0E0] mb-2">
+                {t('team_mode.aggregation_label') || 'Team score'}
+              </label>
+              <select
+                value={settings.aggregation}
+                onChange={(e) => updateSettings({ aggregation: e.target.value })}
+                className="w-full px-3 py-2 rounded-lg bg-[#1A1A1A] border border-[#2A2A2A] text-sm text-[#E0E0E0] focus:outline-none focus:border-[#4CAF50]"
+              >
+                <option value="sum">{t('team_mode.aggregation_sum') || 'Sum of member scores'}</option>
+                <option value="average">{t('team_mode.aggregation_average') || 'Average member score'}</option>
+                <option value="top_n">{t('team_mode.aggregation_top_n') || 'Sum of the top N scores'}</option>
+              </select>
+              {settings.aggregation === 'top_n' && (
+                <div className="mt-2 flex items-center gap-2">
+                  <span className="text-xs text-[#8A8A8A]">{t('team_mode.top_n_label') || 'Top N'}</span>
+                  <input
+                    type="number"
+                    min={1}
+                    max={50}
+                    value={settings.topN}
+                    onChange={(e) => updateSettings({ topN: Math.max(1, Math.min(50, Number(e.target.value) || 1)) })}
+                    className="w-20 px-2 py-1 rounded-lg bg-[#1A1A1A] border border-[#2A2A2A] text-sm text-[#E0E0E0] focus:outline-none focus:border-[#4CAF50]"
+                  />
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-[#E0E0E0] mb-2">
+                {t('team_mode.teams_label') || 'Teams'}
+              </label>
+              <div className="space-y-2">
+                {settings.teams.map((team) => (
+                  <div key={team.id} className="flex items-center gap-2">
+                    <input
+                      type="color"
+                      value={team.color || '#4CAF50'}
+                      onChange={(e) => updateTeam(team.id, { color: e.target.value })}
+                      className="h-9 w-9 rounded-lg bg-transparent border border-[#2A2A2A] cursor-pointer"
+                    />
+                    <input
+                      type="text"
+                      value={team.name}
+                      maxLength={50}
+                      onChange={(e) => updateTeam(team.id, { name: e.target.value })}
+                      className="flex-1 px-3 py-2 rounded-lg bg-[#1A1A1A] border border-[#2A2A2A] text-sm text-[#E0E0E0] focus:outline-none focus:border-[#4CAF50]"
+                    />
+                    <button
+                      onClick={() => handleRemoveTeam(team.id)}
+                      disabled={settings.teams.length <= 2}
+                      className="p-2 rounded-lg hover:bg-[#2A2A2A] transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                      aria-label={t('team_mode.remove_team') || 'Remove team'}
+                    >
+                      <Trash2 className="h-4 w-4 text-[#8A8A8A]" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              {settings.teams.length < 20 && (
+                <button
+                  onClick={handleAddTeam}
+                  className="mt-3 flex items-center gap-2 text-sm text-[#4CAF50] hover:text-[#66BB6A] transition-colors"
+                >
+                  <Plus className="h-4 w-4" />
+                  {t('team_mode.add_team') || 'Add team'}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 px-6 py-4 border-t border-[#2A2A2A]">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg bg-[#2A2A2A] hover:bg-[#333333] text-sm text-[#E0E0E0] transition-colors"
+          >
+            {t('presentation.cancel')}
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className="px-4 py-2 rounded-lg bg-[#4CAF50] hover:bg-[#45A049] text-sm font-medium text-white transition-colors disabled:opacity-60"
+          >
+            {isSaving ? (t('team_mode.saving') || 'Saving...') : (t('team_mode.save') || 'Save')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TeamSettingsModal;
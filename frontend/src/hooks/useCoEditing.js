@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { io } from 'socket.io-client';
+import { getSocketUrl } from '../utils/config';
+import { setEditorSocketId } from '../services/presentationService';
+
+const CHANGE_EVENTS = ['slide-created', 'slide-updated', 'slide-deleted', 'presentation-updated'];
+
+/**
+ * Hook to join the live editing room of a presentation
+ * Tracks who else has the presentation open and on which slide, and passes the changes
+ * other editors save to the given handlers (keyed by event name).
+ */
+export const useCoEditing = (presentationId, handlers) => {
+  const [editors, setEditors] = useState([]);
+  const [socketId, setSocketId] = useState(null);
+  const socketRef = useRef(null);
+  const selectedSlideRef = useRef(null);
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!presentationId) return undefined;
+
+    const socket = io(getSocketUrl());
+    socketRef.current = socket;
+
+    socket.on('connect', () => {
+      socket.emit('join-editor', {
+        presentationId,
+        token: sessionStorage.getItem('institutionAdminToken') || localStorage.getItem('jwtToken')
+      });
+    });
+    socket.on('editor-joined', (data) => {
+      setSocketId(data.socketId);
+      setEditorSocketId(data.socketId);
+      if (selectedSlideRef.current) {
+        socket.emit('editor-select-slide', { presentationId, slideId: selectedSlideRef.current });
+      }
+    });
+    socket.on('editor-presence', (data) => setEditors(data.editors || []));
+    CHANGE_EVENTS.forEach(event => {
+      socket.on(event, (payload) => handlersRef.current?.[event]?.(payload));
+    });
+
+    return () => {
+      socket.emit('leave-editor');
+      socket.disconnect();
+      socketRef.current = null;
+      setEditorSocketId(null);
+      setSocketId(null);
+      setEditors([]);
+    };
+  }, [presentationId]);
+
+  const selectSlide = useCallback((slideId) => {
+    selectedSlideRef.current = slideId || null;
+    socketRef.current?.emit('editor-select-slide', { presentationId, slideId: slideId || null });
+  }, [presentationId]);
+
+  const otherEditors = useMemo(
+    () => editors.filter(editor => editor.socketId !== socketId),
+    [editors, socketId]
+  );
+
+  return {
+    editors,
+    socketId,
+    otherEditors,
+    selectSlide
+  };
+};
@@ -15,6 +15,135 @@ export const createPresentation = async (title) => {
   }
 };
 
+// Convert a PowerPoint deck, PDF or Markdown outline into slide drafts
+export const importPresentationSlides = async (base64File, fileName) => {
+  try {
+    const response = await api.post('/presentations/import', { file: base64File, fileName }, {
+      timeout: 300000 // PDF pages may be rendered to images
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Import presentation slides error:', error);
+    throw error;
+  }
+};
+
+// Create a presentation from a bundle file (.json or .zip) exported by another account
+export const importPresentationBundle = async (base64File, reuploadMedia = true) => {
+  try {
+    const response = await api.post('/presentations/bundles', { file: base64File, reuploadMedia }, {
+      timeout: 300000 // Media may be copied into this account
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Import presentation bundle error:', error);
+    throw error;
+  }
+};
+
+// Duplicate a presentation (slides and settings, without responses)
+export const duplicatePresentation = async (id, title) => {
+  try {
+    const response = await api.post(`/presentations/${id}/duplicate`, title ? { title } : {}, {
+      timeout: 120000 // Media is copied for the new presentation
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Duplicate presentation error:', error);
+    throw error;
+  }
+};
+
+// Save a presentation as a personal template
+export const savePresentationAsTemplate = async (id, { title, description }) => {
+  try {
+    const response = await api.post(`/presentations/${id}/template`, { title, description }, {
+      timeout: 120000 // Media is copied into the template
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Save as template error:', error);
+    throw error;
+  }
+};
+
+// List system, institution and personal templates
+export const getTemplates = async () => {
+  try {
+    const response = await api.get('/templates');
+    return response.data;
+  } catch (error) {
+    console.error('Get templates error:', error);
+    throw error;
+  }
+};
+
+// Create a presentation from a template
+export const createPresentationFromTemplate = async (templateId) => {
+  try {
+    const response = await api.post('/presentations/from-template', { templateId });
+    return response.data;
+  } catch (error) {
+    console.error('Create presentation from template error:', error);
+    throw error;
+  }
+};
+
+// Delete a personal template
+export const deleteTemplate = async (templateId) => {
+  try {
+    const response = await api.delete(`/templates/${templateId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Delete template error:', error);
+    throw error;
+  }
+};
+
+// Get the people a presentation is shared with (owner only)
+export const getCollaborators = async (presentationId) => {
+  try {
+    const response = await api.get(`/presentations/${presentationId}/collaborators`);
+    return response.data;
+  } catch (error) {
+    console.error('Get collaborators error:', error);
+    throw error;
+  }
+};
+
+// Share a presentation by email as viewer, editor or co_presenter
+export const addCollaborator = async (presentationId, { email, role }) => {
+  try {
+    const response = await api.post(`/presentations/${presentationId}/collaborators`, { email, role });
+    return response.data;
+  } catch (error) {
+    console.error('Add collaborator error:', error);
+    throw error;
+  }
+};
+
+// Change a collaborator's role
+export const updateCollaborator = async (presentationId, collaboratorId, role) => {
+  try {
+    const response = await api.put(`/presentations/${presentationId}/collaborators/${collaboratorId}`, { role });
+    return response.data;
+  } catch (error) {
+    console.error('Update collaborator error:', error);
+    throw error;
+  }
+};
+
+// Remove a collaborator
+export const removeCollaborator = async (presentationId, collaboratorId) => {
+  try {
+    const response = await api.delete(`/presentations/${presentationId}/collaborators/${collaboratorId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Remove collaborator error:', error);
+    throw error;
+  }
+};
+
 // Get all user presentations
 export const getUserPresentations = async (limit = 20, skip = 0) => {
   try {
@@ -37,10 +166,19 @@ export const getPresentationById = async (id) => {
   }
 };
 
+// Socket of the open editor; sent with edits so the server does not echo them back to it
+let editorSocketId = null;
+
+export const setEditorSocketId = (socketId) => {
+  editorSocketId = socketId || null;
+};
+
+const editorRequestConfig = () => (editorSocketId ? { headers: { 'X-Socket-Id': editorSocketId } } : undefined);
+
 // Update presentation
 export const updatePresentation = async (id, data) => {
   try {
-    const response = await api.put(`/presentations/${id}`, data);
+    const response = await api.put(`/presentations/${id}`, data, editorRequestConfig());
     return response.data;
   } catch (error) {
     console.error('Update presentation error:', error);
@@ -62,7 +200,7 @@ export const deletePresentation = async (id) => {
 // Create a new slide
 export const createSlide = async (presentationId, slideData) => {
   try {
-    const response = await api.post(`/presentations/${presentationId}/slides`, slideData);
+    const response = await api.post(`/presentations/${presentationId}/slides`, slideData, editorRequestConfig());
     return response.data;
   } catch (error) {
     console.error('Create slide error:', error);
@@ -70,12 +208,14 @@ export const createSlide = async (presentationId, slideData) => {
   }
 };
 
-// Update slide
+// Update slide (send baseRevision with only the changed fields to merge with other editors' changes)
 export const updateSlide = async (presentationId, slideId, slideData) => {
   try {
-    const response = await api.put(`/presentations/${presentationId}/slides/${slideId}`, slideData);
+    const response = await api.put(`/presentations/${presentationId}/slides/${slideId}`, slideData, editorRequestConfig());
     return response.data;
   } catch (error) {
+    // Conflicts are resolved by the editor
+    if (error.response?.status === 409) throw error;
     console.error('Update slide error:', error);
     throw error;
   }
@@ -84,7 +224,7 @@ export const updateSlide = async (presentationId, slideId, slideData) => {
 // Delete slide
 export const deleteSlide = async (presentationId, slideId) => {
   try {
-    const response = await api.delete(`/presentations/${presentationId}/slides/${slideId}`);
+    const response = await api.delete(`/presentations/${presentationId}/slides/${slideId}`, editorRequestConfig());
     return response.data;
   } catch (error) {
     console.error('Delete slide error:', error);
@@ -92,6 +232,79 @@ export const deleteSlide = async (presentationId, slideId) => {
   }
 };
 
+// Get the edit history of a presentation, or of one slide (newest first)
+export const getPresentationHistory = async (presentationId, { slideId, before } = {}) => {
+  try {
+    const response = await api.get(`/presentations/${presentationId}/history`, { params: { slideId, before } });
+    return response.data;
+  } catch (error) {
+    console.error('Get presentation history error:', error);
+    throw error;
+  }
+};
+
+// Compare a slide revision with the previous one, another revision or 'current'
+export const getRevisionDiff = async (presentationId, slideId, revisionId, against) => {
+  try {
+    const response = await api.get(
+      `/presentations/${presentationId}/slides/${slideId}/revisions/${revisionId}/diff`,
+      { params: { against } }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Get revision diff error:', error);
+    throw error;
+  }
+};
+
+// Restore a slide to an earlier version
+export const restoreSlideRevision = async (presentationId, slideId, revisionId) => {
+  try {
+    const response = await api.post(
+      `/presentations/${presentationId}/slides/${slideId}/revisions/${revisionId}/restore`,
+      {},
+      editorRequestConfig()
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Restore slide revision error:', error);
+    throw error;
+  }
+};
+
+// Get the deleted slides that can still be restored
+export const getSlideTrash = async (presentationId) => {
+  try {
+    const response = await api.get(`/presentations/${presentationId}/trash`);
+    return response.data;
+  } catch (error) {
+    console.error('Get slide trash error:', error);
+    throw error;
+  }
+};
+
+// Restore a deleted slide with its responses
+export const restoreTrashedSlide = async (presentationId, trashId) => {
+  try {
+    const response = await api.post(`/presentations/${presentationId}/trash/${trashId}/restore`, {}, editorRequestConfig());
+    return response.data;
+  } catch (error) {
+    console.error('Restore trashed slide error:', error);
+    throw error;
+  }
+};
+
+// Permanently delete a slide from the trash
+export const deleteTrashedSlide = async (presentationId, trashId) => {
+  try {
+    const response = await api.delete(`/presentations/${presentationId}/trash/${trashId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Delete trashed slide error:', error);
+    throw error;
+  }
+};
+
 // LocalStorage helpers
 const STORAGE_KEY = 'current_presentation_draft ';
 
@@ -302,10 +515,12 @@ export const getUserImages = async () => {
   }
 };
 
-// Get presentation results
-export const getPresentationResults = async (id) => {
+// Get presentation results (runId: one run, 'none' for answers outside live runs, 'all' or empty for every run)
+export const getPresentationResults = async (id, runId) => {
   try {
-    const response = await api.get(`/presentations/${id}/results`);
+    const response = await api.get(`/presentations/${id}/results`, {
+      params: runId ? { runId } : undefined
+    });
     return response.data;
   } catch (error) {
     console.error('Get presentation results error:', error);
@@ -314,10 +529,10 @@ export const getPresentationResults = async (id) => {
 };
 
 // Export presentation results
-export const exportPresentationResults = async (id, format = 'csv') => {
+export const exportPresentationResults = async (id, format = 'csv', runId) => {
   try {
     const response = await api.get(`/presentations/${id}/export`, {
-      params: { format },
+      params: { format, ...(runId && { runId }) },
       responseType: 'blob'
     });
     return response.data;
@@ -327,6 +542,31 @@ export const exportPresentationResults = async (id, format = 'csv') => {
   }
 };
 
+// Export a presentation as a portable bundle file
+export const exportPresentationBundle = async (id, format = 'json') => {
+  try {
+    const response = await api.get(`/presentations/${id}/bundle`, {
+      params: { format },
+      responseType: 'blob'
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Export presentation bundle error:', error);
+    throw error;
+  }
+};
+
+// Get the run history of a presentation (one run per live session)
+export const getPresentationRuns = async (id) => {
+  try {
+    const response = await api.get(`/presentations/${id}/runs`);
+    return response.data;
+  } catch (error) {
+    console.error('Get presentation runs error:', error);
+    throw error;
+  }
+};
+
 // Toggle QnA status
 export const toggleQnaStatus = async (presentationId, questionId, isAnswered) => {
   try {
@@ -339,9 +579,11 @@ export const toggleQnaStatus = async (presentationId, questionId, isAnswered) =>
 };
 
 // Get all responses for a specific slide
-export const getSlideResponses = async (presentationId, slideId) => {
+export const getSlideResponses = async (presentationId, slideId, runId) => {
   try {
-    const response = await api.get(`/presentations/${presentationId}/slides/${slideId}/responses`);
+    const response = await api.get(`/presentations/${presentationId}/slides/${slideId}/responses`, {
+      params: runId ? { runId } : undefined
+    });
     return response.data;
   } catch (error) {
     console.error('Get slide responses error:', error);
@@ -360,10 +602,12 @@ export const clearPresentationResults = async (presentationId) => {
   }
 };
 
-// Clear results for a specific slide
-export const clearSlideResults = async (presentationId, slideId) => {
+// Clear results for a specific slide (one run when runId is given, every run otherwise)
+export const clearSlideResults = async (presentationId, slideId, runId) => {
   try {
-    const response = await api.delete(`/presentations/${presentationId}/slides/${slideId}/results`);
+    const response = await api.delete(`/presentations/${presentationId}/slides/${slideId}/results`, {
+      params: runId ? { runId } : undefined
+    });
     return response.data;
   } catch (error) {
     console.error('Clear slide results error:', error);
@@ -380,4 +624,15 @@ export const recalculatePresentationScores = async (presentationId) => {
     console.error('Recalculate scores error:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+// Get participant completion for a self-paced presentation
+export const getSelfPacedProgress = async (presentationId) => {
+  try {
+    const response = await api.get(`/presentations/${presentationId}/self-paced/progress`);
+    return response.data;
+  } catch (error) {
+    console.error('Get self-paced progress error:', error);
+    throw error;
+  }
+};
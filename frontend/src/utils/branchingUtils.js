@@ -0,0 +1,41 @@
+const isQuizSlide = (slide) => slide?.type === 'quiz' || Boolean(slide?.quizSettings);
+
+/**
+ * Get the answers a branching rule can match on
+ * Multiple choice answers are the option text; quiz answers are option IDs.
+ * @param {Object} slide - Multiple choice or quiz slide
+ * @returns {Array<{value: string, label: string}>} Selectable options
+ */
+export const getBranchingOptions = (slide) => {
+  if (isQuizSlide(slide)) {
+    return (slide.quizSettings?.options || [])
+      .filter(option => option?.id && option.text?.trim())
+      .map(option => ({ value: option.id, label: option.text.trim() }));
+  }
+  return (slide?.options || [])
+    .map(option => (typeof option === 'string' ? option : option?.text || '').trim())
+    .filter(Boolean)
+    .map(text => ({ value: text, label: text }));
+};
+
+/**
+ * Drop branching rules that no longer match the slide before saving,
+ * e.g. after the option they point to was edited or removed
+ * @param {Object} slide - Slide with branching settings
+ * @returns {Object|null} Branching settings, or null when no rule is left
+ */
+export const pruneBranching = (slide) => {
+  const rules = Array.isArray(slide?.branching?.rules) ? slide.branching.rules : [];
+  const optionValues = getBranchingOptions(slide).map(option => option.value);
+  const quiz = isQuizSlide(slide);
+
+  const validRules = rules.filter((rule) => {
+    if (!rule?.targetSlideId) return false;
+    if (rule.condition === 'option_chosen') return optionValues.includes(rule.optionValue);
+    return quiz;
+  });
+
+  return validRules.length > 0
+    ? { autoFollow: Boolean(slide.branching.autoFollow), rules: validRules }
+    : null;
+};
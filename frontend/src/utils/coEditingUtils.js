@@ -0,0 +1,62 @@
+/**
+ * Co-editing helpers
+ * Editors keep the last version of each slide they got from the server (the synced slide). Saves send
+ * only the fields that differ from it, together with its revision, and changes other editors save are
+ * merged field by field so local edits that are not saved yet are never thrown away.
+ */
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Fields of a slide payload that differ from the synced slide's payload
+ * @param {Object} payload - Update payload of the local slide
+ * @param {Object} syncedPayload - Update payload of the synced slide
+ * @returns {Object} Changed fields only
+ */
+export const diffSlidePayload = (payload, syncedPayload) => Object.keys(payload).reduce((changes, key) => {
+  if (payload[key] !== undefined && !isSameValue(payload[key], syncedPayload?.[key])) {
+    changes[key] = payload[key];
+  }
+  return changes;
+}, {});
+
+/**
+ * Merge a slide another editor saved into the local copy
+ * @param {Object} local - Slide in the editor, possibly with unsaved edits
+ * @param {Object|null} synced - Last synced version of the slide
+ * @param {Object} remote - Version just saved by the other editor
+ * @returns {{ slide: Object, conflictingFields: string[] }} Merged slide and the fields both sides changed
+ */
+export const mergeRemoteSlide = (local, synced, remote) => {
+  if (!synced) {
+    return { slide: { ...local, ...remote }, conflictingFields: [] };
+  }
+
+  const merged = { ...local };
+  const conflictingFields = [];
+
+  Object.keys(remote).forEach(key => {
+    const changedLocally = !isSameValue(local[key], synced[key]);
+    if (!changedLocally) {
+      merged[key] = remote[key];
+    } else if (key !== 'revision' && !isSameValue(remote[key], synced[key]) && !isSameValue(remote[key], local[key])) {
+      conflictingFields.push(key);
+    }
+  });
+
+  // Keep the old base revision while both sides changed a field, so saving it reports the conflict
+  merged.revision = conflictingFields.length ? local.revision : remote.revision;
+  return { slide: merged, conflictingFields };
+};
+
+/**
+ * Group the other editors by the slide they have selected
+ * @param {Array<Object>} editors - Presence list from the server
+ * @param {string|null} ownSocketId - This editor's socket, left out
+ * @returns {Object} slideId -> editors
+ */
+export const groupEditorsBySlide = (editors, ownSocketId) => editors.reduce((bySlide, editor) => {
+  if (editor.socketId === ownSocketId || !editor.slideId) return bySlide;
+  (bySlide[editor.slideId] = bySlide[editor.slideId] || []).push(editor);
+  return bySlide;
+}, {});
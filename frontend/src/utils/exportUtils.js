@@ -222,16 +222,38 @@ const formatOpenEndedData = (slide, responses, aggregatedData, question, timesta
   };
 };
 
+/**
+ * Median, spread and (for NPS slides) Net Promoter Score columns of a scale statement
+ */
+const formatScaleStatColumns = (stats, isNps) => {
+  const columns = {
+    'Median': stats?.median ?? '',
+    'Std Dev': stats?.standardDeviation ?? '',
+    'Agreement': stats?.agreement ?? '',
+    'Polarisation': stats?.polarisation ?? ''
+  };
+  if (isNps) {
+    const nps = stats?.nps;
+    columns['NPS'] = nps ? nps.score : '';
+    columns['Promoters (%)'] = nps ? `${nps.promoterShare}%` : '';
+    columns['Passives (%)'] = nps ? `${nps.passiveShare}%` : '';
+    columns['Detractors (%)'] = nps ? `${nps.detractorShare}%` : '';
+  }
+  return columns;
+};
+
 /**
  * Format scales data
  */
 const formatScalesData = (slide, responses, aggregatedData, question, timestamp) => {
   const statements = Array.isArray(slide?.statements) ? slide.statements : [];
+  const isNps = slide?.scaleMode === 'nps';
   const scaleDistribution = aggregatedData?.scaleDistribution || {};
   const scaleAverage = Number(aggregatedData?.scaleAverage) || 0;
   const scaleStatementAverages = Array.isArray(aggregatedData?.scaleStatementAverages) ? aggregatedData.scaleStatementAverages : [];
-  const minValue = Number(slide?.minValue) || 1;
-  const maxValue = Number(slide?.maxValue) || 5;
+  const scaleStatementStats = Array.isArray(aggregatedData?.scaleStatementStats) ? aggregatedData.scaleStatementStats : [];
+  const minValue = aggregatedData?.scaleMin ?? (typeof slide?.minValue === 'number' ? slide.minValue : 1);
+  const maxValue = aggregatedData?.scaleMax ?? (typeof slide?.maxValue === 'number' ? slide.maxValue : 5);
   const totalResponses = aggregatedData?.totalResponses || (Array.isArray(responses) ? responses.length : 0);
 
   const summaryRows = [];
@@ -241,6 +263,7 @@ const formatScalesData = (slide, responses, aggregatedData, question, timestamp)
       summaryRows.push({
         'Statement': String(statement || ''),
         'Average Rating': avg.toFixed(2),
+        ...formatScaleStatColumns(scaleStatementStats[index], isNps),
         'Scale Range': `${minValue} - ${maxValue}`
       });
     });
@@ -248,6 +271,7 @@ const formatScalesData = (slide, responses, aggregatedData, question, timestamp)
     summaryRows.push({
       'Question': question,
       'Average Rating': scaleAverage.toFixed(2),
+      ...formatScaleStatColumns(aggregatedData?.scaleStats, isNps),
       'Scale Range': `${minValue} - ${maxValue}`,
       'Total Responses': totalResponses
     });
@@ -290,20 +314,43 @@ const formatScalesData = (slide, responses, aggregatedData, question, timestamp)
   };
 };
 
+const RANKING_METHOD_NAMES = {
+  borda: 'Borda count',
+  average_rank: 'Average rank',
+  first_choice: 'First-choice share',
+  pairwise: 'Pairwise (Condorcet)'
+};
+
 /**
  * Format ranking data
  */
 const formatRankingData = (slide, responses, aggregatedData, question, timestamp) => {
   const rankingResults = Array.isArray(aggregatedData?.rankingResults) ? aggregatedData.rankingResults : [];
   const totalResponses = aggregatedData?.totalResponses || (Array.isArray(responses) ? responses.length : 0);
-
-  const summaryRows = rankingResults.map((result, index) => ({
-    'Rank': index + 1,
-    'Item': result?.label || result?.itemId || 'N/A',
-    'Average Position': result?.averageRank != null ? Number(result.averageRank).toFixed(2) : 'N/A',
-    'Score': Number(result?.score) || 0,
-    'Response Count': Number(result?.responseCount) || 0
-  }));
+  const rankingMethod = aggregatedData?.rankingMethod || slide?.rankingMethod || 'borda';
+  const pairwise = aggregatedData?.rankingPairwise;
+  const pairwiseIndex = new Map(safeArray(pairwise?.itemIds).map((itemId, index) => [itemId, index]));
+  const labels = new Map(rankingResults.map(result => [result?.itemId, result?.label || result?.itemId || 'N/A']));
+  const condorcetWinner = rankingResults.find(result => result?.isCondorcetWinner);
+
+  // Every method per item, the rank distribution and the head-to-head counts (ballots preferring the row item)
+  const summaryRows = rankingResults.map((result, index) => {
+    const row = pairwiseIndex.get(result?.itemId);
+    return {
+      'Rank': result?.rank ?? index + 1,
+      'Item': result?.label || result?.itemId || 'N/A',
+      'Average Position': result?.averageRank != null ? Number(result.averageRank).toFixed(2) : 'N/A',
+      'Score': Number(result?.score) || 0,
+      'First Choice Share': result?.firstChoiceShare != null ? `${result.firstChoiceShare}%` : 'N/A',
+      'Pairwise W-T-L': result?.pairwiseWins != null ? `${result.pairwiseWins}-${result.pairwiseTies}-${result.pairwiseLosses}` : 'N/A',
+      'Condorcet Winner': result?.isCondorcetWinner ? 'Yes' : 'No',
+      ...Object.fromEntries(safeArray(result?.rankDistribution).map((count, position) => [`Ranked #${position + 1}`, count])),
+      ...(row !== undefined && Object.fromEntries(rankingResults
+        .filter(other => other?.itemId !== result?.itemId && pairwiseIndex.has(other?.itemId))
+        .map(other => [`Over ${labels.get(other.itemId)}`, pairwise.matrix?.[row]?.[pairwiseIndex.get(other.itemId)] ?? 0]))),
+      'Response Count': Number(result?.responseCount) || 0
+    };
+  });
 
   const detailedRows = responses.map((response, index) => {
     const ranking = safeArray(response.answer).filter(r => r != null);
@@ -311,7 +358,7 @@ const formatRankingData = (slide, responses, aggregatedData, question, timestamp
       'Response #': index + 1,
       'Participant Name': formatParticipantName(response.participantName),
       'Participant ID': formatParticipantId(response.participantId),
-      'Ranking': ranking.join(' → ') || 'N/A',
+      'Ranking': ranking.map(itemId => labels.get(itemId) || itemId).join(' → ') || 'N/A',
       'Submitted At': formatDate(response.createdAt)
     };
   });
@@ -323,7 +370,9 @@ const formatRankingData = (slide, responses, aggregatedData, question, timestamp
     summary: summaryRows,
     detailed: detailedRows,
     metadata: {
-      totalResponses
+      totalResponses,
+      rankingMethod: RANKING_METHOD_NAMES[rankingMethod] || rankingMethod,
+      condorcetWinner: totalResponses > 0 ? (condorcetWinner?.label || 'None') : 'N/A'
     }
   };
 };
@@ -374,15 +423,28 @@ const formatHundredPointsData = (slide, responses, aggregatedData, question, tim
  */
 const formatGridData = (slide, responses, aggregatedData, question, timestamp) => {
   const gridResults = Array.isArray(aggregatedData?.gridResults) ? aggregatedData.gridResults : [];
+  const gridQuadrants = Array.isArray(aggregatedData?.gridQuadrants) ? aggregatedData.gridQuadrants : [];
+  const quadrantLabels = Object.fromEntries(gridQuadrants.map(quadrant => [quadrant.key, quadrant.label]));
   const totalResponses = aggregatedData?.totalResponses || (Array.isArray(responses) ? responses.length : 0);
 
   const summaryRows = gridResults.map((result) => ({
     'Item': result?.label || result?.itemId || 'N/A',
     'Average X': result?.averageX != null ? Number(result.averageX).toFixed(2) : '0.00',
     'Average Y': result?.averageY != null ? Number(result.averageY).toFixed(2) : '0.00',
+    'Std Dev X': result?.standardDeviationX != null ? Number(result.standardDeviationX).toFixed(2) : 'N/A',
+    'Std Dev Y': result?.standardDeviationY != null ? Number(result.standardDeviationY).toFixed(2) : 'N/A',
+    'Quadrant': quadrantLabels[result?.quadrant] || 'N/A',
+    'Outliers': Number(result?.outlierCount) || 0,
     'Response Count': Number(result?.count) || 0
   }));
 
+  const quadrantRows = gridQuadrants.map((quadrant) => ({
+    'Quadrant': quadrant?.label || quadrant?.key || 'N/A',
+    'Placements': Number(quadrant?.count) || 0,
+    'Percentage': `${Number(quadrant?.percentage) || 0}%`,
+    'Items': safeArray(quadrant?.items).map(item => `${item.label} (${item.count})`).join('; ')
+  }));
+
   const detailedRows = responses.map((response, index) => {
     const positions = safeArray(response.answer).filter(p => p && typeof p === 'object');
     const positionText = positions.map(p => `${p.item || 'N/A'}: (${p.x != null ? p.x : 'N/A'}, ${p.y != null ? p.y : 'N/A'})`).join('; ') || 'N/A';
@@ -400,7 +462,7 @@ const formatGridData = (slide, responses, aggregatedData, question, timestamp) =
     question,
     timestamp,
     slideType: '2x2_grid',
-    summary: summaryRows,
+    summary: [...summaryRows, ...quadrantRows],
     detailed: detailedRows,
     metadata: {
       totalResponses
@@ -423,22 +485,30 @@ const formatPinOnImageData = (slide, responses, aggregatedData, question, timest
     ? (validPins.reduce((sum, p) => sum + (Number(p.y) || 0), 0) / validPins.length).toFixed(2)
     : '0.00';
 
+  const hasCorrectAreas = validPins.some(p => typeof p.isCorrect === 'boolean');
+
   const summaryRows = [{
-    'Total Pins': totalResponses,
+    'Total Pins': validPins.length,
+    'Responses': totalResponses,
+    ...(hasCorrectAreas && { 'Correct Pins': validPins.filter(p => p.isCorrect).length }),
     'Average X': avgX,
     'Average Y': avgY
   }];
 
-  const detailedRows = responses.map((response, index) => {
-    const pin = response.answer && typeof response.answer === 'object' ? response.answer : {};
-    return {
+  // Answers are a single pin {x, y} or {pins: [...]} when several pins are allowed
+  const detailedRows = responses.flatMap((response, index) => {
+    const answer = response.answer && typeof response.answer === 'object' ? response.answer : {};
+    const pins = Array.isArray(answer.pins) ? answer.pins : [answer];
+    return pins.map((pin, pinIndex) => ({
       'Response #': index + 1,
+      'Pin #': pinIndex + 1,
       'Participant Name': formatParticipantName(response.participantName),
       'Participant ID': formatParticipantId(response.participantId),
       'X Coordinate': pin.x != null ? Number(pin.x).toFixed(2) : 'N/A',
       'Y Coordinate': pin.y != null ? Number(pin.y).toFixed(2) : 'N/A',
+      ...(hasCorrectAreas && { 'Correct': typeof pin.isCorrect === 'boolean' ? (pin.isCorrect ? 'Yes' : 'No') : 'N/A' }),
       'Submitted At': formatDate(response.createdAt)
-    };
+    }));
   });
 
   return {
@@ -707,7 +777,12 @@ export const exportToCSV = (formattedData, filename) => {
   
   let csvContent = `"${question}"\n`;
   csvContent += `"Exported: ${timestamp}"\n`;
-  csvContent += `"Total Responses: ${metadata.totalResponses || 0}"\n\n`;
+  csvContent += `"Total Responses: ${metadata.totalResponses || 0}"\n`;
+  if (metadata.rankingMethod) {
+    csvContent += `"Aggregation Method: ${metadata.rankingMethod}"\n`;
+    csvContent += `"Condorcet Winner: ${metadata.condorcetWinner}"\n`;
+  }
+  csvContent += '\n';
   
   if (Array.isArray(summary) && summary.length > 0 && summary[0] && typeof summary[0] === 'object') {
     csvContent += '"SUMMARY"\n';
@@ -755,7 +830,8 @@ export const exportToExcel = (formattedData, filename) => {
     ['Question', question],
     ['Exported', timestamp],
     ['Total Responses', metadata.totalResponses || 0],
-    ['Slide Type', slideType]
+    ['Slide Type', slideType],
+    ...(metadata.rankingMethod ? [['Aggregation Method', metadata.rankingMethod], ['Condorcet Winner', metadata.condorcetWinner]] : [])
   ];
   const wsMetadata = XLSX.utils.aoa_to_sheet(metadataSheet);
   XLSX.utils.book_append_sheet(wb, wsMetadata, 'Metadata');
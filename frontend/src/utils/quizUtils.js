@@ -0,0 +1,14 @@
+/**
+ * Get the correct option IDs of a quiz slide
+ * Quizzes with several correct options list them in correctOptionIds;
+ * older single-answer quizzes only have correctOptionId.
+ * @param {Object} quizSettings - Slide quizSettings
+ * @returns {Array<string>} Correct option IDs
+ */
+export const getCorrectOptionIds = (quizSettings) => {
+  if (!quizSettings) return [];
+  if (Array.isArray(quizSettings.correctOptionIds) && quizSettings.correctOptionIds.length > 0) {
+    return quizSettings.correctOptionIds;
+  }
+  return quizSettings.correctOptionId ? [quizSettings.correctOptionId] : [];
+};